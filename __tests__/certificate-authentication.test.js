@@ -0,0 +1,320 @@
+/**
+ * Certificate Authentication Tests
+ * Tests for authenticating clients by their SSL certificates (authMethod 'cert' and
+ * the clientcert hba option), with and without user name maps
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { execSync } = require('child_process');
+const { processMessage } = require('../src/protocol/messageProcessors');
+const { ConnectionState } = require('../src/connection/connectionState');
+const { HbaRules } = require('../src/connection/hbaRules');
+const { IdentMaps } = require('../src/connection/identMaps');
+const { ServerManager } = require('../src/server/serverManager');
+const {
+  generateCertificate,
+  generatePrivateKey,
+  generateClientCertificates,
+} = require('../scripts/generate-certs');
+const { SSL_REQUEST_CODE } = require('../src/protocol/constants');
+const { startupMessage, passwordMessage } = require('./helpers/protocolMessages');
+
+// Test configuration
+const TEST_CONFIG = {
+  enableLogging: false,
+  authMethod: 'cert',
+};
+
+// Mock SSL socket; the client certificate counts as verified when `authorized`
+class MockTlsSocket {
+  constructor(commonName, authorized = true) {
+    this.remoteAddress = '10.0.0.1';
+    this.encrypted = true;
+    this.authorized = authorized && commonName !== null;
+    this.commonName = commonName;
+    this.data = [];
+    this.ended = false;
+  }
+
+  getPeerCertificate() {
+    return this.commonName === null ? {} : { subject: { CN: this.commonName } };
+  }
+
+  write(data) {
+    this.data.push(data);
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+/**
+ * Checks whether OpenSSL is installed, which minting certificates needs
+ * @returns {boolean} True if the openssl command runs
+ */
+function hasOpenSSL() {
+  try {
+    execSync('openssl version', { stdio: 'pipe' });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the outcome of authentication from the messages written to a socket
+ * @param {Buffer} data - Backend messages
+ * @returns {Object} {authenticated} or {error, code} for an ErrorResponse
+ */
+function outcome(data) {
+  if (data[0] === 'E'.charCodeAt(0)) {
+    const fields = data.toString('utf8', 5);
+    return { error: /\0M([^\0]*)\0/.exec(fields)[1], code: /\0C(\w+)\0/.exec(fields)[1] };
+  }
+  return { authenticated: data.toString().includes('Z\0\0\0\u0005I') };
+}
+
+describe('Certificate Authentication Tests', () => {
+  let hbaRules;
+  let identMaps;
+
+  /**
+   * Opens a connection with a client certificate and sends its startup packet
+   * @param {string} user - User name to connect as
+   * @param {string|null} commonName - Common name of the certificate; null for none
+   * @param {Object} config - Server configuration
+   * @param {boolean} authorized - Whether the certificate is signed by the CA
+   * @returns {Object} {connState, socket}
+   */
+  const connect = (user, commonName, config = TEST_CONFIG, authorized = true) => {
+    const connState = new ConnectionState();
+    connState.setHbaRules(hbaRules);
+    connState.setIdentMaps(identMaps);
+    const socket = new MockTlsSocket(commonName, authorized);
+    processMessage(startupMessage({ user, database: 'app' }), socket, connState, config);
+    return { connState, socket };
+  };
+
+  /**
+   * Gets the outcome of authentication on a connection
+   * @param {Object} connection - Connection from connect()
+   * @returns {Object} {authenticated} or {error, code}
+   */
+  const result = connection => outcome(Buffer.concat(connection.socket.data));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    hbaRules = null;
+    identMaps = new IdentMaps({ enableLogging: false });
+    identMaps.addMappings(['certs /^(.*)@example\\.com$ \\1', 'certs ops-robot deploy']);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authMethod cert', () => {
+    test('should authenticate a client whose certificate names the user', () => {
+      const connection = connect('alice', 'alice');
+
+      expect(connection.connState.authenticated).toBe(true);
+      expect(result(connection)).toEqual({ authenticated: true });
+    });
+
+    test('should reject a certificate for another user with a FATAL 28000', () => {
+      const connection = connect('alice', 'bob');
+
+      expect(result(connection)).toEqual({
+        error: 'certificate authentication failed for user "alice"',
+        code: '28000',
+      });
+      expect(connection.connState.authenticated).toBe(false);
+      expect(connection.socket.ended).toBe(true);
+    });
+
+    test.each([
+      ['no certificate', null, true],
+      ['a certificate the CA did not sign', 'alice', false],
+    ])('should require a valid client certificate (%s)', (_case, commonName, authorized) => {
+      const connection = connect('alice', commonName, TEST_CONFIG, authorized);
+
+      expect(result(connection)).toEqual({
+        error: 'connection requires a valid client certificate',
+        code: '28000',
+      });
+      expect(connection.socket.ended).toBe(true);
+    });
+
+    test('should map common names to users with certMap', () => {
+      const config = { ...TEST_CONFIG, certMap: 'certs' };
+
+      expect(result(connect('alice', 'alice@example.com', config))).toEqual({
+        authenticated: true,
+      });
+      expect(result(connect('deploy', 'ops-robot', config))).toEqual({ authenticated: true });
+      // With a map, the common name alone no longer identifies the user
+      expect(result(connect('alice', 'alice', config)).code).toBe('28000');
+    });
+  });
+
+  describe('hba rules', () => {
+    beforeEach(() => {
+      hbaRules = new HbaRules({ enableLogging: false });
+      hbaRules.addRules([
+        'hostssl all deploy,alice all cert map=certs',
+        'hostssl all bob all password clientcert=verify-full',
+        'hostssl all all all trust clientcert=verify-ca',
+      ]);
+    });
+
+    test('should use the map of a cert rule', () => {
+      expect(result(connect('deploy', 'ops-robot'))).toEqual({ authenticated: true });
+      expect(result(connect('alice', 'ops-robot')).code).toBe('28000');
+    });
+
+    test('should check the certificate and the password with clientcert=verify-full', () => {
+      const connection = connect('bob', 'bob');
+      connection.socket.data = [];
+      processMessage(passwordMessage('password'), connection.socket, connection.connState, {
+        ...TEST_CONFIG,
+        username: 'bob',
+      });
+
+      expect(result(connection)).toEqual({ authenticated: true });
+    });
+
+    test('should reject a certificate for another user after the password', () => {
+      const connection = connect('bob', 'carol');
+      // The certificate is only compared once the password has been accepted
+      expect(connection.socket.ended).toBe(false);
+      connection.socket.data = [];
+      processMessage(passwordMessage('password'), connection.socket, connection.connState, {
+        ...TEST_CONFIG,
+        username: 'bob',
+      });
+
+      expect(result(connection)).toEqual({
+        error: 'certificate authentication failed for user "bob"',
+        code: '28000',
+      });
+    });
+
+    test('should only require a valid certificate with clientcert=verify-ca', () => {
+      expect(result(connect('carol', 'somebody-else'))).toEqual({ authenticated: true });
+      expect(result(connect('carol', null))).toEqual({
+        error: 'connection requires a valid client certificate',
+        code: '28000',
+      });
+    });
+  });
+
+  // Real TLS connections, with certificates minted by scripts/generate-certs.js
+  const describeWithOpenSSL = hasOpenSSL() ? describe : describe.skip;
+
+  describeWithOpenSSL('over TLS', () => {
+    let dir;
+    let clients;
+    let server;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-certs-'));
+      generatePrivateKey(path.join(dir, 'server.key'));
+      generateCertificate(path.join(dir, 'server.key'), path.join(dir, 'server.crt'));
+      clients = generateClientCertificates(['alice'], dir);
+      jest.restoreAllMocks();
+
+      server = new ServerManager({
+        port: 0,
+        host: 'localhost',
+        enableLogging: false,
+        enableConnectionPooling: false,
+        shutdownDrainTimeout: 200,
+        http: { enabled: false },
+        authMethod: 'cert',
+        enableSSL: true,
+        sslCertPath: path.join(dir, 'server.crt'),
+        sslKeyPath: path.join(dir, 'server.key'),
+        sslCaPath: path.join(dir, 'ca.crt'),
+      });
+      await server.start();
+    }, 30000);
+
+    afterAll(async () => {
+      await server.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Connects over SSL and returns the server's first reply to the startup packet
+     * @param {string} user - User name to connect as
+     * @param {Object|null} certificate - Client certificate to present ({keyPath, certPath})
+     * @returns {Promise<Object>} {authenticated} or {error, code}
+     */
+    const authenticate = (user, certificate = null) =>
+      new Promise((resolve, reject) => {
+        const socket = net.connect(server.getAddress().port, 'localhost');
+        socket.once('error', reject);
+        socket.on('connect', () => {
+          const request = Buffer.alloc(8);
+          request.writeInt32BE(8, 0);
+          request.writeInt32BE(SSL_REQUEST_CODE, 4);
+          socket.write(request);
+        });
+        socket.once('data', answer => {
+          expect(answer.toString()).toBe('S');
+          const options = { socket, rejectUnauthorized: false };
+          if (certificate) {
+            options.key = fs.readFileSync(certificate.keyPath);
+            options.cert = fs.readFileSync(certificate.certPath);
+          }
+          const secure = tls.connect(options, () =>
+            secure.write(startupMessage({ user, database: 'app' }))
+          );
+          secure.once('error', reject);
+          let received = Buffer.alloc(0);
+          secure.on('data', data => {
+            received = Buffer.concat([received, data]);
+            const reply = outcome(received);
+            if (reply.error || reply.authenticated) {
+              secure.destroy();
+              resolve(reply);
+            }
+          });
+        });
+      });
+
+    test('should authenticate with a client certificate signed by the CA', async () => {
+      await expect(authenticate('alice', clients[0])).resolves.toEqual({ authenticated: true });
+    });
+
+    test('should reject other users and clients without a certificate', async () => {
+      await expect(authenticate('bob', clients[0])).resolves.toEqual({
+        error: 'certificate authentication failed for user "bob"',
+        code: '28000',
+      });
+      await expect(authenticate('alice')).resolves.toEqual({
+        error: 'connection requires a valid client certificate',
+        code: '28000',
+      });
+    });
+
+    test('should reject a certificate the CA did not sign', async () => {
+      const selfSigned = {
+        keyPath: path.join(dir, 'server.key'),
+        certPath: path.join(dir, 'server.crt'),
+      };
+
+      await expect(authenticate('alice', selfSigned)).resolves.toEqual({
+        error: 'connection requires a valid client certificate',
+        code: '28000',
+      });
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Tests for CancelRequest handling
+ * Covers backend key lookup, secret verification and interrupting a running statement
+ */
+
+const net = require('net');
+const { ServerManager } = require('../../src/server/serverManager');
+const { CancelRegistry } = require('../../src/connection/cancelRegistry');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { CANCEL_REQUEST_CODE } = require('../../src/protocol/constants');
+const { startupMessage, queryMessage } = require('../helpers/protocolMessages');
+
+/**
+ * Builds a CancelRequest packet
+ * @param {number} pid - Backend process ID
+ * @param {number} secret - Backend secret key
+ * @returns {Buffer} CancelRequest packet
+ */
+function cancelPacket(pid, secret) {
+  const packet = Buffer.alloc(16);
+  packet.writeInt32BE(16, 0);
+  packet.writeInt32BE(CANCEL_REQUEST_CODE, 4);
+  packet.writeInt32BE(pid, 8);
+  packet.writeInt32BE(secret, 12);
+  return packet;
+}
+
+/**
+ * Opens a session and collects backend messages as they arrive
+ * @param {number} port - Server port
+ * @returns {Promise<Object>} Socket, received messages, key data and a waitFor(type) helper
+ */
+function openSession(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ port, host: 'localhost' });
+    const session = { socket, messages: [], waiters: [] };
+    let buffer = Buffer.alloc(0);
+
+    session.waitFor = type =>
+      new Promise(done => {
+        const found = session.messages.find(msg => msg.type === type && !msg.seen);
+        if (found) {
+          found.seen = true;
+          done(found);
+        } else {
+          session.waiters.push({ type, done });
+        }
+      });
+
+    socket.on('error', reject);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 5 && buffer.length >= buffer.readInt32BE(1) + 1) {
+        const msg = {
+          type: String.fromCharCode(buffer[0]),
+          payload: buffer.slice(5, buffer.readInt32BE(1) + 1),
+        };
+        buffer = buffer.slice(buffer.readInt32BE(1) + 1);
+        session.messages.push(msg);
+
+        if (msg.type === 'K') {
+          session.pid = msg.payload.readInt32BE(0);
+          session.secret = msg.payload.readInt32BE(4);
+        }
+
+        const waiter = session.waiters.findIndex(w => w.type === msg.type);
+        if (waiter !== -1) {
+          msg.seen = true;
+          session.waiters.splice(waiter, 1)[0].done(msg);
+        }
+        if (msg.type === 'Z' && !session.ready) {
+          session.ready = true;
+          resolve(session);
+        }
+      }
+    });
+
+    socket.write(startupMessage());
+  });
+}
+
+/**
+ * Sends a CancelRequest on a new connection and waits for the server to close it
+ * @param {number} port - Server port
+ * @param {number} pid - Backend process ID
+ * @param {number} secret - Backend secret key
+ * @returns {Promise<void>} Resolves once the cancel connection is closed
+ */
+function sendCancel(port, pid, secret) {
+  return new Promise(resolve => {
+    const socket = net.connect({ port, host: 'localhost' }, () =>
+      socket.write(cancelPacket(pid, secret))
+    );
+    socket.on('close', resolve);
+    socket.resume();
+  });
+}
+
+/**
+ * Reads the SQLSTATE from an ErrorResponse payload
+ * @param {Buffer} payload - ErrorResponse payload
+ * @returns {string|undefined} SQLSTATE code
+ */
+function sqlState(payload) {
+  return payload
+    .toString('utf8')
+    .split('\0')
+    .find(field => field.startsWith('C'))
+    ?.slice(1);
+}
+
+describe('CancelRequest', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('CancelRegistry', () => {
+    let registry;
+    let connState;
+
+    beforeEach(() => {
+      registry = new CancelRegistry({ enableLogging: false });
+      connState = new ConnectionState();
+      registry.register(connState);
+    });
+
+    test('should cancel the running statement when the key matches', () => {
+      const onCancel = jest.fn();
+      connState.startQuery('COPY t FROM STDIN', onCancel);
+
+      expect(registry.cancel(connState.backendPid, connState.backendSecret)).toBe(true);
+      expect(onCancel).toHaveBeenCalledTimes(1);
+      expect(connState.getActiveQuery()).toBeNull();
+    });
+
+    test('should ignore requests with a wrong secret or unknown PID', () => {
+      const onCancel = jest.fn();
+      connState.startQuery('COPY t FROM STDIN', onCancel);
+
+      expect(registry.cancel(connState.backendPid, connState.backendSecret + 1)).toBe(false);
+      expect(registry.cancel(connState.backendPid + 1000, connState.backendSecret)).toBe(false);
+      expect(onCancel).not.toHaveBeenCalled();
+      expect(registry.getStats()).toMatchObject({ requests: 2, rejected: 2, canceled: 0 });
+    });
+
+    test('should do nothing for an idle or unregistered connection', () => {
+      expect(registry.cancel(connState.backendPid, connState.backendSecret)).toBe(false);
+
+      registry.unregister(connState);
+      connState.startQuery('COPY t FROM STDIN', jest.fn());
+
+      expect(registry.cancel(connState.backendPid, connState.backendSecret)).toBe(false);
+      expect(registry.getStats()).toMatchObject({ connections: 0, idle: 1, rejected: 1 });
+    });
+
+    test('should match the variable-length keys of protocol 3.2 connections', () => {
+      const onCancel = jest.fn();
+      connState.backendSecret = Buffer.alloc(32, 7);
+      connState.startQuery('COPY t FROM STDIN', onCancel);
+
+      expect(registry.cancel(connState.backendPid, Buffer.alloc(4, 7))).toBe(false);
+      expect(registry.cancel(connState.backendPid, Buffer.alloc(32, 8))).toBe(false);
+      expect(registry.cancel(connState.backendPid, Buffer.alloc(32, 7))).toBe(true);
+      expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not cancel a statement that has finished', () => {
+      const onCancel = jest.fn();
+      connState.startQuery('COPY t FROM STDIN', onCancel);
+      connState.finishQuery();
+
+      expect(registry.cancel(connState.backendPid, connState.backendSecret)).toBe(false);
+      expect(onCancel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Over the wire', () => {
+    let server;
+    let port;
+    let session;
+
+    beforeEach(async () => {
+      server = new ServerManager({
+        port: 0,
+        host: 'localhost',
+        enableLogging: false,
+        enableConnectionPooling: false,
+        shutdownDrainTimeout: 200,
+        http: { enabled: false },
+      });
+      await server.start();
+      port = server.getAddress().port;
+      session = await openSession(port);
+    });
+
+    afterEach(async () => {
+      session.socket.destroy();
+      await server.stop();
+    });
+
+    test('should issue distinct backend keys per connection', async () => {
+      const other = await openSession(port);
+      other.socket.destroy();
+
+      expect(session.pid).not.toBe(other.pid);
+    });
+
+    test('should interrupt a COPY FROM STDIN with 57014', async () => {
+      session.socket.write(queryMessage('COPY users FROM STDIN'));
+      await session.waitFor('G');
+
+      await sendCancel(port, session.pid, session.secret);
+      const error = await session.waitFor('E');
+
+      expect(sqlState(error.payload)).toBe('57014');
+      expect(error.payload.toString('utf8')).toContain('canceling statement due to user request');
+      expect(server.getStats().cancelRequests).toMatchObject({ requests: 1, canceled: 1 });
+    });
+
+    test('should interrupt pg_sleep and answer later messages', async () => {
+      session.socket.write(
+        Buffer.concat([queryMessage('SELECT pg_sleep(30)'), queryMessage('SELECT 1')])
+      );
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      await sendCancel(port, session.pid, session.secret);
+      const error = await session.waitFor('E');
+      await session.waitFor('Z');
+      await session.waitFor('C');
+
+      expect(sqlState(error.payload)).toBe('57014');
+      expect(session.messages.filter(msg => msg.type === 'D')).toHaveLength(1);
+    });
+
+    test('should ignore a cancel with the wrong secret', async () => {
+      session.socket.write(queryMessage('COPY users FROM STDIN'));
+      await session.waitFor('G');
+
+      await sendCancel(port, session.pid, session.secret ^ 1);
+
+      expect(session.messages.some(msg => msg.type === 'E')).toBe(false);
+      expect(server.getStats().cancelRequests).toMatchObject({ requests: 1, rejected: 1 });
+    });
+  });
+});
@@ -26,10 +26,9 @@ describe('Connection Lifecycle', () => {
       const conn2 = new ConnectionState();
       const conn3 = new ConnectionState();
 
-      // All connections in same process will have same PID
-      expect(conn1.backendPid).toBe(process.pid);
-      expect(conn2.backendPid).toBe(process.pid);
-      expect(conn3.backendPid).toBe(process.pid);
+      // Each connection gets its own PID so CancelRequests can target it
+      expect(new Set([conn1.backendPid, conn2.backendPid, conn3.backendPid]).size).toBe(3);
+      expect(conn1.backendPid).toBeGreaterThan(0);
     });
 
     test('should generate random secret keys', () => {
@@ -0,0 +1,176 @@
+/**
+ * Tests for host-based authentication rules: parsing pg_hba.conf-style rules and
+ * choosing the rule for a connection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HbaRules } = require('../../src/connection/hbaRules');
+
+/**
+ * Creates a rule list
+ * @param {Array<string|Object>} definitions - Rule definitions
+ * @returns {HbaRules} Rule list
+ */
+function createRules(definitions) {
+  const rules = new HbaRules({ enableLogging: false });
+  rules.addRules(definitions);
+  return rules;
+}
+
+/**
+ * Describes a TCP client without SSL
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Client
+ */
+function client(overrides = {}) {
+  return { database: 'app', user: 'alice', address: '10.0.0.1', ssl: false, ...overrides };
+}
+
+describe('HbaRules', () => {
+  describe('Parsing', () => {
+    test('should parse pg_hba.conf lines with lists, netmasks and options', () => {
+      const [rule] = createRules([
+        'hostssl app,reports alice,bob 192.168.0.0 255.255.0.0 cert clientcert=verify-full',
+      ]).listRules();
+
+      expect(rule).toMatchObject({
+        type: 'hostssl',
+        databases: ['app', 'reports'],
+        users: ['alice', 'bob'],
+        address: '192.168.0.0/16',
+        method: 'cert',
+        options: { clientcert: 'verify-full' },
+        line: 1,
+      });
+    });
+
+    test('should load rules from a file, skipping comments and blank lines', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-hba-'));
+      try {
+        const file = path.join(dir, 'pg_hba.conf');
+        fs.writeFileSync(file, '# TYPE DATABASE USER ADDRESS METHOD\n\nlocal all all trust\n');
+        const rules = new HbaRules({ enableLogging: false });
+
+        expect(rules.loadFile(file)).toBe(1);
+        expect(rules.listRules()[0]).toMatchObject({ type: 'local', address: null, line: 3 });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test.each([
+      ['hosts all all all trust', 'invalid connection type "hosts"'],
+      ['host all all all ident', 'invalid authentication method "ident"'],
+      ['host all all 10.0.0.0/33 md5', 'invalid CIDR mask in address "10.0.0.0/33"'],
+      ['host all all 10.0.0.0 255.0.255.0 md5', 'invalid IP mask "255.0.255.0"'],
+      ['host all all example.com md5', 'invalid IP address "example.com"'],
+      ['host all all all cert', 'cert authentication is only supported on hostssl connections'],
+      ['host all all all peer', 'peer authentication is only supported on local sockets'],
+      ['host all all all md5 clientcert', 'authentication option "clientcert" has no value'],
+      [
+        'host all all all md5 clientcert=verify-ca',
+        'clientcert can only be configured for "hostssl" rows',
+      ],
+      ['hostssl all all all md5 clientcert=1', 'invalid value for clientcert: "1"'],
+      [
+        'hostssl all all all cert clientcert=verify-ca',
+        'clientcert only accepts "verify-full" when using "cert" authentication',
+      ],
+      ['hostssl all all all md5 map=certs', 'authentication option "map" is only valid for'],
+      ['local all all trust map=users', 'authentication option "map" is only valid for'],
+      ['hostssl all all all md5 radiusserver=x', 'unrecognized authentication option name'],
+    ])('should reject "%s"', (line, message) => {
+      expect(() => createRules(['local all all trust', line])).toThrow(
+        `Invalid hba rule 2: ${message}`
+      );
+    });
+
+    test('should add nothing when a rule is invalid', () => {
+      const rules = createRules(['local all all trust']);
+
+      expect(() => rules.addRules(['host all all all md5', 'host all'])).toThrow();
+      expect(rules.listRules()).toHaveLength(1);
+    });
+
+    test('should warn about peer rules where peer credentials cannot be found', () => {
+      const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+      const rules = new HbaRules({ enableLogging: false });
+      const warn = jest.spyOn(rules.logger, 'warn').mockImplementation(() => {});
+
+      try {
+        Object.defineProperty(process, 'platform', { value: 'darwin' });
+        rules.addRules(['host all all all md5', 'local all all peer']);
+      } finally {
+        Object.defineProperty(process, 'platform', platform);
+      }
+
+      expect(warn).toHaveBeenCalledWith(
+        'hba rule 2 uses peer authentication, which will fail here: ' +
+          'peer authentication is not supported on darwin'
+      );
+    });
+
+    test('should warn about peer rules when ss is not installed', () => {
+      const pathVariable = process.env.PATH;
+      const rules = new HbaRules({ enableLogging: false });
+      const warn = jest.spyOn(rules.logger, 'warn').mockImplementation(() => {});
+
+      try {
+        process.env.PATH = '';
+        rules.addRules(['local all all peer']);
+      } finally {
+        process.env.PATH = pathVariable;
+      }
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      if (process.platform === 'linux') {
+        expect(warn.mock.calls[0][0]).toBe(
+          'hba rule 1 uses peer authentication, which will fail here: ' +
+            'ss (from iproute2) is not installed'
+        );
+      }
+    });
+  });
+
+  describe('Matching', () => {
+    test('should pick the first rule that matches', () => {
+      const rules = createRules(['host all bob all reject', 'host all all 10.0.0.0/8 md5']);
+
+      expect(rules.match(client()).method).toBe('md5');
+      expect(rules.match(client({ user: 'bob' })).method).toBe('reject');
+      expect(rules.match(client({ address: '11.0.0.1' }))).toBeNull();
+    });
+
+    test('should match connection types by socket kind and SSL state', () => {
+      const rules = createRules([
+        'local all all trust',
+        'hostssl all all all scram-sha-256',
+        'hostnossl all all all md5',
+      ]);
+
+      expect(rules.match(client({ address: null })).type).toBe('local');
+      expect(rules.match(client({ ssl: true })).type).toBe('hostssl');
+      expect(rules.match(client()).type).toBe('hostnossl');
+    });
+
+    test('should match sameuser databases and IPv6 addresses', () => {
+      const rules = createRules(['host sameuser all ::1/128 trust']);
+
+      expect(rules.match(client({ database: 'alice', address: '::1' }))).not.toBeNull();
+      expect(rules.match(client({ address: '::1' }))).toBeNull();
+    });
+
+    test('should refuse unmatched and rejected connections with 28000', () => {
+      const rules = createRules(['host all bob all reject']);
+
+      expect(() => rules.authorize(client({ address: null }))).toThrow(
+        'no pg_hba.conf entry for host "[local]", user "alice", database "app"'
+      );
+      expect(() => rules.authorize(client({ user: 'bob', ssl: true }))).toThrow(
+        'pg_hba.conf rejects connection for host "10.0.0.1", user "bob", database "app", SSL encryption'
+      );
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for user name maps: parsing pg_ident.conf-style mappings and checking
+ * external user names against them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IdentMaps } = require('../../src/connection/identMaps');
+
+/**
+ * Creates user name maps
+ * @param {Array<string|Object>} definitions - Mapping definitions
+ * @returns {IdentMaps} Maps
+ */
+function createMaps(definitions) {
+  const maps = new IdentMaps({ enableLogging: false });
+  maps.addMappings(definitions);
+  return maps;
+}
+
+describe('IdentMaps', () => {
+  test('should allow only the mapped pairs of a map', () => {
+    const maps = createMaps([
+      'certs alice.smith alice',
+      { map: 'certs', systemUser: 'ops-robot', user: 'deploy' },
+      'other bob bob',
+    ]);
+
+    expect(maps.check('certs', 'alice.smith', 'alice')).toBe(true);
+    expect(maps.check('certs', 'ops-robot', 'deploy')).toBe(true);
+    expect(maps.check('certs', 'alice.smith', 'deploy')).toBe(false);
+    expect(maps.check('certs', 'bob', 'bob')).toBe(false);
+    expect(maps.check('missing', 'bob', 'bob')).toBe(false);
+  });
+
+  test('should substitute the first group of a regular expression for \\1', () => {
+    const maps = createMaps(['certs /^(.*)@example\\.com$ \\1', 'certs /^admin-.*$ admin']);
+
+    expect(maps.check('certs', 'alice@example.com', 'alice')).toBe(true);
+    expect(maps.check('certs', 'alice@example.org', 'alice')).toBe(false);
+    expect(maps.check('certs', 'admin-eu', 'admin')).toBe(true);
+  });
+
+  test('should load mappings from a file, skipping comments and blank lines', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-ident-'));
+    try {
+      const file = path.join(dir, 'pg_ident.conf');
+      fs.writeFileSync(file, '# MAPNAME SYSTEM-USERNAME PG-USERNAME\n\ncerts alice alice\n');
+      const maps = new IdentMaps({ enableLogging: false });
+
+      expect(maps.loadFile(file)).toBe(1);
+      expect(maps.listMappings()[0]).toMatchObject({ map: 'certs', pattern: null, line: 3 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test.each([
+    ['certs alice', 'expected map name, system user name and role name'],
+    ['certs /([a-z alice', 'invalid regular expression "([a-z"'],
+    [{ map: 'certs', systemUser: 'alice' }, '"user" must be a non-empty string'],
+  ])('should reject %p', (definition, message) => {
+    const maps = createMaps(['certs bob bob']);
+
+    expect(() => maps.addMappings(['certs carol carol', definition])).toThrow(
+      `Invalid user name mapping 2: ${message}`
+    );
+    expect(maps.listMappings()).toHaveLength(1);
+  });
+});
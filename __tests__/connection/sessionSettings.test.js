@@ -0,0 +1,298 @@
+/**
+ * Tests for session settings: SET, SET LOCAL, RESET, SHOW, current_setting(),
+ * set_config() and ParameterStatus reports
+ */
+
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { SessionSettings, readStartupSettings } = require('../../src/connection/sessionSettings');
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const { queryMessage } = require('../helpers/protocolMessages');
+const { MockSocket, readMessages, sendMessages } = require('../helpers/backendMessages');
+
+describe('Session Settings', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Runs a simple Query and returns what the server sent back
+   * @param {string} query - SQL text
+   * @returns {Object} Message types, SQLSTATEs, messages, tags, data rows, ParameterStatus pairs and status
+   */
+  const run = query => {
+    const messages = sendMessages(socket, connState, [queryMessage(query)]);
+    const ofType = type => messages.filter(msg => msg.type === type);
+    return {
+      types: messages.map(msg => msg.type).join(''),
+      errors: ofType('E').map(msg => msg.code),
+      messages: ofType('E').map(msg => msg.message),
+      warnings: ofType('N').map(msg => msg.code),
+      tags: ofType('C').map(msg => msg.tag),
+      rows: ofType('D').map(msg => msg.values),
+      parameters: ofType('S').map(msg => [msg.name, msg.value]),
+      status: messages[messages.length - 1].status,
+    };
+  };
+
+  /**
+   * Gets a setting with SHOW
+   * @param {string} name - Setting name
+   * @returns {string} Displayed value
+   */
+  const show = name => run(`SHOW ${name}`).rows[0][0];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SET, RESET and SHOW', () => {
+    test('should change a setting for the session', () => {
+      expect(run("SET application_name = 'reports'")).toMatchObject({
+        tags: ['SET'],
+        errors: [],
+      });
+      expect(show('application_name')).toBe('reports');
+
+      expect(run('RESET application_name').tags).toEqual(['RESET']);
+      expect(show('application_name')).toBe('');
+    });
+
+    test('should accept TO, DEFAULT and the SESSION keyword', () => {
+      run('SET SESSION extra_float_digits TO -2');
+      expect(show('extra_float_digits')).toBe('-2');
+
+      run('SET extra_float_digits TO DEFAULT');
+      expect(show('extra_float_digits')).toBe('1');
+    });
+
+    test('should name the column after the setting', () => {
+      const result = run('SHOW datestyle');
+      expect(result.rows).toEqual([['ISO, MDY']]);
+
+      const [description] = readMessages(socket);
+      expect(description.columns.map(column => column.name)).toEqual(['DateStyle']);
+    });
+
+    test('should support the special forms of PostgreSQL', () => {
+      run("SET TIME ZONE 'Europe/Berlin'");
+      expect(show('TIME ZONE')).toBe('Europe/Berlin');
+      run('SET TIME ZONE LOCAL');
+      expect(show('timezone')).toBe('UTC');
+
+      run("SET NAMES 'utf8'");
+      expect(show('client_encoding')).toBe('UTF8');
+
+      run("SET SCHEMA 'app'");
+      expect(show('search_path')).toBe('app');
+      expect(show('TRANSACTION ISOLATION LEVEL')).toBe('read committed');
+    });
+
+    test('should keep list settings as given', () => {
+      run('SET search_path TO app, "My Schema", public');
+
+      expect(show('search_path')).toBe('app, "My Schema", public');
+    });
+
+    test('should normalize values as PostgreSQL displays them', () => {
+      run("SET datestyle = 'german'");
+      expect(show('DateStyle')).toBe('German, DMY');
+      run('SET datestyle = mdy');
+      expect(show('DateStyle')).toBe('German, MDY');
+
+      run("SET work_mem = '64MB'");
+      expect(show('work_mem')).toBe('64MB');
+      run('SET work_mem = 2048');
+      expect(show('work_mem')).toBe('2MB');
+
+      run('SET standard_conforming_strings = yes');
+      expect(show('standard_conforming_strings')).toBe('on');
+    });
+
+    test('should reset every user setting with RESET ALL', () => {
+      run("SET application_name = 'a'; SET statement_timeout = '5s'");
+      run('RESET ALL');
+
+      expect(show('application_name')).toBe('');
+      expect(show('statement_timeout')).toBe('0');
+    });
+
+    test('should list every setting with SHOW ALL', () => {
+      const { rows } = run('SHOW ALL');
+      const names = rows.map(row => row[0]);
+
+      expect(names).toEqual(
+        [...names].sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+      );
+      expect(rows.find(row => row[0] === 'server_version')[1]).toBe(show('server_version'));
+      expect(rows.every(row => row.length === 3)).toBe(true);
+    });
+
+    test('should accept custom settings with a qualified name', () => {
+      run("SET myapp.tenant = 'acme'");
+
+      expect(show('myapp.tenant')).toBe('acme');
+      expect(run('SHOW myapp.other').errors).toEqual(['42704']);
+    });
+  });
+
+  describe('Errors', () => {
+    test('should report 42704 for unknown settings', () => {
+      expect(run('SET no_such_setting = 1')).toMatchObject({
+        errors: ['42704'],
+        messages: ['unrecognized configuration parameter "no_such_setting"'],
+      });
+      expect(run('SHOW no_such_setting').errors).toEqual(['42704']);
+      expect(run('RESET no_such_setting').errors).toEqual(['42704']);
+    });
+
+    test('should show time zone names with their database casing', () => {
+      run("SET timezone = 'america/new_york'");
+      expect(show('timezone')).toBe('America/New_York');
+      run("SET timezone = 'US/Pacific'");
+      expect(show('timezone')).toBe('US/Pacific');
+      run("SET timezone = 'utc'");
+      expect(show('timezone')).toBe('UTC');
+    });
+
+    test('should report 22023 for invalid values', () => {
+      expect(run('SET standard_conforming_strings = maybe')).toMatchObject({
+        errors: ['22023'],
+        messages: ['parameter "standard_conforming_strings" requires a Boolean value'],
+      });
+      expect(run("SET bytea_output = 'octal'").errors).toEqual(['22023']);
+      expect(run('SET extra_float_digits = 10').errors).toEqual(['22023']);
+      expect(run("SET timezone = 'Mars/Olympus'").errors).toEqual(['22023']);
+      expect(run('SET application_name = a, b').messages).toEqual([
+        'SET application_name takes only one argument',
+      ]);
+    });
+
+    test('should refuse settings that cannot be changed', () => {
+      expect(run("SET server_version = '1.0'").errors).toEqual(['55P02']);
+      expect(run('SET max_connections = 5').errors).toEqual(['55P02']);
+    });
+
+    test('should report syntax errors', () => {
+      expect(run('SET application_name').errors).toEqual(['42601']);
+    });
+  });
+
+  describe('Transactions', () => {
+    test('should keep SET LOCAL until the end of the transaction', () => {
+      run("BEGIN; SET LOCAL application_name = 'batch'");
+      expect(show('application_name')).toBe('batch');
+
+      run('COMMIT');
+      expect(show('application_name')).toBe('');
+    });
+
+    test('should warn about SET LOCAL outside a transaction block', () => {
+      expect(run("SET LOCAL application_name = 'batch'")).toMatchObject({
+        warnings: ['25P01'],
+        tags: ['SET'],
+      });
+      expect(show('application_name')).toBe('');
+    });
+
+    test('should undo SET on ROLLBACK and ROLLBACK TO SAVEPOINT', () => {
+      run("BEGIN; SET application_name = 'one'");
+      run('ROLLBACK');
+      expect(show('application_name')).toBe('');
+
+      run("BEGIN; SET application_name = 'one'; SAVEPOINT sp; SET application_name = 'two'");
+      run('ROLLBACK TO SAVEPOINT sp');
+      expect(show('application_name')).toBe('one');
+      run('COMMIT');
+      expect(show('application_name')).toBe('one');
+    });
+
+    test('should undo SET in a failed multi-statement query', () => {
+      run("SET application_name = 'one'; SELECT 1/0");
+
+      expect(show('application_name')).toBe('');
+    });
+  });
+
+  describe('Functions', () => {
+    test('should read settings with current_setting()', () => {
+      run("SET application_name = 'reports'");
+
+      expect(run("SELECT current_setting('application_name')").rows).toEqual([['reports']]);
+      expect(run("SELECT current_setting('no_such_setting')").errors).toEqual(['42704']);
+      expect(run("SELECT current_setting('no_such_setting', true)").rows).toEqual([[null]]);
+    });
+
+    test('should change settings with set_config()', () => {
+      expect(run("SELECT set_config('work_mem', '8192', false)").rows).toEqual([['8MB']]);
+      expect(show('work_mem')).toBe('8MB');
+
+      run("BEGIN; SELECT set_config('application_name', 'local', true)");
+      expect(show('application_name')).toBe('local');
+      run('COMMIT');
+      expect(show('application_name')).toBe('');
+    });
+  });
+
+  describe('ParameterStatus', () => {
+    test('should report a changed reportable setting before ReadyForQuery', () => {
+      const result = run("SET application_name = 'reports'");
+
+      expect(result.parameters).toEqual([['application_name', 'reports']]);
+      expect(result.types.endsWith('SZ')).toBe(true);
+    });
+
+    test('should not report settings that did not change', () => {
+      run("SET application_name = 'reports'");
+
+      expect(run("SET application_name = 'reports'").parameters).toEqual([]);
+      expect(run("SET work_mem = '8MB'").parameters).toEqual([]);
+    });
+
+    test('should report the value restored at the end of a transaction', () => {
+      run("BEGIN; SET LOCAL TIME ZONE 'Asia/Tokyo'");
+      expect(run('COMMIT').parameters).toEqual([['TimeZone', 'UTC']]);
+    });
+  });
+
+  describe('Startup settings', () => {
+    test('should read settings from the options parameter', () => {
+      const settings = readStartupSettings(
+        new Map([
+          ['user', 'postgres'],
+          ['options', '-c search_path=app --work-mem=16MB'],
+          ['DateStyle', 'ISO, DMY'],
+        ])
+      );
+      connState.applyStartupSettings(settings);
+
+      expect(show('search_path')).toBe('app');
+      expect(show('work_mem')).toBe('16MB');
+      expect(show('DateStyle')).toBe('ISO, DMY');
+    });
+
+    test('should make startup values the RESET default', () => {
+      connState.applyStartupSettings(new Map([['application_name', 'worker']]));
+      run("SET application_name = 'other'");
+      run('RESET application_name');
+
+      expect(show('application_name')).toBe('worker');
+    });
+  });
+
+  describe('SessionSettings', () => {
+    test('should seed defaults from the server parameters', () => {
+      const settings = new SessionSettings();
+      settings.setDefaults({ TimeZone: 'Europe/Paris', client_encoding: 'latin1' });
+
+      expect(settings.show('timezone')).toBe('Europe/Paris');
+      expect(settings.show('client_encoding')).toBe('LATIN1');
+    });
+  });
+});
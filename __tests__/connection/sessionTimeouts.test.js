@@ -0,0 +1,302 @@
+/**
+ * Tests for statement_timeout, lock_timeout, idle_in_transaction_session_timeout
+ * and idle_session_timeout
+ */
+
+const net = require('net');
+const {
+  parseTimeoutSetting,
+  formatTimeoutSetting,
+} = require('../../src/connection/sessionTimeouts');
+const { readStartupSettings } = require('../../src/connection/sessionSettings');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { processQuery, executeQuery } = require('../../src/handlers/queryHandlers');
+const { ServerManager } = require('../../src/server/serverManager');
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const { startupMessage, queryMessage } = require('../helpers/protocolMessages');
+
+/**
+ * Opens a connection and collects backend messages until the server closes it
+ * @param {number} port - Server port
+ * @param {Object} parameters - Startup parameters
+ * @returns {Object} Socket, received messages and a closed promise
+ */
+function openSession(port, parameters = { user: 'tester' }) {
+  const socket = net.connect({ port, host: 'localhost' });
+  const session = { socket, messages: [] };
+  let buffer = Buffer.alloc(0);
+
+  session.closed = new Promise(resolve => socket.on('close', resolve));
+  socket.on('error', () => {});
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 5 && buffer.length >= buffer.readInt32BE(1) + 1) {
+      const length = buffer.readInt32BE(1);
+      session.messages.push({
+        type: String.fromCharCode(buffer[0]),
+        fields: buffer
+          .slice(5, length + 1)
+          .toString('utf8')
+          .split('\0'),
+      });
+      buffer = buffer.slice(length + 1);
+    }
+  });
+
+  socket.write(startupMessage(parameters));
+  return session;
+}
+
+/**
+ * Finds the ErrorResponse fields received on a session
+ * @param {Object} session - Session from openSession()
+ * @returns {Object|undefined} Fields by code (S, C, M, ...)
+ */
+function errorFields(session) {
+  const error = session.messages.find(msg => msg.type === 'E');
+  return error && Object.fromEntries(error.fields.filter(Boolean).map(f => [f[0], f.slice(1)]));
+}
+
+describe('Session Timeouts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('Values', () => {
+    test('should parse milliseconds and time units', () => {
+      expect(parseTimeoutSetting('statement_timeout', '250')).toBe(250);
+      expect(parseTimeoutSetting('statement_timeout', "'5s'")).toBe(5000);
+      expect(parseTimeoutSetting('statement_timeout', '1.5 min')).toBe(90000);
+      expect(parseTimeoutSetting('statement_timeout', '2500us')).toBe(3);
+      expect(parseTimeoutSetting('statement_timeout', 0)).toBe(0);
+    });
+
+    test('should reject malformed and out-of-range values with 22023', () => {
+      expect(() => parseTimeoutSetting('statement_timeout', '5 parsecs')).toThrow(
+        'invalid value for parameter "statement_timeout": "5 parsecs"'
+      );
+      expect(() => parseTimeoutSetting('lock_timeout', '-1')).toThrow(
+        '-1 ms is outside the valid range for parameter "lock_timeout" (0 .. 2147483647)'
+      );
+
+      let thrown = null;
+      try {
+        parseTimeoutSetting('statement_timeout', 'soon');
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown.code).toBe('22023');
+    });
+
+    test('should format values as SHOW does', () => {
+      expect(formatTimeoutSetting(0)).toBe('0');
+      expect(formatTimeoutSetting(250)).toBe('250ms');
+      expect(formatTimeoutSetting(5000)).toBe('5s');
+      expect(formatTimeoutSetting(90000)).toBe('90s');
+      expect(formatTimeoutSetting(120000)).toBe('2min');
+    });
+
+    test('should read timeouts from startup parameters and options', () => {
+      const connState = new ConnectionState();
+      connState.applyStartupSettings(
+        readStartupSettings(
+          new Map([
+            ['user', 'app'],
+            ['statement_timeout', '3s'],
+            ['options', '-c lock_timeout=100 --idle-session-timeout=1min -cstatement_timeout=9'],
+          ])
+        )
+      );
+
+      expect(connState.getSessionTimeout('statement_timeout')).toBe(3000);
+      expect(connState.getSessionTimeout('lock_timeout')).toBe(100);
+      expect(connState.getSessionTimeout('idle_session_timeout')).toBe(60000);
+    });
+  });
+
+  describe('SET and SHOW', () => {
+    let connState;
+
+    beforeEach(() => {
+      connState = new ConnectionState();
+      connState.setSettingDefaults({ statement_timeout: 1000 });
+    });
+
+    test('should change the timeout for the session', () => {
+      expect(processQuery("SET statement_timeout = '2min'", connState).command).toBe('SET');
+      expect(connState.getSessionTimeout('statement_timeout')).toBe(120000);
+
+      processQuery('SET idle_in_transaction_session_timeout TO 500', connState);
+      expect(connState.getSessionTimeout('idle_in_transaction_session_timeout')).toBe(500);
+
+      const shown = processQuery('SHOW statement_timeout', connState);
+      expect(shown.columns[0].name).toBe('statement_timeout');
+      expect(shown.rows).toEqual([['2min']]);
+    });
+
+    test('should restore the server default with SET ... TO DEFAULT', () => {
+      processQuery('SET statement_timeout = 0', connState);
+      expect(processQuery('SHOW statement_timeout', connState).rows).toEqual([['0']]);
+
+      processQuery('SET statement_timeout TO DEFAULT', connState);
+      expect(connState.getSessionTimeout('statement_timeout')).toBe(1000);
+    });
+
+    test('should reject an invalid value and keep the old one', () => {
+      const result = processQuery("SET lock_timeout = 'later'", connState);
+
+      expect(result.error.code).toBe('22023');
+      expect(connState.getSessionTimeout('lock_timeout')).toBe(0);
+    });
+  });
+
+  describe('statement_timeout', () => {
+    let connState;
+    let socket;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      connState = new ConnectionState();
+      connState.authenticate(PROTOCOL_VERSION_3_0);
+      socket = { write: jest.fn() };
+    });
+
+    test('should cancel a statement that runs too long with 57014', async () => {
+      connState.setSessionTimeout('statement_timeout', 100);
+
+      const pending = executeQuery('SELECT pg_sleep(10)', socket, connState);
+      jest.advanceTimersByTime(99);
+      expect(socket.write).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await pending;
+
+      const error = socket.write.mock.calls[0][0].toString();
+      expect(error).toContain('C57014');
+      expect(error).toContain('canceling statement due to statement timeout');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('should let a statement finish within the timeout', async () => {
+      connState.setSessionTimeout('statement_timeout', 1000);
+
+      const pending = executeQuery('SELECT pg_sleep(0.5)', socket, connState);
+      jest.advanceTimersByTime(500);
+      await pending;
+
+      expect(socket.write.mock.calls.map(([buffer]) => String.fromCharCode(buffer[0]))).toEqual([
+        'T',
+        'D',
+        'C',
+      ]);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('should not be armed when disabled', () => {
+      connState.startQuery('COPY t FROM STDIN', jest.fn());
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('Over the wire', () => {
+    let server;
+    let port;
+
+    /**
+     * Starts a server with the given timeout defaults
+     * @param {Object} config - Extra server configuration
+     */
+    async function startServer(config = {}) {
+      server = new ServerManager({
+        port: 0,
+        host: 'localhost',
+        enableLogging: false,
+        enableConnectionPooling: false,
+        shutdownDrainTimeout: 200,
+        http: { enabled: false },
+        ...config,
+      });
+      await server.start();
+      port = server.getAddress().port;
+    }
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    test('should end an idle session with FATAL 57P05', async () => {
+      await startServer({ idleSessionTimeout: 100 });
+
+      const session = openSession(port);
+      await session.closed;
+
+      expect(errorFields(session)).toMatchObject({
+        S: 'FATAL',
+        C: '57P05',
+        M: 'terminating connection due to idle-session timeout',
+      });
+      expect(server.getStats().idleSessionsTerminated).toBe(1);
+    });
+
+    test('should end a session idle in a transaction with FATAL 25P03', async () => {
+      await startServer();
+
+      const session = openSession(port, {
+        user: 'tester',
+        idle_in_transaction_session_timeout: '100ms',
+      });
+      session.socket.write(queryMessage('BEGIN'));
+      await session.closed;
+
+      expect(errorFields(session)).toMatchObject({
+        S: 'FATAL',
+        C: '25P03',
+        M: 'terminating connection due to idle-in-transaction timeout',
+      });
+    });
+
+    test('should keep a session open while it stays active', async () => {
+      await startServer({ idleSessionTimeout: 150 });
+
+      const session = openSession(port);
+      for (let i = 0; i < 3; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        session.socket.write(queryMessage('SELECT 1'));
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(session.socket.destroyed).toBe(false);
+      expect(errorFields(session)).toBeUndefined();
+      session.socket.destroy();
+    });
+
+    test('should apply a statement_timeout from the startup packet', async () => {
+      await startServer();
+
+      const session = openSession(port, { user: 'tester', options: '-c statement_timeout=50' });
+      session.socket.write(queryMessage('SELECT pg_sleep(30)'));
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(errorFields(session)).toMatchObject({ S: 'ERROR', C: '57014' });
+      expect(session.messages[session.messages.length - 1].type).toBe('Z');
+      session.socket.destroy();
+    });
+
+    test('should refuse a startup packet with an invalid timeout', async () => {
+      await startServer();
+
+      const session = openSession(port, { user: 'tester', statement_timeout: 'forever' });
+      await session.closed;
+
+      expect(errorFields(session)).toMatchObject({ S: 'FATAL', C: '22023' });
+      expect(session.messages.some(msg => msg.type === 'Z')).toBe(false);
+    });
+  });
+});
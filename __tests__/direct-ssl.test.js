@@ -0,0 +1,245 @@
+/**
+ * Direct SSL and GSSENCRequest Tests
+ * Tests for declining GSS encryption and for PostgreSQL 17-style direct SSL
+ * connections (sslnegotiation=direct), which must negotiate the "postgresql" ALPN
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { execSync } = require('child_process');
+const { processMessage } = require('../src/protocol/messageProcessors');
+const { ConnectionState } = require('../src/connection/connectionState');
+const { ServerManager } = require('../src/server/serverManager');
+const { isValidProtocolVersion } = require('../src/protocol/utils');
+const { generateCertificate, generatePrivateKey } = require('../scripts/generate-certs');
+const { SSL_REQUEST_CODE, GSSENC_REQUEST_CODE } = require('../src/protocol/constants');
+const { startupMessage } = require('./helpers/protocolMessages');
+const { MockSocket } = require('./helpers/backendMessages');
+
+/**
+ * Builds an 8-byte request packet such as GSSENCRequest
+ * @param {number} code - Request code
+ * @returns {Buffer} Request packet
+ */
+function requestPacket(code) {
+  const packet = Buffer.alloc(8);
+  packet.writeInt32BE(8, 0);
+  packet.writeInt32BE(code, 4);
+  return packet;
+}
+
+/**
+ * Checks whether OpenSSL is installed, which minting certificates needs
+ * @returns {boolean} True if the openssl command runs
+ */
+function hasOpenSSL() {
+  try {
+    execSync('openssl version', { stdio: 'pipe' });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the outcome of a startup from the messages received
+ * @param {Buffer} data - Backend messages
+ * @returns {Object|null} {authenticated}, {error, code}, or null if incomplete
+ */
+function outcome(data) {
+  if (data[0] === 'E'.charCodeAt(0)) {
+    const fields = data.toString('utf8', 5);
+    return { error: /\0M([^\0]*)\0/.exec(fields)[1], code: /\0C(\w+)\0/.exec(fields)[1] };
+  }
+  return data.toString().includes('Z\0\0\0\u0005I') ? { authenticated: true } : null;
+}
+
+describe('Direct SSL and GSSENCRequest Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GSSENCRequest', () => {
+    test('should decline GSS encryption with N and wait for the next request', () => {
+      const socket = new MockSocket();
+      const connState = new ConnectionState();
+
+      expect(processMessage(requestPacket(GSSENC_REQUEST_CODE), socket, connState)).toBe(8);
+      expect(socket.data).toEqual([Buffer.from('N')]);
+      expect(socket.ended).toBe(false);
+
+      processMessage(startupMessage({ user: 'alice' }), socket, connState);
+      expect(connState.authenticated).toBe(true);
+    });
+
+    test('should be a valid protocol code', () => {
+      expect(isValidProtocolVersion(GSSENC_REQUEST_CODE)).toBe(true);
+    });
+  });
+
+  describe('over TCP', () => {
+    let dir;
+    let server;
+
+    /**
+     * Starts a server
+     * @param {Object} config - Configuration overrides
+     * @returns {Promise<ServerManager>} Running server
+     */
+    const startServer = async (config = {}) => {
+      server = new ServerManager({
+        port: 0,
+        host: 'localhost',
+        enableLogging: false,
+        enableConnectionPooling: false,
+        shutdownDrainTimeout: 200,
+        http: { enabled: false },
+        ...config,
+      });
+      await server.start();
+      return server;
+    };
+
+    /**
+     * Sends the startup packet over a secured socket and waits for the outcome
+     * @param {tls.TLSSocket} secure - Socket, once its handshake is started
+     * @returns {Promise<Object>} {authenticated}, {error, code} or {closed}
+     */
+    const startUp = secure =>
+      new Promise((resolve, reject) => {
+        let received = Buffer.alloc(0);
+        secure.once('error', reject);
+        secure.on('data', data => {
+          received = Buffer.concat([received, data]);
+          const reply = outcome(received);
+          if (reply) {
+            secure.destroy();
+            resolve(reply);
+          }
+        });
+        secure.on('close', () => resolve({ closed: true }));
+      });
+
+    afterEach(async () => {
+      if (server) {
+        await server.stop();
+        server = null;
+      }
+    });
+
+    afterAll(() => {
+      if (dir) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should answer GSSENCRequest and then start up in plain text', async () => {
+      await startServer();
+
+      const reply = await new Promise((resolve, reject) => {
+        const socket = net.connect(server.getAddress().port, 'localhost');
+        socket.once('error', reject);
+        socket.on('connect', () => socket.write(requestPacket(GSSENC_REQUEST_CODE)));
+        socket.once('data', answer => {
+          expect(answer.toString()).toBe('N');
+          socket.write(startupMessage({ user: 'alice' }));
+          resolve(startUp(socket));
+        });
+      });
+
+      expect(reply).toEqual({ authenticated: true });
+    });
+
+    test('should close direct SSL connections when SSL is not enabled', async () => {
+      await startServer();
+
+      const result = await new Promise(resolve => {
+        const secure = tls.connect({
+          port: server.getAddress().port,
+          host: 'localhost',
+          rejectUnauthorized: false,
+          ALPNProtocols: ['postgresql'],
+        });
+        secure.on('secureConnect', () => resolve('secured'));
+        secure.on('error', () => resolve('failed'));
+        secure.on('close', () => resolve('failed'));
+      });
+
+      expect(result).toBe('failed');
+    });
+
+    const describeWithOpenSSL = hasOpenSSL() ? describe : describe.skip;
+
+    describeWithOpenSSL('with SSL enabled', () => {
+      beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-direct-ssl-'));
+        generatePrivateKey(path.join(dir, 'server.key'));
+        generateCertificate(path.join(dir, 'server.key'), path.join(dir, 'server.crt'));
+        jest.restoreAllMocks();
+      }, 30000);
+
+      beforeEach(async () => {
+        await startServer({
+          enableSSL: true,
+          sslCertPath: path.join(dir, 'server.crt'),
+          sslKeyPath: path.join(dir, 'server.key'),
+        });
+      });
+
+      /**
+       * Opens a direct SSL connection and sends the startup packet
+       * @param {Array<string>} [alpn] - ALPN protocols to offer
+       * @returns {Promise<Object>} Outcome of the startup
+       */
+      const connectDirect = alpn => {
+        const options = {
+          port: server.getAddress().port,
+          host: 'localhost',
+          rejectUnauthorized: false,
+        };
+        if (alpn) {
+          options.ALPNProtocols = alpn;
+        }
+        const secure = tls.connect(options, () => secure.write(startupMessage({ user: 'alice' })));
+        return startUp(secure);
+      };
+
+      test('should authenticate a direct SSL client that negotiates postgresql', async () => {
+        await expect(connectDirect(['postgresql'])).resolves.toEqual({ authenticated: true });
+      });
+
+      test('should refuse direct SSL without ALPN with a FATAL 08P01', async () => {
+        await expect(connectDirect()).resolves.toEqual({
+          error:
+            'received direct SSL connection request without ALPN protocol negotiation extension',
+          code: '08P01',
+        });
+      });
+
+      test('should still accept SSLRequest clients that offer no ALPN', async () => {
+        const reply = await new Promise((resolve, reject) => {
+          const socket = net.connect(server.getAddress().port, 'localhost');
+          socket.once('error', reject);
+          socket.on('connect', () => socket.write(requestPacket(SSL_REQUEST_CODE)));
+          socket.once('data', answer => {
+            expect(answer.toString()).toBe('S');
+            const secure = tls.connect({ socket, rejectUnauthorized: false }, () =>
+              secure.write(startupMessage({ user: 'alice' }))
+            );
+            resolve(startUp(secure));
+          });
+        });
+
+        expect(reply).toEqual({ authenticated: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Tests for delayed query responses: pg_sleep and simulated latency
+ */
+
+const net = require('net');
+const { processQuery, executeQuery } = require('../../src/handlers/queryHandlers');
+const { processMessage } = require('../../src/protocol/messageProcessors');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { FixtureStore } = require('../../src/fixtures/fixtureStore');
+const { ServerManager } = require('../../src/server/serverManager');
+const { LatencyModel } = require('../../src/utils/latencyModel');
+const { DATA_TYPES, PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const { queryMessage, startupMessage } = require('../helpers/protocolMessages');
+const { MockSocket, readMessages } = require('../helpers/backendMessages');
+
+/**
+ * Runs one simple query over a new connection and resolves when ReadyForQuery arrives
+ * @param {number} port - Server port
+ * @param {string} query - SQL text
+ * @returns {Promise<number>} Time at which the answer completed
+ */
+function timedQuery(port, query) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ port, host: 'localhost' });
+    let buffer = Buffer.alloc(0);
+    let ready = false;
+
+    socket.on('error', reject);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 5 && buffer.length >= buffer.readInt32BE(1) + 1) {
+        const type = String.fromCharCode(buffer[0]);
+        buffer = buffer.slice(buffer.readInt32BE(1) + 1);
+        if (type !== 'Z') {
+          continue;
+        }
+        if (!ready) {
+          ready = true;
+          socket.write(queryMessage(query));
+        } else {
+          socket.destroy();
+          resolve(Date.now());
+        }
+      }
+    });
+
+    socket.write(startupMessage());
+  });
+}
+
+describe('Delayed Query Responses', () => {
+  let connState;
+  let socket;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.useFakeTimers();
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('pg_sleep', () => {
+    test('should return a void column and report the requested time', () => {
+      const result = processQuery('SELECT pg_sleep(1.5)', connState);
+
+      expect(result.columns[0]).toMatchObject({ name: 'pg_sleep', dataTypeOID: DATA_TYPES.VOID });
+      expect(result.rows).toEqual([['']]);
+      expect(result.sleepMs).toBe(1500);
+    });
+
+    test('should accept intervals for pg_sleep_for', () => {
+      expect(processQuery("SELECT pg_sleep_for('2 seconds')", connState).sleepMs).toBe(2000);
+      expect(processQuery("SELECT pg_sleep_for('1 min 30 s')", connState).sleepMs).toBe(90000);
+      expect(processQuery("SELECT pg_sleep_for('00:00:01.25')", connState).sleepMs).toBe(1250);
+      expect(processQuery("SELECT pg_sleep_for('250 milliseconds')", connState).sleepMs).toBe(250);
+    });
+
+    test('should reject malformed intervals', () => {
+      const result = processQuery("SELECT pg_sleep_for('soon')", connState);
+
+      expect(result.error.code).toBe('22007');
+      expect(result.error.message).toBe('invalid input syntax for type interval: "soon"');
+    });
+
+    test('should not sleep for zero, negative or NULL durations', () => {
+      expect(processQuery('SELECT pg_sleep(0)', connState).sleepMs).toBeUndefined();
+      expect(processQuery('SELECT pg_sleep(-1)', connState).sleepMs).toBeUndefined();
+      expect(processQuery('SELECT pg_sleep(NULL)', connState).rows).toEqual([[null]]);
+    });
+
+    test('should hold back the response until the sleep is over', async () => {
+      const pending = executeQuery('SELECT pg_sleep(2)', socket, connState);
+
+      expect(pending).toBeInstanceOf(Promise);
+      expect(socket.write).not.toHaveBeenCalled();
+      expect(connState.getActiveQuery().query).toBe('SELECT pg_sleep(2)');
+
+      jest.advanceTimersByTime(1999);
+      expect(socket.write).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await pending;
+      expect(readMessages(socket).map(msg => msg.type)).toEqual(['T', 'D', 'C']);
+      expect(connState.getActiveQuery()).toBeNull();
+    });
+
+    test('should answer with 57014 when canceled while sleeping', async () => {
+      const pending = executeQuery('SELECT pg_sleep(60)', socket, connState);
+
+      expect(connState.cancelActiveQuery()).toBe(true);
+      await pending;
+
+      expect(readMessages(socket).map(msg => msg.type)).toEqual(['E']);
+      expect(readMessages(socket)[0].code).toBe('57014');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('Simple query protocol', () => {
+    test('should send ReadyForQuery and run later statements after the delay', async () => {
+      processMessage(queryMessage('SELECT pg_sleep(1); SELECT 2'), socket, connState);
+
+      expect(connState.getPendingResponse()).not.toBeNull();
+      expect(socket.write).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      await connState.getPendingResponse();
+
+      expect(readMessages(socket).map(msg => msg.type)).toEqual([
+        'T',
+        'D',
+        'C',
+        'T',
+        'D',
+        'C',
+        'Z',
+      ]);
+      expect(connState.getPendingResponse()).toBeNull();
+    });
+
+    test('should skip the remaining statements after a cancel', async () => {
+      processMessage(queryMessage('SELECT pg_sleep(5); SELECT 2'), socket, connState);
+
+      connState.cancelActiveQuery();
+      await connState.getPendingResponse();
+
+      expect(readMessages(socket).map(msg => msg.type)).toEqual(['E', 'Z']);
+    });
+  });
+
+  describe('Simulated latency', () => {
+    test('should delay every response by the connection latency', async () => {
+      connState.setLatencyModel(new LatencyModel(300));
+
+      const pending = executeQuery('SELECT 1', socket, connState);
+      jest.advanceTimersByTime(299);
+      expect(socket.write).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await pending;
+      expect(readMessages(socket).map(msg => msg.type)).toEqual(['T', 'D', 'C']);
+    });
+
+    test('should let a fixture latency override the connection latency', async () => {
+      const store = new FixtureStore({ enableLogging: false });
+      store.addFixtures([
+        {
+          name: 'slow',
+          match: { text: 'SELECT report()' },
+          response: { columns: ['n'], rows: [[1]], latency: { distribution: 'fixed', ms: 5000 } },
+        },
+      ]);
+      connState.setFixtureStore(store);
+      connState.setLatencyModel(new LatencyModel(10));
+
+      const pending = executeQuery('SELECT report()', socket, connState);
+      jest.advanceTimersByTime(4999);
+      expect(socket.write).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await pending;
+      expect(readMessages(socket).map(msg => msg.type)).toEqual(['T', 'D', 'C']);
+    });
+
+    test('should reject fixtures with an invalid latency', () => {
+      const store = new FixtureStore({ enableLogging: false });
+
+      expect(() =>
+        store.addFixtures([
+          { name: 'bad', match: { text: 'SELECT 1' }, response: { latency: 'sometimes' } },
+        ])
+      ).toThrow('Invalid fixture "bad"');
+    });
+  });
+
+  describe('Over the wire', () => {
+    let server;
+
+    beforeEach(async () => {
+      jest.useRealTimers();
+      server = new ServerManager({
+        port: 0,
+        host: 'localhost',
+        enableLogging: false,
+        enableConnectionPooling: false,
+        shutdownDrainTimeout: 200,
+        http: { enabled: false },
+      });
+      await server.start();
+    });
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    test('should keep serving other connections while one sleeps', async () => {
+      const port = server.getAddress().port;
+      const started = Date.now();
+
+      const [slowDone, fastDone] = await Promise.all([
+        timedQuery(port, 'SELECT pg_sleep(0.4)'),
+        timedQuery(port, 'SELECT 1'),
+      ]);
+
+      expect(fastDone).toBeLessThan(slowDone);
+      expect(slowDone - started).toBeGreaterThanOrEqual(350);
+    });
+  });
+});
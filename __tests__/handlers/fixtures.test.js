@@ -0,0 +1,328 @@
+/**
+ * Tests for declarative query fixtures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { processQuery, executeQuery } = require('../../src/handlers/queryHandlers');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { FixtureStore, fingerprintQuery } = require('../../src/fixtures/fixtureStore');
+const { createQueryLogger } = require('../../src/utils/logger');
+const { DATA_TYPES } = require('../../src/protocol/constants');
+
+describe('Query Fixtures', () => {
+  let connState;
+  let store;
+
+  /**
+   * Adds fixtures to the store under test
+   * @param {...Object} fixtures - Fixture definitions
+   */
+  const use = (...fixtures) => store.addFixtures(fixtures);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    store = new FixtureStore({ enableLogging: false });
+    connState = new ConnectionState();
+    connState.parameters.set('user', 'alice');
+    connState.parameters.set('database', 'shop');
+    connState.setFixtureStore(store);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Matching', () => {
+    test('should match exact text ignoring surrounding whitespace and semicolons', () => {
+      use({
+        name: 'ping',
+        match: { text: 'SELECT ping()' },
+        response: { columns: ['ping'], rows: [['pong']] },
+      });
+
+      const result = processQuery('  SELECT ping();  ', connState);
+
+      expect(result.fixture).toBe('ping');
+      expect(result.rows).toEqual([['pong']]);
+      expect(processQuery('select ping()', connState).fixture).toBeUndefined();
+    });
+
+    test('should match by fingerprint regardless of literals, case and comments', () => {
+      use({
+        name: 'user-by-id',
+        match: { fingerprint: 'SELECT name FROM accounts WHERE id = ?' },
+        response: { columns: ['name'], rows: [['Alice']] },
+      });
+
+      expect(
+        processQuery('select name /* c */ from ACCOUNTS where id = 42', connState).fixture
+      ).toBe('user-by-id');
+      expect(processQuery('SELECT name FROM accounts WHERE id = $1', connState).fixture).toBe(
+        'user-by-id'
+      );
+      expect(processQuery('SELECT name FROM accounts WHERE id > 1', connState).fixture).toBe(
+        undefined
+      );
+    });
+
+    test('should match by regular expression', () => {
+      use({
+        name: 'migrations',
+        match: { regex: '^select .* from schema_migrations', flags: 'i' },
+        response: { columns: ['version'], rows: [] },
+      });
+
+      const result = processQuery('SELECT version FROM schema_migrations', connState);
+
+      expect(result.fixture).toBe('migrations');
+      expect(result.rowCount).toBe(0);
+    });
+
+    test('should match bound parameter values', () => {
+      use(
+        {
+          name: 'id-7',
+          match: { fingerprint: 'SELECT * FROM accounts WHERE id = $1', params: [7] },
+          response: { columns: ['id'], rows: [[7]] },
+        },
+        {
+          name: 'id-other',
+          match: { fingerprint: 'SELECT * FROM accounts WHERE id = $1' },
+          response: { columns: ['id'], rows: [] },
+        }
+      );
+      const query = 'SELECT * FROM accounts WHERE id = $1';
+
+      expect(processQuery(query, connState, { params: ['7'] }).fixture).toBe('id-7');
+      expect(processQuery(query, connState, { params: ['8'] }).fixture).toBe('id-other');
+    });
+
+    test('should match session user, database and application_name', () => {
+      use({
+        name: 'reporting',
+        match: { text: 'SELECT 1', user: 'alice', database: 'shop', applicationName: 'reports' },
+        response: { columns: ['one'], rows: [[1]] },
+      });
+
+      expect(processQuery('SELECT 1', connState).fixture).toBeUndefined();
+
+      connState.setSetting('application_name', 'reports');
+      expect(processQuery('SELECT 1', connState).fixture).toBe('reporting');
+    });
+
+    test('should fall back to the regular handlers when nothing matches', () => {
+      use({ name: 'other', match: { text: 'SELECT 2' }, response: { columns: ['a'], rows: [] } });
+
+      const result = processQuery('SELECT 1', connState);
+
+      expect(result.fixture).toBeUndefined();
+      expect(result.rows).toEqual([['1']]);
+    });
+
+    test('should answer queries the parser would reject', () => {
+      use({
+        name: 'vendor-syntax',
+        match: { text: 'SHOW ME THE MONEY' },
+        response: { command: 'SHOW' },
+      });
+
+      expect(processQuery('SHOW ME THE MONEY', connState).command).toBe('SHOW');
+    });
+  });
+
+  describe('Responses', () => {
+    test('should build typed columns and text rows', () => {
+      use({
+        name: 'typed',
+        match: { text: 'SELECT typed' },
+        response: {
+          columns: [
+            { name: 'id', type: 'integer' },
+            { name: 'label', type: 'varchar(10)' },
+            { name: 'tags', type: 'text[]' },
+            { name: 'ok', type: 'bool' },
+            { name: 'raw', type: DATA_TYPES.JSON },
+          ],
+          rows: [
+            [1, 'a', ['x', 'y'], true, { k: 1 }],
+            [2, null, [], false, null],
+          ],
+        },
+      });
+
+      const result = processQuery('SELECT typed', connState);
+
+      expect(result.columns.map(col => col.dataTypeOID)).toEqual([
+        DATA_TYPES.INT4,
+        DATA_TYPES.VARCHAR,
+        DATA_TYPES.TEXT_ARRAY,
+        DATA_TYPES.BOOL,
+        DATA_TYPES.JSON,
+      ]);
+      expect(result.columns[1].typeModifier).toBe(14);
+      expect(result.rows).toEqual([
+        ['1', 'a', '{x,y}', 't', '{"k":1}'],
+        ['2', null, '{}', 'f', null],
+      ]);
+      expect(result.command).toBe('SELECT');
+      expect(result.rowCount).toBe(2);
+    });
+
+    test('should use the given command tag and row count', () => {
+      use({
+        name: 'bulk-update',
+        match: { regex: '^UPDATE accounts' },
+        response: { command: 'UPDATE', rowCount: 12 },
+      });
+
+      const result = processQuery("UPDATE accounts SET active = 'f'", connState);
+
+      expect(result.command).toBe('UPDATE');
+      expect(result.rowCount).toBe(12);
+      expect(result.columns).toEqual([]);
+    });
+
+    test('should return errors with their SQLSTATE', () => {
+      use({
+        name: 'deadlock',
+        match: { text: 'UPDATE hot SET n = n + 1' },
+        response: { error: { code: '40P01', message: 'deadlock detected', hint: 'retry' } },
+      });
+
+      const result = processQuery('UPDATE hot SET n = n + 1', connState);
+
+      expect(result.fixture).toBe('deadlock');
+      expect(result.error.code).toBe('40P01');
+      expect(result.error.message).toBe('deadlock detected');
+      expect(result.error.hint).toBe('retry');
+    });
+
+    test('should send notices before the result', () => {
+      use({
+        name: 'noisy',
+        match: { text: 'DROP TABLE IF EXISTS gone' },
+        response: {
+          command: 'DROP TABLE',
+          notice: { code: '00000', message: 'table "gone" does not exist, skipping' },
+        },
+      });
+      const socket = { write: jest.fn() };
+
+      executeQuery('DROP TABLE IF EXISTS gone', socket, connState);
+
+      const types = socket.write.mock.calls.map(([buffer]) => String.fromCharCode(buffer[0]));
+      expect(types).toEqual(['N', 'C']);
+      expect(socket.write.mock.calls[0][0].toString()).toContain('does not exist, skipping');
+    });
+  });
+
+  describe('Loading', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should load fixtures from a JSON file', () => {
+      const file = path.join(dir, 'fixtures.json');
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          fixtures: [
+            { name: 'from-file', match: { text: 'SELECT 42' }, response: { command: 'SELECT' } },
+          ],
+        })
+      );
+
+      expect(store.loadFile(file)).toBe(1);
+      expect(processQuery('SELECT 42', connState).fixture).toBe('from-file');
+    });
+
+    test('should load fixtures from a YAML file', () => {
+      const file = path.join(dir, 'fixtures.yaml');
+      fs.writeFileSync(
+        file,
+        [
+          'fixtures:',
+          '  - name: from-yaml',
+          '    match: { text: SELECT 43 }',
+          '    response: { columns: [answer], rows: [[43]] }',
+          '',
+        ].join('\n')
+      );
+
+      expect(store.loadFile(file)).toBe(1);
+      expect(processQuery('SELECT 43', connState).rows).toEqual([['43']]);
+    });
+
+    test.each([
+      [{ match: {}, response: {} }, 'exactly one of text, fingerprint, regex'],
+      [{ match: { text: 'x', regex: 'x' }, response: {} }, 'exactly one of'],
+      [{ match: { regex: '(' }, response: {} }, 'Invalid fixture'],
+      [{ match: { regex: 'x', flags: 'gi' }, response: {} }, 'flags "g" and "y" are not supported'],
+      [{ match: { regex: 'x', flags: 'y' }, response: {} }, 'flags "g" and "y" are not supported'],
+      [
+        { match: { text: 'x' }, response: { columns: [{ name: 'a', type: 'widget' }] } },
+        'unknown type',
+      ],
+      [
+        { match: { text: 'x' }, response: { columns: ['a'], rows: [[1, 2]] } },
+        'must have 1 values',
+      ],
+      [
+        { match: { text: 'x' }, response: { error: { code: 'oops', message: 'm' } } },
+        '5-character',
+      ],
+    ])('should reject invalid fixture %#', (fixture, message) => {
+      expect(() => store.addFixtures([fixture])).toThrow(message);
+      expect(store.getStats().fixtureCount).toBe(0);
+    });
+
+    test('should report unreadable and malformed files', () => {
+      const file = path.join(dir, 'broken.json');
+      fs.writeFileSync(file, '{ not json');
+
+      expect(() => store.loadFile(path.join(dir, 'missing.json'))).toThrow('Cannot read');
+      expect(() => store.loadFile(file)).toThrow('Cannot parse');
+    });
+  });
+
+  describe('Fingerprints and logging', () => {
+    test('should normalize literals and parameters', () => {
+      expect(fingerprintQuery("SELECT * FROM t WHERE a = 'x' AND b IN (1, 2);")).toBe(
+        'select * from t where a = ? and b in ( ? , ? )'
+      );
+      expect(fingerprintQuery("SELECT 'open")).toBeNull();
+    });
+
+    test('should report the matched fixture in the query log', () => {
+      const logger = createQueryLogger({ enableLogging: true, colorOutput: false });
+      const session = logger.queryStart('SELECT ping()', {});
+      use({
+        name: 'ping-down',
+        match: { text: 'SELECT ping()' },
+        response: { error: { code: '57P01', message: 'terminating connection' } },
+      });
+
+      logger.queryComplete(session, processQuery('SELECT ping()', connState));
+
+      const logged = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+      expect(logged).toContain('"fixture":"ping-down"');
+    });
+
+    test('should count matches per fixture', () => {
+      use({ name: 'ping', match: { text: 'SELECT ping()' }, response: {} });
+      processQuery('SELECT ping()', connState);
+      processQuery('SELECT ping()', connState);
+
+      expect(store.getStats()).toEqual({ fixtureCount: 1, hits: { ping: 2 } });
+    });
+  });
+});
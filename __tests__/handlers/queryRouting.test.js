@@ -0,0 +1,137 @@
+/**
+ * Tests for parser-based query routing in processQuery
+ */
+
+const { processQuery, validateQuery, getQueryType } = require('../../src/handlers/queryHandlers');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { DATA_TYPES, TRANSACTION_STATUS } = require('../../src/protocol/constants');
+
+describe('Query Routing', () => {
+  let connState;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.parameters.set('user', 'testuser');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SELECT without FROM', () => {
+    test('should preserve the casing of string literals', () => {
+      const result = processQuery("select 'Hello World' AS greeting", connState);
+
+      expect(result.columns[0].name).toBe('greeting');
+      expect(result.rows).toEqual([['Hello World']]);
+    });
+
+    test('should evaluate expressions with PostgreSQL result types', () => {
+      const result = processQuery("SELECT 1 + 2, 'a' || 'b', 7 / 2, 1.5 + 1", connState);
+
+      expect(result.columns.map(col => col.dataTypeOID)).toEqual([
+        DATA_TYPES.INT4,
+        DATA_TYPES.TEXT,
+        DATA_TYPES.INT4,
+        DATA_TYPES.NUMERIC,
+      ]);
+      expect(result.rows).toEqual([['3', 'ab', '3', '2.5']]);
+    });
+
+    test('should ignore leading comments', () => {
+      const result = processQuery('-- health check\n/* probe */ SELECT 1', connState);
+
+      expect(result.columns[0].name).toBe('?column?');
+      expect(result.rows).toEqual([['1']]);
+    });
+
+    test('should read dollar-quoted and E strings', () => {
+      const result = processQuery("SELECT $$don't$$, E'tab\\there'", connState);
+
+      expect(result.rows).toEqual([["don't", 'tab\there']]);
+    });
+
+    test('should keep session functions working', () => {
+      const result = processQuery('SELECT current_user', connState);
+
+      expect(result.columns[0].name).toBe('current_user');
+      expect(result.rows).toEqual([['testuser']]);
+    });
+
+    test('should report evaluation errors', () => {
+      expect(processQuery('SELECT 1 / 0', connState).error.code).toBe('22012');
+    });
+
+    test('should leave unknown functions to the mock handlers', () => {
+      const result = processQuery('SELECT pg_backend_pid()', connState);
+
+      expect(result.error).toBeUndefined();
+      expect(result.command).toBe('SELECT');
+    });
+  });
+
+  describe('Command routing', () => {
+    test('should route statements that start with a comment', () => {
+      processQuery('/* tx */ BEGIN', connState);
+
+      expect(connState.transactionStatus).toBe(TRANSACTION_STATUS.IN_TRANSACTION);
+    });
+
+    test('should route WITH queries by their main statement', () => {
+      const result = processQuery('WITH x AS (SELECT 1) SELECT * FROM x', connState);
+
+      expect(result.command).toBe('SELECT');
+    });
+
+    test('should keep the casing of literals in WITH queries', () => {
+      const result = processQuery("WITH a AS (SELECT 'x') SELECT * FROM a", connState);
+
+      expect(result.rows).toEqual([["Mock response for: WITH a AS (SELECT 'x') SELECT * FROM a"]]);
+    });
+
+    test('should match mock handler keywords in any case', () => {
+      expect(processQuery('select version()', connState).columns[0].name).toBe('version');
+      expect(processQuery('drop index idx', connState).command).toBe('DROP INDEX');
+    });
+
+    test('should not treat catalog names inside strings as introspection', () => {
+      const result = processQuery("SELECT 'information_schema.tables' AS name", connState);
+
+      expect(result.rows).toEqual([['information_schema.tables']]);
+    });
+
+    test('should still route real catalog queries to introspection', () => {
+      const result = processQuery('SELECT table_name FROM information_schema.tables', connState);
+
+      expect(result.error).toBeUndefined();
+      expect(result.rows.length).toBeGreaterThan(0);
+    });
+
+    test('should report lexical errors with their position', () => {
+      const result = processQuery("SELECT 'unterminated", connState);
+
+      expect(result.error.code).toBe('42601');
+      expect(result.error.position).toBe('8');
+    });
+  });
+
+  describe('validateQuery and getQueryType', () => {
+    test('should treat comment-only queries as empty', () => {
+      const result = validateQuery('-- nothing');
+
+      expect(result.isValid).toBe(false);
+      expect(result.error.code).toBe('42601');
+    });
+
+    test('should accept quotes inside other literals', () => {
+      expect(validateQuery('SELECT \'say "hi"\'').isValid).toBe(true);
+    });
+
+    test('should determine the query type from tokens', () => {
+      expect(getQueryType('-- c\nupdate t set a = 1')).toBe('UPDATE');
+      expect(getQueryType('')).toBe('UNKNOWN');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for SAVEPOINT, RELEASE SAVEPOINT and ROLLBACK TO SAVEPOINT, and for
+ * rolling back table changes with the transaction journal
+ */
+
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const { queryMessage } = require('../helpers/protocolMessages');
+const { MockSocket, sendMessages } = require('../helpers/backendMessages');
+
+describe('Savepoints', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Runs a simple Query and returns what the server sent back
+   * @param {string} query - SQL text
+   * @param {ConnectionState} state - Connection to run it on (default: the test connection)
+   * @returns {Object} SQLSTATEs, error messages, command tags, data rows and the ReadyForQuery status
+   */
+  const run = (query, state = connState) => {
+    const messages = sendMessages(socket, state, [queryMessage(query)]);
+    const errors = messages.filter(msg => msg.type === 'E');
+    return {
+      errors: errors.map(msg => msg.code),
+      messages: errors.map(msg => msg.message),
+      tags: messages.filter(msg => msg.type === 'C').map(msg => msg.tag),
+      rows: messages.filter(msg => msg.type === 'D').map(msg => msg.values[0]),
+      status: messages[messages.length - 1].status,
+    };
+  };
+
+  /**
+   * Lists the ids stored in the test table
+   * @returns {Array<string>} Ids in order
+   */
+  const ids = () => run('SELECT id FROM items ORDER BY id').rows;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+    run('CREATE TABLE items (id integer PRIMARY KEY)');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ROLLBACK TO SAVEPOINT', () => {
+    test('should undo table changes made after the savepoint', () => {
+      run('BEGIN; INSERT INTO items VALUES (1)');
+      expect(run('SAVEPOINT before_two')).toMatchObject({ tags: ['SAVEPOINT'], status: 'T' });
+      run('INSERT INTO items VALUES (2)');
+
+      expect(run('ROLLBACK TO SAVEPOINT before_two')).toMatchObject({
+        tags: ['ROLLBACK'],
+        status: 'T',
+      });
+      expect(ids()).toEqual(['1']);
+
+      run('COMMIT');
+      expect(ids()).toEqual(['1']);
+    });
+
+    test('should recover a failed transaction block', () => {
+      run('BEGIN; SAVEPOINT sp; INSERT INTO items VALUES (1)');
+      expect(run('INSERT INTO items VALUES (1)')).toMatchObject({ errors: ['23505'], status: 'E' });
+      expect(run('SELECT 1').errors).toEqual(['25P02']);
+
+      expect(run('ROLLBACK TO sp')).toMatchObject({ errors: [], status: 'T' });
+      expect(ids()).toEqual([]);
+      expect(run('INSERT INTO items VALUES (2); COMMIT').status).toBe('I');
+      expect(ids()).toEqual(['2']);
+    });
+
+    test('should keep the savepoint so it can be rolled back to again', () => {
+      run('BEGIN; SAVEPOINT sp');
+      run('INSERT INTO items VALUES (1)');
+      run('ROLLBACK TO SAVEPOINT sp');
+      run('INSERT INTO items VALUES (2)');
+      run('ROLLBACK WORK TO SAVEPOINT sp');
+
+      expect(ids()).toEqual([]);
+      expect(connState.getSavepoints()).toEqual(['sp']);
+    });
+
+    test('should drop the savepoints defined after the target', () => {
+      run('BEGIN; SAVEPOINT a; SAVEPOINT b; SAVEPOINT c');
+      run('ROLLBACK TO a');
+
+      expect(connState.getSavepoints()).toEqual(['a']);
+      expect(run('ROLLBACK TO b')).toMatchObject({ errors: ['3B001'], status: 'E' });
+    });
+
+    test('should bring back dropped tables and remove created ones', () => {
+      run('INSERT INTO items VALUES (7)');
+      run('BEGIN; SAVEPOINT sp');
+      run('DROP TABLE items');
+      run('CREATE TABLE extras (id integer)');
+      run('ROLLBACK TO SAVEPOINT sp');
+
+      expect(ids()).toEqual(['7']);
+      expect(connState.getTableStore().hasTable('extras')).toBe(false);
+    });
+  });
+
+  describe('RELEASE SAVEPOINT', () => {
+    test('should keep the changes and forget the savepoint', () => {
+      run('BEGIN; SAVEPOINT sp; INSERT INTO items VALUES (1)');
+
+      expect(run('RELEASE SAVEPOINT sp')).toMatchObject({ tags: ['RELEASE'], status: 'T' });
+      expect(connState.getSavepoints()).toEqual([]);
+      run('ROLLBACK');
+      expect(ids()).toEqual([]);
+    });
+
+    test('should release the newest savepoint of a reused name', () => {
+      run('BEGIN; SAVEPOINT sp; INSERT INTO items VALUES (1); SAVEPOINT sp');
+      run('INSERT INTO items VALUES (2)');
+      run('RELEASE sp');
+      run('ROLLBACK TO sp');
+
+      expect(ids()).toEqual([]);
+    });
+
+    test('should not run in a failed transaction block', () => {
+      run('BEGIN; SAVEPOINT sp; SELECT 1/0');
+
+      expect(run('RELEASE sp').errors).toEqual(['25P02']);
+    });
+  });
+
+  describe('Errors', () => {
+    test('should report 3B001 for an unknown savepoint', () => {
+      run('BEGIN');
+
+      expect(run('RELEASE SAVEPOINT missing')).toMatchObject({
+        errors: ['3B001'],
+        messages: ['savepoint "missing" does not exist'],
+        status: 'E',
+      });
+      expect(run('ROLLBACK TO missing')).toMatchObject({ errors: ['3B001'], status: 'E' });
+    });
+
+    test('should require a transaction block', () => {
+      expect(run('SAVEPOINT sp')).toMatchObject({
+        errors: ['25P01'],
+        messages: ['SAVEPOINT can only be used in transaction blocks'],
+        status: 'I',
+      });
+      expect(run('RELEASE sp').messages).toEqual([
+        'RELEASE SAVEPOINT can only be used in transaction blocks',
+      ]);
+      expect(run('ROLLBACK TO sp').messages).toEqual([
+        'ROLLBACK TO SAVEPOINT can only be used in transaction blocks',
+      ]);
+    });
+
+    test('should match quoted names exactly', () => {
+      run('BEGIN; SAVEPOINT "Mixed"');
+
+      expect(run('RELEASE mixed').errors).toEqual(['3B001']);
+      run('ROLLBACK');
+      run('BEGIN; SAVEPOINT "Mixed"');
+      expect(run('RELEASE "Mixed"').errors).toEqual([]);
+    });
+  });
+
+  describe('Transaction blocks', () => {
+    test('should undo table changes on ROLLBACK', () => {
+      run('BEGIN; INSERT INTO items VALUES (1), (2); DELETE FROM items WHERE id = 1');
+      run('ROLLBACK');
+
+      expect(ids()).toEqual([]);
+    });
+
+    test('should undo the changes of a failed block on COMMIT', () => {
+      run('BEGIN; INSERT INTO items VALUES (1); SELECT 1/0');
+
+      expect(run('COMMIT').tags).toEqual(['ROLLBACK']);
+      expect(ids()).toEqual([]);
+    });
+
+    test('should undo earlier statements of a failed multi-statement query', () => {
+      run('INSERT INTO items VALUES (1); INSERT INTO items VALUES (2); SELECT 1/0');
+      expect(ids()).toEqual([]);
+
+      run('INSERT INTO items VALUES (3); SELECT 1');
+      expect(ids()).toEqual(['3']);
+    });
+
+    test('should undo an unfinished transaction when the connection closes', () => {
+      run('BEGIN; INSERT INTO items VALUES (1)');
+      const store = connState.getTableStore();
+      connState.close();
+
+      expect(store.getTable('items').rows).toEqual([]);
+    });
+  });
+
+  describe('Concurrent connections', () => {
+    let other;
+
+    beforeEach(() => {
+      other = new ConnectionState();
+      other.authenticate(PROTOCOL_VERSION_3_0);
+      other.setTableStore(connState.getTableStore());
+      other.setLargeObjectStore(connState.getLargeObjectStore());
+    });
+
+    test('should keep rows another connection committed when rolling back', () => {
+      run('INSERT INTO items VALUES (1), (2)');
+      run('BEGIN; INSERT INTO items VALUES (3); UPDATE items SET id = 10 WHERE id = 1');
+      run('INSERT INTO items VALUES (4); DELETE FROM items WHERE id = 2', other);
+
+      run('ROLLBACK');
+
+      expect(ids()).toEqual(['1', '4']);
+    });
+
+    test('should put back only the rows a rolled-back savepoint changed', () => {
+      run('BEGIN; SAVEPOINT sp; DELETE FROM items');
+      run('INSERT INTO items VALUES (5)', other);
+      run('INSERT INTO items VALUES (6)');
+
+      run('ROLLBACK TO SAVEPOINT sp');
+
+      expect(ids()).toEqual(['5']);
+    });
+
+    test('should keep large object bytes another connection committed when rolling back', () => {
+      run("SELECT lo_from_bytea(5000, 'aaaa')");
+      run("BEGIN; SELECT lo_put(5000, 0, 'bb')");
+      run("SELECT lo_put(5000, 4, 'cc')", other);
+
+      run('ROLLBACK');
+
+      expect(connState.getLargeObjectStore().getObject(5000).data.toString()).toBe('aaaacc');
+    });
+  });
+});
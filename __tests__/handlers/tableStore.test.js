@@ -0,0 +1,310 @@
+/**
+ * Tests for the in-memory table store and the statements it serves
+ */
+
+const { processQuery } = require('../../src/handlers/queryHandlers');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { TableStore, FIRST_USER_OID } = require('../../src/storage/tableStore');
+const { DATA_TYPES } = require('../../src/protocol/constants');
+
+describe('Table Store', () => {
+  let connState;
+
+  /**
+   * Runs a query and fails the test on an unexpected error
+   * @param {string} sql - Query text
+   * @returns {QueryResult} Query result
+   */
+  const run = sql => {
+    const result = processQuery(sql, connState);
+    if (result.error) {
+      throw result.error;
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.setTableStore(new TableStore({ enableLogging: false }));
+    run(
+      'CREATE TABLE items (id serial PRIMARY KEY, name varchar(20) NOT NULL, ' +
+        'price numeric(10,2) DEFAULT 0, in_stock boolean, tags text[])'
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('CREATE TABLE / DROP TABLE', () => {
+    test('should register the table in the catalog', () => {
+      const table = connState.getTableStore().getTable('items');
+
+      expect(table.oid).toBe(FIRST_USER_OID);
+      expect(table.columns.map(col => col.name)).toEqual([
+        'id',
+        'name',
+        'price',
+        'in_stock',
+        'tags',
+      ]);
+    });
+
+    test('should reject a duplicate table', () => {
+      const result = processQuery('CREATE TABLE items (a int)', connState);
+
+      expect(result.error.code).toBe('42P07');
+      expect(result.error.message).toBe('relation "items" already exists');
+    });
+
+    test('should accept IF NOT EXISTS for an existing table', () => {
+      expect(run('CREATE TABLE IF NOT EXISTS items (a int)').command).toBe('CREATE TABLE');
+    });
+
+    test('should reject unknown column types', () => {
+      const result = processQuery('CREATE TABLE t (a widget)', connState);
+
+      expect(result.error.code).toBe('42704');
+    });
+
+    test('should drop the table', () => {
+      expect(run('DROP TABLE items').command).toBe('DROP TABLE');
+      expect(connState.getTableStore().hasTable('items')).toBe(false);
+    });
+  });
+
+  describe('CRUD round-trips', () => {
+    beforeEach(() => {
+      run(
+        "INSERT INTO items (name, price, in_stock, tags) VALUES ('Apple', 1.5, true, '{red,green}'), " +
+          "('Pear', 2, false, NULL), ('Plum', 0.75, true, ARRAY['purple'])"
+      );
+    });
+
+    test('should return inserted rows with typed row descriptions', () => {
+      const result = run('SELECT * FROM items ORDER BY id');
+      const table = connState.getTableStore().getTable('items');
+
+      expect(result.command).toBe('SELECT');
+      expect(result.rowCount).toBe(3);
+      expect(result.columns.map(col => col.dataTypeOID)).toEqual([
+        DATA_TYPES.INT4,
+        DATA_TYPES.VARCHAR,
+        DATA_TYPES.NUMERIC,
+        DATA_TYPES.BOOL,
+        DATA_TYPES.TEXT_ARRAY,
+      ]);
+      expect(result.columns[1].typeModifier).toBe(24);
+      expect(result.columns[2].tableOID).toBe(table.oid);
+      expect(result.columns[2].tableAttributeNumber).toBe(3);
+      expect(result.rows).toEqual([
+        ['1', 'Apple', '1.50', 't', '{red,green}'],
+        ['2', 'Pear', '2.00', 'f', null],
+        ['3', 'Plum', '0.75', 't', '{purple}'],
+      ]);
+    });
+
+    test('should report the real number of inserted rows', () => {
+      const result = run("INSERT INTO items (name) VALUES ('Fig'), ('Kiwi')");
+
+      expect(result.command).toBe('INSERT');
+      expect(result.rowCount).toBe(2);
+    });
+
+    test('should filter, sort and limit', () => {
+      const result = run(
+        'SELECT name, price FROM items WHERE in_stock ORDER BY price DESC LIMIT 1'
+      );
+
+      expect(result.rows).toEqual([['Apple', '1.50']]);
+    });
+
+    test('should update matching rows and report the count', () => {
+      const result = run('UPDATE items SET price = price * 2 WHERE in_stock = true');
+
+      expect(result.command).toBe('UPDATE');
+      expect(result.rowCount).toBe(2);
+      expect(run("SELECT price FROM items WHERE name = 'Plum'").rows).toEqual([['1.50']]);
+    });
+
+    test('should delete matching rows and report the count', () => {
+      const result = run("DELETE FROM items WHERE name LIKE 'P%'");
+
+      expect(result.command).toBe('DELETE');
+      expect(result.rowCount).toBe(2);
+      expect(run('SELECT name FROM items').rows).toEqual([['Apple']]);
+    });
+
+    test('should report zero rows when nothing matches', () => {
+      expect(run('UPDATE items SET price = 1 WHERE id = 99').rowCount).toBe(0);
+      expect(run('DELETE FROM items WHERE id = 99').rowCount).toBe(0);
+    });
+
+    test('should support RETURNING', () => {
+      const result = run("INSERT INTO items (name) VALUES ('Fig') RETURNING id, price");
+
+      expect(result.columns.map(col => col.name)).toEqual(['id', 'price']);
+      expect(result.rows).toEqual([['4', '0.00']]);
+    });
+
+    test('should compute aggregates', () => {
+      const result = run('SELECT count(*), sum(price) AS total, max(name) FROM items');
+
+      expect(result.columns.map(col => col.name)).toEqual(['count', 'total', 'max']);
+      expect(result.columns[0].dataTypeOID).toBe(DATA_TYPES.INT8);
+      expect(result.rows).toEqual([['3', '4.25', 'Plum']]);
+    });
+
+    test('should share tables across connections using the same store', () => {
+      const other = new ConnectionState();
+      other.setTableStore(connState.getTableStore());
+
+      expect(processQuery('SELECT count(*) FROM items', other).rows).toEqual([['3']]);
+    });
+  });
+
+  describe('Constraint and type errors', () => {
+    test('should enforce NOT NULL', () => {
+      const result = processQuery('INSERT INTO items (price) VALUES (1)', connState);
+
+      expect(result.error.code).toBe('23502');
+      expect(result.error.message).toBe(
+        'null value in column "name" of relation "items" violates not-null constraint'
+      );
+    });
+
+    test('should enforce PRIMARY KEY uniqueness', () => {
+      run("INSERT INTO items (id, name) VALUES (1, 'Apple')");
+      const result = processQuery("INSERT INTO items (id, name) VALUES (1, 'Pear')", connState);
+
+      expect(result.error.code).toBe('23505');
+      expect(result.error.detail).toBe('Key (id)=(1) already exists.');
+      expect(result.error.constraint).toBe('items_pkey');
+    });
+
+    test('should apply multi-row inserts atomically', () => {
+      const result = processQuery("INSERT INTO items (name) VALUES ('Apple'), (NULL)", connState);
+
+      expect(result.error.code).toBe('23502');
+      expect(run('SELECT count(*) FROM items').rows).toEqual([['0']]);
+    });
+
+    test('should reject values that do not fit the column type', () => {
+      const tooLong = processQuery(
+        `INSERT INTO items (name) VALUES ('${'x'.repeat(21)}')`,
+        connState
+      );
+      const badNumber = processQuery(
+        "INSERT INTO items (name, price) VALUES ('a', 'abc')",
+        connState
+      );
+
+      expect(tooLong.error.code).toBe('22001');
+      expect(badNumber.error.code).toBe('22P02');
+    });
+
+    test('should reject unknown columns', () => {
+      const result = processQuery('SELECT nope FROM items', connState);
+
+      expect(result.error.code).toBe('42703');
+    });
+
+    test('should reject ungrouped columns next to aggregates', () => {
+      const result = processQuery('SELECT name, count(*) FROM items', connState);
+
+      expect(result.error.code).toBe('42803');
+    });
+  });
+
+  describe('Value precision', () => {
+    test('should keep bigint values to the last digit across the 64-bit range', () => {
+      run('CREATE TABLE counters (v bigint)');
+      run("INSERT INTO counters VALUES (9223372036854775807), ('-9223372036854775808'), (2)");
+
+      expect(run('SELECT v FROM counters ORDER BY v').rows).toEqual([
+        ['-9223372036854775808'],
+        ['2'],
+        ['9223372036854775807'],
+      ]);
+      expect(run('SELECT 9007199254740993::int8 + 1').rows).toEqual([['9007199254740994']]);
+      expect(run('SELECT v / 2 FROM counters WHERE v > 2').rows).toEqual([['4611686018427387903']]);
+    });
+
+    test('should report bigint overflow with the exact value', () => {
+      const cast = processQuery('SELECT 9223372036854775808::int8', connState);
+      const sum = processQuery('SELECT 9223372036854775807::int8 + 1', connState);
+
+      expect(cast.error.code).toBe('22003');
+      expect(cast.error.message).toBe(
+        'value "9223372036854775808" is out of range for type bigint'
+      );
+      expect(sum.error.message).toBe('bigint out of range');
+    });
+
+    test('should keep numeric values exact, with their scale', () => {
+      run('CREATE TABLE prices (amount numeric(10,2), rate numeric)');
+      run("INSERT INTO prices VALUES (1.005, '123.4500'), (2.2, 0.1)");
+
+      expect(run('SELECT amount, rate FROM prices ORDER BY amount').rows).toEqual([
+        ['1.01', '123.4500'],
+        ['2.20', '0.1'],
+      ]);
+      expect(run('SELECT 0.1::numeric + 0.2, 1.00 * 2.5, 1 / 3.0').rows).toEqual([
+        ['0.3', '2.500', '0.33333333333333333333'],
+      ]);
+      expect(run('SELECT sum(amount), avg(amount) FROM prices').rows).toEqual([
+        ['3.21', '1.6050000000000000'],
+      ]);
+      expect(run('SELECT 12345678901234567890.5 + 1, round(123.456, 2)').rows).toEqual([
+        ['12345678901234567891.5', '123.46'],
+      ]);
+    });
+
+    test('should reject numeric values that overflow their precision', () => {
+      const result = processQuery("SELECT '1234.5'::numeric(5,2)", connState);
+
+      expect(result.error.code).toBe('22003');
+      expect(result.error.message).toBe('numeric field overflow');
+    });
+
+    test('should reject double precision values out of range', () => {
+      const cast = processQuery("SELECT '1e400'::float8", connState);
+      const product = processQuery('SELECT 1e308::float8 * 10', connState);
+
+      expect(cast.error.code).toBe('22003');
+      expect(cast.error.message).toBe('"1e400" is out of range for type double precision');
+      expect(product.error.code).toBe('22003');
+      expect(product.error.message).toBe('value out of range: overflow');
+      expect(run("SELECT 'Infinity'::float8").rows).toEqual([['Infinity']]);
+    });
+
+    test('should keep timestamps to the microsecond', () => {
+      run('CREATE TABLE events (at timestamp)');
+      run(
+        "INSERT INTO events VALUES ('2024-01-01 00:00:00.123456'), ('2024-01-01 00:00:00.123455')"
+      );
+
+      expect(run('SELECT at FROM events ORDER BY at').rows).toEqual([
+        ['2024-01-01 00:00:00.123455'],
+        ['2024-01-01 00:00:00.123456'],
+      ]);
+      expect(run("SELECT at FROM events WHERE at > '2024-01-01 00:00:00.123455'").rows).toEqual([
+        ['2024-01-01 00:00:00.123456'],
+      ]);
+      expect(run("SELECT '2024-01-01 12:00:00.1234565+02'::timestamptz").rows).toEqual([
+        ['2024-01-01 10:00:00.123457+00'],
+      ]);
+    });
+  });
+
+  describe('Fallback to mock handlers', () => {
+    test('should leave tables unknown to the store to the mock handlers', () => {
+      const result = run('SELECT * FROM users');
+
+      expect(result.command).toBe('SELECT');
+      expect(result.rows.length).toBeGreaterThan(0);
+    });
+  });
+});
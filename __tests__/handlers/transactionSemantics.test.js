@@ -0,0 +1,133 @@
+/**
+ * Tests for failed transaction blocks (25P02) and implicit transaction blocks
+ */
+
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { PROTOCOL_VERSION_3_0, TRANSACTION_STATUS } = require('../../src/protocol/constants');
+const { queryMessage, sync } = require('../helpers/protocolMessages');
+const { MockSocket, sendMessages } = require('../helpers/backendMessages');
+
+describe('Transaction Semantics', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Runs a simple Query and returns what the server sent back
+   * @param {string} query - SQL text
+   * @returns {Object} Message types, SQLSTATEs, command tags and the ReadyForQuery status
+   */
+  const run = query => {
+    const messages = sendMessages(socket, connState, [queryMessage(query)]);
+    const sqlStates = type => messages.filter(msg => msg.type === type).map(msg => msg.code);
+    return {
+      types: messages.map(msg => msg.type).join(''),
+      errors: sqlStates('E'),
+      warnings: sqlStates('N'),
+      tags: messages.filter(msg => msg.type === 'C').map(msg => msg.tag),
+      status: messages[messages.length - 1].status,
+    };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Failed transaction blocks', () => {
+    test('should reject statements after an error with 25P02', () => {
+      run('BEGIN');
+      expect(run('SELECT 1/0')).toMatchObject({ errors: ['22012'], status: 'E' });
+
+      const ignored = run('SELECT 1');
+      expect(ignored.errors).toEqual(['25P02']);
+      expect(ignored.types).toBe('EZ');
+      expect(ignored.status).toBe('E');
+    });
+
+    test('should report ROLLBACK for COMMIT in a failed block', () => {
+      run('BEGIN');
+      run('SELECT 1/0');
+
+      expect(run('COMMIT')).toMatchObject({ tags: ['ROLLBACK'], errors: [], status: 'I' });
+      expect(run('SELECT 1')).toMatchObject({ errors: [], status: 'I' });
+    });
+
+    test('should leave a failed block with ROLLBACK, END or ABORT', () => {
+      for (const end of ['ROLLBACK', 'ABORT', 'END']) {
+        run('BEGIN');
+        run('SELECT 1/0');
+        expect(run(end)).toMatchObject({ errors: [], status: 'I' });
+      }
+    });
+
+    test('should stop a query string at the first ignored statement', () => {
+      run('BEGIN');
+      run('SELECT 1/0');
+
+      const result = run('SELECT 1; SELECT 2');
+      expect(result.errors).toEqual(['25P02']);
+      expect(result.types).toBe('EZ');
+    });
+  });
+
+  describe('Errors outside a transaction block', () => {
+    test('should leave the session idle', () => {
+      expect(run('SELECT 1/0')).toMatchObject({ errors: ['22012'], status: 'I' });
+      expect(connState.transactionStatus).toBe(TRANSACTION_STATUS.IDLE);
+      expect(run('SELECT 1')).toMatchObject({ errors: [], status: 'I' });
+    });
+  });
+
+  describe('Implicit transaction blocks', () => {
+    test('should skip the rest of a multi-statement query after an error', () => {
+      const result = run('SELECT 1; SELECT 1/0; SELECT 3');
+
+      expect(result.types).toBe('TDCEZ');
+      expect(result.status).toBe('I');
+    });
+
+    test('should keep a block opened by BEGIN in the string failed', () => {
+      const result = run('BEGIN; SELECT 1/0; COMMIT');
+
+      expect(result.tags).toEqual(['BEGIN']);
+      expect(result.status).toBe('E');
+    });
+
+    test('should start a new implicit block after COMMIT in the string', () => {
+      const result = run('BEGIN; SELECT 1; COMMIT; SELECT 1/0; SELECT 2');
+
+      expect(result.tags).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+      expect(result.status).toBe('I');
+    });
+
+    test('should end the implicit block of the extended protocol at Sync', () => {
+      connState.failStatement();
+      expect(connState.hasFailedStatement()).toBe(true);
+
+      const responses = sendMessages(socket, connState, [sync()]);
+
+      expect(connState.hasFailedStatement()).toBe(false);
+      expect(responses.pop()).toEqual({ type: 'Z', status: 'I' });
+    });
+  });
+
+  describe('Redundant transaction commands', () => {
+    test('should warn about COMMIT and ROLLBACK without a transaction', () => {
+      expect(run('COMMIT')).toMatchObject({ warnings: ['25P01'], tags: ['COMMIT'], status: 'I' });
+      expect(run('ROLLBACK')).toMatchObject({ warnings: ['25P01'], status: 'I' });
+    });
+
+    test('should warn about BEGIN inside a transaction', () => {
+      run('BEGIN');
+
+      expect(run('BEGIN')).toMatchObject({ warnings: ['25001'], tags: ['BEGIN'], status: 'T' });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Mock socket and backend message decoders shared by the protocol tests
+ */
+
+const { processMessage } = require('../../src/protocol/messageProcessors');
+
+/**
+ * Socket stand-in that records what the server writes to it
+ * write is a jest mock, so tests can also inspect its calls.
+ */
+class MockSocket {
+  /**
+   * Creates a socket
+   * @param {Object} options - Client side of the connection ({remoteAddress, encrypted})
+   */
+  constructor(options = {}) {
+    this.remoteAddress = options.remoteAddress;
+    this.encrypted = options.encrypted || false;
+    this.data = [];
+    this.ended = false;
+    this.destroyed = false;
+    this.write = jest.fn(buffer => {
+      this.data.push(buffer);
+      return true;
+    });
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  /**
+   * Forgets what was written so far
+   */
+  clear() {
+    this.data = [];
+    this.write.mockClear();
+  }
+}
+
+/**
+ * Splits written data into backend messages
+ * @param {Array<Buffer>} buffers - Data, each buffer holding one or more whole messages
+ * @returns {Array<Object>} Messages ({type, payload}) in order
+ */
+function splitMessages(buffers) {
+  let buffer = Buffer.concat(buffers);
+  const messages = [];
+  while (buffer.length >= 5) {
+    const end = buffer.readInt32BE(1) + 1;
+    messages.push({ type: String.fromCharCode(buffer[0]), payload: buffer.subarray(5, end) });
+    buffer = buffer.subarray(end);
+  }
+  return messages;
+}
+
+/**
+ * Reads the fields of an ErrorResponse or NoticeResponse
+ * @param {Buffer} payload - Message payload
+ * @returns {Object} {severity, code, message}
+ */
+function readNoticeFields(payload) {
+  const fields = {};
+  for (const field of payload.toString('utf8').split('\0')) {
+    if (field !== '') {
+      fields[field[0]] = field.slice(1);
+    }
+  }
+  return { severity: fields.S, code: fields.C, message: fields.M };
+}
+
+/**
+ * Reads the column values of a DataRow
+ * @param {Buffer} payload - Message payload
+ * @param {boolean} binary - Keep the values as Buffers instead of UTF-8 text
+ * @returns {Array<string|Buffer|null>} Values
+ */
+function readDataRow(payload, binary) {
+  const values = [];
+  let offset = 2;
+  for (let i = 0; i < payload.readInt16BE(0); i++) {
+    const length = payload.readInt32BE(offset);
+    offset += 4;
+    if (length === -1) {
+      values.push(null);
+    } else {
+      const value = payload.subarray(offset, offset + length);
+      values.push(binary ? Buffer.from(value) : value.toString('utf8'));
+    }
+    offset += Math.max(length, 0);
+  }
+  return values;
+}
+
+/**
+ * Reads the columns of a RowDescription
+ * @param {Buffer} payload - Message payload
+ * @returns {Array<Object>} Columns ({name, tableOID, dataTypeOID, format})
+ */
+function readRowDescription(payload) {
+  const columns = [];
+  let offset = 2;
+  for (let i = 0; i < payload.readInt16BE(0); i++) {
+    const end = payload.indexOf(0, offset);
+    columns.push({
+      name: payload.toString('utf8', offset, end),
+      tableOID: payload.readInt32BE(end + 1),
+      dataTypeOID: payload.readInt32BE(end + 7),
+      format: payload.readInt16BE(end + 17),
+    });
+    offset = end + 19;
+  }
+  return columns;
+}
+
+/**
+ * Decodes a backend message
+ * @param {Object} msg - Message ({type, payload})
+ * @param {Object} options - Options ({binary: keep DataRow values as Buffers})
+ * @returns {Object} {type, ...decoded fields}
+ */
+function decodeMessage({ type, payload }, options = {}) {
+  switch (type) {
+    case 'R':
+      return { type, code: payload.readInt32BE(0) };
+    case 'E':
+    case 'N':
+      return { type, ...readNoticeFields(payload) };
+    case 'D':
+      return { type, values: readDataRow(payload, options.binary) };
+    case 'T':
+      return { type, columns: readRowDescription(payload) };
+    case 't': {
+      const types = [];
+      for (let i = 0; i < payload.readInt16BE(0); i++) {
+        types.push(payload.readInt32BE(2 + i * 4));
+      }
+      return { type, types };
+    }
+    case 'C':
+      return { type, tag: payload.toString('utf8').replace(/\0$/, '') };
+    case 'S': {
+      const [name, value] = payload.toString('utf8').split('\0');
+      return { type, name, value };
+    }
+    case 'V': {
+      const length = payload.readInt32BE(0);
+      return { type, value: length === -1 ? null : Buffer.from(payload.subarray(4, 4 + length)) };
+    }
+    case 'Z':
+      return { type, status: payload.toString('utf8') };
+    default:
+      return { type };
+  }
+}
+
+/**
+ * Decodes everything written to a mock socket
+ * @param {MockSocket} socket - Socket
+ * @param {Object} options - Options for decodeMessage
+ * @returns {Array<Object>} Decoded messages in order
+ */
+function readMessages(socket, options = {}) {
+  return splitMessages(socket.data).map(msg => decodeMessage(msg, options));
+}
+
+/**
+ * Processes frontend messages on a connection and decodes what the server answered
+ * @param {MockSocket} socket - Socket of the connection
+ * @param {ConnectionState} connState - Connection state
+ * @param {Array<Buffer>} messages - Frontend messages
+ * @param {Object} options - Options for decodeMessage
+ * @returns {Array<Object>} Decoded responses to these messages
+ */
+function sendMessages(socket, connState, messages, options = {}) {
+  socket.clear();
+  for (const msg of messages) {
+    processMessage(msg, socket, connState);
+  }
+  return readMessages(socket, options);
+}
+
+module.exports = {
+  MockSocket,
+  splitMessages,
+  decodeMessage,
+  readMessages,
+  sendMessages,
+};
@@ -0,0 +1,222 @@
+/**
+ * Frontend message builders and backend message summaries shared by the protocol tests
+ */
+
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+
+/**
+ * Builds a frontend message
+ * @param {string} type - Message type character
+ * @param {...Buffer} parts - Payload parts
+ * @returns {Buffer} Message
+ */
+function message(type, ...parts) {
+  const payload = Buffer.concat(parts);
+  const header = Buffer.alloc(5);
+  header[0] = type.charCodeAt(0);
+  header.writeInt32BE(payload.length + 4, 1);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Builds a null-terminated string
+ * @param {string} text - Text
+ * @returns {Buffer} C string
+ */
+function cstring(text) {
+  return Buffer.from(`${text}\0`, 'utf8');
+}
+
+/**
+ * Encodes an int16
+ * @param {number} value - Value
+ * @returns {Buffer} Encoded value
+ */
+function int16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeInt16BE(value, 0);
+  return buffer;
+}
+
+/**
+ * Encodes an int32
+ * @param {number} value - Value
+ * @returns {Buffer} Encoded value
+ */
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value, 0);
+  return buffer;
+}
+
+/**
+ * Builds a list of int16 values preceded by their count
+ * @param {Array<number>} values - Values
+ * @returns {Buffer} Encoded list
+ */
+function int16List(values) {
+  return Buffer.concat([int16(values.length), ...values.map(int16)]);
+}
+
+/**
+ * Builds a StartupMessage
+ * @param {Object<string, string>} parameters - Startup parameters
+ * @param {number} version - Protocol version code
+ * @returns {Buffer} StartupMessage
+ */
+function startupMessage(parameters = { user: 'tester' }, version = PROTOCOL_VERSION_3_0) {
+  const pairs = Object.entries(parameters).map(([name, value]) => `${name}\0${value}\0`);
+  const payload = Buffer.from(`${pairs.join('')}\0`, 'utf8');
+  const header = Buffer.alloc(8);
+  header.writeInt32BE(payload.length + 8, 0);
+  header.writeInt32BE(version, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Builds a simple Query message
+ * @param {string} text - SQL text
+ * @returns {Buffer} Query message
+ */
+function queryMessage(text) {
+  return message('Q', cstring(text));
+}
+
+/**
+ * Builds a PasswordMessage
+ * @param {string} password - Password or password hash
+ * @returns {Buffer} PasswordMessage
+ */
+function passwordMessage(password) {
+  return message('p', cstring(password));
+}
+
+/**
+ * Builds a SASLInitialResponse message
+ * @param {string} mechanism - Selected mechanism
+ * @param {string} response - Client initial message
+ * @returns {Buffer} SASLInitialResponse
+ */
+function saslInitialResponse(mechanism, response) {
+  const data = Buffer.from(response, 'utf8');
+  return message('p', cstring(mechanism), int32(data.length), data);
+}
+
+/**
+ * Builds a SASLResponse message
+ * @param {string} response - Client final message
+ * @returns {Buffer} SASLResponse
+ */
+function saslResponse(response) {
+  return message('p', Buffer.from(response, 'utf8'));
+}
+
+/**
+ * Builds a Parse message
+ * @param {string} name - Statement name
+ * @param {string} text - SQL text
+ * @param {Array<number>} types - Declared parameter type OIDs
+ * @returns {Buffer} Parse message
+ */
+function parse(name, text, types = []) {
+  return message('P', cstring(name), cstring(text), int16(types.length), ...types.map(int32));
+}
+
+/**
+ * Builds a Bind message
+ * @param {string} portal - Portal name
+ * @param {string} statement - Statement name
+ * @param {Array<string|Buffer|null>} params - Parameter values, strings being sent as UTF-8
+ * @param {Object} options - Format codes ({paramFormats, resultFormats})
+ * @returns {Buffer} Bind message
+ */
+function bind(portal, statement, params = [], options = {}) {
+  const values = params.map(param => {
+    if (param === null) {
+      return int32(-1);
+    }
+    const value = Buffer.isBuffer(param) ? param : Buffer.from(param, 'utf8');
+    return Buffer.concat([int32(value.length), value]);
+  });
+  return message(
+    'B',
+    cstring(portal),
+    cstring(statement),
+    int16List(options.paramFormats || []),
+    int16(params.length),
+    ...values,
+    int16List(options.resultFormats || [])
+  );
+}
+
+/**
+ * Builds a Describe message
+ * @param {string} kind - 'S' for a statement, 'P' for a portal
+ * @param {string} name - Statement or portal name
+ * @returns {Buffer} Describe message
+ */
+function describeMessage(kind, name = '') {
+  return message('D', Buffer.from(kind), cstring(name));
+}
+
+/**
+ * Builds an Execute message
+ * @param {string} portal - Portal name
+ * @param {number} maxRows - Row limit, 0 for none
+ * @returns {Buffer} Execute message
+ */
+function execute(portal = '', maxRows = 0) {
+  return message('E', cstring(portal), int32(maxRows));
+}
+
+/**
+ * Builds a Sync message
+ * @returns {Buffer} Sync message
+ */
+function sync() {
+  return message('S');
+}
+
+/**
+ * Summarizes a backend message
+ * @param {Buffer} buffer - Message
+ * @returns {string} Message type, followed by the first value of a DataRow, the tag
+ *   of a CommandComplete, the SQLSTATE of an ErrorResponse or the status of a
+ *   ReadyForQuery
+ */
+function summarize(buffer) {
+  const type = String.fromCharCode(buffer[0]);
+  const payload = buffer.slice(5);
+  if (type === 'D') {
+    return `D:${payload.toString('utf8', 6, 6 + payload.readInt32BE(2))}`;
+  }
+  if (type === 'C') {
+    return `C:${payload.toString().replace(/\0$/, '')}`;
+  }
+  if (type === 'E') {
+    return `E:${/C(\w+)\0/.exec(payload.toString())[1]}`;
+  }
+  if (type === 'Z') {
+    return `Z:${payload.toString()}`;
+  }
+  return type;
+}
+
+module.exports = {
+  message,
+  cstring,
+  int16,
+  int32,
+  int16List,
+  startupMessage,
+  queryMessage,
+  passwordMessage,
+  saslInitialResponse,
+  saslResponse,
+  parse,
+  bind,
+  describeMessage,
+  execute,
+  sync,
+  summarize,
+};
@@ -0,0 +1,146 @@
+/**
+ * Password Authentication Tests
+ * Tests for MD5 and cleartext password authentication
+ */
+
+const {
+  processMessage,
+  startPasswordAuthentication,
+} = require('../src/protocol/messageProcessors');
+const { computeMd5Password, generateMd5Salt } = require('../src/protocol/utils');
+const { ConnectionState } = require('../src/connection/connectionState');
+const { passwordMessage } = require('./helpers/protocolMessages');
+const { MockSocket, readMessages } = require('./helpers/backendMessages');
+
+// Test configuration
+const TEST_CONFIG = {
+  enableLogging: false,
+  username: 'testuser',
+  password: 'testpass',
+};
+
+describe('Password Authentication Tests', () => {
+  let connState;
+  let socket;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.setParameter('user', 'testuser');
+    socket = new MockSocket();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MD5 Password Utilities', () => {
+    test('computeMd5Password should hash the password, user name and salt', () => {
+      const hash = computeMd5Password('testuser', 'testpass', Buffer.from([1, 2, 3, 4]));
+
+      expect(hash).toBe('md52f4625c4716ba1eff84c3ef2ee9ac6b7');
+    });
+
+    test('generateMd5Salt should generate 4 random bytes', () => {
+      const salt = generateMd5Salt();
+
+      expect(salt.length).toBe(4);
+      expect(salt.equals(generateMd5Salt())).toBe(false);
+    });
+  });
+
+  describe('MD5 Authentication', () => {
+    test('should request an MD5 password with the salt', () => {
+      startPasswordAuthentication(socket, connState, 'md5');
+
+      const [request] = socket.data;
+      expect(String.fromCharCode(request[0])).toBe('R');
+      expect(request.readInt32BE(1)).toBe(12);
+      expect(request.readInt32BE(5)).toBe(5);
+      expect(request.slice(9).equals(connState.md5Salt)).toBe(true);
+    });
+
+    test('should authenticate a client that sends the right hash', () => {
+      startPasswordAuthentication(socket, connState, 'md5');
+      const hash = computeMd5Password('testuser', 'testpass', connState.md5Salt);
+      socket.clear();
+
+      processMessage(passwordMessage(hash), socket, connState, TEST_CONFIG);
+
+      expect(connState.authenticated).toBe(true);
+      expect(socket.data[0].readInt32BE(5)).toBe(0);
+      expect(readMessages(socket).map(msg => msg.type)).toContain('K');
+      expect(
+        readMessages(socket)
+          .map(msg => msg.type)
+          .pop()
+      ).toBe('Z');
+      expect(connState.passwordAuthMethod).toBeNull();
+    });
+
+    test('should reject a wrong password with a FATAL 28P01 and close the connection', () => {
+      startPasswordAuthentication(socket, connState, 'md5');
+      const hash = computeMd5Password('testuser', 'wrongpass', connState.md5Salt);
+      socket.clear();
+
+      processMessage(passwordMessage(hash), socket, connState, TEST_CONFIG);
+
+      expect(readMessages(socket)).toEqual([
+        {
+          type: 'E',
+          severity: 'FATAL',
+          code: '28P01',
+          message: 'password authentication failed for user "testuser"',
+        },
+      ]);
+      expect(connState.authenticated).toBe(false);
+      expect(socket.ended).toBe(true);
+    });
+
+    test('should reject a hash computed with another salt', () => {
+      startPasswordAuthentication(socket, connState, 'md5');
+      const hash = computeMd5Password('testuser', 'testpass', Buffer.from([0, 0, 0, 0]));
+
+      processMessage(passwordMessage(hash), socket, connState, TEST_CONFIG);
+
+      expect(connState.authenticated).toBe(false);
+      expect(socket.ended).toBe(true);
+    });
+  });
+
+  describe('Cleartext Password Authentication', () => {
+    test('should request a cleartext password', () => {
+      startPasswordAuthentication(socket, connState, 'password');
+
+      expect(socket.data[0].readInt32BE(1)).toBe(8);
+      expect(socket.data[0].readInt32BE(5)).toBe(3);
+    });
+
+    test('should authenticate a client that sends the right password', () => {
+      startPasswordAuthentication(socket, connState, 'password');
+
+      processMessage(passwordMessage('testpass'), socket, connState, TEST_CONFIG);
+
+      expect(connState.authenticated).toBe(true);
+      expect(
+        readMessages(socket)
+          .map(msg => msg.type)
+          .pop()
+      ).toBe('Z');
+    });
+
+    test('should reject an unknown user even with the right password', () => {
+      connState.setParameter('user', 'intruder');
+      startPasswordAuthentication(socket, connState, 'password');
+      socket.clear();
+
+      processMessage(passwordMessage('testpass'), socket, connState, TEST_CONFIG);
+
+      expect(readMessages(socket)[0].message).toBe(
+        'password authentication failed for user "intruder"'
+      );
+      expect(socket.ended).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * Tests for the binary format: the encodings of the core types, binary Bind
+ * parameters and the result-format codes of Bind
+ */
+
+const { ConnectionState } = require('../../src/connection/connectionState');
+const {
+  encodeBinaryValue,
+  decodeBinaryValue,
+  supportsBinaryFormat,
+  applyResultFormats,
+} = require('../../src/protocol/binaryFormat');
+const { registerCustomType } = require('../../src/config/serverConfig');
+const { coerceValue, formatValue, typeFromOID } = require('../../src/sql/types');
+const { PROTOCOL_VERSION_3_0, DATA_TYPES } = require('../../src/protocol/constants');
+const {
+  message,
+  cstring,
+  parse,
+  bind,
+  describeMessage,
+  execute,
+} = require('../helpers/protocolMessages');
+const { MockSocket, sendMessages } = require('../helpers/backendMessages');
+
+/**
+ * Builds the expected bytes of a value
+ * @param {number} size - Size in bytes
+ * @param {Function} write - Receives the buffer to write into
+ * @returns {Buffer} Bytes
+ */
+function bytes(size, write) {
+  const buffer = Buffer.alloc(size);
+  write(buffer);
+  return buffer;
+}
+
+describe('Binary Format', () => {
+  describe('Encoders', () => {
+    test('should encode integers, floats and booleans', () => {
+      expect(encodeBinaryValue('42', DATA_TYPES.INT4)).toEqual(Buffer.from([0, 0, 0, 42]));
+      expect(encodeBinaryValue(-2, DATA_TYPES.INT2)).toEqual(Buffer.from([0xff, 0xfe]));
+      expect(encodeBinaryValue('9007199254740993', DATA_TYPES.INT8)).toEqual(
+        Buffer.from([0, 0x20, 0, 0, 0, 0, 0, 1])
+      );
+      expect(encodeBinaryValue(1.5, DATA_TYPES.FLOAT8)).toEqual(
+        bytes(8, buffer => buffer.writeDoubleBE(1.5, 0))
+      );
+      expect(encodeBinaryValue('t', DATA_TYPES.BOOL)).toEqual(Buffer.from([1]));
+      expect(encodeBinaryValue(false, DATA_TYPES.BOOL)).toEqual(Buffer.from([0]));
+    });
+
+    test('should encode numerics as base-10000 digits', () => {
+      // ndigits, weight, sign, dscale, then the digits
+      expect(encodeBinaryValue('12345.678', DATA_TYPES.NUMERIC)).toEqual(
+        Buffer.from([0, 3, 0, 1, 0, 0, 0, 3, 0, 1, 0x09, 0x29, 0x1a, 0x7c])
+      );
+      expect(encodeBinaryValue('-0.01', DATA_TYPES.NUMERIC)).toEqual(
+        Buffer.from([0, 1, 0xff, 0xff, 0x40, 0, 0, 2, 0, 100])
+      );
+      expect(encodeBinaryValue('0', DATA_TYPES.NUMERIC)).toEqual(Buffer.alloc(8));
+      expect(encodeBinaryValue('NaN', DATA_TYPES.NUMERIC)).toEqual(
+        Buffer.from([0, 0, 0, 0, 0xc0, 0, 0, 0])
+      );
+    });
+
+    test('should keep every digit of numerics written with an exponent', () => {
+      const encode = value => encodeBinaryValue(value, DATA_TYPES.NUMERIC);
+
+      expect(encode('1e-25')).toEqual(encode('0.0000000000000000000000001'));
+      expect(encode('-1.25E-3')).toEqual(encode('-0.00125'));
+      expect(encode('1.5e+30')).toEqual(encode('1500000000000000000000000000000'));
+      expect(encode(1e21)).toEqual(encode('1000000000000000000000'));
+      expect(() => encode('1e')).toThrow();
+    });
+
+    test('should encode dates and timestamps from 2000-01-01', () => {
+      expect(encodeBinaryValue('2000-01-02', DATA_TYPES.DATE)).toEqual(Buffer.from([0, 0, 0, 1]));
+      expect(encodeBinaryValue('2000-01-01 00:00:01.000002', DATA_TYPES.TIMESTAMP)).toEqual(
+        bytes(8, buffer => buffer.writeInt32BE(1000002, 4))
+      );
+      expect(encodeBinaryValue('2000-01-01 02:00:00+02', DATA_TYPES.TIMESTAMPTZ)).toEqual(
+        Buffer.alloc(8)
+      );
+      expect(encodeBinaryValue('infinity', DATA_TYPES.DATE)).toEqual(
+        Buffer.from([0x7f, 0xff, 0xff, 0xff])
+      );
+    });
+
+    test('should encode uuid, bytea, text and jsonb', () => {
+      expect(
+        encodeBinaryValue('a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11', DATA_TYPES.UUID).toString('hex')
+      ).toBe('a0eebc999c0b4ef8bb6d6bb9bd380a11');
+      expect(encodeBinaryValue('\\xdeadbeef', DATA_TYPES.BYTEA).toString('hex')).toBe('deadbeef');
+      expect(encodeBinaryValue('pear', DATA_TYPES.TEXT).toString()).toBe('pear');
+      expect(encodeBinaryValue({ a: 1 }, DATA_TYPES.JSONB)).toEqual(
+        Buffer.from('\x01{"a":1}', 'latin1')
+      );
+    });
+
+    test('should encode arrays with their dimensions and element type', () => {
+      const encoded = encodeBinaryValue('{1,NULL,3}', DATA_TYPES.INT4_ARRAY);
+
+      expect(encoded.readInt32BE(0)).toBe(1); // Dimensions
+      expect(encoded.readInt32BE(4)).toBe(1); // Has nulls
+      expect(encoded.readInt32BE(8)).toBe(DATA_TYPES.INT4);
+      expect(encoded.readInt32BE(12)).toBe(3); // Size
+      expect(encoded.readInt32BE(16)).toBe(1); // Lower bound
+      expect(encoded.slice(20)).toEqual(
+        Buffer.from([0, 0, 0, 4, 0, 0, 0, 1, 0xff, 0xff, 0xff, 0xff, 0, 0, 0, 4, 0, 0, 0, 3])
+      );
+    });
+
+    test('should report values that do not fit their type', () => {
+      expect(() => encodeBinaryValue('abc', DATA_TYPES.INT4)).toThrow(
+        expect.objectContaining({ code: '22P03' })
+      );
+      expect(() => encodeBinaryValue('maybe', DATA_TYPES.BOOL)).toThrow(
+        expect.objectContaining({ code: '22P03' })
+      );
+    });
+  });
+
+  describe('Decoders', () => {
+    test('should decode what the encoders produce', () => {
+      const values = [
+        [DATA_TYPES.BOOL, true],
+        [DATA_TYPES.INT2, -2],
+        [DATA_TYPES.INT4, 42],
+        [DATA_TYPES.INT8, -9007199254740991],
+        [DATA_TYPES.FLOAT8, 1.5],
+        [DATA_TYPES.TEXT, 'pear'],
+        [DATA_TYPES.UUID, 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11'],
+        [DATA_TYPES.DATE, '1999-12-31'],
+        [DATA_TYPES.TIMESTAMPTZ, new Date('2024-02-29T12:30:00.123Z')],
+        [DATA_TYPES.JSONB, '{"a":1}'],
+        [
+          DATA_TYPES.INT4_ARRAY,
+          [
+            [1, 2],
+            [3, null],
+          ],
+        ],
+        [DATA_TYPES.TEXT_ARRAY, []],
+      ];
+
+      for (const [oid, value] of values) {
+        expect(decodeBinaryValue(encodeBinaryValue(value, oid), oid)).toEqual(value);
+      }
+    });
+
+    test('should keep the microseconds of timestamps both ways', () => {
+      const micros = 1000002n + 86400000000n;
+      const encoded = bytes(8, buffer => buffer.writeBigInt64BE(micros, 0));
+      const decoded = decodeBinaryValue(encoded, DATA_TYPES.TIMESTAMP);
+      const stored = coerceValue('2000-01-02 00:00:01.000002', typeFromOID(DATA_TYPES.TIMESTAMP));
+
+      expect(formatValue(decoded, typeFromOID(DATA_TYPES.TIMESTAMP))).toBe(
+        '2000-01-02 00:00:01.000002'
+      );
+      expect(encodeBinaryValue(decoded, DATA_TYPES.TIMESTAMP)).toEqual(encoded);
+      expect(encodeBinaryValue(stored, DATA_TYPES.TIMESTAMP)).toEqual(encoded);
+    });
+
+    test('should decode numerics from base-10000 digits', () => {
+      for (const text of [
+        '12345.678',
+        '-0.01',
+        '0.00001',
+        '10000',
+        '0',
+        '-98765432.1',
+        '123.4500',
+        '12345678901234567890.123456789',
+      ]) {
+        expect(
+          decodeBinaryValue(encodeBinaryValue(text, DATA_TYPES.NUMERIC), DATA_TYPES.NUMERIC)
+        ).toBe(text);
+      }
+      expect(
+        decodeBinaryValue(Buffer.from([0, 0, 0, 0, 0xc0, 0, 0, 0]), DATA_TYPES.NUMERIC)
+      ).toBeNaN();
+    });
+
+    test('should keep 64-bit integers beyond 2^53 exact', () => {
+      expect(decodeBinaryValue(Buffer.from([0, 0x20, 0, 0, 0, 0, 0, 1]), DATA_TYPES.INT8)).toBe(
+        '9007199254740993'
+      );
+    });
+
+    test('should reject data of the wrong length with 22P03', () => {
+      expect(() => decodeBinaryValue(Buffer.from([0, 0, 1]), DATA_TYPES.INT4)).toThrow(
+        expect.objectContaining({ code: '22P03' })
+      );
+      expect(() => decodeBinaryValue(Buffer.alloc(8), DATA_TYPES.UUID)).toThrow(
+        expect.objectContaining({ code: '22P03' })
+      );
+      expect(() =>
+        decodeBinaryValue(
+          encodeBinaryValue([1, 2], DATA_TYPES.INT4_ARRAY).slice(0, -1),
+          DATA_TYPES.INT4_ARRAY
+        )
+      ).toThrow(expect.objectContaining({ code: '22P03' }));
+    });
+
+    test('should reject arrays of another element type', () => {
+      expect(() =>
+        decodeBinaryValue(encodeBinaryValue([1], DATA_TYPES.INT8_ARRAY), DATA_TYPES.INT4_ARRAY)
+      ).toThrow(expect.objectContaining({ code: '42804' }));
+    });
+
+    test('should reject types without a binary input function', () => {
+      expect(() => decodeBinaryValue(Buffer.alloc(16), DATA_TYPES.POINT)).toThrow(
+        expect.objectContaining({ code: '42883' })
+      );
+    });
+
+    test('should decode custom types from their text form', () => {
+      const config = { customTypes: {} };
+      registerCustomType(
+        {
+          name: 'money_cents',
+          oid: 100001,
+          encode: value => String(value * 100),
+          decode: text => Number(text) / 100,
+        },
+        config
+      );
+
+      expect(decodeBinaryValue(Buffer.from('1250'), 100001, config)).toBe(12.5);
+    });
+  });
+
+  describe('Result formats', () => {
+    const columns = [
+      { name: 'id', dataTypeOID: DATA_TYPES.INT4 },
+      { name: 'shape', dataTypeOID: DATA_TYPES.POINT },
+    ];
+
+    test('should apply one code to every column', () => {
+      expect(applyResultFormats(columns, [1]).map(column => column.format)).toEqual([1, 0]);
+      expect(applyResultFormats(columns).map(column => column.format)).toEqual([0, 0]);
+    });
+
+    test('should apply one code per column', () => {
+      expect(applyResultFormats(columns, [0, 1]).map(column => column.format)).toEqual([0, 0]);
+      expect(applyResultFormats(columns, [1, 0]).map(column => column.format)).toEqual([1, 0]);
+    });
+
+    test('should keep types without a binary encoding in text', () => {
+      expect(supportsBinaryFormat(DATA_TYPES.INT4)).toBe(true);
+      expect(supportsBinaryFormat(DATA_TYPES.TEXT_ARRAY)).toBe(true);
+      expect(supportsBinaryFormat(DATA_TYPES.POINT)).toBe(false);
+    });
+  });
+
+  describe('Bind', () => {
+    let connState;
+    let socket;
+
+    /**
+     * Sends frontend messages and returns the decoded responses
+     * @param {...Buffer} messages - Messages to send
+     * @returns {Array<Object>} Decoded backend messages
+     */
+    const send = (...messages) => sendMessages(socket, connState, messages, { binary: true });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      connState = new ConnectionState();
+      connState.authenticate(PROTOCOL_VERSION_3_0);
+      socket = new MockSocket();
+      send(
+        message('Q', cstring('CREATE TABLE items (id integer PRIMARY KEY, name text)')),
+        message('Q', cstring("INSERT INTO items VALUES (7, 'pear')"))
+      );
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should send every column in binary for a single code', () => {
+      const responses = send(
+        parse('', 'SELECT id, name FROM items'),
+        bind('', '', [], { resultFormats: [1] }),
+        describeMessage('P'),
+        execute()
+      );
+
+      expect(responses.map(msg => msg.type)).toEqual(['1', '2', 'T', 'D', 'C']);
+      expect(responses[2].columns.map(column => column.format)).toEqual([1, 1]);
+      expect(responses[3].values).toEqual([Buffer.from([0, 0, 0, 7]), Buffer.from('pear')]);
+    });
+
+    test('should send each column in the format asked for it', () => {
+      const responses = send(
+        parse('', 'SELECT name, id FROM items'),
+        bind('', '', [], { resultFormats: [0, 1] }),
+        describeMessage('P'),
+        execute()
+      );
+
+      expect(responses[2].columns.map(column => column.format)).toEqual([0, 1]);
+      expect(responses[3].values).toEqual([Buffer.from('pear'), Buffer.from([0, 0, 0, 7])]);
+    });
+
+    test('should keep text when no codes are given', () => {
+      const responses = send(
+        parse('', 'SELECT id FROM items'),
+        bind('', ''),
+        describeMessage('P'),
+        execute()
+      );
+
+      expect(responses[2].columns.map(column => column.format)).toEqual([0]);
+      expect(responses[3].values).toEqual([Buffer.from('7')]);
+    });
+
+    test('should reject unknown format codes', () => {
+      expect(
+        send(parse('', 'SELECT id FROM items'), bind('', '', [], { resultFormats: [2] }))[1]
+      ).toEqual({
+        type: 'E',
+        severity: 'ERROR',
+        code: '22023',
+        message: 'unsupported format code: 2',
+      });
+    });
+
+    test('should reject a code count that does not match the columns', () => {
+      expect(
+        send(
+          parse('', 'SELECT id, name FROM items'),
+          bind('', '', [], { resultFormats: [1, 0, 1] })
+        )[1]
+      ).toEqual({
+        type: 'E',
+        severity: 'ERROR',
+        code: '08P01',
+        message: 'bind message has 3 result formats but query has 2 columns',
+      });
+    });
+
+    test('should evaluate binary parameters as typed values', () => {
+      const responses = send(
+        parse('', 'SELECT $1 + 1 AS answer, $2 AS flag', [DATA_TYPES.INT4, DATA_TYPES.BOOL]),
+        bind('', '', [Buffer.from([0, 0, 0, 41]), Buffer.from([1])], { paramFormats: [1] }),
+        execute()
+      );
+
+      expect(responses.map(msg => msg.type)).toEqual(['1', '2', 'D', 'C']);
+      expect(responses[2].values).toEqual([Buffer.from('42'), Buffer.from('t')]);
+    });
+
+    test('should store binary parameters with the inferred column types', () => {
+      const id = encodeBinaryValue('8', DATA_TYPES.INT4);
+      send(
+        parse('', 'INSERT INTO items (id, name) VALUES ($1, $2)'),
+        bind('', '', [id, Buffer.from('fig')], { paramFormats: [1] }),
+        execute()
+      );
+
+      const rows = send(message('Q', cstring('SELECT name FROM items WHERE id = 8'))).filter(
+        msg => msg.type === 'D'
+      );
+      expect(rows.map(row => row.values[0].toString())).toEqual(['fig']);
+    });
+
+    test('should report malformed binary parameters with 22P03', () => {
+      const responses = send(
+        parse('', 'SELECT name FROM items WHERE id = $1'),
+        bind('', '', [Buffer.from([0, 7])], { paramFormats: [1] }),
+        execute(),
+        message('S')
+      );
+
+      expect(responses.map(msg => msg.type)).toEqual(['1', 'E', 'Z']);
+      expect(responses[1]).toMatchObject({
+        code: '22P03',
+        message: 'incorrect binary data format in bind parameter 1',
+      });
+    });
+  });
+});
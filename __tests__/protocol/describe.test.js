@@ -0,0 +1,218 @@
+/**
+ * Tests for Describe: parameter types inferred at Parse, and row descriptions that
+ * match what Execute sends
+ */
+
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { FixtureStore } = require('../../src/fixtures/fixtureStore');
+const { PROTOCOL_VERSION_3_0, DATA_TYPES } = require('../../src/protocol/constants');
+const {
+  message,
+  cstring,
+  parse,
+  bind,
+  describeMessage,
+  execute,
+} = require('../helpers/protocolMessages');
+const { MockSocket, sendMessages } = require('../helpers/backendMessages');
+
+describe('Describe', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Sends frontend messages and returns the decoded responses
+   * @param {...Buffer} messages - Messages to send
+   * @returns {Array<Object>} Decoded backend messages
+   */
+  const send = (...messages) => sendMessages(socket, connState, messages);
+
+  /**
+   * Runs a simple Query
+   * @param {string} query - SQL text
+   */
+  const run = query => send(message('Q', cstring(query)));
+
+  /**
+   * Prepares a statement and describes it
+   * @param {string} query - SQL text
+   * @param {Array<number>} types - Declared parameter type OIDs
+   * @returns {Array<Object>} Decoded responses to Describe
+   */
+  const describeStatement = (query, types = []) =>
+    send(parse('stmt', query, types), describeMessage('S', 'stmt')).slice(1);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+    run('CREATE TABLE items (id integer PRIMARY KEY, name text, price numeric)');
+    run("INSERT INTO items VALUES (1, 'pear', 2.5), (2, 'fig', 4)");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Statements', () => {
+    test('should describe parameters and rows of a table query', () => {
+      const [params, rows] = describeStatement('SELECT id, name FROM items WHERE price > $1');
+
+      expect(params).toEqual({ type: 't', types: [DATA_TYPES.NUMERIC] });
+      expect(rows.type).toBe('T');
+      expect(rows.columns.map(({ name, dataTypeOID }) => [name, dataTypeOID])).toEqual([
+        ['id', DATA_TYPES.INT4],
+        ['name', DATA_TYPES.TEXT],
+      ]);
+      expect(rows.columns[0].tableOID).toBeGreaterThan(0);
+    });
+
+    test('should keep declared parameter types', () => {
+      const [params] = describeStatement('SELECT name FROM items WHERE id = $1', [DATA_TYPES.INT8]);
+
+      expect(params.types).toEqual([DATA_TYPES.INT8]);
+    });
+
+    test('should infer parameter types from inserts, updates, casts and LIMIT', () => {
+      expect(describeStatement('INSERT INTO items (name, id) VALUES ($1, $2)')[0].types).toEqual([
+        DATA_TYPES.TEXT,
+        DATA_TYPES.INT4,
+      ]);
+      expect(describeStatement('UPDATE items SET price = $2 WHERE id = $1')[0].types).toEqual([
+        DATA_TYPES.INT4,
+        DATA_TYPES.NUMERIC,
+      ]);
+      expect(describeStatement('SELECT $1::int4 + $2')[0].types).toEqual([
+        DATA_TYPES.INT4,
+        DATA_TYPES.INT4,
+      ]);
+      expect(describeStatement('SELECT name FROM items LIMIT $1')[0].types).toEqual([
+        DATA_TYPES.INT8,
+      ]);
+      expect(describeStatement('SELECT $1')[0].types).toEqual([DATA_TYPES.TEXT]);
+    });
+
+    test('should send NoData for statements without rows', () => {
+      expect(describeStatement('INSERT INTO items (id) VALUES ($1)')[1].type).toBe('n');
+      expect(describeStatement('BEGIN').map(msg => msg.type)).toEqual(['t', 'n']);
+      expect(describeStatement("SET application_name = 'x'")[1].type).toBe('n');
+    });
+
+    test('should describe RETURNING rows', () => {
+      const [, rows] = describeStatement('DELETE FROM items WHERE id = $1 RETURNING name');
+
+      expect(rows.columns.map(column => column.name)).toEqual(['name']);
+      expect(run('SELECT id FROM items').filter(msg => msg.type === 'D')).toHaveLength(2);
+    });
+
+    test('should not call functions with effects while describing', () => {
+      const query = "SELECT set_config('application_name', 'zzz', false)";
+      const described = send(
+        parse('', query),
+        describeMessage('S'),
+        bind('', ''),
+        describeMessage('P')
+      );
+
+      expect(described.map(msg => msg.type)).toEqual(['1', 't', 'T', '2', 'T']);
+      expect(connState.getApplicationName()).not.toBe('zzz');
+
+      const executed = send(execute(), message('S'));
+
+      expect(executed.map(msg => msg.type)).toEqual(['D', 'C', 'S', 'Z']);
+      expect(connState.getApplicationName()).toBe('zzz');
+    });
+
+    test('should report lexical errors in Parse as syntax errors', () => {
+      const responses = send(parse('stmt', "SELECT 'abc"));
+
+      expect(responses).toEqual([
+        { type: 'E', severity: 'ERROR', code: '42601', message: 'unterminated quoted string' },
+      ]);
+      const [[buffer]] = socket.write.mock.calls;
+      expect(buffer.toString()).toContain('P8\0');
+      expect(connState.getPreparedStatement('stmt')).toBeFalsy();
+    });
+
+    test('should report errors the statement cannot be described past', () => {
+      const responses = describeStatement('SELECT missing FROM items');
+
+      expect(responses).toEqual([
+        {
+          type: 'E',
+          severity: 'ERROR',
+          code: '42703',
+          message: 'column "missing" does not exist',
+        },
+      ]);
+    });
+  });
+
+  describe('Portals', () => {
+    test('should match the rows Execute sends', () => {
+      const responses = send(
+        parse('', 'SELECT name, price FROM items WHERE id = $1'),
+        bind('', '', ['2']),
+        describeMessage('P'),
+        execute(),
+        message('S', Buffer.alloc(0))
+      );
+
+      expect(responses.map(msg => msg.type)).toEqual(['1', '2', 'T', 'D', 'C', 'Z']);
+      const [, , description, row] = responses;
+      expect(description.columns.map(column => column.dataTypeOID)).toEqual([
+        DATA_TYPES.TEXT,
+        DATA_TYPES.NUMERIC,
+      ]);
+      expect(row.values).toEqual(['fig', '4']);
+    });
+
+    test('should evaluate bound parameters in FROM-less queries', () => {
+      const responses = send(
+        parse('', 'SELECT $1::int4 + 1 AS answer'),
+        bind('', '', ['41']),
+        describeMessage('P'),
+        execute()
+      );
+
+      expect(responses[2].columns).toEqual([
+        { name: 'answer', tableOID: 0, dataTypeOID: DATA_TYPES.INT4, format: 0 },
+      ]);
+      expect(responses[3].values).toEqual(['42']);
+    });
+
+    test('should describe statements left to the mock handlers as they answer', () => {
+      for (const query of [
+        'SHOW TIME ZONE',
+        'SELECT * FROM pg_catalog.pg_type',
+        'EXPLAIN SELECT 1',
+      ]) {
+        const [, , description] = send(parse('', query), bind('', ''), describeMessage('P'));
+        const simple = run(query).find(msg => msg.type === 'T');
+
+        expect(description).toEqual(simple);
+      }
+    });
+
+    test('should describe fixture responses without counting a hit', () => {
+      const store = new FixtureStore({ enableLogging: false });
+      store.addFixtures([
+        {
+          name: 'report',
+          match: { text: 'SELECT * FROM report' },
+          response: { columns: [{ name: 'total', type: 'int8' }], rows: [[7]] },
+        },
+      ]);
+      connState.setFixtureStore(store);
+
+      const responses = send(parse('', 'SELECT * FROM report'), bind('', ''), describeMessage('P'));
+
+      expect(responses[2].columns).toEqual([
+        { name: 'total', tableOID: 0, dataTypeOID: DATA_TYPES.INT8, format: 0 },
+      ]);
+      expect(store.getStats().hits).toEqual({});
+    });
+  });
+});
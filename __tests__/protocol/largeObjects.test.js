@@ -0,0 +1,339 @@
+/**
+ * Tests for fastpath function calls and the large object functions behind them,
+ * over FunctionCall messages and from SQL
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { LargeObjectStore, INV_READ, INV_WRITE } = require('../../src/storage/largeObjectStore');
+const { RoleStore } = require('../../src/storage/roleStore');
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const { message, cstring, int16, int32, int16List } = require('../helpers/protocolMessages');
+const { MockSocket, sendMessages } = require('../helpers/backendMessages');
+
+const LO_CREAT = 957;
+const LO_CREATE = 715;
+const LO_OPEN = 952;
+const LO_CLOSE = 953;
+const LOREAD = 954;
+const LOWRITE = 955;
+const LO_LSEEK = 956;
+const LO_TELL = 958;
+const LO_UNLINK = 964;
+
+/**
+ * Builds a FunctionCall message with binary arguments, as libpq sends them
+ * @param {number} oid - Function OID
+ * @param {Array<Buffer|null>} args - Encoded arguments
+ * @param {Object} options - Options ({formats, resultFormat})
+ * @returns {Buffer} FunctionCall message
+ */
+function functionCall(oid, args, options = {}) {
+  const values = args.map(arg =>
+    arg === null ? int32(-1) : Buffer.concat([int32(arg.length), arg])
+  );
+  return message(
+    'F',
+    int32(oid),
+    int16List(options.formats || [1]),
+    int16(args.length),
+    ...values,
+    int16(options.resultFormat === undefined ? 1 : options.resultFormat)
+  );
+}
+
+describe('Large objects', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Sends frontend messages and returns the decoded responses
+   * @param {...Buffer} messages - Messages to send
+   * @returns {Array<Object>} Decoded backend messages
+   */
+  const send = (...messages) => sendMessages(socket, connState, messages);
+
+  /**
+   * Calls a function over the fastpath interface
+   * @param {number} oid - Function OID
+   * @param {Array<Buffer|null>} args - Encoded arguments
+   * @returns {Buffer|null} Result, which must not be an error
+   */
+  const call = (oid, args) => {
+    const [response, ready] = send(functionCall(oid, args));
+    expect(response.type).toBe('V');
+    expect(ready.type).toBe('Z');
+    return response.value;
+  };
+
+  /**
+   * Gets the data rows of a simple Query
+   * @param {string} query - SQL text
+   * @returns {Array<Array<string|null>>} Row values
+   */
+  const rows = query =>
+    send(message('Q', cstring(query)))
+      .filter(msg => msg.type === 'D')
+      .map(msg => msg.values);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Fastpath function calls', () => {
+    test('should create, write, seek and read a large object in a transaction', () => {
+      const oid = call(LO_CREAT, [int32(INV_READ | INV_WRITE)]).readUInt32BE(0);
+      send(message('Q', cstring('BEGIN')));
+
+      const fd = call(LO_OPEN, [int32(oid), int32(INV_READ | INV_WRITE)]).readInt32BE(0);
+      expect(call(LOWRITE, [int32(fd), Buffer.from('hello world')]).readInt32BE(0)).toBe(11);
+      expect(call(LO_TELL, [int32(fd)]).readInt32BE(0)).toBe(11);
+      expect(call(LO_LSEEK, [int32(fd), int32(6), int32(0)]).readInt32BE(0)).toBe(6);
+      expect(call(LOREAD, [int32(fd), int32(100)]).toString()).toBe('world');
+      expect(call(LO_CLOSE, [int32(fd)]).readInt32BE(0)).toBe(0);
+
+      expect(send(message('Q', cstring('COMMIT'))).pop()).toEqual({ type: 'Z', status: 'I' });
+      expect(connState.getLargeObjectStore().getObject(oid).data.toString()).toBe('hello world');
+    });
+
+    test('should send text results when asked for them', () => {
+      const [response] = send(
+        functionCall(LO_CREATE, [Buffer.from('20000')], { formats: [0], resultFormat: 0 })
+      );
+
+      expect(response.value.toString()).toBe('20000');
+    });
+
+    test('should return NULL for a NULL argument without calling the function', () => {
+      expect(call(LO_UNLINK, [null])).toBeNull();
+    });
+
+    test('should close descriptors when the transaction of the call ends', () => {
+      const oid = call(LO_CREAT, [int32(0)]).readUInt32BE(0);
+      call(LO_OPEN, [int32(oid), int32(INV_READ)]);
+
+      const [error, ready] = send(functionCall(LOREAD, [int32(0), int32(10)]));
+      expect(error).toMatchObject({ code: '42704', message: 'invalid large-object descriptor: 0' });
+      expect(ready).toEqual({ type: 'Z', status: 'I' });
+    });
+
+    test('should refuse to write through a descriptor opened for reading', () => {
+      const oid = call(LO_CREAT, [int32(0)]).readUInt32BE(0);
+      send(message('Q', cstring('BEGIN')));
+      const fd = call(LO_OPEN, [int32(oid), int32(INV_READ)]).readInt32BE(0);
+
+      const [error, ready] = send(functionCall(LOWRITE, [int32(fd), Buffer.from('x')]));
+      expect(error).toMatchObject({
+        code: '55000',
+        message: 'large object descriptor 0 was not opened for writing',
+      });
+      expect(ready.status).toBe('E');
+    });
+
+    test('should undo large object changes when the transaction rolls back', () => {
+      const oid = call(LO_CREAT, [int32(0)]).readUInt32BE(0);
+      send(message('Q', cstring('BEGIN')));
+      call(LO_UNLINK, [int32(oid)]);
+      const created = call(LO_CREAT, [int32(0)]).readUInt32BE(0);
+      send(message('Q', cstring('ROLLBACK')));
+
+      const store = connState.getLargeObjectStore();
+      expect(store.hasObject(oid)).toBe(true);
+      expect(store.hasObject(created)).toBe(false);
+    });
+
+    test('should reject an unknown function OID with 42883', () => {
+      const [error, ready] = send(functionCall(1, []));
+
+      expect(error).toMatchObject({ code: '42883', message: 'function with OID 1 does not exist' });
+      expect(ready.type).toBe('Z');
+    });
+
+    test('should reject a call with the wrong number of arguments with 08P01', () => {
+      const [error] = send(functionCall(LO_OPEN, [int32(1)]));
+
+      expect(error).toMatchObject({
+        code: '08P01',
+        message: 'function call message contains 1 arguments but function requires 2',
+      });
+    });
+
+    test('should reject a truncated call with 08P01 and stay ready for queries', () => {
+      const truncated = [
+        message('F', int32(LO_CREAT), int16(1)),
+        message('F', int32(LO_CREAT), int16List([1]), int16(1), int32(100), int16(1)),
+      ];
+
+      for (const msg of truncated) {
+        expect(send(msg)).toEqual([
+          {
+            type: 'E',
+            severity: 'ERROR',
+            code: '08P01',
+            message: 'insufficient data left in message',
+          },
+          { type: 'Z', status: 'I' },
+        ]);
+      }
+      expect(rows('SELECT 1')).toEqual([['1']]);
+    });
+
+    test('should reject a missing large object with 42704', () => {
+      const [error] = send(functionCall(LO_OPEN, [int32(99999), int32(INV_READ)]));
+
+      expect(error).toMatchObject({ code: '42704', message: 'large object 99999 does not exist' });
+    });
+
+    test('should reject calls in a failed transaction block', () => {
+      send(message('Q', cstring('BEGIN')), message('Q', cstring('SELECT 1/0')));
+
+      const [error, ready] = send(functionCall(LO_CREAT, [int32(0)]));
+      expect(error.code).toBe('25P02');
+      expect(ready.status).toBe('E');
+    });
+  });
+
+  describe('SQL functions', () => {
+    test('should put, get and list large objects', () => {
+      expect(rows("SELECT lo_from_bytea(30000, 'abc')")).toEqual([['30000']]);
+      rows("SELECT lo_put(30000, 1, '\\x5a5a5a')");
+
+      expect(rows('SELECT lo_get(30000)')).toEqual([['\\x615a5a5a']]);
+      expect(rows('SELECT lo_get(30000, 2, 1)')).toEqual([['\\x5a']]);
+      expect(rows('SELECT oid, lomowner FROM pg_largeobject_metadata')).toEqual([['30000', '10']]);
+    });
+
+    test('should share descriptors with the fastpath interface in a transaction', () => {
+      send(message('Q', cstring('BEGIN')));
+      const [[oid]] = rows('SELECT lo_creat(-1)');
+      expect(rows(`SELECT lo_open(${oid}, ${INV_WRITE})`)).toEqual([['0']]);
+
+      call(LOWRITE, [int32(0), Buffer.from('data')]);
+      expect(rows('SELECT lo_tell(0)')).toEqual([['4']]);
+    });
+
+    test('should report a missing large object rather than fall back to the mock handlers', () => {
+      const [error] = send(message('Q', cstring('SELECT lo_get(424242)')));
+
+      expect(error).toMatchObject({ code: '42704', message: 'large object 424242 does not exist' });
+    });
+
+    test('should see large objects created over other connections', () => {
+      const store = new LargeObjectStore({ enableLogging: false });
+      connState.setLargeObjectStore(store);
+      const other = new ConnectionState();
+      other.setLargeObjectStore(store);
+      other.authenticate(PROTOCOL_VERSION_3_0);
+      sendMessages(new MockSocket(), other, [message('Q', cstring('SELECT lo_create(40000)'))]);
+
+      expect(rows('SELECT count(*) FROM pg_catalog.pg_largeobject_metadata')).toEqual([['1']]);
+    });
+  });
+
+  describe('Server files', () => {
+    let dir;
+
+    /**
+     * Starts the session of a role
+     * @param {string} user - Role name
+     */
+    const logIn = user => {
+      connState.parameters.set('user', user);
+      connState.startSession();
+    };
+
+    /**
+     * Gets the error of a simple Query
+     * @param {string} query - SQL text
+     * @returns {Object} Decoded ErrorResponse
+     */
+    const error = query => send(message('Q', cstring(query)))[0];
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-lo-'));
+      fs.writeFileSync(path.join(dir, 'in.txt'), 'file contents');
+      connState.setLargeObjectStore(
+        new LargeObjectStore({ enableLogging: false, fileDirectory: dir })
+      );
+      const roles = new RoleStore({ enableLogging: false });
+      roles.addRoles([{ name: 'admin', superuser: true }, { name: 'alice' }]);
+      connState.setRoleStore(roles);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should import and export files in the configured directory', () => {
+      logIn('admin');
+
+      const [[oid]] = rows(`SELECT lo_import('${path.join(dir, 'in.txt')}')`);
+      rows(`SELECT lo_export(${oid}, 'out.txt')`);
+
+      expect(fs.readFileSync(path.join(dir, 'out.txt'), 'utf8')).toBe('file contents');
+    });
+
+    test('should refuse roles that are not superusers with 42501', () => {
+      logIn('alice');
+
+      expect(error("SELECT lo_import('in.txt')")).toMatchObject({
+        code: '42501',
+        message: 'permission denied for function lo_import',
+      });
+      expect(error("SELECT lo_export(1, 'out.txt')")).toMatchObject({
+        code: '42501',
+        message: 'permission denied for function lo_export',
+      });
+      const [response] = send(functionCall(764, [Buffer.from('in.txt')], { formats: [0] }));
+      expect(response.code).toBe('42501');
+    });
+
+    test('should refuse every session without a role store', () => {
+      connState.setRoleStore(null);
+
+      expect(error("SELECT lo_import('in.txt')").code).toBe('42501');
+    });
+
+    test('should refuse server files when no directory is configured', () => {
+      connState.setLargeObjectStore(new LargeObjectStore({ enableLogging: false }));
+      logIn('admin');
+
+      expect(error("SELECT lo_import('in.txt')")).toMatchObject({
+        code: '42501',
+        message: 'server-side lo_import() is disabled',
+      });
+    });
+
+    test('should refuse files outside the configured directory', () => {
+      logIn('admin');
+      fs.symlinkSync(os.tmpdir(), path.join(dir, 'link'));
+
+      for (const file of ['/etc/passwd', '../in.txt', 'link/escape.txt', dir]) {
+        expect(error(`SELECT lo_import('${file}')`)).toMatchObject({
+          code: '42501',
+          message: `path "${file}" is not in the large object file directory`,
+        });
+      }
+      expect(error("SELECT lo_export(1, 'link/escape.txt')").code).toBe('42501');
+    });
+
+    test('should report a missing file with 58P01', () => {
+      logIn('admin');
+
+      expect(error("SELECT lo_import('missing.txt')")).toMatchObject({
+        code: '58P01',
+        message: 'could not open server file "missing.txt": No such file or directory',
+      });
+    });
+  });
+});
@@ -12,6 +12,8 @@ const {
   processBind,
   processDescribe,
   processExecute,
+  processClose,
+  processFlush,
   processSync,
   handleSSLRequest,
   handleCancelRequest,
@@ -417,6 +419,57 @@ describe('Message Processors', () => {
       expect(bytesProcessed).toBeGreaterThan(0);
     });
 
+    test('processClose should close a statement and the portals bound from it', () => {
+      connState.addPreparedStatement('stmt1', { query: 'SELECT 1', paramTypes: [] });
+      connState.addPortal('portal1', { statement: 'stmt1', query: 'SELECT 1' });
+      connState.addPortal('other', { statement: '', query: 'SELECT 2' });
+
+      const buffer = createMessage(MESSAGE_TYPES.CLOSE, Buffer.from('Sstmt1\0', 'utf8'));
+      const bytesProcessed = processClose(buffer, socket, connState);
+
+      expect(bytesProcessed).toBe(buffer.length);
+      expect(socket.getMessageTypes()).toEqual([MESSAGE_TYPES.CLOSE_COMPLETE]);
+      expect(connState.getPreparedStatement('stmt1')).toBeNull();
+      expect(connState.getPortal('portal1')).toBeNull();
+      expect(connState.getPortal('other')).not.toBeNull();
+    });
+
+    test('processClose should close a portal and accept unknown names', () => {
+      connState.addPortal('portal1', { statement: '', query: 'SELECT 1' });
+
+      processClose(
+        createMessage(MESSAGE_TYPES.CLOSE, Buffer.from('Pportal1\0')),
+        socket,
+        connState
+      );
+      processClose(
+        createMessage(MESSAGE_TYPES.CLOSE, Buffer.from('Smissing\0')),
+        socket,
+        connState
+      );
+
+      expect(socket.getMessageTypes()).toEqual([
+        MESSAGE_TYPES.CLOSE_COMPLETE,
+        MESSAGE_TYPES.CLOSE_COMPLETE,
+      ]);
+      expect(connState.getPortal('portal1')).toBeNull();
+    });
+
+    test('processClose should reject an unknown close type', () => {
+      processClose(createMessage(MESSAGE_TYPES.CLOSE, Buffer.from('Xname\0')), socket, connState);
+
+      expect(socket.getMessageTypes()).toEqual([MESSAGE_TYPES.ERROR_RESPONSE]);
+      expect(socket.getLastMessage().toString()).toContain('08P01');
+    });
+
+    test('processFlush should send nothing, not even ReadyForQuery', () => {
+      const buffer = createMessage(MESSAGE_TYPES.FLUSH);
+
+      expect(processFlush(buffer, socket, connState)).toBe(buffer.length);
+      expect(processRegularMessage(buffer, socket, connState)).toBe(buffer.length);
+      expect(socket.getMessageTypes()).toEqual([]);
+    });
+
     test('processSync should send ReadyForQuery', () => {
       const buffer = createMessage(MESSAGE_TYPES.SYNC);
 
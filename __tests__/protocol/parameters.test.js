@@ -0,0 +1,173 @@
+/**
+ * Tests for bound parameters: typed values for the evaluator, table store and
+ * fixtures, and the checks Bind makes against the prepared statement
+ */
+
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { FixtureStore } = require('../../src/fixtures/fixtureStore');
+const { Cassette } = require('../../src/proxy/cassette');
+const { PROTOCOL_VERSION_3_0, DATA_TYPES } = require('../../src/protocol/constants');
+const { message, cstring, parse, bind, execute } = require('../helpers/protocolMessages');
+const { MockSocket, sendMessages } = require('../helpers/backendMessages');
+
+describe('Parameters', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Sends frontend messages and returns the decoded responses
+   * @param {...Buffer} messages - Messages to send
+   * @returns {Array<Object>} Decoded backend messages
+   */
+  const send = (...messages) => sendMessages(socket, connState, messages);
+
+  /**
+   * Runs a statement with text parameters through Parse, Bind and Execute
+   * @param {string} query - SQL text
+   * @param {Array<string|null>} params - Parameter values
+   * @param {Array<number>} types - Declared parameter type OIDs
+   * @returns {Array<Object>} Decoded responses after ParseComplete
+   */
+  const run = (query, params = [], types = []) =>
+    send(parse('', query, types), bind('', '', params), execute(), message('S')).slice(1);
+
+  /**
+   * Gets the data rows of a simple Query
+   * @param {string} query - SQL text
+   * @returns {Array<Array<string|null>>} Row values
+   */
+  const rows = query =>
+    send(message('Q', cstring(query)))
+      .filter(msg => msg.type === 'D')
+      .map(msg => msg.values);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = new MockSocket();
+    send(
+      message('Q', cstring('CREATE TABLE items (id integer PRIMARY KEY, name text, added date)')),
+      message('Q', cstring("INSERT INTO items VALUES (1, 'pear', '2024-01-05')"))
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Typed values', () => {
+    test('should evaluate parameters with their declared types', () => {
+      const [, row] = run(
+        'SELECT $1 + 1 AS answer, $2 AS flag',
+        ['41', 'yes'],
+        [DATA_TYPES.INT4, DATA_TYPES.BOOL]
+      );
+
+      expect(row.values).toEqual(['42', 't']);
+    });
+
+    test('should store parameters with the types of their columns', () => {
+      run('INSERT INTO items VALUES ($1, $2, $3)', [' 2 ', 'fig', '2024-02-29']);
+
+      expect(rows('SELECT id, name, added FROM items WHERE id = 2')).toEqual([
+        ['2', 'fig', '2024-02-29'],
+      ]);
+    });
+
+    test('should compare parameters as values of their type', () => {
+      const responses = run('SELECT name FROM items WHERE id = $1 AND added < $2', [
+        '+1',
+        '2024-01-06',
+      ]);
+
+      expect(responses[1].values).toEqual(['pear']);
+    });
+
+    test('should bind NULL', () => {
+      const responses = run('SELECT $1::int4 IS NULL AS missing', [null]);
+
+      expect(responses[1].values).toEqual(['t']);
+    });
+
+    test('should reject text that is not valid input for the type with 22P02', () => {
+      const responses = run('SELECT name FROM items WHERE id = $1', ['one']);
+
+      expect(responses.map(msg => msg.type)).toEqual(['E', 'Z']);
+      expect(responses[0]).toMatchObject({
+        code: '22P02',
+        message: 'invalid input syntax for type integer: "one"',
+      });
+    });
+  });
+
+  describe('Parameter counts', () => {
+    test('should reject too few parameters with 08P01', () => {
+      const [error] = run('SELECT $1, $2', ['a']);
+
+      expect(error).toEqual({
+        type: 'E',
+        severity: 'ERROR',
+        code: '08P01',
+        message: 'bind message supplies 1 parameters, but prepared statement "" requires 2',
+      });
+    });
+
+    test('should reject parameters for a statement without any', () => {
+      expect(run('SELECT 1', ['a'])[0].code).toBe('08P01');
+    });
+
+    test('should count parameters declared but not used', () => {
+      expect(run('SELECT 1', [], [DATA_TYPES.INT4])[0].code).toBe('08P01');
+      expect(run('SELECT 1 AS one', ['5'], [DATA_TYPES.INT4])[1].values).toEqual(['1']);
+    });
+
+    test('should reject a format code count that does not match the parameters', () => {
+      const [, error] = send(
+        parse('', 'SELECT $1, $2'),
+        bind('', '', ['a', 'b'], { paramFormats: [0, 0, 0] })
+      );
+
+      expect(error).toMatchObject({
+        code: '08P01',
+        message: 'bind message has 3 parameter formats but 2 parameters',
+      });
+    });
+  });
+
+  describe('Recorded responses', () => {
+    test('should match fixture parameters by the text output of their values', () => {
+      const store = new FixtureStore({ enableLogging: false });
+      store.addFixtures([
+        {
+          name: 'item',
+          match: { text: 'SELECT * FROM catalog WHERE id = $1::int4', params: [41] },
+          response: { columns: [{ name: 'name', type: 'text' }], rows: [['plum']] },
+        },
+      ]);
+      connState.setFixtureStore(store);
+
+      const responses = run('SELECT * FROM catalog WHERE id = $1::int4', ['041']);
+
+      expect(responses[1].values).toEqual(['plum']);
+    });
+
+    test('should replay cassettes by the parameters as sent', () => {
+      const cassette = new Cassette({ enableLogging: false });
+      cassette.add({
+        query: 'SELECT * FROM catalog WHERE id = $1::int4',
+        params: ['041'],
+        columns: [{ name: 'name', dataTypeOID: DATA_TYPES.TEXT }],
+        rows: [['plum']],
+        commandTag: 'SELECT 1',
+      });
+      connState.setCassette(cassette);
+
+      const responses = run('SELECT * FROM catalog WHERE id = $1::int4', ['041']);
+
+      expect(responses[1].values).toEqual(['plum']);
+    });
+  });
+});
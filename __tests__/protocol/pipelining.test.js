@@ -0,0 +1,157 @@
+/**
+ * Tests for extended-protocol pipelines: after an error every message is discarded
+ * until Sync, and the failed batch is rolled back
+ */
+
+const { processMessage } = require('../../src/protocol/messageProcessors');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const {
+  message,
+  cstring,
+  parse,
+  bind,
+  execute,
+  sync,
+  summarize,
+} = require('../helpers/protocolMessages');
+
+/**
+ * Builds the Parse, Bind and Execute messages of one statement
+ * @param {string} query - SQL text
+ * @returns {Array<Buffer>} Messages
+ */
+function statement(query) {
+  return [parse('', query), bind('', ''), execute()];
+}
+
+describe('Pipelining', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Sends frontend messages and returns the summarized responses
+   * @param {...Buffer} messages - Messages to send
+   * @returns {Array<string>} Summarized backend messages
+   */
+  const send = (...messages) => {
+    socket.write.mockClear();
+    for (const msg of messages) {
+      processMessage(msg, socket, connState);
+    }
+    return socket.write.mock.calls.map(([buffer]) => summarize(buffer));
+  };
+
+  /**
+   * Lists the ids stored in the test table
+   * @returns {Array<string>} Ids in order
+   */
+  const ids = () => {
+    send(message('Q', cstring('SELECT id FROM items ORDER BY id')));
+    return socket.write.mock.calls
+      .filter(([buffer]) => buffer[0] === 'D'.charCodeAt(0))
+      .map(([buffer]) => buffer.slice(11).toString());
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = { write: jest.fn() };
+    send(message('Q', cstring('CREATE TABLE items (id integer PRIMARY KEY)')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Error recovery', () => {
+    test('should discard the rest of a pipeline after a failed Execute', () => {
+      const responses = send(
+        ...statement('INSERT INTO items VALUES (1)'),
+        ...statement('SELECT 1/0'),
+        ...statement('INSERT INTO items VALUES (2)'),
+        sync()
+      );
+
+      expect(responses).toEqual(['1', '2', 'C:INSERT 0 1', '1', '2', 'E:22012', 'Z:I']);
+    });
+
+    test('should roll back the failed batch', () => {
+      send(...statement('INSERT INTO items VALUES (1)'), ...statement('SELECT 1/0'), sync());
+
+      expect(ids()).toEqual([]);
+    });
+
+    test('should process messages again after Sync', () => {
+      const responses = send(
+        ...statement('SELECT 1/0'),
+        ...statement('INSERT INTO items VALUES (1)'),
+        sync(),
+        ...statement('INSERT INTO items VALUES (2)'),
+        sync()
+      );
+
+      expect(responses).toEqual(['1', '2', 'E:22012', 'Z:I', '1', '2', 'C:INSERT 0 1', 'Z:I']);
+      expect(ids()).toEqual(['2']);
+    });
+
+    test('should discard messages after a failed Bind', () => {
+      const responses = send(
+        bind('', 'missing'),
+        execute(),
+        message('Q', cstring('SELECT 1')),
+        sync()
+      );
+
+      expect(responses).toEqual(['E:42883', 'Z:I']);
+    });
+
+    test('should discard messages after a failed Describe', () => {
+      const responses = send(
+        parse('', 'SELECT missing FROM items'),
+        message('D', Buffer.concat([Buffer.from('S'), cstring('')])),
+        bind('', ''),
+        execute(),
+        sync()
+      );
+
+      expect(responses).toEqual(['1', 'E:42703', 'Z:I']);
+    });
+
+    test('should keep separate batches of a pipeline apart', () => {
+      const responses = send(
+        ...statement('INSERT INTO items VALUES (1)'),
+        sync(),
+        ...statement('INSERT INTO items VALUES (1)'),
+        sync(),
+        ...statement('INSERT INTO items VALUES (3)'),
+        sync()
+      );
+
+      expect(responses.filter(msg => msg.startsWith('E') || msg.startsWith('Z'))).toEqual([
+        'Z:I',
+        'E:23505',
+        'Z:I',
+        'Z:I',
+      ]);
+      expect(ids()).toEqual(['1', '3']);
+    });
+  });
+
+  describe('Transaction blocks', () => {
+    test('should fail an open transaction block until it is rolled back', () => {
+      send(message('Q', cstring('BEGIN')));
+
+      expect(send(...statement('SELECT 1/0'), ...statement('SELECT 1'), sync())).toEqual([
+        '1',
+        '2',
+        'E:22012',
+        'Z:E',
+      ]);
+      expect(send(...statement('SELECT 1'), sync())).toEqual(['1', '2', 'E:25P02', 'Z:E']);
+      expect(send(...statement('ROLLBACK'), sync())).toEqual(['1', '2', 'C:ROLLBACK', 'Z:I']);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for Execute row limits: PortalSuspended, resuming portals and closing them
+ * at the end of their transaction
+ */
+
+const { processMessage } = require('../../src/protocol/messageProcessors');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { PROTOCOL_VERSION_3_0 } = require('../../src/protocol/constants');
+const {
+  message,
+  cstring,
+  parse,
+  bind,
+  execute,
+  sync,
+  summarize,
+} = require('../helpers/protocolMessages');
+
+describe('Portal suspension', () => {
+  let connState;
+  let socket;
+
+  /**
+   * Sends frontend messages and returns the summarized responses
+   * @param {...Buffer} messages - Messages to send
+   * @returns {Array<string>} Summarized backend messages
+   */
+  const send = (...messages) => {
+    socket.write.mockClear();
+    for (const msg of messages) {
+      processMessage(msg, socket, connState);
+    }
+    return socket.write.mock.calls.map(([buffer]) => summarize(buffer));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connState = new ConnectionState();
+    connState.authenticate(PROTOCOL_VERSION_3_0);
+    socket = { write: jest.fn() };
+    send(
+      message('Q', cstring('CREATE TABLE items (id integer PRIMARY KEY)')),
+      message('Q', cstring('INSERT INTO items VALUES (1), (2), (3), (4), (5)'))
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Row limits', () => {
+    test('should send at most the requested rows and suspend the portal', () => {
+      expect(
+        send(parse('', 'SELECT id FROM items ORDER BY id'), bind('', ''), execute('', 2))
+      ).toEqual(['1', '2', 'D:1', 'D:2', 's']);
+    });
+
+    test('should resume where the previous Execute stopped', () => {
+      send(parse('', 'SELECT id FROM items ORDER BY id'), bind('', ''), execute('', 2));
+
+      expect(send(execute('', 2))).toEqual(['D:3', 'D:4', 's']);
+      expect(send(execute('', 2), sync())).toEqual(['D:5', 'C:SELECT 1', 'Z:I']);
+    });
+
+    test('should fetch the remaining rows with no limit', () => {
+      send(parse('', 'SELECT id FROM items ORDER BY id'), bind('', ''), execute('', 3));
+
+      expect(send(execute('', 0))).toEqual(['D:4', 'D:5', 'C:SELECT 2']);
+    });
+
+    test('should complete with no rows after a batch that took the last row', () => {
+      send(parse('', 'SELECT id FROM items ORDER BY id'), bind('', ''), execute('', 5));
+
+      expect(send(execute(''))).toEqual(['C:SELECT 0']);
+      expect(send(execute(''))).toEqual(['C:SELECT 0']);
+    });
+
+    test('should complete in one batch when the limit exceeds the rows', () => {
+      expect(
+        send(parse('', 'SELECT id FROM items WHERE id > 3'), bind('', ''), execute('', 10))
+      ).toEqual(['1', '2', 'D:4', 'D:5', 'C:SELECT 2']);
+    });
+
+    test('should run a statement once however its rows are fetched', () => {
+      send(parse('', 'DELETE FROM items WHERE id <= 3 RETURNING id'), bind('', ''), execute('', 1));
+
+      expect(send(execute('', 1))).toEqual(['D:2', 's']);
+      expect(send(execute('', 0))).toEqual(['D:3', 'C:DELETE 3']);
+      expect(send(message('Q', cstring('SELECT count(*) FROM items')))).toContain('D:2');
+    });
+  });
+
+  describe('Portal lifetime', () => {
+    test('should keep named portals open until the transaction ends', () => {
+      send(message('Q', cstring('BEGIN')));
+      send(
+        parse('list', 'SELECT id FROM items ORDER BY id'),
+        bind('cursor', 'list'),
+        execute('cursor', 2),
+        sync()
+      );
+
+      expect(send(execute('cursor', 2), sync())).toEqual(['D:3', 'D:4', 's', 'Z:T']);
+
+      send(message('Q', cstring('COMMIT')));
+      expect(send(execute('cursor', 2))[0]).toBe('E:42883');
+    });
+
+    test('should describe a suspended portal with the columns of its result', () => {
+      send(parse('', 'SELECT id FROM items'), bind('', ''), execute('', 1));
+
+      const [description] = send(message('D', Buffer.concat([Buffer.from('P'), cstring('')])));
+      expect(description).toBe('T');
+    });
+  });
+});
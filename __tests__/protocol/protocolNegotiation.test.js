@@ -0,0 +1,140 @@
+/**
+ * Tests for protocol version negotiation
+ * Covers protocol 3.0 and 3.2 startup, NegotiateProtocolVersion, _pq_ protocol
+ * options and the variable-length cancel keys of protocol 3.2
+ */
+
+const { processMessage } = require('../../src/protocol/messageProcessors');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { CancelRegistry } = require('../../src/connection/cancelRegistry');
+const {
+  PROTOCOL_VERSION_3_0,
+  PROTOCOL_VERSION_3_2,
+  CANCEL_REQUEST_CODE,
+} = require('../../src/protocol/constants');
+const { startupMessage } = require('../helpers/protocolMessages');
+const { MockSocket, splitMessages } = require('../helpers/backendMessages');
+
+/**
+ * Builds a CancelRequest packet
+ * @param {number} pid - Backend process ID
+ * @param {Buffer} key - Cancel key
+ * @returns {Buffer} CancelRequest packet
+ */
+function cancelPacket(pid, key) {
+  const header = Buffer.alloc(12);
+  header.writeInt32BE(12 + key.length, 0);
+  header.writeInt32BE(CANCEL_REQUEST_CODE, 4);
+  header.writeInt32BE(pid, 8);
+  return Buffer.concat([header, key]);
+}
+
+/**
+ * Decodes a NegotiateProtocolVersion payload
+ * @param {Buffer} payload - Message payload
+ * @returns {Object} {version, options}
+ */
+function parseNegotiation(payload) {
+  const count = payload.readInt32BE(4);
+  const options = payload.toString('utf8', 8).split('\0').slice(0, count);
+  return { version: payload.readInt32BE(0), options };
+}
+
+describe('Protocol Negotiation', () => {
+  let socket;
+  let connState;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    socket = new MockSocket();
+    connState = new ConnectionState();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start a protocol 3.0 connection without negotiation', () => {
+    processMessage(startupMessage({ user: 'tester' }, PROTOCOL_VERSION_3_0), socket, connState);
+
+    const types = splitMessages(socket.data).map(message => message.type);
+    expect(types).not.toContain('v');
+    expect(types[0]).toBe('R');
+    expect(connState.protocolVersion).toBe(PROTOCOL_VERSION_3_0);
+
+    // Protocol 3.0 keeps the 32-bit secret
+    const keyData = splitMessages(socket.data).find(message => message.type === 'K');
+    expect(keyData.payload).toHaveLength(8);
+  });
+
+  test('should send a 32-byte cancel key to protocol 3.2 clients', () => {
+    processMessage(startupMessage({ user: 'tester' }, PROTOCOL_VERSION_3_2), socket, connState);
+
+    expect(splitMessages(socket.data).map(message => message.type)).not.toContain('v');
+    expect(connState.protocolVersion).toBe(PROTOCOL_VERSION_3_2);
+
+    const keyData = splitMessages(socket.data).find(message => message.type === 'K');
+    expect(keyData.payload).toHaveLength(36);
+    expect(keyData.payload.subarray(4)).toEqual(connState.backendSecret);
+  });
+
+  test('should negotiate newer minor versions down to 3.2', () => {
+    processMessage(startupMessage({ user: 'tester' }, PROTOCOL_VERSION_3_0 + 9), socket, connState);
+
+    const [first] = splitMessages(socket.data);
+    expect(first.type).toBe('v');
+    expect(parseNegotiation(first.payload)).toEqual({
+      version: PROTOCOL_VERSION_3_2,
+      options: [],
+    });
+    expect(connState.authenticated).toBe(true);
+    expect(connState.protocolVersion).toBe(PROTOCOL_VERSION_3_2);
+  });
+
+  test('should report _pq_ options as unrecognized and not store them', () => {
+    const params = { user: 'tester', '_pq_.compression': 'on', '_pq_.report': '1' };
+    processMessage(startupMessage(params, PROTOCOL_VERSION_3_0), socket, connState);
+
+    const [first] = splitMessages(socket.data);
+    expect(first.type).toBe('v');
+    expect(parseNegotiation(first.payload)).toEqual({
+      version: PROTOCOL_VERSION_3_0,
+      options: ['_pq_.compression', '_pq_.report'],
+    });
+    expect(connState.getParameter('_pq_.compression')).toBeNull();
+    expect(connState.getParameter('user')).toBe('tester');
+    expect(connState.authenticated).toBe(true);
+  });
+
+  test('should refuse other major versions with a FATAL 0A000', () => {
+    processMessage(startupMessage({ user: 'tester' }, 4 << 16), socket, connState);
+
+    const fields = splitMessages(socket.data)[0].payload.toString('utf8').split('\0');
+    expect(fields).toEqual(
+      expect.arrayContaining([
+        'SFATAL',
+        'C0A000',
+        'Munsupported frontend protocol 4.0: server supports 3.0 to 3.2',
+      ])
+    );
+    expect(socket.ended).toBe(true);
+    expect(connState.authenticated).toBe(false);
+  });
+
+  test('should cancel with the 32-byte key of a protocol 3.2 connection', () => {
+    const registry = new CancelRegistry({ enableLogging: false });
+    connState.setCancelRegistry(registry);
+    registry.register(connState);
+    processMessage(startupMessage({ user: 'tester' }, PROTOCOL_VERSION_3_2), socket, connState);
+    const onCancel = jest.fn();
+    connState.startQuery('COPY t FROM STDIN', onCancel);
+
+    const requester = new ConnectionState();
+    requester.setCancelRegistry(registry);
+    const { backendPid, backendSecret } = connState;
+    processMessage(cancelPacket(backendPid, backendSecret), new MockSocket(), requester);
+
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Role Authentication Tests
+ * Tests for authenticating against the role store under host-based authentication rules
+ */
+
+const { processMessage } = require('../src/protocol/messageProcessors');
+const { ConnectionState } = require('../src/connection/connectionState');
+const { HbaRules } = require('../src/connection/hbaRules');
+const { RoleStore } = require('../src/storage/roleStore');
+const {
+  computeMd5Password,
+  computeMd5Secret,
+  formatScramSecret,
+  generateScramCredentials,
+  generateScramNonce,
+  normalizeScramPassword,
+  pbkdf2ScramSha256,
+  hmacSha256,
+  sha256,
+} = require('../src/protocol/utils');
+const {
+  startupMessage,
+  queryMessage,
+  passwordMessage,
+  saslInitialResponse,
+  saslResponse,
+} = require('./helpers/protocolMessages');
+const { MockSocket, readMessages } = require('./helpers/backendMessages');
+
+// Test configuration
+const TEST_CONFIG = {
+  enableLogging: false,
+  authMethod: 'trust',
+};
+
+// Roles of a multi-tenant setup
+const ROLES = [
+  { name: 'admin', password: 'adminpass', superuser: true },
+  { name: 'alice', password: 'alicepass', settings: { search_path: 'tenant_a', work_mem: '8MB' } },
+  { name: 'bob', password: computeMd5Secret('bob', 'bobpass'), connectionLimit: 1 },
+  { name: 'carol', password: formatScramSecret(generateScramCredentials('carolpass', 4096)) },
+  { name: 'reporting', login: false },
+];
+
+// Rules: local admin connections are trusted, alice uses md5 from the office
+// network, SSL connections use SCRAM and everything else is refused
+const HBA_RULES = [
+  'host all admin 127.0.0.1/32 trust',
+  'host all reporting 127.0.0.1/32 trust',
+  'host all all 127.0.0.1/32 reject',
+  'host app alice 10.0.0.0 255.0.0.0 md5',
+  { type: 'host', database: 'app', user: ['bob', 'carol'], address: '10.1.0.0/16', method: 'md5' },
+  'hostnossl all all 10.0.0.0/8 password',
+  'hostssl all all all scram-sha-256',
+];
+
+describe('Role Authentication Tests', () => {
+  let roleStore;
+  let hbaRules;
+
+  /**
+   * Opens a connection and sends its startup packet
+   * @param {Object<string, string>} parameters - Startup parameters
+   * @param {string} address - Client address
+   * @param {boolean} encrypted - Whether the connection uses SSL
+   * @returns {Object} {connState, socket}
+   */
+  const connect = (parameters, address, encrypted = false) => {
+    const connState = new ConnectionState();
+    connState.setRoleStore(roleStore);
+    connState.setHbaRules(hbaRules);
+    const socket = new MockSocket({ remoteAddress: address, encrypted });
+    processMessage(startupMessage(parameters), socket, connState, TEST_CONFIG);
+    return { connState, socket };
+  };
+
+  /**
+   * Sends a message on an open connection and returns the decoded responses
+   * @param {Object} connection - Connection from connect()
+   * @param {Buffer} msg - Message
+   * @returns {Array<Object>} Decoded backend messages
+   */
+  const send = (connection, msg) => {
+    connection.socket.clear();
+    processMessage(msg, connection.socket, connection.connState, TEST_CONFIG);
+    return readMessages(connection.socket);
+  };
+
+  /**
+   * Gets the data rows of a simple Query
+   * @param {Object} connection - Authenticated connection from connect()
+   * @param {string} query - SQL text
+   * @returns {Array<Array<string|null>>} Row values
+   */
+  const rows = (connection, query) =>
+    send(connection, queryMessage(query))
+      .filter(msg => msg.type === 'D')
+      .map(msg => msg.values);
+
+  /**
+   * Runs a SCRAM-SHA-256 exchange on a connection waiting for it
+   * @param {Object} connection - Connection from connect()
+   * @param {string} saslUser - User name of the client-first message
+   * @param {string} password - Password the client proves
+   * @returns {Array<Object>} Decoded responses to the client-final message
+   */
+  const scram = (connection, saslUser, password) => {
+    const clientNonce = generateScramNonce();
+    const clientFirstBare = `n=${saslUser},r=${clientNonce}`;
+    connection.socket.clear();
+    processMessage(
+      saslInitialResponse('SCRAM-SHA-256', `n,,${clientFirstBare}`),
+      connection.socket,
+      connection.connState,
+      TEST_CONFIG
+    );
+    const serverFirst = connection.socket.data[0].toString('utf8', 9);
+    const [, nonce, salt, iterations] = /r=([^,]+),s=([^,]+),i=(\d+)/.exec(serverFirst);
+
+    const clientFinalBare = `c=biws,r=${nonce}`;
+    const saltedPassword = pbkdf2ScramSha256(
+      normalizeScramPassword(password),
+      Buffer.from(salt, 'base64'),
+      parseInt(iterations, 10)
+    );
+    const clientKey = hmacSha256(saltedPassword, 'Client Key');
+    const signature = hmacSha256(
+      sha256(clientKey),
+      `${clientFirstBare},${serverFirst},${clientFinalBare}`
+    );
+    const proof = Buffer.from(clientKey.map((byte, i) => byte ^ signature[i]));
+    return send(connection, saslResponse(`${clientFinalBare},p=${proof.toString('base64')}`));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    roleStore = new RoleStore({ enableLogging: false });
+    roleStore.addRoles(ROLES);
+    hbaRules = new HbaRules({ enableLogging: false });
+    hbaRules.addRules(HBA_RULES);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Host-Based Authentication Rules', () => {
+    test('should use the method of the first matching rule', () => {
+      const trusted = connect({ user: 'admin', database: 'app' }, '127.0.0.1');
+      const md5 = connect({ user: 'alice', database: 'app' }, '10.2.3.4');
+      const cleartext = connect({ user: 'alice', database: 'other' }, '10.2.3.4');
+
+      expect(trusted.connState.authenticated).toBe(true);
+      expect(readMessages(md5.socket)).toEqual([{ type: 'R', code: 5 }]);
+      expect(readMessages(cleartext.socket)).toEqual([{ type: 'R', code: 3 }]);
+    });
+
+    test('should match IPv4 clients of a dual-stack listener', () => {
+      const { connState } = connect({ user: 'admin' }, '::ffff:127.0.0.1');
+
+      expect(connState.authenticated).toBe(true);
+    });
+
+    test('should choose rules by SSL state', () => {
+      const { socket } = connect({ user: 'carol', database: 'app' }, '192.168.1.5', true);
+
+      expect(readMessages(socket)).toEqual([{ type: 'R', code: 10 }]);
+    });
+
+    test('should refuse a connection no rule matches with a FATAL 28000', () => {
+      const { connState, socket } = connect({ user: 'bob', database: 'app' }, '192.168.1.5');
+
+      expect(readMessages(socket)).toEqual([
+        {
+          type: 'E',
+          severity: 'FATAL',
+          code: '28000',
+          message:
+            'no pg_hba.conf entry for host "192.168.1.5", user "bob", database "app", no encryption',
+        },
+      ]);
+      expect(socket.ended).toBe(true);
+      expect(connState.authenticated).toBe(false);
+    });
+
+    test('should refuse a connection a reject rule matches', () => {
+      const { socket } = connect({ user: 'alice', database: 'app' }, '127.0.0.1');
+
+      expect(readMessages(socket)[0]).toMatchObject({
+        code: '28000',
+        message:
+          'pg_hba.conf rejects connection for host "127.0.0.1", user "alice", database "app", no encryption',
+      });
+      expect(socket.ended).toBe(true);
+    });
+  });
+
+  describe('Role Passwords', () => {
+    test('should authenticate a role with a cleartext password over md5', () => {
+      const connection = connect({ user: 'alice', database: 'app' }, '10.2.3.4');
+      const salt = connection.socket.data[0].slice(9);
+
+      const responses = send(
+        connection,
+        passwordMessage(computeMd5Password('alice', 'alicepass', salt))
+      );
+
+      expect(responses[0]).toEqual({ type: 'R', code: 0 });
+      expect(responses.pop().type).toBe('Z');
+      expect(connection.connState.authenticated).toBe(true);
+    });
+
+    test('should authenticate a role with an MD5 secret over md5', () => {
+      const connection = connect({ user: 'bob', database: 'app' }, '10.1.0.9');
+      const salt = connection.socket.data[0].slice(9);
+
+      send(connection, passwordMessage(computeMd5Password('bob', 'bobpass', salt)));
+
+      expect(connection.connState.authenticated).toBe(true);
+    });
+
+    test('should authenticate roles with a SCRAM secret through SCRAM when md5 is asked for', () => {
+      const { socket } = connect({ user: 'carol', database: 'app' }, '10.1.0.9');
+
+      expect(readMessages(socket)).toEqual([{ type: 'R', code: 10 }]);
+    });
+
+    test('should check cleartext passwords against SCRAM and MD5 secrets', () => {
+      const carol = connect({ user: 'carol', database: 'other' }, '10.2.3.4');
+      const bob = connect({ user: 'bob', database: 'other' }, '10.2.3.4');
+
+      send(carol, passwordMessage('carolpass'));
+      const responses = send(bob, passwordMessage('wrongpass'));
+
+      expect(carol.connState.authenticated).toBe(true);
+      expect(responses).toEqual([
+        {
+          type: 'E',
+          severity: 'FATAL',
+          code: '28P01',
+          message: 'password authentication failed for user "bob"',
+        },
+      ]);
+    });
+
+    test('should check SCRAM proofs against the startup user, not the SASL user name', () => {
+      const impostor = connect({ user: 'admin' }, '192.168.1.5', true);
+      const admin = connect({ user: 'admin' }, '192.168.1.5', true);
+
+      const refused = scram(impostor, 'alice', 'alicepass');
+      const accepted = scram(admin, 'alice', 'adminpass');
+
+      expect(refused).toEqual([expect.objectContaining({ type: 'E', code: '28000' })]);
+      expect(impostor.connState.authenticated).toBe(false);
+      expect(accepted[1]).toEqual({ type: 'R', code: 0 });
+      expect(admin.connState.getCurrentUser()).toBe('admin');
+    });
+
+    test('should fail password authentication for a role that does not exist', () => {
+      const connection = connect({ user: 'mallory', database: 'other' }, '10.2.3.4');
+
+      const responses = send(connection, passwordMessage('anything'));
+
+      expect(responses[0]).toMatchObject({ code: '28P01', severity: 'FATAL' });
+    });
+  });
+
+  describe('Role Attributes', () => {
+    test('should refuse a role that does not exist after trust authentication', () => {
+      hbaRules.addRules(['host all all 127.0.0.0/8 trust']);
+
+      const { socket } = connect({ user: 'mallory' }, '127.0.0.2');
+
+      expect(readMessages(socket)).toEqual([
+        { type: 'R', code: 0 },
+        { type: 'E', severity: 'FATAL', code: '28000', message: 'role "mallory" does not exist' },
+      ]);
+      expect(socket.ended).toBe(true);
+    });
+
+    test('should refuse a role without LOGIN', () => {
+      const { connState, socket } = connect({ user: 'reporting' }, '127.0.0.1');
+
+      expect(readMessages(socket)[1]).toMatchObject({
+        code: '28000',
+        message: 'role "reporting" is not permitted to log in',
+      });
+      expect(connState.authenticated).toBe(false);
+    });
+
+    test('should enforce connection limits until a connection closes', () => {
+      const login = () => {
+        const connection = connect({ user: 'bob', database: 'other' }, '10.2.3.4');
+        send(connection, passwordMessage('bobpass'));
+        return connection;
+      };
+
+      const first = login();
+      const second = login();
+      first.connState.close();
+      const third = login();
+
+      expect(first.connState.authenticated).toBe(true);
+      expect(readMessages(second.socket)[1]).toMatchObject({
+        severity: 'FATAL',
+        code: '53300',
+        message: 'too many connections for role "bob"',
+      });
+      expect(third.connState.authenticated).toBe(true);
+    });
+
+    test('should apply role settings below those of the startup packet', () => {
+      const connection = connect(
+        { user: 'alice', database: 'other', work_mem: '16MB' },
+        '10.2.3.4'
+      );
+      send(connection, passwordMessage('alicepass'));
+
+      expect(rows(connection, 'SHOW search_path')).toEqual([['tenant_a']]);
+      expect(rows(connection, 'SHOW work_mem')).toEqual([['16MB']]);
+      expect(rows(connection, 'SHOW is_superuser')).toEqual([['off']]);
+    });
+
+    test('should report superusers', () => {
+      const connection = connect({ user: 'admin' }, '127.0.0.1');
+
+      expect(rows(connection, 'SHOW is_superuser')).toEqual([['on']]);
+    });
+  });
+
+  describe('Role Catalogs', () => {
+    test('should list roles in pg_roles with their passwords masked', () => {
+      const connection = connect({ user: 'admin' }, '127.0.0.1');
+
+      expect(
+        rows(
+          connection,
+          'SELECT oid, rolname, rolsuper, rolcanlogin, rolconnlimit, rolpassword, rolconfig FROM pg_roles'
+        )
+      ).toEqual([
+        ['10', 'admin', 't', 't', '-1', '********', null],
+        ['16384', 'alice', 'f', 't', '-1', '********', '{search_path=tenant_a,work_mem=8MB}'],
+        ['16385', 'bob', 'f', 't', '1', '********', null],
+        ['16386', 'carol', 'f', 't', '-1', '********', null],
+        ['16387', 'reporting', 'f', 'f', '-1', null, null],
+      ]);
+    });
+
+    test('should show password secrets in pg_authid', () => {
+      const connection = connect({ user: 'admin' }, '127.0.0.1');
+
+      const [[alice], [carol]] = rows(
+        connection,
+        "SELECT rolpassword FROM pg_catalog.pg_authid WHERE rolname IN ('alice', 'carol')"
+      );
+
+      expect(alice).toBe(computeMd5Secret('alice', 'alicepass'));
+      expect(carol).toBe(ROLES[3].password);
+    });
+  });
+});
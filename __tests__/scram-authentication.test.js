@@ -28,9 +28,12 @@ const {
   buildScramServerFirst,
   buildScramServerFinal,
   buildScramAuthMessage,
+  computeTlsServerEndPoint,
+  buildScramChannelBinding,
 } = require('../src/protocol/utils');
 const { ConnectionState } = require('../src/connection/connectionState');
 const { SCRAM_STATES, SASL_MECHANISMS } = require('../src/protocol/constants');
+const { saslInitialResponse, saslResponse } = require('./helpers/protocolMessages');
 
 // Test configuration
 const TEST_CONFIG = {
@@ -109,9 +112,9 @@ function createClientFinalMessage(
   password,
   salt,
   iterations,
-  serverFirst
+  serverFirst,
+  channelBinding = 'biws' // "n,," base64 encoded
 ) {
-  const channelBinding = 'biws'; // "n,," base64 encoded
   const clientFinalWithoutProof = `c=${channelBinding},r=${clientNonce}${serverNonce}`;
 
   // Calculate client proof
@@ -140,6 +143,57 @@ function createClientFinalMessage(
   };
 }
 
+/**
+ * Encodes a DER element
+ * @param {number} tag - Element tag
+ * @param {Buffer} content - Element content
+ * @returns {Buffer} DER element
+ */
+function derElement(tag, content) {
+  return Buffer.concat([Buffer.from([tag, content.length]), content]);
+}
+
+/**
+ * Builds a certificate-shaped DER structure with the given signature algorithm
+ * @param {string} oidHex - DER encoding of the signature algorithm OID
+ * @returns {Buffer} Fake certificate
+ */
+function fakeCertificate(oidHex) {
+  return derElement(
+    0x30,
+    Buffer.concat([
+      derElement(0x30, derElement(0x02, Buffer.from([1]))),
+      derElement(0x30, derElement(0x06, Buffer.from(oidHex, 'hex'))),
+      derElement(0x03, Buffer.from([0, 0])),
+    ])
+  );
+}
+
+// sha256WithRSAEncryption
+const SERVER_CERTIFICATE = fakeCertificate('2a864886f70d01010b');
+
+// Mock SSL socket whose server certificate supports channel binding
+class MockTlsSocket extends MockSocket {
+  constructor(certificate = SERVER_CERTIFICATE) {
+    super();
+    this.encrypted = true;
+    this.certificate = certificate;
+  }
+
+  getCertificate() {
+    return { raw: this.certificate };
+  }
+}
+
+/**
+ * Gets the mechanisms of an AuthenticationSASL message
+ * @param {Buffer} message - AuthenticationSASL message
+ * @returns {Array<string>} Mechanism names
+ */
+function saslMechanisms(message) {
+  return message.slice(9).toString('utf8').split('\0').filter(Boolean);
+}
+
 describe('SCRAM-SHA-256 Authentication Tests', () => {
   describe('SCRAM Utility Functions', () => {
     test('generateScramNonce should generate unique nonces', () => {
@@ -683,4 +737,163 @@ describe('SCRAM-SHA-256 Authentication Tests', () => {
       expect(parsed.nonce).toBe('clientnonce123');
     });
   });
+
+  describe('SCRAM-SHA-256-PLUS Channel Binding', () => {
+    const nonce = 'plusclientnonce';
+    let socket;
+    let connState;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      socket = new MockTlsSocket();
+      connState = new ConnectionState();
+      connState.setParameter('user', 'testuser');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Sends the client initial message and answers the server challenge
+     * @param {string} mechanism - Selected mechanism
+     * @param {string} gs2Header - GS2 header to send
+     * @param {string} channelBinding - "c" attribute of the client final message
+     * @returns {Buffer} Last message the server sent
+     */
+    function authenticate(mechanism, gs2Header, channelBinding) {
+      startScramAuthentication(socket, connState, TEST_CONFIG);
+      processSASLInitialResponse(
+        saslInitialResponse(mechanism, `${gs2Header}n=testuser,r=${nonce}`),
+        socket,
+        connState,
+        TEST_CONFIG
+      );
+      const serverFirst = socket.getLastWrittenData().slice(9).toString('utf8');
+      const [, fullNonce, salt, iterations] = serverFirst.match(/r=([^,]+),s=([^,]+),i=(\d+)/);
+      const clientFinal = createClientFinalMessage(
+        nonce,
+        fullNonce.substring(nonce.length),
+        'testuser',
+        'testpass',
+        salt,
+        parseInt(iterations),
+        serverFirst,
+        channelBinding
+      );
+      processSASLResponse(saslResponse(clientFinal.message), socket, connState);
+      return socket.getLastWrittenData();
+    }
+
+    test('computeTlsServerEndPoint should hash with the certificate signature hash', () => {
+      const sha384Certificate = fakeCertificate('2a8648ce3d040303');
+
+      expect(computeTlsServerEndPoint(SERVER_CERTIFICATE)).toEqual(
+        require('crypto').createHash('sha256').update(SERVER_CERTIFICATE).digest()
+      );
+      expect(computeTlsServerEndPoint(sha384Certificate)).toHaveLength(48);
+      // SHA-1 signatures are hashed with SHA-256, Ed25519 ones cannot be bound
+      expect(computeTlsServerEndPoint(fakeCertificate('2a864886f70d010105'))).toHaveLength(32);
+      expect(computeTlsServerEndPoint(fakeCertificate('2b6570'))).toBeNull();
+      expect(computeTlsServerEndPoint(Buffer.from([0x30, 0x05]))).toBeNull();
+    });
+
+    test('parseScramClientInitial should split off the GS2 header', () => {
+      const parsed = parseScramClientInitial('p=tls-server-end-point,,n=,r=abc');
+
+      expect(parsed.gs2Header).toBe('p=tls-server-end-point,,');
+      expect(parsed.channelBinding).toBe('p');
+      expect(parsed.channelBindingType).toBe('tls-server-end-point');
+      expect(parsed.clientInitialBare).toBe('n=,r=abc');
+    });
+
+    test('should advertise SCRAM-SHA-256-PLUS on SSL connections only', () => {
+      startScramAuthentication(socket, connState, TEST_CONFIG);
+      const plainSocket = new MockSocket();
+      startScramAuthentication(plainSocket, connState, TEST_CONFIG);
+
+      expect(saslMechanisms(socket.data[0])).toEqual(['SCRAM-SHA-256-PLUS', 'SCRAM-SHA-256']);
+      expect(saslMechanisms(plainSocket.data[0])).toEqual(['SCRAM-SHA-256']);
+    });
+
+    test('should authenticate a client bound to the server certificate', () => {
+      const gs2Header = 'p=tls-server-end-point,,';
+      const binding = buildScramChannelBinding(
+        gs2Header,
+        computeTlsServerEndPoint(SERVER_CERTIFICATE)
+      );
+
+      authenticate('SCRAM-SHA-256-PLUS', gs2Header, binding);
+
+      expect(connState.scramState).toBe(SCRAM_STATES.ENDED);
+      expect(connState.authenticated).toBe(true);
+    });
+
+    test('should reject binding data for another certificate with 28000', () => {
+      const gs2Header = 'p=tls-server-end-point,,';
+      const otherCertificate = fakeCertificate('2a864886f70d01010c');
+      const binding = buildScramChannelBinding(
+        gs2Header,
+        computeTlsServerEndPoint(otherCertificate)
+      );
+
+      const error = authenticate('SCRAM-SHA-256-PLUS', gs2Header, binding).toString();
+
+      expect(error).toContain('C28000');
+      expect(error).toContain('SCRAM channel binding check failed');
+      expect(connState.authenticated).toBe(false);
+    });
+
+    test('should authenticate a client that does not bind with "n" or "y" headers', () => {
+      authenticate('SCRAM-SHA-256', 'n,,', 'biws');
+      expect(connState.authenticated).toBe(true);
+
+      socket = new MockSocket();
+      connState = new ConnectionState();
+      connState.setParameter('user', 'testuser');
+      authenticate('SCRAM-SHA-256', 'y,,', 'eSws');
+      expect(connState.authenticated).toBe(true);
+    });
+
+    test.each([
+      ['SCRAM-SHA-256-PLUS', 'n,,', 'C08P01', 'does not include channel binding data'],
+      ['SCRAM-SHA-256', 'p=tls-server-end-point,,', 'C08P01', 'includes channel binding data'],
+      ['SCRAM-SHA-256-PLUS', 'p=tls-unique,,', 'C08P01', 'channel-binding type "tls-unique"'],
+      ['SCRAM-SHA-256', 'y,,', 'C28000', 'SCRAM channel binding negotiation error'],
+      ['SCRAM-SHA-256', 'n,a=admin,', 'C0A000', 'authorization identity'],
+    ])('should reject %s with the GS2 header "%s"', (mechanism, gs2Header, code, message) => {
+      processSASLInitialResponse(
+        saslInitialResponse(mechanism, `${gs2Header}n=testuser,r=${nonce}`),
+        socket,
+        connState,
+        TEST_CONFIG
+      );
+
+      const error = socket.getLastWrittenData().toString();
+      expect(error).toContain(code);
+      expect(error).toContain(message);
+      expect(connState.scramState).toBe(SCRAM_STATES.ERROR);
+    });
+
+    test('should not accept SCRAM-SHA-256-PLUS without SSL', () => {
+      socket = new MockSocket();
+
+      processSASLInitialResponse(
+        saslInitialResponse('SCRAM-SHA-256-PLUS', `p=tls-server-end-point,,n=,r=${nonce}`),
+        socket,
+        connState,
+        TEST_CONFIG
+      );
+
+      expect(socket.getLastWrittenData().toString()).toContain('SCRAM mechanism not supported');
+    });
+
+    test('should reject a "c" attribute that does not repeat the GS2 header', () => {
+      const error = authenticate('SCRAM-SHA-256', 'n,,', 'eSws').toString();
+
+      expect(error).toContain('C08P01');
+      expect(error).toContain('unexpected SCRAM channel-binding attribute');
+      expect(connState.authenticated).toBe(false);
+    });
+  });
 });
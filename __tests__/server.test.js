@@ -36,6 +36,8 @@ describe('Server Configuration', () => {
     expect(config).toEqual({
       port: 5432,
       host: 'localhost',
+      unixSocketDirectories: [],
+      unixSocketPermissions: 0o777,
       maxConnections: 100,
       connectionTimeout: 300000,
       enableLogging: true,
@@ -57,6 +59,32 @@ describe('Server Configuration', () => {
       scramIterations: 4096,
       username: 'postgres',
       password: 'password',
+      // Roles, hba rules and user name maps
+      rolesFile: null,
+      roles: [],
+      hbaFile: null,
+      hbaRules: [],
+      identFile: null,
+      identMaps: [],
+      certMap: null,
+      // Query fixtures
+      fixturesFile: null,
+      fixtures: [],
+      // Server files for lo_import() and lo_export()
+      largeObjectFileDirectory: null,
+      // Record/replay
+      cassetteMode: 'off',
+      cassetteFile: null,
+      upstreamHost: 'localhost',
+      upstreamPort: 5432,
+      replayMissPolicy: 'strict',
+      // Simulated latency
+      latency: null,
+      // Session timeouts
+      statementTimeout: 0,
+      lockTimeout: 0,
+      idleInTransactionSessionTimeout: 0,
+      idleSessionTimeout: 0,
       http: {
         enabled: true,
         port: 8080,
@@ -80,6 +108,8 @@ describe('Server Configuration', () => {
     expect(config).toEqual({
       port: 5433,
       host: '0.0.0.0',
+      unixSocketDirectories: [],
+      unixSocketPermissions: 0o777,
       maxConnections: 50,
       connectionTimeout: 300000,
       enableLogging: true,
@@ -101,6 +131,32 @@ describe('Server Configuration', () => {
       scramIterations: 4096,
       username: 'postgres',
       password: 'password',
+      // Roles, hba rules and user name maps
+      rolesFile: null,
+      roles: [],
+      hbaFile: null,
+      hbaRules: [],
+      identFile: null,
+      identMaps: [],
+      certMap: null,
+      // Query fixtures
+      fixturesFile: null,
+      fixtures: [],
+      // Server files for lo_import() and lo_export()
+      largeObjectFileDirectory: null,
+      // Record/replay
+      cassetteMode: 'off',
+      cassetteFile: null,
+      upstreamHost: 'localhost',
+      upstreamPort: 5432,
+      replayMissPolicy: 'strict',
+      // Simulated latency
+      latency: null,
+      // Session timeouts
+      statementTimeout: 0,
+      lockTimeout: 0,
+      idleInTransactionSessionTimeout: 0,
+      idleSessionTimeout: 0,
       http: {
         enabled: true,
         port: 8080,
@@ -132,6 +188,8 @@ describe('Server Configuration', () => {
     expect(config).toEqual({
       port: 5434,
       host: '127.0.0.1',
+      unixSocketDirectories: [],
+      unixSocketPermissions: 0o777,
       maxConnections: 200,
       connectionTimeout: 300000,
       enableLogging: true,
@@ -153,6 +211,32 @@ describe('Server Configuration', () => {
       scramIterations: 4096,
       username: 'postgres',
       password: 'password',
+      // Roles, hba rules and user name maps
+      rolesFile: null,
+      roles: [],
+      hbaFile: null,
+      hbaRules: [],
+      identFile: null,
+      identMaps: [],
+      certMap: null,
+      // Query fixtures
+      fixturesFile: null,
+      fixtures: [],
+      // Server files for lo_import() and lo_export()
+      largeObjectFileDirectory: null,
+      // Record/replay
+      cassetteMode: 'off',
+      cassetteFile: null,
+      upstreamHost: 'localhost',
+      upstreamPort: 5432,
+      replayMissPolicy: 'strict',
+      // Simulated latency
+      latency: null,
+      // Session timeouts
+      statementTimeout: 0,
+      lockTimeout: 0,
+      idleInTransactionSessionTimeout: 0,
+      idleSessionTimeout: 0,
       http: {
         enabled: true,
         port: 8080,
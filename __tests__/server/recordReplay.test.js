@@ -0,0 +1,290 @@
+/**
+ * Tests for record mode (proxy to an upstream server) and cassette replay
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ServerManager } = require('../../src/server/serverManager');
+const { Cassette } = require('../../src/proxy/cassette');
+const { ConnectionState } = require('../../src/connection/connectionState');
+const { processQuery } = require('../../src/handlers/queryHandlers');
+const {
+  message,
+  cstring,
+  startupMessage,
+  parse,
+  bind,
+  execute,
+  sync,
+} = require('../helpers/protocolMessages');
+
+/**
+ * Connects, sends the given messages after startup and collects backend message types
+ * @param {number} port - Server port
+ * @param {Array<Buffer>} messages - Messages to send once the session is ready
+ * @returns {Promise<Array<string>>} Types of the messages received after startup
+ */
+function exchange(port, messages) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ port, host: 'localhost' });
+    let buffer = Buffer.alloc(0);
+    let ready = false;
+    const received = [];
+
+    socket.on('error', reject);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 5 && buffer.length >= buffer.readInt32BE(1) + 1) {
+        const type = String.fromCharCode(buffer[0]);
+        buffer = buffer.slice(buffer.readInt32BE(1) + 1);
+
+        if (!ready) {
+          if (type === 'Z') {
+            ready = true;
+            socket.write(Buffer.concat(messages));
+          }
+          continue;
+        }
+
+        received.push(type);
+        if (type === 'Z') {
+          socket.end(message('X'));
+          resolve(received);
+        }
+      }
+    });
+
+    socket.write(startupMessage());
+  });
+}
+
+describe('Record and replay', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-cassette-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('Record mode', () => {
+    let upstream;
+    let recorder;
+    let cassetteFile;
+
+    const serverConfig = {
+      port: 0,
+      host: 'localhost',
+      enableLogging: false,
+      enableConnectionPooling: false,
+      shutdownDrainTimeout: 200,
+      http: { enabled: false },
+    };
+
+    beforeEach(async () => {
+      cassetteFile = path.join(dir, 'cassette.json');
+      upstream = new ServerManager(serverConfig);
+      await upstream.start();
+      recorder = new ServerManager({
+        ...serverConfig,
+        cassetteMode: 'record',
+        cassetteFile,
+        upstreamHost: 'localhost',
+        upstreamPort: upstream.getAddress().port,
+      });
+      await recorder.start();
+    });
+
+    afterEach(async () => {
+      await recorder.stop();
+      await upstream.stop();
+    });
+
+    test('should proxy simple queries and record each statement', async () => {
+      const types = await exchange(recorder.getAddress().port, [
+        message('Q', cstring("SELECT 'It''s' AS quote; SELECT 1 / 0; SELECT 3")),
+      ]);
+
+      expect(types).toEqual(['T', 'D', 'C', 'E', 'Z']);
+      const [first, second] = recorder.cassette.interactions;
+      expect(recorder.cassette.interactions).toHaveLength(2);
+      expect(first).toMatchObject({
+        query: "SELECT 'It''s' AS quote",
+        params: [],
+        rows: [["It's"]],
+        commandTag: 'SELECT 1',
+      });
+      expect(first.columns[0].name).toBe('quote');
+      expect(second.query).toBe('SELECT 1 / 0');
+      expect(second.error.C).toBe('22012');
+    });
+
+    test('should record extended-protocol executions with their parameters', async () => {
+      await exchange(recorder.getAddress().port, [
+        parse('', 'SELECT $1 AS answer'),
+        bind('', '', ['x']),
+        execute(),
+        sync(),
+      ]);
+
+      expect(recorder.cassette.interactions).toEqual([
+        expect.objectContaining({
+          query: 'SELECT $1 AS answer',
+          params: ['x'],
+          rows: [['x']],
+          commandTag: 'SELECT 1',
+        }),
+      ]);
+    });
+
+    test('should save the cassette on shutdown for offline replay', async () => {
+      await exchange(recorder.getAddress().port, [message('Q', cstring('SELECT 7 AS seven'))]);
+      await recorder.stop();
+      await upstream.stop();
+
+      const cassette = new Cassette({ enableLogging: false });
+      expect(cassette.load(cassetteFile)).toBe(1);
+
+      const connState = new ConnectionState();
+      connState.setCassette(cassette);
+      const result = processQuery('SELECT 7 AS seven', connState);
+
+      expect(result.columns[0].name).toBe('seven');
+      expect(result.rows).toEqual([['7']]);
+      expect(result.command).toBe('SELECT');
+      expect(result.rowCount).toBe(1);
+    });
+
+    test('should report an unreachable upstream to the client', async () => {
+      await upstream.stop();
+
+      const types = await new Promise(resolve => {
+        const socket = net.connect({ port: recorder.getAddress().port, host: 'localhost' });
+        const received = [];
+        socket.on('data', chunk => received.push(String.fromCharCode(chunk[0])));
+        socket.on('close', () => resolve(received));
+        socket.write(startupMessage());
+      });
+
+      expect(types[0]).toBe('E');
+      expect(recorder.getStats().recordingProxy.upstreamErrors).toBe(1);
+    });
+  });
+
+  describe('Replay', () => {
+    let connState;
+
+    /**
+     * Creates a connection replaying the given interactions
+     * @param {Array<Object>} interactions - Recorded interactions
+     * @param {string} missPolicy - Miss policy
+     * @returns {Cassette} Cassette
+     */
+    const replaying = (interactions, missPolicy = 'strict') => {
+      const cassette = new Cassette({ missPolicy, enableLogging: false });
+      interactions.forEach(interaction => cassette.add(interaction));
+      connState.setCassette(cassette);
+      return cassette;
+    };
+
+    beforeEach(() => {
+      connState = new ConnectionState();
+    });
+
+    test('should replay repeated queries in recorded order, then repeat the last', () => {
+      replaying([
+        {
+          query: 'SELECT count(*) FROM t',
+          columns: [{ name: 'count' }],
+          rows: [['1']],
+          commandTag: 'SELECT 1',
+        },
+        {
+          query: 'SELECT count(*) FROM t',
+          columns: [{ name: 'count' }],
+          rows: [['2']],
+          commandTag: 'SELECT 1',
+        },
+      ]);
+
+      const counts = [1, 2, 3].map(
+        () => processQuery('SELECT count(*) FROM t', connState).rows[0][0]
+      );
+
+      expect(counts).toEqual(['1', '2', '2']);
+    });
+
+    test('should match parameters and rebuild command tags', () => {
+      replaying([
+        { query: 'INSERT INTO t VALUES ($1)', params: ['a'], commandTag: 'INSERT 0 1' },
+        { query: 'CREATE TABLE t (a text)', commandTag: 'CREATE TABLE' },
+      ]);
+
+      const insert = processQuery('INSERT INTO t VALUES ($1)', connState, { params: ['a'] });
+      const create = processQuery('CREATE TABLE t (a text)', connState);
+
+      expect([insert.command, insert.rowCount]).toEqual(['INSERT', 1]);
+      expect([create.command, create.rowCount]).toEqual(['CREATE TABLE', null]);
+    });
+
+    test('should replay errors, notices and binary values', () => {
+      replaying([
+        {
+          query: 'SELECT boom()',
+          error: { S: 'ERROR', C: '42883', M: 'function boom() does not exist', P: '8' },
+          notices: [{ S: 'WARNING', C: '01000', M: 'careful' }],
+        },
+        {
+          query: 'SELECT raw',
+          columns: [{ name: 'raw', format: 1 }],
+          rows: [[{ base64: 'AAE=' }]],
+        },
+      ]);
+
+      const failed = processQuery('SELECT boom()', connState);
+      const raw = processQuery('SELECT raw', connState);
+
+      expect(failed.error.code).toBe('42883');
+      expect(failed.error.position).toBe('8');
+      expect(failed.notices[0]).toMatchObject({ severity: 'WARNING', message: 'careful' });
+      expect(raw.rows[0][0]).toEqual(Buffer.from([0, 1]));
+    });
+
+    test('should answer unrecorded queries with an error in strict mode', () => {
+      const cassette = replaying([]);
+
+      const result = processQuery('SELECT 1', connState, { params: [] });
+
+      expect(result.error.code).toBe('XX000');
+      expect(result.error.detail).toBe('Query: SELECT 1');
+      expect(cassette.getStats()).toMatchObject({ misses: 1, missedQueries: { 'SELECT 1': 1 } });
+    });
+
+    test('should fall back to the mock handlers in lenient mode', () => {
+      replaying([], 'lenient');
+
+      expect(processQuery('SELECT 1', connState).rows).toEqual([['1']]);
+    });
+
+    test('should refuse to start without a usable cassette', () => {
+      expect(() => new ServerManager({ cassetteMode: 'record', enableLogging: false })).toThrow(
+        'requires a cassette file'
+      );
+      expect(
+        () =>
+          new ServerManager({
+            cassetteMode: 'replay',
+            cassetteFile: path.join(dir, 'missing.json'),
+            enableLogging: false,
+          })
+      ).toThrow('Cannot load cassette');
+    });
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Tests for Unix-domain sockets: the .s.PGSQL.<port> socket and its lock file,
+ * connections through it, and peer authentication
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFileSync, execSync } = require('child_process');
+const { ServerManager } = require('../../src/server/serverManager');
+const { UnixSocketListener } = require('../../src/server/unixSocketListener');
+const { getPeerCredentials, parseSocketListing } = require('../../src/connection/peerCredentials');
+const { startupMessage, queryMessage } = require('../helpers/protocolMessages');
+
+/**
+ * Connects, sends a startup packet and waits for the outcome
+ * @param {Object} options - net.connect options (path, or port and host)
+ * @param {string} user - User name
+ * @returns {Promise<Object>} {authenticated} or {error, code}
+ */
+function startUp(options, user) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(options, () => socket.write(startupMessage({ user })));
+    let received = Buffer.alloc(0);
+    socket.once('error', reject);
+    socket.on('data', data => {
+      received = Buffer.concat([received, data]);
+      if (received[0] === 'E'.charCodeAt(0)) {
+        const fields = received.toString('utf8', 5);
+        socket.destroy();
+        resolve({ error: /\0M([^\0]*)\0/.exec(fields)[1], code: /\0C(\w+)\0/.exec(fields)[1] });
+      } else if (received.toString().includes('Z\0\0\0\u0005I')) {
+        socket.destroy();
+        resolve({ authenticated: true });
+      }
+    });
+  });
+}
+
+/**
+ * Checks whether peer credentials can be looked up here (Linux with ss)
+ * @returns {boolean} True if peer authentication can work
+ */
+function hasPeerCredentials() {
+  if (process.platform !== 'linux') {
+    return false;
+  }
+  try {
+    execFileSync('ss', ['-V'], { stdio: 'pipe' });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+describe('Unix-domain sockets', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-sockets-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('UnixSocketListener', () => {
+    /**
+     * Creates a listener for the test directory
+     * @param {Object} config - Configuration overrides
+     * @returns {UnixSocketListener} Listener
+     */
+    const createListener = (config = {}) =>
+      new UnixSocketListener({ directory: dir, port: 5499, enableLogging: false, ...config }, s =>
+        s.end()
+      );
+
+    test('should create the socket with its permissions and a lock file', async () => {
+      const listener = createListener({ permissions: 0o770 });
+      await listener.start();
+
+      try {
+        expect(listener.socketPath).toBe(path.join(dir, '.s.PGSQL.5499'));
+        expect(fs.statSync(listener.socketPath).isSocket()).toBe(true);
+        expect(fs.statSync(listener.socketPath).mode & 0o777).toBe(0o770);
+        const lock = fs.readFileSync(`${listener.socketPath}.lock`, 'utf8').split('\n');
+        expect(lock[0]).toBe(String(process.pid));
+        expect(lock[3]).toBe('5499');
+      } finally {
+        listener.stop();
+      }
+
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('should replace a lock file left by a process that is gone', async () => {
+      const gone = parseInt(execSync('sh -c "echo \\$\\$"', { encoding: 'utf8' }), 10);
+      fs.writeFileSync(path.join(dir, '.s.PGSQL.5499.lock'), `${gone}\n`);
+      fs.writeFileSync(path.join(dir, '.s.PGSQL.5499'), '');
+      const listener = createListener();
+
+      await listener.start();
+      listener.stop();
+    });
+
+    test('should refuse a lock file held by a running process', async () => {
+      fs.writeFileSync(path.join(dir, '.s.PGSQL.5499.lock'), `${process.ppid}\n`);
+
+      await expect(createListener().start()).rejects.toThrow(
+        `lock file "${path.join(dir, '.s.PGSQL.5499.lock')}" already exists`
+      );
+      expect(fs.existsSync(path.join(dir, '.s.PGSQL.5499'))).toBe(false);
+    });
+  });
+
+  describe('ServerManager', () => {
+    let server;
+
+    /**
+     * Starts a server listening on TCP and in the test directory
+     * @param {Object} config - Configuration overrides
+     * @returns {Promise<ServerManager>} Running server
+     */
+    const startServer = async (config = {}) => {
+      server = new ServerManager({
+        port: 0,
+        host: 'localhost',
+        enableLogging: false,
+        enableConnectionPooling: false,
+        shutdownDrainTimeout: 200,
+        http: { enabled: false },
+        unixSocketDirectories: [dir],
+        ...config,
+      });
+      await server.start();
+      return server;
+    };
+
+    afterEach(async () => {
+      if (server) {
+        await server.stop();
+        server = null;
+      }
+    });
+
+    test('should accept connections on the socket and count them with TCP ones', async () => {
+      await startServer({ unixSocketDirectories: `${dir},` });
+      const [socketPath] = server.getUnixSocketPaths();
+
+      expect(socketPath).toBe(path.join(dir, `.s.PGSQL.${server.getAddress().port}`));
+      await expect(startUp({ path: socketPath }, 'alice')).resolves.toEqual({
+        authenticated: true,
+      });
+      await expect(
+        startUp({ port: server.getAddress().port, host: 'localhost' }, 'alice')
+      ).resolves.toEqual({ authenticated: true });
+      expect(server.getStats().connectionsAccepted).toBe(2);
+
+      await server.stop();
+      server = null;
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('should fail to start when no socket can be created', async () => {
+      const missing = path.join(dir, 'missing');
+
+      await expect(startServer({ unixSocketDirectories: [missing] })).rejects.toThrow(
+        'could not create any Unix-domain sockets'
+      );
+    });
+
+    const describeWithPeer = hasPeerCredentials() ? describe : describe.skip;
+
+    describeWithPeer('peer authentication', () => {
+      const systemUser = os.userInfo().username;
+
+      test('should accept the operating system user of the client and no other', async () => {
+        await startServer({ hbaRules: ['local all all peer'] });
+        const [socketPath] = server.getUnixSocketPaths();
+
+        await expect(startUp({ path: socketPath }, systemUser)).resolves.toEqual({
+          authenticated: true,
+        });
+        await expect(startUp({ path: socketPath }, 'alice')).resolves.toEqual({
+          error: 'Peer authentication failed for user "alice"',
+          code: '28000',
+        });
+      });
+
+      test('should map the operating system user with the map option', async () => {
+        await startServer({
+          hbaRules: ['local all all peer map=local'],
+          identMaps: [`local ${systemUser} alice`],
+        });
+        const [socketPath] = server.getUnixSocketPaths();
+
+        await expect(startUp({ path: socketPath }, 'alice')).resolves.toEqual({
+          authenticated: true,
+        });
+        await expect(startUp({ path: socketPath }, systemUser)).resolves.toMatchObject({
+          code: '28000',
+        });
+      });
+
+      test('should answer messages sent behind the startup packet once authenticated', async () => {
+        await startServer({ hbaRules: ['local all all peer'] });
+        const [socketPath] = server.getUnixSocketPaths();
+
+        const types = await new Promise((resolve, reject) => {
+          const socket = net.connect({ path: socketPath }, () =>
+            socket.write(
+              Buffer.concat([startupMessage({ user: systemUser }), queryMessage('SELECT 1')])
+            )
+          );
+          let received = Buffer.alloc(0);
+          socket.once('error', reject);
+          socket.on('data', data => {
+            received = Buffer.concat([received, data]);
+            const found = [];
+            for (let offset = 0; offset + 5 <= received.length; ) {
+              found.push(String.fromCharCode(received[offset]));
+              offset += received.readInt32BE(offset + 1) + 1;
+            }
+            if (found.includes('E') || found.filter(type => type === 'Z').length === 2) {
+              socket.destroy();
+              resolve(found);
+            }
+          });
+        });
+
+        expect(types[0]).toBe('R');
+        expect(types.slice(-4)).toEqual(['T', 'D', 'C', 'Z']);
+      });
+
+      test('should refuse a socket without a file descriptor number', async () => {
+        for (const socket of [{}, { _handle: {} }, { _handle: { fd: '0' } }]) {
+          await expect(getPeerCredentials(socket)).rejects.toThrow(
+            'could not get peer credentials: not a Unix-domain socket'
+          );
+        }
+      });
+
+      test('should say so when ss is missing', async () => {
+        const missing = Object.assign(new Error('spawn ss ENOENT'), { code: 'ENOENT' });
+        let getMockedPeerCredentials;
+        jest.isolateModules(() => {
+          jest.doMock('child_process', () => ({
+            execFile: (file, args, options, callback) => callback(missing),
+          }));
+          ({
+            getPeerCredentials: getMockedPeerCredentials,
+          } = require('../../src/connection/peerCredentials'));
+        });
+        jest.dontMock('child_process');
+
+        const listener = net.createServer();
+        await new Promise(resolve => listener.listen(path.join(dir, 'peer.sock'), resolve));
+        const accepted = new Promise(resolve => listener.once('connection', resolve));
+        const client = net.connect(path.join(dir, 'peer.sock'));
+
+        try {
+          await expect(getMockedPeerCredentials(await accepted)).rejects.toThrow(
+            'could not get peer credentials: ss (from iproute2) is not installed'
+          );
+        } finally {
+          client.destroy();
+          (await accepted).destroy();
+          await new Promise(resolve => listener.close(resolve));
+        }
+      });
+
+      test('should fail peer authentication over TCP', async () => {
+        await startServer({ authMethod: 'peer' });
+
+        await expect(
+          startUp({ port: server.getAddress().port, host: 'localhost' }, systemUser)
+        ).resolves.toEqual({
+          error: `Peer authentication failed for user "${systemUser}"`,
+          code: '28000',
+        });
+      });
+    });
+  });
+
+  describe('parseSocketListing', () => {
+    test('should pair sockets with their peers and processes', () => {
+      const listing = [
+        'u_str ESTAB 0      0      /tmp/.s.PGSQL.5432 72144 * 72143 users:(("node",pid=30,fd=20))',
+        'u_str ESTAB 0      0                     * 72143 * 72144 users:(("psql",pid=31,fd=3))',
+        'u_str LISTEN 0     511    /tmp/.s.PGSQL.5432 72140 * 0',
+      ].join('\n');
+
+      const sockets = parseSocketListing(listing);
+
+      expect(sockets.get('72144')).toEqual({ peerInode: '72143', pid: 30 });
+      expect(sockets.get('72143')).toEqual({ peerInode: '72144', pid: 31 });
+      expect(sockets.get('72140')).toEqual({ peerInode: '0', pid: null });
+    });
+  });
+});
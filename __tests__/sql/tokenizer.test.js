@@ -0,0 +1,130 @@
+/**
+ * Tests for the SQL tokenizer and statement analysis
+ */
+
+const { tokenize, splitStatements, TOKEN_TYPES } = require('../../src/sql/tokenizer');
+const { analyzeStatement } = require('../../src/sql/parser');
+
+/**
+ * Gets the values of all non-EOF tokens
+ * @param {string} sql - SQL text
+ * @returns {Array<string>} Token values
+ */
+const values = sql =>
+  tokenize(sql)
+    .filter(token => token.type !== TOKEN_TYPES.EOF)
+    .map(token => token.value);
+
+describe('SQL Tokenizer', () => {
+  describe('Identifiers and literals', () => {
+    test('should lower-case unquoted identifiers and keep quoted ones', () => {
+      expect(values('SELECT "MixedCase", Plain')).toEqual(['select', 'MixedCase', ',', 'plain']);
+    });
+
+    test('should keep string literal casing and unescape doubled quotes', () => {
+      const [, literal] = tokenize("SELECT 'It''s Mixed'");
+
+      expect(literal.type).toBe(TOKEN_TYPES.STRING);
+      expect(literal.value).toBe("It's Mixed");
+    });
+
+    test('should decode backslash escapes in E strings only', () => {
+      expect(values("SELECT E'a\\tb\\x41\\u00e9\\''")[1]).toBe("a\tbAé'");
+      expect(values("SELECT 'a\\tb'")[1]).toBe('a\\tb');
+    });
+
+    test('should read dollar-quoted strings', () => {
+      expect(values("SELECT $$it's; here$$, $fn$ a $$ b $fn$")).toEqual([
+        'select',
+        "it's; here",
+        ',',
+        ' a $$ b ',
+      ]);
+    });
+
+    test('should not confuse positional parameters with dollar quotes', () => {
+      const tokens = tokenize('SELECT $1, $2');
+
+      expect(tokens[1].type).toBe(TOKEN_TYPES.PARAM);
+      expect(tokens[3].value).toBe('2');
+    });
+  });
+
+  describe('Comments', () => {
+    test('should skip line and nested block comments', () => {
+      expect(values('-- leading\nSELECT /* a /* nested */ b */ 1 -- trailing')).toEqual([
+        'select',
+        '1',
+      ]);
+    });
+
+    test('should end operators at a comment', () => {
+      expect(values('SELECT 2*--c\n3')).toEqual(['select', '2', '*', '3']);
+    });
+  });
+
+  describe('Errors', () => {
+    test.each([
+      ["SELECT 'open", 'unterminated quoted string', '8'],
+      ['SELECT "open', 'unterminated quoted identifier', '8'],
+      ['SELECT 1 /* open', 'unterminated /* comment', '10'],
+      ['SELECT $x$ open', 'unterminated dollar-quoted string', '8'],
+    ])('should reject %p with a position', (sql, message, position) => {
+      let caught;
+      try {
+        tokenize(sql);
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught.code).toBe('42601');
+      expect(caught.message.toLowerCase()).toContain(message);
+      expect(caught.position).toBe(position);
+    });
+  });
+
+  describe('splitStatements', () => {
+    test('should only split on top-level semicolons', () => {
+      expect(
+        splitStatements('SELECT \'a;b\'; SELECT $$;$$ /* ; */; SELECT "x;y" FROM t;;')
+      ).toEqual(["SELECT 'a;b'", 'SELECT $$;$$ /* ; */', 'SELECT "x;y" FROM t']);
+    });
+
+    test('should drop comment-only statements', () => {
+      expect(splitStatements('-- nothing here;\n /* or here */')).toEqual([]);
+    });
+
+    test('should return untokenizable text as a single statement', () => {
+      expect(splitStatements("SELECT 'a; SELECT 2")).toEqual(["SELECT 'a; SELECT 2"]);
+    });
+  });
+});
+
+describe('Statement analysis', () => {
+  test('should find the command after leading comments', () => {
+    const info = analyzeStatement('/* hint */ -- note\n  select 1');
+
+    expect(info.command).toBe('SELECT');
+    expect(info.text).toBe('select 1');
+  });
+
+  test('should find the main command of a WITH query', () => {
+    expect(analyzeStatement('WITH t AS (SELECT 1) SELECT * FROM t').command).toBe('SELECT');
+    expect(
+      analyzeStatement('WITH RECURSIVE t(n) AS (VALUES (1)) DELETE FROM x USING t').command
+    ).toBe('DELETE');
+  });
+
+  test('should only flag catalog references that are qualified names', () => {
+    expect(analyzeStatement('SELECT * FROM pg_catalog.pg_type').referencesCatalog).toBe(true);
+    expect(analyzeStatement("SELECT 'pg_catalog.pg_type'").referencesCatalog).toBe(false);
+  });
+
+  test('should build a tree and capture parse errors', () => {
+    expect(analyzeStatement('SELECT 1').tree.type).toBe('select');
+
+    const info = analyzeStatement('SELECT FROM WHERE');
+    expect(info.tree).toBeNull();
+    expect(info.parseError.code).toBe('42601');
+  });
+});
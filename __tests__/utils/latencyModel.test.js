@@ -0,0 +1,82 @@
+/**
+ * Tests for simulated latency distributions
+ */
+
+const { LatencyModel } = require('../../src/utils/latencyModel');
+
+/**
+ * Creates a random source that returns the given values in turn
+ * @param {...number} values - Values in [0, 1)
+ * @returns {Function} Random source
+ */
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+describe('LatencyModel', () => {
+  test('should treat a number as fixed latency', () => {
+    const model = new LatencyModel(25);
+
+    expect(model.sample()).toBe(25);
+    expect(model.describe()).toBe('fixed 25ms');
+  });
+
+  test('should parse the compact string forms', () => {
+    expect(new LatencyModel('40').sample()).toBe(40);
+    expect(new LatencyModel('fixed:15').sample()).toBe(15);
+    expect(new LatencyModel('uniform:10:20', sequence(0.5)).sample()).toBe(15);
+    expect(new LatencyModel('normal:50:10').describe()).toBe('normal mean 50ms, stddev 10ms');
+    expect(new LatencyModel('percentiles:p50=20,p99=200').describe()).toBe(
+      'percentiles p0=0ms, p50=20ms, p99=200ms, p100=200ms'
+    );
+  });
+
+  test('should sample uniformly between min and max', () => {
+    const model = new LatencyModel(
+      { distribution: 'uniform', min: 100, max: 200 },
+      sequence(0, 0.25)
+    );
+
+    expect([model.sample(), model.sample()]).toEqual([100, 125]);
+  });
+
+  test('should sample a normal distribution without going negative', () => {
+    // u = 1 - 0.5, v = 0 gives z = sqrt(2 ln 2)
+    const model = new LatencyModel(
+      { distribution: 'normal', mean: 50, stddev: 10 },
+      sequence(0.5, 0)
+    );
+    const wide = new LatencyModel(
+      { distribution: 'normal', mean: 1, stddev: 100 },
+      sequence(0.5, 0.5)
+    );
+
+    expect(model.sample()).toBeCloseTo(50 + 10 * Math.sqrt(2 * Math.log(2)), 6);
+    expect(wide.sample()).toBe(0);
+  });
+
+  test('should interpolate between percentiles', () => {
+    const model = new LatencyModel(
+      { distribution: 'percentiles', p50: 20, p90: 100, p99: 500 },
+      sequence(0.25, 0.5, 0.7, 0.995)
+    );
+
+    expect(model.sample()).toBe(10);
+    expect(model.sample()).toBe(20);
+    expect(model.sample()).toBe(60);
+    expect(model.sample()).toBe(500);
+  });
+
+  test('should reject invalid specifications', () => {
+    expect(() => new LatencyModel(-1)).toThrow('non-negative');
+    expect(() => new LatencyModel('gamma:1:2')).toThrow('Invalid latency "gamma:1:2"');
+    expect(() => new LatencyModel({ distribution: 'uniform', min: 5, max: 1 })).toThrow(
+      'must not be less than'
+    );
+    expect(() => new LatencyModel({ distribution: 'percentiles', p50: 30, p90: 10 })).toThrow(
+      'must not decrease'
+    );
+    expect(() => new LatencyModel({ distribution: 'percentiles' })).toThrow('at least one');
+  });
+});
@@ -149,6 +149,34 @@ describe('Message Validator', () => {
       expect(result.valid).toBe(false);
       expect(result.errors).toContainEqual(expect.stringContaining('Invalid transaction status'));
     });
+
+    test('should validate close messages against the frontend rules', () => {
+      const rules = validator.frontendRules[MESSAGE_TYPES.CLOSE];
+
+      expect(
+        validator.validateMessage(validator.createCloseMessage('S', 'stmt'), rules).valid
+      ).toBe(true);
+      expect(validator.validateMessage(validator.createCloseMessage('P'), rules).valid).toBe(true);
+
+      const result = validator.validateMessage(validator.createCloseMessage('X', 'stmt'), rules);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual(expect.stringContaining('Invalid close type'));
+    });
+
+    test('should validate flush and close complete messages', () => {
+      const flush = validator.createFlushMessage();
+      const closeComplete = validator.createCloseCompleteMessage();
+
+      expect(
+        validator.validateMessage(flush, validator.frontendRules[MESSAGE_TYPES.FLUSH]).valid
+      ).toBe(true);
+      expect(
+        validator.validateMessage(
+          closeComplete,
+          validator.validationRules[MESSAGE_TYPES.CLOSE_COMPLETE]
+        ).valid
+      ).toBe(true);
+    });
   });
 
   describe('Edge Cases', () => {
@@ -11,6 +11,7 @@ module.exports = {
   ],
   coverageReporters: ['text', 'lcov', 'html', 'json-summary'],
   testMatch: ['**/__tests__/**/*.js', '**/?(*.)+(spec|test).js'],
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'], // Shared test helpers
   verbose: false,
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
 };
@@ -2,11 +2,13 @@
 
 /**
  * Certificate Generation Script for PostgreSQL Mock Server
- * Generates self-signed SSL certificates for testing SSL/TLS connections
+ * Generates self-signed SSL certificates for testing SSL/TLS connections, and a CA
+ * with client certificates for testing certificate authentication
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 // Configuration
@@ -110,6 +112,113 @@ function generateCertificate(keyPath, certPath) {
   }
 }
 
+/**
+ * Generates a certificate authority for signing client certificates
+ * @param {string} keyPath - Path to save the CA private key
+ * @param {string} certPath - Path to save the CA certificate
+ */
+function generateCertificateAuthority(keyPath, certPath) {
+  console.log('🏛️  Generating client certificate authority...');
+
+  generatePrivateKey(keyPath);
+
+  try {
+    const command = [
+      'openssl req',
+      '-new',
+      '-x509',
+      `-key "${keyPath}"`,
+      `-out "${certPath}"`,
+      `-days ${CERT_CONFIG.validityDays}`,
+      `-subj "/O=${CERT_CONFIG.organization}/CN=${CERT_CONFIG.organization} Client CA"`,
+      '-addext "basicConstraints=critical,CA:TRUE"',
+      '-addext "keyUsage=critical,keyCertSign,cRLSign"',
+    ].join(' ');
+
+    execSync(command, { stdio: 'pipe' });
+    console.log(`✓ CA certificate generated: ${certPath}`);
+  } catch (error) {
+    console.error(`✗ Failed to generate CA certificate: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Generates a client certificate signed by a certificate authority
+ * The common name is the user name certificate authentication checks.
+ * @param {string} commonName - User name to put in the certificate
+ * @param {string} keyPath - Path to save the client private key
+ * @param {string} certPath - Path to save the client certificate
+ * @param {string} caKeyPath - Path to the CA private key
+ * @param {string} caCertPath - Path to the CA certificate
+ */
+function generateClientCertificate(commonName, keyPath, certPath, caKeyPath, caCertPath) {
+  console.log(`👤 Generating client certificate for "${commonName}"...`);
+
+  generatePrivateKey(keyPath);
+
+  try {
+    // The request is piped straight into the signing command, so no CSR file is left
+    const request = [
+      'openssl req',
+      '-new',
+      `-key "${keyPath}"`,
+      `-subj "/O=${CERT_CONFIG.organization}/CN=${commonName}"`,
+    ].join(' ');
+    const sign = [
+      'openssl x509',
+      '-req',
+      `-CA "${caCertPath}"`,
+      `-CAkey "${caKeyPath}"`,
+      `-set_serial 0x${crypto.randomBytes(8).toString('hex')}`,
+      `-days ${CERT_CONFIG.validityDays}`,
+      `-out "${certPath}"`,
+    ].join(' ');
+
+    execSync(`${request} | ${sign}`, { stdio: 'pipe' });
+    console.log(`✓ Client certificate generated: ${certPath}`);
+  } catch (error) {
+    console.error(`✗ Failed to generate client certificate: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Generates client certificates, and the CA signing them if it does not exist yet
+ * @param {Array<string>} commonNames - User names to generate certificates for
+ * @param {string} certsDir - Directory to save the CA and client files in
+ * @returns {Array<Object>} Generated files ({commonName, keyPath, certPath})
+ */
+function generateClientCertificates(commonNames, certsDir = CERTS_DIR) {
+  const caKeyPath = path.join(certsDir, 'ca.key');
+  const caCertPath = path.join(certsDir, 'ca.crt');
+  if (!fs.existsSync(caKeyPath) || !fs.existsSync(caCertPath)) {
+    generateCertificateAuthority(caKeyPath, caCertPath);
+  }
+
+  return commonNames.map(commonName => {
+    const keyPath = path.join(certsDir, `client-${commonName}.key`);
+    const certPath = path.join(certsDir, `client-${commonName}.crt`);
+    generateClientCertificate(commonName, keyPath, certPath, caKeyPath, caCertPath);
+    return { commonName, keyPath, certPath };
+  });
+}
+
+/**
+ * Gets the user names given with --client options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<string>} User names
+ */
+function getClientNames(args) {
+  const names = [];
+  args.forEach((arg, index) => {
+    if (arg === '--client' && args[index + 1]) {
+      names.push(args[index + 1]);
+    }
+  });
+  return names;
+}
+
 /**
  * Generates a certificate configuration file for advanced features
  * @param {string} configPath - Path to save the configuration file
@@ -197,6 +306,14 @@ function displayUsageInstructions() {
   console.log('     ssl: { rejectUnauthorized: false }');
   console.log('   });');
   console.log('');
+  console.log('5. Test certificate authentication (after generating with --client <user>):');
+  console.log('   export PG_MOCK_SSL_CA_PATH=./certs/ca.crt');
+  console.log('   export PG_MOCK_AUTH_METHOD=cert');
+  console.log(
+    '   psql "sslmode=require sslcert=./certs/client-postgres.crt ' +
+      'sslkey=./certs/client-postgres.key host=localhost user=postgres"'
+  );
+  console.log('');
   console.log('⚠️  Note: These are self-signed certificates for development only!');
   console.log(
     '   Do not use in production. For production, obtain certificates from a trusted CA.'
@@ -219,6 +336,13 @@ function main() {
     // Create certificates directory
     createCertsDirectory();
 
+    // Generate the client certificates asked for with --client <user>, whatever
+    // happens to the server certificate
+    const clientNames = getClientNames(process.argv.slice(2));
+    if (clientNames.length > 0) {
+      generateClientCertificates(clientNames);
+    }
+
     // Define file paths
     const keyPath = path.join(CERTS_DIR, 'server.key');
     const certPath = path.join(CERTS_DIR, 'server.crt');
@@ -303,6 +427,10 @@ module.exports = {
   generatePrivateKey,
   generateCertificate,
   generateCertConfig,
+  generateCertificateAuthority,
+  generateClientCertificate,
+  generateClientCertificates,
+  getClientNames,
   checkOpenSSL,
   CERTS_DIR,
   CERT_CONFIG,
@@ -74,6 +74,8 @@ function parseConfig() {
   const config = {
     port: coreConfig.port,
     host: coreConfig.host,
+    unixSocketDirectories: coreConfig.unixSocketDirectories,
+    unixSocketPermissions: coreConfig.unixSocketPermissions,
     maxConnections: coreConfig.maxConnections,
     connectionTimeout: coreConfig.connectionTimeout,
     enableLogging: coreConfig.enableLogging,
@@ -96,6 +98,32 @@ function parseConfig() {
     scramIterations: coreConfig.scramIterations,
     username: coreConfig.username,
     password: coreConfig.password,
+    // Roles, hba rules and user name maps
+    rolesFile: coreConfig.rolesFile,
+    roles: coreConfig.roles,
+    hbaFile: coreConfig.hbaFile,
+    hbaRules: coreConfig.hbaRules,
+    identFile: coreConfig.identFile,
+    identMaps: coreConfig.identMaps,
+    certMap: coreConfig.certMap,
+    // Query fixtures
+    fixturesFile: coreConfig.fixturesFile,
+    fixtures: coreConfig.fixtures,
+    // Server files for lo_import() and lo_export()
+    largeObjectFileDirectory: coreConfig.largeObjectFileDirectory,
+    // Record/replay
+    cassetteMode: coreConfig.cassetteMode,
+    cassetteFile: coreConfig.cassetteFile,
+    upstreamHost: coreConfig.upstreamHost,
+    upstreamPort: coreConfig.upstreamPort,
+    replayMissPolicy: coreConfig.replayMissPolicy,
+    // Simulated latency
+    latency: coreConfig.latency,
+    // Session timeouts
+    statementTimeout: coreConfig.statementTimeout,
+    lockTimeout: coreConfig.lockTimeout,
+    idleInTransactionSessionTimeout: coreConfig.idleInTransactionSessionTimeout,
+    idleSessionTimeout: coreConfig.idleSessionTimeout,
     http: {
       enabled: coreConfig.http?.enabled ?? true,
       port: coreConfig.http?.port ?? 8080,
@@ -120,12 +148,63 @@ function parseConfig() {
       case '-h':
         config.host = args[++i] || config.host;
         break;
+      case '--unix-socket-dir':
+      case '-k': {
+        // Repeatable; adds to the directories of PG_MOCK_UNIX_SOCKET_DIRECTORIES
+        let directories = config.unixSocketDirectories;
+        if (typeof directories === 'string') {
+          directories = directories.split(',');
+        }
+        config.unixSocketDirectories = [...directories, args[++i]].filter(Boolean);
+        break;
+      }
       case '--max-connections':
         config.maxConnections = parseInt(args[++i]) || config.maxConnections;
         break;
       case '--log-level':
         config.logLevel = args[++i] || config.logLevel;
         break;
+      case '--roles':
+        config.rolesFile = args[++i] || config.rolesFile;
+        break;
+      case '--hba':
+        config.hbaFile = args[++i] || config.hbaFile;
+        break;
+      case '--ident':
+        config.identFile = args[++i] || config.identFile;
+        break;
+      case '--fixtures':
+        config.fixturesFile = args[++i] || config.fixturesFile;
+        break;
+      case '--record':
+        config.cassetteMode = 'record';
+        config.cassetteFile = args[++i] || config.cassetteFile;
+        break;
+      case '--replay':
+        config.cassetteMode = 'replay';
+        config.cassetteFile = args[++i] || config.cassetteFile;
+        break;
+      case '--upstream': {
+        const [upstreamHost, upstreamPort] = (args[++i] || '').split(':');
+        config.upstreamHost = upstreamHost || config.upstreamHost;
+        config.upstreamPort = parseInt(upstreamPort) || config.upstreamPort;
+        break;
+      }
+      case '--replay-miss':
+        config.replayMissPolicy = args[++i] || config.replayMissPolicy;
+        break;
+      case '--latency':
+        config.latency = args[++i] || config.latency;
+        break;
+      case '--statement-timeout':
+        config.statementTimeout = parseInt(args[++i]) || 0;
+        break;
+      case '--idle-in-transaction-timeout':
+        config.idleInTransactionSessionTimeout = parseInt(args[++i]) || 0;
+        break;
+      case '--idle-session-timeout':
+        config.idleSessionTimeout = parseInt(args[++i]) || 0;
+        break;
       case '--quiet':
       case '-q':
         config.enableLogging = false;
@@ -166,8 +245,23 @@ Usage: node server.js [options]
 Options:
   -p, --port <port>              Port to listen on (default: 5432)
   -h, --host <host>              Host to bind to (default: localhost)
+  -k, --unix-socket-dir <dir>    Also listen on a Unix-domain socket in <dir> (repeatable)
   --max-connections <num>        Max concurrent connections (default: 100)
   --log-level <level>            Log level: error, warn, info, debug (default: info)
+  --roles <path>                 Load roles to authenticate against from a JSON/YAML file
+  --hba <path>                   Choose authentication methods from a pg_hba.conf-style file
+  --ident <path>                 Map certificate and OS user names to roles (pg_ident.conf format)
+  --fixtures <path>              Load canned query responses from a JSON/YAML file
+  --record <cassette>            Proxy to the upstream server and record queries into a cassette
+  --upstream <host:port>         Upstream PostgreSQL server for --record (default: localhost:5432)
+  --replay <cassette>            Answer queries from a recorded cassette
+  --replay-miss <policy>         Unrecorded queries: strict (error) or lenient (mock handlers)
+  --latency <spec>               Simulated latency: <ms>, uniform:<min>:<max>, normal:<mean>:<stddev>,
+                                 or percentiles:p50=<ms>,p99=<ms>
+  --statement-timeout <ms>       Default statement_timeout (default: 0, disabled)
+  --idle-in-transaction-timeout <ms>
+                                 Default idle_in_transaction_session_timeout (default: 0)
+  --idle-session-timeout <ms>    Default idle_session_timeout (default: 0)
   -q, --quiet                    Disable logging
   --help                         Show this help message
   --version                      Show version information
@@ -176,6 +270,10 @@ Options:
 Environment Variables:
   PG_MOCK_PORT                   Port to listen on
   PG_MOCK_HOST                   Host to bind to
+  PG_MOCK_UNIX_SOCKET_DIRECTORIES
+                                 Comma-separated directories for Unix-domain sockets
+  PG_MOCK_UNIX_SOCKET_PERMISSIONS
+                                 Unix-domain socket file permissions (default: 0777)
   PG_MOCK_MAX_CONNECTIONS        Max concurrent connections
   PG_MOCK_CONNECTION_TIMEOUT     Connection timeout in ms
   PG_MOCK_LOG_LEVEL              Log level
@@ -185,15 +283,41 @@ Environment Variables:
   PG_MOCK_ENABLE_SSL             Enable SSL/TLS support (true/false)
   PG_MOCK_SSL_CERT_PATH          Path to SSL certificate file
   PG_MOCK_SSL_KEY_PATH           Path to SSL private key file
+  PG_MOCK_ROLES_FILE             Path to a JSON/YAML roles file
+  PG_MOCK_HBA_FILE               Path to a pg_hba.conf-style rules file
+  PG_MOCK_IDENT_FILE             Path to a pg_ident.conf-style user name map file
+  PG_MOCK_CERT_MAP               User name map for cert authentication without hba rules
+  PG_MOCK_FIXTURES_FILE          Path to a JSON/YAML fixtures file
+  PG_MOCK_LARGE_OBJECT_FILE_DIRECTORY
+                                 Directory superusers may use with server-side lo_import()
+                                 and lo_export() (default: unset, refused)
+  PG_MOCK_CASSETTE_MODE          Record/replay mode: off, record, replay (default: off)
+  PG_MOCK_CASSETTE_FILE          Cassette file to record into or replay from
+  PG_MOCK_UPSTREAM_HOST          Upstream host for record mode (default: localhost)
+  PG_MOCK_UPSTREAM_PORT          Upstream port for record mode (default: 5432)
+  PG_MOCK_REPLAY_MISS_POLICY     Unrecorded queries in replay: strict, lenient (default: strict)
+  PG_MOCK_LATENCY                Simulated response latency (same forms as --latency)
+  PG_MOCK_STATEMENT_TIMEOUT      Default statement_timeout in ms (default: 0, disabled)
+  PG_MOCK_LOCK_TIMEOUT           Default lock_timeout in ms (accepted only: no locks are taken)
+  PG_MOCK_IDLE_IN_TRANSACTION_SESSION_TIMEOUT
+                                 Default idle_in_transaction_session_timeout in ms (default: 0)
+  PG_MOCK_IDLE_SESSION_TIMEOUT   Default idle_session_timeout in ms (default: 0)
 
 Examples:
   node server.js                              # Start with defaults
   node server.js --port 5433                  # Start on port 5433
   node server.js --host 0.0.0.0 --port 5432  # Listen on all interfaces
   node server.js --quiet                      # Start without logging
+  node server.js --fixtures fixtures.json     # Answer matching queries from fixtures
+  node server.js --port 5433 --record ci.json --upstream localhost:5432
+                                              # Record a cassette from a real server
+  node server.js --replay ci.json             # Replay it offline
+  node server.js --latency uniform:20:200     # Delay every response by 20-200ms
+  node server.js --statement-timeout 5000     # Cancel statements running longer than 5s
 
 Connect with psql:
   psql -h localhost -p 5432 -U postgres
+  psql -h /tmp -p 5432 -U postgres            # With --unix-socket-dir /tmp
 
 For more information, visit: https://github.com/The-DevOps-Daily/pg-wire-mock
 `);
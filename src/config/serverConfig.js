@@ -19,6 +19,11 @@ const DEFAULT_CONFIG = {
   maxConnections: 100,
   connectionTimeout: 300000, // 5 minutes
 
+  // Unix-domain sockets (.s.PGSQL.<port>), shared with TCP for everything but peer
+  // authentication, which only they support
+  unixSocketDirectories: [], // Directories, or a comma-separated string of them
+  unixSocketPermissions: 0o777, // Socket file permissions, or an octal string like '0770'
+
   // Logging settings
   enableLogging: true,
   logLevel: 'info', // error, warn, info, debug
@@ -67,16 +72,57 @@ const DEFAULT_CONFIG = {
   enableFunctionCalls: false,
   enableNotifications: false,
 
+  // Directory superusers may read and write with server-side lo_import() and lo_export()
+  // (null: any use of them is refused)
+  largeObjectFileDirectory: null,
+
   // Custom data types
   customTypes: {},
 
+  // Query fixtures (canned responses matched before the regular handlers)
+  fixturesFile: null, // Path to a JSON or YAML fixtures file
+  fixtures: [], // Inline fixture definitions
+
+  // Record/replay (cassetteMode: off, record, replay)
+  cassetteMode: 'off', // record proxies to the upstream server, replay answers from the cassette
+  cassetteFile: null, // Cassette file written in record mode and read in replay mode
+  upstreamHost: 'localhost', // Upstream PostgreSQL server for record mode
+  upstreamPort: 5432,
+  replayMissPolicy: 'strict', // strict: error on unrecorded queries, lenient: use mock handlers
+
+  // Simulated latency added to every response, e.g. 50, 'uniform:10:100' or
+  // { distribution: 'normal', mean: 50, stddev: 10 } (null: respond immediately)
+  latency: null,
+
+  // Session timeouts in milliseconds, as PostgreSQL's statement_timeout, lock_timeout,
+  // idle_in_transaction_session_timeout and idle_session_timeout (0: disabled).
+  // Clients can change them with startup parameters or SET. lock_timeout is only
+  // accepted and shown: the mock takes no locks.
+  statementTimeout: 0,
+  lockTimeout: 0,
+  idleInTransactionSessionTimeout: 0,
+  idleSessionTimeout: 0,
+
   // Security settings
   requireAuthentication: true, // Enable authentication by default when auth method is set
-  authMethod: 'trust', // trust, scram-sha-256
+  authMethod: 'trust', // trust, password, md5, scram-sha-256, cert, peer
   scramIterations: 4096, // SCRAM iteration count
   username: 'postgres', // Mock username for authentication
   password: 'password', // Mock password for authentication
 
+  // Roles (replace username/password when set) and pg_hba.conf-style rules choosing
+  // the authentication method per connection (replace authMethod when set)
+  rolesFile: null, // Path to a JSON or YAML roles file
+  roles: [], // Inline role definitions
+  hbaFile: null, // Path to a file in pg_hba.conf format
+  hbaRules: [], // Inline rules: pg_hba.conf lines or objects
+
+  // pg_ident.conf-style user name maps for certificate and peer authentication, and
+  // the map authMethod 'cert' uses (hba rules name theirs with the map option)
+  identFile: null, // Path to a file in pg_ident.conf format
+  identMaps: [], // Inline mappings: pg_ident.conf lines or objects
+  certMap: null, // Map name; null to require the common name to be the user name
+
   // SSL/TLS settings
   enableSSL: false,
   sslPort: null, // Use same port as regular connection if null
@@ -110,6 +156,8 @@ const DEFAULT_CONFIG = {
 const ENV_MAPPING = {
   PG_MOCK_PORT: { key: 'port', type: 'number' },
   PG_MOCK_HOST: { key: 'host', type: 'string' },
+  PG_MOCK_UNIX_SOCKET_DIRECTORIES: { key: 'unixSocketDirectories', type: 'string' },
+  PG_MOCK_UNIX_SOCKET_PERMISSIONS: { key: 'unixSocketPermissions', type: 'string' },
   PG_MOCK_MAX_CONNECTIONS: { key: 'maxConnections', type: 'number' },
   PG_MOCK_CONNECTION_TIMEOUT: { key: 'connectionTimeout', type: 'number' },
   PG_MOCK_ENABLE_LOGGING: { key: 'enableLogging', type: 'boolean' },
@@ -138,6 +186,25 @@ const ENV_MAPPING = {
   PG_MOCK_SSL_MAX_VERSION: { key: 'sslMaxVersion', type: 'string' },
   PG_MOCK_SHUTDOWN_TIMEOUT: { key: 'shutdownTimeout', type: 'number' },
   PG_MOCK_SHUTDOWN_DRAIN_TIMEOUT: { key: 'shutdownDrainTimeout', type: 'number' },
+  PG_MOCK_ROLES_FILE: { key: 'rolesFile', type: 'string' },
+  PG_MOCK_HBA_FILE: { key: 'hbaFile', type: 'string' },
+  PG_MOCK_IDENT_FILE: { key: 'identFile', type: 'string' },
+  PG_MOCK_CERT_MAP: { key: 'certMap', type: 'string' },
+  PG_MOCK_FIXTURES_FILE: { key: 'fixturesFile', type: 'string' },
+  PG_MOCK_LARGE_OBJECT_FILE_DIRECTORY: { key: 'largeObjectFileDirectory', type: 'string' },
+  PG_MOCK_CASSETTE_MODE: { key: 'cassetteMode', type: 'string' },
+  PG_MOCK_CASSETTE_FILE: { key: 'cassetteFile', type: 'string' },
+  PG_MOCK_UPSTREAM_HOST: { key: 'upstreamHost', type: 'string' },
+  PG_MOCK_UPSTREAM_PORT: { key: 'upstreamPort', type: 'number' },
+  PG_MOCK_REPLAY_MISS_POLICY: { key: 'replayMissPolicy', type: 'string' },
+  PG_MOCK_LATENCY: { key: 'latency', type: 'string' },
+  PG_MOCK_STATEMENT_TIMEOUT: { key: 'statementTimeout', type: 'number' },
+  PG_MOCK_LOCK_TIMEOUT: { key: 'lockTimeout', type: 'number' },
+  PG_MOCK_IDLE_IN_TRANSACTION_SESSION_TIMEOUT: {
+    key: 'idleInTransactionSessionTimeout',
+    type: 'number',
+  },
+  PG_MOCK_IDLE_SESSION_TIMEOUT: { key: 'idleSessionTimeout', type: 'number' },
 
   // Query logging environment variables
   PG_MOCK_QUERY_DETAILED_LOGGING: { key: 'queryLogging.enableDetailedLogging', type: 'boolean' },
@@ -262,6 +329,28 @@ function validateConfig(config) {
     errors.push('Host must be a non-empty string');
   }
 
+  // Validate Unix-domain sockets
+  const directories = config.unixSocketDirectories;
+  if (
+    directories !== undefined &&
+    typeof directories !== 'string' &&
+    !(Array.isArray(directories) && directories.every(dir => typeof dir === 'string'))
+  ) {
+    errors.push(
+      'unixSocketDirectories must be an array of directories or a comma-separated string'
+    );
+  }
+  const permissions = config.unixSocketPermissions;
+  if (
+    permissions !== undefined &&
+    !(Number.isInteger(permissions) && permissions >= 0 && permissions <= 0o777) &&
+    !(typeof permissions === 'string' && /^0?[0-7]{3}$/.test(permissions))
+  ) {
+    errors.push(
+      "unixSocketPermissions must be a mode between 0 and 0o777, or an octal string like '0770'"
+    );
+  }
+
   // Validate max connections
   if (!Number.isInteger(config.maxConnections) || config.maxConnections < 1) {
     errors.push('maxConnections must be a positive integer');
@@ -330,20 +419,81 @@ function validateConfig(config) {
     }
   }
 
+  // Validate roles and hba rules
+  if (config.roles !== undefined && !Array.isArray(config.roles)) {
+    errors.push('roles must be an array of role definitions');
+  }
+  if (config.hbaRules !== undefined && !Array.isArray(config.hbaRules)) {
+    errors.push('hbaRules must be an array of rules');
+  }
+  if (config.identMaps !== undefined && !Array.isArray(config.identMaps)) {
+    errors.push('identMaps must be an array of user name mappings');
+  }
+  if (config.authMethod === 'cert' && (!config.enableSSL || !config.sslCaPath)) {
+    errors.push("authMethod 'cert' requires enableSSL and an sslCaPath to verify certificates");
+  }
+
+  // Validate record/replay settings
+  if (config.cassetteMode && config.cassetteMode !== 'off') {
+    if (!['record', 'replay'].includes(config.cassetteMode)) {
+      errors.push('cassetteMode must be one of: off, record, replay');
+    } else if (!config.cassetteFile) {
+      errors.push(`cassetteFile must be set when cassetteMode is ${config.cassetteMode}`);
+    }
+  }
+
+  // Validate simulated latency
+  if (config.latency !== null && config.latency !== undefined) {
+    const { LatencyModel } = require('../utils/latencyModel');
+    try {
+      new LatencyModel(config.latency);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  // Validate session timeouts
+  const { SESSION_TIMEOUTS, MAX_TIMEOUT_MS } = require('../connection/sessionTimeouts');
+  for (const key of Object.values(SESSION_TIMEOUTS)) {
+    const value = config[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_TIMEOUT_MS)) {
+      errors.push(`${key} must be an integer between 0 and ${MAX_TIMEOUT_MS} (ms)`);
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
   };
 }
 
+/**
+ * Derives server_version_num from a version string, e.g. '13.0 (Mock)' as 130000
+ * @param {string} version - Server version
+ * @returns {number|undefined} Version number, or undefined if the version has no number
+ */
+function serverVersionNumber(version) {
+  const match = /^(\d+)(?:\.(\d+))?/.exec(version || '');
+  if (!match) {
+    return undefined;
+  }
+  const major = Number(match[1]);
+  const minor = Number(match[2] || 0);
+  // Before PostgreSQL 10 the second number was part of the major version
+  return major >= 10 ? major * 10000 + minor : major * 10000 + minor * 100;
+}
+
 /**
  * Creates PostgreSQL server parameters from configuration
+ * These are the defaults every session starts with; values left undefined keep the
+ * built-in defaults of the setting registry (see connection/sessionSettings.js).
  * @param {Object} config - Server configuration
  * @returns {Object} PostgreSQL server parameters
  */
 function createServerParameters(config) {
   return {
     server_version: config.serverVersion,
+    server_version_num: serverVersionNumber(config.serverVersion),
     server_encoding: config.defaultEncoding,
     client_encoding: config.defaultEncoding,
     application_name: '',
@@ -354,6 +504,11 @@ function createServerParameters(config) {
     TimeZone: config.defaultTimezone,
     integer_datetimes: 'on',
     standard_conforming_strings: 'on',
+    max_connections: config.maxConnections,
+    statement_timeout: config.statementTimeout,
+    lock_timeout: config.lockTimeout,
+    idle_in_transaction_session_timeout: config.idleInTransactionSessionTimeout,
+    idle_session_timeout: config.idleSessionTimeout,
   };
 }
 
@@ -377,6 +532,20 @@ function getConfigDocumentation() {
       default: DEFAULT_CONFIG.host,
       description: 'Host address to bind to',
     },
+    {
+      key: 'unixSocketDirectories',
+      env: 'PG_MOCK_UNIX_SOCKET_DIRECTORIES',
+      type: 'string',
+      default: DEFAULT_CONFIG.unixSocketDirectories,
+      description: 'Comma-separated directories to create Unix-domain sockets in',
+    },
+    {
+      key: 'unixSocketPermissions',
+      env: 'PG_MOCK_UNIX_SOCKET_PERMISSIONS',
+      type: 'string',
+      default: DEFAULT_CONFIG.unixSocketPermissions,
+      description: 'Access permissions of the Unix-domain socket files (octal)',
+    },
     {
       key: 'maxConnections',
       env: 'PG_MOCK_MAX_CONNECTIONS',
@@ -447,6 +616,120 @@ function getConfigDocumentation() {
       default: DEFAULT_CONFIG.sslKeyPath,
       description: 'Path to SSL private key file',
     },
+    {
+      key: 'rolesFile',
+      env: 'PG_MOCK_ROLES_FILE',
+      type: 'string',
+      default: DEFAULT_CONFIG.rolesFile,
+      description: 'Path to a JSON or YAML file of roles to authenticate connections against',
+    },
+    {
+      key: 'hbaFile',
+      env: 'PG_MOCK_HBA_FILE',
+      type: 'string',
+      default: DEFAULT_CONFIG.hbaFile,
+      description: 'Path to a pg_hba.conf-style file choosing the authentication method',
+    },
+    {
+      key: 'identFile',
+      env: 'PG_MOCK_IDENT_FILE',
+      type: 'string',
+      default: DEFAULT_CONFIG.identFile,
+      description:
+        'Path to a pg_ident.conf-style file mapping certificate and OS user names to roles',
+    },
+    {
+      key: 'certMap',
+      env: 'PG_MOCK_CERT_MAP',
+      type: 'string',
+      default: DEFAULT_CONFIG.certMap,
+      description: "User name map for authMethod 'cert' without hba rules",
+    },
+    {
+      key: 'fixturesFile',
+      env: 'PG_MOCK_FIXTURES_FILE',
+      type: 'string',
+      default: DEFAULT_CONFIG.fixturesFile,
+      description: 'Path to a JSON or YAML file of canned query responses',
+    },
+    {
+      key: 'largeObjectFileDirectory',
+      env: 'PG_MOCK_LARGE_OBJECT_FILE_DIRECTORY',
+      type: 'string',
+      default: DEFAULT_CONFIG.largeObjectFileDirectory,
+      description: 'Directory superusers may use with server-side lo_import() and lo_export()',
+    },
+    {
+      key: 'cassetteMode',
+      env: 'PG_MOCK_CASSETTE_MODE',
+      type: 'string',
+      default: DEFAULT_CONFIG.cassetteMode,
+      description: 'Record/replay mode (off, record, replay)',
+    },
+    {
+      key: 'cassetteFile',
+      env: 'PG_MOCK_CASSETTE_FILE',
+      type: 'string',
+      default: DEFAULT_CONFIG.cassetteFile,
+      description: 'Cassette file written when recording and read when replaying',
+    },
+    {
+      key: 'upstreamHost',
+      env: 'PG_MOCK_UPSTREAM_HOST',
+      type: 'string',
+      default: DEFAULT_CONFIG.upstreamHost,
+      description: 'Upstream PostgreSQL host to record from',
+    },
+    {
+      key: 'upstreamPort',
+      env: 'PG_MOCK_UPSTREAM_PORT',
+      type: 'number',
+      default: DEFAULT_CONFIG.upstreamPort,
+      description: 'Upstream PostgreSQL port to record from',
+    },
+    {
+      key: 'replayMissPolicy',
+      env: 'PG_MOCK_REPLAY_MISS_POLICY',
+      type: 'string',
+      default: DEFAULT_CONFIG.replayMissPolicy,
+      description: 'Unrecorded queries in replay mode: strict (error) or lenient (mock handlers)',
+    },
+    {
+      key: 'latency',
+      env: 'PG_MOCK_LATENCY',
+      type: 'string',
+      default: DEFAULT_CONFIG.latency,
+      description:
+        'Simulated response latency: <ms>, uniform:<min>:<max>, normal:<mean>:<stddev> or percentiles:p50=<ms>,...',
+    },
+    {
+      key: 'statementTimeout',
+      env: 'PG_MOCK_STATEMENT_TIMEOUT',
+      type: 'number',
+      default: DEFAULT_CONFIG.statementTimeout,
+      description: 'Default statement_timeout in milliseconds (0 disables it)',
+    },
+    {
+      key: 'lockTimeout',
+      env: 'PG_MOCK_LOCK_TIMEOUT',
+      type: 'number',
+      default: DEFAULT_CONFIG.lockTimeout,
+      description: 'Default lock_timeout in milliseconds; accepted but never fires (no locks)',
+    },
+    {
+      key: 'idleInTransactionSessionTimeout',
+      env: 'PG_MOCK_IDLE_IN_TRANSACTION_SESSION_TIMEOUT',
+      type: 'number',
+      default: DEFAULT_CONFIG.idleInTransactionSessionTimeout,
+      description: 'Default idle_in_transaction_session_timeout in milliseconds (0 disables it)',
+    },
+    {
+      key: 'idleSessionTimeout',
+      env: 'PG_MOCK_IDLE_SESSION_TIMEOUT',
+      type: 'number',
+      default: DEFAULT_CONFIG.idleSessionTimeout,
+      description: 'Default idle_session_timeout in milliseconds (0 disables it)',
+    },
     {
       key: 'http.enabled',
       env: 'PG_MOCK_HTTP_ENABLED',
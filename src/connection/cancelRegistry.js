@@ -0,0 +1,132 @@
+/**
+ * Cancel Registry
+ * Maps the backend key data issued to each connection back to the connection,
+ * so a CancelRequest arriving on a separate socket can find its target
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Configuration options for the cancel registry
+ * @typedef {Object} CancelRegistryConfig
+ * @property {boolean} enableLogging - Enable cancel logging (default: true)
+ * @property {string} logLevel - Log level for cancellation (default: 'info')
+ */
+
+/**
+ * Gets the bytes of a cancel key: protocol 3.0 keys are 32-bit integers, protocol
+ * 3.2 keys are byte strings
+ * @param {number|Buffer} key - Cancel key
+ * @returns {Buffer} Key bytes
+ */
+function keyBytes(key) {
+  if (Buffer.isBuffer(key)) {
+    return key;
+  }
+  const bytes = Buffer.alloc(4);
+  bytes.writeInt32BE(key | 0, 0);
+  return bytes;
+}
+
+/**
+ * Compares two secrets in constant time
+ * @param {number|Buffer} expected - Secret issued in BackendKeyData
+ * @param {number|Buffer} received - Secret sent in the CancelRequest
+ * @returns {boolean} True if the secrets match
+ */
+function secretsMatch(expected, received) {
+  const a = keyBytes(expected);
+  const b = keyBytes(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Registry of live connections keyed by backend process ID
+ *
+ * A CancelRequest is honoured only when its secret matches the one sent to
+ * the target connection. As in PostgreSQL, the requester is never told whether
+ * anything was canceled: unknown PIDs, wrong secrets and idle targets are
+ * logged and otherwise ignored.
+ */
+class CancelRegistry {
+  /**
+   * Creates a new cancel registry
+   * @param {CancelRegistryConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.connections = new Map(); // backendPid -> ConnectionState
+    this.stats = { requests: 0, canceled: 0, rejected: 0, idle: 0 };
+
+    this.logger = createLogger({
+      name: 'CancelRegistry',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Registers a connection under its backend PID
+   * @param {ConnectionState} connState - Connection state
+   */
+  register(connState) {
+    this.connections.set(connState.backendPid, connState);
+  }
+
+  /**
+   * Removes a connection from the registry
+   * @param {ConnectionState} connState - Connection state
+   */
+  unregister(connState) {
+    if (this.connections.get(connState.backendPid) === connState) {
+      this.connections.delete(connState.backendPid);
+    }
+  }
+
+  /**
+   * Cancels the statement running on the connection identified by the key data
+   * @param {number} pid - Backend process ID from the CancelRequest
+   * @param {number|Buffer} secret - Secret key from the CancelRequest
+   * @returns {boolean} True if a running statement was canceled
+   */
+  cancel(pid, secret) {
+    this.stats.requests++;
+
+    const connState = this.connections.get(pid);
+    if (!connState || !secretsMatch(connState.backendSecret, secret)) {
+      this.stats.rejected++;
+      this.logger.warn(`Ignoring cancel request with invalid key for PID ${pid}`);
+      return false;
+    }
+
+    if (!connState.cancelActiveQuery()) {
+      this.stats.idle++;
+      this.logger.debug(`Cancel request for PID ${pid}: no statement in progress`);
+      return false;
+    }
+
+    this.stats.canceled++;
+    this.logger.info(`Canceled statement on PID ${pid}`);
+    return true;
+  }
+
+  /**
+   * Gets cancel statistics
+   * @returns {Object} Registered connections and request counters
+   */
+  getStats() {
+    return {
+      connections: this.connections.size,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  CancelRegistry,
+};
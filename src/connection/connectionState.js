@@ -3,10 +3,20 @@
  * Handles client connection state, authentication, parameters, and transaction status
  */
 
-const { TRANSACTION_STATUS, PROTOCOL_VERSION_3_0 } = require('../protocol/constants');
+const {
+  TRANSACTION_STATUS,
+  PROTOCOL_VERSION_3_0,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+} = require('../protocol/constants');
 const { createLogger } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
 
-const { generateBackendSecret } = require('../protocol/utils');
+const { generateBackendSecret, generateBackendPid } = require('../protocol/utils');
+const { TableStore } = require('../storage/tableStore');
+const { LargeObjectStore, INV_WRITE } = require('../storage/largeObjectStore');
+const { TransactionJournal } = require('../storage/transactionJournal');
+const { SessionSettings } = require('./sessionSettings');
 
 /**
  * Represents the state of a PostgreSQL client connection
@@ -26,19 +36,53 @@ class ConnectionState {
     this.scramClientNonce = null;
     this.scramServerNonce = null;
     this.scramClientInitialBare = null;
+    this.scramChannelBinding = null; // Expected "c" attribute of the client final message
     this.scramServerFirst = null;
     this.scramCredentials = null; // Server-side credentials for user
     this.scramAuthMessage = null;
 
+    // Cleartext and MD5 password authentication state: the method whose password
+    // response is awaited, and the salt sent for MD5
+    this.passwordAuthMethod = null; // 'password', 'md5'
+    this.md5Salt = null;
+
     // Connection parameters from startup packet
     this.parameters = new Map();
 
     // Transaction state
     this.transactionStatus = TRANSACTION_STATUS.IDLE;
 
+    // Set when a statement fails outside a transaction block. Such a statement runs in
+    // an implicit block (the rest of a simple Query, or extended-protocol messages up
+    // to Sync) that is rolled back instead of leaving the session in a failed state
+    this.implicitTransactionFailed = false;
+
+    // Set when an extended-protocol message fails; the messages that follow are
+    // discarded until the client sends Sync
+    this.discardingUntilSync = false;
+
+    // Undo log of table changes and the savepoint stack of the current transaction
+    this.transactionJournal = new TransactionJournal();
+
     // Backend identification for cancellation
-    this.backendPid = process.pid;
-    this.backendSecret = generateBackendSecret();
+    this.backendPid = generateBackendPid();
+    this.backendSecret = generateBackendSecret(); // Replaced by a longer key on protocol 3.2
+    this.cancelRegistry = null; // Set by the server so CancelRequests can find this connection
+
+    // Statement in progress that a CancelRequest can interrupt ({query, startedAt, onCancel})
+    this.activeQuery = null;
+
+    // Delayed response still to be sent; later messages wait for it
+    this.pendingResponse = null;
+
+    // Simulated latency added to every response (set by the server when configured)
+    this.latencyModel = null;
+
+    // Run-time settings (SET / SHOW), including the session timeouts
+    this.settings = new SessionSettings();
+
+    // Timer for idle_session_timeout / idle_in_transaction_session_timeout
+    this.idleTimer = null;
 
     // Connection metadata
     this.connected = true;
@@ -53,6 +97,33 @@ class ConnectionState {
     this.listeningChannels = new Set(); // Channels this connection is listening to
     this.notificationManager = null; // Reference to notification manager
     this.socket = null; // Client socket for sending notifications
+
+    // Table storage (shared across connections when set by the server)
+    this.tableStore = null;
+
+    // Large object storage (shared across connections when set by the server) and the
+    // descriptors lo_open() handed out in the current transaction ({oid, mode, position})
+    this.largeObjectStore = null;
+    this.largeObjectDescriptors = new Map();
+
+    // Canned query responses (set by the server when fixtures are configured)
+    this.fixtureStore = null;
+
+    // Recorded responses replayed instead of the mock handlers (replay mode)
+    this.cassette = null;
+
+    // Roles, host-based authentication rules and user name maps (set by the server
+    // when configured), the rule the connection matched and the role the session
+    // logged in as
+    this.roleStore = null;
+    this.hbaRules = null;
+    this.identMaps = null;
+    this.hbaRule = null;
+    this.sessionRole = null;
+
+    // Names of the settings sent in the startup packet, which override role settings
+    this.startupSettingNames = new Set();
+
     // COPY protocol state
     this.copyState = null;
 
@@ -110,11 +181,115 @@ class ConnectionState {
   }
 
   /**
-   * Gets the application name from connection parameters
+   * Gets the application name, as set at startup or with SET application_name
    * @returns {string} Application name
    */
   getApplicationName() {
-    return this.getParameter('application_name', '');
+    return this.settings.show('application_name');
+  }
+
+  /**
+   * Sets the server-wide setting defaults, which also become the current values
+   * @param {Object<string, *>} defaults - Values by setting name (see createServerParameters)
+   */
+  setSettingDefaults(defaults) {
+    this.settings.setDefaults(defaults);
+  }
+
+  /**
+   * Applies the settings a client sent in its startup packet
+   * They become the values RESET restores. Settings the mock does not know are
+   * ignored, where PostgreSQL would refuse the connection.
+   * @param {Map<string, string>} settings - Values by setting name (see readStartupSettings)
+   * @throws {PostgresError} If a known setting has an invalid value or cannot be set
+   */
+  applyStartupSettings(settings) {
+    for (const [name, value] of settings) {
+      if (this.settings.has(name)) {
+        this.settings.set(name, value, { startup: true });
+        this.startupSettingNames.add(name.toLowerCase());
+      } else {
+        this.logger.debug(`Ignoring unknown startup setting ${name}`);
+      }
+    }
+    this.settings.setDefaults({ session_authorization: this.getCurrentUser() });
+  }
+
+  /**
+   * Applies the settings of the role the session logged in as (ALTER ROLE ... SET)
+   * They become the values RESET restores, except where the startup packet set the
+   * same setting. As in PostgreSQL, an invalid value only logs a warning.
+   * @param {Object<string, string>} settings - Values by setting name
+   */
+  applyRoleSettings(settings) {
+    for (const [name, value] of Object.entries(settings)) {
+      if (this.startupSettingNames.has(name.toLowerCase())) {
+        continue;
+      }
+      if (!this.settings.has(name)) {
+        this.logger.debug(`Ignoring unknown role setting ${name}`);
+        continue;
+      }
+      try {
+        this.settings.set(name, value, { startup: true });
+      } catch (error) {
+        this.logger.warn(`Ignoring role setting ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Gets a setting as SHOW displays it
+   * @param {string} name - Setting name
+   * @returns {string} Current value
+   * @throws {PostgresError} 42704 for an unknown setting
+   */
+  getSetting(name) {
+    return this.settings.show(name);
+  }
+
+  /**
+   * Changes a setting for the session, or for the transaction with options.local
+   * The change is undone if the transaction (or the statement's implicit
+   * transaction) is rolled back.
+   * @param {string} name - Setting name
+   * @param {string|number|Array<string>|null} value - New value, or null for the default
+   * @param {Object} options - Options ({local})
+   * @returns {string} New value as SHOW displays it
+   * @throws {PostgresError} 42704, 22023, 55P02 or 42501, as PostgreSQL reports them
+   */
+  setSetting(name, value, options = {}) {
+    this.transactionJournal.recordSetting(this.settings, name);
+    const shown = this.settings.set(name, value, options);
+    this.logger.debug(`Set ${name} = ${shown}${options.local ? ' (local)' : ''}`);
+    return shown;
+  }
+
+  /**
+   * Restores every setting a user may change to its default (RESET ALL)
+   */
+  resetAllSettings() {
+    for (const definition of this.settings.list()) {
+      if (definition.context === 'user') {
+        this.setSetting(definition.name, null);
+      }
+    }
+  }
+
+  /**
+   * Gets every setting reported with ParameterStatus, to send when startup completes
+   * @returns {Array<Array<string>>} [name, value] pairs
+   */
+  getReportedParameters() {
+    return this.settings.takeReport(true);
+  }
+
+  /**
+   * Gets the reported settings whose value changed since they were last sent
+   * @returns {Array<Array<string>>} [name, value] pairs
+   */
+  takeParameterChanges() {
+    return this.settings.takeReport(false);
   }
 
   /**
@@ -158,16 +333,32 @@ class ConnectionState {
    * Commits the current transaction
    */
   commitTransaction() {
+    this.transactionJournal.commit();
+    this.endTransactionScope();
     this.setTransactionStatus(TRANSACTION_STATUS.IDLE);
   }
 
   /**
-   * Rolls back the current transaction
+   * Rolls back the current transaction, undoing its table changes
    */
   rollbackTransaction() {
+    this.transactionJournal.rollback();
+    this.endTransactionScope();
     this.setTransactionStatus(TRANSACTION_STATUS.IDLE);
   }
 
+  /**
+   * Drops what lasts only until the end of a transaction: SET LOCAL values, and
+   * portals and large object descriptors, which PostgreSQL closes when their
+   * transaction ends
+   * @private
+   */
+  endTransactionScope() {
+    this.settings.endTransaction();
+    this.portals.clear();
+    this.largeObjectDescriptors.clear();
+  }
+
   /**
    * Marks transaction as failed
    */
@@ -175,6 +366,148 @@ class ConnectionState {
     this.setTransactionStatus(TRANSACTION_STATUS.IN_FAILED_TRANSACTION);
   }
 
+  /**
+   * Records a failed statement
+   * Inside a transaction block the block fails (status E) until COMMIT or ROLLBACK;
+   * outside one only the implicit block fails, and the session stays idle.
+   */
+  failStatement() {
+    if (this.transactionStatus === TRANSACTION_STATUS.IDLE) {
+      this.implicitTransactionFailed = true;
+    } else {
+      this.failTransaction();
+    }
+  }
+
+  /**
+   * Fails the current statement of an extended-protocol batch and discards the
+   * messages that follow until Sync, so later Executes of a pipeline do not run
+   */
+  failExtendedQuery() {
+    this.failStatement();
+    this.discardingUntilSync = true;
+  }
+
+  /**
+   * Checks whether messages are being discarded after an extended-protocol error
+   * @returns {boolean} True until the next Sync
+   */
+  isDiscardingUntilSync() {
+    return this.discardingUntilSync;
+  }
+
+  /**
+   * Stops discarding messages, at Sync
+   */
+  stopDiscardingUntilSync() {
+    this.discardingUntilSync = false;
+  }
+
+  /**
+   * Checks whether a statement failed in the current transaction block, explicit or implicit
+   * @returns {boolean} True if the remaining statements of the block must be skipped
+   */
+  hasFailedStatement() {
+    return this.implicitTransactionFailed || this.isInFailedTransaction();
+  }
+
+  /**
+   * Ends the implicit transaction block of a simple Query or an extended-protocol
+   * batch (at Sync); a failure in it has been rolled back and is forgotten
+   */
+  endImplicitTransaction() {
+    if (this.transactionStatus === TRANSACTION_STATUS.IDLE) {
+      if (this.implicitTransactionFailed) {
+        this.transactionJournal.rollback();
+      } else {
+        this.transactionJournal.commit();
+      }
+      this.endTransactionScope();
+    }
+    this.implicitTransactionFailed = false;
+  }
+
+  /**
+   * Records a table before the current statement creates or drops it, so a rollback can restore it
+   * @param {TableStore} store - Table store holding the table
+   * @param {string} name - Table name
+   * @param {string} schema - Schema name
+   */
+  recordTableChange(store, name, schema) {
+    this.transactionJournal.recordTable(store, name, schema);
+  }
+
+  /**
+   * Records the rows the current statement changed, so a rollback can undo just those
+   * @param {TableStore} store - Table store holding the table
+   * @param {StoredTable} table - Changed table
+   * @param {Object} changes - Row changes ({inserted, updated, deleted})
+   */
+  recordRowChanges(store, table, changes) {
+    this.transactionJournal.recordRows(store, table, changes);
+  }
+
+  /**
+   * Records a large object before the current statement creates or unlinks it, so a
+   * rollback can restore it
+   * @param {LargeObjectStore} store - Large object store holding the object
+   * @param {number} oid - Large object OID
+   */
+  recordLargeObjectChange(store, oid) {
+    this.transactionJournal.recordLargeObject(store, oid);
+  }
+
+  /**
+   * Records the bytes of a large object the current statement is about to change, so a
+   * rollback can put just those back
+   * @param {LargeObjectStore} store - Large object store holding the object
+   * @param {number} oid - Large object OID
+   * @param {number} start - First byte changed
+   * @param {number} end - Byte after the last one changed
+   * @param {number} newLength - Length of the object after the change
+   */
+  recordLargeObjectBytes(store, oid, start, end, newLength) {
+    this.transactionJournal.recordLargeObjectBytes(store, oid, start, end, newLength);
+  }
+
+  /**
+   * Defines a savepoint in the current transaction block
+   * @param {string} name - Savepoint name
+   */
+  defineSavepoint(name) {
+    this.transactionJournal.addSavepoint(name);
+  }
+
+  /**
+   * Releases a savepoint, and every later one, keeping the changes made since
+   * @param {string} name - Savepoint name
+   * @returns {boolean} False if no savepoint has that name
+   */
+  releaseSavepoint(name) {
+    return this.transactionJournal.releaseSavepoint(name);
+  }
+
+  /**
+   * Rolls back to a savepoint, which recovers a failed transaction block
+   * @param {string} name - Savepoint name
+   * @returns {boolean} False if no savepoint has that name
+   */
+  rollbackToSavepoint(name) {
+    if (!this.transactionJournal.rollbackToSavepoint(name)) {
+      return false;
+    }
+    this.setTransactionStatus(TRANSACTION_STATUS.IN_TRANSACTION);
+    return true;
+  }
+
+  /**
+   * Gets the savepoints defined in the current transaction block
+   * @returns {Array<string>} Savepoint names from oldest to newest
+   */
+  getSavepoints() {
+    return this.transactionJournal.getSavepointNames();
+  }
+
   /**
    * Sets the connection copy state
    * @param {Object} copyInfo - COPY operation information
@@ -273,6 +606,20 @@ class ConnectionState {
     return removed;
   }
 
+  /**
+   * Closes a prepared statement along with the portals bound from it
+   * @param {string} name - Statement name
+   * @returns {boolean} True if the statement existed
+   */
+  closePreparedStatement(name) {
+    for (const [portalName, portal] of this.portals) {
+      if (portal.statement === name) {
+        this.removePortal(portalName);
+      }
+    }
+    return this.removePreparedStatement(name);
+  }
+
   /**
    * Adds a portal to the connection
    * @param {string} name - Portal name (empty string for unnamed)
@@ -385,6 +732,393 @@ class ConnectionState {
     return this.notificationManager;
   }
 
+  /**
+   * Sets the table store reference
+   * @param {TableStore} tableStore - Table store instance
+   */
+  setTableStore(tableStore) {
+    this.tableStore = tableStore;
+  }
+
+  /**
+   * Gets the table store, creating a connection-private one if none was set
+   * @returns {TableStore} Table store instance
+   */
+  getTableStore() {
+    if (!this.tableStore) {
+      this.tableStore = new TableStore({ enableLogging: false });
+    }
+    return this.tableStore;
+  }
+
+  /**
+   * Sets the large object store reference
+   * @param {LargeObjectStore} largeObjectStore - Large object store instance
+   */
+  setLargeObjectStore(largeObjectStore) {
+    this.largeObjectStore = largeObjectStore;
+  }
+
+  /**
+   * Gets the large object store, creating a connection-private one if none was set
+   * @returns {LargeObjectStore} Large object store instance
+   */
+  getLargeObjectStore() {
+    if (!this.largeObjectStore) {
+      this.largeObjectStore = new LargeObjectStore({ enableLogging: false });
+    }
+    return this.largeObjectStore;
+  }
+
+  /**
+   * Opens a large object descriptor, valid until the current transaction ends
+   * @param {number} oid - Large object OID
+   * @param {number} mode - lo_open() mode flags (INV_READ, INV_WRITE)
+   * @returns {number} Descriptor: the lowest one not in use
+   */
+  openLargeObject(oid, mode) {
+    let fd = 0;
+    while (this.largeObjectDescriptors.has(fd)) {
+      fd++;
+    }
+    this.largeObjectDescriptors.set(fd, { oid, mode, position: 0 });
+    return fd;
+  }
+
+  /**
+   * Gets an open large object descriptor
+   * @param {number} fd - Descriptor
+   * @param {boolean} forWriting - True if the caller writes through the descriptor
+   * @returns {Object} Descriptor state ({oid, mode, position})
+   * @throws {PostgresError} 42704 if the descriptor is not open, 55000 if it is written
+   *   to but was opened read-only
+   */
+  getLargeObjectDescriptor(fd, forWriting = false) {
+    const descriptor = this.largeObjectDescriptors.get(fd);
+    if (!descriptor) {
+      throw createError(ERROR_CODES.UNDEFINED_OBJECT, `invalid large-object descriptor: ${fd}`);
+    }
+    if (forWriting && !(descriptor.mode & INV_WRITE)) {
+      throw createError(
+        ERROR_CODES.OBJECT_NOT_IN_PREREQUISITE_STATE,
+        `large object descriptor ${fd} was not opened for writing`
+      );
+    }
+    return descriptor;
+  }
+
+  /**
+   * Closes a large object descriptor
+   * @param {number} fd - Descriptor
+   * @throws {PostgresError} 42704 if the descriptor is not open
+   */
+  closeLargeObject(fd) {
+    this.getLargeObjectDescriptor(fd);
+    this.largeObjectDescriptors.delete(fd);
+  }
+
+  /**
+   * Closes every descriptor open on a large object, as lo_unlink() does
+   * @param {number} oid - Large object OID
+   */
+  closeLargeObjectDescriptors(oid) {
+    for (const [fd, descriptor] of this.largeObjectDescriptors) {
+      if (descriptor.oid === oid) {
+        this.largeObjectDescriptors.delete(fd);
+      }
+    }
+  }
+
+  /**
+   * Sets the fixture store reference
+   * @param {FixtureStore} fixtureStore - Fixture store instance
+   */
+  setFixtureStore(fixtureStore) {
+    this.fixtureStore = fixtureStore;
+  }
+
+  /**
+   * Gets the fixture store reference
+   * @returns {FixtureStore|null} Fixture store instance
+   */
+  getFixtureStore() {
+    return this.fixtureStore;
+  }
+
+  /**
+   * Sets the cassette replayed by this connection
+   * @param {Cassette|null} cassette - Cassette instance
+   */
+  setCassette(cassette) {
+    this.cassette = cassette;
+  }
+
+  /**
+   * Gets the cassette replayed by this connection
+   * @returns {Cassette|null} Cassette instance
+   */
+  getCassette() {
+    return this.cassette;
+  }
+
+  /**
+   * Sets the role store reference
+   * @param {RoleStore} roleStore - Role store instance
+   */
+  setRoleStore(roleStore) {
+    this.roleStore = roleStore;
+  }
+
+  /**
+   * Gets the role store
+   * @returns {RoleStore|null} Role store instance, or null if no roles are configured
+   */
+  getRoleStore() {
+    return this.roleStore;
+  }
+
+  /**
+   * Sets the host-based authentication rules
+   * @param {HbaRules} hbaRules - Rule list
+   */
+  setHbaRules(hbaRules) {
+    this.hbaRules = hbaRules;
+  }
+
+  /**
+   * Gets the host-based authentication rules
+   * @returns {HbaRules|null} Rule list, or null if no rules are configured
+   */
+  getHbaRules() {
+    return this.hbaRules;
+  }
+
+  /**
+   * Sets the user name maps
+   * @param {IdentMaps} identMaps - User name maps
+   */
+  setIdentMaps(identMaps) {
+    this.identMaps = identMaps;
+  }
+
+  /**
+   * Gets the user name maps
+   * @returns {IdentMaps|null} User name maps, or null if none are configured
+   */
+  getIdentMaps() {
+    return this.identMaps;
+  }
+
+  /**
+   * Starts the session of the role the connection logs in as, which PostgreSQL does
+   * once authentication succeeds: the role must exist and be allowed to log in, and
+   * counts against its connection limit. Its settings become the session defaults.
+   * Without a role store any user name is accepted.
+   * @throws {PostgresError} 28000 if the role cannot log in, 53300 if it has too many
+   *   connections
+   */
+  startSession() {
+    if (!this.roleStore) {
+      return;
+    }
+    const name = this.getCurrentUser();
+    const role = this.roleStore.getRole(name);
+    if (!role) {
+      throw createError(
+        ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+        `role "${name}" does not exist`
+      );
+    }
+    if (!role.login) {
+      throw createError(
+        ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+        `role "${name}" is not permitted to log in`
+      );
+    }
+
+    this.roleStore.acquireConnection(role);
+    this.sessionRole = role;
+    this.applyRoleSettings(role.settings);
+    this.settings.setDefaults({ is_superuser: role.superuser ? 'on' : 'off' });
+  }
+
+  /**
+   * Gets the role the session logged in as
+   * @returns {Role|null} Role, or null without a role store
+   */
+  getSessionRole() {
+    return this.sessionRole;
+  }
+
+  /**
+   * Sets the registry that routes CancelRequests to connections
+   * @param {CancelRegistry} cancelRegistry - Cancel registry instance
+   */
+  setCancelRegistry(cancelRegistry) {
+    this.cancelRegistry = cancelRegistry;
+  }
+
+  /**
+   * Gets the registry that routes CancelRequests to connections
+   * @returns {CancelRegistry|null} Cancel registry instance
+   */
+  getCancelRegistry() {
+    return this.cancelRegistry;
+  }
+
+  /**
+   * Marks a statement as in progress until finishQuery() is called
+   * The statement is canceled when statement_timeout runs out first.
+   * @param {string} query - Statement text
+   * @param {Function} onCancel - Called once, with the error message to report,
+   *   if the statement is canceled
+   */
+  startQuery(query, onCancel) {
+    this.finishQuery();
+
+    const activeQuery = { query, startedAt: new Date(), onCancel, timer: null };
+    const timeout = this.getSessionTimeout('statement_timeout');
+    if (timeout > 0) {
+      activeQuery.timer = setTimeout(
+        () => this.cancelActiveQuery(ERROR_MESSAGES.STATEMENT_TIMEOUT),
+        timeout
+      );
+    }
+    this.activeQuery = activeQuery;
+  }
+
+  /**
+   * Marks the statement in progress as finished
+   */
+  finishQuery() {
+    if (this.activeQuery) {
+      clearTimeout(this.activeQuery.timer);
+    }
+    this.activeQuery = null;
+  }
+
+  /**
+   * Gets the statement in progress
+   * @returns {Object|null} Active query ({query, startedAt}) or null when idle
+   */
+  getActiveQuery() {
+    return this.activeQuery;
+  }
+
+  /**
+   * Interrupts the statement in progress, as requested by a CancelRequest or
+   * when statement_timeout runs out
+   * @param {string} message - Error message reported to the client
+   * @returns {boolean} True if a statement was canceled, false if the connection was idle
+   */
+  cancelActiveQuery(message = ERROR_MESSAGES.QUERY_CANCELED) {
+    const activeQuery = this.activeQuery;
+    if (!activeQuery) {
+      return false;
+    }
+
+    this.finishQuery();
+    this.logger.info(`${message} on PID ${this.backendPid}: ${activeQuery.query}`);
+    activeQuery.onCancel(message);
+    return true;
+  }
+
+  /**
+   * Sets a session timeout
+   * @param {string} name - Setting name, e.g. statement_timeout
+   * @param {number|null} ms - Timeout in milliseconds (0: disabled), or null for the server default
+   */
+  setSessionTimeout(name, ms) {
+    this.setSetting(name, ms);
+  }
+
+  /**
+   * Gets a session timeout
+   * @param {string} name - Setting name, e.g. statement_timeout
+   * @returns {number} Timeout in milliseconds (0: disabled)
+   */
+  getSessionTimeout(name) {
+    return this.settings.get(name) || 0;
+  }
+
+  /**
+   * Starts the idle timer that runs while the connection waits for a command
+   * Inside a transaction block idle_in_transaction_session_timeout applies,
+   * otherwise idle_session_timeout. Any earlier idle timer is replaced.
+   * @param {Function} onTimeout - Called with the SQLSTATE and message of the
+   *   FATAL error to send when the session has been idle too long
+   */
+  startIdleTimer(onTimeout) {
+    this.clearIdleTimer();
+
+    const inTransaction = this.transactionStatus !== TRANSACTION_STATUS.IDLE;
+    const timeout = this.getSessionTimeout(
+      inTransaction ? 'idle_in_transaction_session_timeout' : 'idle_session_timeout'
+    );
+    if (timeout <= 0) {
+      return;
+    }
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (inTransaction) {
+        onTimeout(
+          ERROR_CODES.IDLE_IN_TRANSACTION_SESSION_TIMEOUT,
+          ERROR_MESSAGES.IDLE_IN_TRANSACTION_SESSION_TIMEOUT
+        );
+      } else {
+        onTimeout(ERROR_CODES.IDLE_SESSION_TIMEOUT, ERROR_MESSAGES.IDLE_SESSION_TIMEOUT);
+      }
+    }, timeout);
+  }
+
+  /**
+   * Stops the idle timer, once the client sends something
+   */
+  clearIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+  }
+
+  /**
+   * Sets the simulated latency for responses on this connection
+   * @param {LatencyModel|null} latencyModel - Latency model, or null for none
+   */
+  setLatencyModel(latencyModel) {
+    this.latencyModel = latencyModel;
+  }
+
+  /**
+   * Gets the simulated latency for responses on this connection
+   * @returns {LatencyModel|null} Latency model
+   */
+  getLatencyModel() {
+    return this.latencyModel;
+  }
+
+  /**
+   * Holds back later messages until a delayed response has been sent
+   * @param {Promise} promise - Settles once the response (and ReadyForQuery, if any) is out
+   */
+  setPendingResponse(promise) {
+    const pending = promise
+      .catch(error => this.logger.error(`Delayed response failed: ${error.message}`))
+      .then(() => {
+        if (this.pendingResponse === pending) {
+          this.pendingResponse = null;
+        }
+      });
+    this.pendingResponse = pending;
+  }
+
+  /**
+   * Gets the delayed response later messages are waiting for
+   * @returns {Promise|null} Pending response, or null when messages can be processed
+   */
+  getPendingResponse() {
+    return this.pendingResponse;
+  }
+
   /**
    * Sets the client socket reference
    * @param {Socket} socket - Client socket
@@ -437,9 +1171,21 @@ class ConnectionState {
    */
   close() {
     this.connected = false;
+    this.finishQuery();
+    // An unfinished transaction is rolled back, as when a PostgreSQL backend exits
+    if (this.transactionStatus !== TRANSACTION_STATUS.IDLE || this.implicitTransactionFailed) {
+      this.transactionJournal.rollback();
+    } else {
+      this.transactionJournal.commit();
+    }
+    this.clearIdleTimer();
     this.preparedStatements.clear();
     this.portals.clear();
     this.clearAllListeningChannels();
+    if (this.sessionRole) {
+      this.roleStore.releaseConnection(this.sessionRole.name);
+      this.sessionRole = null;
+    }
     this.logger.info(
       `Connection closed after ${this.getConnectionDuration()}ms, ${this.queriesExecuted} queries executed`
     );
@@ -587,10 +1333,12 @@ class ConnectionState {
       // Clear extended query protocol state
       this.preparedStatements.clear();
       this.portals.clear();
+      this.largeObjectDescriptors.clear();
       this.clearAllListeningChannels();
 
       // Reset to idle transaction status
       this.transactionStatus = TRANSACTION_STATUS.IDLE;
+      this.discardingUntilSync = false;
 
       // Update activity timestamp
       this.updateActivity();
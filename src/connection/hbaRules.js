@@ -0,0 +1,457 @@
+/**
+ * Host-Based Authentication Rules
+ * An ordered list of pg_hba.conf-style rules choosing how each connection
+ * authenticates, by connection type, database, user and client address
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+const { checkPeerSupport } = require('./peerCredentials');
+
+/**
+ * Connection types a rule can apply to
+ */
+const CONNECTION_TYPES = ['local', 'host', 'hostssl', 'hostnossl'];
+
+/**
+ * Authentication methods a rule can choose
+ */
+const AUTH_METHODS = ['trust', 'reject', 'password', 'md5', 'scram-sha-256', 'cert', 'peer'];
+
+/**
+ * Values of the clientcert option: verify-ca requires a client certificate signed by
+ * the configured CA, verify-full also requires its common name to be the user name
+ */
+const CLIENTCERT_MODES = ['verify-ca', 'verify-full'];
+
+/**
+ * Authentication methods that take a user name map (the map option)
+ */
+const MAP_METHODS = ['cert', 'peer'];
+
+/**
+ * Configuration options for the rule list
+ * @typedef {Object} HbaRulesConfig
+ * @property {boolean} enableLogging - Enable logging of rule matches (default: true)
+ * @property {string} logLevel - Log level (default: 'info')
+ */
+
+/**
+ * Rule definition: a pg_hba.conf line such as "hostssl all alice 10.0.0.0/8 md5", or
+ * an object with the same fields
+ * @typedef {string|Object} HbaRuleDefinition
+ * @property {string} type - local, host, hostssl or hostnossl
+ * @property {string|Array<string>} database - Database names, "all" or "sameuser"
+ * @property {string|Array<string>} user - Role names or "all"
+ * @property {string} address - CIDR address or "all" (not used for local rules)
+ * @property {string} method - trust, reject, password, md5, scram-sha-256, cert or peer
+ *   (local rules only)
+ * @property {Object<string, string>} options - Options (default: none): clientcert
+ *   (verify-ca or verify-full, hostssl rules only) and map (a user name map, for cert
+ *   and peer)
+ */
+
+/**
+ * Rule held in the list
+ * @typedef {Object} HbaRule
+ * @property {string} type - Connection type
+ * @property {Array<string>} databases - Database names and keywords
+ * @property {Array<string>} users - Role names and keywords
+ * @property {string|null} address - Address as written, null for local rules
+ * @property {net.BlockList|null} subnet - Addresses the rule covers, null for all
+ * @property {string} method - Authentication method
+ * @property {Object<string, string>} options - Method options
+ * @property {number} line - Position of the rule in its file or list (1-based)
+ */
+
+/**
+ * Connecting client, as rules are matched against it
+ * @typedef {Object} HbaClient
+ * @property {string} database - Requested database
+ * @property {string} user - Requested user
+ * @property {string|null} address - Client IP address; null for Unix-domain sockets
+ * @property {boolean} ssl - Whether the connection uses SSL
+ */
+
+/**
+ * Ordered list of host-based authentication rules
+ *
+ * As in PostgreSQL, the first rule matching a connection decides how it
+ * authenticates, and a connection no rule matches is refused.
+ */
+class HbaRules {
+  /**
+   * Creates an empty rule list
+   * @param {HbaRulesConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.rules = [];
+
+    this.logger = createLogger({
+      name: 'HbaRules',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Loads rules from a file in pg_hba.conf format
+   * @param {string} filePath - Path to the file
+   * @returns {number} Number of rules loaded
+   * @throws {Error} If the file cannot be read or a rule is invalid
+   */
+  loadFile(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read hba file "${filePath}": ${error.message}`);
+    }
+
+    const rules = [];
+    content.split(/\r?\n/).forEach((text, index) => {
+      const line = text.replace(/#.*$/, '').trim();
+      if (line !== '') {
+        rules.push(parseRuleLine(line, `at line ${index + 1} of "${filePath}"`, index + 1));
+      }
+    });
+
+    this.rules.push(...rules);
+    this.logger.info(`Loaded ${rules.length} hba rules from ${filePath}`);
+    this.warnIfPeerUnsupported(rules);
+    return rules.length;
+  }
+
+  /**
+   * Validates and adds rules after the existing ones
+   * @param {Array<HbaRuleDefinition>} definitions - Rule definitions
+   * @returns {number} Number of rules added
+   * @throws {Error} If any rule is invalid (nothing is added in that case)
+   */
+  addRules(definitions) {
+    const rules = definitions.map((definition, index) => {
+      const where = `${index + 1}`;
+      if (typeof definition === 'string') {
+        return parseRuleLine(definition, where, index + 1);
+      }
+      if (!definition || typeof definition !== 'object') {
+        throw new Error(`Invalid hba rule ${where}: must be a string or an object`);
+      }
+      const list = value => (Array.isArray(value) ? value : String(value || '').split(','));
+      return normalizeRule(
+        {
+          type: definition.type,
+          databases: list(definition.database),
+          users: list(definition.user),
+          address: definition.address === undefined ? null : String(definition.address),
+          method: definition.method,
+          options: definition.options || {},
+        },
+        where,
+        index + 1
+      );
+    });
+
+    this.rules.push(...rules);
+    this.warnIfPeerUnsupported(rules);
+    return rules.length;
+  }
+
+  /**
+   * Warns when peer rules were added on a system where peer credentials cannot be
+   * found, since every connection they match would then fail
+   * @param {Array<HbaRule>} rules - Rules just added
+   */
+  warnIfPeerUnsupported(rules) {
+    const peerRule = rules.find(rule => rule.method === 'peer');
+    const reason = peerRule ? checkPeerSupport() : null;
+    if (reason) {
+      this.logger.warn(
+        `hba rule ${peerRule.line} uses peer authentication, which will fail here: ${reason}`
+      );
+    }
+  }
+
+  /**
+   * Finds the rule deciding how a client authenticates
+   * @param {HbaClient} client - Connecting client
+   * @returns {HbaRule|null} First matching rule, or null if none matches
+   */
+  match(client) {
+    const rule = this.rules.find(candidate => matchesRule(candidate, client)) || null;
+    if (rule) {
+      this.logger.debug(`Connection of ${client.user} matched hba rule ${rule.line}`);
+    }
+    return rule;
+  }
+
+  /**
+   * Finds the rule deciding how a client authenticates, refusing the connection if
+   * no rule matches or the rule rejects it
+   * @param {HbaClient} client - Connecting client
+   * @returns {HbaRule} Matching rule
+   * @throws {PostgresError} 28000 if the connection is refused
+   */
+  authorize(client) {
+    const rule = this.match(client);
+    if (!rule) {
+      throw createError(
+        ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+        `no pg_hba.conf entry for ${describeClient(client)}`
+      );
+    }
+    if (rule.method === 'reject') {
+      throw createError(
+        ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+        `pg_hba.conf rejects connection for ${describeClient(client)}`
+      );
+    }
+    return rule;
+  }
+
+  /**
+   * Lists the rules in order
+   * @returns {Array<HbaRule>} Rules
+   */
+  listRules() {
+    return [...this.rules];
+  }
+}
+
+/**
+ * Parses a rule written as a pg_hba.conf line
+ * @param {string} line - Rule text without comments
+ * @param {string} where - Position of the rule, for error messages
+ * @param {number} position - Position of the rule (1-based)
+ * @returns {HbaRule} Rule
+ * @throws {Error} If the rule is invalid
+ */
+function parseRuleLine(line, where, position) {
+  const tokens = line.trim().split(/\s+/);
+  const [type, databases, users] = tokens;
+  const rest = tokens.slice(3);
+
+  let address = null;
+  if (type !== 'local') {
+    address = rest.shift();
+    // An address may be followed by a netmask instead of a CIDR suffix
+    if (address && !address.includes('/') && rest.length > 0 && net.isIP(rest[0])) {
+      address = `${address}/${maskLength(rest.shift(), where)}`;
+    }
+  }
+
+  const [method, ...optionTokens] = rest;
+  const options = {};
+  for (const token of optionTokens) {
+    const separator = token.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid hba rule ${where}: authentication option "${token}" has no value`);
+    }
+    options[token.slice(0, separator)] = token.slice(separator + 1);
+  }
+
+  return normalizeRule(
+    {
+      type,
+      databases: (databases || '').split(','),
+      users: (users || '').split(','),
+      address,
+      method,
+      options,
+    },
+    where,
+    position
+  );
+}
+
+/**
+ * Validates the fields of a rule and builds its address matcher
+ * @param {Object} fields - Rule fields ({type, databases, users, address, method, options})
+ * @param {string} where - Position of the rule, for error messages
+ * @param {number} position - Position of the rule (1-based)
+ * @returns {HbaRule} Rule
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeRule(fields, where, position) {
+  const { type, databases, users, address, method, options } = fields;
+  const fail = message => new Error(`Invalid hba rule ${where}: ${message}`);
+
+  if (!CONNECTION_TYPES.includes(type)) {
+    throw fail(`invalid connection type "${type}"`);
+  }
+  if (databases.length === 0 || databases.some(name => !name)) {
+    throw fail('missing database name');
+  }
+  if (users.length === 0 || users.some(name => !name)) {
+    throw fail('missing user name');
+  }
+
+  let subnet = null;
+  if (type !== 'local') {
+    if (!address) {
+      throw fail('missing IP address');
+    }
+    if (address !== 'all') {
+      subnet = parseSubnet(address, fail);
+    }
+  }
+
+  if (!AUTH_METHODS.includes(method)) {
+    throw fail(`invalid authentication method "${method}"`);
+  }
+  if (method === 'cert' && type !== 'hostssl') {
+    throw fail('cert authentication is only supported on hostssl connections');
+  }
+  if (method === 'peer' && type !== 'local') {
+    throw fail('peer authentication is only supported on local sockets');
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    if (name === 'clientcert') {
+      if (type !== 'hostssl') {
+        throw fail('clientcert can only be configured for "hostssl" rows');
+      }
+      if (!CLIENTCERT_MODES.includes(String(value))) {
+        throw fail(`invalid value for clientcert: "${value}"`);
+      }
+      if (method === 'cert' && value !== 'verify-full') {
+        throw fail('clientcert only accepts "verify-full" when using "cert" authentication');
+      }
+    } else if (name === 'map') {
+      if (!MAP_METHODS.includes(method)) {
+        throw fail(
+          `authentication option "map" is only valid for authentication methods ${MAP_METHODS.join(', ')}`
+        );
+      }
+    } else {
+      throw fail(`unrecognized authentication option name: "${name}"`);
+    }
+  }
+
+  return {
+    type,
+    databases,
+    users,
+    address: type === 'local' ? null : address,
+    subnet,
+    method,
+    options: Object.fromEntries(
+      Object.entries(options).map(([name, value]) => [name, String(value)])
+    ),
+    line: position,
+  };
+}
+
+/**
+ * Parses a CIDR address into an address matcher
+ * @param {string} address - Address such as 10.0.0.0/8, ::1/128 or a single address
+ * @param {Function} fail - Builds the error for an invalid rule
+ * @returns {net.BlockList} Matcher for the addresses
+ * @throws {Error} If the address is invalid
+ */
+function parseSubnet(address, fail) {
+  const [ip, prefixText] = address.split('/');
+  const family = net.isIP(ip);
+  if (family === 0) {
+    throw fail(`invalid IP address "${address}"`);
+  }
+  const maxPrefix = family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    throw fail(`invalid CIDR mask in address "${address}"`);
+  }
+
+  const subnet = new net.BlockList();
+  subnet.addSubnet(ip, prefix, family === 4 ? 'ipv4' : 'ipv6');
+  return subnet;
+}
+
+/**
+ * Converts a netmask such as 255.255.0.0 to its prefix length
+ * @param {string} mask - Netmask
+ * @param {string} where - Position of the rule, for error messages
+ * @returns {number} Prefix length
+ * @throws {Error} If the netmask is not a run of one bits
+ */
+function maskLength(mask, where) {
+  const bits =
+    net.isIPv4(mask) &&
+    mask
+      .split('.')
+      .map(octet => Number(octet).toString(2).padStart(8, '0'))
+      .join('');
+  if (!bits || !/^1*0*$/.test(bits)) {
+    throw new Error(`Invalid hba rule ${where}: invalid IP mask "${mask}"`);
+  }
+  return bits.indexOf('0') === -1 ? 32 : bits.indexOf('0');
+}
+
+/**
+ * Checks whether a rule applies to a client
+ * @param {HbaRule} rule - Rule
+ * @param {HbaClient} client - Connecting client
+ * @returns {boolean} True if the rule applies
+ */
+function matchesRule(rule, client) {
+  if (rule.type === 'local' ? client.address !== null : client.address === null) {
+    return false;
+  }
+  if ((rule.type === 'hostssl' && !client.ssl) || (rule.type === 'hostnossl' && client.ssl)) {
+    return false;
+  }
+  if (rule.subnet && !matchesSubnet(rule.subnet, client.address)) {
+    return false;
+  }
+
+  const databaseMatches = rule.databases.some(
+    name =>
+      name === 'all' ||
+      (name === 'sameuser' && client.database === client.user) ||
+      name === client.database
+  );
+  const userMatches = rule.users.some(name => name === 'all' || name === client.user);
+  return databaseMatches && userMatches;
+}
+
+/**
+ * Checks whether an address is in a subnet
+ * IPv4 clients of a dual-stack listener show as IPv4-mapped IPv6 addresses.
+ * @param {net.BlockList} subnet - Subnet
+ * @param {string} address - Client address
+ * @returns {boolean} True if the address is in the subnet
+ */
+function matchesSubnet(subnet, address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  return family !== 0 && subnet.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Describes a client as PostgreSQL's pg_hba.conf errors do
+ * @param {HbaClient} client - Connecting client
+ * @returns {string} Description, e.g. host "10.0.0.1", user "alice", database "app", no encryption
+ */
+function describeClient(client) {
+  const described = `user "${client.user}", database "${client.database}"`;
+  if (client.address === null) {
+    return `host "[local]", ${described}`;
+  }
+  const encryption = client.ssl ? 'SSL encryption' : 'no encryption';
+  return `host "${client.address}", ${described}, ${encryption}`;
+}
+
+module.exports = {
+  HbaRules,
+  CONNECTION_TYPES,
+  AUTH_METHODS,
+  CLIENTCERT_MODES,
+};
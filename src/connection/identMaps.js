@@ -0,0 +1,218 @@
+/**
+ * User Name Maps
+ * pg_ident.conf-style maps from the user names an external system identifies a
+ * client by, such as the common name of its certificate, to the roles it may use
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Configuration options for the maps
+ * @typedef {Object} IdentMapsConfig
+ * @property {boolean} enableLogging - Enable logging of map lookups (default: true)
+ * @property {string} logLevel - Log level (default: 'info')
+ */
+
+/**
+ * Mapping definition: a pg_ident.conf line such as "certs /^(.*)@example\.com$ \1",
+ * or an object with the same fields
+ * @typedef {string|Object} IdentMappingDefinition
+ * @property {string} map - Map name, as hba rules name it with their map option
+ * @property {string} systemUser - External user name, or a regular expression
+ *   starting with "/"
+ * @property {string} user - Role the external user may connect as; "\1" stands for
+ *   the first group the regular expression captured
+ */
+
+/**
+ * Mapping held in the maps
+ * @typedef {Object} IdentMapping
+ * @property {string} map - Map name
+ * @property {string} systemUser - External user name or "/" and a regular expression
+ * @property {RegExp|null} pattern - Compiled regular expression, null for a plain name
+ * @property {string} user - Role name, possibly with "\1"
+ * @property {number} line - Position of the mapping in its file or list (1-based)
+ */
+
+/**
+ * User name maps
+ *
+ * As in PostgreSQL, an external user may connect as a role if any mapping of the
+ * map allows it; a map with no mapping for it allows nothing.
+ */
+class IdentMaps {
+  /**
+   * Creates empty maps
+   * @param {IdentMapsConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.mappings = [];
+
+    this.logger = createLogger({
+      name: 'IdentMaps',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Loads mappings from a file in pg_ident.conf format
+   * @param {string} filePath - Path to the file
+   * @returns {number} Number of mappings loaded
+   * @throws {Error} If the file cannot be read or a mapping is invalid
+   */
+  loadFile(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ident file "${filePath}": ${error.message}`);
+    }
+
+    const mappings = [];
+    content.split(/\r?\n/).forEach((text, index) => {
+      const line = text.replace(/#.*$/, '').trim();
+      if (line !== '') {
+        mappings.push(parseMappingLine(line, `at line ${index + 1} of "${filePath}"`, index + 1));
+      }
+    });
+
+    this.mappings.push(...mappings);
+    this.logger.info(`Loaded ${mappings.length} user name mappings from ${filePath}`);
+    return mappings.length;
+  }
+
+  /**
+   * Validates and adds mappings
+   * @param {Array<IdentMappingDefinition>} definitions - Mapping definitions
+   * @returns {number} Number of mappings added
+   * @throws {Error} If any mapping is invalid (nothing is added in that case)
+   */
+  addMappings(definitions) {
+    const mappings = definitions.map((definition, index) => {
+      const where = `${index + 1}`;
+      if (typeof definition === 'string') {
+        return parseMappingLine(definition, where, index + 1);
+      }
+      if (!definition || typeof definition !== 'object') {
+        throw new Error(`Invalid user name mapping ${where}: must be a string or an object`);
+      }
+      return normalizeMapping(definition, where, index + 1);
+    });
+
+    this.mappings.push(...mappings);
+    return mappings.length;
+  }
+
+  /**
+   * Checks whether a map lets an external user connect as a role
+   * @param {string} map - Map name
+   * @param {string} systemUser - External user name
+   * @param {string} user - Requested role
+   * @returns {boolean} True if a mapping of the map allows it
+   */
+  check(map, systemUser, user) {
+    const allowed = this.mappings.some(
+      mapping => mapping.map === map && matchesMapping(mapping, systemUser, user)
+    );
+    this.logger.debug(
+      `Map "${map}" ${allowed ? 'allows' : 'does not allow'} "${systemUser}" as "${user}"`
+    );
+    return allowed;
+  }
+
+  /**
+   * Lists the mappings in order
+   * @returns {Array<IdentMapping>} Mappings
+   */
+  listMappings() {
+    return [...this.mappings];
+  }
+}
+
+/**
+ * Parses a mapping written as a pg_ident.conf line
+ * @param {string} line - Mapping text without comments
+ * @param {string} where - Position of the mapping, for error messages
+ * @param {number} position - Position of the mapping (1-based)
+ * @returns {IdentMapping} Mapping
+ * @throws {Error} If the mapping is invalid
+ */
+function parseMappingLine(line, where, position) {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens.length !== 3) {
+    throw new Error(
+      `Invalid user name mapping ${where}: expected map name, system user name and role name`
+    );
+  }
+  const [map, systemUser, user] = tokens;
+  return normalizeMapping({ map, systemUser, user }, where, position);
+}
+
+/**
+ * Validates the fields of a mapping and compiles its regular expression
+ * @param {Object} fields - Mapping fields ({map, systemUser, user})
+ * @param {string} where - Position of the mapping, for error messages
+ * @param {number} position - Position of the mapping (1-based)
+ * @returns {IdentMapping} Mapping
+ * @throws {Error} If the mapping is invalid
+ */
+function normalizeMapping(fields, where, position) {
+  const fail = message => new Error(`Invalid user name mapping ${where}: ${message}`);
+  for (const field of ['map', 'systemUser', 'user']) {
+    if (typeof fields[field] !== 'string' || fields[field] === '') {
+      throw fail(`"${field}" must be a non-empty string`);
+    }
+  }
+
+  let pattern = null;
+  if (fields.systemUser.startsWith('/')) {
+    try {
+      pattern = new RegExp(fields.systemUser.substring(1));
+    } catch (error) {
+      throw fail(
+        `invalid regular expression "${fields.systemUser.substring(1)}": ${error.message}`
+      );
+    }
+  }
+
+  return {
+    map: fields.map,
+    systemUser: fields.systemUser,
+    pattern,
+    user: fields.user,
+    line: position,
+  };
+}
+
+/**
+ * Checks whether a mapping lets an external user connect as a role
+ * @param {IdentMapping} mapping - Mapping
+ * @param {string} systemUser - External user name
+ * @param {string} user - Requested role
+ * @returns {boolean} True if the mapping allows it
+ */
+function matchesMapping(mapping, systemUser, user) {
+  if (!mapping.pattern) {
+    return mapping.systemUser === systemUser && mapping.user === user;
+  }
+  const match = mapping.pattern.exec(systemUser);
+  if (!match) {
+    return false;
+  }
+  // As in PostgreSQL, only the first captured group can be substituted
+  const mapped = mapping.user.includes('\\1')
+    ? mapping.user.replace('\\1', match[1] === undefined ? '' : match[1])
+    : mapping.user;
+  return mapped === user;
+}
+
+module.exports = {
+  IdentMaps,
+};
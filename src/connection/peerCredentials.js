@@ -0,0 +1,171 @@
+/**
+ * Peer Credentials
+ * Finds the operating system user of the process at the other end of a Unix-domain
+ * socket connection, for peer authentication
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Credentials of a connecting process
+ * @typedef {Object} PeerCredentials
+ * @property {number} pid - Process ID
+ * @property {number} uid - Effective user ID
+ * @property {string} user - User name
+ */
+
+/**
+ * Gets the credentials of the process connected to a Unix-domain socket
+ *
+ * Node.js has no getpeereid(), so this works where the platform exposes the peer
+ * another way: on Linux, ss(8) from iproute2 pairs the socket with its peer and names
+ * the process holding it, whose user /proc and /etc/passwd give. The socket is found
+ * by its file descriptor, which Node.js only exposes on the socket's handle.
+ * @param {Socket} socket - Server side of a Unix-domain socket connection
+ * @returns {Promise<PeerCredentials>} Credentials of the peer
+ * @throws {Error} If the platform, the socket or a missing ss does not provide them
+ */
+async function getPeerCredentials(socket) {
+  if (process.platform !== 'linux') {
+    throw new Error(`peer authentication is not supported on ${process.platform}`);
+  }
+
+  // _handle.fd is internal to Node.js; treat anything but a descriptor number as no socket
+  const fd = socket._handle ? socket._handle.fd : undefined;
+  const inode = typeof fd === 'number' && fd >= 0 ? readSocketInode(fd) : null;
+  if (!inode) {
+    throw new Error('could not get peer credentials: not a Unix-domain socket');
+  }
+
+  const listing = await listUnixSockets();
+  const sockets = parseSocketListing(listing);
+  const local = sockets.get(inode);
+  const peer = local && sockets.get(local.peerInode);
+  if (!peer || peer.pid === null) {
+    throw new Error('could not get peer credentials: connecting process not found');
+  }
+
+  const uid = readEffectiveUid(peer.pid);
+  if (uid === null) {
+    throw new Error(`could not get peer credentials: process ${peer.pid} has exited`);
+  }
+  const user = lookUpUserName(uid);
+  if (user === null) {
+    throw new Error(`could not look up local user ID ${uid}: user does not exist`);
+  }
+  return { pid: peer.pid, uid, user };
+}
+
+/**
+ * Checks whether peer credentials can be found on this system at all
+ * @returns {string|null} Why peer authentication cannot work here, or null if it can
+ */
+function checkPeerSupport() {
+  if (process.platform !== 'linux') {
+    return `peer authentication is not supported on ${process.platform}`;
+  }
+  const found = (process.env.PATH || '').split(path.delimiter).some(dir => {
+    try {
+      fs.accessSync(path.join(dir || '.', 'ss'), fs.constants.X_OK);
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  });
+  return found ? null : 'ss (from iproute2) is not installed';
+}
+
+/**
+ * Lists the Unix-domain sockets of the system with their processes, using ss(8)
+ * @returns {Promise<string>} Output of "ss -xpnH"
+ * @throws {Error} If ss is not installed or fails
+ */
+function listUnixSockets() {
+  return new Promise((resolve, reject) => {
+    execFile('ss', ['-xpnH'], { encoding: 'utf8', timeout: 2000 }, (error, stdout) => {
+      if (error && error.code === 'ENOENT') {
+        reject(new Error('could not get peer credentials: ss (from iproute2) is not installed'));
+      } else if (error) {
+        reject(new Error(`could not get peer credentials: ${error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Reads the inode of the socket open on a file descriptor of this process
+ * @param {number} fd - File descriptor
+ * @returns {string|null} Inode, or null if the descriptor is not a socket
+ */
+function readSocketInode(fd) {
+  try {
+    const match = /^socket:\[(\d+)\]$/.exec(fs.readlinkSync(`/proc/self/fd/${fd}`));
+    return match ? match[1] : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Parses the Unix-domain socket listing of "ss -xpnH"
+ * Each line gives the local address and inode, the peer address and inode, and the
+ * processes holding the socket (only those this process may inspect).
+ * @param {string} listing - Output of ss
+ * @returns {Map<string, Object>} Sockets by inode ({peerInode, pid})
+ */
+function parseSocketListing(listing) {
+  const sockets = new Map();
+  for (const line of listing.split('\n')) {
+    const match = /^\S+\s+\S+\s+\d+\s+\d+\s+.*?\s(\d+)\s+\S+\s+(\d+)(?:\s+(.*))?$/.exec(
+      line.trim()
+    );
+    if (match) {
+      const pid = /pid=(\d+)/.exec(match[3] || '');
+      sockets.set(match[1], { peerInode: match[2], pid: pid ? parseInt(pid[1], 10) : null });
+    }
+  }
+  return sockets;
+}
+
+/**
+ * Reads the effective user ID of a process
+ * @param {number} pid - Process ID
+ * @returns {number|null} User ID, or null if the process is gone
+ */
+function readEffectiveUid(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const match = /^Uid:\s+\d+\s+(\d+)/m.exec(status);
+    return match ? parseInt(match[1], 10) : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Looks up the name of a user in /etc/passwd
+ * @param {number} uid - User ID
+ * @returns {string|null} User name, or null if there is no such user
+ */
+function lookUpUserName(uid) {
+  try {
+    const entry = fs
+      .readFileSync('/etc/passwd', 'utf8')
+      .split('\n')
+      .map(line => line.split(':'))
+      .find(fields => fields.length > 2 && parseInt(fields[2], 10) === uid);
+    return entry ? entry[0] : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getPeerCredentials,
+  checkPeerSupport,
+  parseSocketListing,
+};
@@ -0,0 +1,795 @@
+/**
+ * Session Settings
+ * Registry of run-time configuration parameters and the per-connection values behind
+ * SET, RESET, SHOW, current_setting() and set_config()
+ */
+
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { DEFAULT_CONFIG, createServerParameters } = require('../config/serverConfig');
+const { MAX_TIMEOUT_MS, parseTimeoutSetting, formatTimeoutSetting } = require('./sessionTimeouts');
+
+/**
+ * Setting definition
+ * @typedef {Object} SettingDefinition
+ * @property {string} name - Name as PostgreSQL displays it, e.g. TimeZone
+ * @property {string} type - bool, integer, enum or string
+ * @property {string} context - Who may change it: user, superuser, postmaster (only when
+ *   the server starts) or internal (never)
+ * @property {*} default - Built-in default, as an internal value
+ * @property {string} [unit] - Base unit of an integer setting: ms or kB
+ * @property {number} [min] - Smallest integer value
+ * @property {number} [max] - Largest integer value
+ * @property {Array<string>} [values] - Valid enum values
+ * @property {boolean} [list] - Takes a comma-separated list of values
+ * @property {Function} [normalize] - Validates a string value and returns its canonical
+ *   form; called with the value and the current value
+ * @property {boolean} [report] - Changes are reported to the client with ParameterStatus
+ * @property {string} description - Description shown by SHOW ALL
+ */
+
+/**
+ * Memory units accepted in kB-based settings, in kB
+ */
+const MEMORY_UNITS = {
+  TB: 1024 * 1024 * 1024,
+  GB: 1024 * 1024,
+  MB: 1024,
+  kB: 1,
+};
+
+/**
+ * Boolean spellings PostgreSQL accepts
+ */
+const BOOLEAN_VALUES = {
+  on: 'on',
+  off: 'off',
+  true: 'on',
+  false: 'off',
+  yes: 'on',
+  no: 'off',
+  t: 'on',
+  f: 'off',
+  y: 'on',
+  n: 'off',
+  1: 'on',
+  0: 'off',
+};
+
+/**
+ * Server encodings accepted for client_encoding, plus common aliases
+ */
+const ENCODINGS = [
+  'SQL_ASCII',
+  'UTF8',
+  'LATIN1',
+  'LATIN2',
+  'LATIN9',
+  'WIN1250',
+  'WIN1251',
+  'WIN1252',
+  'EUC_JP',
+  'EUC_KR',
+  'EUC_CN',
+  'SJIS',
+  'BIG5',
+  'GBK',
+  'KOI8R',
+];
+const ENCODING_ALIASES = { UNICODE: 'UTF8', ISO88591: 'LATIN1', ISO88592: 'LATIN2' };
+
+/**
+ * DateStyle keywords: output formats and day/month/year orders
+ */
+const DATE_FORMATS = { ISO: 'ISO', SQL: 'SQL', POSTGRES: 'Postgres', GERMAN: 'German' };
+const DATE_ORDERS = {
+  YMD: 'YMD',
+  DMY: 'DMY',
+  EURO: 'DMY',
+  EUROPEAN: 'DMY',
+  MDY: 'MDY',
+  US: 'MDY',
+  NONEURO: 'MDY',
+  NONEUROPEAN: 'MDY',
+};
+
+/**
+ * Startup packet fields that are not settings
+ */
+const STARTUP_FIELDS = new Set(['user', 'database', 'options', 'replication']);
+
+/**
+ * Builds the 22023 error for a value a setting does not accept
+ * @param {string} name - Setting name
+ * @param {string} value - Rejected value
+ * @param {Object} options - Extra error fields ({hint, detail})
+ * @returns {PostgresError} Error to throw
+ */
+function invalidValue(name, value, options = {}) {
+  return createError(
+    ERROR_CODES.INVALID_PARAMETER_VALUE,
+    `invalid value for parameter "${name}": "${value}"`,
+    options
+  );
+}
+
+/**
+ * Normalizes a client_encoding name, e.g. 'utf-8' to UTF8
+ * @param {string} value - Encoding name
+ * @returns {string} Canonical encoding name
+ */
+function normalizeEncoding(value) {
+  const key = value.toUpperCase().replace(/[-_]/g, '');
+  const encoding = ENCODINGS.find(name => name.replace(/_/g, '') === key) || ENCODING_ALIASES[key];
+  if (!encoding) {
+    throw invalidValue('client_encoding', value);
+  }
+  return encoding;
+}
+
+/**
+ * Normalizes a DateStyle value; a part left out keeps its current value
+ * @param {string} value - Output format and/or field order, e.g. 'ISO, DMY' or 'German'
+ * @param {string} current - Current DateStyle
+ * @returns {string} DateStyle as SHOW displays it
+ */
+function normalizeDateStyle(value, current) {
+  let format = null;
+  let order = null;
+  for (const word of value.split(/[\s,]+/).filter(Boolean)) {
+    const upper = word.toUpperCase();
+    if (DATE_FORMATS[upper] && (!format || format === DATE_FORMATS[upper])) {
+      format = DATE_FORMATS[upper];
+    } else if (DATE_ORDERS[upper] && (!order || order === DATE_ORDERS[upper])) {
+      order = DATE_ORDERS[upper];
+    } else {
+      throw invalidValue('DateStyle', value, {
+        detail:
+          DATE_FORMATS[upper] || DATE_ORDERS[upper]
+            ? 'Conflicting "datestyle" specifications.'
+            : undefined,
+      });
+    }
+  }
+
+  const [currentFormat, currentOrder] = current.split(', ');
+  if (format === 'German' && !order) {
+    order = 'DMY';
+  }
+  return `${format || currentFormat}, ${order || currentOrder}`;
+}
+
+/**
+ * Normalizes a TimeZone name, e.g. 'america/new_york' to America/New_York
+ * Names are checked against the IANA time zone database that Node.js ships with.
+ * @param {string} value - Time zone name
+ * @returns {string} Time zone as SHOW displays it
+ */
+function normalizeTimeZone(value) {
+  let canonical;
+  try {
+    canonical = new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (error) {
+    throw invalidValue('TimeZone', value);
+  }
+
+  // Aliases such as US/Pacific resolve to another zone; only the casing is taken from it
+  if (canonical.toLowerCase() === value.toLowerCase()) {
+    return canonical;
+  }
+  // Abbreviation-style names such as UTC, GMT or EST are shown upper-cased
+  return /^[a-z0-9]+$/i.test(value) ? value.toUpperCase() : value;
+}
+
+/**
+ * Settings the mock knows, in the order SHOW ALL lists them
+ * @type {Array<SettingDefinition>}
+ */
+const SETTING_DEFINITIONS = [
+  {
+    name: 'application_name',
+    type: 'string',
+    context: 'user',
+    default: '',
+    report: true,
+    description: 'Sets the application name to be reported in statistics and logs.',
+  },
+  {
+    name: 'bytea_output',
+    type: 'enum',
+    context: 'user',
+    default: 'hex',
+    values: ['escape', 'hex'],
+    description: 'Sets the output format for bytea.',
+  },
+  {
+    name: 'client_encoding',
+    type: 'string',
+    context: 'user',
+    default: 'UTF8',
+    normalize: normalizeEncoding,
+    report: true,
+    description: "Sets the client's character set encoding.",
+  },
+  {
+    name: 'client_min_messages',
+    type: 'enum',
+    context: 'user',
+    default: 'notice',
+    values: ['debug5', 'debug4', 'debug3', 'debug2', 'debug1', 'log', 'notice', 'warning', 'error'],
+    description: 'Sets the message levels that are sent to the client.',
+  },
+  {
+    name: 'DateStyle',
+    type: 'string',
+    context: 'user',
+    default: 'ISO, MDY',
+    list: true,
+    normalize: normalizeDateStyle,
+    report: true,
+    description: 'Sets the display format for date and time values.',
+  },
+  {
+    name: 'default_transaction_isolation',
+    type: 'enum',
+    context: 'user',
+    default: 'read committed',
+    values: ['serializable', 'repeatable read', 'read committed', 'read uncommitted'],
+    description: 'Sets the transaction isolation level of each new transaction.',
+  },
+  {
+    name: 'default_transaction_read_only',
+    type: 'bool',
+    context: 'user',
+    default: 'off',
+    description: 'Sets the default read-only status of new transactions.',
+  },
+  {
+    name: 'extra_float_digits',
+    type: 'integer',
+    context: 'user',
+    default: 1,
+    min: -15,
+    max: 3,
+    description: 'Sets the number of digits displayed for floating-point values.',
+  },
+  {
+    name: 'idle_in_transaction_session_timeout',
+    type: 'integer',
+    context: 'user',
+    default: 0,
+    unit: 'ms',
+    min: 0,
+    max: MAX_TIMEOUT_MS,
+    description: 'Sets the maximum allowed idle time between queries, when in a transaction.',
+  },
+  {
+    name: 'idle_session_timeout',
+    type: 'integer',
+    context: 'user',
+    default: 0,
+    unit: 'ms',
+    min: 0,
+    max: MAX_TIMEOUT_MS,
+    description: 'Sets the maximum allowed idle time between queries, when not in a transaction.',
+  },
+  {
+    name: 'integer_datetimes',
+    type: 'bool',
+    context: 'internal',
+    default: 'on',
+    report: true,
+    description: 'Shows whether datetimes are integer based.',
+  },
+  {
+    name: 'IntervalStyle',
+    type: 'enum',
+    context: 'user',
+    default: 'postgres',
+    values: ['postgres', 'postgres_verbose', 'sql_standard', 'iso_8601'],
+    report: true,
+    description: 'Sets the display format for interval values.',
+  },
+  {
+    name: 'is_superuser',
+    type: 'bool',
+    context: 'internal',
+    default: 'off',
+    report: true,
+    description: 'Shows whether the current user is a superuser.',
+  },
+  {
+    name: 'lock_timeout',
+    type: 'integer',
+    context: 'user',
+    default: 0,
+    unit: 'ms',
+    min: 0,
+    max: MAX_TIMEOUT_MS,
+    description: 'Sets the maximum allowed duration of any wait for a lock.',
+  },
+  {
+    name: 'max_connections',
+    type: 'integer',
+    context: 'postmaster',
+    default: 100,
+    min: 1,
+    max: 262143,
+    description: 'Sets the maximum number of concurrent connections.',
+  },
+  {
+    name: 'search_path',
+    type: 'string',
+    context: 'user',
+    default: '"$user", public',
+    list: true,
+    description: 'Sets the schema search order for names that are not schema-qualified.',
+  },
+  {
+    name: 'server_encoding',
+    type: 'string',
+    context: 'internal',
+    default: 'UTF8',
+    report: true,
+    description: 'Shows the server (database) character set encoding.',
+  },
+  {
+    name: 'server_version',
+    type: 'string',
+    context: 'internal',
+    default: '',
+    report: true,
+    description: 'Shows the server version.',
+  },
+  {
+    name: 'server_version_num',
+    type: 'integer',
+    context: 'internal',
+    default: 0,
+    min: 0,
+    max: 2147483647,
+    description: 'Shows the server version as an integer.',
+  },
+  {
+    name: 'session_authorization',
+    type: 'string',
+    context: 'superuser',
+    default: '',
+    report: true,
+    description: 'Sets the session user name.',
+  },
+  {
+    name: 'standard_conforming_strings',
+    type: 'bool',
+    context: 'user',
+    default: 'on',
+    report: true,
+    description: "Causes '...' strings to treat backslashes literally.",
+  },
+  {
+    name: 'statement_timeout',
+    type: 'integer',
+    context: 'user',
+    default: 0,
+    unit: 'ms',
+    min: 0,
+    max: MAX_TIMEOUT_MS,
+    description: 'Sets the maximum allowed duration of any statement.',
+  },
+  {
+    name: 'TimeZone',
+    type: 'string',
+    context: 'user',
+    default: 'UTC',
+    normalize: normalizeTimeZone,
+    report: true,
+    description: 'Sets the time zone for displaying and interpreting time stamps.',
+  },
+  {
+    name: 'transaction_isolation',
+    type: 'enum',
+    context: 'user',
+    default: 'read committed',
+    values: ['serializable', 'repeatable read', 'read committed', 'read uncommitted'],
+    description: "Sets the current transaction's isolation level.",
+  },
+  {
+    name: 'work_mem',
+    type: 'integer',
+    context: 'user',
+    default: 4096,
+    unit: 'kB',
+    min: 64,
+    max: 2147483647,
+    description: 'Sets the maximum memory to be used for query workspaces.',
+  },
+];
+
+/**
+ * Setting definitions by lower-case name (setting names are case-insensitive)
+ */
+const SETTINGS = new Map(
+  SETTING_DEFINITIONS.map(definition => [definition.name.toLowerCase(), definition])
+);
+
+/**
+ * Parses an integer setting, with units for time and memory settings
+ * @param {SettingDefinition} definition - Setting definition
+ * @param {string} text - Value text
+ * @returns {number} Value in the setting's base unit
+ */
+function parseInteger(definition, text) {
+  if (definition.unit === 'ms') {
+    return parseTimeoutSetting(definition.name, text);
+  }
+
+  const match = text.match(/^([+-]?\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+  const units = definition.unit === 'kB' ? MEMORY_UNITS : { '': 1 };
+  const factor = match && units[match[2] || (definition.unit === 'kB' ? 'kB' : '')];
+  if (!factor) {
+    throw invalidValue(definition.name, text, {
+      hint:
+        definition.unit === 'kB'
+          ? 'Valid units for this parameter are "kB", "MB", "GB", and "TB".'
+          : undefined,
+    });
+  }
+
+  const number = Math.round(Number(match[1]) * factor);
+  if (number < definition.min || number > definition.max) {
+    const unit = definition.unit ? ` ${definition.unit}` : '';
+    const range = `(${definition.min} .. ${definition.max})`;
+    throw createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `${number}${unit} is outside the valid range for parameter "${definition.name}" ${range}`
+    );
+  }
+  return number;
+}
+
+/**
+ * Formats a memory value the way SHOW displays it, e.g. 4096 as '4MB'
+ * @param {number} kb - Value in kB
+ * @returns {string} Display value
+ */
+function formatMemorySetting(kb) {
+  const unit = Object.keys(MEMORY_UNITS).find(key => kb % MEMORY_UNITS[key] === 0);
+  return kb === 0 ? '0' : `${kb / MEMORY_UNITS[unit]}${unit}`;
+}
+
+/**
+ * Reads the settings a client sent in its startup packet
+ * Settings may be sent as parameters of their own or as "-c name=value" (or
+ * "--name=value") switches in the options parameter, as libpq's PGOPTIONS does.
+ * @param {Map<string, string>} parameters - Startup parameters
+ * @returns {Map<string, string>} Setting values by name, in the order to apply them
+ */
+function readStartupSettings(parameters) {
+  const settings = new Map();
+
+  const options = parameters.get('options') || '';
+  const switches = options.split(/\s+/).filter(Boolean);
+  for (let i = 0; i < switches.length; i++) {
+    let assignment = null;
+    if (switches[i] === '-c') {
+      assignment = switches[++i] || '';
+    } else if (switches[i].startsWith('-c')) {
+      assignment = switches[i].slice(2);
+    } else if (switches[i].startsWith('--')) {
+      assignment = switches[i].slice(2);
+    }
+
+    const separator = assignment ? assignment.indexOf('=') : -1;
+    if (separator > 0) {
+      // As in PostgreSQL, dashes in the setting name stand for underscores
+      const name = assignment.slice(0, separator).replace(/-/g, '_');
+      settings.set(name, assignment.slice(separator + 1));
+    }
+  }
+
+  // Parameters of their own take precedence over options
+  for (const [name, value] of parameters) {
+    if (!STARTUP_FIELDS.has(name)) {
+      settings.set(name, value);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Values of the settings of one connection
+ *
+ * Each setting has a default (built in, from the server configuration or from the
+ * startup packet), a session value set with SET, and possibly a transaction-local
+ * value set with SET LOCAL that is dropped when the transaction ends. Undoing changes
+ * on ROLLBACK is left to the connection's transaction journal (see snapshot()).
+ */
+class SessionSettings {
+  /**
+   * Creates settings holding the built-in defaults
+   */
+  constructor() {
+    this.custom = new Map(); // Placeholder settings such as myapp.tenant, by lower-case name
+    this.defaults = {};
+    for (const [key, definition] of SETTINGS) {
+      this.defaults[key] = definition.default;
+    }
+    this.values = { ...this.defaults };
+    this.localValues = new Map(); // SET LOCAL values, by lower-case name
+    this.reported = new Map(); // Values last sent with ParameterStatus, by lower-case name
+
+    this.setDefaults(createServerParameters(DEFAULT_CONFIG));
+  }
+
+  /**
+   * Finds a setting definition
+   * Names with a dot are custom settings (e.g. myapp.tenant); they are created the
+   * first time they are set, as PostgreSQL's placeholder settings are.
+   * @param {string} name - Setting name, in any case
+   * @param {boolean} create - Create a custom setting if there is none with this name
+   * @returns {SettingDefinition} Setting definition
+   * @throws {PostgresError} 42704 for an unknown setting
+   */
+  lookup(name, create = false) {
+    const key = String(name).toLowerCase();
+    const definition = SETTINGS.get(key) || this.custom.get(key);
+    if (definition) {
+      return definition;
+    }
+    if (create && /^[a-z_][\w$]*(\.[a-z_][\w$]*)+$/.test(key)) {
+      const placeholder = {
+        name: key,
+        type: 'string',
+        context: 'user',
+        default: '',
+        description: '',
+      };
+      this.custom.set(key, placeholder);
+      this.defaults[key] = '';
+      this.values[key] = '';
+      return placeholder;
+    }
+    throw createError(
+      ERROR_CODES.UNDEFINED_OBJECT,
+      `unrecognized configuration parameter "${name}"`
+    );
+  }
+
+  /**
+   * Checks whether a setting exists
+   * @param {string} name - Setting name
+   * @returns {boolean} True for a known setting
+   */
+  has(name) {
+    const key = String(name).toLowerCase();
+    return SETTINGS.has(key) || this.custom.has(key);
+  }
+
+  /**
+   * Converts a value given by a client or the configuration to a setting's internal form
+   * @param {SettingDefinition} definition - Setting definition
+   * @param {string|number|boolean|Array<string>} value - Value; an array holds the items
+   *   of a SET value list
+   * @returns {string|number} Internal value
+   * @throws {PostgresError} 22023 if the setting does not accept the value
+   */
+  parse(definition, value) {
+    let text;
+    if (Array.isArray(value)) {
+      if (value.length > 1 && !definition.list) {
+        throw createError(
+          ERROR_CODES.INVALID_PARAMETER_VALUE,
+          `SET ${definition.name} takes only one argument`
+        );
+      }
+      text = value.join(', ');
+    } else if (typeof value === 'boolean') {
+      text = value ? 'on' : 'off';
+    } else {
+      text = String(value).trim();
+    }
+
+    switch (definition.type) {
+      case 'bool': {
+        const parsed = BOOLEAN_VALUES[text.toLowerCase()];
+        if (!parsed) {
+          throw createError(
+            ERROR_CODES.INVALID_PARAMETER_VALUE,
+            `parameter "${definition.name}" requires a Boolean value`
+          );
+        }
+        return parsed;
+      }
+      case 'integer':
+        return parseInteger(definition, text);
+      case 'enum': {
+        const parsed = definition.values.find(option => option === text.toLowerCase());
+        if (!parsed) {
+          throw invalidValue(definition.name, text, {
+            hint: `Available values: ${definition.values.join(', ')}.`,
+          });
+        }
+        return parsed;
+      }
+      default:
+        return definition.normalize ? definition.normalize(text, this.get(definition.name)) : text;
+    }
+  }
+
+  /**
+   * Formats an internal value the way SHOW displays it
+   * @param {SettingDefinition} definition - Setting definition
+   * @param {string|number} value - Internal value
+   * @returns {string} Display value
+   */
+  format(definition, value) {
+    if (definition.unit === 'ms') {
+      return formatTimeoutSetting(value);
+    }
+    if (definition.unit === 'kB') {
+      return formatMemorySetting(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Replaces defaults, which also become the current values
+   * Used for the server configuration; undefined values keep the built-in default.
+   * @param {Object<string, *>} defaults - Values by setting name
+   */
+  setDefaults(defaults) {
+    for (const [name, value] of Object.entries(defaults)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const definition = this.lookup(name, true);
+      const key = definition.name.toLowerCase();
+      this.defaults[key] = this.parse(definition, value);
+      this.values[key] = this.defaults[key];
+      this.localValues.delete(key);
+      if (definition.report) {
+        this.reported.set(key, this.format(definition, this.values[key]));
+      }
+    }
+  }
+
+  /**
+   * Gets the current internal value of a setting
+   * @param {string} name - Setting name
+   * @returns {string|number} Internal value (a number for integer settings)
+   * @throws {PostgresError} 42704 for an unknown setting
+   */
+  get(name) {
+    const key = this.lookup(name).name.toLowerCase();
+    return this.localValues.has(key) ? this.localValues.get(key) : this.values[key];
+  }
+
+  /**
+   * Gets the current value of a setting as SHOW displays it
+   * @param {string} name - Setting name
+   * @returns {string} Display value
+   * @throws {PostgresError} 42704 for an unknown setting
+   */
+  show(name) {
+    return this.format(this.lookup(name), this.get(name));
+  }
+
+  /**
+   * Changes a setting
+   * @param {string} name - Setting name
+   * @param {string|number|Array<string>|null} value - New value, or null for the default
+   * @param {Object} options - Options
+   * @param {boolean} options.local - Only until the end of the transaction (SET LOCAL)
+   * @param {boolean} options.startup - Sent in the startup packet; also becomes the default
+   * @returns {string} New value as SHOW displays it
+   * @throws {PostgresError} 42704 unknown setting, 22023 invalid value, 55P02 or 42501
+   *   if the setting cannot be changed
+   */
+  set(name, value, options = {}) {
+    const definition = this.lookup(name, true);
+    const key = definition.name.toLowerCase();
+
+    if (definition.context === 'internal') {
+      throw createError(
+        ERROR_CODES.CANT_CHANGE_RUNTIME_PARAM,
+        `parameter "${definition.name}" cannot be changed`
+      );
+    }
+    if (definition.context === 'postmaster') {
+      throw createError(
+        ERROR_CODES.CANT_CHANGE_RUNTIME_PARAM,
+        `parameter "${definition.name}" cannot be changed without restarting the server`
+      );
+    }
+    if (definition.context === 'superuser' && value !== null) {
+      throw createError(
+        ERROR_CODES.INSUFFICIENT_PRIVILEGE,
+        `permission denied to set parameter "${definition.name}"`
+      );
+    }
+
+    const parsed = value === null ? this.defaults[key] : this.parse(definition, value);
+    if (options.local) {
+      this.localValues.set(key, parsed);
+    } else {
+      this.values[key] = parsed;
+      this.localValues.delete(key);
+    }
+    if (options.startup) {
+      this.defaults[key] = parsed;
+    }
+    return this.format(definition, parsed);
+  }
+
+  /**
+   * Lists the settings
+   * @returns {Array<SettingDefinition>} Built-in settings followed by custom ones
+   */
+  list() {
+    return [...SETTINGS.values(), ...this.custom.values()];
+  }
+
+  /**
+   * Captures a setting so a rolled-back transaction can restore it
+   * @param {string} name - Setting name
+   * @returns {Object} Snapshot ({key, value, local})
+   * @throws {PostgresError} 42704 for an unknown setting
+   */
+  snapshot(name) {
+    const key = this.lookup(name, true).name.toLowerCase();
+    return {
+      key,
+      value: this.values[key],
+      local: this.localValues.has(key) ? { value: this.localValues.get(key) } : null,
+    };
+  }
+
+  /**
+   * Puts a setting back the way snapshot() found it
+   * @param {Object} snapshot - Snapshot from snapshot()
+   */
+  restore(snapshot) {
+    this.values[snapshot.key] = snapshot.value;
+    if (snapshot.local) {
+      this.localValues.set(snapshot.key, snapshot.local.value);
+    } else {
+      this.localValues.delete(snapshot.key);
+    }
+  }
+
+  /**
+   * Drops the SET LOCAL values when a transaction ends
+   */
+  endTransaction() {
+    this.localValues.clear();
+  }
+
+  /**
+   * Collects the reported settings for ParameterStatus messages
+   * @param {boolean} all - All of them (end of startup), or only those changed since
+   *   they were last reported
+   * @returns {Array<Array<string>>} [name, value] pairs
+   */
+  takeReport(all) {
+    const report = [];
+    for (const definition of SETTINGS.values()) {
+      if (!definition.report) {
+        continue;
+      }
+      const key = definition.name.toLowerCase();
+      const value = this.show(key);
+      if (all || this.reported.get(key) !== value) {
+        this.reported.set(key, value);
+        report.push([definition.name, value]);
+      }
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  SETTINGS,
+  SessionSettings,
+  readStartupSettings,
+  formatMemorySetting,
+};
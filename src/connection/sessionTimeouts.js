@@ -0,0 +1,103 @@
+/**
+ * Session Timeouts
+ * statement_timeout, lock_timeout, idle_in_transaction_session_timeout and
+ * idle_session_timeout, parsed and formatted the way PostgreSQL handles them.
+ * lock_timeout is only accepted and shown: the mock takes no locks, so nothing waits
+ * long enough for it to fire.
+ */
+
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+
+/**
+ * Timeout settings, mapped to the server config key holding their default
+ */
+const SESSION_TIMEOUTS = {
+  statement_timeout: 'statementTimeout',
+  lock_timeout: 'lockTimeout',
+  idle_in_transaction_session_timeout: 'idleInTransactionSessionTimeout',
+  idle_session_timeout: 'idleSessionTimeout',
+};
+
+/**
+ * Largest timeout PostgreSQL accepts, in milliseconds (INT_MAX)
+ */
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Time units accepted in timeout values, in milliseconds
+ * Ordered from largest to smallest so formatting picks the largest exact unit
+ */
+const TIME_UNITS = {
+  d: 86400000,
+  h: 3600000,
+  min: 60000,
+  s: 1000,
+  ms: 1,
+  us: 0.001,
+};
+
+/**
+ * Checks whether a setting name is one of the session timeouts
+ * @param {string} name - Setting name
+ * @returns {boolean} True for a session timeout
+ */
+function isSessionTimeout(name) {
+  return Object.prototype.hasOwnProperty.call(SESSION_TIMEOUTS, String(name).toLowerCase());
+}
+
+/**
+ * Parses a timeout value such as 5000, '5s' or '1min'
+ * A value without a unit is in milliseconds, as in PostgreSQL.
+ * @param {string} name - Setting name, for error messages
+ * @param {string|number} value - Value as given by the client
+ * @returns {number} Timeout in milliseconds (0: disabled)
+ * @throws {PostgresError} 22023 if the value is malformed or out of range
+ */
+function parseTimeoutSetting(name, value) {
+  const text = String(value)
+    .trim()
+    .replace(/^'(.*)'$/, '$1')
+    .trim();
+  const match = text.match(/^([+-]?\d+(?:\.\d+)?)\s*(us|ms|s|min|h|d)?$/);
+
+  if (!match) {
+    throw createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `invalid value for parameter "${name}": "${text}"`,
+      { hint: 'Valid units for this parameter are "us", "ms", "s", "min", "h", and "d".' }
+    );
+  }
+
+  const ms = Math.round(Number(match[1]) * TIME_UNITS[match[2] || 'ms']);
+  if (ms < 0 || ms > MAX_TIMEOUT_MS) {
+    throw createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `${ms} ms is outside the valid range for parameter "${name}" (0 .. ${MAX_TIMEOUT_MS})`
+    );
+  }
+  return ms;
+}
+
+/**
+ * Formats a timeout the way SHOW displays it, e.g. 5000 as '5s'
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {string} Display value
+ */
+function formatTimeoutSetting(ms) {
+  if (ms === 0) {
+    return '0';
+  }
+  const unit = Object.keys(TIME_UNITS).find(
+    key => TIME_UNITS[key] >= 1 && ms % TIME_UNITS[key] === 0
+  );
+  return `${ms / TIME_UNITS[unit]}${unit}`;
+}
+
+module.exports = {
+  SESSION_TIMEOUTS,
+  MAX_TIMEOUT_MS,
+  isSessionTimeout,
+  parseTimeoutSetting,
+  formatTimeoutSetting,
+};
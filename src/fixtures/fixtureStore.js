@@ -0,0 +1,545 @@
+/**
+ * Query Fixture Store
+ * Declarative canned responses for queries, loaded from JSON/YAML files or config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DATA_TYPES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+const { LatencyModel } = require('../utils/latencyModel');
+const { tokenize, TOKEN_TYPES } = require('../sql/tokenizer');
+const { resolveType, typeFromOID, formatValue } = require('../sql/types');
+
+/**
+ * Configuration options for the fixture store
+ * @typedef {Object} FixtureStoreConfig
+ * @property {number} maxFixtures - Maximum number of fixtures (default: 10000)
+ * @property {boolean} enableLogging - Enable fixture logging (default: true)
+ * @property {string} logLevel - Log level for the fixture store (default: 'info')
+ */
+
+/**
+ * Conditions a query has to meet for a fixture to apply
+ * Exactly one of text, fingerprint or regex must be given.
+ * @typedef {Object} FixtureMatch
+ * @property {string} [text] - Exact query text (surrounding whitespace and trailing ; ignored)
+ * @property {string} [fingerprint] - Query whose normalized form must match (literals ignored)
+ * @property {string} [regex] - Regular expression tested against the query text
+ * @property {string} [flags] - Flags for the regular expression
+ * @property {Array} [params] - Bound parameter values (extended protocol)
+ * @property {string} [user] - Session user
+ * @property {string} [database] - Session database
+ * @property {string} [applicationName] - Session application_name
+ */
+
+/**
+ * Canned response of a fixture
+ * @typedef {Object} FixtureResponse
+ * @property {Array<Object|string>} [columns] - Columns as {name, type} (type name or OID)
+ * @property {Array<Array>} [rows] - Data rows
+ * @property {string} [command] - Command tag keyword (default: SELECT)
+ * @property {number} [rowCount] - Row count for the command tag (default: number of rows)
+ * @property {Object} [error] - Error as {code, message, detail, hint}
+ * @property {Object|string} [notice] - Notice sent before the result
+ * @property {Array<Object|string>} [notices] - Several notices sent before the result
+ * @property {LatencySpec} [latency] - Response latency, overriding the server's latency
+ */
+
+/**
+ * Fixture entry
+ * @typedef {Object} Fixture
+ * @property {string} name - Fixture name reported in the query log
+ * @property {FixtureMatch} match - Match conditions
+ * @property {FixtureResponse} response - Canned response
+ */
+
+/**
+ * Session attributes a fixture can be matched on
+ * @typedef {Object} MatchContext
+ * @property {Array} [params] - Bound parameter values
+ * @property {Array<number>} [paramTypes] - Parameter type OIDs (text when not given)
+ * @property {string} [user] - Session user
+ * @property {string} [database] - Session database
+ * @property {string} [applicationName] - Session application_name
+ */
+
+/**
+ * Session conditions and the context property each is compared with
+ */
+const SESSION_CONDITIONS = ['user', 'database', 'applicationName'];
+
+/**
+ * Normalizes query text for exact matching
+ * @param {string} text - Query text
+ * @returns {string} Trimmed text without trailing semicolons
+ */
+function normalizeText(text) {
+  return text.trim().replace(/[\s;]+$/, '');
+}
+
+/**
+ * Computes the fingerprint of a query
+ *
+ * Comments and whitespace are dropped, unquoted identifiers and keywords are
+ * case-folded, and literals and $n parameters all become "?", so
+ * "SELECT * FROM t WHERE id = 42" and "select * from t where id = $1" share
+ * a fingerprint.
+ * @param {string} sql - Query text
+ * @returns {string|null} Fingerprint, or null if the query cannot be tokenized
+ */
+function fingerprintQuery(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (_error) {
+    return null;
+  }
+
+  const parts = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case TOKEN_TYPES.EOF:
+        break;
+      case TOKEN_TYPES.STRING:
+      case TOKEN_TYPES.NUMBER:
+      case TOKEN_TYPES.PARAM:
+        parts.push('?');
+        break;
+      case TOKEN_TYPES.IDENTIFIER:
+        parts.push(token.quoted ? `"${token.value}"` : token.value);
+        break;
+      default:
+        parts.push(token.value);
+    }
+  }
+
+  while (parts[parts.length - 1] === ';') {
+    parts.pop();
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Formats a fixture cell value as PostgreSQL text
+ * @param {*} value - Value from the fixture file
+ * @returns {string|null} Text value
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 't' : 'f';
+  }
+  if (Array.isArray(value)) {
+    const { encodeArrayToText } = require('../protocol/utils');
+    return encodeArrayToText(value);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Formats a bound parameter value as PostgreSQL text
+ * @param {*} value - Parameter value
+ * @param {number} [typeOID] - Parameter type OID
+ * @returns {string|null} Text value
+ */
+function formatParameter(value, typeOID) {
+  return formatValue(value, typeFromOID(typeOID || DATA_TYPES.TEXT));
+}
+
+/**
+ * Resolves the type of a fixture column
+ * @param {string|number|undefined} type - Type name (e.g. "varchar(20)", "int4[]") or OID
+ * @param {string} where - Location used in error messages
+ * @returns {ResolvedType} Resolved type
+ * @throws {Error} If the type is unknown
+ */
+function resolveColumnType(type, where) {
+  if (type === undefined || type === null) {
+    return typeFromOID(DATA_TYPES.TEXT);
+  }
+  if (typeof type === 'number') {
+    return typeFromOID(type);
+  }
+
+  let resolved = null;
+  try {
+    const { Parser } = require('../sql/parser');
+    const parser = new Parser(String(type));
+    const typeName = parser.parseTypeName();
+    if (parser.peek().type === TOKEN_TYPES.EOF) {
+      resolved = resolveType(typeName);
+    }
+  } catch (_error) {
+    resolved = null;
+  }
+
+  if (!resolved) {
+    throw new Error(`Invalid fixture ${where}: unknown type "${type}"`);
+  }
+  return resolved;
+}
+
+/**
+ * Normalizes a notice definition
+ * @param {Object|string} notice - Notice as a message or {message, code, severity, detail, hint}
+ * @param {string} where - Location used in error messages
+ * @returns {Object} Notice with severity, code, message, detail and hint
+ * @throws {Error} If the notice has no message
+ */
+function normalizeNotice(notice, where) {
+  const spec = typeof notice === 'string' ? { message: notice } : notice || {};
+  if (typeof spec.message !== 'string' || spec.message === '') {
+    throw new Error(`Invalid fixture ${where}: notice needs a message`);
+  }
+
+  return {
+    severity: (spec.severity || 'NOTICE').toUpperCase(),
+    code: spec.code || '00000',
+    message: spec.message,
+    detail: spec.detail,
+    hint: spec.hint,
+  };
+}
+
+/**
+ * Store of fixtures consulted before a query reaches the regular handlers
+ *
+ * Fixtures are tried in the order they were added and the first one whose
+ * conditions all hold wins. Loading validates every entry up front so a broken
+ * file is reported at startup rather than on the first matching query.
+ */
+class FixtureStore {
+  /**
+   * Creates a new fixture store
+   * @param {FixtureStoreConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxFixtures: 10000,
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.fixtures = [];
+    this.hits = new Map(); // fixture name -> match count
+
+    this.logger = createLogger({
+      name: 'FixtureStore',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Loads fixtures from a JSON or YAML file
+   * The file holds either an array of fixtures or an object with a "fixtures" array.
+   * @param {string} filePath - Path to a .json, .yaml or .yml file
+   * @returns {number} Number of fixtures loaded
+   * @throws {Error} If the file cannot be read, parsed or validated
+   */
+  loadFile(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read fixtures file "${filePath}": ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let data;
+    try {
+      if (extension === '.yaml' || extension === '.yml') {
+        data = yaml.load(content);
+      } else {
+        data = JSON.parse(content);
+      }
+    } catch (error) {
+      throw new Error(`Cannot parse fixtures file "${filePath}": ${error.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.fixtures;
+    if (!Array.isArray(entries)) {
+      throw new Error(`Fixtures file "${filePath}" must contain an array of fixtures`);
+    }
+
+    const count = this.addFixtures(entries);
+    this.logger.info(`Loaded ${count} fixtures from ${filePath}`);
+    return count;
+  }
+
+  /**
+   * Validates and adds fixtures after the existing ones
+   * @param {Array<Fixture>} entries - Fixture definitions
+   * @returns {number} Number of fixtures added
+   * @throws {Error} If any entry is invalid (nothing is added in that case)
+   */
+  addFixtures(entries) {
+    if (this.fixtures.length + entries.length > this.config.maxFixtures) {
+      throw new Error(`Too many fixtures (maximum ${this.config.maxFixtures})`);
+    }
+
+    const compiled = entries.map((entry, index) =>
+      this.compileFixture(entry, this.fixtures.length + index)
+    );
+    this.fixtures.push(...compiled);
+    return compiled.length;
+  }
+
+  /**
+   * Validates a fixture definition and precomputes what matching needs
+   * @param {Fixture} entry - Fixture definition
+   * @param {number} index - Position of the fixture in the store
+   * @returns {Object} Compiled fixture
+   * @throws {Error} If the definition is invalid
+   * @private
+   */
+  compileFixture(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Invalid fixture #${index + 1}: expected an object`);
+    }
+
+    const name = entry.name ? String(entry.name) : `fixture-${index + 1}`;
+    const where = `"${name}"`;
+    const match = entry.match || {};
+    const response = entry.response || {};
+
+    const modes = ['text', 'fingerprint', 'regex'].filter(mode => match[mode] !== undefined);
+    if (modes.length !== 1) {
+      throw new Error(
+        `Invalid fixture ${where}: match needs exactly one of text, fingerprint, regex`
+      );
+    }
+
+    const compiled = { name, match, response: null };
+    if (match.text !== undefined) {
+      compiled.text = normalizeText(String(match.text));
+    } else if (match.fingerprint !== undefined) {
+      compiled.fingerprint = fingerprintQuery(String(match.fingerprint));
+      if (compiled.fingerprint === null) {
+        throw new Error(`Invalid fixture ${where}: fingerprint query cannot be tokenized`);
+      }
+    } else {
+      // A global or sticky regex keeps its position between test() calls, so the
+      // same query would match and miss on alternate calls
+      if (/[gy]/.test(match.flags || '')) {
+        throw new Error(`Invalid fixture ${where}: regex flags "g" and "y" are not supported`);
+      }
+      try {
+        compiled.regex = new RegExp(match.regex, match.flags || '');
+      } catch (error) {
+        throw new Error(`Invalid fixture ${where}: ${error.message}`);
+      }
+    }
+
+    if (match.params !== undefined && !Array.isArray(match.params)) {
+      throw new Error(`Invalid fixture ${where}: match.params must be an array`);
+    }
+
+    compiled.response = this.compileResponse(response, where);
+    return compiled;
+  }
+
+  /**
+   * Validates a fixture response and builds its column descriptors
+   * @param {FixtureResponse} response - Response definition
+   * @param {string} where - Location used in error messages
+   * @returns {Object} Compiled response
+   * @throws {Error} If the response is invalid
+   * @private
+   */
+  compileResponse(response, where) {
+    const notices = []
+      .concat(response.notice !== undefined ? [response.notice] : [])
+      .concat(response.notices || [])
+      .map(notice => normalizeNotice(notice, where));
+
+    let latency = null;
+    if (response.latency !== undefined) {
+      try {
+        latency = new LatencyModel(response.latency);
+      } catch (error) {
+        throw new Error(`Invalid fixture ${where}: ${error.message}`);
+      }
+    }
+
+    if (response.error) {
+      const { code, message } = response.error;
+      if (!/^[0-9A-Z]{5}$/.test(code || '') || !message) {
+        throw new Error(`Invalid fixture ${where}: error needs a 5-character code and a message`);
+      }
+      return { error: response.error, notices, latency };
+    }
+
+    const columns = (response.columns || []).map((column, position) => {
+      const spec = typeof column === 'string' ? { name: column } : column || {};
+      if (!spec.name) {
+        throw new Error(`Invalid fixture ${where}: column ${position + 1} needs a name`);
+      }
+      const type = resolveColumnType(spec.type, where);
+      return {
+        name: String(spec.name),
+        dataTypeOID: type.oid,
+        dataTypeSize: type.size,
+        typeModifier: type.modifier,
+        format: 0,
+      };
+    });
+
+    const rows = (response.rows || []).map((row, position) => {
+      if (!Array.isArray(row) || row.length !== columns.length) {
+        throw new Error(
+          `Invalid fixture ${where}: row ${position + 1} must have ${columns.length} values`
+        );
+      }
+      return row.map(formatCell);
+    });
+
+    const command = String(response.command || 'SELECT').toUpperCase();
+    const rowCount = response.rowCount !== undefined ? response.rowCount : rows.length;
+
+    return { columns, rows, command, rowCount, notices, latency };
+  }
+
+  /**
+   * Finds the first fixture matching a query
+   * @param {string} query - Query text
+   * @param {MatchContext} context - Parameters and session attributes
+   * @returns {Object|null} Matching compiled fixture or null
+   */
+  match(query, context = {}) {
+    const fixture = this.find(query, context);
+    if (fixture) {
+      this.hits.set(fixture.name, (this.hits.get(fixture.name) || 0) + 1);
+      this.logger.debug(`Query matched fixture "${fixture.name}"`);
+    }
+    return fixture;
+  }
+
+  /**
+   * Finds the first fixture matching a query without counting a hit
+   * Describe uses this to learn the shape of the response Execute will send.
+   * @param {string} query - Query text
+   * @param {MatchContext} context - Parameters and session attributes
+   * @returns {Object|null} Matching compiled fixture or null
+   */
+  find(query, context = {}) {
+    if (this.fixtures.length === 0) {
+      return null;
+    }
+
+    let fingerprint;
+    for (const fixture of this.fixtures) {
+      if (fixture.text !== undefined && fixture.text !== normalizeText(query)) {
+        continue;
+      }
+      if (fixture.fingerprint !== undefined) {
+        if (fingerprint === undefined) {
+          fingerprint = fingerprintQuery(query);
+        }
+        if (fixture.fingerprint !== fingerprint) {
+          continue;
+        }
+      }
+      if (fixture.regex && !fixture.regex.test(query)) {
+        continue;
+      }
+      if (!this.matchesContext(fixture.match, context)) {
+        continue;
+      }
+      return fixture;
+    }
+    return null;
+  }
+
+  /**
+   * Checks the parameter and session conditions of a fixture
+   * @param {FixtureMatch} match - Match conditions
+   * @param {MatchContext} context - Parameters and session attributes
+   * @returns {boolean} True if every given condition holds
+   * @private
+   */
+  matchesContext(match, context) {
+    if (match.params) {
+      const params = context.params || [];
+      if (params.length !== match.params.length) {
+        return false;
+      }
+      // Bound values are compared in their text output, so '041' sent for an
+      // integer parameter matches 41
+      const paramTypes = context.paramTypes || [];
+      const equal = match.params.every(
+        (expected, i) => formatCell(expected) === formatParameter(params[i], paramTypes[i])
+      );
+      if (!equal) {
+        return false;
+      }
+    }
+
+    return SESSION_CONDITIONS.every(
+      key => match[key] === undefined || String(match[key]) === context[key]
+    );
+  }
+
+  /**
+   * Builds the query result for a fixture
+   * @param {Object} fixture - Compiled fixture returned by match()
+   * @returns {QueryResult} Query result tagged with the fixture name and its notices
+   */
+  buildResult(fixture) {
+    const { response, name } = fixture;
+
+    if (response.error) {
+      const { code, message, ...options } = response.error;
+      return {
+        error: createError(code, message, options),
+        command: 'UNKNOWN',
+        rowCount: 0,
+        fixture: name,
+        notices: response.notices,
+        latency: response.latency,
+      };
+    }
+
+    return {
+      columns: response.columns,
+      rows: response.rows,
+      command: response.command,
+      rowCount: response.rowCount,
+      fixture: name,
+      notices: response.notices,
+      latency: response.latency,
+    };
+  }
+
+  /**
+   * Removes all fixtures
+   */
+  clear() {
+    this.fixtures = [];
+    this.hits.clear();
+  }
+
+  /**
+   * Gets fixture store statistics
+   * @returns {Object} Fixture count and match counts by fixture name
+   */
+  getStats() {
+    return {
+      fixtureCount: this.fixtures.length,
+      hits: Object.fromEntries(this.hits),
+    };
+  }
+}
+
+module.exports = {
+  FixtureStore,
+  fingerprintQuery,
+};
@@ -8,11 +8,25 @@ const {
   TRANSACTION_STATUS,
   ERROR_CODES,
   ERROR_MESSAGES,
+  ERROR_SEVERITY,
+  SERVER_VERSION_STRING,
 } = require('../protocol/constants');
 
 const { formatCommandTag } = require('../protocol/utils');
 const { createQueryLogger } = require('../utils/logger');
-const { ErrorFactory, wrapError, formatErrorForLogging } = require('../utils/errorHandler');
+const {
+  ErrorFactory,
+  createError,
+  wrapError,
+  formatErrorForLogging,
+} = require('../utils/errorHandler');
+const {
+  handleTableStatement,
+  describeTableStatement,
+  inferParameterTypes,
+} = require('./tableHandlers');
+const { analyzeStatement } = require('../sql/parser');
+const { TOKEN_TYPES, tokenize } = require('../sql/tokenizer');
 
 // Create query logger instance (will be configured by server)
 let queryLogger = createQueryLogger();
@@ -31,6 +45,8 @@ const {
   sendCommandComplete,
   sendEmptyQueryResponse,
   sendErrorResponse,
+  sendNoticeResponse,
+  sendPortalSuspended,
 } = require('../protocol/messageBuilders');
 
 /**
@@ -132,15 +148,34 @@ const MOCK_SCHEMA = {
  * @property {string} command - SQL command type
  * @property {number} rowCount - Number of rows affected/returned
  * @property {Object} error - Error information if query failed
+ * @property {string} [fixture] - Name of the fixture that produced the result
+ * @property {Array<Object>} [notices] - Notices to send before the result
+ * @property {number} [sleepMs] - Time requested by pg_sleep() calls, added to the response delay
+ * @property {LatencyModel} [latency] - Response latency overriding the server's (fixtures)
  */
 
 /**
  * Executes a single SQL query and sends appropriate response
+ *
+ * The response goes out immediately unless the query sleeps (pg_sleep) or
+ * simulated latency applies. A delayed response is held back on a timer, so
+ * other connections keep being served, and can be interrupted by a
+ * CancelRequest or statement_timeout until it is sent.
+ *
  * @param {string} query - The SQL query to execute
  * @param {Socket} socket - Client socket for sending responses
  * @param {ConnectionState} connState - Connection state object
+ * @param {Object} options - Execution options
+ * @param {Array} options.params - Bound parameter values (extended protocol)
+ * @param {Array<string|null>} options.paramText - Bound parameters as sent, with binary
+ *   ones in hex (extended protocol)
+ * @param {Array<number>} options.paramTypes - Parameter type OIDs (extended protocol)
+ * @param {Object} options.portal - Portal being executed (extended protocol)
+ * @param {number} options.maxRows - Row limit of the Execute message, 0 for none
+ * @returns {Promise<void>|undefined} Settles once a delayed response is sent or
+ *   canceled; undefined when the response was sent right away
  */
-function executeQuery(query, socket, connState) {
+function executeQuery(query, socket, connState, options = {}) {
   // Start detailed query logging session
   const querySession = queryLogger.queryStart(query, {
     connectionId: connState.connectionId,
@@ -152,7 +187,7 @@ function executeQuery(query, socket, connState) {
   let results;
   try {
     // Process the query and get results
-    results = processQuery(query, connState);
+    results = processQuery(query, connState, options);
   } catch (error) {
     // Handle unexpected processing errors
     results = {
@@ -162,9 +197,69 @@ function executeQuery(query, socket, connState) {
     };
   }
 
+  const delay = getResponseDelay(results, connState);
+  if (delay <= 0) {
+    sendQueryResults(query, results, socket, connState, querySession, options);
+    return undefined;
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      connState.finishQuery();
+      if (!socket.destroyed) {
+        sendQueryResults(query, results, socket, connState, querySession, options);
+      }
+      resolve();
+    }, delay);
+
+    connState.startQuery(query, message => {
+      clearTimeout(timer);
+      const canceled = {
+        error: createError(ERROR_CODES.QUERY_CANCELED, message),
+        command: 'UNKNOWN',
+        rowCount: 0,
+      };
+      sendQueryResults(query, canceled, socket, connState, querySession, options);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Works out how long to hold back a query's response
+ * @param {QueryResult} results - Query result
+ * @param {ConnectionState} connState - Connection state object
+ * @returns {number} Delay in milliseconds (0 to respond right away)
+ */
+function getResponseDelay(results, connState) {
+  const latency = results.latency || connState.getLatencyModel();
+  return (results.sleepMs || 0) + (latency ? latency.sample() : 0);
+}
+
+/**
+ * Sends a query's result (or error) to the client
+ * @param {string} query - The SQL query that was executed
+ * @param {QueryResult} results - Query result
+ * @param {Socket} socket - Client socket for sending responses
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Object} querySession - Query logging session from queryStart()
+ * @param {Object} options - Execution options ({portal, maxRows})
+ */
+function sendQueryResults(query, results, socket, connState, querySession, options = {}) {
   // Complete query logging with results
   queryLogger.queryComplete(querySession, results);
 
+  // Notices (from fixtures) precede the result, as they would from a server
+  for (const notice of results.notices || []) {
+    sendNoticeResponse(socket, notice.message, {
+      S: notice.severity,
+      V: notice.severity,
+      C: notice.code,
+      ...(notice.detail && { D: notice.detail }),
+      ...(notice.hint && { H: notice.hint }),
+    });
+  }
+
   // Handle query errors
   if (results.error) {
     // Log the error with full details
@@ -206,7 +301,12 @@ function executeQuery(query, socket, connState) {
         routine: errorDetails.routine,
       }
     );
-    connState.transactionStatus = TRANSACTION_STATUS.IN_FAILED_TRANSACTION;
+    // A failed Execute also discards the rest of its batch until Sync
+    if (options.portal) {
+      connState.failExtendedQuery();
+    } else {
+      connState.failStatement();
+    }
     return;
   }
 
@@ -216,6 +316,9 @@ function executeQuery(query, socket, connState) {
     const format = results.copyInfo.binary ? 1 : 0;
     const columnFormats = []; // Default to text format for all columns
     sendCopyInResponse(socket, format, columnFormats);
+
+    // The COPY stays in progress, and cancelable, until the client ends the data stream
+    connState.startQuery(query, message => cancelCopyIn(socket, connState, message));
     return; // Don't send command complete yet - wait for COPY data
   }
 
@@ -230,29 +333,107 @@ function executeQuery(query, socket, connState) {
     return; // Command complete will be sent after all data
   }
 
-  // Send result data if query returns rows
-  if (results.columns && results.columns.length > 0) {
-    sendRowDescription(socket, results.columns);
+  const returnsRows = results.columns && results.columns.length > 0;
+  if (options.portal && returnsRows) {
+    // Execute sends no RowDescription, as the client gets it from Describe; the
+    // rows stay with the portal so later Executes can fetch the rest
+    const { applyResultFormats } = require('../protocol/binaryFormat');
+    options.portal.cursor = {
+      results,
+      columns: applyResultFormats(results.columns, options.portal.resultFormats),
+      position: 0,
+    };
+    sendPortalRows(socket, connState, options.portal, options.maxRows);
+  } else {
+    // Send result data if query returns rows
+    if (returnsRows) {
+      sendRowDescription(socket, results.columns);
+      for (const row of results.rows || []) {
+        sendDataRow(socket, row);
+      }
+    }
 
-    // Send each data row
-    for (const row of results.rows || []) {
-      sendDataRow(socket, row);
+    // Send command completion
+    const commandTag = formatCommandTag(results.command, results.rowCount);
+    sendCommandComplete(socket, commandTag);
+  }
+
+  // Update transaction status based on command; ROLLBACK TO SAVEPOINT keeps the block open
+  if (!results.savepoint) {
+    updateTransactionStatus(connState, results.command);
+  }
+}
+
+/**
+ * Sends the next rows of a portal's result for Execute
+ *
+ * A row limit of 0 sends every remaining row. A batch that reaches the limit
+ * suspends the portal, even if it took the last row, as PostgreSQL does; the
+ * next Execute then completes it with no rows.
+ *
+ * @param {Socket} socket - Client socket for sending responses
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Object} portal - Portal holding the result cursor ({results, columns, position});
+ *   the columns carry the result formats requested by Bind
+ * @param {number} maxRows - Row limit of the Execute message
+ */
+function sendPortalRows(socket, connState, portal, maxRows = 0) {
+  const { results, columns } = portal.cursor;
+  const rows = results.rows || [];
+  const start = portal.cursor.position;
+  const end = maxRows > 0 ? Math.min(start + maxRows, rows.length) : rows.length;
+
+  for (let i = start; i < end; i++) {
+    try {
+      sendDataRow(socket, rows[i], columns);
+    } catch (error) {
+      // A value that cannot be sent in the requested format fails the portal
+      sendErrorResponse(socket, error.code || ERROR_CODES.INTERNAL_ERROR, error.message);
+      connState.failExtendedQuery();
+      portal.cursor.position = rows.length;
+      return;
     }
   }
+  portal.cursor.position = end;
 
-  // Send command completion
-  const commandTag = formatCommandTag(results.command, results.rowCount);
-  sendCommandComplete(socket, commandTag);
+  if (maxRows > 0 && end - start === maxRows) {
+    sendPortalSuspended(socket);
+    return;
+  }
 
-  // Update transaction status based on command
-  updateTransactionStatus(connState, results.command);
+  // A resumed SELECT reports the rows of its last batch; other commands report
+  // every row they changed, as their tag was settled when they ran
+  const count = results.command === 'SELECT' && start > 0 ? end - start : results.rowCount;
+  sendCommandComplete(socket, formatCommandTag(results.command, count));
+}
+
+/**
+ * Aborts a COPY FROM STDIN interrupted by a CancelRequest or statement_timeout
+ * Data the client still sends for it is dropped by the COPY message handlers.
+ * @param {Socket} socket - Client socket for sending responses
+ * @param {ConnectionState} connState - Connection state object
+ * @param {string} message - Error message reported to the client
+ */
+function cancelCopyIn(socket, connState, message) {
+  connState.clearCopyState();
+  sendErrorResponse(socket, ERROR_CODES.QUERY_CANCELED, message);
+  if (connState.isInTransaction()) {
+    connState.failTransaction();
+  }
 }
 
 /**
  * Processes multiple SQL statements from a query string
+ *
+ * As in PostgreSQL, statements outside an explicit transaction block run in an
+ * implicit one: the first error skips the rest of the string and, unless a BEGIN
+ * in the string opened a block, leaves the session idle rather than failed.
+ *
  * @param {string} queryString - Raw query string potentially containing multiple statements
  * @param {Socket} socket - Client socket for sending responses
  * @param {ConnectionState} connState - Connection state object
+ * @returns {Promise<void>|undefined} Settles once all statements have answered, if
+ *   any response was delayed; undefined when everything was sent right away
  */
 function executeQueryString(queryString, socket, connState) {
   const { parseQueryStatements } = require('../protocol/utils');
@@ -262,82 +443,171 @@ function executeQueryString(queryString, socket, connState) {
 
   if (statements.length === 0) {
     sendEmptyQueryResponse(socket);
-    return;
+    return undefined;
   }
 
-  // Execute each statement
-  for (const statement of statements) {
+  const pending = executeStatements(statements, socket, connState);
+  if (pending) {
+    return pending.then(() => connState.endImplicitTransaction());
+  }
+  connState.endImplicitTransaction();
+  return undefined;
+}
+
+/**
+ * Executes statements in order, stopping at the first failure
+ * @param {Array<string>} statements - Statements to execute
+ * @param {Socket} socket - Client socket for sending responses
+ * @param {ConnectionState} connState - Connection state object
+ * @returns {Promise<void>|undefined} Settles once the remaining statements have
+ *   answered, if a response was delayed
+ */
+function executeStatements(statements, socket, connState) {
+  for (let i = 0; i < statements.length; i++) {
+    const statement = statements[i];
     if (statement.trim() === '') {
       sendEmptyQueryResponse(socket);
-    } else {
-      executeQuery(statement, socket, connState);
+      continue;
+    }
 
-      // Stop execution if we're in a failed transaction state
-      if (connState.transactionStatus === TRANSACTION_STATUS.IN_FAILED_TRANSACTION) {
-        break;
-      }
+    const pending = executeQuery(statement, socket, connState);
+
+    // Later statements run once the delayed response is out
+    if (pending) {
+      return pending.then(() =>
+        connState.hasFailedStatement()
+          ? undefined
+          : executeStatements(statements.slice(i + 1), socket, connState)
+      );
+    }
+
+    // Stop execution once a statement has failed
+    if (connState.hasFailedStatement()) {
+      break;
     }
   }
+  return undefined;
 }
 
 /**
  * Processes a single SQL query and returns result structure
  * @param {string} query - The SQL query to process
  * @param {ConnectionState} connState - Connection state object
+ * @param {Object} options - Processing options
+ * @param {Array} options.params - Bound parameter values (extended protocol)
+ * @param {Array<string|null>} options.paramText - Bound parameters as sent, with binary
+ *   ones in hex (extended protocol)
+ * @param {Array<number>} options.paramTypes - Parameter type OIDs (extended protocol)
  * @returns {QueryResult} Query execution result
  */
-function processQuery(query, connState) {
-  const normalizedQuery = query.trim().toUpperCase();
+function processQuery(query, connState, options = {}) {
+  try {
+    // A failed transaction block ignores everything until it is ended
+    if (connState.isInFailedTransaction() && !endsTransactionBlock(query)) {
+      return {
+        error: createError(
+          ERROR_CODES.IN_FAILED_SQL_TRANSACTION,
+          ERROR_MESSAGES.TRANSACTION_ABORTED
+        ),
+      };
+    }
+
+    // Fixtures take precedence over every handler and match the raw text, so
+    // even queries the parser rejects can be given a canned response
+    const fixtureStore = connState.getFixtureStore();
+    const fixture =
+      fixtureStore &&
+      fixtureStore.match(query, {
+        params: options.params,
+        paramTypes: options.paramTypes,
+        user: connState.getCurrentUser(),
+        database: connState.getCurrentDatabase(),
+        applicationName: connState.getApplicationName(),
+      });
+    if (fixture) {
+      return fixtureStore.buildResult(fixture);
+    }
 
-  console.log(`Processing query: ${normalizedQuery}`);
+    // In replay mode recorded responses come next, matched on the parameters as the
+    // proxy recorded them; a lenient miss falls through
+    const cassette = connState.getCassette();
+    const replayed =
+      cassette && cassette.replay(query, { params: options.paramText || options.params });
+    if (replayed) {
+      return replayed;
+    }
 
-  try {
-    // Route to appropriate handler based on query type
+    const info = analyzeStatement(query);
+
+    // Handlers get the statement text with the comments around it stripped, in its
+    // original case: they match keywords case-insensitively and keep literals as sent
+    const statementText = info.text;
+
+    console.log(`Processing query: ${statementText}`);
+
+    // Statements on tables created with CREATE TABLE (and FROM-less SELECTs) are
+    // evaluated against the table store, preserving literal casing
+    const tableResult = handleTableStatement(info, connState, options);
+    if (tableResult) {
+      return tableResult;
+    }
+
+    // Route to appropriate handler based on the statement's command keyword
 
     // Check for EXPLAIN queries first (before other routing)
-    if (normalizedQuery.startsWith('EXPLAIN')) {
-      return handleExplainQuery(normalizedQuery, connState);
+    if (info.command === 'EXPLAIN') {
+      return handleExplainQuery(statementText, connState);
     }
 
     // Check for database introspection queries first (before general SELECT)
-    if (
-      normalizedQuery.includes('INFORMATION_SCHEMA.') ||
-      normalizedQuery.includes('PG_CATALOG.')
-    ) {
-      return handleIntrospectionQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('SELECT')) {
-      return handleSelectQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('SHOW')) {
-      return handleShowQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('BEGIN')) {
-      return handleTransactionQuery('BEGIN', connState);
-    } else if (normalizedQuery.startsWith('COMMIT')) {
-      return handleTransactionQuery('COMMIT', connState);
-    } else if (normalizedQuery.startsWith('ROLLBACK')) {
-      return handleTransactionQuery('ROLLBACK', connState);
-    } else if (normalizedQuery.startsWith('SET')) {
-      return handleSetQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('INSERT')) {
-      return handleInsertQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('UPDATE')) {
-      return handleUpdateQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('DELETE')) {
-      return handleDeleteQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('CREATE')) {
-      return handleCreateQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('DROP')) {
-      return handleDropQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('LISTEN')) {
-      return handleListenQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('UNLISTEN')) {
-      return handleUnlistenQuery(normalizedQuery, connState);
-    } else if (normalizedQuery.startsWith('NOTIFY')) {
-      // Use original query to preserve payload casing
-      return handleNotifyQuery(query, connState);
-    } else if (normalizedQuery.startsWith('COPY')) {
-      return handleCopyQuery(normalizedQuery, connState);
-    } else {
-      return handleUnknownQuery(normalizedQuery, connState);
+    if (info.referencesCatalog) {
+      return handleIntrospectionQuery(statementText, connState);
+    }
+
+    switch (info.command) {
+      case 'SELECT':
+        return handleSelectQuery(statementText, connState);
+      case 'SHOW':
+        return handleShowQuery(info, connState);
+      case 'BEGIN':
+      case 'START':
+        return handleTransactionQuery('BEGIN', connState);
+      case 'COMMIT':
+      case 'END':
+        return handleTransactionQuery('COMMIT', connState);
+      case 'ROLLBACK':
+      case 'ABORT':
+        // ROLLBACK TO SAVEPOINT leaves the transaction block open
+        return parseSavepointStatement(info)
+          ? handleSavepointQuery(info, connState)
+          : handleTransactionQuery('ROLLBACK', connState);
+      case 'SAVEPOINT':
+      case 'RELEASE':
+        return handleSavepointQuery(info, connState);
+      case 'SET':
+        return handleSetQuery(info, connState);
+      case 'RESET':
+        return handleResetQuery(info, connState);
+      case 'INSERT':
+        return handleInsertQuery(statementText, connState);
+      case 'UPDATE':
+        return handleUpdateQuery(statementText, connState);
+      case 'DELETE':
+        return handleDeleteQuery(statementText, connState);
+      case 'CREATE':
+        return handleCreateQuery(statementText, connState);
+      case 'DROP':
+        return handleDropQuery(statementText, connState);
+      case 'LISTEN':
+        return handleListenQuery(statementText, connState);
+      case 'UNLISTEN':
+        return handleUnlistenQuery(statementText, connState);
+      case 'NOTIFY':
+        return handleNotifyQuery(statementText, connState);
+      case 'COPY':
+        return handleCopyQuery(statementText, connState);
+      default:
+        return handleUnknownQuery(statementText, connState);
     }
   } catch (error) {
     console.error('Error processing query:', error);
@@ -357,6 +627,141 @@ function processQuery(query, connState) {
   }
 }
 
+/**
+ * Commands the mock handlers answer without rows
+ */
+const NO_DATA_COMMANDS = new Set([
+  'BEGIN',
+  'START',
+  'COMMIT',
+  'END',
+  'ROLLBACK',
+  'ABORT',
+  'SAVEPOINT',
+  'RELEASE',
+  'SET',
+  'RESET',
+  'INSERT',
+  'UPDATE',
+  'DELETE',
+  'CREATE',
+  'DROP',
+  'LISTEN',
+  'UNLISTEN',
+  'NOTIFY',
+  'COPY',
+]);
+
+/**
+ * Works out the parameter types of a statement being prepared (Parse)
+ * @param {string} query - Statement text
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Array<number>} declaredTypes - Type OIDs sent with Parse (0 for unspecified)
+ * @returns {Array<number>} Type OIDs of every parameter the statement uses
+ */
+function describeParameters(query, connState, declaredTypes = []) {
+  return inferParameterTypes(analyzeStatement(query), connState, declaredTypes);
+}
+
+/**
+ * Describes the rows a statement will return, for Describe
+ *
+ * The description follows the same route as processQuery(), so it matches what
+ * Execute sends: fixtures and recorded responses give their own columns, table
+ * statements are described by the table store, and statements left to the mock
+ * handlers are answered by the read-only ones. Nothing that changes data is run.
+ *
+ * @param {string} query - Statement text
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Object} options - Description options
+ * @param {Array} [options.params] - Bound parameter values (portals only)
+ * @param {Array<string|null>} [options.paramText] - Bound parameters as sent (portals only)
+ * @param {Array<number>} options.paramTypes - Parameter type OIDs
+ * @returns {Object} {columns}, with null columns for statements that return no rows
+ *   (NoData), or {error}
+ */
+function describeQuery(query, connState, options = {}) {
+  try {
+    if (connState.isInFailedTransaction() && !endsTransactionBlock(query)) {
+      return {
+        error: createError(
+          ERROR_CODES.IN_FAILED_SQL_TRANSACTION,
+          ERROR_MESSAGES.TRANSACTION_ABORTED
+        ),
+      };
+    }
+
+    const fixtureStore = connState.getFixtureStore();
+    const fixture =
+      fixtureStore &&
+      fixtureStore.find(query, {
+        params: options.params,
+        paramTypes: options.paramTypes,
+        user: connState.getCurrentUser(),
+        database: connState.getCurrentDatabase(),
+        applicationName: connState.getApplicationName(),
+      });
+    if (fixture) {
+      return describeResult(fixtureStore.buildResult(fixture), false);
+    }
+
+    // A strict cassette fails unrecorded statements when they are executed
+    const cassette = connState.getCassette();
+    if (cassette) {
+      const { MISS_POLICIES } = require('../proxy/cassette');
+      const recorded = cassette.peek(query, { params: options.paramText || options.params });
+      if (recorded) {
+        return describeResult(recorded, false);
+      }
+      if (cassette.config.missPolicy === MISS_POLICIES.STRICT) {
+        return { columns: null };
+      }
+    }
+
+    const info = analyzeStatement(query);
+    const described = describeTableStatement(info, connState, options);
+    if (described) {
+      return described;
+    }
+
+    const statementText = info.text;
+    if (info.command === 'EXPLAIN') {
+      return {
+        columns: [{ name: 'QUERY PLAN', dataTypeOID: DATA_TYPES.TEXT, dataTypeSize: -1 }],
+      };
+    }
+    if (info.referencesCatalog) {
+      return describeResult(handleIntrospectionQuery(statementText, connState));
+    }
+    if (info.command === 'SELECT') {
+      return describeResult(handleSelectQuery(statementText, connState));
+    }
+    if (info.command === 'SHOW') {
+      return describeResult(handleShowQuery(info, connState));
+    }
+    if (NO_DATA_COMMANDS.has(info.command)) {
+      return { columns: null };
+    }
+    return describeResult(handleUnknownQuery(statementText, connState));
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Reduces a query result to its description
+ * @param {QueryResult} result - Query result
+ * @param {boolean} reportErrors - Whether an error fails Describe; canned errors
+ *   (fixtures, recordings) are left for Execute to send
+ * @returns {Object} {columns}, with null columns if the result has no rows, or {error}
+ */
+function describeResult(result, reportErrors = true) {
+  if (result.error) {
+    return reportErrors ? { error: result.error } : { columns: null };
+  }
+  return { columns: result.columns && result.columns.length > 0 ? result.columns : null };
+}
+
 /**
  * Handles SELECT queries
  * @param {string} query - The SELECT query
@@ -364,13 +769,15 @@ function processQuery(query, connState) {
  * @returns {QueryResult} Query result
  */
 function handleSelectQuery(query, connState) {
+  const upperQuery = query.toUpperCase();
+
   // Handle array-specific queries first
-  if (query.includes('ARRAY') || query.includes('::')) {
+  if (upperQuery.includes('ARRAY') || query.includes('::')) {
     return handleArrayQuery(query, connState);
   }
 
   // Handle specific SELECT queries
-  switch (query) {
+  switch (upperQuery) {
     case 'SELECT 1':
     case 'SELECT 1;':
       return {
@@ -396,7 +803,7 @@ function handleSelectQuery(query, connState) {
             dataTypeSize: -1,
           },
         ],
-        rows: [['PostgreSQL Wire Protocol Mock Server 1.0']],
+        rows: [[SERVER_VERSION_STRING]],
         command: 'SELECT',
         rowCount: 1,
       };
@@ -482,7 +889,7 @@ function handleArrayQuery(query, _connState) {
     const elements = arrayConstructorMatch[1].split(',').map(el => el.trim().replace(/^'|'$/g, ''));
 
     // Check if it's a multidimensional array constructor
-    if (query.includes('ARRAY[ARRAY[')) {
+    if (/ARRAY\s*\[\s*ARRAY\s*\[/i.test(query)) {
       return {
         columns: [
           {
@@ -604,7 +1011,7 @@ function handleArrayQuery(query, _connState) {
   }
 
   // Handle multidimensional array examples
-  if (query.includes('SELECT ARRAY[ARRAY[') || query.includes("SELECT '{{")) {
+  if (/SELECT\s+ARRAY\s*\[\s*ARRAY\s*\[/i.test(query) || query.includes("SELECT '{{")) {
     return {
       columns: [
         {
@@ -695,77 +1102,295 @@ function getTypeOIDFromName(typeName, config = null) {
 }
 
 /**
- * Handles SHOW queries
- * @param {string} query - The SHOW query
- * @param {ConnectionState} _connState - Connection state object
+ * Multi-word setting names of SET, RESET and SHOW, and the settings they stand for
+ */
+const SETTING_PHRASES = [
+  { words: ['time', 'zone'], name: 'TimeZone' },
+  { words: ['session', 'authorization'], name: 'session_authorization' },
+  { words: ['transaction', 'isolation', 'level'], name: 'transaction_isolation' },
+];
+
+/**
+ * Gets the tokens of a SET, RESET or SHOW statement, without the trailing semicolon
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @returns {Array<Token>} Tokens, ending with the EOF token
+ */
+function settingStatementTokens(info) {
+  const tokens = info.tokens.slice();
+  const last = tokens.length - 2;
+  if (last >= 0 && tokens[last].type === TOKEN_TYPES.PUNCTUATION && tokens[last].value === ';') {
+    tokens.splice(last, 1);
+  }
+  return tokens;
+}
+
+/**
+ * Checks whether a token is a given unquoted keyword
+ * @param {Token} token - Token (may be undefined)
+ * @param {string} word - Lower-case keyword
+ * @returns {boolean} True if the token is that keyword
+ */
+function isKeywordToken(token, word) {
+  return (
+    Boolean(token) && token.type === TOKEN_TYPES.IDENTIFIER && !token.quoted && token.value === word
+  );
+}
+
+/**
+ * Builds a syntax error pointing at a token, as the SQL parser does
+ * @param {Token} token - Offending token
+ * @returns {PostgresError} Syntax error
+ */
+function syntaxErrorAt(token) {
+  const message =
+    token.type === TOKEN_TYPES.EOF
+      ? 'syntax error at end of input'
+      : `syntax error at or near "${token.raw}"`;
+  return ErrorFactory.syntaxError(message, { position: String(token.position) });
+}
+
+/**
+ * Reads the setting a SET, RESET or SHOW statement names
+ * @param {Array<Token>} tokens - Statement tokens
+ * @param {number} index - Position of the name
+ * @param {Array<Object>} phrases - Multi-word names accepted ({words, name})
+ * @returns {Object} {name, next, phrase}; phrase tells whether a multi-word name was used
+ * @throws {PostgresError} 42601 if there is no name at that position
+ */
+function readSettingName(tokens, index, phrases) {
+  const phrase = phrases.find(({ words }) =>
+    words.every((word, offset) => isKeywordToken(tokens[index + offset], word))
+  );
+  if (phrase) {
+    return { name: phrase.name, next: index + phrase.words.length, phrase: true };
+  }
+
+  if (tokens[index].type !== TOKEN_TYPES.IDENTIFIER) {
+    throw syntaxErrorAt(tokens[index]);
+  }
+  // Custom settings are qualified, e.g. myapp.tenant
+  let name = tokens[index].value;
+  let next = index + 1;
+  while (tokens[next].value === '.' && tokens[next + 1].type === TOKEN_TYPES.IDENTIFIER) {
+    name += `.${tokens[next + 1].value}`;
+    next += 2;
+  }
+  return { name, next, phrase: false };
+}
+
+/**
+ * Reads the value list of a SET statement
+ * @param {Array<Token>} tokens - Statement tokens
+ * @param {number} index - Position of the first value
+ * @param {boolean} resetWord - Also accept LOCAL for the default, as SET TIME ZONE does
+ * @returns {Array<Token>|null} Value tokens (numbers carry their sign), or null for DEFAULT
+ * @throws {PostgresError} 42601 for anything but strings, numbers and names
+ */
+function readSettingValues(tokens, index, resetWord) {
+  const first = tokens[index];
+  if (
+    tokens[index + 1].type === TOKEN_TYPES.EOF &&
+    (isKeywordToken(first, 'default') || (resetWord && isKeywordToken(first, 'local')))
+  ) {
+    return null;
+  }
+
+  const values = [];
+  let i = index;
+  for (;;) {
+    let sign = '';
+    if (tokens[i].type === TOKEN_TYPES.OPERATOR && ['-', '+'].includes(tokens[i].value)) {
+      sign = tokens[i].value === '-' ? '-' : '';
+      i++;
+      if (tokens[i].type !== TOKEN_TYPES.NUMBER) {
+        throw syntaxErrorAt(tokens[i]);
+      }
+    }
+    if (
+      ![TOKEN_TYPES.STRING, TOKEN_TYPES.NUMBER, TOKEN_TYPES.IDENTIFIER].includes(tokens[i].type)
+    ) {
+      throw syntaxErrorAt(tokens[i]);
+    }
+    values.push(sign ? { ...tokens[i], raw: sign + tokens[i].raw } : tokens[i]);
+    i++;
+
+    if (tokens[i].type === TOKEN_TYPES.EOF) {
+      return values;
+    }
+    if (tokens[i].value !== ',' || tokens[i].type !== TOKEN_TYPES.PUNCTUATION) {
+      throw syntaxErrorAt(tokens[i]);
+    }
+    i++;
+  }
+}
+
+/**
+ * Parses SET [SESSION | LOCAL] name {TO | =} value, and the SET TIME ZONE,
+ * SET NAMES and SET SCHEMA forms
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @returns {Object} {name, values, local}; values is null for DEFAULT
+ * @throws {PostgresError} 42601 on a syntax error
+ */
+function parseSetStatement(info) {
+  const tokens = settingStatementTokens(info);
+  let index = 1;
+  let local = false;
+  if (isKeywordToken(tokens[index], 'local')) {
+    local = true;
+    index++;
+  } else if (
+    isKeywordToken(tokens[index], 'session') &&
+    !isKeywordToken(tokens[index + 1], 'authorization')
+  ) {
+    index++;
+  }
+
+  // SET TIME ZONE, SET NAMES and SET SCHEMA take their value without TO or =
+  const phrases = [
+    ...SETTING_PHRASES,
+    { words: ['names'], name: 'client_encoding' },
+    { words: ['schema'], name: 'search_path' },
+  ];
+  const { name, next, phrase } = readSettingName(tokens, index, phrases);
+  if (phrase && name !== 'transaction_isolation') {
+    return { name, values: readSettingValues(tokens, next, name === 'TimeZone'), local };
+  }
+
+  if (tokens[next].value !== '=' && !isKeywordToken(tokens[next], 'to')) {
+    throw syntaxErrorAt(tokens[next]);
+  }
+  return { name, values: readSettingValues(tokens, next + 1, false), local };
+}
+
+/**
+ * Turns the value tokens of SET into setting values
+ * Names in list settings such as search_path keep their quotes where they need
+ * them, so SHOW displays them as PostgreSQL does.
+ * @param {Array<Token>|null} values - Value tokens, or null for DEFAULT
+ * @param {boolean} list - Whether the setting is a list
+ * @returns {Array<string>|null} Values, or null for DEFAULT
+ */
+function settingValues(values, list) {
+  if (values === null) {
+    return null;
+  }
+  return values.map(token => {
+    if (token.type === TOKEN_TYPES.NUMBER) {
+      return token.raw;
+    }
+    if (list && token.type === TOKEN_TYPES.IDENTIFIER && !/^[a-z_][a-z0-9_$]*$/.test(token.value)) {
+      return `"${token.value.replace(/"/g, '""')}"`;
+    }
+    return token.value;
+  });
+}
+
+/**
+ * Builds a one-column text result for SHOW
+ * @param {string} name - Column name
+ * @param {Array<Array<string>>} rows - Rows
  * @returns {QueryResult} Query result
  */
-function handleShowQuery(query, _connState) {
-  switch (query) {
-    case 'SHOW DOCS':
-    case 'SHOW DOCS;':
-      return {
-        columns: [
-          {
-            name: 'docs',
-            dataTypeOID: DATA_TYPES.TEXT,
-            dataTypeSize: -1,
-          },
-        ],
-        rows: [['https://www.postgresql.org/docs/']],
-        command: 'SHOW',
-        rowCount: 1,
-      };
+function buildShowResult(name, rows) {
+  return {
+    columns: [{ name, dataTypeOID: DATA_TYPES.TEXT, dataTypeSize: -1 }],
+    rows,
+    command: 'SHOW',
+    rowCount: rows.length,
+  };
+}
 
-    case 'SHOW SERVER_VERSION':
-    case 'SHOW SERVER_VERSION;':
-      return {
-        columns: [
-          {
-            name: 'server_version',
-            dataTypeOID: DATA_TYPES.TEXT,
-            dataTypeSize: -1,
-          },
-        ],
-        rows: [['13.0 (Mock)']],
-        command: 'SHOW',
-        rowCount: 1,
-      };
+/**
+ * Handles SHOW name, SHOW TIME ZONE and SHOW ALL
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
+ * @returns {QueryResult} Query result
+ */
+function handleShowQuery(info, connState) {
+  const tokens = settingStatementTokens(info);
 
-    case 'SHOW TIMEZONE':
-    case 'SHOW TIMEZONE;':
-    case 'SHOW TIME ZONE':
-    case 'SHOW TIME ZONE;':
+  try {
+    if (isKeywordToken(tokens[1], 'all') && tokens[2].type === TOKEN_TYPES.EOF) {
+      const rows = connState.settings
+        .list()
+        .map(definition => [
+          definition.name,
+          connState.getSetting(definition.name),
+          definition.description,
+        ])
+        .sort((a, b) => a[0].toLowerCase().localeCompare(b[0].toLowerCase()));
       return {
-        columns: [
-          {
-            name: 'TimeZone',
-            dataTypeOID: DATA_TYPES.TEXT,
-            dataTypeSize: -1,
-          },
-        ],
-        rows: [['UTC']],
+        columns: ['name', 'setting', 'description'].map(name => ({
+          name,
+          dataTypeOID: DATA_TYPES.TEXT,
+          dataTypeSize: -1,
+        })),
+        rows,
         command: 'SHOW',
-        rowCount: 1,
+        rowCount: rows.length,
       };
+    }
 
-    default:
-      // Generic SHOW response
-      return {
-        columns: [
-          {
-            name: 'setting',
-            dataTypeOID: DATA_TYPES.TEXT,
-            dataTypeSize: -1,
-          },
-        ],
-        rows: [['Mock setting value']],
-        command: 'SHOW',
-        rowCount: 1,
-      };
+    // Mock extension, kept for compatibility
+    if (isKeywordToken(tokens[1], 'docs') && tokens[2].type === TOKEN_TYPES.EOF) {
+      return buildShowResult('docs', [['https://www.postgresql.org/docs/']]);
+    }
+
+    const { name, next } = readSettingName(tokens, 1, SETTING_PHRASES);
+    if (tokens[next].type !== TOKEN_TYPES.EOF) {
+      throw syntaxErrorAt(tokens[next]);
+    }
+    const value = connState.getSetting(name);
+    return buildShowResult(connState.settings.lookup(name).name, [[value]]);
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Handles RESET name, RESET TIME ZONE and RESET ALL
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
+ * @returns {QueryResult} Query result
+ */
+function handleResetQuery(info, connState) {
+  const tokens = settingStatementTokens(info);
+
+  try {
+    if (isKeywordToken(tokens[1], 'all') && tokens[2].type === TOKEN_TYPES.EOF) {
+      connState.resetAllSettings();
+    } else {
+      const { name, next } = readSettingName(tokens, 1, SETTING_PHRASES);
+      if (tokens[next].type !== TOKEN_TYPES.EOF) {
+        throw syntaxErrorAt(tokens[next]);
+      }
+      connState.setSetting(name, null);
+    }
+    return { command: 'RESET', rowCount: 0 };
+  } catch (error) {
+    return { error };
   }
 }
 
+/**
+ * Checks whether a statement ends a transaction block, the only kind a failed block runs
+ * @param {string} query - The SQL statement
+ * @returns {boolean} True for COMMIT, END, ROLLBACK and ABORT
+ */
+function endsTransactionBlock(query) {
+  return ['COMMIT', 'END', 'ROLLBACK', 'ABORT'].includes(analyzeStatement(query).command);
+}
+
+/**
+ * Builds the warning PostgreSQL sends for a redundant BEGIN, COMMIT or ROLLBACK
+ * @param {string} code - SQLSTATE (25001 or 25P01)
+ * @param {string} message - Warning message
+ * @returns {Array<Object>} Notices for the query result
+ */
+function transactionWarning(code, message) {
+  return [{ severity: ERROR_SEVERITY.WARNING, code, message }];
+}
+
 /**
  * Handles transaction control queries (BEGIN, COMMIT, ROLLBACK)
  * @param {string} command - The transaction command
@@ -773,17 +1398,55 @@ function handleShowQuery(query, _connState) {
  * @returns {QueryResult} Query result
  */
 function handleTransactionQuery(command, connState) {
+  const inBlock = connState.transactionStatus !== TRANSACTION_STATUS.IDLE;
+
   switch (command) {
     case 'BEGIN':
+      if (inBlock) {
+        return {
+          command: 'BEGIN',
+          rowCount: 0,
+          notices: transactionWarning(
+            ERROR_CODES.ACTIVE_SQL_TRANSACTION,
+            ERROR_MESSAGES.ALREADY_IN_TRANSACTION
+          ),
+        };
+      }
       connState.transactionStatus = TRANSACTION_STATUS.IN_TRANSACTION;
       return { command: 'BEGIN', rowCount: 0 };
 
     case 'COMMIT':
-      connState.transactionStatus = TRANSACTION_STATUS.IDLE;
+      if (!inBlock) {
+        return {
+          command: 'COMMIT',
+          rowCount: 0,
+          notices: transactionWarning(
+            ERROR_CODES.NO_ACTIVE_SQL_TRANSACTION,
+            ERROR_MESSAGES.NOT_IN_TRANSACTION
+          ),
+        };
+      }
+
+      // A failed block cannot be committed; it is rolled back instead
+      if (connState.isInFailedTransaction()) {
+        connState.rollbackTransaction();
+        return { command: 'ROLLBACK', rowCount: 0 };
+      }
+      connState.commitTransaction();
       return { command: 'COMMIT', rowCount: 0 };
 
     case 'ROLLBACK':
-      connState.transactionStatus = TRANSACTION_STATUS.IDLE;
+      if (!inBlock) {
+        return {
+          command: 'ROLLBACK',
+          rowCount: 0,
+          notices: transactionWarning(
+            ERROR_CODES.NO_ACTIVE_SQL_TRANSACTION,
+            ERROR_MESSAGES.NOT_IN_TRANSACTION
+          ),
+        };
+      }
+      connState.rollbackTransaction();
       return { command: 'ROLLBACK', rowCount: 0 };
 
     default:
@@ -797,31 +1460,119 @@ function handleTransactionQuery(command, connState) {
 }
 
 /**
- * Handles SET queries
- * @param {string} query - The SET query
- * @param {ConnectionState} _connState - Connection state object
+ * Reads the action and savepoint name of SAVEPOINT, RELEASE [SAVEPOINT] and
+ * ROLLBACK [WORK | TRANSACTION] TO [SAVEPOINT]
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @returns {Object|null} {action, name}, or null for a ROLLBACK of the whole block;
+ *   name is null when it is missing
+ */
+function parseSavepointStatement(info) {
+  const words = info.tokens.filter(token => token.type === TOKEN_TYPES.IDENTIFIER);
+  // Quoted identifiers are names, never keywords
+  const isKeyword = (index, ...keywords) =>
+    index < words.length &&
+    !words[index].raw.startsWith('"') &&
+    keywords.includes(words[index].value);
+  const nameAt = index => (index < words.length ? words[index].value : null);
+
+  switch (info.command) {
+    case 'SAVEPOINT':
+      return { action: 'SAVEPOINT', name: nameAt(1) };
+    case 'RELEASE': {
+      const skip = isKeyword(1, 'savepoint') && words.length > 2 ? 1 : 0;
+      return { action: 'RELEASE', name: nameAt(1 + skip) };
+    }
+    default: {
+      let index = isKeyword(1, 'work', 'transaction') ? 2 : 1;
+      if (!isKeyword(index, 'to')) {
+        return null;
+      }
+      index += isKeyword(index + 1, 'savepoint') && words.length > index + 2 ? 2 : 1;
+      return { action: 'ROLLBACK TO', name: nameAt(index) };
+    }
+  }
+}
+
+/**
+ * Handles SAVEPOINT, RELEASE SAVEPOINT and ROLLBACK TO SAVEPOINT
+ * Savepoints live on the connection's transaction journal, so rolling back to one
+ * also undoes the table changes made after it.
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
  * @returns {QueryResult} Query result
  */
-function handleSetQuery(query, _connState) {
-  // Simple SET command parsing
-  const setMatch = query.match(/SET\s+(\w+)\s+(?:=\s*|\s+TO\s+)(.+)/i);
+function handleSavepointQuery(info, connState) {
+  const { action, name } = parseSavepointStatement(info);
 
-  if (setMatch) {
-    const [, parameter, value] = setMatch;
-    console.log(`Setting parameter ${parameter} = ${value}`);
+  if (!name) {
+    return { error: createError(ERROR_CODES.SYNTAX_ERROR, 'syntax error at end of input') };
+  }
+  if (connState.transactionStatus === TRANSACTION_STATUS.IDLE) {
+    const statement = action === 'SAVEPOINT' ? 'SAVEPOINT' : `${action} SAVEPOINT`;
+    return {
+      error: createError(
+        ERROR_CODES.NO_ACTIVE_SQL_TRANSACTION,
+        `${statement} can only be used in transaction blocks`
+      ),
+    };
+  }
 
-    // In a real implementation, we'd update server state
-    return { command: 'SET', rowCount: 0 };
+  switch (action) {
+    case 'SAVEPOINT':
+      connState.defineSavepoint(name);
+      return { command: 'SAVEPOINT', rowCount: 0 };
+    case 'RELEASE':
+      if (!connState.releaseSavepoint(name)) {
+        break;
+      }
+      return { command: 'RELEASE', rowCount: 0 };
+    default:
+      if (!connState.rollbackToSavepoint(name)) {
+        break;
+      }
+      // Tagged ROLLBACK like a full rollback, but the block stays open
+      return { command: 'ROLLBACK', rowCount: 0, savepoint: name };
   }
 
   return {
-    error: {
-      code: ERROR_CODES.SYNTAX_ERROR,
-      message: ERROR_MESSAGES.INVALID_SET_SYNTAX,
-    },
+    error: createError(
+      ERROR_CODES.INVALID_SAVEPOINT_SPECIFICATION,
+      `savepoint "${name}" does not exist`
+    ),
   };
 }
 
+/**
+ * Handles SET queries
+ * SET LOCAL lasts until the end of the transaction; outside a transaction block
+ * it only draws a warning, as in PostgreSQL.
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
+ * @returns {QueryResult} Query result
+ */
+function handleSetQuery(info, connState) {
+  try {
+    const { name, values, local } = parseSetStatement(info);
+
+    if (local && connState.transactionStatus === TRANSACTION_STATUS.IDLE) {
+      return {
+        command: 'SET',
+        rowCount: 0,
+        notices: transactionWarning(
+          ERROR_CODES.NO_ACTIVE_SQL_TRANSACTION,
+          'SET LOCAL can only be used in transaction blocks'
+        ),
+      };
+    }
+
+    const { list } = connState.settings.lookup(name, true);
+    connState.setSetting(name, settingValues(values, Boolean(list)), { local });
+    return { command: 'SET', rowCount: 0 };
+  } catch (error) {
+    return { error };
+  }
+}
+
 /**
  * Handles INSERT queries (mock implementation)
  * @param {string} _query - The INSERT query
@@ -894,9 +1645,11 @@ function handleCreateQuery(query, _connState, config = null) {
  * @returns {QueryResult} Query result
  */
 function handleDropQuery(query, _connState) {
-  if (query.includes('TABLE')) {
+  const upperQuery = query.toUpperCase();
+
+  if (upperQuery.includes('TABLE')) {
     return { command: 'DROP TABLE', rowCount: 0 };
-  } else if (query.includes('INDEX')) {
+  } else if (upperQuery.includes('INDEX')) {
     return { command: 'DROP INDEX', rowCount: 0 };
   } else {
     return { command: 'DROP', rowCount: 0 };
@@ -1078,37 +1831,24 @@ function updateTransactionStatus(connState, command) {
 }
 
 /**
- * Validates SQL query syntax (basic implementation)
+ * Validates SQL query syntax (lexical checks only)
  * @param {string} query - Query to validate
  * @returns {Object} Validation result with isValid and error
  */
 function validateQuery(query) {
-  if (!query || query.trim().length === 0) {
-    return {
-      isValid: false,
-      error: ErrorFactory.emptyQuery(),
-    };
-  }
-
-  // Basic syntax validation - check for unmatched quotes
-  const singleQuotes = (query.match(/'/g) || []).length;
-  const doubleQuotes = (query.match(/"/g) || []).length;
-
-  if (singleQuotes % 2 !== 0) {
-    // Find position of unterminated string
-    const lastQuotePos = query.lastIndexOf("'");
-    return {
-      isValid: false,
-      error: ErrorFactory.unterminatedString(lastQuotePos + 1),
-    };
+  let tokens = [];
+  try {
+    tokens = query ? tokenize(query) : [];
+  } catch (error) {
+    // Unterminated strings, quoted identifiers, comments and dollar quotes
+    return { isValid: false, error };
   }
 
-  if (doubleQuotes % 2 !== 0) {
-    // Find position of unterminated identifier
-    const lastQuotePos = query.lastIndexOf('"');
+  // A query containing only whitespace and comments is empty
+  if (tokens.length <= 1) {
     return {
       isValid: false,
-      error: ErrorFactory.unterminatedIdentifier(lastQuotePos + 1),
+      error: ErrorFactory.emptyQuery(),
     };
   }
 
@@ -1121,9 +1861,11 @@ function validateQuery(query) {
  * @returns {string} Query type (SELECT, INSERT, etc.)
  */
 function getQueryType(query) {
-  const trimmed = query.trim().toUpperCase();
-  const firstWord = trimmed.split(/\s+/)[0];
-  return firstWord || 'UNKNOWN';
+  try {
+    return analyzeStatement(query).command || 'UNKNOWN';
+  } catch (_error) {
+    return 'UNKNOWN';
+  }
 }
 
 /**
@@ -2702,13 +3444,18 @@ function generateMockQueryCopyData(query, rowCount) {
 
 module.exports = {
   executeQuery,
+  sendPortalRows,
   executeQueryString,
   processQuery,
+  describeQuery,
+  describeParameters,
   handleSelectQuery,
   handleArrayQuery,
   handleShowQuery,
   handleTransactionQuery,
+  handleSavepointQuery,
   handleSetQuery,
+  handleResetQuery,
   handleInsertQuery,
   handleUpdateQuery,
   handleDeleteQuery,
@@ -0,0 +1,962 @@
+/**
+ * Table Statement Handlers
+ * Executes CREATE TABLE / DROP TABLE / INSERT / UPDATE / DELETE / SELECT against the table store
+ */
+
+const { DATA_TYPES, ERROR_CODES } = require('../protocol/constants');
+const { createError, ErrorFactory } = require('../utils/errorHandler');
+const {
+  containsAggregate,
+  inferType,
+  evaluateExpression,
+  evaluateCondition,
+} = require('../sql/evaluator');
+const { typeFromOID, formatValue, compareValues } = require('../sql/types');
+const { TOKEN_TYPES } = require('../sql/tokenizer');
+const { BOOTSTRAP_SUPERUSER_OID, getPasswordSecret } = require('../storage/roleStore');
+
+/**
+ * Errors from FROM-less SELECTs that mean "not modelled by the evaluator" rather
+ * than "invalid query"; those statements are left to the mock handlers
+ */
+const UNMODELLED_ERROR_CODES = [
+  ERROR_CODES.UNDEFINED_FUNCTION,
+  ERROR_CODES.UNDEFINED_OBJECT,
+  ERROR_CODES.UNDEFINED_PARAMETER,
+];
+
+/**
+ * Attempts to execute a statement against the in-memory table store
+ *
+ * Returns null when the statement is not a table statement or references a table
+ * the store does not know about, so the caller can fall back to the mock handlers.
+ * SELECTs without FROM are evaluated here too, so literals keep their casing.
+ *
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Object} options - Execution options ({params, paramTypes})
+ * @returns {QueryResult|null} Query result, or null if the store does not handle it
+ */
+function handleTableStatement(info, connState, options = {}) {
+  if (info.parseError) {
+    // Only CREATE TABLE is owned outright by the store; anything else the
+    // parser cannot handle is left to the mock handlers
+    if (info.command === 'CREATE' && info.tokens[1].value === 'table') {
+      throw info.parseError;
+    }
+    return null;
+  }
+  const statement = info.tree;
+  if (!statement) {
+    return null;
+  }
+
+  const store = connState.getTableStore();
+  const context = {
+    params: options.params || [],
+    paramTypes: options.paramTypes || [],
+    connState,
+    sleep: { ms: 0 },
+  };
+
+  // Tables are captured before they are created or dropped, and executeInsert(),
+  // executeUpdate() and executeDelete() record the rows they change, so ROLLBACK and
+  // ROLLBACK TO SAVEPOINT can undo it
+  for (const table of createdOrDroppedTables(statement)) {
+    connState.recordTableChange(store, table.name, table.schema);
+  }
+
+  const result = executeTableStatement(statement, store, context);
+
+  // pg_sleep() calls are served by delaying the response (see executeQuery)
+  if (result && context.sleep.ms > 0) {
+    result.sleepMs = context.sleep.ms;
+  }
+  return result;
+}
+
+/**
+ * Describes the rows a statement would return, without changing anything
+ *
+ * SELECTs are run, as they have no effects, so the description is exactly the
+ * shape Execute sends; if computing the rows fails, the description comes from the
+ * target list instead, as the error belongs to Execute. Other statements are
+ * described from their parse tree.
+ *
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Object} options - Bound parameters and parameter types ({params, paramTypes})
+ * @returns {Object|null} {columns}, with null columns for statements that return no
+ *   rows, or null if the store does not handle the statement
+ */
+function describeTableStatement(info, connState, options = {}) {
+  const statement = info.tree;
+  if (info.parseError || !statement) {
+    return null;
+  }
+
+  const store = connState.getTableStore();
+  const paramTypes = options.paramTypes || [];
+  const context = {
+    // A statement described before Bind has no values yet; NULL stands in for them
+    params: options.params || paramTypes.map(() => null),
+    paramTypes,
+    connState,
+    sleep: { ms: 0 },
+    describing: true,
+  };
+
+  switch (statement.type) {
+    case 'createTable':
+      return { columns: null };
+    case 'dropTable': {
+      const known = statement.tables.every(table => store.hasTable(table.name, table.schema));
+      return known || statement.ifExists ? { columns: null } : null;
+    }
+    case 'insert':
+    case 'update':
+    case 'delete': {
+      const table = lookupTable(statement.table, store);
+      if (!table) {
+        return null;
+      }
+      if (!statement.returning) {
+        return { columns: null };
+      }
+      const scope = tableScope(table, statement.table, context);
+      return { columns: describeTargets(statement.returning, table, scope) };
+    }
+    case 'select':
+      return describeSelect(statement, store, context);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describes a SELECT by running it
+ * @param {Object} statement - Select statement tree
+ * @param {TableStore} store - Table store
+ * @param {Object} context - Base evaluation context
+ * @returns {Object|null} {columns}, or null if the store does not handle the statement
+ */
+function describeSelect(statement, store, context) {
+  let result;
+  try {
+    result = executeTableStatement(statement, store, context);
+  } catch (error) {
+    const table = statement.from
+      ? lookupRelation(statement.from, store, context)
+      : { oid: 0, name: null, columns: [] };
+    const scope = tableScope(table, statement.from || { alias: null }, context);
+    return { columns: describeTargets(statement.targets, table, scope) };
+  }
+  return result ? { columns: result.columns } : null;
+}
+
+/**
+ * Builds the RowDescription column descriptors of a target list
+ * @param {Array<Object>} targets - Target list
+ * @param {StoredTable} table - Table in scope
+ * @param {EvaluationContext} scope - Evaluation scope
+ * @returns {Array<Object>} Column descriptors
+ */
+function describeTargets(targets, table, scope) {
+  return expandTargets(targets, table, scope).map(
+    target => describeTarget(target, table, scope).descriptor
+  );
+}
+
+/**
+ * Infers the types of a statement's $n parameters
+ *
+ * Types declared in Parse are kept. The others come from where a parameter is
+ * used: the column it is compared with, inserted into or assigned to, the type it
+ * is cast to, the other operand of an operator, or LIMIT and OFFSET. A parameter
+ * whose use says nothing about its type is text.
+ *
+ * @param {StatementInfo} info - Analyzed statement (see sql/parser.js)
+ * @param {ConnectionState} connState - Connection state object
+ * @param {Array<number>} declared - Parameter type OIDs from Parse (0 for unspecified)
+ * @returns {Array<number>} Parameter type OIDs, one per parameter
+ */
+function inferParameterTypes(info, connState, declared = []) {
+  const indexes = info.tokens
+    .filter(token => token.type === TOKEN_TYPES.PARAM)
+    .map(token => parseInt(token.value, 10));
+  const types = Array.from(
+    { length: Math.max(declared.length, ...indexes) },
+    (_, i) => declared[i] || 0
+  );
+
+  if (!info.parseError && info.tree) {
+    collectParameterTypes(info.tree, connState.getTableStore(), types);
+  }
+  return types.map(oid => oid || DATA_TYPES.TEXT);
+}
+
+/**
+ * Fills in the unknown entries of a parameter type list from a statement tree
+ * @param {Object} statement - Statement tree
+ * @param {TableStore} store - Table store
+ * @param {Array<number>} types - Parameter type OIDs, 0 where still unknown (updated in place)
+ */
+function collectParameterTypes(statement, store, types) {
+  const reference = statement.table || statement.from;
+  const table = reference ? lookupTable(reference, store) : null;
+  const scope = table
+    ? tableScope(table, reference, { paramTypes: types })
+    : { columnTypes: {}, paramTypes: types };
+
+  // Gives a parameter the type of whatever it meets, if that type can be worked out
+  const expect = (node, getType) => {
+    if (!node || node.type !== 'param' || types[node.index - 1] !== 0) {
+      return;
+    }
+    let type = null;
+    try {
+      type = getType();
+    } catch (error) {
+      // Unknown columns and types are reported when the statement runs
+    }
+    if (type) {
+      types[node.index - 1] = type.oid;
+    }
+  };
+  // A parameter met by another parameter of unknown type stays unknown
+  const typeOf = node => () =>
+    node.type === 'param' && types[node.index - 1] === 0 ? null : inferType(node, scope);
+  const text = () => ({ oid: DATA_TYPES.TEXT });
+  const columnType = name => () => store.getColumn(table, name).type;
+
+  if (statement.type === 'insert' && table) {
+    const names = statement.columns || table.columns.map(column => column.name);
+    for (const row of statement.values) {
+      row.forEach((expression, index) => {
+        if (index < names.length) {
+          expect(expression, columnType(names[index]));
+        }
+      });
+    }
+  }
+  if (statement.type === 'update' && table) {
+    for (const { column, expression } of statement.assignments) {
+      expect(expression, columnType(column));
+    }
+  }
+  expect(statement.limit, () => ({ oid: DATA_TYPES.INT8 }));
+  expect(statement.offset, () => ({ oid: DATA_TYPES.INT8 }));
+
+  const visit = node => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    switch (node.type) {
+      case 'cast':
+        expect(node.expression, typeOf(node));
+        break;
+      case 'binary':
+      case 'distinctFrom':
+        if (node.operator === '||') {
+          expect(node.left, text);
+          expect(node.right, text);
+        } else if (node.operator !== 'AND' && node.operator !== 'OR') {
+          expect(node.left, typeOf(node.right));
+          expect(node.right, typeOf(node.left));
+        }
+        break;
+      case 'in':
+        for (const item of node.list) {
+          expect(item, typeOf(node.expression));
+          expect(node.expression, typeOf(item));
+        }
+        break;
+      case 'between':
+        expect(node.low, typeOf(node.expression));
+        expect(node.high, typeOf(node.expression));
+        expect(node.expression, typeOf(node.low));
+        break;
+      case 'like':
+        expect(node.expression, text);
+        expect(node.pattern, text);
+        break;
+      default:
+        break;
+    }
+    for (const value of Object.values(node)) {
+      (Array.isArray(value) ? value : [value]).forEach(visit);
+    }
+  };
+  visit(statement);
+}
+
+/**
+ * Lists the tables a statement may create or drop
+ * @param {Object} statement - Statement tree
+ * @returns {Array<Object>} Table references ({schema, name})
+ */
+function createdOrDroppedTables(statement) {
+  switch (statement.type) {
+    case 'createTable':
+      return [statement.table];
+    case 'dropTable':
+      return statement.tables;
+    default:
+      return [];
+  }
+}
+
+/**
+ * Executes a parsed statement against the table store
+ * @param {Object} statement - Statement tree
+ * @param {TableStore} store - Table store
+ * @param {EvaluationContext} context - Base evaluation context
+ * @returns {QueryResult|null} Query result, or null if the store does not handle it
+ */
+function executeTableStatement(statement, store, context) {
+  switch (statement.type) {
+    case 'createTable':
+      store.createTable(statement);
+      return { command: 'CREATE TABLE', rowCount: 0 };
+    case 'dropTable':
+      return executeDropTable(statement, store);
+    case 'insert':
+      return executeInsert(statement, store, context);
+    case 'update':
+      return executeUpdate(statement, store, context);
+    case 'delete':
+      return executeDelete(statement, store, context);
+    case 'select':
+      return statement.from
+        ? executeSelect(statement, store, context)
+        : executeSelectWithoutFrom(statement, store, context);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Looks up the table a DML statement targets
+ * @param {Object} reference - Table reference ({schema, name, alias})
+ * @param {TableStore} store - Table store
+ * @returns {StoredTable|null} Table or null if unknown to the store
+ */
+function lookupTable(reference, store) {
+  return reference ? store.getTable(reference.name, reference.schema) : null;
+}
+
+/**
+ * Looks up the relation a SELECT reads, which may also be a system catalog built
+ * from server state
+ * @param {Object} reference - Table reference ({schema, name, alias})
+ * @param {TableStore} store - Table store
+ * @param {EvaluationContext} context - Base evaluation context
+ * @returns {StoredTable|null} Table or catalog, or null if unknown to the store
+ */
+function lookupRelation(reference, store, context) {
+  return lookupCatalog(reference, context.connState) || lookupTable(reference, store);
+}
+
+/**
+ * Builds the system catalogs the table store can answer for; as pg_catalog comes
+ * first on the search path, their names need no schema
+ * @param {Object} reference - Table reference ({schema, name, alias})
+ * @param {ConnectionState} connState - Connection state object
+ * @returns {StoredTable|null} Catalog as a read-only table, or null
+ */
+function lookupCatalog(reference, connState) {
+  if (!connState || (reference.schema && reference.schema !== 'pg_catalog')) {
+    return null;
+  }
+  const column = (name, oid, attnum) => ({ name, type: typeFromOID(oid), attnum });
+  const roleStore = connState.getRoleStore();
+
+  if (reference.name === 'pg_largeobject_metadata') {
+    // Without a role store, owners show as the bootstrap superuser, as in pg_class
+    const ownerOID = owner => {
+      const role = roleStore && roleStore.getRole(owner);
+      return role ? role.oid : BOOTSTRAP_SUPERUSER_OID;
+    };
+    return {
+      oid: 2995,
+      schema: 'pg_catalog',
+      name: 'pg_largeobject_metadata',
+      columns: [
+        column('oid', DATA_TYPES.OID, 1),
+        column('lomowner', DATA_TYPES.OID, 2),
+        column('lomacl', DATA_TYPES.ACLITEM_ARRAY, 3),
+      ],
+      rows: connState
+        .getLargeObjectStore()
+        .listObjects()
+        .map(object => ({ oid: object.oid, lomowner: ownerOID(object.owner), lomacl: null })),
+    };
+  }
+
+  if ((reference.name === 'pg_roles' || reference.name === 'pg_authid') && roleStore) {
+    // pg_authid holds the password secrets, which the pg_roles view masks
+    const authid = reference.name === 'pg_authid';
+    const attributes = ['rolsuper', 'rolinherit', 'rolcreaterole', 'rolcreatedb', 'rolcanlogin'];
+    const names = authid
+      ? ['oid', 'rolname', ...attributes, 'rolreplication', 'rolbypassrls', 'rolconnlimit']
+      : ['rolname', ...attributes, 'rolreplication', 'rolconnlimit'];
+    names.push('rolpassword', 'rolvaliduntil');
+    if (!authid) {
+      names.push('rolbypassrls', 'rolconfig', 'oid');
+    }
+    const types = {
+      oid: DATA_TYPES.OID,
+      rolname: DATA_TYPES.NAME,
+      rolconnlimit: DATA_TYPES.INT4,
+      rolpassword: DATA_TYPES.TEXT,
+      rolvaliduntil: DATA_TYPES.TIMESTAMPTZ,
+      rolconfig: DATA_TYPES.TEXT_ARRAY,
+    };
+    return {
+      // pg_roles is a view, which has no fixed OID
+      oid: authid ? 1260 : 0,
+      schema: 'pg_catalog',
+      name: reference.name,
+      columns: names.map((name, i) => column(name, types[name] || DATA_TYPES.BOOL, i + 1)),
+      rows: roleStore.listRoles().map(role => {
+        // The bootstrap superuser has every attribute, as initdb creates it
+        const bootstrap = role.oid === BOOTSTRAP_SUPERUSER_OID;
+        const secret = getPasswordSecret(role);
+        const settings = Object.entries(role.settings).map(([name, value]) => `${name}=${value}`);
+        return {
+          oid: role.oid,
+          rolname: role.name,
+          rolsuper: role.superuser,
+          rolinherit: true,
+          rolcreaterole: role.createrole,
+          rolcreatedb: role.createdb,
+          rolcanlogin: role.login,
+          rolreplication: bootstrap,
+          rolbypassrls: bootstrap,
+          rolconnlimit: role.connectionLimit,
+          rolpassword: authid || secret === null ? secret : '********',
+          rolvaliduntil: null,
+          rolconfig: settings.length > 0 ? settings : null,
+        };
+      }),
+    };
+  }
+  return null;
+}
+
+/**
+ * Builds the evaluation scope for rows of a table
+ * @param {StoredTable} table - Table in scope
+ * @param {Object} reference - Table reference ({alias})
+ * @param {Object} context - Base evaluation context
+ * @returns {EvaluationContext} Context with column types and qualifiers
+ */
+function tableScope(table, reference, context) {
+  const columnTypes = {};
+  for (const column of table.columns) {
+    columnTypes[column.name] = column.type;
+  }
+  return {
+    ...context,
+    columnTypes,
+    tableNames: [reference.alias || table.name],
+  };
+}
+
+/**
+ * Executes DROP TABLE
+ * @param {Object} statement - Drop table statement tree
+ * @param {TableStore} store - Table store
+ * @returns {QueryResult|null} Query result, or null if a table is unknown to the store
+ */
+function executeDropTable(statement, store) {
+  const known = statement.tables.every(table => store.hasTable(table.name, table.schema));
+  if (!known && !statement.ifExists) {
+    return null;
+  }
+  for (const table of statement.tables) {
+    store.dropTable(table.name, { schema: table.schema, ifExists: true });
+  }
+  return { command: 'DROP TABLE', rowCount: 0 };
+}
+
+/**
+ * Executes INSERT
+ * @param {Object} statement - Insert statement tree
+ * @param {TableStore} store - Table store
+ * @param {Object} context - Base evaluation context
+ * @returns {QueryResult|null} Query result, or null if the table is unknown to the store
+ */
+function executeInsert(statement, store, context) {
+  const table = lookupTable(statement.table, store);
+  if (!table) {
+    return null;
+  }
+
+  const targetColumns = statement.columns
+    ? statement.columns.map(name => store.getColumn(table, name))
+    : table.columns;
+  const valueRows = statement.defaultValues ? [[]] : statement.values;
+
+  const rowValues = valueRows.map(expressions => {
+    if (expressions.length > targetColumns.length) {
+      throw ErrorFactory.syntaxError('INSERT has more expressions than target columns');
+    }
+    if (statement.columns && expressions.length < targetColumns.length) {
+      throw ErrorFactory.syntaxError('INSERT has more target columns than expressions');
+    }
+    const values = {};
+    expressions.forEach((expression, index) => {
+      if (expression.type !== 'default') {
+        values[targetColumns[index].name] = evaluateExpression(expression, context);
+      }
+    });
+    return values;
+  });
+
+  const inserted = store.insertRows(table, rowValues, expression =>
+    evaluateExpression(expression, context)
+  );
+  context.connState.recordRowChanges(store, table, { inserted });
+  return buildReturningResult('INSERT', inserted, statement, table, context);
+}
+
+/**
+ * Executes UPDATE
+ * @param {Object} statement - Update statement tree
+ * @param {TableStore} store - Table store
+ * @param {Object} context - Base evaluation context
+ * @returns {QueryResult|null} Query result, or null if the table is unknown to the store
+ */
+function executeUpdate(statement, store, context) {
+  const table = lookupTable(statement.table, store);
+  if (!table) {
+    return null;
+  }
+
+  const scope = tableScope(table, statement.table, context);
+  for (const assignment of statement.assignments) {
+    store.getColumn(table, assignment.column);
+  }
+
+  const evaluateDefault = expression => evaluateExpression(expression, context);
+  const updates = table.rows
+    .filter(row => !statement.where || evaluateCondition(statement.where, { ...scope, row }))
+    .map(row => {
+      const changes = {};
+      for (const { column, expression } of statement.assignments) {
+        changes[column] =
+          expression.type === 'default'
+            ? store.defaultFor(table, store.getColumn(table, column), evaluateDefault)
+            : evaluateExpression(expression, { ...scope, row });
+      }
+      return { row, changes };
+    });
+
+  const updated = store.updateRows(table, updates);
+  context.connState.recordRowChanges(store, table, {
+    updated: updates.map(({ row }, index) => ({ before: row, after: updated[index] })),
+  });
+  return buildReturningResult('UPDATE', updated, statement, table, context);
+}
+
+/**
+ * Executes DELETE
+ * @param {Object} statement - Delete statement tree
+ * @param {TableStore} store - Table store
+ * @param {Object} context - Base evaluation context
+ * @returns {QueryResult|null} Query result, or null if the table is unknown to the store
+ */
+function executeDelete(statement, store, context) {
+  const table = lookupTable(statement.table, store);
+  if (!table) {
+    return null;
+  }
+
+  const scope = tableScope(table, statement.table, context);
+  const doomed = table.rows.filter(
+    row => !statement.where || evaluateCondition(statement.where, { ...scope, row })
+  );
+  const deleted = store.deleteRows(table, doomed);
+  context.connState.recordRowChanges(store, table, { deleted });
+  return buildReturningResult('DELETE', deleted, statement, table, context);
+}
+
+/**
+ * Builds the result of a DML statement, projecting RETURNING targets if present
+ * @param {string} command - Command tag name
+ * @param {Array<Object>} rows - Affected rows
+ * @param {Object} statement - Statement tree
+ * @param {StoredTable} table - Target table
+ * @param {Object} context - Base evaluation context
+ * @returns {QueryResult} Query result
+ */
+function buildReturningResult(command, rows, statement, table, context) {
+  if (!statement.returning) {
+    return { command, rowCount: rows.length };
+  }
+  const scope = tableScope(table, statement.table, context);
+  const projection = projectRows(statement.returning, rows, table, scope);
+  return {
+    columns: projection.columns,
+    rows: projection.rows,
+    command,
+    rowCount: rows.length,
+  };
+}
+
+/**
+ * Expands `*` and `t.*` targets into column references
+ * @param {Array<Object>} targets - Target list
+ * @param {StoredTable} table - Table in scope
+ * @param {EvaluationContext} scope - Evaluation scope
+ * @returns {Array<Object>} Expanded targets ({expression, alias, column})
+ */
+function expandTargets(targets, table, scope) {
+  const expanded = [];
+  for (const target of targets) {
+    if (!target.star) {
+      expanded.push(target);
+      continue;
+    }
+    if (!table.name) {
+      throw ErrorFactory.syntaxError('SELECT * with no tables specified is not valid');
+    }
+    if (target.table && !scope.tableNames.includes(target.table)) {
+      throw createError(
+        ERROR_CODES.UNDEFINED_TABLE,
+        `missing FROM-clause entry for table "${target.table}"`
+      );
+    }
+    for (const column of table.columns) {
+      expanded.push({
+        expression: { type: 'column', table: null, name: column.name },
+        alias: null,
+        column,
+      });
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Derives the output column name of a target, following PostgreSQL's rules
+ * @param {Object} target - Select target
+ * @returns {string} Output column name
+ */
+function targetName(target) {
+  if (target.alias) {
+    return target.alias;
+  }
+  let expression = target.expression;
+  while (expression.type === 'cast') {
+    if (expression.expression.type !== 'column' && expression.expression.type !== 'function') {
+      return expression.typeName.name;
+    }
+    expression = expression.expression;
+  }
+  if (expression.type === 'column' || expression.type === 'function') {
+    return expression.name;
+  }
+  if (expression.type === 'case') {
+    return 'case';
+  }
+  return '?column?';
+}
+
+/**
+ * Builds a RowDescription column descriptor for a target
+ * @param {Object} target - Expanded select target
+ * @param {StoredTable} table - Table in scope
+ * @param {EvaluationContext} scope - Evaluation scope
+ * @returns {Object} Column descriptor and resolved type ({descriptor, type})
+ */
+function describeTarget(target, table, scope) {
+  const type = inferType(target.expression, scope);
+  const column =
+    target.column ||
+    (target.expression.type === 'column'
+      ? table.columns.find(col => col.name === target.expression.name)
+      : null);
+
+  return {
+    type,
+    descriptor: {
+      name: targetName(target),
+      tableOID: column ? table.oid : 0,
+      tableAttributeNumber: column ? column.attnum : 0,
+      dataTypeOID: type.oid,
+      dataTypeSize: type.size,
+      typeModifier: type.modifier,
+      format: 0,
+    },
+  };
+}
+
+/**
+ * Projects rows through a target list, formatting values as text
+ * @param {Array<Object>} targets - Target list
+ * @param {Array<Object>} rows - Source rows
+ * @param {StoredTable} table - Table in scope
+ * @param {EvaluationContext} scope - Evaluation scope
+ * @returns {Object} Projection ({columns, rows})
+ */
+function projectRows(targets, rows, table, scope) {
+  const expanded = expandTargets(targets, table, scope);
+  const described = expanded.map(target => describeTarget(target, table, scope));
+  return {
+    columns: described.map(entry => entry.descriptor),
+    rows: rows.map(row =>
+      expanded.map((target, index) =>
+        formatOutput(
+          evaluateExpression(target.expression, { ...scope, row }),
+          described[index].type
+        )
+      )
+    ),
+  };
+}
+
+/**
+ * Formats a value for a text-format DataRow
+ * @param {*} value - Value
+ * @param {ResolvedType} type - Value type
+ * @returns {string|null} Text value or null
+ */
+function formatOutput(value, type) {
+  return value === null || value === undefined ? null : formatValue(value, type);
+}
+
+/**
+ * Finds the first column reference outside an aggregate call
+ * @param {Object} node - Expression node
+ * @returns {Object|null} Column node or null
+ */
+function findUngroupedColumn(node) {
+  if (!node || typeof node !== 'object') {
+    return null;
+  }
+  if (node.type === 'column') {
+    return node;
+  }
+  if (node.type === 'function' && containsAggregate({ ...node, args: [] })) {
+    return null;
+  }
+  for (const value of Object.values(node)) {
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      const found = findUngroupedColumn(child);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluates a LIMIT or OFFSET expression
+ * @param {Object|null} expression - Expression or null
+ * @param {Object} context - Base evaluation context
+ * @param {string} clause - Clause name for error messages
+ * @returns {number|null} Row count or null for no limit
+ */
+function evaluateRowCount(expression, context, clause) {
+  if (!expression) {
+    return null;
+  }
+  const value = evaluateExpression(expression, context);
+  if (value === null) {
+    return null;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count)) {
+    throw createError(
+      ERROR_CODES.INVALID_TEXT_REPRESENTATION,
+      `invalid input syntax for type bigint: "${value}"`
+    );
+  }
+  if (count < 0) {
+    throw createError(
+      clause === 'LIMIT'
+        ? ERROR_CODES.INVALID_ROW_COUNT_IN_LIMIT_CLAUSE
+        : ERROR_CODES.INVALID_ROW_COUNT_IN_RESULT_OFFSET_CLAUSE,
+      `${clause} must not be negative`
+    );
+  }
+  return count;
+}
+
+/**
+ * Executes SELECT against a single table, or against no table at all
+ * @param {Object} statement - Select statement tree
+ * @param {TableStore} store - Table store
+ * @param {Object} context - Base evaluation context
+ * @returns {QueryResult|null} Query result, or null if the table is unknown to the store
+ */
+function executeSelect(statement, store, context) {
+  // A FROM-less SELECT is evaluated over a single empty row of a column-less table
+  const reference = statement.from || { alias: null };
+  const table = statement.from
+    ? lookupRelation(statement.from, store, context)
+    : { oid: 0, name: null, columns: [], rows: [{}] };
+  if (!table) {
+    return null;
+  }
+
+  const scope = tableScope(table, reference, context);
+  const expanded = expandTargets(statement.targets, table, scope);
+  const described = expanded.map(target => describeTarget(target, table, scope));
+  const columns = described.map(entry => entry.descriptor);
+
+  const matching = table.rows.filter(
+    row => !statement.where || evaluateCondition(statement.where, { ...scope, row })
+  );
+
+  const aggregated =
+    expanded.some(target => containsAggregate(target.expression)) ||
+    statement.orderBy.some(item => containsAggregate(item.expression));
+
+  // Each entry pairs the output values with the context used to compute them,
+  // so ORDER BY can refer to columns that are not in the target list
+  let entries;
+  if (aggregated) {
+    for (const expression of [
+      ...expanded.map(target => target.expression),
+      ...statement.orderBy.map(item => item.expression),
+    ]) {
+      const column = findUngroupedColumn(expression);
+      if (column) {
+        const qualified = `${reference.alias || table.name}.${column.name}`;
+        throw createError(
+          ERROR_CODES.GROUPING_ERROR,
+          `column "${qualified}" must appear in the GROUP BY clause or be used in an aggregate function`,
+          { position: column.position ? String(column.position) : undefined }
+        );
+      }
+    }
+    const groupContext = { ...scope, row: {}, groupRows: matching };
+    entries = [
+      {
+        context: groupContext,
+        values: expanded.map(target => evaluateExpression(target.expression, groupContext)),
+      },
+    ];
+  } else {
+    entries = matching.map(row => {
+      const rowContext = { ...scope, row };
+      return {
+        context: rowContext,
+        values: expanded.map(target => evaluateExpression(target.expression, rowContext)),
+      };
+    });
+  }
+
+  if (statement.orderBy.length > 0) {
+    sortEntries(entries, statement.orderBy, columns);
+  }
+
+  let rows = entries.map(entry =>
+    entry.values.map((value, index) => formatOutput(value, described[index].type))
+  );
+
+  if (statement.distinct) {
+    const seen = new Set();
+    rows = rows.filter(row => {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  const offset = evaluateRowCount(statement.offset, context, 'OFFSET') || 0;
+  const limit = evaluateRowCount(statement.limit, context, 'LIMIT');
+  rows = rows.slice(offset, limit === null ? undefined : offset + limit);
+
+  return {
+    columns,
+    rows,
+    command: 'SELECT',
+    rowCount: rows.length,
+  };
+}
+
+/**
+ * Executes a SELECT without FROM, leaving functions, types and parameters the
+ * evaluator does not model to the mock handlers
+ * @param {Object} statement - Select statement tree
+ * @param {TableStore} store - Table store
+ * @param {Object} context - Base evaluation context
+ * @returns {QueryResult|null} Query result, or null to fall back to the mock handlers
+ */
+function executeSelectWithoutFrom(statement, store, context) {
+  try {
+    return executeSelect(statement, store, context);
+  } catch (error) {
+    if (UNMODELLED_ERROR_CODES.includes(error.code) && !error.modelled) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sorts result entries in place according to an ORDER BY list
+ *
+ * Sort keys may be output column ordinals (ORDER BY 2), output column names or
+ * aliases, or arbitrary expressions over the source row.
+ *
+ * @param {Array<Object>} entries - Result entries ({context, values})
+ * @param {Array<Object>} orderBy - Sort items ({expression, descending, nullsFirst})
+ * @param {Array<Object>} columns - Output column descriptors
+ */
+function sortEntries(entries, orderBy, columns) {
+  const keyGetters = orderBy.map(item => {
+    const { expression } = item;
+    if (expression.type === 'literal' && expression.literalType === 'integer') {
+      const ordinal = expression.value;
+      if (ordinal < 1 || ordinal > columns.length) {
+        throw ErrorFactory.syntaxError(`ORDER BY position ${ordinal} is not in select list`, {
+          position: expression.position ? String(expression.position) : undefined,
+        });
+      }
+      return entry => entry.values[ordinal - 1];
+    }
+    if (expression.type === 'column' && !expression.table) {
+      const outputIndex = columns.findIndex(column => column.name === expression.name);
+      if (outputIndex !== -1) {
+        return entry => entry.values[outputIndex];
+      }
+    }
+    return entry => evaluateExpression(expression, entry.context);
+  });
+
+  const keyed = entries.map(entry => ({ entry, keys: keyGetters.map(getKey => getKey(entry)) }));
+  keyed.sort((a, b) => {
+    for (let i = 0; i < orderBy.length; i++) {
+      const { descending, nullsFirst } = orderBy[i];
+      const left = a.keys[i];
+      const right = b.keys[i];
+      if (left === null && right === null) continue;
+      if (left === null) return nullsFirst ? -1 : 1;
+      if (right === null) return nullsFirst ? 1 : -1;
+      const comparison = compareValues(left, right);
+      if (comparison !== 0) {
+        return descending ? -comparison : comparison;
+      }
+    }
+    return 0;
+  });
+  keyed.forEach((item, index) => {
+    entries[index] = item.entry;
+  });
+}
+
+module.exports = {
+  handleTableStatement,
+  describeTableStatement,
+  inferParameterTypes,
+};
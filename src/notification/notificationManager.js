@@ -571,6 +571,9 @@ class NotificationManager {
     this.cleanupTimer = setInterval(() => {
       this.cleanupEmptyChannels();
     }, this.cleanupInterval);
+
+    // Housekeeping alone should not keep the process alive
+    this.cleanupTimer.unref();
   }
 
   /**
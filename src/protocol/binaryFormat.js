@@ -0,0 +1,688 @@
+/**
+ * Binary Format
+ * Binary wire encodings of the core PostgreSQL types, used for the result columns
+ * a client asks to receive in binary with the result-format codes of Bind, and
+ * for the parameters it sends in binary
+ */
+
+/* global BigInt */
+
+const { DATA_TYPES, ERROR_CODES, FORMAT_CODES } = require('./constants');
+const {
+  getBaseTypeOID,
+  parseArrayFromText,
+  isCustomType,
+  decodeCustomType,
+  getTypeName,
+} = require('./utils');
+const { createError } = require('../utils/errorHandler');
+const { Timestamp, microsecondsOf } = require('../sql/timestamp');
+
+// Dates and timestamps count from 2000-01-01 in the binary format
+const POSTGRES_EPOCH_MS = Date.UTC(2000, 0, 1);
+const MS_PER_DAY = 86400000;
+
+const INT64_MAX = 0x7fffffffffffffffn;
+const INT64_MIN = -0x8000000000000000n;
+
+const TRUE_WORDS = ['t', 'true', 'y', 'yes', 'on', '1'];
+const FALSE_WORDS = ['f', 'false', 'n', 'no', 'off', '0'];
+
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+/**
+ * Creates the error reported for a value that does not fit its column type
+ * @param {*} value - Value being encoded
+ * @param {number} typeOID - Column type OID
+ * @returns {PostgresError} 22P03 error
+ */
+function cannotEncode(value, typeOID) {
+  return createError(
+    ERROR_CODES.INVALID_BINARY_REPRESENTATION,
+    `cannot send "${value}" in binary format as type ${typeOID}`
+  );
+}
+
+/**
+ * Allocates a fixed-size value and lets a writer fill it
+ * @param {number} size - Size in bytes
+ * @param {Function} write - Receives the buffer to write into
+ * @returns {Buffer} Encoded value
+ */
+function fixed(size, write) {
+  const buffer = Buffer.alloc(size);
+  write(buffer);
+  return buffer;
+}
+
+/**
+ * Reads a boolean from its JS or text form
+ * @param {*} value - Value
+ * @returns {boolean} Boolean value
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const word = String(value).trim().toLowerCase();
+  if (TRUE_WORDS.includes(word)) return true;
+  if (FALSE_WORDS.includes(word)) return false;
+  throw cannotEncode(value, DATA_TYPES.BOOL);
+}
+
+/**
+ * Reads an integer from its JS or text form
+ * @param {*} value - Value
+ * @param {number} typeOID - Column type OID
+ * @returns {number} Integer value
+ */
+function toInteger(value, typeOID) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(number)) {
+    throw cannotEncode(value, typeOID);
+  }
+  return number;
+}
+
+/**
+ * Reads a 64-bit integer from its JS or text form, without losing precision
+ * @param {*} value - Value
+ * @returns {bigint} Integer value
+ */
+function toBigInt(value) {
+  try {
+    return BigInt(typeof value === 'string' ? value.trim() : value);
+  } catch (error) {
+    throw cannotEncode(value, DATA_TYPES.INT8);
+  }
+}
+
+/**
+ * Encodes a date as days since 2000-01-01
+ * @param {*} value - Date or 'YYYY-MM-DD' text
+ * @returns {Buffer} Encoded value
+ */
+function encodeDate(value) {
+  const text = String(value).trim().toLowerCase();
+  let days;
+  if (text === 'infinity') {
+    days = 0x7fffffff;
+  } else if (text === '-infinity') {
+    days = -0x80000000;
+  } else {
+    const ms = value instanceof Date ? value.getTime() : parseTimestamp(text, false).ms;
+    days = Math.floor((ms - POSTGRES_EPOCH_MS) / MS_PER_DAY);
+  }
+  return fixed(4, buffer => buffer.writeInt32BE(days, 0));
+}
+
+/**
+ * Parses timestamp text into milliseconds and the microseconds below them
+ * @param {string} text - Timestamp text ('YYYY-MM-DD HH:MM:SS.ffffff+zz')
+ * @param {boolean} withZone - Apply the UTC offset (timestamptz); without a zone
+ *   the time is kept as written
+ * @returns {Object} {ms, micros}
+ */
+function parseTimestamp(text, withZone) {
+  const match = TIMESTAMP_PATTERN.exec(text);
+  if (!match) {
+    const date = new Date(text);
+    if (isNaN(date.getTime())) {
+      throw cannotEncode(text, withZone ? DATA_TYPES.TIMESTAMPTZ : DATA_TYPES.TIMESTAMP);
+    }
+    return { ms: date.getTime(), micros: 0 };
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, zone] = match;
+  const digits = (fraction || '').padEnd(6, '0');
+  // setUTCFullYear() keeps years below 100 as written, unlike Date.UTC()
+  const date = new Date(0);
+  date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+  date.setUTCHours(Number(hour || 0), Number(minute || 0), Number(second || 0));
+  let ms = date.getTime() + Number(digits.slice(0, 3));
+
+  if (withZone && zone && zone.toUpperCase() !== 'Z') {
+    const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})?$/.exec(zone);
+    const offset = (Number(hours) * 60 + Number(minutes || 0)) * 60000;
+    ms -= sign === '-' ? -offset : offset;
+  }
+  return { ms, micros: Number(digits.slice(3, 6)) };
+}
+
+/**
+ * Encodes a timestamp as microseconds since 2000-01-01
+ * @param {*} value - Date or timestamp text
+ * @param {boolean} withZone - True for timestamptz
+ * @returns {Buffer} Encoded value
+ */
+function encodeTimestamp(value, withZone) {
+  let micros;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'infinity') {
+    micros = INT64_MAX;
+  } else if (text === '-infinity') {
+    micros = INT64_MIN;
+  } else {
+    const parsed =
+      value instanceof Date
+        ? { ms: value.getTime(), micros: microsecondsOf(value) }
+        : parseTimestamp(text, withZone);
+    micros = BigInt(parsed.ms - POSTGRES_EPOCH_MS) * 1000n + BigInt(parsed.micros);
+  }
+  return fixed(8, buffer => buffer.writeBigInt64BE(micros, 0));
+}
+
+/**
+ * Rewrites numeric text in exponent notation as plain decimal digits, keeping every
+ * digit rather than going through a double
+ * @param {string} text - Numeric text such as 1.5e-25
+ * @returns {string|null} Plain decimal text, or null if the text is not a number
+ */
+function expandExponent(text) {
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?e([+-]?\d{1,4})$/i.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    return null;
+  }
+  const [, sign, integer = '', fraction = '', exponent] = match;
+  const digits = integer + fraction;
+  const point = integer.length + Number(exponent);
+  if (point <= 0) {
+    return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  }
+  if (point >= digits.length) {
+    return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  }
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Encodes a numeric as base-10000 digits with weight, sign and display scale
+ * @param {*} value - Number or numeric text
+ * @returns {Buffer} Encoded value
+ */
+function encodeNumeric(value) {
+  let text = String(value).trim();
+  if (/^nan$/i.test(text)) {
+    return fixed(8, buffer => buffer.writeUInt16BE(0xc000, 4));
+  }
+  if (/e/i.test(text)) {
+    text = expandExponent(text);
+    if (text === null) {
+      throw cannotEncode(value, DATA_TYPES.NUMERIC);
+    }
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw cannotEncode(value, DATA_TYPES.NUMERIC);
+  }
+  const negative = match[1] === '-';
+  const integer = match[2] || '0';
+  const fraction = match[3] || '';
+
+  // Split into groups of four digits on each side of the decimal point
+  const integerDigits = integer.padStart(Math.ceil(integer.length / 4) * 4, '0');
+  const fractionDigits = fraction.padEnd(Math.ceil(fraction.length / 4) * 4, '0');
+  const groups = [];
+  for (let i = 0; i < integerDigits.length; i += 4) {
+    groups.push(Number(integerDigits.slice(i, i + 4)));
+  }
+  let weight = groups.length - 1;
+  for (let i = 0; i < fractionDigits.length; i += 4) {
+    groups.push(Number(fractionDigits.slice(i, i + 4)));
+  }
+
+  while (groups.length > 0 && groups[0] === 0) {
+    groups.shift();
+    weight--;
+  }
+  while (groups.length > 0 && groups[groups.length - 1] === 0) {
+    groups.pop();
+  }
+  if (groups.length === 0) {
+    weight = 0;
+  }
+
+  const buffer = Buffer.alloc(8 + groups.length * 2);
+  buffer.writeInt16BE(groups.length, 0);
+  buffer.writeInt16BE(weight, 2);
+  buffer.writeUInt16BE(negative && groups.length > 0 ? 0x4000 : 0, 4);
+  buffer.writeInt16BE(fraction.length, 6);
+  groups.forEach((group, i) => buffer.writeInt16BE(group, 8 + i * 2));
+  return buffer;
+}
+
+/**
+ * Encodes a uuid as its 16 bytes
+ * @param {*} value - uuid text
+ * @returns {Buffer} Encoded value
+ */
+function encodeUuid(value) {
+  const hex = String(value).replace(/[{}-]/g, '');
+  if (!/^[0-9a-f]{32}$/i.test(hex)) {
+    throw cannotEncode(value, DATA_TYPES.UUID);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Encodes bytea as its raw bytes
+ * @param {*} value - Buffer, or hex ('\x...') or plain text
+ * @returns {Buffer} Encoded value
+ */
+function encodeBytea(value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  const text = String(value);
+  return text.startsWith('\\x') ? Buffer.from(text.slice(2), 'hex') : Buffer.from(text, 'utf8');
+}
+
+/**
+ * Encodes text-like values as UTF-8
+ * @param {*} value - Value
+ * @returns {Buffer} Encoded value
+ */
+function encodeText(value) {
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Buffer.from(JSON.stringify(value), 'utf8');
+  }
+  return Buffer.from(String(value), 'utf8');
+}
+
+/**
+ * Binary encoders of the supported element types, keyed by type OID
+ */
+const ENCODERS = {
+  [DATA_TYPES.BOOL]: value => Buffer.from([toBoolean(value) ? 1 : 0]),
+  [DATA_TYPES.INT2]: value =>
+    fixed(2, buffer => buffer.writeInt16BE(toInteger(value, DATA_TYPES.INT2), 0)),
+  [DATA_TYPES.INT4]: value =>
+    fixed(4, buffer => buffer.writeInt32BE(toInteger(value, DATA_TYPES.INT4), 0)),
+  [DATA_TYPES.INT8]: value => fixed(8, buffer => buffer.writeBigInt64BE(toBigInt(value), 0)),
+  [DATA_TYPES.OID]: value =>
+    fixed(4, buffer => buffer.writeUInt32BE(toInteger(value, DATA_TYPES.OID), 0)),
+  [DATA_TYPES.FLOAT4]: value => fixed(4, buffer => buffer.writeFloatBE(Number(value), 0)),
+  [DATA_TYPES.FLOAT8]: value => fixed(8, buffer => buffer.writeDoubleBE(Number(value), 0)),
+  [DATA_TYPES.NUMERIC]: encodeNumeric,
+  [DATA_TYPES.BYTEA]: encodeBytea,
+  [DATA_TYPES.TEXT]: encodeText,
+  [DATA_TYPES.VARCHAR]: encodeText,
+  [DATA_TYPES.BPCHAR]: encodeText,
+  [DATA_TYPES.NAME]: encodeText,
+  [DATA_TYPES.UUID]: encodeUuid,
+  [DATA_TYPES.DATE]: encodeDate,
+  [DATA_TYPES.TIMESTAMP]: value => encodeTimestamp(value, false),
+  [DATA_TYPES.TIMESTAMPTZ]: value => encodeTimestamp(value, true),
+  [DATA_TYPES.JSON]: encodeText,
+  [DATA_TYPES.JSONB]: value => Buffer.concat([Buffer.from([1]), encodeText(value)]),
+  [DATA_TYPES.VOID]: () => Buffer.alloc(0),
+};
+
+/**
+ * Encodes an array: dimensions, null flag, element type, then each element
+ * @param {*} value - JS array or array text ('{...}')
+ * @param {number} elementOID - Element type OID
+ * @returns {Buffer} Encoded value
+ */
+function encodeArray(value, elementOID) {
+  let elements = value;
+  if (!Array.isArray(value)) {
+    try {
+      elements = parseArrayFromText(String(value), 'text');
+    } catch (error) {
+      throw cannotEncode(value, elementOID);
+    }
+  }
+
+  const dimensions = [];
+  for (let level = elements; Array.isArray(level) && level.length > 0; level = level[0]) {
+    dimensions.push(level.length);
+  }
+  const flat = dimensions.length > 0 ? elements.flat(dimensions.length - 1) : [];
+
+  const header = Buffer.alloc(12 + dimensions.length * 8);
+  header.writeInt32BE(dimensions.length, 0);
+  header.writeInt32BE(flat.some(item => item === null || item === undefined) ? 1 : 0, 4);
+  header.writeInt32BE(elementOID, 8);
+  dimensions.forEach((size, i) => {
+    header.writeInt32BE(size, 12 + i * 8);
+    header.writeInt32BE(1, 16 + i * 8); // Lower bound
+  });
+
+  const parts = [header];
+  for (const item of flat) {
+    const length = Buffer.alloc(4);
+    if (item === null || item === undefined) {
+      length.writeInt32BE(-1, 0);
+      parts.push(length);
+    } else {
+      const encoded = ENCODERS[elementOID](item);
+      length.writeInt32BE(encoded.length, 0);
+      parts.push(length, encoded);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Checks whether values of a type can be sent in binary
+ * @param {number} typeOID - Type OID
+ * @returns {boolean} True for the supported core types and arrays of them
+ */
+function supportsBinaryFormat(typeOID) {
+  return !!ENCODERS[typeOID] || !!ENCODERS[getBaseTypeOID(typeOID)];
+}
+
+/**
+ * Encodes a non-null value in the binary format of its type
+ * @param {*} value - Value as held in a result row (text, number, boolean, Date, Buffer or array)
+ * @param {number} typeOID - Column type OID
+ * @returns {Buffer} Encoded value
+ * @throws {PostgresError} 22P03 if the value does not fit the type
+ */
+function encodeBinaryValue(value, typeOID) {
+  if (ENCODERS[typeOID]) {
+    return ENCODERS[typeOID](value);
+  }
+  const elementOID = getBaseTypeOID(typeOID);
+  if (elementOID && ENCODERS[elementOID]) {
+    return encodeArray(value, elementOID);
+  }
+  throw cannotEncode(value, typeOID);
+}
+
+/**
+ * Applies the result-format codes of Bind to a result's columns
+ *
+ * No codes means text for every column, one code applies to all of them, and
+ * otherwise there is one code per column. Columns of a type without a binary
+ * encoding here stay in text; their RowDescription format code says so.
+ *
+ * @param {Array<Object>} columns - Result columns
+ * @param {Array<number>} formatCodes - Result-format codes from Bind
+ * @returns {Array<Object>} Columns with their format set
+ */
+function applyResultFormats(columns, formatCodes = []) {
+  return columns.map((column, i) => {
+    const requested = formatCodes.length === 1 ? formatCodes[0] : formatCodes[i];
+    const binary =
+      requested === FORMAT_CODES.BINARY &&
+      supportsBinaryFormat(column.dataTypeOID || DATA_TYPES.TEXT);
+    return { ...column, format: binary ? FORMAT_CODES.BINARY : FORMAT_CODES.TEXT };
+  });
+}
+
+/**
+ * Creates the error reported for binary data that does not match its type
+ * @param {string} detail - What is wrong with the data
+ * @returns {PostgresError} 22P03 error
+ */
+function invalidBinary(detail) {
+  return createError(ERROR_CODES.INVALID_BINARY_REPRESENTATION, 'incorrect binary data format', {
+    detail,
+  });
+}
+
+/**
+ * Wraps a decoder of a fixed-size type with a check of the data length
+ * @param {number} size - Size in bytes
+ * @param {Function} read - Reads the value from data of the right size
+ * @returns {Function} Decoder
+ */
+function fixedDecoder(size, read) {
+  return (data, typeOID) => {
+    if (data.length !== size) {
+      throw invalidBinary(`expected ${size} bytes for type ${typeOID}, got ${data.length}`);
+    }
+    return read(data);
+  };
+}
+
+/**
+ * Decodes a 64-bit integer, as a number when it fits one exactly
+ * @param {Buffer} data - Encoded value
+ * @returns {number|string} Integer value, as text beyond 2^53
+ */
+function decodeInt8(data) {
+  const value = data.readBigInt64BE(0);
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value.toString();
+}
+
+/**
+ * Decodes a date from days since 2000-01-01
+ * @param {Buffer} data - Encoded value
+ * @returns {string} 'YYYY-MM-DD', or 'infinity'/'-infinity'
+ */
+function decodeDate(data) {
+  const days = data.readInt32BE(0);
+  if (days === 0x7fffffff) return 'infinity';
+  if (days === -0x80000000) return '-infinity';
+  return new Date(POSTGRES_EPOCH_MS + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Decodes a timestamp from microseconds since 2000-01-01
+ * @param {Buffer} data - Encoded value
+ * @returns {Timestamp|string} Timestamp (to the microsecond), or 'infinity'/'-infinity'
+ */
+function decodeTimestamp(data) {
+  const micros = data.readBigInt64BE(0);
+  if (micros === INT64_MAX) return 'infinity';
+  if (micros === INT64_MIN) return '-infinity';
+  return Timestamp.fromMicroseconds(BigInt(POSTGRES_EPOCH_MS) * 1000n + micros);
+}
+
+/**
+ * Decodes a numeric from its base-10000 digits
+ * The digits come back as numeric text, like int8 beyond 2^53, so none are lost.
+ * @param {Buffer} data - Encoded value
+ * @returns {string|number} Numeric text, or NaN / ±Infinity for the special values
+ */
+function decodeNumeric(data) {
+  if (data.length < 8) {
+    throw invalidBinary(`numeric needs at least 8 bytes, got ${data.length}`);
+  }
+  const ndigits = data.readInt16BE(0);
+  const weight = data.readInt16BE(2);
+  const sign = data.readUInt16BE(4);
+  const dscale = data.readInt16BE(6);
+  if (ndigits < 0 || data.length !== 8 + ndigits * 2) {
+    throw invalidBinary(`numeric with ${ndigits} digits has ${data.length} bytes`);
+  }
+  if (sign === 0xc000) return NaN;
+  if (sign === 0xd000) return Infinity;
+  if (sign === 0xf000) return -Infinity;
+  if (sign !== 0 && sign !== 0x4000) {
+    throw invalidBinary(`invalid sign in numeric value: ${sign}`);
+  }
+
+  // Lay the digit groups out around the decimal point, padding with zero groups
+  let integer = '';
+  let fraction = '';
+  for (let i = 0; i <= Math.max(weight, ndigits - 1); i++) {
+    const group = i < ndigits ? data.readInt16BE(8 + i * 2) : 0;
+    if (group < 0 || group > 9999) {
+      throw invalidBinary(`invalid digit in numeric value: ${group}`);
+    }
+    const digits = String(group).padStart(4, '0');
+    if (i <= weight) {
+      integer += digits;
+    } else {
+      fraction += digits;
+    }
+  }
+  if (weight < -1) {
+    fraction = '0000'.repeat(-weight - 1) + fraction;
+  }
+
+  const scale = Math.max(dscale, 0);
+  const text = `${integer.replace(/^0+(?=\d)/, '') || '0'}${
+    scale > 0 ? `.${fraction.padEnd(scale, '0').slice(0, scale)}` : ''
+  }`;
+  return sign === 0x4000 && /[1-9]/.test(text) ? `-${text}` : text;
+}
+
+/**
+ * Decodes a uuid from its 16 bytes
+ * @param {Buffer} data - Encoded value
+ * @returns {string} uuid text
+ */
+function decodeUuid(data) {
+  const hex = data.toString('hex');
+  return (
+    `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-` +
+    `${hex.slice(16, 20)}-${hex.slice(20)}`
+  );
+}
+
+/**
+ * Decodes jsonb, whose text follows a version byte
+ * @param {Buffer} data - Encoded value
+ * @returns {string} JSON text
+ */
+function decodeJsonb(data) {
+  if (data.length === 0 || data[0] !== 1) {
+    throw invalidBinary(`unsupported jsonb version number ${data.length > 0 ? data[0] : ''}`);
+  }
+  return data.toString('utf8', 1);
+}
+
+/**
+ * Decodes text-like values from UTF-8
+ * @param {Buffer} data - Encoded value
+ * @returns {string} Text
+ */
+function decodeText(data) {
+  return data.toString('utf8');
+}
+
+/**
+ * Binary decoders of the supported element types, keyed by type OID; values come
+ * back as the SQL engine holds them
+ */
+const DECODERS = {
+  [DATA_TYPES.BOOL]: fixedDecoder(1, data => data[0] !== 0),
+  [DATA_TYPES.INT2]: fixedDecoder(2, data => data.readInt16BE(0)),
+  [DATA_TYPES.INT4]: fixedDecoder(4, data => data.readInt32BE(0)),
+  [DATA_TYPES.INT8]: fixedDecoder(8, decodeInt8),
+  [DATA_TYPES.OID]: fixedDecoder(4, data => data.readUInt32BE(0)),
+  [DATA_TYPES.FLOAT4]: fixedDecoder(4, data => data.readFloatBE(0)),
+  [DATA_TYPES.FLOAT8]: fixedDecoder(8, data => data.readDoubleBE(0)),
+  [DATA_TYPES.NUMERIC]: decodeNumeric,
+  [DATA_TYPES.BYTEA]: data => Buffer.from(data),
+  [DATA_TYPES.TEXT]: decodeText,
+  [DATA_TYPES.VARCHAR]: decodeText,
+  [DATA_TYPES.BPCHAR]: decodeText,
+  [DATA_TYPES.NAME]: decodeText,
+  [DATA_TYPES.UUID]: fixedDecoder(16, decodeUuid),
+  [DATA_TYPES.DATE]: fixedDecoder(4, decodeDate),
+  [DATA_TYPES.TIMESTAMP]: fixedDecoder(8, decodeTimestamp),
+  [DATA_TYPES.TIMESTAMPTZ]: fixedDecoder(8, decodeTimestamp),
+  [DATA_TYPES.JSON]: decodeText,
+  [DATA_TYPES.JSONB]: decodeJsonb,
+};
+
+/**
+ * Decodes an array into nested JS arrays
+ * @param {Buffer} data - Encoded value
+ * @param {number} elementOID - Expected element type OID
+ * @returns {Array} Array value
+ */
+function decodeArray(data, elementOID) {
+  if (data.length < 12) {
+    throw invalidBinary(`array needs at least 12 bytes, got ${data.length}`);
+  }
+  const ndim = data.readInt32BE(0);
+  const actualOID = data.readUInt32BE(8);
+  if (ndim < 0 || ndim > 6) {
+    throw invalidBinary(`invalid number of dimensions: ${ndim}`);
+  }
+  if (actualOID !== elementOID) {
+    throw createError(
+      ERROR_CODES.DATATYPE_MISMATCH,
+      `binary data has array element type ${actualOID} (${getTypeName(actualOID)}) ` +
+        `instead of expected ${elementOID} (${getTypeName(elementOID)})`
+    );
+  }
+
+  let offset = 12;
+  const dimensions = [];
+  for (let i = 0; i < ndim; i++) {
+    if (offset + 8 > data.length) {
+      throw invalidBinary('array dimensions run past the end of the data');
+    }
+    dimensions.push(data.readInt32BE(offset));
+    offset += 8; // Size, then the lower bound, which JS arrays cannot keep
+  }
+
+  const readElement = () => {
+    if (offset + 4 > data.length) {
+      throw invalidBinary('array elements run past the end of the data');
+    }
+    const length = data.readInt32BE(offset);
+    offset += 4;
+    if (length === -1) {
+      return null;
+    }
+    if (length < 0 || offset + length > data.length) {
+      throw invalidBinary(`array element length ${length} runs past the end of the data`);
+    }
+    const element = data.slice(offset, offset + length);
+    offset += length;
+    return DECODERS[elementOID](element, elementOID);
+  };
+  const readDimension = level =>
+    Array.from({ length: dimensions[level] }, () =>
+      level === dimensions.length - 1 ? readElement() : readDimension(level + 1)
+    );
+
+  const value = ndim === 0 ? [] : readDimension(0);
+  if (offset !== data.length) {
+    throw invalidBinary(`${data.length - offset} bytes left after the last array element`);
+  }
+  return value;
+}
+
+/**
+ * Decodes a non-null value sent in binary, such as a Bind parameter
+ *
+ * Custom types have only a text form, so their binary form is taken to be that
+ * text and handed to the type's decoder.
+ *
+ * @param {Buffer} data - Encoded value
+ * @param {number} typeOID - Type OID
+ * @param {Object} config - Server configuration, for custom types
+ * @returns {*} Value as the SQL engine holds it (number, boolean, string, Date, Buffer or array)
+ * @throws {PostgresError} 22P03 if the data does not match the type, 42804 for an
+ *   array of another element type, 42883 for a type without a binary form
+ */
+function decodeBinaryValue(data, typeOID, config = null) {
+  if (DECODERS[typeOID]) {
+    return DECODERS[typeOID](data, typeOID);
+  }
+  const elementOID = getBaseTypeOID(typeOID);
+  if (elementOID && DECODERS[elementOID]) {
+    return decodeArray(data, elementOID);
+  }
+  if (isCustomType(typeOID, config)) {
+    try {
+      return decodeCustomType(data.toString('utf8'), typeOID, config);
+    } catch (error) {
+      throw invalidBinary(error.message);
+    }
+  }
+  throw createError(
+    ERROR_CODES.UNDEFINED_FUNCTION,
+    `no binary input function available for type ${getTypeName(typeOID, config)}`
+  );
+}
+
+module.exports = {
+  supportsBinaryFormat,
+  encodeBinaryValue,
+  applyResultFormats,
+  decodeBinaryValue,
+};
@@ -5,8 +5,15 @@
 
 // Protocol version constants
 const PROTOCOL_VERSION_3_0 = 196608; // 3.0 in protocol format (3 << 16 | 0)
+const PROTOCOL_VERSION_3_2 = 196610; // 3.2: variable-length cancel keys (PostgreSQL 18)
+const PROTOCOL_VERSION_LATEST = PROTOCOL_VERSION_3_2; // Newest version the server speaks
+const PROTOCOL_OPTION_PREFIX = '_pq_.'; // Startup parameters that are protocol options
+const MAX_CANCEL_KEY_LENGTH = 256; // Longest cancel key a CancelRequest may carry (3.2)
 const SSL_REQUEST_CODE = 80877103; // Special protocol version for SSL requests
 const CANCEL_REQUEST_CODE = 80877102; // Special protocol version for cancel requests
+const GSSENC_REQUEST_CODE = 80877104; // Special protocol version for GSS encryption requests
+const TLS_HANDSHAKE_RECORD = 0x16; // First byte of a direct SSL connection (TLS handshake)
+const POSTGRESQL_ALPN_PROTOCOL = 'postgresql'; // ALPN protocol a direct SSL client must offer
 
 // Message type constants (Frontend to Backend)
 const MESSAGE_TYPES = {
@@ -16,6 +23,8 @@ const MESSAGE_TYPES = {
   BIND: 'B', // Bind (Extended Query)
   DESCRIBE: 'D', // Describe
   EXECUTE: 'E', // Execute
+  CLOSE: 'C', // Close
+  FLUSH: 'H', // Flush
   SYNC: 'S', // Sync
   TERMINATE: 'X', // Terminate
   PASSWORD_MESSAGE: 'p', // Password Message
@@ -28,6 +37,7 @@ const MESSAGE_TYPES = {
   AUTHENTICATION: 'R', // Authentication
   BACKEND_KEY_DATA: 'K', // Backend Key Data
   BIND_COMPLETE: '2', // Bind Complete
+  CLOSE_COMPLETE: '3', // Close Complete
   COMMAND_COMPLETE: 'C', // Command Complete
   DATA_ROW: 'D', // Data Row
   EMPTY_QUERY_RESPONSE: 'I', // Empty Query Response
@@ -45,6 +55,7 @@ const MESSAGE_TYPES = {
   COPY_IN_RESPONSE: 'G', // Copy In Response
   COPY_OUT_RESPONSE: 'H', // Copy Out Response
   COPY_BOTH_RESPONSE: 'W', // Copy Both Response
+  NEGOTIATE_PROTOCOL_VERSION: 'v', // Negotiate Protocol Version
 };
 
 // Authentication method constants
@@ -141,6 +152,7 @@ const DATA_TYPES = {
   REGOPERATOR: 2204, // regoperator
   REGCLASS: 2205, // regclass
   REGTYPE: 2206, // regtype
+  VOID: 2278, // void
   UUID: 2950, // uuid
   TXID_SNAPSHOT: 2970, // txid_snapshot
   PG_LSN: 3220, // pg_lsn
@@ -352,6 +364,7 @@ const ERROR_CODES = {
   SCHEMA_AND_DATA_STATEMENT_MIXING_NOT_SUPPORTED: '25007',
   NO_ACTIVE_SQL_TRANSACTION: '25P01',
   IN_FAILED_SQL_TRANSACTION: '25P02',
+  IDLE_IN_TRANSACTION_SESSION_TIMEOUT: '25P03',
 
   // Class 26 — Invalid SQL Statement Name
   INVALID_SQL_STATEMENT_NAME: '26000',
@@ -485,6 +498,7 @@ const ERROR_CODES = {
   CRASH_SHUTDOWN: '57P02',
   CANNOT_CONNECT_NOW: '57P03',
   DATABASE_DROPPED: '57P04',
+  IDLE_SESSION_TIMEOUT: '57P05',
 
   // Class 58 — System Error
   SYSTEM_ERROR: '58000',
@@ -559,10 +573,15 @@ const ERROR_MESSAGES = {
   INVALID_BIND_MESSAGE: 'invalid Bind message format',
   INVALID_DESCRIBE_MESSAGE: 'invalid Describe message format',
   INVALID_EXECUTE_MESSAGE: 'invalid Execute message format',
+  INVALID_CLOSE_MESSAGE: 'invalid Close message format',
   UNKNOWN_MESSAGE_TYPE: 'unknown message type',
   PROTOCOL_ERROR: 'protocol error',
   MESSAGE_PROCESSING_ERROR: 'message processing error',
   MALFORMED_CANCEL_REQUEST: 'malformed cancel request received',
+  QUERY_CANCELED: 'canceling statement due to user request',
+  STATEMENT_TIMEOUT: 'canceling statement due to statement timeout',
+  IDLE_IN_TRANSACTION_SESSION_TIMEOUT: 'terminating connection due to idle-in-transaction timeout',
+  IDLE_SESSION_TIMEOUT: 'terminating connection due to idle-session timeout',
 
   // Array errors
   INVALID_ARRAY_FORMAT: 'Invalid array format',
@@ -637,10 +656,20 @@ const DEFAULT_SERVER_PARAMETERS = {
   standard_conforming_strings: 'on',
 };
 
+// Text returned by version()
+const SERVER_VERSION_STRING = 'PostgreSQL Wire Protocol Mock Server 1.0';
+
 module.exports = {
   PROTOCOL_VERSION_3_0,
+  PROTOCOL_VERSION_3_2,
+  PROTOCOL_VERSION_LATEST,
+  PROTOCOL_OPTION_PREFIX,
+  MAX_CANCEL_KEY_LENGTH,
   SSL_REQUEST_CODE,
   CANCEL_REQUEST_CODE,
+  GSSENC_REQUEST_CODE,
+  TLS_HANDSHAKE_RECORD,
+  POSTGRESQL_ALPN_PROTOCOL,
   MESSAGE_TYPES,
   AUTH_METHODS,
   SASL_MECHANISMS,
@@ -652,4 +681,5 @@ module.exports = {
   ERROR_CODES,
   ERROR_MESSAGES,
   DEFAULT_SERVER_PARAMETERS,
+  SERVER_VERSION_STRING,
 };
@@ -3,9 +3,15 @@
  * Functions for building and sending protocol messages to clients
  */
 
-const { MESSAGE_TYPES, DATA_TYPES, ERROR_SEVERITY } = require('./constants');
-
-const { createMessage, createPayload, createErrorFields, writeCString } = require('./utils');
+const { MESSAGE_TYPES, DATA_TYPES, ERROR_SEVERITY, FORMAT_CODES } = require('./constants');
+
+const {
+  createMessage,
+  createPayload,
+  createErrorFields,
+  writeCString,
+  formatProtocolVersion,
+} = require('./utils');
 const { createProtocolLogger } = require('../utils/logger');
 
 // Create protocol logger instance (will be configured by server)
@@ -23,6 +29,24 @@ function configureProtocolLogger(config) {
  * Authentication and Connection Messages
  */
 
+/**
+ * Sends NegotiateProtocolVersion, telling a client which protocol version the
+ * connection uses and which of the protocol options it asked for are not supported
+ * @param {Socket} socket - Client socket
+ * @param {number} version - Protocol version the server uses for the connection
+ * @param {Array<string>} unrecognizedOptions - Names of the unsupported _pq_ options
+ */
+function sendNegotiateProtocolVersion(socket, version, unrecognizedOptions) {
+  const payload = createPayload(version, unrecognizedOptions.length, ...unrecognizedOptions);
+  const message = createMessage(MESSAGE_TYPES.NEGOTIATE_PROTOCOL_VERSION, payload);
+  socket.write(message);
+  protocolLogger.sent(
+    'NegotiateProtocolVersion',
+    `version: ${formatProtocolVersion(version)}, unrecognized options: ${unrecognizedOptions.length}`,
+    { version, unrecognizedOptions }
+  );
+}
+
 /**
  * Sends AuthenticationOK message indicating successful authentication
  * @param {Socket} socket - Client socket
@@ -34,32 +58,28 @@ function sendAuthenticationOK(socket) {
 }
 
 /**
- * Sends ParameterStatus messages for server configuration
+ * Sends ParameterStatus messages for every reported setting, when startup completes
  * @param {Socket} socket - Client socket
  * @param {ConnectionState} connState - Connection state object
  */
 function sendParameterStatus(socket, connState) {
-  // Get server configuration
-  const { createServerParameters } = require('../config/serverConfig');
-  const { loadConfig } = require('../config/serverConfig');
-  const config = loadConfig();
-
-  // Create parameters object with defaults and user overrides
-  const parameters = createServerParameters(config);
+  const parameters = connState.getReportedParameters();
 
-  // Override with user-specific parameters
-  if (connState.parameters.has('application_name')) {
-    parameters.application_name = connState.parameters.get('application_name');
-  }
-  if (connState.parameters.has('user')) {
-    parameters.session_authorization = connState.parameters.get('user');
+  for (const [name, value] of parameters) {
+    writeParameterStatus(socket, name, value);
   }
+  protocolLogger.sent('ParameterStatus', `${parameters.length} parameters`);
+}
 
-  for (const [name, value] of Object.entries(parameters)) {
-    const message = createMessage(MESSAGE_TYPES.PARAMETER_STATUS, createPayload(name, value));
-    socket.write(message);
-  }
-  protocolLogger.sent('ParameterStatus', `${Object.keys(parameters).length} parameters`);
+/**
+ * Writes a single ParameterStatus message
+ * @param {Socket} socket - Client socket
+ * @param {string} name - Setting name
+ * @param {string} value - Setting value
+ */
+function writeParameterStatus(socket, name, value) {
+  const message = createMessage(MESSAGE_TYPES.PARAMETER_STATUS, createPayload(name, value));
+  socket.write(message);
 }
 
 /**
@@ -83,6 +103,13 @@ function sendBackendKeyData(socket, connState) {
  * @param {ConnectionState} connState - Connection state object
  */
 function sendReadyForQuery(socket, connState) {
+  // Reported settings that changed (SET, RESET, set_config(), a rollback) are sent
+  // before ReadyForQuery, as PostgreSQL does
+  for (const [name, value] of connState.takeParameterChanges()) {
+    writeParameterStatus(socket, name, value);
+    protocolLogger.sent('ParameterStatus', `${name} = ${value}`);
+  }
+
   const statusBuffer = Buffer.from([connState.transactionStatus.charCodeAt(0)]);
   const message = createMessage(MESSAGE_TYPES.READY_FOR_QUERY, statusBuffer);
   socket.write(message);
@@ -142,7 +169,8 @@ function sendRowDescription(socket, columns) {
  * Sends DataRow message with field values
  * @param {Socket} socket - Client socket
  * @param {Array} values - Array of field values
- * @param {Array} columnTypes - Array of column type information (optional)
+ * @param {Array} columnTypes - Array of column type information, with the format of
+ *   each column (optional; text when absent)
  * @param {Object} config - Server configuration for custom types (optional)
  */
 function sendDataRow(socket, values, columnTypes = [], config = null) {
@@ -161,6 +189,18 @@ function sendDataRow(socket, values, columnTypes = [], config = null) {
       const nullBuffer = Buffer.alloc(4);
       nullBuffer.writeInt32BE(-1, 0);
       valueBuffers.push(nullBuffer);
+    } else if (Buffer.isBuffer(value)) {
+      // Already encoded (e.g. a recorded binary-format value) - send as-is
+      const lengthBuffer = Buffer.alloc(4);
+      lengthBuffer.writeInt32BE(value.length, 0);
+      valueBuffers.push(Buffer.concat([lengthBuffer, value]));
+    } else if (columnType && columnType.format === FORMAT_CODES.BINARY) {
+      // Binary format requested with the result-format codes of Bind
+      const { encodeBinaryValue } = require('./binaryFormat');
+      const valueBuffer = encodeBinaryValue(value, columnType.dataTypeOID || DATA_TYPES.TEXT);
+      const lengthBuffer = Buffer.alloc(4);
+      lengthBuffer.writeInt32BE(valueBuffer.length, 0);
+      valueBuffers.push(Buffer.concat([lengthBuffer, valueBuffer]));
     } else {
       // Determine how to encode the value
       let valueStr;
@@ -357,6 +397,16 @@ function sendBindComplete(socket) {
   protocolLogger.sent('BindComplete');
 }
 
+/**
+ * Sends CloseComplete message after a statement or portal is closed
+ * @param {Socket} socket - Client socket
+ */
+function sendCloseComplete(socket) {
+  const message = createMessage(MESSAGE_TYPES.CLOSE_COMPLETE);
+  socket.write(message);
+  protocolLogger.sent('CloseComplete');
+}
+
 /**
  * Sends ParameterDescription message describing statement parameters
  * @param {Socket} socket - Client socket
@@ -460,6 +510,42 @@ function sendCopyData(socket, data) {
  * Authentication Messages (Extended)
  */
 
+/**
+ * Password Authentication Messages
+ */
+
+/**
+ * Sends AuthenticationCleartextPassword, asking for the password in clear text
+ * @param {Socket} socket - Client socket
+ */
+function sendAuthenticationCleartextPassword(socket) {
+  const { AUTH_METHODS } = require('./constants');
+
+  const payload = Buffer.alloc(4);
+  payload.writeInt32BE(AUTH_METHODS.CLEARTEXT_PASSWORD, 0);
+
+  const message = createMessage(MESSAGE_TYPES.AUTHENTICATION, payload);
+  socket.write(message);
+  protocolLogger.sent('AuthenticationCleartextPassword');
+}
+
+/**
+ * Sends AuthenticationMD5Password, asking for the password hashed with a salt
+ * @param {Socket} socket - Client socket
+ * @param {Buffer} salt - Random 4-byte salt
+ */
+function sendAuthenticationMD5Password(socket, salt) {
+  const { AUTH_METHODS } = require('./constants');
+
+  const payload = Buffer.alloc(8);
+  payload.writeInt32BE(AUTH_METHODS.MD5_PASSWORD, 0);
+  salt.copy(payload, 4);
+
+  const message = createMessage(MESSAGE_TYPES.AUTHENTICATION, payload);
+  socket.write(message);
+  protocolLogger.sent('AuthenticationMD5Password');
+}
+
 /**
  * SCRAM-SHA-256 Authentication Messages
  */
@@ -533,6 +619,25 @@ function sendAuthenticationSASLFinal(socket, serverData) {
   });
 }
 
+/**
+ * Function Call Messages
+ */
+
+/**
+ * Sends FunctionCallResponse with the result of a fastpath function call
+ * @param {Socket} socket - Client socket
+ * @param {Buffer|null} value - Result in the requested format, or null for NULL
+ */
+function sendFunctionCallResponse(socket, value) {
+  const lengthBuffer = Buffer.alloc(4);
+  lengthBuffer.writeInt32BE(value === null ? -1 : value.length, 0);
+
+  const payload = value === null ? lengthBuffer : Buffer.concat([lengthBuffer, value]);
+  const message = createMessage(MESSAGE_TYPES.FUNCTION_CALL_RESPONSE, payload);
+  socket.write(message);
+  console.log(`Sent FunctionCallResponse (${value === null ? 'NULL' : `${value.length} bytes`})`);
+}
+
 /**
  * Notification Messages
  */
@@ -558,6 +663,7 @@ function sendNotificationResponse(socket, pid, channel, payload = '') {
 module.exports = {
   // Authentication and Connection
   sendAuthenticationOK,
+  sendNegotiateProtocolVersion,
   sendParameterStatus,
   sendBackendKeyData,
   sendReadyForQuery,
@@ -575,6 +681,7 @@ module.exports = {
   // Extended Query Protocol
   sendParseComplete,
   sendBindComplete,
+  sendCloseComplete,
   sendParameterDescription,
   sendNoData,
   sendPortalSuspended,
@@ -584,11 +691,18 @@ module.exports = {
   sendCopyOutResponse,
   sendCopyData,
 
+  // Password Authentication
+  sendAuthenticationCleartextPassword,
+  sendAuthenticationMD5Password,
+
   // SCRAM-SHA-256 Authentication
   sendAuthenticationSASL,
   sendAuthenticationSASLContinue,
   sendAuthenticationSASLFinal,
 
+  // Function Calls
+  sendFunctionCallResponse,
+
   // Notifications
   sendNotificationResponse,
 
@@ -5,18 +5,29 @@
 
 const {
   PROTOCOL_VERSION_3_0,
+  PROTOCOL_VERSION_3_2,
+  PROTOCOL_VERSION_LATEST,
+  PROTOCOL_OPTION_PREFIX,
+  MAX_CANCEL_KEY_LENGTH,
   SSL_REQUEST_CODE,
   CANCEL_REQUEST_CODE,
+  GSSENC_REQUEST_CODE,
+  POSTGRESQL_ALPN_PROTOCOL,
   MESSAGE_TYPES,
   ERROR_CODES,
   ERROR_MESSAGES,
+  ERROR_SEVERITY,
   SASL_MECHANISMS,
   SCRAM_STATES,
+  FORMAT_CODES,
+  DATA_TYPES,
 } = require('./constants');
 
 const {
   parseParameters,
   getMessageType,
+  generateCancelKey,
+  formatProtocolVersion,
   generateScramNonce,
   generateScramCredentials,
   parseScramClientInitial,
@@ -24,10 +35,28 @@ const {
   buildScramServerFirst,
   buildScramServerFinal,
   buildScramAuthMessage,
+  computeTlsServerEndPoint,
+  buildScramChannelBinding,
   verifyScramClientProof,
   generateScramServerSignature,
+  generateMd5Salt,
+  isCustomType,
+  decodeCustomType,
+  getTypeName,
 } = require('./utils');
+const { coerceValue, typeFromOID, formatValue } = require('../sql/types');
 const { createProtocolLogger, createQueryLogger } = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+const { getPeerCredentials } = require('../connection/peerCredentials');
+const { applyResultFormats, encodeBinaryValue, decodeBinaryValue } = require('./binaryFormat');
+const { getBuiltinFunction, callBuiltinFunction } = require('../sql/builtinFunctions');
+const { readStartupSettings } = require('../connection/sessionSettings');
+const {
+  verifyPassword,
+  getMd5Response,
+  getScramCredentials,
+  hasScramSecret,
+} = require('../storage/roleStore');
 const fs = require('fs');
 
 // WeakMap to store SSL upgrade state for sockets
@@ -133,10 +162,16 @@ function validateSSLCertificates(config) {
 
     // Add other SSL options
     result.sslOptions.rejectUnauthorized = config.sslRejectUnauthorized || false;
+    // As in PostgreSQL 17, the server speaks the "postgresql" ALPN protocol; clients
+    // that offer no ALPN are still accepted after an SSLRequest
+    result.sslOptions.ALPNProtocols = [POSTGRESQL_ALPN_PROTOCOL];
 
     if (config.sslCaPath && fs.existsSync(config.sslCaPath)) {
       try {
         result.sslOptions.ca = fs.readFileSync(config.sslCaPath);
+        // As in PostgreSQL, a CA makes the server ask clients for a certificate; without
+        // rejectUnauthorized, clients may still connect without one
+        result.sslOptions.requestCert = true;
       } catch (caError) {
         // CA is optional, so just log warning
         console.warn(`Warning: Could not read CA file: ${caError.message}`);
@@ -180,19 +215,32 @@ function configureMessageProcessorLogger(config) {
 
 const {
   sendAuthenticationOK,
+  sendNegotiateProtocolVersion,
   sendParameterStatus,
   sendBackendKeyData,
   sendReadyForQuery,
   sendErrorResponse,
   sendParseComplete,
   sendBindComplete,
+  sendCloseComplete,
+  sendParameterDescription,
   sendRowDescription,
+  sendNoData,
+  sendAuthenticationCleartextPassword,
+  sendAuthenticationMD5Password,
   sendAuthenticationSASL,
   sendAuthenticationSASLContinue,
   sendAuthenticationSASLFinal,
+  sendFunctionCallResponse,
 } = require('./messageBuilders');
 
-const { executeQueryString, executeQuery } = require('../handlers/queryHandlers');
+const {
+  executeQueryString,
+  executeQuery,
+  sendPortalRows,
+  describeQuery,
+  describeParameters,
+} = require('../handlers/queryHandlers');
 
 /**
  * Main message processing entry point
@@ -204,9 +252,11 @@ const { executeQueryString, executeQuery } = require('../handlers/queryHandlers'
  * @returns {number} Bytes processed (0 if need more data)
  */
 function processMessage(buffer, socket, connState, config = null) {
-  // Special handling for SCRAM authentication
-  // During SCRAM, we receive password messages ('p') with SASL data even before authentication is complete
-  if (!connState.authenticated && connState.scramState && buffer.length >= 5) {
+  // Special handling for password authentication
+  // During SCRAM, MD5 or cleartext authentication, we receive password messages ('p')
+  // before authentication is complete
+  const awaitingPassword = connState.scramState || connState.passwordAuthMethod;
+  if (!connState.authenticated && awaitingPassword && buffer.length >= 5) {
     const messageType = String.fromCharCode(buffer[0]);
     if (messageType === 'p') {
       return processRegularMessage(buffer, socket, connState, config);
@@ -255,20 +305,37 @@ function processStartupMessage(buffer, socket, connState, config = null) {
       return handleSSLRequest(socket, config);
     }
 
+    // Handle GSS encryption request
+    if (protocolVersion === GSSENC_REQUEST_CODE) {
+      return handleGSSENCRequest(socket);
+    }
+
     // Handle cancel request
     if (protocolVersion === CANCEL_REQUEST_CODE) {
-      return handleCancelRequest(buffer, socket, length);
+      return handleCancelRequest(buffer, socket, length, connState);
     }
 
-    // Handle regular startup packet
-    if (protocolVersion === PROTOCOL_VERSION_3_0) {
-      return handleStartupPacket(buffer, socket, connState, length, config);
+    // Handle regular startup packet; newer 3.x versions are negotiated down
+    if (protocolVersion >>> 16 === 3) {
+      return handleStartupPacket(buffer, socket, connState, length, config, protocolVersion);
     }
 
-    throw new Error(`Unsupported protocol version: ${protocolVersion}`);
+    throw createError(
+      ERROR_CODES.FEATURE_NOT_SUPPORTED,
+      `unsupported frontend protocol ${formatProtocolVersion(protocolVersion)}: ` +
+        `server supports 3.0 to ${formatProtocolVersion(PROTOCOL_VERSION_LATEST)}`
+    );
   } catch (error) {
     console.error('Error processing startup message:', error);
-    sendErrorResponse(socket, ERROR_CODES.PROTOCOL_VIOLATION, error.message);
+    sendErrorResponse(
+      socket,
+      error.code || ERROR_CODES.PROTOCOL_VIOLATION,
+      error.message,
+      {},
+      {
+        severity: ERROR_SEVERITY.FATAL,
+      }
+    );
     socket.end();
     return length;
   }
@@ -302,6 +369,16 @@ function processRegularMessage(buffer, socket, connState, _config = null) {
     messageLength: length,
   });
 
+  // After an extended-protocol error, PostgreSQL discards every message until Sync
+  if (
+    connState.isDiscardingUntilSync() &&
+    messageType !== MESSAGE_TYPES.SYNC &&
+    messageType !== MESSAGE_TYPES.TERMINATE
+  ) {
+    console.log(`Discarding ${messageType} message until Sync`);
+    return length + 1;
+  }
+
   try {
     switch (messageType) {
       case MESSAGE_TYPES.QUERY: // 'Q' - Simple Query
@@ -314,7 +391,7 @@ function processRegularMessage(buffer, socket, connState, _config = null) {
         return processParse(buffer, socket, connState);
 
       case MESSAGE_TYPES.BIND: // 'B' - Bind (Extended Query)
-        return processBind(buffer, socket, connState);
+        return processBind(buffer, socket, connState, _config);
 
       case MESSAGE_TYPES.DESCRIBE: // 'D' - Describe
         return processDescribe(buffer, socket, connState);
@@ -322,6 +399,12 @@ function processRegularMessage(buffer, socket, connState, _config = null) {
       case MESSAGE_TYPES.EXECUTE: // 'E' - Execute
         return processExecute(buffer, socket, connState);
 
+      case MESSAGE_TYPES.CLOSE: // 'C' - Close
+        return processClose(buffer, socket, connState);
+
+      case MESSAGE_TYPES.FLUSH: // 'H' - Flush
+        return processFlush(buffer, socket, connState);
+
       case MESSAGE_TYPES.SYNC: // 'S' - Sync
         return processSync(buffer, socket, connState);
 
@@ -338,7 +421,7 @@ function processRegularMessage(buffer, socket, connState, _config = null) {
         return processCopyFail(buffer, socket, connState);
 
       case MESSAGE_TYPES.FUNCTION_CALL: // 'F' - Function Call
-        return processFunctionCall(buffer, socket, connState);
+        return processFunctionCall(buffer, socket, connState, _config);
 
       default:
         console.warn(`Unknown message type: ${messageType}`);
@@ -395,20 +478,41 @@ function handleSSLRequest(socket, config = null) {
   }
 }
 
+/**
+ * Handles GSS encryption request messages
+ * GSSAPI is not supported, so the request is always declined; libpq then goes on
+ * with an SSLRequest or a plain startup packet on the same connection.
+ * @param {Socket} socket - Client socket
+ * @returns {number} Bytes processed
+ */
+function handleGSSENCRequest(socket) {
+  console.log('GSSENC request received - rejecting (GSSAPI not supported)');
+  socket.write(Buffer.from('N')); // Reject GSS encryption
+  return 8; // GSSENC request is always 8 bytes
+}
+
 /**
  * Handles cancel request messages
+ * The statement running on the connection identified by the key data is
+ * interrupted; the requester gets no reply either way, as in PostgreSQL.
  * @param {Buffer} buffer - Message buffer
  * @param {Socket} socket - Client socket
  * @param {number} length - Message length
+ * @param {ConnectionState} connState - Connection state of the requesting socket
  * @returns {number} Bytes processed
  */
-function handleCancelRequest(buffer, socket, length) {
-  if (length >= 16) {
-    // Should have PID and secret
+function handleCancelRequest(buffer, socket, length, connState) {
+  if (length >= 16 && length <= 12 + MAX_CANCEL_KEY_LENGTH) {
+    // PID, then the key: 4 bytes in protocol 3.0, up to 256 bytes from 3.2 on
     const pid = buffer.readInt32BE(8);
-    const secret = buffer.readInt32BE(12);
-    console.log(`Cancel request received for PID: ${pid}, Secret: ${secret}`);
-    // In a real implementation, we'd find and cancel the query    } else {
+    const key = buffer.subarray(12, length);
+    console.log(`Cancel request received for PID: ${pid}`);
+
+    const cancelRegistry = connState && connState.getCancelRegistry();
+    if (cancelRegistry) {
+      cancelRegistry.cancel(pid, key);
+    }
+  } else {
     console.log(ERROR_MESSAGES.MALFORMED_CANCEL_REQUEST);
   }
 
@@ -423,44 +527,103 @@ function handleCancelRequest(buffer, socket, length) {
  * @param {ConnectionState} connState - Connection state
  * @param {number} length - Message length
  * @param {Object} config - Server configuration
+ * @param {number} protocolVersion - Protocol version the client asked for
  * @returns {number} Bytes processed
  */
-function handleStartupPacket(buffer, socket, connState, length, config = {}) {
+function handleStartupPacket(
+  buffer,
+  socket,
+  connState,
+  length,
+  config = {},
+  protocolVersion = PROTOCOL_VERSION_3_0
+) {
   // Parse parameters from startup packet
-  const parameters = parseParameters(buffer, 8, length);
+  const allParameters = parseParameters(buffer, 8, length);
+
+  // Protocol options (_pq_.*) are not connection parameters; the server knows none,
+  // so every one the client asked for is reported back as unrecognized
+  const parameters = new Map();
+  const unrecognizedOptions = [];
+  for (const [key, value] of allParameters) {
+    if (key.startsWith(PROTOCOL_OPTION_PREFIX)) {
+      unrecognizedOptions.push(key);
+    } else {
+      parameters.set(key, value);
+      connState.setParameter(key, value);
+    }
+  }
 
-  // Set connection parameters
-  for (const [key, value] of parameters) {
-    connState.setParameter(key, value);
+  // As in PostgreSQL, a client asking for a newer minor version or for options is
+  // told what the connection will use before authentication starts
+  const version = Math.min(protocolVersion, PROTOCOL_VERSION_LATEST);
+  connState.protocolVersion = version;
+  if (version !== protocolVersion || unrecognizedOptions.length > 0) {
+    sendNegotiateProtocolVersion(socket, version, unrecognizedOptions);
+  }
+
+  // Protocol 3.2 replaces the 32-bit cancel secret with a longer key
+  if (version >= PROTOCOL_VERSION_3_2) {
+    connState.backendSecret = generateCancelKey();
+  }
+
+  // Settings from the startup packet override the server defaults; an invalid
+  // value fails the connection, as it does in PostgreSQL
+  try {
+    connState.applyStartupSettings(readStartupSettings(parameters));
+  } catch (error) {
+    sendErrorResponse(socket, error.code, error.message, {}, { severity: ERROR_SEVERITY.FATAL });
+    socket.end();
+    return length;
   }
 
   // Ensure config is an object (handle null/undefined)
   const serverConfig = config || {};
 
-  // Determine authentication method from config
-  const authMethod = serverConfig.authMethod || 'trust';
-  const requireAuth = serverConfig.requireAuthentication !== false; // Default to true unless explicitly false
+  // Host-based authentication rules choose the method, or refuse the connection;
+  // without them the configured method applies to every connection
+  let authMethod = serverConfig.authMethod || 'trust';
+  const hbaRules = connState.getHbaRules();
+  if (hbaRules) {
+    try {
+      connState.hbaRule = hbaRules.authorize(getHbaClient(socket, connState));
+      authMethod = connState.hbaRule.method;
+    } catch (error) {
+      sendErrorResponse(socket, error.code, error.message, {}, { severity: ERROR_SEVERITY.FATAL });
+      socket.end();
+      return length;
+    }
+  }
 
-  // Only skip authentication if method is trust AND authentication is not required
-  if (authMethod === 'trust' && !requireAuth) {
-    connState.authenticate(PROTOCOL_VERSION_3_0);
-    sendAuthenticationOK(socket);
-    sendParameterStatus(socket, connState);
-    sendBackendKeyData(socket, connState);
-    sendReadyForQuery(socket, connState);
+  // Certificate authentication and the clientcert option require a client certificate
+  // signed by the configured CA before any other check
+  const clientcert = connState.hbaRule && connState.hbaRule.options.clientcert;
+  if ((authMethod === 'cert' || clientcert) && !getClientCertificate(socket)) {
+    sendErrorResponse(
+      socket,
+      ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+      'connection requires a valid client certificate',
+      {},
+      { severity: ERROR_SEVERITY.FATAL }
+    );
+    socket.end();
     return length;
   }
 
-  // Start authentication process - only SCRAM-SHA-256 and trust are supported
-  if (authMethod === 'scram-sha-256') {
+  // Start authentication process
+  const role = findLoginRole(connState, serverConfig);
+  if (authMethod === 'scram-sha-256' || (authMethod === 'md5' && role && hasScramSecret(role))) {
+    // As in PostgreSQL, md5 authenticates roles with a SCRAM secret through SCRAM
     startScramAuthentication(socket, connState, config);
+  } else if (authMethod === 'md5' || authMethod === 'password') {
+    startPasswordAuthentication(socket, connState, authMethod);
+  } else if (authMethod === 'cert') {
+    authenticateCertificate(socket, connState, serverConfig);
+  } else if (authMethod === 'peer') {
+    authenticatePeer(socket, connState);
   } else {
     // Default to trust authentication for any other method
-    connState.authenticate(PROTOCOL_VERSION_3_0);
-    sendAuthenticationOK(socket);
-    sendParameterStatus(socket, connState);
-    sendBackendKeyData(socket, connState);
-    sendReadyForQuery(socket, connState);
+    completeAuthentication(socket, connState);
   }
 
   return length;
@@ -490,9 +653,14 @@ function processSimpleQuery(buffer, socket, connState) {
   connState.incrementQueryCount();
 
   // Execute the query string (handles multiple statements)
-  executeQueryString(query, socket, connState);
+  const pending = executeQueryString(query, socket, connState);
 
-  sendReadyForQuery(socket, connState);
+  if (pending) {
+    // A delayed response (pg_sleep, simulated latency) is followed by ReadyForQuery
+    connState.setPendingResponse(pending.then(() => sendReadyForQuery(socket, connState)));
+  } else {
+    sendReadyForQuery(socket, connState);
+  }
   return length + 1;
 }
 
@@ -514,6 +682,20 @@ function handleTerminate(socket, connState, length) {
  * Extended Query Protocol Handlers
  */
 
+/**
+ * Sends an ErrorResponse for an extended-protocol message
+ * As in PostgreSQL, the error aborts the current transaction (the implicit one of
+ * the batch, or the open transaction block) and the messages that follow are
+ * discarded until the next Sync.
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {...*} args - Arguments of sendErrorResponse() after the socket
+ */
+function sendExtendedError(socket, connState, ...args) {
+  sendErrorResponse(socket, ...args);
+  connState.failExtendedQuery();
+}
+
 /**
  * Processes Parse messages for prepared statements
  * @param {Buffer} buffer - Message buffer
@@ -544,29 +726,55 @@ function processParse(buffer, socket, connState) {
     const paramCount = buffer.readInt16BE(offset);
     offset += 2;
 
-    // Read parameter types (if any)
-    const paramTypes = [];
+    // Read parameter types (if any); 0 leaves the type to be inferred
+    const declaredTypes = [];
     for (let i = 0; i < paramCount; i++) {
-      paramTypes.push(buffer.readInt32BE(offset));
+      declaredTypes.push(buffer.readInt32BE(offset));
       offset += 4;
     }
 
+    // Errors in the statement itself (an unterminated string, a parameter whose type
+    // cannot be determined) are reported as they are, not as a malformed message
+    let paramTypes;
+    try {
+      paramTypes = describeParameters(query, connState, declaredTypes);
+    } catch (error) {
+      if (!error.code) {
+        throw error;
+      }
+      sendExtendedError(
+        socket,
+        connState,
+        error.code,
+        error.message,
+        {},
+        { detail: error.detail, hint: error.hint, position: error.position }
+      );
+      return length + 1;
+    }
+
     console.log(
-      `Parse: statement="${statementName || '(unnamed)'}", query="${query}", params=${paramCount}`
+      `Parse: statement="${statementName || '(unnamed)'}", query="${query}", ` +
+        `params=${paramTypes.length}`
     );
 
     // Store the prepared statement
     connState.addPreparedStatement(statementName, {
       query,
       paramTypes,
-      paramCount,
+      paramCount: paramTypes.length,
     });
 
     sendParseComplete(socket);
     return length + 1;
   } catch (error) {
     console.error('Error parsing Parse message:', error);
-    sendErrorResponse(socket, ERROR_CODES.PROTOCOL_VIOLATION, ERROR_MESSAGES.INVALID_PARSE_MESSAGE);
+    sendExtendedError(
+      socket,
+      connState,
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      ERROR_MESSAGES.INVALID_PARSE_MESSAGE
+    );
     return length + 1;
   }
 }
@@ -576,9 +784,10 @@ function processParse(buffer, socket, connState) {
  * @param {Buffer} buffer - Message buffer
  * @param {Socket} socket - Client socket
  * @param {ConnectionState} connState - Connection state
+ * @param {Object} config - Server configuration, for custom types
  * @returns {number} Bytes processed
  */
-function processBind(buffer, socket, connState) {
+function processBind(buffer, socket, connState, config = null) {
   const length = buffer.readInt32BE(1);
 
   try {
@@ -600,8 +809,9 @@ function processBind(buffer, socket, connState) {
     // Get the prepared statement
     const statement = connState.getPreparedStatement(statementName);
     if (!statement) {
-      sendErrorResponse(
+      sendExtendedError(
         socket,
+        connState,
         ERROR_CODES.UNDEFINED_FUNCTION,
         `Prepared statement "${statementName}" does not exist`
       );
@@ -609,7 +819,10 @@ function processBind(buffer, socket, connState) {
     }
 
     let parameters = [];
+    let parameterText = [];
     let parameterFormats = [];
+    const resultFormats = [];
+    let parameterError = null;
 
     try {
       // Read parameter format codes count
@@ -628,41 +841,86 @@ function processBind(buffer, socket, connState) {
       if (offset + 2 <= buffer.length) {
         const paramCount = buffer.readInt16BE(offset);
         offset += 2;
+        parameterError = checkParameterCount(
+          paramCount,
+          parameterFormats,
+          statement,
+          statementName
+        );
 
         // Read parameters
-        for (let i = 0; i < paramCount && offset + 4 <= buffer.length; i++) {
+        for (let i = 0; i < paramCount && !parameterError && offset + 4 <= buffer.length; i++) {
           const paramLength = buffer.readInt32BE(offset);
           offset += 4;
 
           if (paramLength === -1) {
             // NULL parameter
             parameters.push(null);
+            parameterText.push(null);
           } else if (paramLength >= 0 && offset + paramLength <= buffer.length) {
-            // Read parameter value
-            const format = parameterFormats[i] || parameterFormats[0] || 0; // Default to text
-            let paramValue;
-
-            if (format === 0) {
-              // Text format
-              paramValue = buffer.slice(offset, offset + paramLength).toString('utf8');
-            } else {
-              // Binary format - store as hex string for logging
-              paramValue = buffer.slice(offset, offset + paramLength).toString('hex');
+            // Read parameter value; one format code applies to every parameter. Values
+            // are typed by the type Parse declared or inferred, and recorded responses
+            // match them as sent, with binary ones in hex
+            const format =
+              parameterFormats.length === 1 ? parameterFormats[0] : parameterFormats[i];
+            const binary = format === FORMAT_CODES.BINARY;
+            const data = buffer.slice(offset, offset + paramLength);
+            const typeOID = (statement.paramTypes && statement.paramTypes[i]) || DATA_TYPES.TEXT;
+
+            try {
+              parameters.push(
+                binary
+                  ? decodeBinaryValue(data, typeOID, config)
+                  : parseTextParameter(data.toString('utf8'), typeOID, config)
+              );
+            } catch (error) {
+              parameterError = error;
+              if (error.code === ERROR_CODES.INVALID_BINARY_REPRESENTATION) {
+                parameterError = createError(
+                  error.code,
+                  `incorrect binary data format in bind parameter ${i + 1}`,
+                  { detail: error.detail }
+                );
+              }
+              break;
             }
-
-            parameters.push(paramValue);
+            parameterText.push(data.toString(binary ? 'hex' : 'utf8'));
             offset += paramLength;
           } else {
             // Invalid parameter length
             parameters.push('<invalid>');
+            parameterText.push('<invalid>');
             break;
           }
         }
       }
+
+      // Read result-column format codes
+      if (offset + 2 <= buffer.length) {
+        const resultFormatCount = buffer.readInt16BE(offset);
+        offset += 2;
+        for (let i = 0; i < resultFormatCount && offset + 2 <= buffer.length; i++) {
+          resultFormats.push(buffer.readInt16BE(offset));
+          offset += 2;
+        }
+      }
     } catch (paramError) {
       // If parameter parsing fails, continue with empty parameters
       console.warn('Parameter parsing failed:', paramError.message);
       parameters = [];
+      parameterText = [];
+    }
+
+    if (parameterError) {
+      sendExtendedError(
+        socket,
+        connState,
+        parameterError.code,
+        parameterError.message,
+        {},
+        { detail: parameterError.detail }
+      );
+      return length + 1;
     }
 
     console.log(
@@ -681,12 +939,26 @@ function processBind(buffer, socket, connState) {
       });
     }
 
+    const bound = {
+      params: parameters,
+      paramText: parameterText,
+      paramTypes: statement.paramTypes,
+    };
+    const formatError = checkResultFormats(resultFormats, statement, bound, connState);
+    if (formatError) {
+      sendExtendedError(socket, connState, formatError.code, formatError.message);
+      return length + 1;
+    }
+
     // Store the portal with parameters
     connState.addPortal(portalName, {
       statement: statementName,
       query: statement.query,
+      paramTypes: statement.paramTypes,
       parameters,
+      parameterText,
       parameterFormats,
+      resultFormats,
       boundAt: new Date(),
     });
 
@@ -694,11 +966,101 @@ function processBind(buffer, socket, connState) {
     return length + 1;
   } catch (error) {
     console.error('Error parsing Bind message:', error);
-    sendErrorResponse(socket, ERROR_CODES.PROTOCOL_VIOLATION, ERROR_MESSAGES.INVALID_BIND_MESSAGE);
+    sendExtendedError(
+      socket,
+      connState,
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      ERROR_MESSAGES.INVALID_BIND_MESSAGE
+    );
     return length + 1;
   }
 }
 
+/**
+ * Checks the parameter count of a Bind message against its format codes and the
+ * parameters of the prepared statement
+ * @param {number} paramCount - Number of parameters in the message
+ * @param {Array<number>} parameterFormats - Parameter format codes
+ * @param {Object} statement - Prepared statement being bound
+ * @param {string} statementName - Statement name
+ * @returns {PostgresError|null} 08P01 error, or null if the counts agree
+ */
+function checkParameterCount(paramCount, parameterFormats, statement, statementName) {
+  if (parameterFormats.length > 1 && parameterFormats.length !== paramCount) {
+    return createError(
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      `bind message has ${parameterFormats.length} parameter formats but ${paramCount} parameters`
+    );
+  }
+  const required = statement.paramTypes ? statement.paramTypes.length : paramCount;
+  if (paramCount !== required) {
+    return createError(
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      `bind message supplies ${paramCount} parameters, but prepared statement ` +
+        `"${statementName}" requires ${required}`
+    );
+  }
+  return null;
+}
+
+/**
+ * Reads a text-format parameter with the input rules of its type, as PostgreSQL
+ * does at Bind
+ * @param {string} text - Parameter text
+ * @param {number} typeOID - Parameter type OID
+ * @param {Object} config - Server configuration, for custom types
+ * @returns {*} Value as the SQL engine holds it
+ * @throws {PostgresError} 22P02 if the text is not valid input for the type
+ */
+function parseTextParameter(text, typeOID, config) {
+  if (!isCustomType(typeOID, config)) {
+    return coerceValue(text, typeFromOID(typeOID));
+  }
+  try {
+    return decodeCustomType(text, typeOID, config);
+  } catch (error) {
+    throw createError(
+      ERROR_CODES.INVALID_TEXT_REPRESENTATION,
+      `invalid input syntax for type ${getTypeName(typeOID, config)}: "${text}"`,
+      { detail: error.message }
+    );
+  }
+}
+
+/**
+ * Checks the result-format codes of a Bind message, as PostgreSQL does when it
+ * creates the portal
+ * @param {Array<number>} resultFormats - Result-format codes
+ * @param {Object} statement - Prepared statement being bound
+ * @param {Object} bound - Bound parameters ({params, paramText, paramTypes})
+ * @param {ConnectionState} connState - Connection state
+ * @returns {PostgresError|null} Error, or null if the codes are valid
+ */
+function checkResultFormats(resultFormats, statement, bound, connState) {
+  const unsupported = resultFormats.find(
+    code => code !== FORMAT_CODES.TEXT && code !== FORMAT_CODES.BINARY
+  );
+  if (unsupported !== undefined) {
+    return createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `unsupported format code: ${unsupported}`
+    );
+  }
+
+  // One code per column is only known to match once the statement is described
+  if (resultFormats.length > 1) {
+    const { columns } = describeQuery(statement.query, connState, bound);
+    if (columns && columns.length !== resultFormats.length) {
+      return createError(
+        ERROR_CODES.PROTOCOL_VIOLATION,
+        `bind message has ${resultFormats.length} result formats but query has ` +
+          `${columns.length} columns`
+      );
+    }
+  }
+  return null;
+}
+
 /**
  * Processes Describe messages
  * @param {Buffer} buffer - Message buffer
@@ -721,49 +1083,58 @@ function processDescribe(buffer, socket, connState) {
     console.log(`Describe: type=${describeType}, name="${name || '(unnamed)'}"`);
 
     if (describeType === 'S') {
-      // Describe statement - send parameter description and row description
+      // Describe statement - parameter types, then the rows it returns
       const statement = connState.getPreparedStatement(name);
-      if (statement) {
-        // For simplicity, just send a basic row description
-        sendRowDescription(socket, [
-          {
-            name: 'result',
-            dataTypeOID: 25,
-            dataTypeSize: -1,
-          },
-        ]);
-      } else {
-        sendErrorResponse(
+      if (!statement) {
+        sendExtendedError(
           socket,
+          connState,
           ERROR_CODES.UNDEFINED_FUNCTION,
           `Prepared statement "${name}" does not exist`
         );
+        return length + 1;
+      }
+      const described = describeQuery(statement.query, connState, {
+        paramTypes: statement.paramTypes,
+      });
+      if (!described.error) {
+        sendParameterDescription(socket, statement.paramTypes);
       }
+      sendDescription(socket, connState, described);
     } else if (describeType === 'P') {
-      // Describe portal - send row description
+      // Describe portal - the rows Execute will send
       const portal = connState.getPortal(name);
-      if (portal) {
-        sendRowDescription(socket, [
-          {
-            name: 'result',
-            dataTypeOID: 25,
-            dataTypeSize: -1,
-          },
-        ]);
-      } else {
-        sendErrorResponse(
+      if (!portal) {
+        sendExtendedError(
           socket,
+          connState,
           ERROR_CODES.UNDEFINED_FUNCTION,
           `Portal "${name}" does not exist`
         );
+        return length + 1;
+      }
+      // Columns carry the result formats Bind asked for; a portal that already ran
+      // keeps those of its result
+      const options = {
+        params: portal.parameters,
+        paramText: portal.parameterText,
+        paramTypes: portal.paramTypes,
+      };
+      const described = portal.cursor
+        ? { columns: portal.cursor.columns }
+        : describeQuery(portal.query, connState, options);
+      if (described.columns && !portal.cursor) {
+        described.columns = applyResultFormats(described.columns, portal.resultFormats);
       }
+      sendDescription(socket, connState, described);
     }
 
     return length + 1;
   } catch (error) {
     console.error('Error parsing Describe message:', error);
-    sendErrorResponse(
+    sendExtendedError(
       socket,
+      connState,
       ERROR_CODES.PROTOCOL_VIOLATION,
       ERROR_MESSAGES.INVALID_DESCRIBE_MESSAGE
     );
@@ -771,6 +1142,30 @@ function processDescribe(buffer, socket, connState) {
   }
 }
 
+/**
+ * Sends the row part of a Describe response
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {Object} described - Result of describeQuery() ({columns} or {error})
+ */
+function sendDescription(socket, connState, described) {
+  if (described.error) {
+    const { error } = described;
+    sendExtendedError(
+      socket,
+      connState,
+      error.code || ERROR_CODES.INTERNAL_ERROR,
+      error.message,
+      {},
+      { detail: error.detail, hint: error.hint, position: error.position }
+    );
+  } else if (described.columns) {
+    sendRowDescription(socket, described.columns);
+  } else {
+    sendNoData(socket);
+  }
+}
+
 /**
  * Processes Execute messages
  * @param {Buffer} buffer - Message buffer
@@ -790,20 +1185,27 @@ function processExecute(buffer, socket, connState) {
     const portalName = buffer.slice(portalStart, offset).toString('utf8');
     offset++; // Skip null terminator
 
-    // Read row limit
-    // const rowLimit = buffer.readInt32BE(offset);
+    // Read row limit (0 for no limit)
+    const maxRows = buffer.readInt32BE(offset);
 
     // Get the portal
     const portal = connState.getPortal(portalName);
     if (!portal) {
-      sendErrorResponse(
+      sendExtendedError(
         socket,
+        connState,
         ERROR_CODES.UNDEFINED_FUNCTION,
         `${ERROR_MESSAGES.PORTAL_DOES_NOT_EXIST}: "${portalName}"`
       );
       return length + 1;
     }
 
+    // A suspended portal resumes where the previous Execute stopped, without running again
+    if (portal.cursor) {
+      sendPortalRows(socket, connState, portal, maxRows);
+      return length + 1;
+    }
+
     // Execute the query from the portal
     connState.incrementQueryCount();
 
@@ -817,13 +1219,28 @@ function processExecute(buffer, socket, connState) {
       });
     }
 
-    executeQuery(portal.query || "SELECT 'Extended query result'", socket, connState);
+    const pending = executeQuery(
+      portal.query || "SELECT 'Extended query result'",
+      socket,
+      connState,
+      {
+        params: portal.parameters,
+        paramText: portal.parameterText,
+        paramTypes: portal.paramTypes,
+        portal,
+        maxRows,
+      }
+    );
+    if (pending) {
+      connState.setPendingResponse(pending);
+    }
 
     return length + 1;
   } catch (error) {
     console.error('Error parsing Execute message:', error);
-    sendErrorResponse(
+    sendExtendedError(
       socket,
+      connState,
       ERROR_CODES.PROTOCOL_VIOLATION,
       ERROR_MESSAGES.INVALID_EXECUTE_MESSAGE
     );
@@ -831,6 +1248,78 @@ function processExecute(buffer, socket, connState) {
   }
 }
 
+/**
+ * Processes Close messages
+ * As in PostgreSQL, closing a statement or portal that does not exist is not an
+ * error, and closing a statement also closes the portals bound from it.
+ * @param {Buffer} buffer - Message buffer
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @returns {number} Bytes processed
+ */
+function processClose(buffer, socket, connState) {
+  const length = buffer.readInt32BE(1);
+
+  try {
+    const closeType = String.fromCharCode(buffer[5]); // 'S' or 'P'
+    let offset = 6;
+
+    // Read name
+    const nameStart = offset;
+    while (offset < buffer.length && buffer[offset] !== 0) offset++;
+    const name = buffer.slice(nameStart, offset).toString('utf8');
+
+    console.log(`Close: type=${closeType}, name="${name || '(unnamed)'}"`);
+
+    if (closeType === 'S') {
+      connState.closePreparedStatement(name);
+    } else if (closeType === 'P') {
+      connState.removePortal(name);
+    } else {
+      sendExtendedError(
+        socket,
+        connState,
+        ERROR_CODES.PROTOCOL_VIOLATION,
+        `${ERROR_MESSAGES.INVALID_CLOSE_MESSAGE}: unknown type "${closeType}"`
+      );
+      return length + 1;
+    }
+
+    sendCloseComplete(socket);
+    return length + 1;
+  } catch (error) {
+    console.error('Error parsing Close message:', error);
+    sendExtendedError(
+      socket,
+      connState,
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      ERROR_MESSAGES.INVALID_CLOSE_MESSAGE
+    );
+    return length + 1;
+  }
+}
+
+/**
+ * Processes Flush messages
+ * Responses are written to the socket as soon as they are built; Flush pushes out
+ * anything still held by a corked socket. Unlike Sync, it ends no transaction and
+ * sends no ReadyForQuery.
+ * @param {Buffer} buffer - Message buffer
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} _connState - Connection state
+ * @returns {number} Bytes processed
+ */
+function processFlush(buffer, socket, _connState) {
+  const length = buffer.readInt32BE(1);
+
+  console.log('Flush: sending pending output');
+  while (socket.writableCorked > 0) {
+    socket.uncork();
+  }
+
+  return length + 1;
+}
+
 /**
  * Processes Sync messages
  * @param {Buffer} buffer - Message buffer
@@ -846,6 +1335,11 @@ function processSync(buffer, socket, connState) {
   // Clear unnamed prepared statements and portals
   connState.clearUnnamed();
 
+  // Sync ends the implicit transaction block of the messages before it, and the
+  // error recovery of a failed batch
+  connState.endImplicitTransaction();
+  connState.stopDiscardingUntilSync();
+
   sendReadyForQuery(socket, connState);
   return length + 1;
 }
@@ -872,15 +1366,13 @@ function processPasswordMessage(buffer, socket, connState, config = {}) {
   } else if (connState.scramState === SCRAM_STATES.FIRST_SENT) {
     // This is SASL response
     return processSASLResponse(buffer, socket, connState);
+  } else if (connState.passwordAuthMethod) {
+    // This is the reply to a cleartext or MD5 password request
+    return processPasswordResponse(buffer, socket, connState, config);
   }
 
-  // Only SCRAM authentication is supported for password messages
-  // If we reach here, it means we received a password message outside of SCRAM flow
-  sendErrorResponse(
-    socket,
-    ERROR_CODES.PROTOCOL_VIOLATION,
-    'password authentication not supported, use SCRAM-SHA-256'
-  );
+  // No authentication exchange is waiting for a password
+  sendErrorResponse(socket, ERROR_CODES.PROTOCOL_VIOLATION, 'unexpected password message');
   return length + 1;
 }
 
@@ -1107,6 +1599,7 @@ function processCopyDone(buffer, socket, connState) {
 
     // Clear copy state
     connState.clearCopyState();
+    connState.finishQuery();
 
     // Send command complete
     const { sendCommandComplete } = require('./messageBuilders');
@@ -1150,6 +1643,7 @@ function processCopyFail(buffer, socket, connState) {
 
     // Clear copy state
     connState.clearCopyState();
+    connState.finishQuery();
   }
 
   // Send error response
@@ -1163,39 +1657,200 @@ function processCopyFail(buffer, socket, connState) {
 }
 
 /**
- * Processes Function Call messages
+ * Processes Function Call messages (the fastpath interface)
+ * The function is looked up by OID among the built-ins. As in PostgreSQL, a call
+ * outside a transaction block is a transaction of its own, and the response is
+ * followed by ReadyForQuery.
  * @param {Buffer} buffer - Message buffer
  * @param {Socket} socket - Client socket
  * @param {ConnectionState} connState - Connection state
+ * @param {Object} config - Server configuration (optional)
  * @returns {number} Bytes processed
  */
-function processFunctionCall(buffer, socket, _connState) {
+function processFunctionCall(buffer, socket, connState, config = null) {
   const length = buffer.readInt32BE(1);
 
-  console.log('Function call received (not implemented)');
-
-  // Send error - function call not supported
-  sendErrorResponse(
-    socket,
-    ERROR_CODES.FEATURE_NOT_SUPPORTED,
-    ERROR_MESSAGES.FUNCTION_CALL_NOT_SUPPORTED
-  );
+  try {
+    const call = decodeFunctionCall(buffer, length);
+    console.log(`Function call: OID ${call.functionOID} with ${call.args.length} arguments`);
+    connState.incrementQueryCount();
+    sendFunctionCallResponse(socket, executeFunctionCall(call, connState, config));
+  } catch (error) {
+    sendErrorResponse(
+      socket,
+      error.code || ERROR_CODES.INTERNAL_ERROR,
+      error.message,
+      {},
+      { detail: error.detail, hint: error.hint }
+    );
+    connState.failStatement();
+  }
 
+  connState.endImplicitTransaction();
+  sendReadyForQuery(socket, connState);
   return length + 1;
 }
 
+/**
+ * Decodes the fields of a FunctionCall message
+ * @param {Buffer} buffer - Message buffer
+ * @param {number} length - Message length from its header
+ * @returns {Object} Decoded call ({functionOID, argFormats, args, resultFormat})
+ * @throws {PostgresError} 08P01 if a field runs past the end of the message
+ */
+function decodeFunctionCall(buffer, length) {
+  const end = length + 1;
+  let offset = 5;
+
+  /**
+   * Claims the next bytes of the message
+   * @param {number} size - Number of bytes
+   * @returns {number} Offset of the bytes
+   */
+  const take = size => {
+    if (offset + size > end) {
+      throw createError(ERROR_CODES.PROTOCOL_VIOLATION, 'insufficient data left in message');
+    }
+    offset += size;
+    return offset - size;
+  };
+
+  const functionOID = buffer.readUInt32BE(take(4));
+
+  const argFormats = [];
+  const formatCount = buffer.readInt16BE(take(2));
+  for (let i = 0; i < formatCount; i++) {
+    argFormats.push(buffer.readInt16BE(take(2)));
+  }
+
+  const args = [];
+  const argCount = buffer.readInt16BE(take(2));
+  for (let i = 0; i < argCount; i++) {
+    const argLength = buffer.readInt32BE(take(4));
+    if (argLength < -1) {
+      throw createError(
+        ERROR_CODES.PROTOCOL_VIOLATION,
+        `invalid argument size ${argLength} in function call message`
+      );
+    }
+    args.push(argLength === -1 ? null : buffer.slice(take(argLength), offset));
+  }
+
+  const resultFormat = buffer.readInt16BE(take(2));
+  return { functionOID, argFormats, args, resultFormat };
+}
+
+/**
+ * Runs a fastpath function call
+ * @param {Object} call - Decoded FunctionCall ({functionOID, argFormats, args, resultFormat})
+ * @param {ConnectionState} connState - Connection state
+ * @param {Object} config - Server configuration (optional)
+ * @returns {Buffer|null} Result in the requested format, or null for NULL
+ * @throws {PostgresError} 25P02 in a failed transaction block, 42883 for an unknown
+ *   function, 08P01 for a malformed call, or the function's own error
+ */
+function executeFunctionCall(call, connState, config) {
+  if (connState.isInFailedTransaction()) {
+    throw createError(ERROR_CODES.IN_FAILED_SQL_TRANSACTION, ERROR_MESSAGES.TRANSACTION_ABORTED);
+  }
+
+  const builtin = getBuiltinFunction(call.functionOID);
+  if (!builtin) {
+    throw createError(
+      ERROR_CODES.UNDEFINED_FUNCTION,
+      `function with OID ${call.functionOID} does not exist`
+    );
+  }
+  if (call.args.length !== builtin.argTypes.length) {
+    throw createError(
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      `function call message contains ${call.args.length} arguments but function requires ${builtin.argTypes.length}`
+    );
+  }
+  if (call.argFormats.length > 1 && call.argFormats.length !== call.args.length) {
+    throw createError(
+      ERROR_CODES.PROTOCOL_VIOLATION,
+      `function call message contains ${call.argFormats.length} argument formats but ${call.args.length} arguments`
+    );
+  }
+
+  // Arguments use the same format codes as Bind parameters
+  const args = call.args.map((data, i) => {
+    if (data === null) {
+      return null;
+    }
+    const format = (call.argFormats.length === 1 ? call.argFormats[0] : call.argFormats[i]) || 0;
+    const typeOID = builtin.argTypes[i];
+    checkFormatCode(format);
+    if (format === FORMAT_CODES.TEXT) {
+      return parseTextParameter(data.toString('utf8'), typeOID, config);
+    }
+    try {
+      return decodeBinaryValue(data, typeOID, config);
+    } catch (error) {
+      if (error.code !== ERROR_CODES.INVALID_BINARY_REPRESENTATION) {
+        throw error;
+      }
+      throw createError(error.code, `incorrect binary data format in function argument ${i + 1}`, {
+        detail: error.detail,
+      });
+    }
+  });
+
+  checkFormatCode(call.resultFormat);
+  const value = callBuiltinFunction(builtin, args, connState);
+  if (value === null) {
+    return null;
+  }
+  if (call.resultFormat === FORMAT_CODES.BINARY) {
+    return encodeBinaryValue(value, builtin.returnType);
+  }
+  return Buffer.from(formatValue(value, typeFromOID(builtin.returnType)), 'utf8');
+}
+
+/**
+ * Rejects a format code other than text and binary
+ * @param {number} format - Format code
+ */
+function checkFormatCode(format) {
+  if (format !== FORMAT_CODES.TEXT && format !== FORMAT_CODES.BINARY) {
+    throw createError(ERROR_CODES.INVALID_PARAMETER_VALUE, `unsupported format code: ${format}`);
+  }
+}
+
 /**
  * Authentication Handlers
  */
 
+/**
+ * Gets the tls-server-end-point channel binding data of a connection
+ * @param {Socket} socket - Client socket
+ * @returns {Buffer|null} Hash of the server certificate, or null if the connection is
+ *   not encrypted or its certificate does not support channel binding
+ */
+function getServerEndPointBinding(socket) {
+  if (!socket.encrypted || typeof socket.getCertificate !== 'function') {
+    return null;
+  }
+  const certificate = socket.getCertificate();
+  if (!certificate || !certificate.raw) {
+    return null;
+  }
+  return computeTlsServerEndPoint(certificate.raw);
+}
+
 /**
  * Starts SCRAM-SHA-256 authentication
+ * SSL connections are offered SCRAM-SHA-256-PLUS too, as PostgreSQL does.
  * @param {Socket} socket - Client socket
  * @param {ConnectionState} connState - Connection state
  * @param {Object} config - Server configuration
  */
 function startScramAuthentication(socket, connState, _config) {
   const mechanisms = [SASL_MECHANISMS.SCRAM_SHA_256];
+  if (getServerEndPointBinding(socket)) {
+    mechanisms.unshift(SASL_MECHANISMS.SCRAM_SHA_256_PLUS);
+  }
   connState.scramState = SCRAM_STATES.INITIAL;
   connState.scramMechanism = SASL_MECHANISMS.SCRAM_SHA_256;
 
@@ -1203,6 +1858,268 @@ function startScramAuthentication(socket, connState, _config) {
   protocolLogger.sent('SCRAM Authentication Started', `mechanisms: ${mechanisms.join(', ')}`);
 }
 
+/**
+ * Starts cleartext or MD5 password authentication
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {string} method - 'password' or 'md5'
+ */
+function startPasswordAuthentication(socket, connState, method) {
+  connState.passwordAuthMethod = method;
+  if (method === 'md5') {
+    connState.md5Salt = generateMd5Salt();
+    sendAuthenticationMD5Password(socket, connState.md5Salt);
+  } else {
+    sendAuthenticationCleartextPassword(socket);
+  }
+}
+
+/**
+ * Processes the password message answering a cleartext or MD5 password request
+ * As in PostgreSQL, a wrong password and an unknown user fail alike, with a FATAL
+ * 28P01 that closes the connection.
+ * @param {Buffer} buffer - Message buffer
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {Object} config - Server configuration
+ * @returns {number} Bytes processed
+ */
+function processPasswordResponse(buffer, socket, connState, config) {
+  const length = buffer.readInt32BE(1);
+  const response = buffer
+    .slice(5, length + 1)
+    .toString('utf8')
+    .replace(/\0$/, '');
+  const role = findLoginRole(connState, config);
+
+  let valid = false;
+  if (role && connState.passwordAuthMethod === 'md5') {
+    valid = response === getMd5Response(role, connState.md5Salt);
+  } else if (role) {
+    valid = verifyPassword(role, response);
+  }
+  connState.passwordAuthMethod = null;
+  connState.md5Salt = null;
+
+  if (!valid) {
+    sendErrorResponse(
+      socket,
+      ERROR_CODES.INVALID_PASSWORD,
+      `password authentication failed for user "${connState.getCurrentUser()}"`,
+      {},
+      { severity: ERROR_SEVERITY.FATAL }
+    );
+    socket.end();
+    return length + 1;
+  }
+
+  completeAuthentication(socket, connState);
+  return length + 1;
+}
+
+/**
+ * Gets the certificate a client presented, if it is signed by the configured CA
+ * @param {Socket} socket - Client socket
+ * @returns {Object|null} Peer certificate, or null if the client sent none or the
+ *   TLS layer could not verify it
+ */
+function getClientCertificate(socket) {
+  if (!socket.authorized || typeof socket.getPeerCertificate !== 'function') {
+    return null;
+  }
+  const certificate = socket.getPeerCertificate();
+  return certificate && certificate.subject ? certificate : null;
+}
+
+/**
+ * Checks whether the common name of a client certificate may connect as the
+ * requested user: the names must be equal, or a user name map must allow it
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {string|null} map - User name map to look the common name up in
+ * @returns {boolean} True if the certificate identifies the user
+ */
+function certificateMatchesUser(socket, connState, map) {
+  const certificate = getClientCertificate(socket);
+  // Node.js gives an array for a subject with several common names; the last counts
+  const commonName = certificate && [].concat(certificate.subject.CN).pop();
+  if (!commonName) {
+    return false;
+  }
+  const user = connState.getCurrentUser();
+  if (!map) {
+    return commonName === user;
+  }
+  const identMaps = connState.getIdentMaps();
+  return Boolean(identMaps) && identMaps.check(map, commonName, user);
+}
+
+/**
+ * Fails certificate authentication with a FATAL 28000 that closes the connection
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ */
+function sendCertificateAuthenticationFailed(socket, connState) {
+  sendErrorResponse(
+    socket,
+    ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+    `certificate authentication failed for user "${connState.getCurrentUser()}"`,
+    {},
+    { severity: ERROR_SEVERITY.FATAL }
+  );
+  socket.end();
+}
+
+/**
+ * Authenticates a client by its SSL certificate, whose common name must be the user
+ * name it connects as or map to it through the rule's user name map (certMap without
+ * hba rules)
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {Object} config - Server configuration
+ */
+function authenticateCertificate(socket, connState, config = {}) {
+  const map = connState.hbaRule ? connState.hbaRule.options.map : config.certMap;
+  if (!certificateMatchesUser(socket, connState, map || null)) {
+    sendCertificateAuthenticationFailed(socket, connState);
+    return;
+  }
+  completeAuthentication(socket, connState);
+}
+
+/**
+ * Authenticates a client connected through a Unix-domain socket by the operating
+ * system user of its process, which must be the user name it connects as or map to
+ * it through the rule's user name map. Looking the process up runs ss(8), so later
+ * messages wait until the outcome has been sent.
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ */
+function authenticatePeer(socket, connState) {
+  if (socket.remoteAddress) {
+    console.log('Peer authentication is only supported on local sockets');
+    finishPeerAuthentication(socket, connState, null);
+    return;
+  }
+
+  connState.setPendingResponse(
+    getPeerCredentials(socket).then(
+      credentials => finishPeerAuthentication(socket, connState, credentials.user),
+      error => {
+        console.log(error.message);
+        finishPeerAuthentication(socket, connState, null);
+      }
+    )
+  );
+}
+
+/**
+ * Accepts or refuses a client once its operating system user is known
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @param {string|null} systemUser - Operating system user, or null if it is unknown
+ */
+function finishPeerAuthentication(socket, connState, systemUser) {
+  // The client may have gone while its process was looked up
+  if (socket.destroyed) {
+    return;
+  }
+  const user = connState.getCurrentUser();
+  const map = connState.hbaRule ? connState.hbaRule.options.map : null;
+
+  let allowed = false;
+  if (systemUser !== null && !map) {
+    allowed = systemUser === user;
+  } else if (systemUser !== null) {
+    const identMaps = connState.getIdentMaps();
+    allowed = Boolean(identMaps) && identMaps.check(map, systemUser, user);
+  }
+
+  if (!allowed) {
+    sendErrorResponse(
+      socket,
+      ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+      `Peer authentication failed for user "${user}"`,
+      {},
+      { severity: ERROR_SEVERITY.FATAL }
+    );
+    socket.end();
+    return;
+  }
+  completeAuthentication(socket, connState);
+}
+
+/**
+ * Completes authentication: sends AuthenticationOK, starts the session of the role
+ * (which may still refuse the connection, as PostgreSQL does after authentication)
+ * and reports the session parameters
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ */
+function completeAuthentication(socket, connState) {
+  // clientcert=verify-full checks the certificate once the rule's method succeeded
+  const rule = connState.hbaRule;
+  if (
+    rule &&
+    rule.method !== 'cert' &&
+    rule.options.clientcert === 'verify-full' &&
+    !certificateMatchesUser(socket, connState, null)
+  ) {
+    sendCertificateAuthenticationFailed(socket, connState);
+    return;
+  }
+
+  sendAuthenticationOK(socket);
+  try {
+    connState.startSession();
+  } catch (error) {
+    sendErrorResponse(socket, error.code, error.message, {}, { severity: ERROR_SEVERITY.FATAL });
+    socket.end();
+    return;
+  }
+
+  connState.authenticate(connState.protocolVersion || PROTOCOL_VERSION_3_0);
+  sendParameterStatus(socket, connState);
+  sendBackendKeyData(socket, connState);
+  sendReadyForQuery(socket, connState);
+}
+
+/**
+ * Finds the role a client authenticates as
+ * Without a role store, the configured username and password make up the only role.
+ * @param {ConnectionState} connState - Connection state
+ * @param {Object} config - Server configuration
+ * @param {string} name - Role name (default: the user of the startup packet)
+ * @returns {Role|Object|null} Role ({name, password} at least), or null if there is none
+ */
+function findLoginRole(connState, config, name = connState.getCurrentUser()) {
+  const roleStore = connState.getRoleStore();
+  if (roleStore) {
+    return roleStore.getRole(name);
+  }
+  const serverConfig = config || {};
+  if (name !== (serverConfig.username || 'postgres')) {
+    return null;
+  }
+  return { name, password: serverConfig.password || 'password' };
+}
+
+/**
+ * Describes a connecting client for matching host-based authentication rules
+ * @param {Socket} socket - Client socket
+ * @param {ConnectionState} connState - Connection state
+ * @returns {HbaClient} Client ({database, user, address, ssl})
+ */
+function getHbaClient(socket, connState) {
+  return {
+    database: connState.getCurrentDatabase(),
+    user: connState.getCurrentUser(),
+    // Unix-domain socket connections have no remote address
+    address: socket.remoteAddress || null,
+    ssl: Boolean(socket.encrypted),
+  };
+}
+
 /**
  * Processes SASL initial response for SCRAM
  * @param {Buffer} buffer - Message buffer
@@ -1229,7 +2146,9 @@ function processSASLInitialResponse(buffer, socket, connState, config) {
     // Read initial response data
     const initialResponse = buffer.slice(offset, offset + responseLength).toString('utf8');
 
-    if (mechanism !== SASL_MECHANISMS.SCRAM_SHA_256) {
+    const channelBindingData = getServerEndPointBinding(socket);
+    const plus = mechanism === SASL_MECHANISMS.SCRAM_SHA_256_PLUS;
+    if (mechanism !== SASL_MECHANISMS.SCRAM_SHA_256 && !(plus && channelBindingData)) {
       connState.scramState = SCRAM_STATES.ERROR;
       sendErrorResponse(
         socket,
@@ -1243,14 +2162,22 @@ function processSASLInitialResponse(buffer, socket, connState, config) {
     const clientInitial = parseScramClientInitial(initialResponse);
     console.log('Parsed client initial:', clientInitial);
 
-    // For SCRAM, if username is empty or "*" in the SASL message, use the one from connection parameters
-    // Some clients send "*" instead of the actual username for privacy
-    let username;
-    if (clientInitial.username && clientInitial.username !== '*') {
-      username = clientInitial.username;
-    } else {
-      username = connState.getCurrentUser();
+    const bindingError = checkScramChannelBindingRequest(
+      clientInitial,
+      plus,
+      channelBindingData !== null
+    );
+    if (bindingError) {
+      connState.scramState = SCRAM_STATES.ERROR;
+      const { code, message, detail } = bindingError;
+      sendErrorResponse(socket, code, message, {}, { detail });
+      return length + 1;
     }
+
+    // The session runs as the user of the startup packet, so SCRAM checks that role's
+    // password. Like PostgreSQL, ignore the username of the SASL message (clients
+    // usually send an empty one or "*")
+    const username = connState.getCurrentUser();
     console.log('Using username:', username);
 
     if (!username || !clientInitial.nonce) {
@@ -1263,9 +2190,9 @@ function processSASLInitialResponse(buffer, socket, connState, config) {
       return length + 1;
     }
 
-    // Validate username against configured username
-    const expectedUsername = config.username || 'postgres';
-    if (username !== expectedUsername) {
+    // Validate username against the configured roles
+    const role = findLoginRole(connState, config, username);
+    if (!role) {
       connState.scramState = SCRAM_STATES.ERROR;
       sendErrorResponse(
         socket,
@@ -1279,14 +2206,20 @@ function processSASLInitialResponse(buffer, socket, connState, config) {
     connState.scramMechanism = mechanism;
     connState.scramClientNonce = clientInitial.nonce;
     connState.scramServerNonce = generateScramNonce();
-    // Use the actual client-first-message-bare that was sent by the client
-    // The format is "n,,<client-first-message-bare>" so we skip the first 3 characters
-    connState.scramClientInitialBare = initialResponse.substring(3);
+    connState.scramClientInitialBare = clientInitial.clientInitialBare;
+    // The client final message must repeat the GS2 header, with the server certificate
+    // hash after it when the client asked for channel binding
+    connState.scramChannelBinding = buildScramChannelBinding(
+      clientInitial.gs2Header,
+      plus ? channelBindingData : null
+    );
 
-    // Generate mock credentials (in real implementation, fetch from user store)
-    const iterations = config.scramIterations || 4096;
-    const mockPassword = config.password || 'password'; // Use configured password
-    connState.scramCredentials = generateScramCredentials(mockPassword, iterations);
+    // A role without a password SCRAM can check gets credentials no proof matches,
+    // so the exchange runs to the end and fails like a wrong password
+    const iterations = (config && config.scramIterations) || 4096;
+    connState.scramCredentials =
+      getScramCredentials(role, iterations) ||
+      generateScramCredentials(generateScramNonce(), iterations);
 
     // Build server first message
     const serverFirst = buildScramServerFirst(
@@ -1314,6 +2247,66 @@ function processSASLInitialResponse(buffer, socket, connState, config) {
   }
 }
 
+/**
+ * Checks the channel binding a SCRAM client initial message asks for, as PostgreSQL's
+ * read_client_first_message does
+ * @param {Object} clientInitial - Parsed client initial message
+ * @param {boolean} plus - Whether the client chose SCRAM-SHA-256-PLUS
+ * @param {boolean} bindingSupported - Whether the connection supports channel binding
+ * @returns {Object|null} Error code, message and detail, or null if the request is valid
+ */
+function checkScramChannelBindingRequest(clientInitial, plus, bindingSupported) {
+  const malformed = detail => ({
+    code: ERROR_CODES.PROTOCOL_VIOLATION,
+    message: 'malformed SCRAM message',
+    detail,
+  });
+
+  if (!clientInitial.gs2Header) {
+    return malformed('Unexpected channel-binding flag in SCRAM client initial message.');
+  }
+  if (clientInitial.authzid !== null) {
+    return {
+      code: ERROR_CODES.FEATURE_NOT_SUPPORTED,
+      message: 'client uses authorization identity, but it is not supported',
+    };
+  }
+
+  if (clientInitial.channelBinding === 'p') {
+    if (!plus) {
+      return malformed(
+        'The client selected SCRAM-SHA-256 without channel binding, ' +
+          'but the SCRAM message includes channel binding data.'
+      );
+    }
+    if (clientInitial.channelBindingType !== 'tls-server-end-point') {
+      return {
+        code: ERROR_CODES.PROTOCOL_VIOLATION,
+        message: `unsupported SCRAM channel-binding type "${clientInitial.channelBindingType}"`,
+      };
+    }
+    return null;
+  }
+
+  if (plus) {
+    return malformed(
+      'The client selected SCRAM-SHA-256-PLUS, ' +
+        'but the SCRAM message does not include channel binding data.'
+    );
+  }
+  // A client that could bind but believes the server cannot may be facing a downgrade
+  if (clientInitial.channelBinding === 'y' && bindingSupported) {
+    return {
+      code: ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+      message: 'SCRAM channel binding negotiation error',
+      detail:
+        'The client supports SCRAM channel binding but thinks the server does not.  ' +
+        'However, this server does support channel binding.',
+    };
+  }
+  return null;
+}
+
 /**
  * Processes SASL response for SCRAM
  * @param {Buffer} buffer - Message buffer
@@ -1347,6 +2340,26 @@ function processSASLResponse(buffer, socket, connState) {
     return length + 1;
   }
 
+  // Verify channel binding
+  if (clientFinal.channelBinding !== connState.scramChannelBinding) {
+    console.log('ERROR: Channel binding mismatch');
+    connState.scramState = SCRAM_STATES.ERROR;
+    if (connState.scramMechanism === SASL_MECHANISMS.SCRAM_SHA_256_PLUS) {
+      sendErrorResponse(
+        socket,
+        ERROR_CODES.INVALID_AUTHORIZATION_SPECIFICATION,
+        'SCRAM channel binding check failed'
+      );
+    } else {
+      sendErrorResponse(
+        socket,
+        ERROR_CODES.PROTOCOL_VIOLATION,
+        'unexpected SCRAM channel-binding attribute in client-final-message'
+      );
+    }
+    return length + 1;
+  }
+
   // Verify nonce
   const expectedNonce = connState.scramClientNonce + connState.scramServerNonce;
 
@@ -1392,11 +2405,7 @@ function processSASLResponse(buffer, socket, connState) {
   sendAuthenticationSASLFinal(socket, serverFinal);
 
   // Complete authentication
-  connState.authenticate(PROTOCOL_VERSION_3_0);
-  sendAuthenticationOK(socket);
-  sendParameterStatus(socket, connState);
-  sendBackendKeyData(socket, connState);
-  sendReadyForQuery(socket, connState);
+  completeAuthentication(socket, connState);
 
   return length + 1;
 }
@@ -1410,6 +2419,8 @@ module.exports = {
   processBind,
   processDescribe,
   processExecute,
+  processClose,
+  processFlush,
   processSync,
   processPasswordMessage,
   processCopyData,
@@ -1417,6 +2428,7 @@ module.exports = {
   processCopyFail,
   processFunctionCall,
   handleSSLRequest,
+  handleGSSENCRequest,
   handleCancelRequest,
   handleStartupPacket,
   handleTerminate,
@@ -1424,6 +2436,9 @@ module.exports = {
   SSLState,
   validateSSLCertificates,
   // Authentication functions
+  startPasswordAuthentication,
+  processPasswordResponse,
+  authenticateCertificate,
   startScramAuthentication,
   processSASLInitialResponse,
   processSASLResponse,
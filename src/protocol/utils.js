@@ -162,6 +162,8 @@ function validateMessageType(messageType, isAuthenticated = false) {
     MESSAGE_TYPES.BIND, // B - Bind
     MESSAGE_TYPES.DESCRIBE, // D - Describe
     MESSAGE_TYPES.EXECUTE, // E - Execute
+    MESSAGE_TYPES.CLOSE, // C - Close
+    MESSAGE_TYPES.FLUSH, // H - Flush
     MESSAGE_TYPES.SYNC, // S - Sync
     MESSAGE_TYPES.TERMINATE, // X - Terminate
     MESSAGE_TYPES.COPY_DATA, // d - Copy Data
@@ -367,6 +369,29 @@ function generateBackendSecret() {
   return crypto.randomInt(0, 2147483647);
 }
 
+/**
+ * Generates the cancel key of a protocol 3.2 connection, which replaces the 32-bit
+ * secret with a longer random key (PostgreSQL 18 uses 32 bytes)
+ * @param {number} length - Key length in bytes (default: 32)
+ * @returns {Buffer} Random key
+ */
+function generateCancelKey(length = 32) {
+  const crypto = require('crypto');
+  return crypto.randomBytes(length);
+}
+
+let lastBackendPid = process.pid;
+
+/**
+ * Generates a backend process ID, unique among the connections of this server
+ * process, so CancelRequest key data identifies a single connection
+ * @returns {number} Positive 32-bit integer
+ */
+function generateBackendPid() {
+  lastBackendPid = lastBackendPid >= 2147483647 ? 1 : lastBackendPid + 1;
+  return lastBackendPid;
+}
+
 /**
  * SCRAM-SHA-256 Authentication Utilities
  */
@@ -446,11 +471,12 @@ function normalizeScramPassword(password) {
  * Generates SCRAM server credentials for a user
  * @param {string} password - User's password
  * @param {number} iterations - Iteration count (default: 4096)
+ * @param {Buffer} salt - Salt to use (default: 16 random bytes)
  * @returns {Object} Server credentials with salt, iterations, serverKey, storedKey
  */
-function generateScramCredentials(password, iterations = 4096) {
+function generateScramCredentials(password, iterations = 4096, salt = null) {
   const crypto = require('crypto');
-  const salt = crypto.randomBytes(16); // 16-byte salt
+  salt = salt || crypto.randomBytes(16); // 16-byte salt
   const normalizedPassword = normalizeScramPassword(password);
 
   // Compute SaltedPassword = PBKDF2(Normalize(password), salt, iterations)
@@ -473,6 +499,36 @@ function generateScramCredentials(password, iterations = 4096) {
   };
 }
 
+/**
+ * Formats SCRAM credentials as the secret PostgreSQL stores in pg_authid:
+ * SCRAM-SHA-256$<iterations>:<salt>$<StoredKey>:<ServerKey>
+ * @param {Object} credentials - Credentials from generateScramCredentials
+ * @returns {string} SCRAM secret
+ */
+function formatScramSecret(credentials) {
+  const { iterations, salt, storedKey, serverKey } = credentials;
+  return `SCRAM-SHA-256$${iterations}:${salt}$${storedKey}:${serverKey}`;
+}
+
+/**
+ * Parses a SCRAM secret as stored in pg_authid
+ * @param {string} secret - SCRAM secret (see formatScramSecret)
+ * @returns {Object|null} Credentials with salt, iterations, serverKey, storedKey, or null
+ *   if the text is not a SCRAM-SHA-256 secret
+ */
+function parseScramSecret(secret) {
+  const match = /^SCRAM-SHA-256\$(\d+):([^$]+)\$([^:]+):(.+)$/.exec(secret || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    salt: match[2],
+    iterations: parseInt(match[1], 10),
+    storedKey: match[3],
+    serverKey: match[4],
+  };
+}
+
 /**
  * Verifies SCRAM client proof
  * @param {string} clientProof - Client proof from authentication exchange
@@ -541,24 +597,44 @@ function generateScramServerSignature(serverKey, authMessage) {
 /**
  * Parses SCRAM client initial message
  * @param {string} message - Client initial message
- * @returns {Object} Parsed message with username, nonce, and extensions
+ * @returns {Object} Parsed message with username, nonce, and extensions, plus the GS2
+ *   header (null if the message has none), its channel binding flag ('n', 'y' or 'p')
+ *   and type, and the client-first-message-bare that follows it
  */
 function parseScramClientInitial(message) {
-  const parts = message.split(',');
   const result = {
     username: null,
     nonce: null,
     channelBinding: 'n', // Default to no channel binding
+    channelBindingType: null,
+    authzid: null,
+    gs2Header: null,
+    clientInitialBare: message,
     extensions: {},
   };
 
-  for (const part of parts) {
+  // GS2 header: "n", "y" or "p=<type>", then an optional "a=<authzid>"
+  const gs2Match = /^(n|y|p=[^,]*),(a=[^,]*)?,/.exec(message);
+  if (gs2Match) {
+    const [gs2Header, flag, authzid] = gs2Match;
+    result.gs2Header = gs2Header;
+    result.clientInitialBare = message.substring(gs2Header.length);
+    if (flag.startsWith('p=')) {
+      result.channelBinding = 'p';
+      result.channelBindingType = flag.substring(2);
+    } else {
+      result.channelBinding = flag;
+    }
+    if (authzid) {
+      result.authzid = authzid.substring(2);
+    }
+  }
+
+  for (const part of result.clientInitialBare.split(',')) {
     if (part.startsWith('n=')) {
       result.username = part.substring(2);
     } else if (part.startsWith('r=')) {
       result.nonce = part.substring(2);
-    } else if (part.startsWith('c=')) {
-      result.channelBinding = part.substring(2);
     } else if (part.includes('=')) {
       const [key, value] = part.split('=', 2);
       result.extensions[key] = value;
@@ -631,6 +707,151 @@ function buildScramAuthMessage(clientInitialBare, serverFirst, clientFinalWithou
   return `${clientInitialBare},${serverFirst},${clientFinalWithoutProof}`;
 }
 
+/**
+ * Hash algorithms of certificate signature algorithms, by the DER encoding of their
+ * OIDs; RFC 5929 hashes certificates signed with MD5 or SHA-1 with SHA-256
+ */
+const CERTIFICATE_SIGNATURE_HASHES = {
+  '2a864886f70d010104': 'sha256', // md5WithRSAEncryption
+  '2a864886f70d010105': 'sha256', // sha1WithRSAEncryption
+  '2a864886f70d01010b': 'sha256', // sha256WithRSAEncryption
+  '2a864886f70d01010c': 'sha384', // sha384WithRSAEncryption
+  '2a864886f70d01010d': 'sha512', // sha512WithRSAEncryption
+  '2a8648ce3d040301': 'sha256', // ecdsa-with-SHA1
+  '2a8648ce3d040302': 'sha256', // ecdsa-with-SHA256
+  '2a8648ce3d040303': 'sha384', // ecdsa-with-SHA384
+  '2a8648ce3d040304': 'sha512', // ecdsa-with-SHA512
+};
+
+/**
+ * Reads the header of a DER element
+ * @param {Buffer} der - DER data
+ * @param {number} offset - Offset of the element
+ * @returns {Object} Element tag, content offset and content length
+ * @throws {Error} If the element runs past the end of the data
+ */
+function readDerHeader(der, offset) {
+  const tag = der[offset];
+  let length = der[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + der[start + i];
+    }
+    start += lengthBytes;
+  }
+  if (tag === undefined || Number.isNaN(length) || start + length > der.length) {
+    throw new Error('truncated DER element');
+  }
+  return { tag, start, length };
+}
+
+/**
+ * Gets the hash algorithm tls-server-end-point channel binding uses for a certificate
+ * @param {Buffer} certificate - DER-encoded X.509 certificate
+ * @returns {string|null} Node.js hash name, or null if the certificate's signature
+ *   algorithm has no hash channel binding can use (Ed25519, RSASSA-PSS)
+ */
+function getCertificateSignatureHash(certificate) {
+  try {
+    // Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signatureValue }
+    const outer = readDerHeader(certificate, 0);
+    const tbs = readDerHeader(certificate, outer.start);
+    const algorithm = readDerHeader(certificate, tbs.start + tbs.length);
+    const oid = readDerHeader(certificate, algorithm.start);
+    if (outer.tag !== 0x30 || algorithm.tag !== 0x30 || oid.tag !== 0x06) {
+      return null;
+    }
+    const oidHex = certificate.slice(oid.start, oid.start + oid.length).toString('hex');
+    return CERTIFICATE_SIGNATURE_HASHES[oidHex] || null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Computes tls-server-end-point channel binding data (RFC 5929): the hash of the
+ * server certificate, with the hash of its signature algorithm
+ * @param {Buffer} certificate - DER-encoded server certificate
+ * @returns {Buffer|null} Channel binding data, or null if the certificate does not
+ *   support this channel binding type
+ */
+function computeTlsServerEndPoint(certificate) {
+  const crypto = require('crypto');
+  const hash = getCertificateSignatureHash(certificate);
+  if (!hash) {
+    return null;
+  }
+  return crypto.createHash(hash).update(certificate).digest();
+}
+
+/**
+ * Builds the value of the "c" attribute of a SCRAM client final message
+ * @param {string} gs2Header - GS2 header of the client initial message
+ * @param {Buffer|null} channelBindingData - Channel binding data, for "p" headers
+ * @returns {string} Base64 encoding of the header followed by the binding data
+ */
+function buildScramChannelBinding(gs2Header, channelBindingData = null) {
+  const header = Buffer.from(gs2Header, 'utf8');
+  return (channelBindingData ? Buffer.concat([header, channelBindingData]) : header).toString(
+    'base64'
+  );
+}
+
+/**
+ * MD5 Password Authentication Utilities
+ */
+
+/**
+ * Generates the random 4-byte salt of an AuthenticationMD5Password request
+ * @returns {Buffer} Salt
+ */
+function generateMd5Salt() {
+  const crypto = require('crypto');
+  return crypto.randomBytes(4);
+}
+
+/**
+ * Computes the MD5 password secret PostgreSQL stores for a role:
+ * "md5" followed by md5(password + username) in hex
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {string} MD5 secret
+ */
+function computeMd5Secret(username, password) {
+  const crypto = require('crypto');
+  return `md5${crypto
+    .createHash('md5')
+    .update(password + username)
+    .digest('hex')}`;
+}
+
+/**
+ * Computes the response to an MD5 password request from a stored MD5 secret
+ * @param {string} secret - MD5 secret (see computeMd5Secret)
+ * @param {Buffer} salt - Salt from AuthenticationMD5Password
+ * @returns {string} Expected password message contents
+ */
+function computeMd5Response(secret, salt) {
+  const crypto = require('crypto');
+  const hash = crypto.createHash('md5');
+  return `md5${hash.update(Buffer.concat([Buffer.from(secret.slice(3)), salt])).digest('hex')}`;
+}
+
+/**
+ * Computes the response a client sends to an MD5 password request:
+ * "md5" followed by md5(md5(password + username) + salt) in hex
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @param {Buffer} salt - Salt from AuthenticationMD5Password
+ * @returns {string} Expected password message contents
+ */
+function computeMd5Password(username, password, salt) {
+  return computeMd5Response(computeMd5Secret(username, password), salt);
+}
+
 /**
  * Formats a query tag for CommandComplete message
  * @param {string} command - SQL command (SELECT, INSERT, etc.)
@@ -656,28 +877,39 @@ function formatCommandTag(command, rowCount = null) {
 
 /**
  * Validates a protocol version number
+ * Any 3.x version is valid: clients asking for a newer minor version than the
+ * server speaks are answered with NegotiateProtocolVersion.
  * @param {number} version - Protocol version to validate
  * @returns {boolean} True if version is supported
  */
 function isValidProtocolVersion(version) {
-  const { PROTOCOL_VERSION_3_0, SSL_REQUEST_CODE, CANCEL_REQUEST_CODE } = require('./constants');
+  const { SSL_REQUEST_CODE, CANCEL_REQUEST_CODE, GSSENC_REQUEST_CODE } = require('./constants');
   return (
-    version === PROTOCOL_VERSION_3_0 ||
+    version >>> 16 === 3 ||
     version === SSL_REQUEST_CODE ||
-    version === CANCEL_REQUEST_CODE
+    version === CANCEL_REQUEST_CODE ||
+    version === GSSENC_REQUEST_CODE
   );
 }
 
+/**
+ * Formats a protocol version number as "major.minor"
+ * @param {number} version - Protocol version
+ * @returns {string} Version, e.g. "3.2"
+ */
+function formatProtocolVersion(version) {
+  return `${version >>> 16}.${version & 0xffff}`;
+}
+
 /**
  * Parses a query string into individual statements
+ * Semicolons inside literals, quoted identifiers and comments do not split statements
  * @param {string} query - Raw query string
  * @returns {string[]} Array of individual query statements
  */
 function parseQueryStatements(query) {
-  return query
-    .split(';')
-    .map(stmt => stmt.trim())
-    .filter(stmt => stmt.length > 0);
+  const { splitStatements } = require('../sql/tokenizer');
+  return splitStatements(query);
 }
 
 /**
@@ -1202,8 +1434,11 @@ module.exports = {
   validateMessage,
   getMessageType,
   generateBackendSecret,
+  generateCancelKey,
+  generateBackendPid,
   formatCommandTag,
   isValidProtocolVersion,
+  formatProtocolVersion,
   parseQueryStatements,
   createErrorFields,
   // Message validation utilities
@@ -1229,6 +1464,8 @@ module.exports = {
   normalizeScramUsername,
   normalizeScramPassword,
   generateScramCredentials,
+  formatScramSecret,
+  parseScramSecret,
   verifyScramClientProof,
   generateScramServerSignature,
   parseScramClientInitial,
@@ -1236,4 +1473,11 @@ module.exports = {
   buildScramServerFirst,
   buildScramServerFinal,
   buildScramAuthMessage,
+  computeTlsServerEndPoint,
+  buildScramChannelBinding,
+  // MD5 password utilities
+  generateMd5Salt,
+  computeMd5Secret,
+  computeMd5Response,
+  computeMd5Password,
 };
@@ -0,0 +1,354 @@
+/**
+ * Query Cassette
+ * Recorded upstream interactions, saved to a JSON file and replayed offline
+ */
+
+const fs = require('fs');
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Cassette file format version
+ */
+const CASSETTE_VERSION = 1;
+
+/**
+ * What to do when a replayed query has no recorded interaction
+ */
+const MISS_POLICIES = {
+  STRICT: 'strict', // Answer with an error
+  LENIENT: 'lenient', // Fall back to the regular handlers
+};
+
+/**
+ * Commands whose tag ends in a row count that formatCommandTag() rebuilds
+ */
+const COUNTED_COMMANDS = ['INSERT', 'UPDATE', 'DELETE', 'SELECT', 'MOVE', 'FETCH', 'COPY'];
+
+/**
+ * ErrorResponse field codes and the createError() option each maps to
+ */
+const ERROR_FIELD_OPTIONS = {
+  S: 'severity',
+  D: 'detail',
+  H: 'hint',
+  P: 'position',
+  p: 'internalPosition',
+  q: 'internalQuery',
+  W: 'context',
+  s: 'schema',
+  t: 'table',
+  c: 'column',
+  d: 'dataType',
+  n: 'constraint',
+  F: 'file',
+  L: 'line',
+  R: 'routine',
+};
+
+/**
+ * Configuration options for a cassette
+ * @typedef {Object} CassetteConfig
+ * @property {string} missPolicy - 'strict' or 'lenient' (default: 'strict')
+ * @property {boolean} enableLogging - Enable cassette logging (default: true)
+ * @property {string} logLevel - Log level for the cassette (default: 'info')
+ */
+
+/**
+ * One recorded query and the backend's answer to it
+ * @typedef {Object} Interaction
+ * @property {string} query - Statement text as sent by the client
+ * @property {Array<string|null>} params - Bound parameters (text, or hex for binary)
+ * @property {Array<Object>|null} columns - RowDescription fields
+ * @property {Array<Array>} rows - DataRow values (text, null, or {base64} for binary)
+ * @property {string|null} commandTag - CommandComplete tag
+ * @property {Object|null} error - ErrorResponse fields keyed by field code
+ * @property {Array<Object>} notices - NoticeResponse fields keyed by field code
+ * @property {boolean} [suspended] - Execute stopped at its row limit (PortalSuspended)
+ */
+
+/**
+ * Builds the lookup key of a query and its parameters
+ * @param {string} query - Statement text
+ * @param {Array} params - Bound parameters
+ * @returns {string} Lookup key
+ */
+function interactionKey(query, params) {
+  return JSON.stringify([query.trim(), params || []]);
+}
+
+/**
+ * Splits a command tag into the command and row count formatCommandTag() expects
+ * @param {string} tag - Command tag, e.g. "INSERT 0 3" or "CREATE TABLE"
+ * @returns {Object} Command and row count
+ */
+function splitCommandTag(tag) {
+  const words = tag.split(' ');
+  const last = words[words.length - 1];
+  if (words.length > 1 && COUNTED_COMMANDS.includes(words[0]) && /^\d+$/.test(last)) {
+    return { command: words[0], rowCount: parseInt(last, 10) };
+  }
+  return { command: tag, rowCount: null };
+}
+
+/**
+ * Converts recorded notice fields into the form executeQuery() sends
+ * @param {Object} fields - NoticeResponse fields keyed by field code
+ * @returns {Object} Notice with severity, code, message, detail and hint
+ */
+function noticeFromFields(fields) {
+  return {
+    severity: fields.S || 'NOTICE',
+    code: fields.C || '00000',
+    message: fields.M || '',
+    detail: fields.D,
+    hint: fields.H,
+  };
+}
+
+/**
+ * Recorded interactions indexed by query text and parameters
+ *
+ * The same query can be recorded several times with different answers (a
+ * count before and after an INSERT, say). Replay hands them out in recorded
+ * order and keeps repeating the last one once they run out.
+ */
+class Cassette {
+  /**
+   * Creates a new cassette
+   * @param {CassetteConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      missPolicy: MISS_POLICIES.STRICT,
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    if (!Object.values(MISS_POLICIES).includes(this.config.missPolicy)) {
+      throw new Error(
+        `Invalid replay miss policy "${this.config.missPolicy}" (expected strict or lenient)`
+      );
+    }
+
+    this.interactions = [];
+    this.index = new Map(); // key -> {interactions, next}
+    this.metadata = {};
+    this.stats = { recorded: 0, hits: 0, misses: 0 };
+    this.missedQueries = new Map(); // query -> miss count
+
+    this.logger = createLogger({
+      name: 'Cassette',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Loads interactions from a cassette file
+   * @param {string} filePath - Path to the cassette file
+   * @returns {number} Number of interactions loaded
+   * @throws {Error} If the file cannot be read or is not a cassette
+   */
+  load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load cassette "${filePath}": ${error.message}`);
+    }
+
+    if (!data || !Array.isArray(data.interactions)) {
+      throw new Error(`Cassette "${filePath}" has no interactions array`);
+    }
+    if (data.version !== CASSETTE_VERSION) {
+      throw new Error(`Cassette "${filePath}" has unsupported version ${data.version}`);
+    }
+
+    const { interactions, ...metadata } = data;
+    this.metadata = metadata;
+    interactions.forEach(interaction => this.add(interaction));
+    this.logger.info(`Loaded ${interactions.length} interactions from ${filePath}`);
+    return interactions.length;
+  }
+
+  /**
+   * Writes all interactions to a cassette file
+   * @param {string} filePath - Path to the cassette file
+   * @param {Object} metadata - Extra top-level fields (e.g. upstream address)
+   */
+  save(filePath, metadata = {}) {
+    const data = {
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      ...metadata,
+      interactions: this.interactions,
+    };
+    fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+    this.logger.info(`Saved ${this.interactions.length} interactions to ${filePath}`);
+  }
+
+  /**
+   * Adds an interaction
+   * @param {Interaction} interaction - Recorded interaction
+   */
+  add(interaction) {
+    if (typeof interaction.query !== 'string') {
+      throw new Error('Cassette interaction needs a query');
+    }
+
+    const entry = {
+      query: interaction.query,
+      params: interaction.params || [],
+      columns: interaction.columns || null,
+      rows: interaction.rows || [],
+      commandTag: interaction.commandTag || null,
+      error: interaction.error || null,
+      notices: interaction.notices || [],
+      ...(interaction.suspended && { suspended: true }),
+    };
+
+    const key = interactionKey(entry.query, entry.params);
+    if (!this.index.has(key)) {
+      this.index.set(key, { interactions: [], next: 0 });
+    }
+    this.index.get(key).interactions.push(entry);
+    this.interactions.push(entry);
+  }
+
+  /**
+   * Records an interaction captured from the upstream server
+   * @param {Interaction} interaction - Recorded interaction
+   */
+  record(interaction) {
+    this.add(interaction);
+    this.stats.recorded++;
+    this.logger.debug(`Recorded: ${interaction.query}`);
+  }
+
+  /**
+   * Replays the recorded answer to a query
+   * @param {string} query - Statement text
+   * @param {Object} context - Execution context
+   * @param {Array} context.params - Bound parameters
+   * @returns {QueryResult|null} Recorded result, a miss error (strict), or null (lenient miss)
+   */
+  replay(query, context = {}) {
+    const params = context.params || [];
+    const slot = this.index.get(interactionKey(query, params));
+
+    if (!slot) {
+      return this.miss(query, params);
+    }
+
+    const interaction = slot.interactions[slot.next];
+    slot.next = Math.min(slot.next + 1, slot.interactions.length - 1);
+    this.stats.hits++;
+    return this.buildResult(interaction);
+  }
+
+  /**
+   * Builds the result replay() would return next, without consuming it or counting a hit
+   * Describe uses this to learn the shape of the response Execute will send.
+   * @param {string} query - Statement text
+   * @param {Object} context - Execution context
+   * @param {Array} context.params - Bound parameters
+   * @returns {QueryResult|null} Recorded result, or null if nothing was recorded for the query
+   */
+  peek(query, context = {}) {
+    const slot = this.index.get(interactionKey(query, context.params || []));
+    return slot ? this.buildResult(slot.interactions[slot.next]) : null;
+  }
+
+  /**
+   * Handles a query that has no recorded interaction
+   * @param {string} query - Statement text
+   * @param {Array} params - Bound parameters
+   * @returns {QueryResult|null} Miss error (strict) or null (lenient)
+   * @private
+   */
+  miss(query, params) {
+    this.stats.misses++;
+    this.missedQueries.set(query, (this.missedQueries.get(query) || 0) + 1);
+
+    const described =
+      params.length > 0 ? `${query} with parameters ${JSON.stringify(params)}` : query;
+    if (this.config.missPolicy === MISS_POLICIES.LENIENT) {
+      this.logger.warn(`Cassette miss, using mock handlers: ${described}`);
+      return null;
+    }
+
+    this.logger.error(`Cassette miss: ${described}`);
+    return {
+      error: createError(
+        ERROR_CODES.INTERNAL_ERROR,
+        'query has no recorded response in the cassette',
+        {
+          detail: `Query: ${described}`,
+          hint: 'Record the cassette again against the upstream server, or replay with the lenient miss policy.',
+        }
+      ),
+      command: 'UNKNOWN',
+      rowCount: 0,
+    };
+  }
+
+  /**
+   * Builds the query result for a recorded interaction
+   * @param {Interaction} interaction - Recorded interaction
+   * @returns {QueryResult} Query result
+   */
+  buildResult(interaction) {
+    const notices = interaction.notices.map(noticeFromFields);
+
+    if (interaction.error) {
+      const { C: code, M: message, ...fields } = interaction.error;
+      const options = {};
+      for (const [field, value] of Object.entries(fields)) {
+        if (ERROR_FIELD_OPTIONS[field]) {
+          options[ERROR_FIELD_OPTIONS[field]] = value;
+        }
+      }
+      return {
+        error: createError(code, message, options),
+        command: 'UNKNOWN',
+        rowCount: 0,
+        notices,
+      };
+    }
+
+    const rows = interaction.rows.map(row =>
+      row.map(value =>
+        value && value.base64 !== undefined ? Buffer.from(value.base64, 'base64') : value
+      )
+    );
+    const { command, rowCount } = splitCommandTag(interaction.commandTag || 'SELECT');
+
+    return {
+      columns: interaction.columns || [],
+      rows,
+      command,
+      rowCount,
+      notices,
+    };
+  }
+
+  /**
+   * Gets cassette statistics
+   * @returns {Object} Interaction count, hit/miss counters and missed queries
+   */
+  getStats() {
+    return {
+      interactions: this.interactions.length,
+      ...this.stats,
+      missedQueries: Object.fromEntries(this.missedQueries),
+    };
+  }
+}
+
+module.exports = {
+  Cassette,
+  MISS_POLICIES,
+  CASSETTE_VERSION,
+};
@@ -0,0 +1,635 @@
+/**
+ * Recording Proxy
+ * Forwards client connections to an upstream PostgreSQL server and records every
+ * query and the backend's answer into a cassette
+ */
+
+const Net = require('net');
+const {
+  MESSAGE_TYPES,
+  SSL_REQUEST_CODE,
+  CANCEL_REQUEST_CODE,
+  GSSENC_REQUEST_CODE,
+  ERROR_CODES,
+} = require('../protocol/constants');
+const { readCString } = require('../protocol/utils');
+const { splitStatements } = require('../sql/tokenizer');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Requests that end with ReadyForQuery
+ */
+const SYNC_POINTS = ['query', 'sync', 'call'];
+
+/**
+ * Configuration options for the recording proxy
+ * @typedef {Object} RecordingProxyConfig
+ * @property {string} upstreamHost - Upstream PostgreSQL host
+ * @property {number} upstreamPort - Upstream PostgreSQL port
+ * @property {Cassette} cassette - Cassette receiving the recorded interactions
+ * @property {boolean} enableLogging - Enable proxy logging (default: true)
+ * @property {string} logLevel - Log level for the proxy (default: 'info')
+ */
+
+/**
+ * Splits complete messages (type byte + length) off the front of a buffer
+ * @param {Buffer} buffer - Buffered stream data
+ * @returns {Object} Complete messages ({type, payload}) and the unconsumed rest
+ */
+function splitMessages(buffer) {
+  const messages = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 5) {
+    const length = buffer.readInt32BE(offset + 1);
+    if (buffer.length - offset < length + 1) {
+      break;
+    }
+    messages.push({
+      type: String.fromCharCode(buffer[offset]),
+      payload: buffer.slice(offset + 5, offset + 1 + length),
+    });
+    offset += length + 1;
+  }
+
+  return { messages, rest: buffer.slice(offset) };
+}
+
+/**
+ * Decodes the fields of an ErrorResponse or NoticeResponse
+ * @param {Buffer} payload - Message payload
+ * @returns {Object} Field values keyed by field code
+ */
+function decodeFields(payload) {
+  const fields = {};
+  let offset = 0;
+  while (offset < payload.length && payload[offset] !== 0) {
+    const code = String.fromCharCode(payload[offset]);
+    const { value, newOffset } = readCString(payload, offset + 1);
+    fields[code] = value;
+    offset = newOffset;
+  }
+  return fields;
+}
+
+/**
+ * Decodes a RowDescription into column descriptors
+ * @param {Buffer} payload - Message payload
+ * @returns {Array<Object>} Column descriptors as used by sendRowDescription()
+ */
+function decodeRowDescription(payload) {
+  const count = payload.readInt16BE(0);
+  const columns = [];
+  let offset = 2;
+
+  for (let i = 0; i < count; i++) {
+    const { value: name, newOffset } = readCString(payload, offset);
+    offset = newOffset;
+    columns.push({
+      name,
+      tableOID: payload.readInt32BE(offset),
+      tableAttributeNumber: payload.readInt16BE(offset + 4),
+      dataTypeOID: payload.readInt32BE(offset + 6),
+      dataTypeSize: payload.readInt16BE(offset + 10),
+      typeModifier: payload.readInt32BE(offset + 12),
+      format: payload.readInt16BE(offset + 16),
+    });
+    offset += 18;
+  }
+
+  return columns;
+}
+
+/**
+ * Decodes a DataRow; binary-format values are kept as base64
+ * @param {Buffer} payload - Message payload
+ * @param {Array<Object>|null} columns - Column descriptors, for the value formats
+ * @returns {Array} Row values
+ */
+function decodeDataRow(payload, columns) {
+  const count = payload.readInt16BE(0);
+  const row = [];
+  let offset = 2;
+
+  for (let i = 0; i < count; i++) {
+    const length = payload.readInt32BE(offset);
+    offset += 4;
+    if (length === -1) {
+      row.push(null);
+      continue;
+    }
+
+    const value = payload.slice(offset, offset + length);
+    offset += length;
+    const binary = columns && columns[i] && columns[i].format === 1;
+    row.push(binary ? { base64: value.toString('base64') } : value.toString('utf8'));
+  }
+
+  return row;
+}
+
+/**
+ * Decodes a Bind message the way processBind() stores parameters
+ * @param {Buffer} payload - Message payload
+ * @returns {Object} Portal name, statement name and parameters (text, hex for binary, or null)
+ */
+function decodeBind(payload) {
+  const portal = readCString(payload, 0);
+  const statement = readCString(payload, portal.newOffset);
+  let offset = statement.newOffset;
+
+  const formatCount = payload.readInt16BE(offset);
+  offset += 2;
+  const formats = [];
+  for (let i = 0; i < formatCount; i++) {
+    formats.push(payload.readInt16BE(offset));
+    offset += 2;
+  }
+
+  const paramCount = payload.readInt16BE(offset);
+  offset += 2;
+  const params = [];
+  for (let i = 0; i < paramCount; i++) {
+    const length = payload.readInt32BE(offset);
+    offset += 4;
+    if (length === -1) {
+      params.push(null);
+      continue;
+    }
+    const format = formats.length === 1 ? formats[0] : formats[i] || 0;
+    const value = payload.slice(offset, offset + length);
+    params.push(value.toString(format === 1 ? 'hex' : 'utf8'));
+    offset += length;
+  }
+
+  return { portal: portal.value, statement: statement.value, params };
+}
+
+/**
+ * Creates an empty result collector
+ * @returns {Object} Result collector
+ */
+function newResult() {
+  return { columns: null, rows: [], commandTag: null, error: null, notices: [], copy: false };
+}
+
+/**
+ * One proxied client connection
+ *
+ * Bytes are forwarded unchanged in both directions. A copy of each stream is
+ * parsed on the side: frontend requests are queued in order, and each backend
+ * message is attributed to the request at the head of the queue, which is how
+ * the protocol pairs them (pipelined requests are answered in order).
+ */
+class ProxySession {
+  /**
+   * Creates a proxy session
+   * @param {RecordingProxy} proxy - Owning proxy
+   * @param {Socket} socket - Client socket
+   * @param {string} connectionId - Connection identifier
+   */
+  constructor(proxy, socket, connectionId) {
+    this.proxy = proxy;
+    this.socket = socket;
+    this.connectionId = connectionId;
+    this.upstream = null;
+    this.upstreamResponded = false;
+    this.closed = false;
+
+    this.startupBuffer = Buffer.alloc(0);
+    this.frontendBuffer = Buffer.alloc(0);
+    this.backendBuffer = Buffer.alloc(0);
+    this.recording = false; // false for cancel requests
+
+    this.pending = []; // Requests awaiting their responses, in order
+    this.statements = new Map(); // statement name -> {query, columns}
+    this.portals = new Map(); // portal name -> {query, params, columns, statement}
+
+    socket.on('data', chunk => this.onClientData(chunk));
+    socket.on('error', error => this.close(`client error: ${error.message}`));
+    socket.on('close', () => this.close('client disconnected'));
+  }
+
+  /**
+   * Handles data from the client
+   * @param {Buffer} chunk - Received data
+   */
+  onClientData(chunk) {
+    let data = chunk;
+    if (!this.upstream) {
+      data = this.handleStartup(chunk);
+      if (!data) {
+        return;
+      }
+    }
+
+    if (data.length > 0) {
+      this.upstream.write(data);
+    }
+    if (!this.recording) {
+      return;
+    }
+
+    const { messages, rest } = splitMessages(Buffer.concat([this.frontendBuffer, data]));
+    this.frontendBuffer = rest;
+    messages.forEach(message => this.onFrontendMessage(message.type, message.payload));
+  }
+
+  /**
+   * Consumes SSL/GSS requests and the startup packet, then opens the upstream connection
+   * @param {Buffer} chunk - Received data
+   * @returns {Buffer|null} Data left after the startup packet, or null if incomplete
+   */
+  handleStartup(chunk) {
+    this.startupBuffer = Buffer.concat([this.startupBuffer, chunk]);
+
+    while (this.startupBuffer.length >= 8) {
+      const length = this.startupBuffer.readInt32BE(0);
+      if (this.startupBuffer.length < length) {
+        return null;
+      }
+
+      const code = this.startupBuffer.readInt32BE(4);
+      const packet = this.startupBuffer.slice(0, length);
+      const rest = this.startupBuffer.slice(length);
+      this.startupBuffer = Buffer.alloc(0);
+
+      if (code === SSL_REQUEST_CODE || code === GSSENC_REQUEST_CODE) {
+        // The client talks to the proxy in plain text; GSS encryption is declined like SSL
+        this.socket.write('N');
+        this.startupBuffer = rest;
+        continue;
+      }
+
+      this.recording = code !== CANCEL_REQUEST_CODE;
+      this.connectUpstream(packet);
+      return rest;
+    }
+
+    return null;
+  }
+
+  /**
+   * Opens the upstream connection and sends the startup packet
+   * @param {Buffer} packet - Startup or cancel request packet
+   */
+  connectUpstream(packet) {
+    const { upstreamHost, upstreamPort } = this.proxy.config;
+    this.upstream = Net.connect({ host: upstreamHost, port: upstreamPort });
+    this.upstream.write(packet);
+
+    this.upstream.on('data', chunk => this.onUpstreamData(chunk));
+    this.upstream.on('error', error => {
+      this.proxy.stats.upstreamErrors++;
+      this.proxy.logger.error(`Upstream error for ${this.connectionId}: ${error.message}`);
+      if (!this.upstreamResponded && !this.socket.destroyed) {
+        const { sendErrorResponse } = require('../protocol/messageBuilders');
+        sendErrorResponse(
+          this.socket,
+          ERROR_CODES.SQLCLIENT_UNABLE_TO_ESTABLISH_SQLCONNECTION,
+          `could not connect to upstream server ${upstreamHost}:${upstreamPort}: ${error.message}`,
+          {},
+          { severity: 'FATAL' }
+        );
+      }
+      this.close('upstream error');
+    });
+    this.upstream.on('close', () => this.close('upstream disconnected'));
+  }
+
+  /**
+   * Handles data from the upstream server
+   * @param {Buffer} chunk - Received data
+   */
+  onUpstreamData(chunk) {
+    this.upstreamResponded = true;
+    if (!this.socket.destroyed) {
+      this.socket.write(chunk);
+    }
+    if (!this.recording) {
+      return;
+    }
+
+    const { messages, rest } = splitMessages(Buffer.concat([this.backendBuffer, chunk]));
+    this.backendBuffer = rest;
+    for (const message of messages) {
+      try {
+        this.onBackendMessage(message.type, message.payload);
+      } catch (error) {
+        // A recording glitch must never break the proxied session
+        this.proxy.logger.warn(`Cannot record ${message.type} message: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Queues a frontend request so its responses can be attributed to it
+   * @param {string} type - Message type
+   * @param {Buffer} payload - Message payload
+   */
+  onFrontendMessage(type, payload) {
+    switch (type) {
+      case MESSAGE_TYPES.QUERY: {
+        const { value: query } = readCString(payload, 0);
+        this.pending.push({
+          kind: 'query',
+          statements: splitStatements(query),
+          result: newResult(),
+        });
+        break;
+      }
+      case MESSAGE_TYPES.PARSE: {
+        const name = readCString(payload, 0);
+        const query = readCString(payload, name.newOffset);
+        this.statements.set(name.value, { query: query.value, columns: null });
+        this.pending.push({ kind: 'parse' });
+        break;
+      }
+      case MESSAGE_TYPES.BIND: {
+        const bind = decodeBind(payload);
+        const statement = this.statements.get(bind.statement);
+        this.portals.set(bind.portal, {
+          query: statement ? statement.query : '',
+          params: bind.params,
+          columns: null,
+          statement,
+        });
+        this.pending.push({ kind: 'bind' });
+        break;
+      }
+      case MESSAGE_TYPES.DESCRIBE: {
+        const target = String.fromCharCode(payload[0]);
+        const { value: name } = readCString(payload, 1);
+        this.pending.push({ kind: 'describe', target, name });
+        break;
+      }
+      case MESSAGE_TYPES.EXECUTE: {
+        const { value: name } = readCString(payload, 0);
+        this.pending.push({ kind: 'execute', portal: this.portals.get(name), result: newResult() });
+        break;
+      }
+      case MESSAGE_TYPES.CLOSE:
+        this.pending.push({ kind: 'close' });
+        break;
+      case MESSAGE_TYPES.SYNC:
+        this.pending.push({ kind: 'sync' });
+        break;
+      case MESSAGE_TYPES.FUNCTION_CALL:
+        this.pending.push({ kind: 'call' });
+        break;
+      default:
+        // Flush, Terminate, password and COPY data get no response of their own
+        break;
+    }
+  }
+
+  /**
+   * Attributes a backend message to the request at the head of the queue
+   * @param {string} type - Message type
+   * @param {Buffer} payload - Message payload
+   */
+  onBackendMessage(type, payload) {
+    const request = this.pending[0];
+
+    switch (type) {
+      case MESSAGE_TYPES.READY_FOR_QUERY: {
+        const syncIndex = this.pending.findIndex(item => SYNC_POINTS.includes(item.kind));
+        this.pending.splice(0, syncIndex + 1);
+        break;
+      }
+      case MESSAGE_TYPES.NOTICE_RESPONSE:
+        if (request && request.result) {
+          request.result.notices.push(decodeFields(payload));
+        }
+        break;
+      case MESSAGE_TYPES.ERROR_RESPONSE:
+        this.onError(request, decodeFields(payload));
+        break;
+      case MESSAGE_TYPES.PARSE_COMPLETE:
+      case MESSAGE_TYPES.BIND_COMPLETE:
+      case '3': // CloseComplete
+      case MESSAGE_TYPES.NO_DATA:
+        this.pending.shift();
+        break;
+      case MESSAGE_TYPES.ROW_DESCRIPTION:
+        this.onRowDescription(request, decodeRowDescription(payload));
+        break;
+      case MESSAGE_TYPES.DATA_ROW:
+        if (request && request.result) {
+          request.result.rows.push(decodeDataRow(payload, this.columnsFor(request)));
+        }
+        break;
+      case MESSAGE_TYPES.COMMAND_COMPLETE:
+        if (request && request.result) {
+          request.result.commandTag = readCString(payload, 0).value;
+          this.finishResult(request);
+        }
+        break;
+      case MESSAGE_TYPES.EMPTY_QUERY_RESPONSE:
+        if (request && request.kind === 'execute') {
+          this.pending.shift();
+        }
+        break;
+      case MESSAGE_TYPES.PORTAL_SUSPENDED:
+        if (request && request.kind === 'execute') {
+          request.result.suspended = true;
+          this.finishResult(request);
+        }
+        break;
+      case MESSAGE_TYPES.COPY_IN_RESPONSE:
+      case MESSAGE_TYPES.COPY_OUT_RESPONSE:
+      case MESSAGE_TYPES.COPY_BOTH_RESPONSE:
+        if (request && request.result) {
+          request.result.copy = true;
+        }
+        break;
+      default:
+        // Authentication, ParameterStatus, BackendKeyData, notifications, ParameterDescription
+        break;
+    }
+  }
+
+  /**
+   * Records an error and skips the requests the backend discards after it
+   * @param {Object|undefined} request - Request at the head of the queue
+   * @param {Object} fields - ErrorResponse fields
+   */
+  onError(request, fields) {
+    if (!request || request.kind === 'call') {
+      return;
+    }
+
+    if (request.result) {
+      request.result.error = fields;
+      this.finishResult(request);
+    }
+
+    // An extended-protocol error makes the backend ignore everything up to Sync
+    if (request.kind !== 'query') {
+      const syncIndex = this.pending.findIndex(item => SYNC_POINTS.includes(item.kind));
+      this.pending.splice(0, syncIndex === -1 ? this.pending.length : syncIndex);
+    }
+  }
+
+  /**
+   * Stores a row description on the statement, portal or result it describes
+   * @param {Object|undefined} request - Request at the head of the queue
+   * @param {Array<Object>} columns - Column descriptors
+   */
+  onRowDescription(request, columns) {
+    if (!request) {
+      return;
+    }
+
+    if (request.kind === 'describe') {
+      const target =
+        request.target === 'P' ? this.portals.get(request.name) : this.statements.get(request.name);
+      if (target) {
+        target.columns = columns;
+      }
+      this.pending.shift();
+    } else if (request.result) {
+      request.result.columns = columns;
+    }
+  }
+
+  /**
+   * Gets the columns that describe the rows of a request
+   * @param {Object} request - Query or execute request
+   * @returns {Array<Object>|null} Column descriptors
+   */
+  columnsFor(request) {
+    if (request.result.columns) {
+      return request.result.columns;
+    }
+    const { portal } = request;
+    if (!portal) {
+      return null;
+    }
+    return portal.columns || (portal.statement && portal.statement.columns) || null;
+  }
+
+  /**
+   * Records the finished result of a statement or Execute
+   * @param {Object} request - Query or execute request
+   */
+  finishResult(request) {
+    const { result } = request;
+    let query;
+    let params = [];
+
+    if (request.kind === 'query') {
+      // A simple query answers each of its statements in turn
+      query = request.statements.shift();
+      request.result = newResult();
+    } else {
+      query = request.portal && request.portal.query;
+      params = request.portal ? request.portal.params : [];
+      this.pending.shift();
+    }
+
+    if (!query || result.copy) {
+      return;
+    }
+
+    this.proxy.cassette.record({
+      query,
+      params,
+      columns: this.columnsFor({ ...request, result }),
+      rows: result.rows,
+      commandTag: result.commandTag,
+      error: result.error,
+      notices: result.notices,
+      suspended: result.suspended,
+    });
+  }
+
+  /**
+   * Closes both sides of the session
+   * @param {string} reason - Reason for closing
+   */
+  close(reason) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.proxy.sessions.delete(this.connectionId);
+    this.proxy.logger.debug(`Proxy session ${this.connectionId} closed: ${reason}`);
+
+    if (this.upstream && !this.upstream.destroyed) {
+      this.upstream.end();
+    }
+    if (!this.socket.destroyed) {
+      this.socket.end();
+    }
+  }
+}
+
+/**
+ * Proxies client connections to an upstream server while recording a cassette
+ *
+ * The proxy does not take part in authentication or TLS: clients authenticate
+ * against the upstream server through it, and SSL/GSS encryption requests are
+ * declined so the traffic stays readable.
+ */
+class RecordingProxy {
+  /**
+   * Creates a recording proxy
+   * @param {RecordingProxyConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      upstreamHost: 'localhost',
+      upstreamPort: 5432,
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.cassette = this.config.cassette;
+    this.sessions = new Map(); // connection id -> ProxySession
+    this.stats = { sessionsOpened: 0, upstreamErrors: 0 };
+
+    this.logger = createLogger({
+      name: 'RecordingProxy',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Starts proxying a client connection
+   * @param {Socket} socket - Client socket
+   * @param {string} connectionId - Connection identifier
+   */
+  handleConnection(socket, connectionId) {
+    this.sessions.set(connectionId, new ProxySession(this, socket, connectionId));
+    this.stats.sessionsOpened++;
+    this.logger.info(
+      `Proxying ${connectionId} to ${this.config.upstreamHost}:${this.config.upstreamPort}`
+    );
+  }
+
+  /**
+   * Closes every proxied connection
+   */
+  closeAll() {
+    for (const session of this.sessions.values()) {
+      session.close('proxy shutting down');
+    }
+  }
+
+  /**
+   * Gets proxy statistics
+   * @returns {Object} Session and error counters
+   */
+  getStats() {
+    return {
+      activeSessions: this.sessions.size,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  RecordingProxy,
+};
@@ -6,19 +6,35 @@
 const Net = require('net');
 const tls = require('tls');
 const fs = require('fs');
+const { Duplex } = require('stream');
 const { ConnectionState } = require('../connection/connectionState');
 const { ConnectionPool } = require('../connection/connectionPool');
+const { CancelRegistry } = require('../connection/cancelRegistry');
+const { LatencyModel } = require('../utils/latencyModel');
+const { createServerParameters } = require('../config/serverConfig');
+const { SessionSettings } = require('../connection/sessionSettings');
 const { NotificationManager } = require('../notification/notificationManager');
+const { TableStore } = require('../storage/tableStore');
+const { LargeObjectStore } = require('../storage/largeObjectStore');
+const { RoleStore } = require('../storage/roleStore');
+const { HbaRules } = require('../connection/hbaRules');
+const { IdentMaps } = require('../connection/identMaps');
+const { FixtureStore } = require('../fixtures/fixtureStore');
+const { Cassette } = require('../proxy/cassette');
+const { RecordingProxy } = require('../proxy/recordingProxy');
 
 const {
   processMessage,
   configureMessageProcessorLogger,
+  validateSSLCertificates,
   SSLState,
 } = require('../protocol/messageProcessors');
 const { configureProtocolLogger } = require('../protocol/messageBuilders');
+const { TLS_HANDSHAKE_RECORD, POSTGRESQL_ALPN_PROTOCOL } = require('../protocol/constants');
 const { configureQueryLogger } = require('../handlers/queryHandlers');
 const { createLogger } = require('../utils/logger');
 const { HttpServer } = require('./httpServer');
+const { UnixSocketListener } = require('./unixSocketListener');
 
 /**
  * Configuration options for the server
@@ -27,6 +43,14 @@ const { HttpServer } = require('./httpServer');
  * @property {string} host - Host to bind to
  * @property {number} maxConnections - Maximum concurrent connections
  * @property {number} connectionTimeout - Connection timeout in milliseconds
+ * @property {number} statementTimeout - Default statement_timeout in milliseconds (0: disabled)
+ * @property {number} lockTimeout - Default lock_timeout in milliseconds, accepted and shown
+ *   but never enforced, as the mock takes no locks
+ * @property {number} idleInTransactionSessionTimeout - Default idle_in_transaction_session_timeout
+ *   in milliseconds (0: disabled)
+ * @property {number} idleSessionTimeout - Default idle_session_timeout in milliseconds (0: disabled)
+ * @property {string|null} largeObjectFileDirectory - Directory superusers may read and write
+ *   with server-side lo_import() and lo_export() (null: server file access disabled)
  * @property {boolean} enableLogging - Enable detailed logging
  * @property {string} logLevel - Log level (error, warn, info, debug)
  * @property {number} shutdownTimeout - Graceful shutdown timeout in milliseconds
@@ -53,10 +77,17 @@ class ServerManager {
       host: 'localhost',
       maxConnections: 100,
       connectionTimeout: 300000, // 5 minutes
+      statementTimeout: 0,
+      lockTimeout: 0,
+      idleInTransactionSessionTimeout: 0,
+      idleSessionTimeout: 0,
+      largeObjectFileDirectory: null,
       enableLogging: true,
       logLevel: 'info',
       shutdownTimeout: 30000, // 30 seconds
       shutdownDrainTimeout: 10000, // 10 seconds
+      unixSocketDirectories: [], // Directories to create .s.PGSQL.<port> sockets in
+      unixSocketPermissions: 0o777,
       enableConnectionPooling: true,
       poolConfig: {
         maxConnections: 50,
@@ -72,6 +103,7 @@ class ServerManager {
     };
 
     this.server = null;
+    this.unixSocketListeners = [];
     this.connections = new Map();
     this.connectionCount = 0;
     this.isRunning = false;
@@ -89,7 +121,105 @@ class ServerManager {
       });
     }
 
-    // Initialize notification manager
+    // Route CancelRequests to the connection holding the matching backend key
+    this.cancelRegistry = new CancelRegistry({
+      enableLogging: this.config.enableLogging,
+      logLevel: this.config.logLevel,
+    });
+
+    // Simulated latency added to every response; an invalid spec aborts startup
+    this.latencyModel = this.config.latency != null ? new LatencyModel(this.config.latency) : null;
+
+    // Settings each connection starts with (server version, encoding, timeouts, ...);
+    // an invalid default aborts startup instead of failing every connection
+    this.settingDefaults = createServerParameters(this.config);
+    new SessionSettings().setDefaults(this.settingDefaults);
+
+    // Initialize table store shared by all connections
+    this.tableStore = new TableStore({
+      enableLogging: this.config.enableLogging,
+      logLevel: this.config.logLevel,
+    });
+
+    // Initialize large object store shared by all connections
+    this.largeObjectStore = new LargeObjectStore({
+      fileDirectory: this.config.largeObjectFileDirectory,
+      enableLogging: this.config.enableLogging,
+      logLevel: this.config.logLevel,
+    });
+
+    // Load canned query responses; an invalid fixture aborts startup
+    this.fixtureStore = null;
+    if (this.config.fixturesFile || (this.config.fixtures && this.config.fixtures.length > 0)) {
+      this.fixtureStore = new FixtureStore({
+        enableLogging: this.config.enableLogging,
+        logLevel: this.config.logLevel,
+      });
+      if (this.config.fixtures && this.config.fixtures.length > 0) {
+        this.fixtureStore.addFixtures(this.config.fixtures);
+      }
+      if (this.config.fixturesFile) {
+        this.fixtureStore.loadFile(this.config.fixturesFile);
+      }
+    }
+
+    // Load the roles connections authenticate as; without them the configured
+    // username and password are the only credentials. An invalid role aborts startup
+    this.roleStore = null;
+    if (this.config.rolesFile || (this.config.roles && this.config.roles.length > 0)) {
+      this.roleStore = new RoleStore({
+        enableLogging: this.config.enableLogging,
+        logLevel: this.config.logLevel,
+      });
+      if (this.config.roles && this.config.roles.length > 0) {
+        this.roleStore.addRoles(this.config.roles);
+      }
+      if (this.config.rolesFile) {
+        this.roleStore.loadFile(this.config.rolesFile);
+      }
+    }
+
+    // Load the host-based authentication rules; without them authMethod applies to
+    // every connection. An invalid rule aborts startup
+    this.hbaRules = null;
+    if (this.config.hbaFile || (this.config.hbaRules && this.config.hbaRules.length > 0)) {
+      this.hbaRules = new HbaRules({
+        enableLogging: this.config.enableLogging,
+        logLevel: this.config.logLevel,
+      });
+      if (this.config.hbaRules && this.config.hbaRules.length > 0) {
+        this.hbaRules.addRules(this.config.hbaRules);
+      }
+      if (this.config.hbaFile) {
+        this.hbaRules.loadFile(this.config.hbaFile);
+      }
+    }
+
+    // Load the user name maps certificate authentication looks common names up in
+    this.identMaps = null;
+    if (this.config.identFile || (this.config.identMaps && this.config.identMaps.length > 0)) {
+      this.identMaps = new IdentMaps({
+        enableLogging: this.config.enableLogging,
+        logLevel: this.config.logLevel,
+      });
+      if (this.config.identMaps && this.config.identMaps.length > 0) {
+        this.identMaps.addMappings(this.config.identMaps);
+      }
+      if (this.config.identFile) {
+        this.identMaps.loadFile(this.config.identFile);
+      }
+    }
+
+    // Record mode proxies connections to an upstream server into a cassette;
+    // replay mode answers from that cassette
+    this.cassette = null;
+    this.recordingProxy = null;
+    if (this.config.cassetteMode && this.config.cassetteMode !== 'off') {
+      this._setUpCassette();
+    }
+
+    // Initialize notification manager; it starts a cleanup timer, so it is created
+    // after everything above that can abort startup
     this.notificationManager = new NotificationManager({
       enableLogging: this.config.enableLogging,
       logLevel: this.config.logLevel,
@@ -110,6 +240,7 @@ class ServerManager {
       errors: 0,
       bytesReceived: 0,
       bytesSent: 0,
+      idleSessionsTerminated: 0,
     };
 
     // Cleanup interval
@@ -120,6 +251,40 @@ class ServerManager {
     this._configureAllLoggers();
   }
 
+  /**
+   * Creates the cassette and, in record mode, the recording proxy
+   * @throws {Error} If the mode is unknown, no cassette file is set, or replay cannot load it
+   * @private
+   */
+  _setUpCassette() {
+    const { cassetteMode, cassetteFile } = this.config;
+    if (!['record', 'replay'].includes(cassetteMode)) {
+      throw new Error(`Invalid cassette mode "${cassetteMode}" (expected off, record or replay)`);
+    }
+    if (!cassetteFile) {
+      throw new Error(`Cassette mode "${cassetteMode}" requires a cassette file`);
+    }
+
+    this.cassette = new Cassette({
+      missPolicy: this.config.replayMissPolicy || 'strict',
+      enableLogging: this.config.enableLogging,
+      logLevel: this.config.logLevel,
+    });
+
+    if (cassetteMode === 'replay') {
+      this.cassette.load(cassetteFile);
+      return;
+    }
+
+    this.recordingProxy = new RecordingProxy({
+      upstreamHost: this.config.upstreamHost || 'localhost',
+      upstreamPort: this.config.upstreamPort || 5432,
+      cassette: this.cassette,
+      enableLogging: this.config.enableLogging,
+      logLevel: this.config.logLevel,
+    });
+  }
+
   /**
    * Configure all component loggers with consistent settings
    * @private
@@ -162,6 +327,14 @@ class ServerManager {
         this.setupServerEventHandlers();
 
         this.server.listen(this.config.port, this.config.host, async () => {
+          try {
+            await this.startUnixSockets();
+          } catch (error) {
+            this.server.close();
+            reject(error);
+            return;
+          }
+
           this.isRunning = true;
           this.startTime = new Date();
 
@@ -170,6 +343,19 @@ class ServerManager {
           this.log('info', `Max connections: ${this.config.maxConnections}`);
           this.log('info', `Connection timeout: ${this.config.connectionTimeout}ms`);
 
+          if (this.recordingProxy) {
+            const { upstreamHost, upstreamPort } = this.recordingProxy.config;
+            this.log(
+              'info',
+              `Recording ${upstreamHost}:${upstreamPort} into ${this.config.cassetteFile}`
+            );
+          } else if (this.cassette) {
+            this.log('info', `Replaying ${this.config.cassetteFile}`);
+          }
+          if (this.latencyModel) {
+            this.log('info', `Simulated latency: ${this.latencyModel.describe()}`);
+          }
+
           // Initialize connection pool if enabled
           if (this.connectionPool && !this.connectionPool.isInitialized) {
             try {
@@ -217,10 +403,17 @@ class ServerManager {
    * @returns {Promise<void>} Promise that resolves when server is stopped
    */
   async stop() {
-    if (!this.isRunning || this.isShuttingDown) {
+    if (this.isShuttingDown) {
       return this.shutdownPromise || Promise.resolve();
     }
 
+    // A server that never started, or failed to, still holds the notification
+    // manager's timer
+    if (!this.isRunning) {
+      this.notificationManager.shutdown();
+      return Promise.resolve();
+    }
+
     // Prevent multiple shutdown attempts
     if (this.shutdownPromise) {
       return this.shutdownPromise;
@@ -246,6 +439,7 @@ class ServerManager {
       // Step 1: Stop accepting new connections
       this.log('info', 'Stopping new connection acceptance...');
       this.server.close();
+      this.stopUnixSockets();
 
       // Step 2: Send shutdown notifications to all clients
       this.log('info', `Notifying ${this.connections.size} active connections of shutdown...`);
@@ -456,6 +650,20 @@ class ServerManager {
       }
     }
 
+    // Close proxied connections and write what they recorded
+    if (this.recordingProxy) {
+      this.recordingProxy.closeAll();
+      try {
+        const { upstreamHost, upstreamPort } = this.recordingProxy.config;
+        this.cassette.save(this.config.cassetteFile, {
+          upstream: `${upstreamHost}:${upstreamPort}`,
+        });
+        this.log('info', `Cassette saved to ${this.config.cassetteFile}`);
+      } catch (error) {
+        this.log('error', `Error saving cassette: ${error.message}`);
+      }
+    }
+
     // Cleanup HTTP server
     if (this.httpServer) {
       try {
@@ -474,6 +682,70 @@ class ServerManager {
     this.isShuttingDown = false;
   }
 
+  /**
+   * Listens on the Unix-domain sockets of the configured directories
+   * As in PostgreSQL, a directory whose socket cannot be created is skipped with a
+   * warning; startup fails only if none can be.
+   * @returns {Promise<void>} Resolves once listening
+   * @throws {Error} If directories are configured but no socket could be created
+   * @private
+   */
+  async startUnixSockets() {
+    let directories = this.config.unixSocketDirectories || [];
+    if (typeof directories === 'string') {
+      // The comma-separated form of PostgreSQL's unix_socket_directories
+      directories = directories.split(',');
+    }
+    directories = directories.map(directory => directory.trim()).filter(Boolean);
+
+    let permissions = this.config.unixSocketPermissions;
+    if (typeof permissions === 'string') {
+      permissions = parseInt(permissions, 8);
+    }
+
+    for (const directory of directories) {
+      const listener = new UnixSocketListener(
+        {
+          directory,
+          // The socket is named after the TCP port, which port 0 leaves to the system
+          port: this.getAddress().port,
+          permissions,
+          host: this.config.host,
+          enableLogging: this.config.enableLogging,
+          logLevel: this.config.logLevel,
+        },
+        socket => this.handleNewConnection(socket)
+      );
+
+      try {
+        await listener.start();
+        this.unixSocketListeners.push(listener);
+        this.log('info', `Listening on Unix socket ${listener.socketPath}`);
+      } catch (error) {
+        this.log('warn', error.message);
+      }
+    }
+
+    if (directories.length > 0 && this.unixSocketListeners.length === 0) {
+      throw new Error('could not create any Unix-domain sockets');
+    }
+  }
+
+  /**
+   * Stops listening on Unix-domain sockets and removes their files
+   * @private
+   */
+  stopUnixSockets() {
+    for (const listener of this.unixSocketListeners) {
+      try {
+        listener.stop();
+      } catch (error) {
+        this.log('warn', `Error removing Unix socket ${listener.socketPath}: ${error.message}`);
+      }
+    }
+    this.unixSocketListeners = [];
+  }
+
   /**
    * Sets up server event handlers
    * @private
@@ -530,6 +802,14 @@ class ServerManager {
     }
 
     const connectionId = `conn_${++this.connectionCount}`;
+
+    // In record mode the upstream server handles the connection
+    if (this.recordingProxy) {
+      this.stats.connectionsAccepted++;
+      this.recordingProxy.handleConnection(socket, connectionId);
+      return;
+    }
+
     let connState;
 
     // Create connection state (pool integration can be enhanced later)
@@ -538,7 +818,18 @@ class ServerManager {
     // Set connection ID and references
     connState.connectionId = connectionId;
     connState.setNotificationManager(this.notificationManager);
+    connState.setTableStore(this.tableStore);
+    connState.setLargeObjectStore(this.largeObjectStore);
+    connState.setRoleStore(this.roleStore);
+    connState.setHbaRules(this.hbaRules);
+    connState.setIdentMaps(this.identMaps);
+    connState.setFixtureStore(this.fixtureStore);
+    connState.setCassette(this.cassette);
+    connState.setCancelRegistry(this.cancelRegistry);
+    connState.setLatencyModel(this.latencyModel);
+    connState.setSettingDefaults(this.settingDefaults);
     connState.setSocket(socket);
+    this.cancelRegistry.register(connState);
 
     // Log that pooling is enabled for future enhancement
     if (this.connectionPool && this.connectionPool.isInitialized) {
@@ -560,15 +851,25 @@ class ServerManager {
     this.connections.set(connectionId, connectionData);
     this.stats.connectionsAccepted++;
 
-    this.log(
-      'info',
-      `New connection: ${connectionId} from ${socket.remoteAddress}:${socket.remotePort}`
-    );
+    // Unix-domain socket connections have no remote address
+    const client = socket.remoteAddress
+      ? `${socket.remoteAddress}:${socket.remotePort}`
+      : '[local]';
+    this.log('info', `New connection: ${connectionId} from ${client}`);
 
     // Set connection timeout
     socket.setTimeout(this.config.connectionTimeout);
 
     this.setupConnectionEventHandlers(connectionId, connectionData);
+
+    // Clients using direct SSL (sslnegotiation=direct) start the TLS handshake instead
+    // of sending an SSLRequest; the first byte tells the two apart
+    socket.prependOnceListener('data', chunk => {
+      if (chunk[0] === TLS_HANDSHAKE_RECORD) {
+        connectionData.isDirectSSL = true;
+        this.startDirectSSL(connectionId, connectionData, chunk);
+      }
+    });
   }
 
   /**
@@ -582,6 +883,11 @@ class ServerManager {
 
     // Handle incoming data
     socket.on('data', chunk => {
+      // Data of a direct SSL connection belongs to its TLS socket
+      if (connectionData.isDirectSSL) {
+        return;
+      }
+
       try {
         this.stats.bytesReceived += chunk.length;
         connectionData.lastActivity = new Date();
@@ -619,6 +925,7 @@ class ServerManager {
       if (hadError) {
         this.log('warn', `Connection ${connectionId} closed with error`);
       }
+      this.cancelRegistry.unregister(connectionData.connState);
       this.connections.delete(connectionId);
     });
 
@@ -639,7 +946,16 @@ class ServerManager {
   processMessages(connectionId, connectionData) {
     const { socket, connState } = connectionData;
 
+    // The session is no longer idle once the client sends something
+    connState.clearIdleTimer();
+
     while (connectionData.buffer.length > 0) {
+      // Messages are answered in order, so nothing is processed while a
+      // delayed response is outstanding; it resumes processing when sent
+      if (connState.getPendingResponse()) {
+        break;
+      }
+
       try {
         const processed = processMessage(connectionData.buffer, socket, connState, this.config);
 
@@ -655,6 +971,16 @@ class ServerManager {
           this.stats.queriesExecuted++;
           connectionData.lastQueryCount = connState.queriesExecuted;
         }
+
+        const pending = connState.getPendingResponse();
+        if (pending) {
+          pending.then(() => {
+            if (this.connections.has(connectionId)) {
+              this.processMessages(connectionId, connectionData);
+            }
+          });
+          break;
+        }
       } catch (error) {
         this.stats.errors++;
         this.log('error', `Message processing error for ${connectionId}: ${error.message}`);
@@ -677,6 +1003,50 @@ class ServerManager {
         break;
       }
     }
+
+    // Waiting for the next command: idle_session_timeout or
+    // idle_in_transaction_session_timeout applies until more data arrives
+    if (
+      connectionData.buffer.length === 0 &&
+      connState.authenticated &&
+      connState.connected &&
+      !connState.getPendingResponse() &&
+      !connState.isInCopyMode() &&
+      this.connections.has(connectionId)
+    ) {
+      connState.startIdleTimer((code, message) =>
+        this.terminateIdleSession(connectionId, code, message)
+      );
+    }
+  }
+
+  /**
+   * Ends a session that stayed idle past its idle timeout with a FATAL error
+   * @param {string} connectionId - Connection identifier
+   * @param {string} code - SQLSTATE (25P03 or 57P05)
+   * @param {string} message - Error message
+   * @private
+   */
+  terminateIdleSession(connectionId, code, message) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return;
+    }
+
+    const { socket, connState } = connectionData;
+    this.stats.idleSessionsTerminated++;
+    this.log('info', `Terminating connection ${connectionId}: ${message}`);
+
+    const { sendErrorResponse } = require('../protocol/messageBuilders');
+    const { ERROR_SEVERITY } = require('../protocol/constants');
+    sendErrorResponse(socket, code, message, {}, { severity: ERROR_SEVERITY.FATAL });
+
+    // Unlike closeConnection, nothing follows the FATAL error; the socket is
+    // ended once it has been written
+    this.notificationManager.removeAllListenersForConnection(connectionId);
+    connState.close();
+    this.connections.delete(connectionId);
+    socket.end();
   }
 
   /**
@@ -702,42 +1072,179 @@ class ServerManager {
         return;
       }
 
-      // Create TLS socket wrapping the existing socket
-      const tlsSocket = new tls.TLSSocket(socket, {
-        ...sslOptions,
-        isServer: true,
-        server: this.server,
-      });
+      this.secureSocket(
+        socket,
+        sslOptions,
+        tlsSocket => {
+          this.completeSSLHandshake(connectionId, connectionData, tlsSocket);
+          // Clear SSL upgrade state
+          SSLState.markCompleted(socket);
+        },
+        (error, tlsSocket) => {
+          this.logHandshakeError(connectionId, error, tlsSocket);
+          this.closeConnection(connectionId, `SSL error: ${error.message}`);
+        }
+      );
+    } catch (error) {
+      this.log('error', `Failed to upgrade connection ${connectionId} to SSL: ${error.message}`);
+      this.closeConnection(connectionId, `SSL upgrade failed: ${error.message}`);
+    }
+  }
 
-      // Set up TLS socket event handlers
-      tlsSocket.on('secure', () => {
-        this.log('info', `SSL connection established for ${connectionId}`);
+  /**
+   * Starts a direct SSL connection, whose first bytes are already a TLS handshake
+   * As in PostgreSQL 17, such clients must negotiate the "postgresql" ALPN protocol;
+   * without SSL configured the connection is closed, as nothing else can be sent.
+   * @param {string} connectionId - Connection identifier
+   * @param {Object} connectionData - Connection data object
+   * @param {Buffer} head - Data received so far, the start of the handshake
+   * @private
+   */
+  startDirectSSL(connectionId, connectionData, head) {
+    const { socket } = connectionData;
 
-        // Update connection data with TLS socket
-        connectionData.socket = tlsSocket;
-        connectionData.isSSL = true;
+    const validation = validateSSLCertificates(this.config);
+    if (!validation.success) {
+      this.log('warn', `Direct SSL connection ${connectionId} rejected (${validation.error})`);
+      this.closeConnection(connectionId, 'Direct SSL not available', true);
+      return;
+    }
 
-        // Clear SSL upgrade state
-        SSLState.markCompleted(socket);
+    try {
+      this.log('info', `Starting direct SSL connection ${connectionId}`);
+      const sslOptions = validation.sslOptions;
+
+      // The handshake bytes were read from the socket already, so the TLS socket
+      // reads through a stream that replays them first
+      const onSecure = tlsSocket => {
+        // A TLS socket over a stream has no address of its own; hba rules need the client's
+        Object.defineProperties(tlsSocket, {
+          remoteAddress: { value: socket.remoteAddress },
+          remotePort: { value: socket.remotePort },
+        });
 
-        // Set up new event handlers for TLS socket
-        this.setupSSLConnectionEventHandlers(connectionId, connectionData);
-      });
+        if (tlsSocket.alpnProtocol !== POSTGRESQL_ALPN_PROTOCOL) {
+          this.log('warn', `Direct SSL connection ${connectionId} did not negotiate ALPN`);
+          const { sendErrorResponse } = require('../protocol/messageBuilders');
+          const { ERROR_CODES, ERROR_SEVERITY } = require('../protocol/constants');
+          sendErrorResponse(
+            tlsSocket,
+            ERROR_CODES.PROTOCOL_VIOLATION,
+            'received direct SSL connection request without ALPN protocol negotiation extension',
+            {},
+            { severity: ERROR_SEVERITY.FATAL }
+          );
+          tlsSocket.end();
+          return;
+        }
 
-      tlsSocket.on('error', error => {
-        this.log('error', `SSL error for connection ${connectionId}: ${error.message}`);
-        this.closeConnection(connectionId, `SSL error: ${error.message}`);
-      });
+        this.completeSSLHandshake(connectionId, connectionData, tlsSocket);
+      };
 
-      tlsSocket.on('close', () => {
-        this.log('debug', `SSL connection ${connectionId} closed`);
-      });
+      this.secureSocket(
+        this.createReplayStream(socket, head),
+        sslOptions,
+        onSecure,
+        (error, tlsSocket) => {
+          this.logHandshakeError(connectionId, error, tlsSocket);
+          this.closeConnection(connectionId, `SSL error: ${error.message}`, true);
+        }
+      );
     } catch (error) {
-      this.log('error', `Failed to upgrade connection ${connectionId} to SSL: ${error.message}`);
-      this.closeConnection(connectionId, `SSL upgrade failed: ${error.message}`);
+      this.log('error', `Failed to start direct SSL for ${connectionId}: ${error.message}`);
+      this.closeConnection(connectionId, `Direct SSL failed: ${error.message}`, true);
     }
   }
 
+  /**
+   * Creates a stream over a socket that first yields data already read from it
+   * @param {Socket} socket - Client socket
+   * @param {Buffer} head - Data already read
+   * @returns {Duplex} Stream reading and writing through the socket
+   * @private
+   */
+  createReplayStream(socket, head) {
+    const stream = new Duplex({
+      read() {
+        socket.resume();
+      },
+      write(chunk, encoding, callback) {
+        socket.write(chunk, encoding, callback);
+      },
+      final(callback) {
+        socket.end();
+        callback();
+      },
+      destroy(error, callback) {
+        socket.destroy();
+        callback(error);
+      },
+    });
+
+    stream.push(head);
+    socket.on('data', chunk => {
+      if (!stream.push(chunk)) {
+        socket.pause();
+      }
+    });
+    socket.on('end', () => stream.push(null));
+    return stream;
+  }
+
+  /**
+   * Runs the server side of a TLS handshake over a connection
+   * The handshake goes through a tls.Server of its own, which checks a client
+   * certificate against the configured CA and sets authorized or authorizationError
+   * on the socket; with rejectUnauthorized it drops a client whose certificate fails.
+   * @param {Duplex} stream - Connection to secure
+   * @param {Object} sslOptions - TLS options (cert, key, ca, requestCert, ...)
+   * @param {Function} onSecure - Called with the tls.TLSSocket once the handshake is done
+   * @param {Function} onError - Called with the error and the tls.TLSSocket if it fails
+   * @private
+   */
+  secureSocket(stream, sslOptions, onSecure, onError) {
+    const handshakeServer = tls.createServer(sslOptions);
+    handshakeServer.once('secureConnection', onSecure);
+    handshakeServer.once('tlsClientError', onError);
+    handshakeServer.emit('connection', stream);
+  }
+
+  /**
+   * Logs why a TLS handshake failed
+   * @param {string} connectionId - Connection identifier
+   * @param {Error} error - Handshake error
+   * @param {tls.TLSSocket} tlsSocket - Socket whose handshake failed
+   * @private
+   */
+  logHandshakeError(connectionId, error, tlsSocket) {
+    if (tlsSocket.authorizationError) {
+      this.log(
+        'warn',
+        `Rejected client certificate for ${connectionId}: ${tlsSocket.authorizationError}`
+      );
+    } else {
+      this.log('error', `SSL error for connection ${connectionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finishes setting up a connection once its TLS handshake is done
+   * @param {string} connectionId - Connection identifier
+   * @param {Object} connectionData - Connection data object
+   * @param {tls.TLSSocket} tlsSocket - Secured socket
+   * @private
+   */
+  completeSSLHandshake(connectionId, connectionData, tlsSocket) {
+    this.log('info', `SSL connection established for ${connectionId}`);
+
+    // Update connection data with TLS socket
+    connectionData.socket = tlsSocket;
+    connectionData.isSSL = true;
+
+    // Set up new event handlers for TLS socket
+    this.setupSSLConnectionEventHandlers(connectionId, connectionData);
+  }
+
   /**
    * Gets SSL/TLS options from configuration
    * @returns {Object} SSL options object
@@ -765,6 +1272,7 @@ class ServerManager {
       // Add CA certificate if provided
       if (this.config.sslCaPath && fs.existsSync(this.config.sslCaPath)) {
         sslOptions.ca = fs.readFileSync(this.config.sslCaPath);
+        sslOptions.requestCert = true;
       }
 
       // Set TLS version constraints
@@ -993,6 +1501,19 @@ class ServerManager {
       },
     };
 
+    stats.cancelRequests = this.cancelRegistry.getStats();
+
+    if (this.roleStore) {
+      stats.roles = this.roleStore.getStats();
+    }
+
+    if (this.cassette) {
+      stats.cassette = this.cassette.getStats();
+    }
+    if (this.recordingProxy) {
+      stats.recordingProxy = this.recordingProxy.getStats();
+    }
+
     // Add connection pool statistics if pooling is enabled
     if (this.connectionPool) {
       stats.connectionPool = this.connectionPool.getStats();
@@ -1086,6 +1607,14 @@ class ServerManager {
     };
   }
 
+  /**
+   * Gets the paths of the Unix-domain sockets the server listens on
+   * @returns {Array<string>} Socket paths
+   */
+  getUnixSocketPaths() {
+    return this.unixSocketListeners.map(listener => listener.socketPath);
+  }
+
   /**
    * Gets server address information
    * @returns {Object|null} Address info or null if not running
@@ -0,0 +1,187 @@
+/**
+ * Unix-Domain Socket Listener
+ * Listens on the .s.PGSQL.<port> socket of one directory, guarded by a
+ * PostgreSQL-style lock file, and hands connections to the server
+ */
+
+const Net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Configuration options for the listener
+ * @typedef {Object} UnixSocketListenerConfig
+ * @property {string} directory - Directory to create the socket in
+ * @property {number} port - Port number the socket file is named after
+ * @property {number} permissions - Access permissions of the socket file (default: 0o777)
+ * @property {string} host - TCP address of the server, recorded in the lock file
+ * @property {boolean} enableLogging - Enable logging (default: true)
+ * @property {string} logLevel - Log level (default: 'info')
+ */
+
+/**
+ * Listener on a Unix-domain socket
+ *
+ * As in PostgreSQL, the lock file next to the socket records the process that owns
+ * it: a lock file left by a process that is gone is replaced, along with its socket
+ * file, while one held by a running process makes start() fail.
+ */
+class UnixSocketListener {
+  /**
+   * Creates a listener
+   * @param {UnixSocketListenerConfig} config - Configuration options
+   * @param {Function} onConnection - Called with each client socket
+   */
+  constructor(config, onConnection) {
+    this.config = {
+      permissions: 0o777,
+      host: 'localhost',
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+    this.onConnection = onConnection;
+
+    this.socketPath = path.join(this.config.directory, `.s.PGSQL.${this.config.port}`);
+    this.lockPath = `${this.socketPath}.lock`;
+    this.server = null;
+
+    this.logger = createLogger({
+      name: 'UnixSocketListener',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Takes the lock file, then listens on the socket
+   * @returns {Promise<void>} Resolves once listening
+   * @throws {Error} If the lock is held by a running process or the socket cannot be created
+   */
+  async start() {
+    this.acquireLock();
+
+    try {
+      // The lock is ours, so a socket file left behind belongs to a process that is gone
+      removeFile(this.socketPath);
+
+      await new Promise((resolve, reject) => {
+        this.server = Net.createServer(this.onConnection);
+        this.server.once('error', reject);
+        this.server.listen(this.socketPath, () => {
+          this.server.removeListener('error', reject);
+          resolve();
+        });
+      });
+
+      fs.chmodSync(this.socketPath, this.config.permissions);
+    } catch (error) {
+      this.server = null;
+      removeFile(this.lockPath);
+      throw new Error(
+        `could not create Unix-domain socket in directory "${this.config.directory}": ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Stops accepting connections and removes the socket and lock files
+   * Connections already accepted are left to the server to drain.
+   */
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    removeFile(this.socketPath);
+    removeFile(this.lockPath);
+  }
+
+  /**
+   * Creates the lock file, replacing a stale one
+   * @throws {Error} If another running process holds the lock
+   * @private
+   */
+  acquireLock() {
+    const content = [
+      process.pid,
+      process.cwd(),
+      Math.floor(Date.now() / 1000),
+      this.config.port,
+      this.config.directory,
+      this.config.host,
+      '',
+    ].join('\n');
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.lockPath, content, { flag: 'wx', mode: 0o600 });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new Error(`could not create lock file "${this.lockPath}": ${error.message}`);
+        }
+      }
+
+      const owner = readLockOwner(this.lockPath);
+      if (owner !== null && owner !== process.pid && isProcessRunning(owner)) {
+        throw new Error(
+          `lock file "${this.lockPath}" already exists: is another server (PID ${owner}) ` +
+            `using socket file "${this.socketPath}"?`
+        );
+      }
+
+      this.logger.warn(`Removing stale lock file "${this.lockPath}"`);
+      removeFile(this.lockPath);
+    }
+
+    throw new Error(`could not create lock file "${this.lockPath}"`);
+  }
+}
+
+/**
+ * Reads the process ID recorded on the first line of a lock file
+ * @param {string} lockPath - Path to the lock file
+ * @returns {number|null} Process ID, or null if the file is unreadable or empty
+ */
+function readLockOwner(lockPath) {
+  try {
+    const pid = parseInt(fs.readFileSync(lockPath, 'utf8').split('\n')[0], 10);
+    return pid > 0 ? pid : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a process is running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Removes a file if it exists
+ * @param {string} filePath - Path to the file
+ */
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  UnixSocketListener,
+};
@@ -0,0 +1,573 @@
+/**
+ * Built-in Functions
+ * Functions that can be called by OID with a fastpath FunctionCall message as well
+ * as by name from SQL, starting with the server-side large object API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_TYPES, ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { INV_READ, INV_WRITE } = require('../storage/largeObjectStore');
+
+/**
+ * lo_lseek() whence values
+ */
+const SEEK_SET = 0;
+const SEEK_CUR = 1;
+const SEEK_END = 2;
+
+/**
+ * Largest position lo_lseek() and lo_tell() can return; the 64-bit variants go further
+ */
+const INT4_MAX = 2147483647;
+
+/**
+ * Built-in function definition
+ * @typedef {Object} BuiltinFunction
+ * @property {number} oid - pg_proc OID, which clients look up to call the function
+ *   with FunctionCall
+ * @property {string} name - Function name
+ * @property {Array<number>} argTypes - Argument type OIDs
+ * @property {number} returnType - Result type OID
+ * @property {Function} call - Implementation, (args, connState) => value; args are
+ *   typed values (see sql/types.js) and never NULL
+ */
+
+/**
+ * Creates a large object
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} requested - OID to create it with, or 0 to pick one
+ * @returns {number} OID of the new large object
+ */
+function createLargeObject(connState, requested) {
+  const store = connState.getLargeObjectStore();
+  const oid = requested || store.allocateOID();
+  connState.recordLargeObjectChange(store, oid);
+  store.createObject(oid, connState.getCurrentUser());
+  return oid;
+}
+
+/**
+ * Writes bytes into a large object at an offset
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} oid - Large object OID
+ * @param {number} offset - Byte offset
+ * @param {Buffer} data - Bytes to write
+ * @returns {number} Number of bytes written
+ */
+function writeLargeObject(connState, oid, offset, data) {
+  const store = connState.getLargeObjectStore();
+  const { length } = store.getObject(oid).data;
+  checkPosition(offset);
+  const end = offset + data.length;
+  connState.recordLargeObjectBytes(store, oid, offset, end, Math.max(length, end));
+  return store.write(oid, offset, data);
+}
+
+/**
+ * Implements lo_open(oid, mode)
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} oid - Large object OID
+ * @param {number} mode - INV_READ and/or INV_WRITE
+ * @returns {number} Descriptor
+ */
+function openLargeObject(connState, oid, mode) {
+  if (!(mode & (INV_READ | INV_WRITE))) {
+    throw createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `invalid flags for opening a large object: ${mode}`
+    );
+  }
+  connState.getLargeObjectStore().getObject(oid);
+  return connState.openLargeObject(oid, mode);
+}
+
+/**
+ * Implements loread(fd, len), reading from the descriptor's position
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} fd - Descriptor
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {Buffer} Bytes read
+ */
+function readDescriptor(connState, fd, length) {
+  checkLength(length);
+  const descriptor = connState.getLargeObjectDescriptor(fd);
+  const data = connState.getLargeObjectStore().read(descriptor.oid, descriptor.position, length);
+  descriptor.position += data.length;
+  return data;
+}
+
+/**
+ * Implements lowrite(fd, data), writing at the descriptor's position
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} fd - Descriptor
+ * @param {Buffer} data - Bytes to write
+ * @returns {number} Number of bytes written
+ */
+function writeDescriptor(connState, fd, data) {
+  const descriptor = connState.getLargeObjectDescriptor(fd, true);
+  const written = writeLargeObject(connState, descriptor.oid, descriptor.position, data);
+  descriptor.position += written;
+  return written;
+}
+
+/**
+ * Implements lo_lseek(fd, offset, whence) and lo_lseek64()
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} fd - Descriptor
+ * @param {number} offset - Offset from the position whence names
+ * @param {number} whence - SEEK_SET, SEEK_CUR or SEEK_END
+ * @param {string} name - Function name, for the out-of-range error
+ * @param {number} max - Largest result the function can return
+ * @returns {number} New position
+ */
+function seekDescriptor(connState, fd, offset, whence, name, max) {
+  const descriptor = connState.getLargeObjectDescriptor(fd);
+  let base;
+  if (whence === SEEK_SET) {
+    base = 0;
+  } else if (whence === SEEK_CUR) {
+    base = descriptor.position;
+  } else if (whence === SEEK_END) {
+    base = connState.getLargeObjectStore().getObject(descriptor.oid).data.length;
+  } else {
+    throw createError(ERROR_CODES.INVALID_PARAMETER_VALUE, `invalid whence setting: ${whence}`);
+  }
+
+  const position = base + offset;
+  checkPosition(position);
+  descriptor.position = position;
+  return checkResult(position, name, fd, max);
+}
+
+/**
+ * Implements lo_tell(fd) and lo_tell64()
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} fd - Descriptor
+ * @param {string} name - Function name, for the out-of-range error
+ * @param {number} max - Largest result the function can return
+ * @returns {number} Current position
+ */
+function tellDescriptor(connState, fd, name, max) {
+  return checkResult(connState.getLargeObjectDescriptor(fd).position, name, fd, max);
+}
+
+/**
+ * Implements lo_truncate(fd, len) and lo_truncate64()
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} fd - Descriptor
+ * @param {number} length - New length in bytes
+ * @returns {number} 0
+ */
+function truncateDescriptor(connState, fd, length) {
+  const descriptor = connState.getLargeObjectDescriptor(fd, true);
+  if (length < 0) {
+    throw createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `invalid large object truncation target: ${length}`
+    );
+  }
+  const store = connState.getLargeObjectStore();
+  const current = store.getObject(descriptor.oid).data.length;
+  connState.recordLargeObjectBytes(
+    store,
+    descriptor.oid,
+    Math.min(length, current),
+    current,
+    length
+  );
+  store.truncate(descriptor.oid, length);
+  return 0;
+}
+
+/**
+ * Implements lo_unlink(oid), closing this connection's descriptors on the object
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} oid - Large object OID
+ * @returns {number} 1
+ */
+function unlinkLargeObject(connState, oid) {
+  const store = connState.getLargeObjectStore();
+  store.getObject(oid);
+  connState.recordLargeObjectChange(store, oid);
+  store.unlink(oid);
+  connState.closeLargeObjectDescriptors(oid);
+  return 1;
+}
+
+/**
+ * Implements lo_get(oid [, offset, len])
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} oid - Large object OID
+ * @param {number} offset - Byte offset to start at
+ * @param {number} length - Maximum number of bytes, or Infinity for the rest
+ * @returns {Buffer} Contents
+ */
+function getLargeObject(connState, oid, offset = 0, length = Infinity) {
+  checkLength(length);
+  checkPosition(offset);
+  return connState.getLargeObjectStore().read(oid, offset, length);
+}
+
+/**
+ * Implements lo_import(path [, oid]) with a file on the server's file system
+ * @param {ConnectionState} connState - Connection state
+ * @param {string} file - File path
+ * @param {number} requested - OID for the new object, or 0 to pick one
+ * @returns {number} OID of the new large object
+ */
+function importLargeObject(connState, file, requested = 0) {
+  const target = serverFilePath(connState, file, 'lo_import');
+  let data;
+  try {
+    data = fs.readFileSync(target);
+  } catch (error) {
+    throw fileAccessError(error, `could not open server file "${file}"`);
+  }
+  const oid = createLargeObject(connState, requested);
+  writeLargeObject(connState, oid, 0, data);
+  return oid;
+}
+
+/**
+ * Implements lo_export(oid, path), writing a file on the server's file system
+ * @param {ConnectionState} connState - Connection state
+ * @param {number} oid - Large object OID
+ * @param {string} file - File path
+ * @returns {number} 1
+ */
+function exportLargeObject(connState, oid, file) {
+  const target = serverFilePath(connState, file, 'lo_export');
+  const { data } = connState.getLargeObjectStore().getObject(oid);
+  try {
+    fs.writeFileSync(target, data);
+  } catch (error) {
+    throw fileAccessError(error, `could not create server file "${file}"`);
+  }
+  return 1;
+}
+
+/**
+ * Checks that the session may use a server file with lo_import() or lo_export(): the
+ * role must be a superuser, as in PostgreSQL, and the file must be in the directory
+ * the large object store was configured to share. Relative paths are taken from
+ * that directory.
+ * @param {ConnectionState} connState - Connection state
+ * @param {string} file - File path given by the client
+ * @param {string} name - Function name, for errors
+ * @returns {string} Absolute path of the file
+ * @throws {PostgresError} 42501 if the role, the configuration or the path does not
+ *   allow it
+ */
+function serverFilePath(connState, file, name) {
+  const role = connState.getSessionRole();
+  if (!role || !role.superuser) {
+    throw createError(
+      ERROR_CODES.INSUFFICIENT_PRIVILEGE,
+      `permission denied for function ${name}`,
+      {
+        hint: `Anyone can use the client-side ${name}() provided by libpq.`,
+      }
+    );
+  }
+
+  const directory = connState.getLargeObjectStore().getFileDirectory();
+  if (!directory) {
+    throw createError(ERROR_CODES.INSUFFICIENT_PRIVILEGE, `server-side ${name}() is disabled`, {
+      hint: 'Set largeObjectFileDirectory to the directory the server may read and write.',
+    });
+  }
+
+  const root = realPath(path.resolve(directory));
+  const target = realPath(path.resolve(root, file));
+  const relative = path.relative(root, target);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw createError(
+      ERROR_CODES.INSUFFICIENT_PRIVILEGE,
+      `path "${file}" is not in the large object file directory`
+    );
+  }
+  return target;
+}
+
+/**
+ * Resolves the symbolic links in a path whose last components may not exist yet,
+ * so that a link cannot lead out of the large object file directory
+ * @param {string} file - Absolute path
+ * @returns {string} Path with the links of its existing part resolved
+ */
+function realPath(file) {
+  try {
+    return fs.realpathSync(file);
+  } catch (_error) {
+    const parent = path.dirname(file);
+    return parent === file ? file : path.join(realPath(parent), path.basename(file));
+  }
+}
+
+/**
+ * Rejects a negative read length
+ * @param {number} length - Requested length
+ */
+function checkLength(length) {
+  if (length < 0) {
+    throw createError(ERROR_CODES.INVALID_PARAMETER_VALUE, 'requested length cannot be negative');
+  }
+}
+
+/**
+ * Rejects a negative position in a large object
+ * @param {number} position - Byte offset
+ */
+function checkPosition(position) {
+  if (position < 0) {
+    throw createError(
+      ERROR_CODES.INVALID_PARAMETER_VALUE,
+      `invalid large object seek target: ${position}`
+    );
+  }
+}
+
+/**
+ * Checks that a position fits the result type of a seek or tell function
+ * @param {number} position - Position
+ * @param {string} name - Function name
+ * @param {number} fd - Descriptor
+ * @param {number} max - Largest result the function can return
+ * @returns {number} The position
+ */
+function checkResult(position, name, fd, max) {
+  if (position > max) {
+    throw createError(
+      ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE,
+      `${name} result out of range for large-object descriptor ${fd}`
+    );
+  }
+  return position;
+}
+
+/**
+ * Converts a file system error into the error PostgreSQL reports for it
+ * @param {Error} error - Node.js file system error
+ * @param {string} message - What failed
+ * @returns {PostgresError} 58P01 for a missing file, 42501 for a denied one, else 58030
+ */
+function fileAccessError(error, message) {
+  const reasons = {
+    ENOENT: [ERROR_CODES.UNDEFINED_FILE, 'No such file or directory'],
+    EACCES: [ERROR_CODES.INSUFFICIENT_PRIVILEGE, 'Permission denied'],
+    EISDIR: [ERROR_CODES.IO_ERROR, 'Is a directory'],
+  };
+  const [code, reason] = reasons[error.code] || [ERROR_CODES.IO_ERROR, error.message];
+  return createError(code, `${message}: ${reason}`);
+}
+
+const { OID, INT4, INT8, BYTEA, TEXT, VOID } = DATA_TYPES;
+
+/**
+ * Built-in functions, with the OIDs PostgreSQL gives them
+ * @type {Array<BuiltinFunction>}
+ */
+const BUILTIN_FUNCTIONS = [
+  {
+    oid: 715,
+    name: 'lo_create',
+    argTypes: [OID],
+    returnType: OID,
+    call: ([oid], connState) => createLargeObject(connState, oid),
+  },
+  {
+    oid: 957,
+    name: 'lo_creat',
+    argTypes: [INT4],
+    returnType: OID,
+    call: (_args, connState) => createLargeObject(connState, 0),
+  },
+  {
+    oid: 952,
+    name: 'lo_open',
+    argTypes: [OID, INT4],
+    returnType: INT4,
+    call: ([oid, mode], connState) => openLargeObject(connState, oid, mode),
+  },
+  {
+    oid: 953,
+    name: 'lo_close',
+    argTypes: [INT4],
+    returnType: INT4,
+    call: ([fd], connState) => {
+      connState.closeLargeObject(fd);
+      return 0;
+    },
+  },
+  {
+    oid: 954,
+    name: 'loread',
+    argTypes: [INT4, INT4],
+    returnType: BYTEA,
+    call: ([fd, length], connState) => readDescriptor(connState, fd, length),
+  },
+  {
+    oid: 955,
+    name: 'lowrite',
+    argTypes: [INT4, BYTEA],
+    returnType: INT4,
+    call: ([fd, data], connState) => writeDescriptor(connState, fd, data),
+  },
+  {
+    oid: 956,
+    name: 'lo_lseek',
+    argTypes: [INT4, INT4, INT4],
+    returnType: INT4,
+    call: ([fd, offset, whence], connState) =>
+      seekDescriptor(connState, fd, offset, whence, 'lo_lseek', INT4_MAX),
+  },
+  {
+    oid: 3170,
+    name: 'lo_lseek64',
+    argTypes: [INT4, INT8, INT4],
+    returnType: INT8,
+    call: ([fd, offset, whence], connState) =>
+      seekDescriptor(connState, fd, offset, whence, 'lo_lseek64', Infinity),
+  },
+  {
+    oid: 958,
+    name: 'lo_tell',
+    argTypes: [INT4],
+    returnType: INT4,
+    call: ([fd], connState) => tellDescriptor(connState, fd, 'lo_tell', INT4_MAX),
+  },
+  {
+    oid: 3171,
+    name: 'lo_tell64',
+    argTypes: [INT4],
+    returnType: INT8,
+    call: ([fd], connState) => tellDescriptor(connState, fd, 'lo_tell64', Infinity),
+  },
+  {
+    oid: 1004,
+    name: 'lo_truncate',
+    argTypes: [INT4, INT4],
+    returnType: INT4,
+    call: ([fd, length], connState) => truncateDescriptor(connState, fd, length),
+  },
+  {
+    oid: 3172,
+    name: 'lo_truncate64',
+    argTypes: [INT4, INT8],
+    returnType: INT4,
+    call: ([fd, length], connState) => truncateDescriptor(connState, fd, length),
+  },
+  {
+    oid: 964,
+    name: 'lo_unlink',
+    argTypes: [OID],
+    returnType: INT4,
+    call: ([oid], connState) => unlinkLargeObject(connState, oid),
+  },
+  {
+    oid: 764,
+    name: 'lo_import',
+    argTypes: [TEXT],
+    returnType: OID,
+    call: ([file], connState) => importLargeObject(connState, file),
+  },
+  {
+    oid: 767,
+    name: 'lo_import',
+    argTypes: [TEXT, OID],
+    returnType: OID,
+    call: ([file, oid], connState) => importLargeObject(connState, file, oid),
+  },
+  {
+    oid: 765,
+    name: 'lo_export',
+    argTypes: [OID, TEXT],
+    returnType: INT4,
+    call: ([oid, file], connState) => exportLargeObject(connState, oid, file),
+  },
+  {
+    oid: 3457,
+    name: 'lo_from_bytea',
+    argTypes: [OID, BYTEA],
+    returnType: OID,
+    call: ([oid, data], connState) => {
+      const created = createLargeObject(connState, oid);
+      writeLargeObject(connState, created, 0, data);
+      return created;
+    },
+  },
+  {
+    oid: 3458,
+    name: 'lo_get',
+    argTypes: [OID],
+    returnType: BYTEA,
+    call: ([oid], connState) => getLargeObject(connState, oid),
+  },
+  {
+    oid: 3459,
+    name: 'lo_get',
+    argTypes: [OID, INT8, INT4],
+    returnType: BYTEA,
+    call: ([oid, offset, length], connState) => getLargeObject(connState, oid, offset, length),
+  },
+  {
+    oid: 3460,
+    name: 'lo_put',
+    argTypes: [OID, INT8, BYTEA],
+    returnType: VOID,
+    call: ([oid, offset, data], connState) => {
+      writeLargeObject(connState, oid, offset, data);
+      return '';
+    },
+  },
+];
+
+const FUNCTIONS_BY_OID = new Map(BUILTIN_FUNCTIONS.map(builtin => [builtin.oid, builtin]));
+
+/**
+ * Gets a built-in function by OID
+ * @param {number} oid - Function OID
+ * @returns {BuiltinFunction|null} Function, or null if there is no built-in with that OID
+ */
+function getBuiltinFunction(oid) {
+  return FUNCTIONS_BY_OID.get(oid) || null;
+}
+
+/**
+ * Finds the built-in function a SQL call refers to
+ * @param {string} name - Function name
+ * @param {number} argCount - Number of arguments
+ * @returns {BuiltinFunction|null} Function, or null if none has that name and arity
+ */
+function findBuiltinFunction(name, argCount) {
+  return (
+    BUILTIN_FUNCTIONS.find(
+      builtin => builtin.name === name && builtin.argTypes.length === argCount
+    ) || null
+  );
+}
+
+/**
+ * Calls a built-in function
+ * The functions are strict, as in PostgreSQL: a NULL argument gives a NULL result
+ * without calling them.
+ * @param {BuiltinFunction} builtin - Function
+ * @param {Array<*>} args - Typed argument values
+ * @param {ConnectionState} connState - Connection state
+ * @returns {*} Result value, or null
+ */
+function callBuiltinFunction(builtin, args, connState) {
+  if (args.some(arg => arg === null)) {
+    return null;
+  }
+  return builtin.call(args, connState);
+}
+
+module.exports = {
+  BUILTIN_FUNCTIONS,
+  getBuiltinFunction,
+  findBuiltinFunction,
+  callBuiltinFunction,
+};
@@ -0,0 +1,1035 @@
+/**
+ * SQL Expression Evaluator
+ * Evaluates parsed expression trees against a row, with PostgreSQL NULL semantics
+ */
+
+/* global BigInt */
+
+const crypto = require('crypto');
+const { DATA_TYPES, ERROR_CODES, SERVER_VERSION_STRING } = require('../protocol/constants');
+const { ErrorFactory, createError } = require('../utils/errorHandler');
+const {
+  resolveType,
+  typeFromOID,
+  coerceValue,
+  normalizeInteger,
+  isInteger,
+  formatValue,
+  compareValues,
+  getDisplayName,
+  intervalToMilliseconds,
+} = require('./types');
+const { findBuiltinFunction, callBuiltinFunction } = require('./builtinFunctions');
+const { Numeric } = require('./numeric');
+const { Timestamp, microsecondsOf } = require('./timestamp');
+
+/**
+ * Aggregate function names
+ */
+const AGGREGATE_FUNCTIONS = new Set(['count', 'sum', 'avg', 'min', 'max', 'bool_and', 'bool_or']);
+
+/**
+ * Functions with effects beyond their result (session settings, response delay),
+ * which are not called while a statement is only being described
+ */
+const EFFECTFUL_FUNCTIONS = new Set(['set_config', 'pg_sleep', 'pg_sleep_for', 'pg_sleep_until']);
+
+const INTEGER_OIDS = [DATA_TYPES.INT2, DATA_TYPES.INT4, DATA_TYPES.INT8];
+const FLOAT_OIDS = [DATA_TYPES.FLOAT4, DATA_TYPES.FLOAT8];
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '<', '>', '<=', '>='];
+
+/**
+ * Evaluation context passed through expression evaluation
+ * @typedef {Object} EvaluationContext
+ * @property {Object} [row] - Current row values keyed by column name
+ * @property {Object} [columnTypes] - Resolved column types keyed by column name
+ * @property {Array<string>} [tableNames] - Names/aliases that qualify columns in scope
+ * @property {Array<Object>} [groupRows] - Rows of the current group, for aggregates
+ * @property {Array} [params] - Bound parameter values ($1 is params[0])
+ * @property {ConnectionState} [connState] - Connection state for session functions
+ * @property {Object} [sleep] - Accumulates time requested by pg_sleep() ({ms}); the
+ *   caller delays the response by it
+ * @property {boolean} [describing] - True when the statement only runs to be described;
+ *   functions that may have effects (set_config, pg_sleep, built-in functions) are not called
+ */
+
+/**
+ * Checks whether an expression tree contains an aggregate call
+ * @param {Object} node - Expression node
+ * @returns {boolean} True if an aggregate function is used
+ */
+function containsAggregate(node) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (node.type === 'function' && AGGREGATE_FUNCTIONS.has(node.name)) {
+    return true;
+  }
+  return Object.values(node).some(value =>
+    Array.isArray(value) ? value.some(containsAggregate) : containsAggregate(value)
+  );
+}
+
+/**
+ * Looks up a column reference in the evaluation context
+ * @param {Object} node - Column node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {string} Column key in the row
+ */
+function resolveColumnKey(node, context) {
+  const columnTypes = context.columnTypes || {};
+  if (node.table && context.tableNames && !context.tableNames.includes(node.table)) {
+    throw createError(
+      ERROR_CODES.UNDEFINED_TABLE,
+      `missing FROM-clause entry for table "${node.table}"`,
+      { position: node.position ? String(node.position) : undefined }
+    );
+  }
+  if (!Object.prototype.hasOwnProperty.call(columnTypes, node.name)) {
+    throw ErrorFactory.undefinedColumn(node.name, null, {
+      position: node.position ? String(node.position) : undefined,
+    });
+  }
+  return node.name;
+}
+
+/**
+ * Infers the result type of an expression
+ * @param {Object} node - Expression node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {ResolvedType} Result type
+ */
+function inferType(node, context = {}) {
+  switch (node.type) {
+    case 'literal':
+      if (node.literalType === 'integer') {
+        return typeFromOID(node.value > 2147483647 ? DATA_TYPES.INT8 : DATA_TYPES.INT4);
+      }
+      if (node.literalType === 'numeric') return typeFromOID(DATA_TYPES.NUMERIC);
+      if (node.literalType === 'boolean') return typeFromOID(DATA_TYPES.BOOL);
+      return typeFromOID(DATA_TYPES.TEXT);
+
+    case 'column':
+      return context.columnTypes[resolveColumnKey(node, context)];
+
+    case 'param': {
+      const oid = context.paramTypes && context.paramTypes[node.index - 1];
+      return typeFromOID(oid || DATA_TYPES.TEXT);
+    }
+
+    case 'cast':
+      return resolveCastType(node.typeName);
+
+    case 'unary':
+      return node.operator === 'NOT'
+        ? typeFromOID(DATA_TYPES.BOOL)
+        : inferType(node.operand, context);
+
+    case 'binary':
+      return inferBinaryType(node, context);
+
+    case 'isNull':
+    case 'isBoolean':
+    case 'distinctFrom':
+    case 'like':
+    case 'in':
+    case 'between':
+      return typeFromOID(DATA_TYPES.BOOL);
+
+    case 'array': {
+      if (node.elements.length === 0) return typeFromOID(DATA_TYPES.TEXT_ARRAY);
+      const elementType = inferType(node.elements[0], context);
+      if (elementType.isArray) return elementType;
+      const { getArrayTypeOID } = require('../protocol/utils');
+      return typeFromOID(getArrayTypeOID(elementType.oid) || DATA_TYPES.TEXT_ARRAY);
+    }
+
+    case 'case': {
+      const first = node.whens.find(when => when.result.literalType !== 'null');
+      return first ? inferType(first.result, context) : typeFromOID(DATA_TYPES.TEXT);
+    }
+
+    case 'function':
+      return inferFunctionType(node, context);
+
+    default:
+      return typeFromOID(DATA_TYPES.TEXT);
+  }
+}
+
+/**
+ * Resolves the target type of a cast, rejecting unknown type names
+ * @param {Object} typeName - Parsed type name
+ * @returns {ResolvedType} Resolved type
+ */
+function resolveCastType(typeName) {
+  const type = resolveType(typeName);
+  if (!type) {
+    throw createError(ERROR_CODES.UNDEFINED_OBJECT, `type "${typeName.name}" does not exist`, {
+      position: typeName.position ? String(typeName.position) : undefined,
+    });
+  }
+  return type;
+}
+
+/**
+ * Infers the result type of a binary operator expression
+ * @param {Object} node - Binary node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {ResolvedType} Result type
+ */
+function inferBinaryType(node, context) {
+  if (['AND', 'OR', ...COMPARISON_OPERATORS].includes(node.operator)) {
+    return typeFromOID(DATA_TYPES.BOOL);
+  }
+  if (node.operator === '||') {
+    return typeFromOID(DATA_TYPES.TEXT);
+  }
+
+  const left = inferType(node.left, context).oid;
+  const right = inferType(node.right, context).oid;
+  if (FLOAT_OIDS.includes(left) || FLOAT_OIDS.includes(right)) {
+    return typeFromOID(DATA_TYPES.FLOAT8);
+  }
+  if (left === DATA_TYPES.NUMERIC || right === DATA_TYPES.NUMERIC || node.operator === '^') {
+    return typeFromOID(node.operator === '^' ? DATA_TYPES.FLOAT8 : DATA_TYPES.NUMERIC);
+  }
+  if (left === DATA_TYPES.INT8 || right === DATA_TYPES.INT8) {
+    return typeFromOID(DATA_TYPES.INT8);
+  }
+  if (INTEGER_OIDS.includes(left) && INTEGER_OIDS.includes(right)) {
+    return typeFromOID(DATA_TYPES.INT4);
+  }
+  if (
+    [DATA_TYPES.TIMESTAMP, DATA_TYPES.TIMESTAMPTZ, DATA_TYPES.DATE].includes(left) &&
+    INTEGER_OIDS.includes(right)
+  ) {
+    return typeFromOID(left);
+  }
+  return typeFromOID(INTEGER_OIDS.includes(left) ? right : left);
+}
+
+/**
+ * Infers the result type of a function call
+ * @param {Object} node - Function node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {ResolvedType} Result type
+ */
+function inferFunctionType(node, context) {
+  const argType = () =>
+    node.args.length > 0 ? inferType(node.args[0], context) : typeFromOID(DATA_TYPES.TEXT);
+
+  switch (node.name) {
+    case 'count':
+      return typeFromOID(DATA_TYPES.INT8);
+    case 'sum': {
+      const oid = argType().oid;
+      if (oid === DATA_TYPES.INT2 || oid === DATA_TYPES.INT4) return typeFromOID(DATA_TYPES.INT8);
+      if (FLOAT_OIDS.includes(oid)) return typeFromOID(DATA_TYPES.FLOAT8);
+      return typeFromOID(DATA_TYPES.NUMERIC);
+    }
+    case 'avg':
+      return typeFromOID(
+        FLOAT_OIDS.includes(argType().oid) ? DATA_TYPES.FLOAT8 : DATA_TYPES.NUMERIC
+      );
+    case 'min':
+    case 'max':
+    case 'abs':
+    case 'coalesce':
+    case 'nullif':
+    case 'greatest':
+    case 'least':
+      return argType();
+    case 'bool_and':
+    case 'bool_or':
+      return typeFromOID(DATA_TYPES.BOOL);
+    case 'length':
+    case 'char_length':
+    case 'octet_length':
+      return typeFromOID(DATA_TYPES.INT4);
+    case 'round':
+    case 'trunc':
+    case 'floor':
+    case 'ceil':
+    case 'ceiling':
+      return FLOAT_OIDS.includes(argType().oid)
+        ? typeFromOID(DATA_TYPES.FLOAT8)
+        : typeFromOID(DATA_TYPES.NUMERIC);
+    case 'random':
+      return typeFromOID(DATA_TYPES.FLOAT8);
+    case 'now':
+    case 'current_timestamp':
+    case 'localtimestamp':
+      return typeFromOID(
+        node.name === 'localtimestamp' ? DATA_TYPES.TIMESTAMP : DATA_TYPES.TIMESTAMPTZ
+      );
+    case 'current_date':
+      return typeFromOID(DATA_TYPES.DATE);
+    case 'current_user':
+    case 'session_user':
+    case 'user':
+    case 'current_schema':
+    case 'current_catalog':
+    case 'current_database':
+      return typeFromOID(DATA_TYPES.NAME);
+    case 'gen_random_uuid':
+      return typeFromOID(DATA_TYPES.UUID);
+    case 'pg_sleep':
+    case 'pg_sleep_for':
+    case 'pg_sleep_until':
+      return typeFromOID(DATA_TYPES.VOID);
+    default: {
+      const builtin = findBuiltinFunction(node.name, node.args.length);
+      return typeFromOID(builtin ? builtin.returnType : DATA_TYPES.TEXT);
+    }
+  }
+}
+
+/**
+ * Evaluates an expression
+ * @param {Object} node - Expression node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result value (null for SQL NULL)
+ */
+function evaluateExpression(node, context = {}) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'column':
+      return context.row[resolveColumnKey(node, context)];
+
+    case 'param': {
+      const params = context.params || [];
+      if (node.index < 1 || node.index > params.length) {
+        throw createError(ERROR_CODES.UNDEFINED_PARAMETER, `there is no parameter $${node.index}`, {
+          position: node.position ? String(node.position) : undefined,
+        });
+      }
+      return params[node.index - 1];
+    }
+
+    case 'cast':
+      return coerceValue(
+        evaluateExpression(node.expression, context),
+        resolveCastType(node.typeName)
+      );
+
+    case 'unary':
+      return evaluateUnary(node, context);
+
+    case 'binary':
+      return evaluateBinary(node, context);
+
+    case 'isNull': {
+      const isNull = evaluateExpression(node.expression, context) === null;
+      return node.negated ? !isNull : isNull;
+    }
+
+    case 'isBoolean': {
+      const matches = evaluateExpression(node.expression, context) === node.value;
+      return node.negated ? !matches : matches;
+    }
+
+    case 'distinctFrom': {
+      const left = evaluateExpression(node.left, context);
+      const right = evaluateExpression(node.right, context);
+      const distinct =
+        left === null || right === null ? left !== right : compareValues(left, right) !== 0;
+      return node.negated ? !distinct : distinct;
+    }
+
+    case 'like':
+      return evaluateLike(node, context);
+
+    case 'in':
+      return evaluateIn(node, context);
+
+    case 'between': {
+      const value = evaluateExpression(node.expression, context);
+      const low = evaluateExpression(node.low, context);
+      const high = evaluateExpression(node.high, context);
+      if (value === null || low === null || high === null) return null;
+      const result = compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+      return node.negated ? !result : result;
+    }
+
+    case 'array':
+      return node.elements.map(element => evaluateExpression(element, context));
+
+    case 'case':
+      return evaluateCase(node, context);
+
+    case 'function':
+      return evaluateFunction(node, context);
+
+    default:
+      throw ErrorFactory.featureNotSupported(`expression type "${node.type}"`);
+  }
+}
+
+/**
+ * Evaluates a unary operator
+ * @param {Object} node - Unary node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result value
+ */
+function evaluateUnary(node, context) {
+  const operand = evaluateExpression(node.operand, context);
+  if (operand === null) return null;
+  if (node.operator === 'NOT') return !toBoolean(operand);
+  if (operand instanceof Numeric) {
+    return node.operator === '-' ? operand.negate() : operand;
+  }
+  if (typeof operand === 'bigint') {
+    const type = inferType(node.operand, context);
+    return node.operator === '-' ? checkIntegerRange(normalizeInteger(-operand), type) : operand;
+  }
+  if (node.operator === '-') return -Number(operand);
+  return Number(operand);
+}
+
+/**
+ * Evaluates a binary operator with three-valued logic for AND/OR
+ * @param {Object} node - Binary node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result value
+ */
+function evaluateBinary(node, context) {
+  if (node.operator === 'AND' || node.operator === 'OR') {
+    const left = evaluateExpression(node.left, context);
+    const leftBool = left === null ? null : toBoolean(left);
+    if (node.operator === 'AND' && leftBool === false) return false;
+    if (node.operator === 'OR' && leftBool === true) return true;
+    const right = evaluateExpression(node.right, context);
+    const rightBool = right === null ? null : toBoolean(right);
+    if (node.operator === 'AND') {
+      if (rightBool === false) return false;
+      return leftBool === null || rightBool === null ? null : true;
+    }
+    if (rightBool === true) return true;
+    return leftBool === null || rightBool === null ? null : false;
+  }
+
+  const left = evaluateExpression(node.left, context);
+  const right = evaluateExpression(node.right, context);
+  if (left === null || right === null) {
+    return null;
+  }
+
+  if (COMPARISON_OPERATORS.includes(node.operator)) {
+    const result = compareValues(left, right);
+    switch (node.operator) {
+      case '=':
+        return result === 0;
+      case '<>':
+      case '!=':
+        return result !== 0;
+      case '<':
+        return result < 0;
+      case '>':
+        return result > 0;
+      case '<=':
+        return result <= 0;
+      default:
+        return result >= 0;
+    }
+  }
+
+  if (node.operator === '||') {
+    return stringify(left) + stringify(right);
+  }
+
+  const resultType = inferBinaryType(node, context);
+  if (left instanceof Date && typeof right === 'number') {
+    // timestamp +/- integer days
+    const days = node.operator === '-' ? -right : right;
+    return new Timestamp(left.getTime() + days * 86400000, microsecondsOf(left));
+  }
+  if (resultType.oid === DATA_TYPES.INT8 && isInteger(left) && isInteger(right)) {
+    return evaluateInt8(node, BigInt(left), BigInt(right), resultType);
+  }
+  if (resultType.oid === DATA_TYPES.NUMERIC && Numeric.from(left) && Numeric.from(right)) {
+    return evaluateNumeric(node, Numeric.from(left), Numeric.from(right));
+  }
+  const a = Number(left);
+  const b = Number(right);
+  const integerResult = INTEGER_OIDS.includes(resultType.oid);
+
+  switch (node.operator) {
+    case '+':
+      return checkRange(a + b, resultType, [a, b]);
+    case '-':
+      return checkRange(a - b, resultType, [a, b]);
+    case '*':
+      return checkRange(a * b, resultType, [a, b], true);
+    case '/':
+    case '%':
+      if (b === 0) {
+        throw createError(ERROR_CODES.DIVISION_BY_ZERO, 'division by zero');
+      }
+      if (node.operator === '%') return a % b;
+      return integerResult ? Math.trunc(a / b) : checkRange(a / b, resultType, [a, b], true);
+    case '^':
+      return Math.pow(a, b);
+    default:
+      throw ErrorFactory.undefinedFunction(`operator ${node.operator}`, null, {
+        position: node.position ? String(node.position) : undefined,
+      });
+  }
+}
+
+/**
+ * Evaluates an arithmetic operator on int8 values, exactly
+ * @param {Object} node - Binary node
+ * @param {bigint} a - Left operand
+ * @param {bigint} b - Right operand
+ * @param {ResolvedType} type - Result type
+ * @returns {number|bigint} Result value, a BigInt only beyond 2^53
+ */
+function evaluateInt8(node, a, b, type) {
+  switch (node.operator) {
+    case '+':
+      return checkIntegerRange(normalizeInteger(a + b), type);
+    case '-':
+      return checkIntegerRange(normalizeInteger(a - b), type);
+    case '*':
+      return checkIntegerRange(normalizeInteger(a * b), type);
+    case '/':
+    case '%':
+      if (b === 0n) {
+        throw createError(ERROR_CODES.DIVISION_BY_ZERO, 'division by zero');
+      }
+      // BigInt division truncates toward zero, as PostgreSQL's does
+      return checkIntegerRange(normalizeInteger(node.operator === '/' ? a / b : a % b), type);
+    default:
+      throw ErrorFactory.undefinedFunction(`operator ${node.operator}`, null, {
+        position: node.position ? String(node.position) : undefined,
+      });
+  }
+}
+
+/**
+ * Evaluates an arithmetic operator on numeric values, exactly
+ * @param {Object} node - Binary node
+ * @param {Numeric} a - Left operand
+ * @param {Numeric} b - Right operand
+ * @returns {Numeric} Result value
+ */
+function evaluateNumeric(node, a, b) {
+  switch (node.operator) {
+    case '+':
+      return a.add(b);
+    case '-':
+      return a.subtract(b);
+    case '*':
+      return a.multiply(b);
+    case '/':
+    case '%':
+      if (!b.isNaN() && b.digits === 0n) {
+        throw createError(ERROR_CODES.DIVISION_BY_ZERO, 'division by zero');
+      }
+      return node.operator === '/' ? a.divide(b) : a.modulo(b);
+    default:
+      throw ErrorFactory.undefinedFunction(`operator ${node.operator}`, null, {
+        position: node.position ? String(node.position) : undefined,
+      });
+  }
+}
+
+/**
+ * Raises 22003 when arithmetic leaves the range of its result type: integers past
+ * their bounds, or doubles that overflow to infinity (or underflow to zero, for
+ * multiplication and division) from finite operands
+ * @param {number} value - Computed value
+ * @param {ResolvedType} type - Result type
+ * @param {Array<number>} operands - Operands the value was computed from
+ * @param {boolean} [canUnderflow=false] - Whether a zero from non-zero operands is an underflow
+ * @returns {number} The value if in range
+ */
+function checkRange(value, type, operands, canUnderflow = false) {
+  if (type.oid !== DATA_TYPES.FLOAT8) {
+    return checkIntegerRange(value, type);
+  }
+  if (!isFinite(value) && operands.every(isFinite)) {
+    throw createError(ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE, 'value out of range: overflow');
+  }
+  if (canUnderflow && value === 0 && operands.every(op => op !== 0 && isFinite(op))) {
+    throw createError(ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE, 'value out of range: underflow');
+  }
+  return value;
+}
+
+/**
+ * Raises 22003 when integer arithmetic overflows its result type
+ * @param {number|bigint} value - Computed value
+ * @param {ResolvedType} type - Result type
+ * @returns {number|bigint} The value if in range
+ */
+function checkIntegerRange(value, type) {
+  const ranges = {
+    [DATA_TYPES.INT2]: [-32768, 32767],
+    [DATA_TYPES.INT4]: [-2147483648, 2147483647],
+    [DATA_TYPES.INT8]: [-9223372036854775808n, 9223372036854775807n],
+  };
+  const range = ranges[type.oid];
+  if (range && (value < range[0] || value > range[1])) {
+    throw createError(
+      ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE,
+      `${getDisplayName(type)} out of range`
+    );
+  }
+  return value;
+}
+
+/**
+ * Evaluates LIKE / ILIKE
+ * @param {Object} node - Like node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {boolean|null} Match result
+ */
+function evaluateLike(node, context) {
+  const value = evaluateExpression(node.expression, context);
+  const pattern = evaluateExpression(node.pattern, context);
+  if (value === null || pattern === null) return null;
+
+  let regex = '';
+  const text = String(pattern);
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && i + 1 < text.length) {
+      regex += text[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '%') {
+      regex += '[\\s\\S]*';
+    } else if (ch === '_') {
+      regex += '[\\s\\S]';
+    } else {
+      regex += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const matches = new RegExp(`^${regex}$`, node.caseInsensitive ? 'i' : '').test(String(value));
+  return node.negated ? !matches : matches;
+}
+
+/**
+ * Evaluates IN (list) with NULL semantics
+ * @param {Object} node - In node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {boolean|null} Membership result
+ */
+function evaluateIn(node, context) {
+  const value = evaluateExpression(node.expression, context);
+  if (value === null) return null;
+  let sawNull = false;
+  for (const item of node.list) {
+    const candidate = evaluateExpression(item, context);
+    if (candidate === null) {
+      sawNull = true;
+    } else if (compareValues(value, candidate) === 0) {
+      return !node.negated;
+    }
+  }
+  return sawNull ? null : node.negated;
+}
+
+/**
+ * Evaluates a CASE expression
+ * @param {Object} node - Case node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result value
+ */
+function evaluateCase(node, context) {
+  const operand = node.operand ? evaluateExpression(node.operand, context) : undefined;
+  for (const when of node.whens) {
+    const condition = evaluateExpression(when.condition, context);
+    const matched =
+      node.operand !== null
+        ? operand !== null && condition !== null && compareValues(operand, condition) === 0
+        : condition !== null && toBoolean(condition);
+    if (matched) {
+      return evaluateExpression(when.result, context);
+    }
+  }
+  return node.elseResult ? evaluateExpression(node.elseResult, context) : null;
+}
+
+/**
+ * Evaluates an aggregate over the rows of the current group
+ * @param {Object} node - Function node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Aggregate result
+ */
+function evaluateAggregate(node, context) {
+  const rows = context.groupRows || [];
+  if (node.star) {
+    return rows.length;
+  }
+
+  let values = rows
+    .map(row => evaluateExpression(node.args[0], { ...context, row, groupRows: null }))
+    .filter(value => value !== null);
+  if (node.distinct) {
+    values = values.filter(
+      (value, index) => values.findIndex(other => compareValues(value, other) === 0) === index
+    );
+  }
+
+  switch (node.name) {
+    case 'count':
+      return values.length;
+    case 'sum':
+    case 'avg':
+      return values.length === 0 ? null : evaluateSum(node, values, context);
+    case 'min':
+    case 'max': {
+      if (values.length === 0) return null;
+      const direction = node.name === 'min' ? -1 : 1;
+      return values.reduce((best, value) =>
+        compareValues(value, best) * direction > 0 ? value : best
+      );
+    }
+    case 'bool_and':
+      return values.length === 0 ? null : values.every(toBoolean);
+    default:
+      return values.length === 0 ? null : values.some(toBoolean);
+  }
+}
+
+/**
+ * Computes sum() or avg() of non-null values in the aggregate's result type:
+ * exactly for int8 and numeric results, in doubles for float results
+ * @param {Object} node - Function node
+ * @param {Array<*>} values - Values, at least one
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {number|bigint|Numeric} Sum or average
+ */
+function evaluateSum(node, values, context) {
+  const type = inferFunctionType(node, context).oid;
+  if (type === DATA_TYPES.INT8 && values.every(isInteger)) {
+    return normalizeInteger(values.reduce((total, value) => total + BigInt(value), 0n));
+  }
+  const numerics = values.map(value => Numeric.from(value));
+  if (type !== DATA_TYPES.NUMERIC || numerics.includes(null)) {
+    const total = values.reduce((sum, value) => sum + Number(value), 0);
+    return node.name === 'avg' ? total / values.length : total;
+  }
+  const total = numerics.reduce((sum, value) => sum.add(value));
+  return node.name === 'avg' ? total.divide(new Numeric(BigInt(values.length))) : total;
+}
+
+/**
+ * Applies a rounding function to a number, exactly for numeric values
+ * @param {string} name - Function name (abs, round, trunc, floor, ceil or ceiling)
+ * @param {*} value - Argument
+ * @param {*} [scale] - Decimal places for round() and trunc()
+ * @returns {number|Numeric} Result value
+ */
+function roundNumber(name, value, scale) {
+  const places = scale === undefined || scale === null ? 0 : Number(scale);
+  if (value instanceof Numeric) {
+    switch (name) {
+      case 'abs':
+        return value.abs();
+      case 'round':
+        return value.round(places);
+      case 'trunc':
+        return value.trunc(places);
+      case 'floor':
+        return value.floor();
+      default:
+        return value.ceil();
+    }
+  }
+  if (typeof value === 'bigint') {
+    return name === 'abs' && value < 0n ? -value : value;
+  }
+  const number = Number(value);
+  const factor = Math.pow(10, places);
+  switch (name) {
+    case 'abs':
+      return Math.abs(number);
+    case 'round':
+      return Math.round(number * factor) / factor;
+    case 'trunc':
+      return Math.trunc(number * factor) / factor;
+    case 'floor':
+      return Math.floor(number);
+    default:
+      return Math.ceil(number);
+  }
+}
+
+/**
+ * Evaluates a function call
+ * @param {Object} node - Function node
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result value
+ */
+function evaluateFunction(node, context) {
+  if (AGGREGATE_FUNCTIONS.has(node.name)) {
+    if (!context.groupRows) {
+      throw createError(
+        ERROR_CODES.GROUPING_ERROR,
+        'aggregate functions are not allowed in this context',
+        { position: node.position ? String(node.position) : undefined }
+      );
+    }
+    return evaluateAggregate(node, context);
+  }
+
+  const args = node.args.map(arg => evaluateExpression(arg, context));
+  const connState = context.connState;
+
+  if (context.describing && EFFECTFUL_FUNCTIONS.has(node.name)) {
+    return null;
+  }
+
+  switch (node.name) {
+    case 'lower':
+      return args[0] === null ? null : stringify(args[0]).toLowerCase();
+    case 'upper':
+      return args[0] === null ? null : stringify(args[0]).toUpperCase();
+    case 'length':
+    case 'char_length':
+      return args[0] === null ? null : stringify(args[0]).length;
+    case 'octet_length':
+      return args[0] === null ? null : Buffer.byteLength(stringify(args[0]));
+    case 'trim':
+      return args[0] === null ? null : stringify(args[0]).trim();
+    case 'concat':
+      return args
+        .filter(arg => arg !== null)
+        .map(stringify)
+        .join('');
+    case 'coalesce':
+      return args.find(arg => arg !== null) ?? null;
+    case 'nullif':
+      return args[0] !== null && args[1] !== null && compareValues(args[0], args[1]) === 0
+        ? null
+        : args[0];
+    case 'greatest':
+    case 'least': {
+      const present = args.filter(arg => arg !== null);
+      if (present.length === 0) return null;
+      const direction = node.name === 'least' ? -1 : 1;
+      return present.reduce((best, value) =>
+        compareValues(value, best) * direction > 0 ? value : best
+      );
+    }
+    case 'abs':
+    case 'round':
+    case 'trunc':
+    case 'floor':
+    case 'ceil':
+    case 'ceiling':
+      return args[0] === null ? null : roundNumber(node.name, args[0], args[1]);
+    case 'random':
+      return Math.random();
+    case 'now':
+    case 'current_timestamp':
+    case 'localtimestamp':
+      return new Date();
+    case 'current_date':
+      return new Date().toISOString().slice(0, 10);
+    case 'current_user':
+    case 'session_user':
+    case 'user':
+      return connState ? connState.getCurrentUser() : 'postgres';
+    case 'current_database':
+    case 'current_catalog':
+      return connState ? connState.getCurrentDatabase() : 'postgres';
+    case 'current_schema':
+      return 'public';
+    case 'gen_random_uuid':
+      return crypto.randomUUID();
+    case 'version':
+      return SERVER_VERSION_STRING;
+    case 'current_setting':
+      return currentSetting(args, connState);
+    case 'set_config':
+      return setConfig(args, connState);
+    case 'pg_sleep':
+    case 'pg_sleep_for':
+    case 'pg_sleep_until':
+      return requestSleep(node, args[0], context);
+    default: {
+      const builtin = findBuiltinFunction(node.name, args.length);
+      if (builtin) {
+        return callBuiltin(builtin, args, context);
+      }
+      throw ErrorFactory.undefinedFunction(
+        node.name,
+        node.args.map(arg => getDisplayName(inferType(arg, context))),
+        { position: node.position ? String(node.position) : undefined }
+      );
+    }
+  }
+}
+
+/**
+ * Calls a built-in function (see builtinFunctions.js) from SQL
+ * @param {BuiltinFunction} builtin - Function
+ * @param {Array<*>} args - Evaluated arguments
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result value, or null while the statement is only being described
+ */
+function callBuiltin(builtin, args, context) {
+  if (context.describing) {
+    return null;
+  }
+  try {
+    // The built-in functions work on numbers; int8 arguments beyond 2^53 are past
+    // every limit they check anyway
+    const typed = args
+      .map((arg, i) => coerceValue(arg, typeFromOID(builtin.argTypes[i])))
+      .map(arg => (typeof arg === 'bigint' || arg instanceof Numeric ? Number(arg) : arg));
+    return callBuiltinFunction(builtin, typed, context.connState);
+  } catch (error) {
+    throw modelledError(error);
+  }
+}
+
+/**
+ * Gets the settings a session function works on
+ * @param {ConnectionState} [connState] - Connection state
+ * @returns {Object} Object with getSetting and setSetting, like ConnectionState
+ */
+function sessionSettings(connState) {
+  if (connState) {
+    return connState;
+  }
+  // Evaluating without a connection, e.g. in tests: use the server defaults
+  const { SessionSettings } = require('../connection/sessionSettings');
+  const settings = new SessionSettings();
+  return {
+    getSetting: name => settings.show(name),
+    setSetting: (name, value, options) => settings.set(name, value, options),
+  };
+}
+
+/**
+ * Implements current_setting(name [, missing_ok])
+ * @param {Array<*>} args - Evaluated arguments
+ * @param {ConnectionState} [connState] - Connection state
+ * @returns {string|null} Setting value, or null if missing_ok is true and there is no such setting
+ */
+function currentSetting(args, connState) {
+  if (args[0] === null) {
+    return null;
+  }
+  const missingOk = args[1] !== undefined && args[1] !== null && toBoolean(args[1]);
+  try {
+    return sessionSettings(connState).getSetting(stringify(args[0]));
+  } catch (error) {
+    if (missingOk && error.code === ERROR_CODES.UNDEFINED_OBJECT) {
+      return null;
+    }
+    throw modelledError(error);
+  }
+}
+
+/**
+ * Implements set_config(name, value, is_local)
+ * A NULL value resets the setting, as in PostgreSQL.
+ * @param {Array<*>} args - Evaluated arguments
+ * @param {ConnectionState} [connState] - Connection state
+ * @returns {string} New value as SHOW displays it
+ */
+function setConfig(args, connState) {
+  if (args[0] === null) {
+    throw createError(ERROR_CODES.NULL_VALUE_NOT_ALLOWED, 'SET requires parameter name');
+  }
+  const local = args[2] !== undefined && args[2] !== null && toBoolean(args[2]);
+  try {
+    return sessionSettings(connState).setSetting(
+      stringify(args[0]),
+      args[1] === null ? null : stringify(args[1]),
+      { local }
+    );
+  } catch (error) {
+    throw modelledError(error);
+  }
+}
+
+/**
+ * Marks an error as a real result of a modelled function
+ * An unknown setting raises 42704 like an unknown type does, but must not make the
+ * statement fall back to the mock handlers (see executeSelectWithoutFrom).
+ * @param {PostgresError} error - Error to mark
+ * @returns {PostgresError} The same error
+ */
+function modelledError(error) {
+  error.modelled = true;
+  return error;
+}
+
+/**
+ * Adds the time a pg_sleep function asks for to the context's sleep total
+ * Nothing blocks here; executeQuery() holds back the response instead.
+ * @param {Object} node - Function node
+ * @param {*} arg - Evaluated argument (seconds, interval text or timestamp)
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {string|null} Void result ('' as sent by PostgreSQL), or null for a NULL argument
+ */
+function requestSleep(node, arg, context) {
+  if (arg === null) {
+    return null;
+  }
+
+  let ms;
+  if (node.name === 'pg_sleep') {
+    ms = Number(coerceValue(arg, typeFromOID(DATA_TYPES.FLOAT8))) * 1000;
+  } else if (node.name === 'pg_sleep_for') {
+    ms = intervalToMilliseconds(arg);
+  } else {
+    ms = coerceValue(arg, typeFromOID(DATA_TYPES.TIMESTAMPTZ)).getTime() - Date.now();
+  }
+
+  if (context.sleep && ms > 0) {
+    context.sleep.ms += ms;
+  }
+  return '';
+}
+
+/**
+ * Converts a value to boolean for use as a condition
+ * @param {*} value - Value to convert
+ * @returns {boolean} Boolean value
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return coerceValue(value, typeFromOID(DATA_TYPES.BOOL));
+}
+
+/**
+ * Converts a value to its text form for string operators
+ * @param {*} value - Value to convert
+ * @returns {string} Text value
+ */
+function stringify(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (value instanceof Date) return formatValue(value, typeFromOID(DATA_TYPES.TIMESTAMPTZ));
+  if (Buffer.isBuffer(value)) return formatValue(value, typeFromOID(DATA_TYPES.BYTEA));
+  return String(value);
+}
+
+/**
+ * Evaluates a WHERE condition; NULL counts as false
+ * @param {Object|null} node - Condition expression (null means no filter)
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {boolean} True if the row qualifies
+ */
+function evaluateCondition(node, context) {
+  if (!node) return true;
+  const result = evaluateExpression(node, context);
+  return result !== null && toBoolean(result);
+}
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  containsAggregate,
+  inferType,
+  evaluateExpression,
+  evaluateCondition,
+};
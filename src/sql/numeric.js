@@ -0,0 +1,357 @@
+/**
+ * Numeric Values
+ * Exact decimal values for the numeric type, with PostgreSQL's display scale and
+ * result-scale rules
+ */
+
+/* global BigInt */
+
+/**
+ * Fewest significant digits a division result gets (NUMERIC_MIN_SIG_DIGITS)
+ */
+const MIN_SIG_DIGITS = 16;
+
+/**
+ * Largest display scale a division result gets (NUMERIC_MAX_DISPLAY_SCALE)
+ */
+const MAX_DISPLAY_SCALE = 1000;
+
+const NUMERIC_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Computes a power of ten
+ * @param {number} exponent - Non-negative exponent
+ * @returns {bigint} 10^exponent
+ */
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Exact decimal number: an integer of digits and the number of them after the
+ * decimal point, so 123.4500 is 1234500 with scale 4
+ *
+ * The scale is part of the value, as numeric's display scale is in PostgreSQL:
+ * trailing zeros are kept on output. NaN has no digits. Values are immutable.
+ */
+class Numeric {
+  /**
+   * Creates a numeric value
+   * @param {bigint|null} digits - Unscaled digits, or null for NaN
+   * @param {number} scale - Digits after the decimal point
+   */
+  constructor(digits, scale = 0) {
+    this.digits = digits;
+    this.scale = digits === null ? 0 : scale;
+  }
+
+  /**
+   * Parses numeric text, with an optional exponent ('1.50', '-.5', '1e-3', 'NaN')
+   * @param {string} text - Numeric text
+   * @returns {Numeric|null} Value, or null if the text is not a number
+   */
+  static parse(text) {
+    const trimmed = String(text).trim();
+    if (trimmed.toLowerCase() === 'nan') {
+      return new Numeric(null);
+    }
+    const match = NUMERIC_PATTERN.exec(trimmed);
+    if (!match || (!match[2] && !match[3])) {
+      return null;
+    }
+    const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+    let digits = BigInt(`${integer}${fraction}` || '0');
+    let scale = fraction.length - Number(exponent);
+    if (scale < 0) {
+      digits *= pow10(-scale);
+      scale = 0;
+    }
+    return new Numeric(sign === '-' ? -digits : digits, scale);
+  }
+
+  /**
+   * Converts a number, BigInt, numeric text or Numeric to a Numeric
+   * Doubles keep 15 significant digits, as PostgreSQL's float8-to-numeric cast does.
+   * @param {*} value - Value
+   * @returns {Numeric|null} Value, or null if it is not a number
+   */
+  static from(value) {
+    if (value instanceof Numeric) {
+      return value;
+    }
+    if (typeof value === 'bigint') {
+      return new Numeric(value);
+    }
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) {
+        return new Numeric(null);
+      }
+      if (!isFinite(value)) {
+        return null;
+      }
+      if (Number.isSafeInteger(value)) {
+        return new Numeric(BigInt(value));
+      }
+      return Numeric.parse(Number(value.toPrecision(15)).toString());
+    }
+    return Numeric.parse(value);
+  }
+
+  /**
+   * Checks whether the value is NaN
+   * @returns {boolean} True for NaN
+   */
+  isNaN() {
+    return this.digits === null;
+  }
+
+  /**
+   * Rescales the digits to a larger scale
+   * @param {number} scale - Target scale, at least the current one
+   * @returns {bigint} Digits at that scale
+   * @private
+   */
+  digitsAt(scale) {
+    return this.digits * pow10(scale - this.scale);
+  }
+
+  /**
+   * Adds a value
+   * @param {Numeric} other - Addend
+   * @returns {Numeric} Sum, with the larger scale of the two
+   */
+  add(other) {
+    if (this.isNaN() || other.isNaN()) return new Numeric(null);
+    const scale = Math.max(this.scale, other.scale);
+    return new Numeric(this.digitsAt(scale) + other.digitsAt(scale), scale);
+  }
+
+  /**
+   * Subtracts a value
+   * @param {Numeric} other - Subtrahend
+   * @returns {Numeric} Difference, with the larger scale of the two
+   */
+  subtract(other) {
+    return this.add(other.negate());
+  }
+
+  /**
+   * Multiplies by a value
+   * @param {Numeric} other - Multiplier
+   * @returns {Numeric} Product, with the sum of the two scales
+   */
+  multiply(other) {
+    if (this.isNaN() || other.isNaN()) return new Numeric(null);
+    return new Numeric(this.digits * other.digits, this.scale + other.scale);
+  }
+
+  /**
+   * Divides by a value, to at least 16 significant digits as PostgreSQL's
+   * select_div_scale() chooses
+   * @param {Numeric} other - Divisor, not zero
+   * @returns {Numeric} Rounded quotient
+   */
+  divide(other) {
+    if (this.isNaN() || other.isNaN()) return new Numeric(null);
+    const [weight1, first1] = this.leadingGroup();
+    const [weight2, first2] = other.leadingGroup();
+    let quotientWeight = weight1 - weight2;
+    if (first1 <= first2) {
+      quotientWeight--;
+    }
+    const scale = Math.min(
+      Math.max(MIN_SIG_DIGITS - quotientWeight * 4, this.scale, other.scale, 0),
+      MAX_DISPLAY_SCALE
+    );
+    return divideRounded(
+      this.digits * pow10(scale + other.scale - this.scale),
+      other.digits,
+      scale
+    );
+  }
+
+  /**
+   * Computes the remainder of a truncating division, as numeric's % does
+   * @param {Numeric} other - Divisor, not zero
+   * @returns {Numeric} Remainder, with the larger scale of the two
+   */
+  modulo(other) {
+    if (this.isNaN() || other.isNaN()) return new Numeric(null);
+    const scale = Math.max(this.scale, other.scale);
+    return new Numeric(this.digitsAt(scale) % other.digitsAt(scale), scale);
+  }
+
+  /**
+   * Negates the value
+   * @returns {Numeric} Negated value
+   */
+  negate() {
+    return this.isNaN() ? this : new Numeric(-this.digits, this.scale);
+  }
+
+  /**
+   * Gets the absolute value
+   * @returns {Numeric} Absolute value
+   */
+  abs() {
+    return this.isNaN() || this.digits >= 0n ? this : this.negate();
+  }
+
+  /**
+   * Rounds to a scale, halves away from zero as numeric's round() does; a negative
+   * scale rounds to tens, hundreds, ...
+   * @param {number} scale - Digits to keep after the decimal point
+   * @returns {Numeric} Rounded value with that scale, or 0 when it is negative
+   */
+  round(scale = 0) {
+    return this.rescale(scale, divideRounded);
+  }
+
+  /**
+   * Truncates toward zero to a scale; a negative scale truncates to tens, hundreds, ...
+   * @param {number} scale - Digits to keep after the decimal point
+   * @returns {Numeric} Truncated value with that scale, or 0 when it is negative
+   */
+  trunc(scale = 0) {
+    return this.rescale(
+      scale,
+      (digits, divisor, newScale) => new Numeric(digits / divisor, newScale)
+    );
+  }
+
+  /**
+   * Changes the scale, dropping digits with the given division
+   * @param {number} scale - Target scale
+   * @param {Function} divide - (digits, divisor, scale) => Numeric
+   * @returns {Numeric} Rescaled value
+   * @private
+   */
+  rescale(scale, divide) {
+    if (this.isNaN()) {
+      return this;
+    }
+    if (scale >= this.scale) {
+      return new Numeric(this.digitsAt(scale), scale);
+    }
+    const dropped = divide(this.digits, pow10(this.scale - scale), Math.max(scale, 0));
+    return scale < 0 ? new Numeric(dropped.digits * pow10(-scale)) : dropped;
+  }
+
+  /**
+   * Rounds toward negative infinity to an integer
+   * @returns {Numeric} Largest integer not above the value
+   */
+  floor() {
+    const truncated = this.trunc();
+    return !this.isNaN() && this.compare(truncated) < 0
+      ? truncated.subtract(new Numeric(1n))
+      : truncated;
+  }
+
+  /**
+   * Rounds toward positive infinity to an integer
+   * @returns {Numeric} Smallest integer not below the value
+   */
+  ceil() {
+    const truncated = this.trunc();
+    return !this.isNaN() && this.compare(truncated) > 0
+      ? truncated.add(new Numeric(1n))
+      : truncated;
+  }
+
+  /**
+   * Compares with another value; NaN sorts above every number and equals itself,
+   * as in PostgreSQL
+   * @param {Numeric} other - Value to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    if (this.isNaN() || other.isNaN()) {
+      return Number(this.isNaN()) - Number(other.isNaN());
+    }
+    const scale = Math.max(this.scale, other.scale);
+    const left = this.digitsAt(scale);
+    const right = other.digitsAt(scale);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  /**
+   * Counts the digits before the decimal point
+   * @returns {number} Number of integer digits, 0 when the value is below 1
+   */
+  integerDigits() {
+    if (this.isNaN()) return 0;
+    const length = (this.digits < 0n ? -this.digits : this.digits).toString().length;
+    return Math.max(length - this.scale, 0);
+  }
+
+  /**
+   * Gets the weight and value of the first non-zero base-10000 digit, as
+   * PostgreSQL stores numerics
+   * @returns {Array<number>} [weight, first digit]; [0, 0] for zero
+   * @private
+   */
+  leadingGroup() {
+    const magnitude = this.digits < 0n ? -this.digits : this.digits;
+    if (magnitude === 0n) {
+      return [0, 0];
+    }
+    const exponent = magnitude.toString().length - 1 - this.scale;
+    const weight = Math.floor(exponent / 4);
+    const shift = this.scale + weight * 4;
+    const first = shift >= 0 ? magnitude / pow10(shift) : magnitude * pow10(-shift);
+    return [weight, Number(first)];
+  }
+
+  /**
+   * Formats the value as numeric text output, with every digit of its scale
+   * @returns {string} Text such as '-123.4500' or 'NaN'
+   */
+  toString() {
+    if (this.isNaN()) {
+      return 'NaN';
+    }
+    const negative = this.digits < 0n;
+    const text = (negative ? -this.digits : this.digits).toString().padStart(this.scale + 1, '0');
+    const point = text.length - this.scale;
+    const fraction = this.scale > 0 ? `.${text.slice(point)}` : '';
+    return `${negative ? '-' : ''}${text.slice(0, point)}${fraction}`;
+  }
+
+  /**
+   * Converts the value to the nearest double, for float contexts and Number()
+   * @returns {number} Double value
+   */
+  valueOf() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Serializes the value as its text
+   * @returns {string} Numeric text
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Divides two integers and rounds the quotient half away from zero
+ * @param {bigint} dividend - Dividend
+ * @param {bigint} divisor - Divisor, not zero
+ * @param {number} scale - Scale of the result
+ * @returns {Numeric} Rounded quotient
+ */
+function divideRounded(dividend, divisor, scale) {
+  let quotient = dividend / divisor;
+  const remainder = dividend % divisor;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+  if (twice >= (divisor < 0n ? -divisor : divisor)) {
+    quotient += dividend < 0n === divisor < 0n ? 1n : -1n;
+  }
+  return new Numeric(quotient, scale);
+}
+
+module.exports = {
+  Numeric,
+};
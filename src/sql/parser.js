@@ -0,0 +1,1232 @@
+/**
+ * SQL Parser
+ * Recursive-descent parser producing statement trees for the table store
+ * (CREATE TABLE, DROP TABLE, INSERT, UPDATE, DELETE and single-table SELECT),
+ * plus the statement analysis used to route every query to its handler
+ */
+
+/* global BigInt */
+
+const { TOKEN_TYPES, tokenize } = require('./tokenizer');
+const { ErrorFactory } = require('../utils/errorHandler');
+const { Numeric } = require('./numeric');
+
+/**
+ * Keywords that cannot be used as bare column aliases or identifiers
+ */
+const RESERVED_WORDS = new Set([
+  'all',
+  'and',
+  'any',
+  'array',
+  'as',
+  'asc',
+  'between',
+  'case',
+  'cast',
+  'check',
+  'constraint',
+  'create',
+  'cross',
+  'default',
+  'delete',
+  'desc',
+  'distinct',
+  'do',
+  'drop',
+  'else',
+  'end',
+  'except',
+  'false',
+  'fetch',
+  'for',
+  'foreign',
+  'from',
+  'full',
+  'group',
+  'having',
+  'ilike',
+  'in',
+  'inner',
+  'insert',
+  'intersect',
+  'into',
+  'is',
+  'join',
+  'left',
+  'like',
+  'limit',
+  'not',
+  'null',
+  'offset',
+  'on',
+  'or',
+  'order',
+  'outer',
+  'primary',
+  'references',
+  'returning',
+  'right',
+  'select',
+  'set',
+  'table',
+  'then',
+  'true',
+  'union',
+  'unique',
+  'update',
+  'using',
+  'values',
+  'when',
+  'where',
+  'with',
+]);
+
+/**
+ * SQL-standard functions that may be written without parentheses
+ */
+const NILADIC_FUNCTIONS = new Set([
+  'current_date',
+  'current_time',
+  'current_timestamp',
+  'current_user',
+  'current_schema',
+  'current_catalog',
+  'localtime',
+  'localtimestamp',
+  'session_user',
+  'user',
+]);
+
+/**
+ * Multi-word type names, keyed by their first word
+ */
+const MULTI_WORD_TYPES = {
+  double: [['precision']],
+  character: [['varying']],
+  timestamp: [
+    ['with', 'time', 'zone'],
+    ['without', 'time', 'zone'],
+  ],
+  time: [
+    ['with', 'time', 'zone'],
+    ['without', 'time', 'zone'],
+  ],
+};
+
+/**
+ * Token-stream parser for a single SQL statement
+ */
+class Parser {
+  /**
+   * Creates a parser over the given SQL text
+   * @param {string} sql - SQL text
+   */
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = tokenize(sql);
+    this.index = 0;
+  }
+
+  /**
+   * Returns the token at the given lookahead offset
+   * @param {number} offset - Lookahead offset
+   * @returns {Token} Token
+   */
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  /**
+   * Consumes and returns the current token
+   * @returns {Token} Consumed token
+   */
+  next() {
+    const token = this.peek();
+    if (token.type !== TOKEN_TYPES.EOF) {
+      this.index++;
+    }
+    return token;
+  }
+
+  /**
+   * Checks whether a token is the given (unquoted) keyword
+   * @param {Token} token - Token to check
+   * @param {string} keyword - Lower-case keyword
+   * @returns {boolean} True if it matches
+   */
+  isKeywordToken(token, keyword) {
+    return token.type === TOKEN_TYPES.IDENTIFIER && !token.quoted && token.value === keyword;
+  }
+
+  /**
+   * Checks whether the upcoming tokens are the given keywords
+   * @param {...string} keywords - Lower-case keywords
+   * @returns {boolean} True if they match
+   */
+  isKeyword(...keywords) {
+    return keywords.every((keyword, i) => this.isKeywordToken(this.peek(i), keyword));
+  }
+
+  /**
+   * Consumes the given keywords if they are next
+   * @param {...string} keywords - Lower-case keywords
+   * @returns {boolean} True if consumed
+   */
+  acceptKeyword(...keywords) {
+    if (this.isKeyword(...keywords)) {
+      this.index += keywords.length;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes the given keywords or throws a syntax error
+   * @param {...string} keywords - Lower-case keywords
+   */
+  expectKeyword(...keywords) {
+    for (const keyword of keywords) {
+      if (!this.acceptKeyword(keyword)) {
+        throw this.error();
+      }
+    }
+  }
+
+  /**
+   * Checks whether the current token is the given punctuation or operator
+   * @param {string} symbol - Symbol text
+   * @returns {boolean} True if it matches
+   */
+  isSymbol(symbol) {
+    const token = this.peek();
+    return (
+      (token.type === TOKEN_TYPES.PUNCTUATION || token.type === TOKEN_TYPES.OPERATOR) &&
+      token.value === symbol
+    );
+  }
+
+  /**
+   * Consumes the given symbol if it is next
+   * @param {string} symbol - Symbol text
+   * @returns {boolean} True if consumed
+   */
+  acceptSymbol(symbol) {
+    if (this.isSymbol(symbol)) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes the given symbol or throws a syntax error
+   * @param {string} symbol - Symbol text
+   */
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) {
+      throw this.error();
+    }
+  }
+
+  /**
+   * Builds a syntax error pointing at the current token
+   * @param {Token} token - Offending token (defaults to the current one)
+   * @returns {PostgresError} Syntax error
+   */
+  error(token = this.peek()) {
+    const message =
+      token.type === TOKEN_TYPES.EOF
+        ? 'syntax error at end of input'
+        : `syntax error at or near "${token.raw}"`;
+    return ErrorFactory.syntaxError(message, { position: String(token.position) });
+  }
+
+  /**
+   * Parses an identifier (quoted or unreserved keyword)
+   * @returns {string} Identifier name
+   */
+  parseIdentifier() {
+    const token = this.peek();
+    if (
+      token.type !== TOKEN_TYPES.IDENTIFIER ||
+      (!token.quoted && RESERVED_WORDS.has(token.value))
+    ) {
+      throw this.error();
+    }
+    this.index++;
+    return token.value;
+  }
+
+  /**
+   * Parses a possibly schema-qualified table name
+   * @returns {Object} Table reference ({schema, name})
+   */
+  parseQualifiedName() {
+    const first = this.parseIdentifier();
+    if (this.acceptSymbol('.')) {
+      return { schema: first, name: this.parseIdentifier() };
+    }
+    return { schema: null, name: first };
+  }
+
+  /**
+   * Parses the statement and checks that nothing but a semicolon follows
+   * @returns {Object|null} Statement tree, or null for unsupported statements
+   */
+  parse() {
+    let statement;
+    if (this.isKeyword('select')) {
+      statement = this.parseSelect();
+    } else if (this.isKeyword('insert')) {
+      statement = this.parseInsert();
+    } else if (this.isKeyword('update')) {
+      statement = this.parseUpdate();
+    } else if (this.isKeyword('delete')) {
+      statement = this.parseDelete();
+    } else if (this.isKeyword('create', 'table')) {
+      statement = this.parseCreateTable();
+    } else if (this.isKeyword('drop', 'table')) {
+      statement = this.parseDropTable();
+    } else {
+      return null;
+    }
+
+    while (this.acceptSymbol(';'));
+    if (this.peek().type !== TOKEN_TYPES.EOF) {
+      throw this.error();
+    }
+    return statement;
+  }
+
+  /**
+   * Parses a SELECT statement
+   * @returns {Object} Select statement tree
+   */
+  parseSelect() {
+    this.expectKeyword('select');
+    const distinct = this.acceptKeyword('distinct');
+    if (!distinct) {
+      this.acceptKeyword('all');
+    }
+    const statement = {
+      type: 'select',
+      distinct,
+      targets: this.parseTargetList(),
+      from: null,
+      where: null,
+      orderBy: [],
+      limit: null,
+      offset: null,
+    };
+
+    if (this.acceptKeyword('from')) {
+      statement.from = this.parseTableReference();
+    }
+    if (this.acceptKeyword('where')) {
+      statement.where = this.parseExpression();
+    }
+    if (this.acceptKeyword('order', 'by')) {
+      statement.orderBy = this.parseOrderBy();
+    }
+
+    // LIMIT and OFFSET may appear in either order
+    for (let i = 0; i < 2; i++) {
+      if (this.acceptKeyword('limit')) {
+        statement.limit = this.acceptKeyword('all') ? null : this.parseExpression();
+      } else if (this.acceptKeyword('offset')) {
+        statement.offset = this.parseExpression();
+        if (!this.acceptKeyword('rows')) {
+          this.acceptKeyword('row');
+        }
+      }
+    }
+    return statement;
+  }
+
+  /**
+   * Parses a table reference with optional alias
+   * @returns {Object} Table reference ({schema, name, alias})
+   */
+  parseTableReference() {
+    const table = this.parseQualifiedName();
+    table.alias = null;
+    if (this.acceptKeyword('as')) {
+      table.alias = this.parseIdentifier();
+    } else if (this.isBareAlias()) {
+      table.alias = this.parseIdentifier();
+    }
+    return table;
+  }
+
+  /**
+   * Checks whether the current token can be a bare (AS-less) alias
+   * @returns {boolean} True if a bare alias follows
+   */
+  isBareAlias() {
+    const token = this.peek();
+    return (
+      token.type === TOKEN_TYPES.IDENTIFIER && (token.quoted || !RESERVED_WORDS.has(token.value))
+    );
+  }
+
+  /**
+   * Parses a comma-separated select target list
+   * @returns {Array<Object>} Targets ({expression, alias} or {star, table})
+   */
+  parseTargetList() {
+    const targets = [];
+    do {
+      if (this.acceptSymbol('*')) {
+        targets.push({ star: true, table: null });
+        continue;
+      }
+      if (
+        this.peek().type === TOKEN_TYPES.IDENTIFIER &&
+        this.peek(1).type === TOKEN_TYPES.PUNCTUATION &&
+        this.peek(1).value === '.' &&
+        this.peek(2).value === '*'
+      ) {
+        const table = this.next().value;
+        this.index += 2;
+        targets.push({ star: true, table });
+        continue;
+      }
+
+      const start = this.peek();
+      const expression = this.parseExpression();
+      let alias = null;
+      if (this.acceptKeyword('as')) {
+        alias = this.parseIdentifier();
+      } else if (this.isBareAlias()) {
+        alias = this.parseIdentifier();
+      }
+      targets.push({ expression, alias, position: start.position });
+    } while (this.acceptSymbol(','));
+    return targets;
+  }
+
+  /**
+   * Parses an ORDER BY list
+   * @returns {Array<Object>} Sort items ({expression, descending, nullsFirst})
+   */
+  parseOrderBy() {
+    const items = [];
+    do {
+      const expression = this.parseExpression();
+      let descending = false;
+      if (this.acceptKeyword('desc')) {
+        descending = true;
+      } else {
+        this.acceptKeyword('asc');
+      }
+      // PostgreSQL sorts NULLs last ascending and first descending by default
+      let nullsFirst = descending;
+      if (this.acceptKeyword('nulls', 'first')) {
+        nullsFirst = true;
+      } else if (this.acceptKeyword('nulls', 'last')) {
+        nullsFirst = false;
+      }
+      items.push({ expression, descending, nullsFirst });
+    } while (this.acceptSymbol(','));
+    return items;
+  }
+
+  /**
+   * Parses an optional RETURNING clause
+   * @returns {Array<Object>|null} Returning targets or null
+   */
+  parseReturning() {
+    return this.acceptKeyword('returning') ? this.parseTargetList() : null;
+  }
+
+  /**
+   * Parses an INSERT statement
+   * @returns {Object} Insert statement tree
+   */
+  parseInsert() {
+    this.expectKeyword('insert', 'into');
+    const statement = {
+      type: 'insert',
+      table: this.parseTableReference(),
+      columns: null,
+      values: [],
+      defaultValues: false,
+      returning: null,
+    };
+
+    if (this.isSymbol('(')) {
+      this.next();
+      statement.columns = [];
+      do {
+        statement.columns.push(this.parseIdentifier());
+      } while (this.acceptSymbol(','));
+      this.expectSymbol(')');
+    }
+
+    if (this.acceptKeyword('default', 'values')) {
+      statement.defaultValues = true;
+    } else {
+      this.expectKeyword('values');
+      do {
+        this.expectSymbol('(');
+        const row = [];
+        do {
+          row.push(this.acceptKeyword('default') ? { type: 'default' } : this.parseExpression());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+        statement.values.push(row);
+      } while (this.acceptSymbol(','));
+    }
+
+    statement.returning = this.parseReturning();
+    return statement;
+  }
+
+  /**
+   * Parses an UPDATE statement
+   * @returns {Object} Update statement tree
+   */
+  parseUpdate() {
+    this.expectKeyword('update');
+    const statement = {
+      type: 'update',
+      table: this.parseTableReference(),
+      assignments: [],
+      where: null,
+      returning: null,
+    };
+
+    this.expectKeyword('set');
+    do {
+      const column = this.parseIdentifier();
+      this.expectSymbol('=');
+      const expression = this.acceptKeyword('default')
+        ? { type: 'default' }
+        : this.parseExpression();
+      statement.assignments.push({ column, expression });
+    } while (this.acceptSymbol(','));
+
+    if (this.acceptKeyword('where')) {
+      statement.where = this.parseExpression();
+    }
+    statement.returning = this.parseReturning();
+    return statement;
+  }
+
+  /**
+   * Parses a DELETE statement
+   * @returns {Object} Delete statement tree
+   */
+  parseDelete() {
+    this.expectKeyword('delete', 'from');
+    const statement = {
+      type: 'delete',
+      table: this.parseTableReference(),
+      where: null,
+      returning: null,
+    };
+    if (this.acceptKeyword('where')) {
+      statement.where = this.parseExpression();
+    }
+    statement.returning = this.parseReturning();
+    return statement;
+  }
+
+  /**
+   * Parses a CREATE TABLE statement
+   * @returns {Object} Create table statement tree
+   */
+  parseCreateTable() {
+    this.expectKeyword('create', 'table');
+    const statement = {
+      type: 'createTable',
+      ifNotExists: this.acceptKeyword('if', 'not', 'exists'),
+      table: this.parseQualifiedName(),
+      columns: [],
+      constraints: [],
+    };
+
+    this.expectSymbol('(');
+    do {
+      if (this.isKeyword('constraint') || this.isKeyword('primary') || this.isKeyword('unique')) {
+        statement.constraints.push(this.parseTableConstraint());
+      } else if (this.isKeyword('check') || this.isKeyword('foreign')) {
+        // CHECK and FOREIGN KEY constraints are accepted but not enforced
+        this.skipConstraintBody();
+      } else {
+        statement.columns.push(this.parseColumnDefinition());
+      }
+    } while (this.acceptSymbol(','));
+    this.expectSymbol(')');
+    return statement;
+  }
+
+  /**
+   * Parses a column definition inside CREATE TABLE
+   * @returns {Object} Column definition
+   */
+  parseColumnDefinition() {
+    const column = {
+      name: this.parseIdentifier(),
+      typeName: this.parseTypeName(),
+      notNull: false,
+      primaryKey: false,
+      unique: false,
+      defaultValue: null,
+    };
+
+    for (;;) {
+      if (this.acceptKeyword('constraint')) {
+        this.parseIdentifier();
+      } else if (this.acceptKeyword('not', 'null')) {
+        column.notNull = true;
+      } else if (this.acceptKeyword('null')) {
+        column.notNull = false;
+      } else if (this.acceptKeyword('primary', 'key')) {
+        column.primaryKey = true;
+        column.notNull = true;
+      } else if (this.acceptKeyword('unique')) {
+        column.unique = true;
+      } else if (this.acceptKeyword('default')) {
+        column.defaultValue = this.parseExpression(PRECEDENCE.COMPARISON);
+      } else if (this.isKeyword('check') || this.isKeyword('references')) {
+        this.skipConstraintBody();
+      } else {
+        return column;
+      }
+    }
+  }
+
+  /**
+   * Parses a table-level PRIMARY KEY or UNIQUE constraint
+   * @returns {Object} Constraint ({type, name, columns})
+   */
+  parseTableConstraint() {
+    let name = null;
+    if (this.acceptKeyword('constraint')) {
+      name = this.parseIdentifier();
+    }
+    let type;
+    if (this.acceptKeyword('primary', 'key')) {
+      type = 'primaryKey';
+    } else if (this.acceptKeyword('unique')) {
+      type = 'unique';
+    } else {
+      this.skipConstraintBody();
+      return { type: 'ignored', name, columns: [] };
+    }
+
+    const columns = [];
+    this.expectSymbol('(');
+    do {
+      columns.push(this.parseIdentifier());
+    } while (this.acceptSymbol(','));
+    this.expectSymbol(')');
+    return { type, name, columns };
+  }
+
+  /**
+   * Skips an unenforced constraint body (CHECK (...), REFERENCES t(c), FOREIGN KEY ...)
+   */
+  skipConstraintBody() {
+    let depth = 0;
+    for (;;) {
+      const token = this.peek();
+      if (token.type === TOKEN_TYPES.EOF) {
+        throw this.error();
+      }
+      if (token.type === TOKEN_TYPES.PUNCTUATION) {
+        if (depth === 0 && (token.value === ',' || token.value === ')')) {
+          return;
+        }
+        if (token.value === '(') depth++;
+        if (token.value === ')') depth--;
+      }
+      this.index++;
+    }
+  }
+
+  /**
+   * Parses a type name such as "varchar(20)", "double precision" or "int[]"
+   * @returns {Object} Type name ({name, modifiers, arrayDimensions})
+   */
+  parseTypeName() {
+    const token = this.peek();
+    if (token.type !== TOKEN_TYPES.IDENTIFIER) {
+      throw this.error();
+    }
+    this.index++;
+    let name = token.value;
+
+    for (const continuation of MULTI_WORD_TYPES[name] || []) {
+      if (this.acceptKeyword(...continuation)) {
+        name = `${name} ${continuation.join(' ')}`;
+        break;
+      }
+    }
+
+    const modifiers = [];
+    if (this.acceptSymbol('(')) {
+      do {
+        const modifier = this.next();
+        if (modifier.type !== TOKEN_TYPES.NUMBER) {
+          throw this.error(modifier);
+        }
+        modifiers.push(parseInt(modifier.value, 10));
+      } while (this.acceptSymbol(','));
+      this.expectSymbol(')');
+    }
+
+    let arrayDimensions = 0;
+    while (this.acceptSymbol('[')) {
+      if (this.peek().type === TOKEN_TYPES.NUMBER) this.next();
+      this.expectSymbol(']');
+      arrayDimensions++;
+    }
+    if (this.acceptKeyword('array')) {
+      arrayDimensions = Math.max(arrayDimensions, 1);
+    }
+
+    return { name, modifiers, arrayDimensions, position: token.position };
+  }
+
+  /**
+   * Parses a DROP TABLE statement
+   * @returns {Object} Drop table statement tree
+   */
+  parseDropTable() {
+    this.expectKeyword('drop', 'table');
+    const statement = {
+      type: 'dropTable',
+      ifExists: this.acceptKeyword('if', 'exists'),
+      tables: [],
+      cascade: false,
+    };
+    do {
+      statement.tables.push(this.parseQualifiedName());
+    } while (this.acceptSymbol(','));
+    if (this.acceptKeyword('cascade')) {
+      statement.cascade = true;
+    } else {
+      this.acceptKeyword('restrict');
+    }
+    return statement;
+  }
+
+  /**
+   * Parses an expression using precedence climbing
+   * @param {number} minPrecedence - Lowest operator precedence to consume
+   * @returns {Object} Expression node
+   */
+  parseExpression(minPrecedence = PRECEDENCE.OR) {
+    let left = this.parseUnary(minPrecedence);
+
+    for (;;) {
+      const token = this.peek();
+      const operator = this.getInfixOperator();
+      if (!operator || operator.precedence < minPrecedence) {
+        return left;
+      }
+      left = this.parseInfix(left, operator, token);
+    }
+  }
+
+  /**
+   * Identifies the infix operator at the current position
+   * @returns {Object|null} Operator ({kind, precedence}) or null
+   */
+  getInfixOperator() {
+    const token = this.peek();
+    if (token.type === TOKEN_TYPES.OPERATOR) {
+      if (token.value === '::') return { kind: 'cast', precedence: PRECEDENCE.CAST };
+      const precedence = BINARY_PRECEDENCE[token.value] || PRECEDENCE.OTHER;
+      return { kind: 'binary', precedence };
+    }
+    if (token.type !== TOKEN_TYPES.IDENTIFIER || token.quoted) {
+      return null;
+    }
+    switch (token.value) {
+      case 'or':
+        return { kind: 'binary', precedence: PRECEDENCE.OR };
+      case 'and':
+        return { kind: 'binary', precedence: PRECEDENCE.AND };
+      case 'is':
+        return { kind: 'is', precedence: PRECEDENCE.IS };
+      case 'like':
+      case 'ilike':
+      case 'in':
+      case 'between':
+        return { kind: token.value, precedence: PRECEDENCE.LIKE };
+      case 'not':
+        if (['like', 'ilike', 'in', 'between'].includes(this.peek(1).value)) {
+          return { kind: 'not', precedence: PRECEDENCE.LIKE };
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parses the right-hand side of an infix operator
+   * @param {Object} left - Left operand
+   * @param {Object} operator - Operator info from getInfixOperator
+   * @param {Token} token - Operator token
+   * @returns {Object} Combined expression node
+   */
+  parseInfix(left, operator, token) {
+    this.next();
+    switch (operator.kind) {
+      case 'cast':
+        return { type: 'cast', expression: left, typeName: this.parseTypeName() };
+
+      case 'is': {
+        const negated = this.acceptKeyword('not');
+        if (this.acceptKeyword('null')) {
+          return { type: 'isNull', expression: left, negated };
+        }
+        if (this.acceptKeyword('true') || this.acceptKeyword('false')) {
+          const value = this.tokens[this.index - 1].value === 'true';
+          return { type: 'isBoolean', expression: left, value, negated };
+        }
+        if (this.acceptKeyword('distinct', 'from')) {
+          const right = this.parseExpression(PRECEDENCE.IS + 1);
+          return { type: 'distinctFrom', left, right, negated };
+        }
+        throw this.error();
+      }
+
+      case 'not': {
+        const keyword = this.peek().value;
+        const inner = this.parseInfix(left, { kind: keyword }, this.peek());
+        return { ...inner, negated: true };
+      }
+
+      case 'like':
+      case 'ilike':
+        return {
+          type: 'like',
+          expression: left,
+          pattern: this.parseExpression(PRECEDENCE.LIKE + 1),
+          caseInsensitive: operator.kind === 'ilike',
+          negated: false,
+        };
+
+      case 'in': {
+        this.expectSymbol('(');
+        const list = [];
+        do {
+          list.push(this.parseExpression());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+        return { type: 'in', expression: left, list, negated: false };
+      }
+
+      case 'between': {
+        const low = this.parseExpression(PRECEDENCE.LIKE + 1);
+        this.expectKeyword('and');
+        const high = this.parseExpression(PRECEDENCE.LIKE + 1);
+        return { type: 'between', expression: left, low, high, negated: false };
+      }
+
+      default: {
+        const right = this.parseExpression(operator.precedence + 1);
+        return {
+          type: 'binary',
+          operator: token.type === TOKEN_TYPES.IDENTIFIER ? token.value.toUpperCase() : token.value,
+          left,
+          right,
+          position: token.position,
+        };
+      }
+    }
+  }
+
+  /**
+   * Parses prefix operators (NOT, unary minus/plus) and primaries
+   * @param {number} minPrecedence - Precedence context
+   * @returns {Object} Expression node
+   */
+  parseUnary(minPrecedence) {
+    if (this.isKeyword('not') && minPrecedence <= PRECEDENCE.NOT) {
+      this.next();
+      return { type: 'unary', operator: 'NOT', operand: this.parseExpression(PRECEDENCE.NOT) };
+    }
+    if (this.isSymbol('-') || this.isSymbol('+')) {
+      const operator = this.next().value;
+      const operand = this.parseExpression(PRECEDENCE.UNARY);
+      if (operand.type === 'literal' && typeof operand.value === 'number') {
+        return operator === '-' ? { ...operand, value: -operand.value } : operand;
+      }
+      return { type: 'unary', operator, operand };
+    }
+    return this.parsePrimary();
+  }
+
+  /**
+   * Parses a primary expression (literal, column, function call, parenthesized, ...)
+   * @returns {Object} Expression node
+   */
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case TOKEN_TYPES.NUMBER: {
+        this.next();
+        // Integers beyond int8 are numeric constants, as in PostgreSQL
+        const isInteger =
+          /^\d+$/.test(token.value) && BigInt(token.value) <= BigInt('9223372036854775807');
+        const number = Number(token.value);
+        let value = Numeric.parse(token.value);
+        if (isInteger) {
+          // Integers a double cannot hold exactly stay BigInts, so int8 keeps every digit
+          value = Number.isSafeInteger(number) ? number : BigInt(token.value);
+        }
+        return {
+          type: 'literal',
+          value,
+          literalType: isInteger ? 'integer' : 'numeric',
+          raw: token.value,
+          position: token.position,
+        };
+      }
+
+      case TOKEN_TYPES.STRING:
+        this.next();
+        return {
+          type: 'literal',
+          value: token.value,
+          literalType: 'string',
+          position: token.position,
+        };
+
+      case TOKEN_TYPES.PARAM:
+        this.next();
+        return { type: 'param', index: parseInt(token.value, 10), position: token.position };
+
+      case TOKEN_TYPES.PUNCTUATION:
+        if (token.value === '(') {
+          this.next();
+          const expression = this.parseExpression();
+          this.expectSymbol(')');
+          return expression;
+        }
+        throw this.error();
+
+      case TOKEN_TYPES.IDENTIFIER:
+        return this.parseIdentifierExpression(token);
+
+      default:
+        throw this.error();
+    }
+  }
+
+  /**
+   * Parses an expression that starts with an identifier or keyword
+   * @param {Token} token - Current token
+   * @returns {Object} Expression node
+   */
+  parseIdentifierExpression(token) {
+    if (!token.quoted) {
+      switch (token.value) {
+        case 'null':
+          this.next();
+          return { type: 'literal', value: null, literalType: 'null', position: token.position };
+        case 'true':
+        case 'false':
+          this.next();
+          return {
+            type: 'literal',
+            value: token.value === 'true',
+            literalType: 'boolean',
+            position: token.position,
+          };
+        case 'array':
+          return this.parseArrayConstructor();
+        case 'case':
+          return this.parseCase();
+        case 'cast': {
+          this.next();
+          this.expectSymbol('(');
+          const expression = this.parseExpression();
+          this.expectKeyword('as');
+          const typeName = this.parseTypeName();
+          this.expectSymbol(')');
+          return { type: 'cast', expression, typeName };
+        }
+        default:
+          if (NILADIC_FUNCTIONS.has(token.value) && this.peek(1).value !== '(') {
+            this.next();
+            return { type: 'function', name: token.value, args: [], position: token.position };
+          }
+          if (RESERVED_WORDS.has(token.value)) {
+            throw this.error();
+          }
+      }
+    }
+
+    this.next();
+
+    // Function call
+    if (this.isSymbol('(')) {
+      this.next();
+      const call = {
+        type: 'function',
+        name: token.value,
+        args: [],
+        star: false,
+        distinct: false,
+        position: token.position,
+      };
+      if (this.acceptSymbol('*')) {
+        call.star = true;
+      } else if (!this.isSymbol(')')) {
+        call.distinct = this.acceptKeyword('distinct');
+        do {
+          call.args.push(this.parseExpression());
+        } while (this.acceptSymbol(','));
+      }
+      this.expectSymbol(')');
+      return call;
+    }
+
+    // Qualified column reference (table.column)
+    if (this.isSymbol('.') && this.peek(1).type === TOKEN_TYPES.IDENTIFIER) {
+      this.next();
+      const column = this.next();
+      return { type: 'column', table: token.value, name: column.value, position: token.position };
+    }
+
+    return { type: 'column', table: null, name: token.value, position: token.position };
+  }
+
+  /**
+   * Parses ARRAY[...] constructors
+   * @returns {Object} Array expression node
+   */
+  parseArrayConstructor() {
+    const token = this.next();
+    this.expectSymbol('[');
+    const elements = [];
+    if (!this.isSymbol(']')) {
+      do {
+        elements.push(this.isSymbol('[') ? this.parseNestedArray() : this.parseExpression());
+      } while (this.acceptSymbol(','));
+    }
+    this.expectSymbol(']');
+    return { type: 'array', elements, position: token.position };
+  }
+
+  /**
+   * Parses the bracketed sub-arrays of a multi-dimensional ARRAY constructor
+   * @returns {Object} Array expression node
+   */
+  parseNestedArray() {
+    const token = this.peek();
+    this.expectSymbol('[');
+    const elements = [];
+    do {
+      elements.push(this.isSymbol('[') ? this.parseNestedArray() : this.parseExpression());
+    } while (this.acceptSymbol(','));
+    this.expectSymbol(']');
+    return { type: 'array', elements, position: token.position };
+  }
+
+  /**
+   * Parses a CASE expression (simple or searched form)
+   * @returns {Object} Case expression node
+   */
+  parseCase() {
+    this.expectKeyword('case');
+    const node = { type: 'case', operand: null, whens: [], elseResult: null };
+    if (!this.isKeyword('when')) {
+      node.operand = this.parseExpression();
+    }
+    while (this.acceptKeyword('when')) {
+      const condition = this.parseExpression();
+      this.expectKeyword('then');
+      node.whens.push({ condition, result: this.parseExpression() });
+    }
+    if (node.whens.length === 0) {
+      throw this.error();
+    }
+    if (this.acceptKeyword('else')) {
+      node.elseResult = this.parseExpression();
+    }
+    this.expectKeyword('end');
+    return node;
+  }
+}
+
+/**
+ * Operator precedence levels, lowest first (mirrors PostgreSQL's grammar)
+ */
+const PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  NOT: 3,
+  IS: 4,
+  COMPARISON: 5,
+  LIKE: 6,
+  OTHER: 7,
+  ADDITIVE: 8,
+  MULTIPLICATIVE: 9,
+  EXPONENT: 10,
+  UNARY: 11,
+  CAST: 12,
+};
+
+/**
+ * Precedence of symbolic binary operators
+ */
+const BINARY_PRECEDENCE = {
+  '=': PRECEDENCE.COMPARISON,
+  '<>': PRECEDENCE.COMPARISON,
+  '!=': PRECEDENCE.COMPARISON,
+  '<': PRECEDENCE.COMPARISON,
+  '>': PRECEDENCE.COMPARISON,
+  '<=': PRECEDENCE.COMPARISON,
+  '>=': PRECEDENCE.COMPARISON,
+  '+': PRECEDENCE.ADDITIVE,
+  '-': PRECEDENCE.ADDITIVE,
+  '*': PRECEDENCE.MULTIPLICATIVE,
+  '/': PRECEDENCE.MULTIPLICATIVE,
+  '%': PRECEDENCE.MULTIPLICATIVE,
+  '^': PRECEDENCE.EXPONENT,
+};
+
+/**
+ * Parses a single SQL statement
+ * @param {string} sql - SQL text
+ * @returns {Object|null} Statement tree, or null if the statement type is not supported
+ * @throws {PostgresError} Syntax error with the position of the offending token
+ */
+function parseStatement(sql) {
+  return new Parser(sql).parse();
+}
+
+/**
+ * Parses a standalone expression
+ * @param {string} sql - Expression text
+ * @returns {Object} Expression node
+ */
+function parseExpression(sql) {
+  const parser = new Parser(sql);
+  const expression = parser.parseExpression();
+  if (parser.peek().type !== TOKEN_TYPES.EOF) {
+    throw parser.error();
+  }
+  return expression;
+}
+
+/**
+ * Statement keywords that may follow the CTE list of a WITH query
+ */
+const WITH_MAIN_COMMANDS = new Set(['select', 'insert', 'update', 'delete', 'values']);
+
+/**
+ * Schemas whose qualified names mark a query as catalog introspection
+ */
+const CATALOG_SCHEMAS = new Set(['information_schema', 'pg_catalog']);
+
+/**
+ * Result of analyzing a statement for routing
+ * @typedef {Object} StatementInfo
+ * @property {string} command - Upper-cased command keyword (e.g. SELECT, CREATE); '' if empty
+ * @property {string} text - Statement text without surrounding comments and whitespace
+ * @property {Array<Token>} tokens - Tokens of the statement
+ * @property {Object|null} tree - Statement tree, for statement types the parser supports
+ * @property {PostgresError|null} parseError - Syntax error raised while building the tree
+ * @property {boolean} referencesCatalog - True if information_schema/pg_catalog objects are named
+ */
+
+/**
+ * Determines the command keyword of a token stream, looking past WITH clauses
+ * @param {Array<Token>} tokens - Statement tokens
+ * @returns {string} Upper-cased command keyword, or '' for an empty statement
+ */
+function findCommand(tokens) {
+  const first = tokens[0];
+  if (first.type !== TOKEN_TYPES.IDENTIFIER || first.quoted) {
+    return first.type === TOKEN_TYPES.EOF ? '' : first.value.toUpperCase();
+  }
+  if (first.value !== 'with') {
+    return first.value.toUpperCase();
+  }
+
+  // WITH name AS (...), ... <command>: the command is the first keyword
+  // outside parentheses that can head the main statement
+  let depth = 0;
+  for (const token of tokens.slice(1)) {
+    if (token.type === TOKEN_TYPES.PUNCTUATION && token.value === '(') {
+      depth++;
+    } else if (token.type === TOKEN_TYPES.PUNCTUATION && token.value === ')') {
+      depth--;
+    } else if (
+      depth === 0 &&
+      token.type === TOKEN_TYPES.IDENTIFIER &&
+      !token.quoted &&
+      WITH_MAIN_COMMANDS.has(token.value)
+    ) {
+      return token.value.toUpperCase();
+    }
+  }
+  return 'WITH';
+}
+
+/**
+ * Analyzes a statement: tokenizes it, determines its command and, for statement
+ * types the parser supports, builds its tree
+ *
+ * Syntax errors from building the tree are captured in parseError rather than
+ * thrown, so callers can decide whether the statement is theirs to reject.
+ *
+ * @param {string} sql - SQL text of a single statement
+ * @returns {StatementInfo} Statement analysis
+ * @throws {PostgresError} On lexical errors (unterminated strings, comments, ...)
+ */
+function analyzeStatement(sql) {
+  const parser = new Parser(sql);
+  const { tokens } = parser;
+  const significant = tokens.filter(token => token.type !== TOKEN_TYPES.EOF);
+
+  let text = '';
+  if (significant.length > 0) {
+    const last = significant[significant.length - 1];
+    text = sql.slice(significant[0].position - 1, last.position - 1 + last.raw.length);
+  }
+
+  const referencesCatalog = tokens.some(
+    (token, index) =>
+      token.type === TOKEN_TYPES.IDENTIFIER &&
+      CATALOG_SCHEMAS.has(token.value) &&
+      tokens[index + 1].value === '.' &&
+      tokens[index + 1].type === TOKEN_TYPES.PUNCTUATION
+  );
+
+  let tree = null;
+  let parseError = null;
+  try {
+    tree = parser.parse();
+  } catch (error) {
+    parseError = error;
+  }
+
+  return {
+    command: findCommand(tokens),
+    text,
+    tokens,
+    tree,
+    parseError,
+    referencesCatalog,
+  };
+}
+
+module.exports = {
+  Parser,
+  RESERVED_WORDS,
+  parseStatement,
+  parseExpression,
+  analyzeStatement,
+};
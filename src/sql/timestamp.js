@@ -0,0 +1,55 @@
+/**
+ * Timestamp Values
+ * Dates that carry PostgreSQL's microsecond precision for timestamp and timestamptz
+ */
+
+/* global BigInt */
+
+/**
+ * Date with the microseconds below its millisecond, so 00:00:00.123456 is the
+ * Date for .123 with microseconds 456
+ *
+ * It is a Date everywhere a Date is expected; only formatting, comparison and the
+ * binary encoding read the extra digits.
+ */
+class Timestamp extends Date {
+  /**
+   * Creates a timestamp
+   * @param {number} ms - Milliseconds since the Unix epoch
+   * @param {number} [microseconds=0] - Microseconds below the millisecond (0-999)
+   */
+  constructor(ms, microseconds = 0) {
+    super(ms);
+    this.microseconds = microseconds;
+  }
+
+  /**
+   * Creates a timestamp from microseconds since the Unix epoch
+   * @param {number|bigint} micros - Microseconds since the Unix epoch
+   * @returns {Timestamp} Timestamp
+   */
+  static fromMicroseconds(micros) {
+    const total = BigInt(micros);
+    let ms = total / 1000n;
+    let rest = total % 1000n;
+    if (rest < 0n) {
+      ms -= 1n;
+      rest += 1000n;
+    }
+    return new Timestamp(Number(ms), Number(rest));
+  }
+}
+
+/**
+ * Gets the microseconds below the millisecond of a Date
+ * @param {Date} date - Date or Timestamp
+ * @returns {number} Microseconds (0-999); 0 for a plain Date
+ */
+function microsecondsOf(date) {
+  return date instanceof Timestamp ? date.microseconds : 0;
+}
+
+module.exports = {
+  Timestamp,
+  microsecondsOf,
+};
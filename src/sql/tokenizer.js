@@ -0,0 +1,377 @@
+/**
+ * SQL Tokenizer
+ * Splits SQL text into a flat list of tokens with their source positions
+ */
+
+const { ErrorFactory } = require('../utils/errorHandler');
+
+/**
+ * Token types produced by the tokenizer
+ */
+const TOKEN_TYPES = {
+  IDENTIFIER: 'identifier',
+  STRING: 'string',
+  NUMBER: 'number',
+  PARAM: 'param',
+  OPERATOR: 'operator',
+  PUNCTUATION: 'punctuation',
+  EOF: 'eof',
+};
+
+/**
+ * Characters that can make up a multi-character operator
+ */
+const OPERATOR_CHARS = '+-*/<>=~!@#%^&|`?';
+
+/**
+ * Single characters that always form their own token
+ */
+const PUNCTUATION_CHARS = '(),;[].:';
+
+/**
+ * Single-character escapes recognized in E'' strings
+ */
+const SIMPLE_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * A single lexical token
+ * @typedef {Object} Token
+ * @property {string} type - One of TOKEN_TYPES
+ * @property {string} value - Normalized value (lower-cased for unquoted identifiers)
+ * @property {string} raw - Original source text of the token
+ * @property {number} position - 1-based character offset of the token in the query
+ * @property {boolean} [quoted] - True for double-quoted identifiers
+ */
+
+/**
+ * Reads the tag of a dollar quote ($$ or $tag$) starting at the given offset
+ * @param {string} sql - SQL text
+ * @param {number} start - Offset of the opening $
+ * @returns {string|null} Full delimiter including both $ signs, or null if none starts here
+ */
+function readDollarTag(sql, start) {
+  let i = start + 1;
+  if (sql[i] !== '$') {
+    if (!isIdentifierStart(sql[i] || '')) {
+      return null;
+    }
+    while (i < sql.length && sql[i] !== '$' && isIdentifierPart(sql[i])) i++;
+    if (sql[i] !== '$') {
+      return null;
+    }
+  }
+  return sql.slice(start, i + 1);
+}
+
+/**
+ * Reads a backslash escape sequence inside an E'' string
+ * @param {string} sql - SQL text
+ * @param {number} i - Offset of the character following the backslash
+ * @returns {Object} Decoded text and the offset after the escape ({text, next})
+ */
+function readEscape(sql, i) {
+  const ch = sql[i];
+  if (SIMPLE_ESCAPES[ch]) {
+    return { text: SIMPLE_ESCAPES[ch], next: i + 1 };
+  }
+  const patterns = [
+    { regex: /^[0-7]{1,3}/, radix: 8, offset: 0 },
+    { regex: /^x[0-9A-Fa-f]{1,2}/, radix: 16, offset: 1 },
+    { regex: /^u[0-9A-Fa-f]{4}/, radix: 16, offset: 1 },
+    { regex: /^U[0-9A-Fa-f]{8}/, radix: 16, offset: 1 },
+  ];
+  for (const { regex, radix, offset } of patterns) {
+    const match = regex.exec(sql.slice(i, i + 9));
+    if (match) {
+      const code = parseInt(match[0].slice(offset), radix);
+      return { text: String.fromCodePoint(code), next: i + match[0].length };
+    }
+  }
+  return { text: ch, next: i + 1 };
+}
+
+/**
+ * Checks if a character can start an unquoted identifier
+ * @param {string} ch - Character to check
+ * @returns {boolean} True if identifier start
+ */
+function isIdentifierStart(ch) {
+  return /[A-Za-z_\u0080-\uffff]/.test(ch);
+}
+
+/**
+ * Checks if a character can continue an unquoted identifier
+ * @param {string} ch - Character to check
+ * @returns {boolean} True if identifier part
+ */
+function isIdentifierPart(ch) {
+  return /[A-Za-z0-9_$\u0080-\uffff]/.test(ch);
+}
+
+/**
+ * Checks if a character is a decimal digit
+ * @param {string} ch - Character to check
+ * @returns {boolean} True if digit
+ */
+function isDigit(ch) {
+  return ch >= '0' && ch <= '9';
+}
+
+/**
+ * Tokenizes a SQL string
+ * @param {string} sql - SQL text to tokenize
+ * @returns {Array<Token>} Tokens, always terminated by an EOF token
+ * @throws {PostgresError} On unterminated string literals or quoted identifiers
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const start = i;
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comment
+    if (ch === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+
+    // Block comment (nestable, as in PostgreSQL)
+    if (ch === '/' && sql[i + 1] === '*') {
+      let depth = 0;
+      do {
+        if (i >= sql.length) {
+          throw ErrorFactory.syntaxError('unterminated /* comment', {
+            position: String(start + 1),
+          });
+        }
+        if (sql[i] === '/' && sql[i + 1] === '*') {
+          depth++;
+          i += 2;
+        } else if (sql[i] === '*' && sql[i + 1] === '/') {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      } while (depth > 0);
+      continue;
+    }
+
+    // Quoted identifier ("" escapes a double quote)
+    if (ch === '"') {
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= sql.length) {
+          throw ErrorFactory.unterminatedIdentifier(start + 1);
+        }
+        if (sql[i] === '"') {
+          if (sql[i + 1] === '"') {
+            value += '"';
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      tokens.push({
+        type: TOKEN_TYPES.IDENTIFIER,
+        value,
+        raw: sql.slice(start, i),
+        position: start + 1,
+        quoted: true,
+      });
+      continue;
+    }
+
+    // String literal ('' escapes a single quote); E'' strings also take backslash escapes
+    const escapeString = (ch === 'E' || ch === 'e') && sql[i + 1] === "'";
+    if (ch === "'" || escapeString) {
+      let value = '';
+      i += escapeString ? 2 : 1;
+      for (;;) {
+        if (i >= sql.length) {
+          throw ErrorFactory.unterminatedString(start + 1);
+        }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        if (escapeString && sql[i] === '\\' && i + 1 < sql.length) {
+          const escape = readEscape(sql, i + 1);
+          value += escape.text;
+          i = escape.next;
+          continue;
+        }
+        value += sql[i++];
+      }
+      tokens.push({
+        type: TOKEN_TYPES.STRING,
+        value,
+        raw: sql.slice(start, i),
+        position: start + 1,
+      });
+      continue;
+    }
+
+    // Dollar-quoted string ($$...$$ or $tag$...$tag$)
+    if (ch === '$') {
+      const tag = readDollarTag(sql, i);
+      if (tag) {
+        const end = sql.indexOf(tag, i + tag.length);
+        if (end === -1) {
+          throw ErrorFactory.syntaxError(
+            `unterminated dollar-quoted string at or near "${sql.slice(start)}"`,
+            { position: String(start + 1) }
+          );
+        }
+        i = end + tag.length;
+        tokens.push({
+          type: TOKEN_TYPES.STRING,
+          value: sql.slice(start + tag.length, end),
+          raw: sql.slice(start, i),
+          position: start + 1,
+        });
+        continue;
+      }
+    }
+
+    // Positional parameter ($1, $2, ...)
+    if (ch === '$' && isDigit(sql[i + 1] || '')) {
+      i++;
+      while (i < sql.length && isDigit(sql[i])) i++;
+      const raw = sql.slice(start, i);
+      tokens.push({ type: TOKEN_TYPES.PARAM, value: raw.slice(1), raw, position: start + 1 });
+      continue;
+    }
+
+    // Numeric literal (integer, decimal or exponent form)
+    if (isDigit(ch) || (ch === '.' && isDigit(sql[i + 1] || ''))) {
+      while (i < sql.length && isDigit(sql[i])) i++;
+      if (sql[i] === '.' && sql[i + 1] !== '.') {
+        i++;
+        while (i < sql.length && isDigit(sql[i])) i++;
+      }
+      if ((sql[i] === 'e' || sql[i] === 'E') && /[0-9+-]/.test(sql[i + 1] || '')) {
+        i++;
+        if (sql[i] === '+' || sql[i] === '-') i++;
+        while (i < sql.length && isDigit(sql[i])) i++;
+      }
+      const raw = sql.slice(start, i);
+      tokens.push({ type: TOKEN_TYPES.NUMBER, value: raw, raw, position: start + 1 });
+      continue;
+    }
+
+    // Identifier or keyword
+    if (isIdentifierStart(ch)) {
+      while (i < sql.length && isIdentifierPart(sql[i])) i++;
+      const raw = sql.slice(start, i);
+      tokens.push({
+        type: TOKEN_TYPES.IDENTIFIER,
+        value: raw.toLowerCase(),
+        raw,
+        position: start + 1,
+        quoted: false,
+      });
+      continue;
+    }
+
+    // Type cast operator
+    if (ch === ':' && sql[i + 1] === ':') {
+      i += 2;
+      tokens.push({ type: TOKEN_TYPES.OPERATOR, value: '::', raw: '::', position: start + 1 });
+      continue;
+    }
+
+    if (PUNCTUATION_CHARS.includes(ch)) {
+      i++;
+      tokens.push({ type: TOKEN_TYPES.PUNCTUATION, value: ch, raw: ch, position: start + 1 });
+      continue;
+    }
+
+    if (OPERATOR_CHARS.includes(ch)) {
+      while (
+        i < sql.length &&
+        OPERATOR_CHARS.includes(sql[i]) &&
+        (i === start || !/^(--|\/\*)/.test(sql.slice(i, i + 2)))
+      ) {
+        i++;
+      }
+      // Like PostgreSQL, a trailing + or - only belongs to the operator when it also
+      // contains one of ~ ! @ # % ^ & | ` ?, so "=-1" lexes as "=" followed by "-1"
+      const hasSpecialChar = /[~!@#%^&|`?]/.test(sql.slice(start, i));
+      while (i - start > 1 && '+-'.includes(sql[i - 1]) && !hasSpecialChar) {
+        i--;
+      }
+      const raw = sql.slice(start, i);
+      tokens.push({ type: TOKEN_TYPES.OPERATOR, value: raw, raw, position: start + 1 });
+      continue;
+    }
+
+    throw ErrorFactory.syntaxError(`syntax error at or near "${ch}"`, {
+      position: String(start + 1),
+    });
+  }
+
+  tokens.push({ type: TOKEN_TYPES.EOF, value: '', raw: '', position: sql.length + 1 });
+  return tokens;
+}
+
+/**
+ * Splits a query string into individual statements on top-level semicolons
+ *
+ * Semicolons inside string literals, quoted identifiers, dollar quotes and
+ * comments do not split. If the text cannot be tokenized it is returned as a
+ * single statement so the error surfaces when that statement is executed.
+ *
+ * @param {string} sql - Query string possibly containing several statements
+ * @returns {Array<string>} Statement texts, trimmed, without empty statements
+ */
+function splitStatements(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (_error) {
+    return sql.trim() ? [sql.trim()] : [];
+  }
+
+  const statements = [];
+  let start = 0;
+  let hasTokens = false;
+  for (const token of tokens) {
+    const isEnd =
+      token.type === TOKEN_TYPES.EOF ||
+      (token.type === TOKEN_TYPES.PUNCTUATION && token.value === ';');
+    if (!isEnd) {
+      hasTokens = true;
+      continue;
+    }
+    if (hasTokens) {
+      statements.push(sql.slice(start, token.position - 1).trim());
+    }
+    start = token.position;
+    hasTokens = false;
+  }
+  return statements;
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  tokenize,
+  splitStatements,
+};
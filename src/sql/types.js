@@ -0,0 +1,843 @@
+/**
+ * SQL Type Utilities
+ * Type name resolution, value coercion, text output formatting and comparison
+ * for values held by the in-memory table store and the expression evaluator
+ */
+
+/* global BigInt */
+
+const { DATA_TYPES, ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { Numeric } = require('./numeric');
+const { Timestamp, microsecondsOf } = require('./timestamp');
+
+/**
+ * Type name aliases accepted in column definitions and casts
+ */
+const TYPE_ALIASES = {
+  bool: 'bool',
+  boolean: 'bool',
+  int2: 'int2',
+  smallint: 'int2',
+  smallserial: 'int2',
+  serial2: 'int2',
+  int4: 'int4',
+  int: 'int4',
+  integer: 'int4',
+  serial: 'int4',
+  serial4: 'int4',
+  int8: 'int8',
+  bigint: 'int8',
+  bigserial: 'int8',
+  serial8: 'int8',
+  float4: 'float4',
+  real: 'float4',
+  float8: 'float8',
+  float: 'float8',
+  'double precision': 'float8',
+  numeric: 'numeric',
+  decimal: 'numeric',
+  text: 'text',
+  varchar: 'varchar',
+  'character varying': 'varchar',
+  char: 'bpchar',
+  character: 'bpchar',
+  bpchar: 'bpchar',
+  name: 'name',
+  bytea: 'bytea',
+  date: 'date',
+  time: 'time',
+  'time without time zone': 'time',
+  timestamp: 'timestamp',
+  'timestamp without time zone': 'timestamp',
+  timestamptz: 'timestamptz',
+  'timestamp with time zone': 'timestamptz',
+  interval: 'interval',
+  uuid: 'uuid',
+  json: 'json',
+  jsonb: 'jsonb',
+  oid: 'oid',
+};
+
+/**
+ * Canonical type names mapped to their OID and fixed size (-1 for variable length)
+ */
+const TYPE_INFO = {
+  bool: { oid: DATA_TYPES.BOOL, size: 1 },
+  int2: { oid: DATA_TYPES.INT2, size: 2 },
+  int4: { oid: DATA_TYPES.INT4, size: 4 },
+  int8: { oid: DATA_TYPES.INT8, size: 8 },
+  float4: { oid: DATA_TYPES.FLOAT4, size: 4 },
+  float8: { oid: DATA_TYPES.FLOAT8, size: 8 },
+  numeric: { oid: DATA_TYPES.NUMERIC, size: -1 },
+  text: { oid: DATA_TYPES.TEXT, size: -1 },
+  varchar: { oid: DATA_TYPES.VARCHAR, size: -1 },
+  bpchar: { oid: DATA_TYPES.BPCHAR, size: -1 },
+  name: { oid: DATA_TYPES.NAME, size: 64 },
+  bytea: { oid: DATA_TYPES.BYTEA, size: -1 },
+  date: { oid: DATA_TYPES.DATE, size: 4 },
+  time: { oid: DATA_TYPES.TIME, size: 8 },
+  timestamp: { oid: DATA_TYPES.TIMESTAMP, size: 8 },
+  timestamptz: { oid: DATA_TYPES.TIMESTAMPTZ, size: 8 },
+  interval: { oid: DATA_TYPES.INTERVAL, size: 16 },
+  uuid: { oid: DATA_TYPES.UUID, size: 16 },
+  json: { oid: DATA_TYPES.JSON, size: -1 },
+  jsonb: { oid: DATA_TYPES.JSONB, size: -1 },
+  oid: { oid: DATA_TYPES.OID, size: 4 },
+};
+
+/**
+ * Serial pseudo-types, which imply an auto-incrementing default
+ */
+const SERIAL_TYPES = ['smallserial', 'serial2', 'serial', 'serial4', 'bigserial', 'serial8'];
+
+/**
+ * Human readable names used in error messages, keyed by OID
+ */
+const DISPLAY_NAMES = {
+  [DATA_TYPES.BOOL]: 'boolean',
+  [DATA_TYPES.INT2]: 'smallint',
+  [DATA_TYPES.INT4]: 'integer',
+  [DATA_TYPES.INT8]: 'bigint',
+  [DATA_TYPES.FLOAT4]: 'real',
+  [DATA_TYPES.FLOAT8]: 'double precision',
+  [DATA_TYPES.NUMERIC]: 'numeric',
+  [DATA_TYPES.TEXT]: 'text',
+  [DATA_TYPES.VARCHAR]: 'character varying',
+  [DATA_TYPES.BPCHAR]: 'character',
+  [DATA_TYPES.NAME]: 'name',
+  [DATA_TYPES.BYTEA]: 'bytea',
+  [DATA_TYPES.DATE]: 'date',
+  [DATA_TYPES.TIME]: 'time without time zone',
+  [DATA_TYPES.TIMESTAMP]: 'timestamp without time zone',
+  [DATA_TYPES.TIMESTAMPTZ]: 'timestamp with time zone',
+  [DATA_TYPES.INTERVAL]: 'interval',
+  [DATA_TYPES.UUID]: 'uuid',
+  [DATA_TYPES.JSON]: 'json',
+  [DATA_TYPES.JSONB]: 'jsonb',
+  [DATA_TYPES.OID]: 'oid',
+  [DATA_TYPES.VOID]: 'void',
+};
+
+/**
+ * Ranges of the integer types, as BigInts so int8 is checked exactly
+ */
+const INTEGER_RANGES = {
+  [DATA_TYPES.INT2]: [-32768n, 32767n],
+  [DATA_TYPES.INT4]: [-2147483648n, 2147483647n],
+  [DATA_TYPES.INT8]: [-9223372036854775808n, 9223372036854775807n],
+  [DATA_TYPES.OID]: [0n, 4294967295n],
+};
+
+const UUID_PATTERN = /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i;
+
+/**
+ * Resolved type information for a column or cast target
+ * @typedef {Object} ResolvedType
+ * @property {string} name - Canonical type name (e.g. 'int4', 'varchar')
+ * @property {number} oid - Type OID (array OID when isArray is true)
+ * @property {number} size - Type size for RowDescription
+ * @property {number} modifier - Type modifier (-1 when none)
+ * @property {boolean} isArray - True for array types
+ * @property {number} elementOID - Element OID for arrays, same as oid otherwise
+ * @property {boolean} serial - True for serial pseudo-types
+ */
+
+/**
+ * Resolves a parsed type name into OID, size and modifier
+ * @param {Object} typeName - Parsed type name ({name, modifiers, arrayDimensions})
+ * @returns {ResolvedType|null} Resolved type or null when unknown
+ */
+function resolveType(typeName) {
+  const rawName = typeName.name.toLowerCase();
+  const canonical = TYPE_ALIASES[rawName];
+  if (!canonical) {
+    return null;
+  }
+
+  const info = TYPE_INFO[canonical];
+  const modifiers = typeName.modifiers || [];
+  let modifier = -1;
+
+  if ((canonical === 'varchar' || canonical === 'bpchar') && modifiers.length > 0) {
+    modifier = modifiers[0] + 4;
+  } else if (canonical === 'bpchar') {
+    // Plain CHARACTER means CHARACTER(1)
+    modifier = 5;
+  } else if (canonical === 'numeric' && modifiers.length > 0) {
+    modifier = ((modifiers[0] << 16) | (modifiers[1] || 0)) + 4;
+  }
+
+  const isArray = (typeName.arrayDimensions || 0) > 0;
+  let oid = info.oid;
+  if (isArray) {
+    const { getArrayTypeOID } = require('../protocol/utils');
+    oid = getArrayTypeOID(info.oid) || DATA_TYPES.TEXT_ARRAY;
+  }
+
+  return {
+    name: canonical,
+    oid,
+    size: isArray ? -1 : info.size,
+    modifier,
+    isArray,
+    elementOID: info.oid,
+    serial: SERIAL_TYPES.includes(rawName),
+  };
+}
+
+/**
+ * Builds resolved type information from a bare OID
+ * @param {number} oid - Type OID
+ * @returns {ResolvedType} Resolved type
+ */
+function typeFromOID(oid) {
+  const { getBaseTypeOID } = require('../protocol/utils');
+  const elementOID = getBaseTypeOID(oid);
+  const baseOID = elementOID || oid;
+  const entry = Object.entries(TYPE_INFO).find(([, info]) => info.oid === baseOID);
+
+  return {
+    name: entry ? entry[0] : 'text',
+    oid,
+    size: elementOID ? -1 : entry ? entry[1].size : -1,
+    modifier: -1,
+    isArray: !!elementOID,
+    elementOID: baseOID,
+    serial: false,
+  };
+}
+
+/**
+ * Returns the display name of a type for error messages
+ * @param {ResolvedType} type - Resolved type
+ * @returns {string} Display name
+ */
+function getDisplayName(type) {
+  const base = DISPLAY_NAMES[type.elementOID] || type.name;
+  return type.isArray ? `${base}[]` : base;
+}
+
+/**
+ * Creates an invalid_text_representation (22P02) error
+ * @param {ResolvedType} type - Target type
+ * @param {*} value - Offending value
+ * @returns {PostgresError} Error object
+ */
+function invalidInput(type, value) {
+  return createError(
+    ERROR_CODES.INVALID_TEXT_REPRESENTATION,
+    `invalid input syntax for type ${getDisplayName(type)}: "${value}"`
+  );
+}
+
+/**
+ * Converts a value into the JS representation used for the given type
+ *
+ * Integers and floats become numbers (int8 values beyond 2^53 become BigInts, so
+ * no digit is lost), booleans become booleans, bytea becomes a
+ * Buffer, timestamps become Dates and arrays become JS arrays of element values.
+ * Everything else is kept as a string.
+ *
+ * @param {*} value - Input value (string literal, number, boolean, array, ...)
+ * @param {ResolvedType} type - Target type
+ * @returns {*} Coerced value (null stays null)
+ * @throws {PostgresError} 22P02 on malformed input, 22003 / 22001 on overflow
+ */
+function coerceValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (type.isArray) {
+    return coerceArray(value, type);
+  }
+
+  switch (type.elementOID) {
+    case DATA_TYPES.INT2:
+    case DATA_TYPES.INT4:
+    case DATA_TYPES.INT8:
+    case DATA_TYPES.OID:
+      return coerceInteger(value, type);
+
+    case DATA_TYPES.FLOAT4:
+    case DATA_TYPES.FLOAT8:
+      return coerceFloat(value, type);
+
+    case DATA_TYPES.NUMERIC:
+      return coerceNumeric(value, type);
+
+    case DATA_TYPES.BOOL:
+      return coerceBoolean(value, type);
+
+    case DATA_TYPES.VARCHAR:
+    case DATA_TYPES.BPCHAR:
+      return coerceCharacter(value, type);
+
+    case DATA_TYPES.BYTEA:
+      return coerceBytea(value);
+
+    case DATA_TYPES.UUID: {
+      const text = String(value).trim();
+      if (!UUID_PATTERN.test(text)) {
+        throw invalidInput(type, value);
+      }
+      const hex = text.replace(/[{}-]/g, '').toLowerCase();
+      return (
+        `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-` +
+        `${hex.slice(16, 20)}-${hex.slice(20)}`
+      );
+    }
+
+    case DATA_TYPES.JSON:
+    case DATA_TYPES.JSONB: {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw createError(
+          ERROR_CODES.INVALID_TEXT_REPRESENTATION,
+          'invalid input syntax for type json',
+          {
+            detail: error.message,
+          }
+        );
+      }
+      return type.elementOID === DATA_TYPES.JSONB ? formatJsonb(parsed) : text;
+    }
+
+    case DATA_TYPES.DATE:
+      return coerceDate(value, type);
+
+    case DATA_TYPES.TIMESTAMP:
+    case DATA_TYPES.TIMESTAMPTZ:
+      return coerceTimestamp(value, type);
+
+    default:
+      return value instanceof Date ? formatTimestamp(value, true) : String(value);
+  }
+}
+
+/**
+ * Coerces an integer value, enforcing the range of the target type
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {number|bigint} Integer value, a BigInt only for int8 values beyond 2^53
+ */
+function coerceInteger(value, type) {
+  const outOfRange = () =>
+    createError(
+      ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE,
+      `value "${value}" is out of range for type ${getDisplayName(type)}`
+    );
+
+  let integer;
+  if (typeof value === 'bigint') {
+    integer = value;
+  } else if (value instanceof Numeric) {
+    if (value.isNaN()) {
+      throw createError(
+        ERROR_CODES.FEATURE_NOT_SUPPORTED,
+        `cannot convert NaN to ${getDisplayName(type)}`
+      );
+    }
+    integer = value.round(0).digits;
+  } else if (typeof value === 'number') {
+    if (!isFinite(value)) {
+      throw outOfRange();
+    }
+    integer = BigInt(Math.round(value));
+  } else if (typeof value === 'boolean') {
+    throw invalidInput(type, value);
+  } else {
+    const text = String(value).trim();
+    if (!/^[+-]?\d+$/.test(text)) {
+      throw invalidInput(type, value);
+    }
+    integer = BigInt(text);
+  }
+
+  const [min, max] = INTEGER_RANGES[type.elementOID];
+  if (integer < min || integer > max) {
+    throw outOfRange();
+  }
+  return normalizeInteger(integer);
+}
+
+/**
+ * Turns a BigInt into a number when a double holds it exactly
+ * @param {bigint} integer - Integer
+ * @returns {number|bigint} Number, or the BigInt beyond 2^53
+ */
+function normalizeInteger(integer) {
+  const number = Number(integer);
+  return Number.isSafeInteger(number) ? number : integer;
+}
+
+/**
+ * Checks whether a value is an integer held as a number or a BigInt
+ * @param {*} value - Value
+ * @returns {boolean} True for integers
+ */
+function isInteger(value) {
+  return typeof value === 'bigint' || Number.isInteger(value);
+}
+
+/**
+ * Coerces a floating point value
+ * Text that overflows or underflows the target type is rejected as in PostgreSQL,
+ * rather than becoming Infinity or zero.
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {number} Float value
+ * @throws {PostgresError} 22P02 on malformed input, 22003 when out of range
+ */
+function coerceFloat(value, type) {
+  const isFloat4 = type.elementOID === DATA_TYPES.FLOAT4;
+  if (typeof value === 'number') {
+    const number = isFloat4 ? Math.fround(value) : value;
+    if (isFinite(value) && !isFinite(number)) {
+      throw createError(ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE, 'value out of range: overflow');
+    }
+    return number;
+  }
+
+  const text = String(value).trim();
+  const special = { nan: NaN, infinity: Infinity, '+infinity': Infinity, '-infinity': -Infinity };
+  if (Object.prototype.hasOwnProperty.call(special, text.toLowerCase())) {
+    return special[text.toLowerCase()];
+  }
+  if (text === '' || isNaN(Number(text))) {
+    throw invalidInput(type, value);
+  }
+  const number = isFloat4 ? Math.fround(Number(text)) : Number(text);
+  const underflow = number === 0 && /[1-9]/.test(text.split(/e/i)[0]);
+  if (!isFinite(number) || underflow) {
+    throw createError(
+      ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE,
+      `"${text}" is out of range for type ${getDisplayName(type)}`
+    );
+  }
+  return number;
+}
+
+/**
+ * Coerces a numeric value, keeping every digit and rounding to the declared scale
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {Numeric} Exact decimal value
+ * @throws {PostgresError} 22P02 on malformed input, 22003 when the typmod overflows
+ */
+function coerceNumeric(value, type) {
+  if (typeof value === 'boolean') {
+    throw invalidInput(type, value);
+  }
+  if (typeof value === 'number' && !isFinite(value) && !isNaN(value)) {
+    throw createError(ERROR_CODES.FEATURE_NOT_SUPPORTED, 'cannot convert infinity to numeric');
+  }
+  let numeric = Numeric.from(value);
+  if (!numeric) {
+    throw invalidInput(type, value);
+  }
+
+  if (type.modifier > 4 && !numeric.isNaN()) {
+    const scale = (type.modifier - 4) & 0xffff;
+    const precision = ((type.modifier - 4) >> 16) & 0xffff;
+    numeric = numeric.round(scale);
+    if (numeric.integerDigits() > precision - scale) {
+      throw createError(ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE, 'numeric field overflow', {
+        detail:
+          `A field with precision ${precision}, scale ${scale} must round to an absolute ` +
+          `value less than 10^${precision - scale}.`,
+      });
+    }
+  }
+  return numeric;
+}
+
+/**
+ * Coerces a boolean value using PostgreSQL's accepted spellings
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {boolean} Boolean value
+ */
+function coerceBoolean(value, type) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['t', 'true', 'y', 'yes', 'on', '1'].includes(text)) {
+    return true;
+  }
+  if (['f', 'false', 'n', 'no', 'off', '0'].includes(text)) {
+    return false;
+  }
+  throw invalidInput(type, value);
+}
+
+/**
+ * Coerces a varchar/char value, enforcing the declared length
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {string} String value (blank-padded for char(n))
+ */
+function coerceCharacter(value, type) {
+  let text = value instanceof Date ? formatTimestamp(value, true) : String(value);
+  if (type.modifier > 4) {
+    const length = type.modifier - 4;
+    if (text.length > length) {
+      // Like PostgreSQL, excess trailing spaces are silently truncated
+      if (text.slice(length).trim() !== '') {
+        throw createError(
+          ERROR_CODES.STRING_DATA_RIGHT_TRUNCATION,
+          `value too long for type ${getDisplayName(type)}(${length})`
+        );
+      }
+      text = text.slice(0, length);
+    }
+    if (type.elementOID === DATA_TYPES.BPCHAR) {
+      text = text.padEnd(length, ' ');
+    }
+  }
+  return text;
+}
+
+/**
+ * Coerces a bytea value from hex ("\x...") or escape format
+ * @param {*} value - Input value
+ * @returns {Buffer} Binary value
+ */
+function coerceBytea(value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  const text = String(value);
+  if (text.startsWith('\\x')) {
+    const hex = text.slice(2);
+    if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+      throw createError(ERROR_CODES.INVALID_TEXT_REPRESENTATION, 'invalid hexadecimal data');
+    }
+    return Buffer.from(hex, 'hex');
+  }
+  return Buffer.from(text, 'utf8');
+}
+
+/**
+ * Coerces a date value into 'YYYY-MM-DD' form
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {string} Date string
+ */
+function coerceDate(value, type) {
+  const date = parseDateTime(value, type);
+  return formatTimestamp(date, false).slice(0, 10);
+}
+
+/**
+ * Coerces a timestamp value into a Date, to the microsecond
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {Date} Timestamp value
+ */
+function coerceTimestamp(value, type) {
+  return parseDateTime(value, type);
+}
+
+/**
+ * Parses date/time input; timestamps without zone are treated as UTC
+ * Fractional seconds are rounded to the microsecond, as PostgreSQL stores them.
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Target type
+ * @returns {Date} Parsed date, a Timestamp when parsed from text
+ */
+function parseDateTime(value, type) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = String(value).trim();
+  if (['now', 'current_timestamp'].includes(text.toLowerCase())) {
+    return new Date();
+  }
+
+  // Accept "YYYY-MM-DD[ HH:MM[:SS[.fff]]][zone]" and ISO 8601
+  let normalized = text.replace(' ', 'T');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    normalized = `${text}T00:00:00`;
+  }
+  const hasZone = /([zZ]|[+-]\d{2}(:?\d{2})?)$/.test(normalized.slice(10));
+  if (!hasZone || type.elementOID === DATA_TYPES.TIMESTAMP) {
+    normalized = normalized.replace(/([zZ]|[+-]\d{2}(:?\d{2})?)$/, '') + 'Z';
+  } else {
+    normalized = normalized.replace(/([+-]\d{2})$/, '$1:00');
+  }
+
+  // Date keeps milliseconds only, so the fraction is parsed here
+  let micros = 0;
+  normalized = normalized.replace(/(T\d{2}:\d{2}:\d{2})\.(\d+)/, (match, time, fraction) => {
+    micros = Math.round(Number(fraction.padEnd(7, '0').slice(0, 7)) / 10);
+    return time;
+  });
+
+  const date = new Date(normalized);
+  if (isNaN(date.getTime())) {
+    throw invalidInput(type, value);
+  }
+  return new Timestamp(date.getTime() + Math.floor(micros / 1000), micros % 1000);
+}
+
+/**
+ * Coerces an array value (JS array or '{...}' text) element by element
+ * @param {*} value - Input value
+ * @param {ResolvedType} type - Array type
+ * @returns {Array} Array of coerced elements
+ */
+function coerceArray(value, type) {
+  let elements = value;
+  if (!Array.isArray(value)) {
+    const { parseArrayFromText } = require('../protocol/utils');
+    try {
+      elements = parseArrayFromText(String(value), 'text');
+    } catch (error) {
+      throw createError(
+        ERROR_CODES.INVALID_TEXT_REPRESENTATION,
+        `malformed array literal: "${value}"`,
+        { detail: error.message }
+      );
+    }
+  }
+
+  const elementType = { ...type, oid: type.elementOID, isArray: false, size: -1 };
+  const convert = item =>
+    Array.isArray(item) ? item.map(convert) : coerceValue(item, elementType);
+  return elements.map(convert);
+}
+
+/**
+ * Formats a JS value as PostgreSQL jsonb text output
+ * @param {*} value - Parsed JSON value
+ * @returns {string} jsonb text
+ */
+function formatJsonb(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatJsonb).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort((a, b) => a.length - b.length || (a < b ? -1 : 1));
+    return `{${keys.map(key => `${JSON.stringify(key)}: ${formatJsonb(value[key])}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Interval units and their length in milliseconds (months and years as in
+ * PostgreSQL's interval arithmetic: 30 days and 365.25 days)
+ */
+const INTERVAL_UNITS = [
+  [['microsecond', 'microseconds', 'us', 'usec', 'usecs'], 0.001],
+  [['millisecond', 'milliseconds', 'ms', 'msec', 'msecs'], 1],
+  [['second', 'seconds', 's', 'sec', 'secs'], 1000],
+  [['minute', 'minutes', 'm', 'min', 'mins'], 60000],
+  [['hour', 'hours', 'h', 'hr', 'hrs'], 3600000],
+  [['day', 'days', 'd'], 86400000],
+  [['week', 'weeks', 'w'], 604800000],
+  [['month', 'months', 'mon', 'mons'], 2592000000],
+  [['year', 'years', 'y', 'yr', 'yrs'], 31557600000],
+];
+
+/**
+ * Converts interval text to milliseconds
+ * Accepts quantity/unit pairs ("1 day 2 hours", "1.5 seconds"), a time of day
+ * ("01:30:00.5") or a bare number of seconds, optionally combined.
+ * @param {string} text - Interval text
+ * @returns {number} Duration in milliseconds
+ * @throws {PostgresError} If the text is not a valid interval
+ */
+function intervalToMilliseconds(text) {
+  const invalid = () =>
+    createError(
+      ERROR_CODES.INVALID_DATETIME_FORMAT,
+      `invalid input syntax for type interval: "${text}"`
+    );
+  const tokens = String(text).trim().replace(/^@\s*/, '').toLowerCase().split(/\s+/);
+  if (tokens[0] === '') {
+    throw invalid();
+  }
+
+  let ms = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const time = tokens[i].match(/^([+-])?(\d+):(\d+)(?::(\d+(?:\.\d+)?))?$/);
+    if (time) {
+      const sign = time[1] === '-' ? -1 : 1;
+      ms += sign * ((Number(time[2]) * 60 + Number(time[3])) * 60 + Number(time[4] || 0)) * 1000;
+      continue;
+    }
+
+    const quantity = tokens[i].match(/^([+-]?\d+(?:\.\d+)?|[+-]?\.\d+)([a-z]*)$/);
+    if (!quantity) {
+      throw invalid();
+    }
+    let unitName = quantity[2];
+    if (!unitName && i + 1 < tokens.length && /^[a-z]+$/.test(tokens[i + 1])) {
+      unitName = tokens[++i];
+    }
+    const unit = unitName ? INTERVAL_UNITS.find(([names]) => names.includes(unitName)) : null;
+    if (unitName && !unit) {
+      throw invalid();
+    }
+    ms += Number(quantity[1]) * (unit ? unit[1] : 1000);
+  }
+  return ms;
+}
+
+/**
+ * Formats a Date as PostgreSQL timestamp text
+ * @param {Date} date - Date to format
+ * @param {boolean} withZone - Append the UTC offset (timestamptz output)
+ * @returns {string} Timestamp text
+ */
+function formatTimestamp(date, withZone) {
+  const iso = date.toISOString();
+  let text = `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+  const fraction = `${iso.slice(20, 23)}${String(microsecondsOf(date)).padStart(3, '0')}`;
+  if (fraction !== '000000') {
+    text += `.${fraction.replace(/0+$/, '')}`;
+  }
+  return withZone ? `${text}+00` : text;
+}
+
+/**
+ * Formats a float the way PostgreSQL prints it
+ * @param {number} value - Float value
+ * @returns {string} Text form
+ */
+function formatFloat(value) {
+  if (isNaN(value)) return 'NaN';
+  if (value === Infinity) return 'Infinity';
+  if (value === -Infinity) return '-Infinity';
+  return String(value);
+}
+
+/**
+ * Formats a stored value as PostgreSQL text output
+ * @param {*} value - Stored value
+ * @param {ResolvedType} type - Value type
+ * @returns {string|null} Text representation or null for NULL
+ */
+function formatValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (type.isArray && Array.isArray(value)) {
+    const { encodeArrayToText } = require('../protocol/utils');
+    const elementType = { ...type, oid: type.elementOID, isArray: false };
+    const formatElement = item =>
+      Array.isArray(item) ? item.map(formatElement) : formatValue(item, elementType);
+    return encodeArrayToText(value.map(formatElement), type.name);
+  }
+
+  switch (type.elementOID) {
+    case DATA_TYPES.BOOL:
+      return value ? 't' : 'f';
+    case DATA_TYPES.FLOAT4:
+    case DATA_TYPES.FLOAT8:
+      return formatFloat(Number(value));
+    case DATA_TYPES.NUMERIC:
+      return typeof value === 'number' && isNaN(value) ? 'NaN' : String(value);
+    case DATA_TYPES.BYTEA:
+      return Buffer.isBuffer(value) ? `\\x${value.toString('hex')}` : String(value);
+    case DATA_TYPES.TIMESTAMP:
+      return value instanceof Date ? formatTimestamp(value, false) : String(value);
+    case DATA_TYPES.TIMESTAMPTZ:
+      return value instanceof Date ? formatTimestamp(value, true) : String(value);
+    default:
+      if (typeof value === 'boolean') return value ? 'true' : 'false';
+      if (value instanceof Date) return formatTimestamp(value, true);
+      if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+      if (Array.isArray(value)) {
+        const { encodeArrayToText } = require('../protocol/utils');
+        return encodeArrayToText(value);
+      }
+      return String(value);
+  }
+}
+
+/**
+ * Compares two non-null values of compatible types
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {number} Negative, zero or positive like Array.prototype.sort comparators
+ */
+function compareValues(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    const left = toDate(a);
+    const right = toDate(b);
+    return left.getTime() - right.getTime() || microsecondsOf(left) - microsecondsOf(right);
+  }
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+    return Buffer.compare(a, b);
+  }
+  if (a instanceof Numeric || b instanceof Numeric) {
+    const left = Numeric.from(a);
+    const right = Numeric.from(b);
+    if (left && right) {
+      return left.compare(right);
+    }
+  }
+  if ((typeof a === 'bigint' || typeof b === 'bigint') && isInteger(a) && isInteger(b)) {
+    const left = BigInt(a);
+    const right = BigInt(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  if ([typeof a, typeof b].some(kind => kind === 'number' || kind === 'bigint')) {
+    const left = Number(a);
+    const right = Number(b);
+    if (!isNaN(left) && !isNaN(right)) {
+      return left - right;
+    }
+  }
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return Number(a) - Number(b);
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compareValues(a[i], b[i]);
+      if (result !== 0) return result;
+    }
+    return a.length - b.length;
+  }
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Converts a Date or date/time string into a Date for comparison
+ * @param {Date|string} value - Value to convert
+ * @returns {Date} Date, a Timestamp when parsed from text
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  return parseDateTime(value, {
+    elementOID: DATA_TYPES.TIMESTAMPTZ,
+    name: 'timestamptz',
+  });
+}
+
+module.exports = {
+  TYPE_ALIASES,
+  TYPE_INFO,
+  resolveType,
+  typeFromOID,
+  getDisplayName,
+  coerceValue,
+  normalizeInteger,
+  isInteger,
+  formatValue,
+  formatTimestamp,
+  intervalToMilliseconds,
+  compareValues,
+};
@@ -0,0 +1,313 @@
+/**
+ * In-Memory Large Object Store
+ * Contents and metadata of large objects, backing the large object functions and
+ * the pg_largeobject_metadata catalog
+ */
+
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+const { FIRST_USER_OID } = require('./tableStore');
+
+/**
+ * lo_open() mode flags (libpq's INV_WRITE and INV_READ)
+ */
+const INV_WRITE = 0x20000;
+const INV_READ = 0x40000;
+
+/**
+ * Configuration options for the large object store
+ * @typedef {Object} LargeObjectStoreConfig
+ * @property {number} maxObjects - Maximum number of large objects (default: 10000)
+ * @property {number} maxObjectSize - Maximum size of one large object in bytes (default: 1GB)
+ * @property {string|null} fileDirectory - Directory server-side lo_import() and lo_export()
+ *   may read and write files in (default: null, no server file access)
+ * @property {boolean} enableLogging - Enable large object store logging (default: true)
+ * @property {string} logLevel - Log level for the large object store (default: 'info')
+ */
+
+/**
+ * Large object held in the store
+ * @typedef {Object} LargeObject
+ * @property {number} oid - Large object OID
+ * @property {string} owner - Name of the role that created it
+ * @property {Buffer} data - Contents
+ * @property {Date} createdAt - When the object was created
+ */
+
+/**
+ * In-memory store of large objects
+ *
+ * Like the table store, a single store is shared by every connection of a server.
+ * Contents are never changed in place: every write replaces an object's buffer, so
+ * a snapshot only needs to keep the object it captured.
+ */
+class LargeObjectStore {
+  /**
+   * Creates a new large object store
+   * @param {LargeObjectStoreConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxObjects: 10000,
+      maxObjectSize: 1024 * 1024 * 1024,
+      fileDirectory: null,
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.objects = new Map(); // OID -> LargeObject
+    this.nextOID = FIRST_USER_OID;
+
+    this.logger = createLogger({
+      name: 'LargeObjectStore',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Gets the directory server-side lo_import() and lo_export() may use
+   * @returns {string|null} Directory, or null if server file access is disabled
+   */
+  getFileDirectory() {
+    return this.config.fileDirectory;
+  }
+
+  /**
+   * Picks the OID for a new large object, as lo_creat() and lo_create(0) do
+   * @returns {number} Unused OID
+   */
+  allocateOID() {
+    while (this.objects.has(this.nextOID)) {
+      this.nextOID++;
+    }
+    return this.nextOID++;
+  }
+
+  /**
+   * Checks whether a large object exists
+   * @param {number} oid - Large object OID
+   * @returns {boolean} True if the large object exists
+   */
+  hasObject(oid) {
+    return this.objects.has(oid);
+  }
+
+  /**
+   * Gets a large object
+   * @param {number} oid - Large object OID
+   * @returns {LargeObject} Large object
+   * @throws {PostgresError} 42704 if the large object does not exist
+   */
+  getObject(oid) {
+    const object = this.objects.get(oid);
+    if (!object) {
+      throw createError(ERROR_CODES.UNDEFINED_OBJECT, `large object ${oid} does not exist`);
+    }
+    return object;
+  }
+
+  /**
+   * Lists all large objects
+   * @returns {Array<LargeObject>} Large objects in OID order
+   */
+  listObjects() {
+    return Array.from(this.objects.values()).sort((a, b) => a.oid - b.oid);
+  }
+
+  /**
+   * Creates an empty large object
+   * @param {number} oid - OID for the new object (see allocateOID())
+   * @param {string} owner - Name of the creating role
+   * @returns {LargeObject} Created large object
+   * @throws {PostgresError} 23505 if the OID is taken, 54000 if the store is full
+   */
+  createObject(oid, owner) {
+    if (this.objects.has(oid)) {
+      throw createError(
+        ERROR_CODES.UNIQUE_VIOLATION,
+        'duplicate key value violates unique constraint "pg_largeobject_metadata_oid_index"',
+        { detail: `Key (oid)=(${oid}) already exists.` }
+      );
+    }
+    if (this.objects.size >= this.config.maxObjects) {
+      throw createError(
+        ERROR_CODES.PROGRAM_LIMIT_EXCEEDED,
+        `cannot create more than ${this.config.maxObjects} large objects`
+      );
+    }
+
+    const object = { oid, owner, data: Buffer.alloc(0), createdAt: new Date() };
+    this.objects.set(oid, object);
+    this.logger.debug(`Created large object ${oid}`);
+    return object;
+  }
+
+  /**
+   * Reads part of a large object
+   * @param {number} oid - Large object OID
+   * @param {number} offset - Byte offset to start at
+   * @param {number} length - Maximum number of bytes to read
+   * @returns {Buffer} Bytes read; fewer than asked for at the end of the object
+   * @throws {PostgresError} 42704 if the large object does not exist
+   */
+  read(oid, offset, length) {
+    const { data } = this.getObject(oid);
+    return Buffer.from(data.subarray(Math.min(offset, data.length), offset + length));
+  }
+
+  /**
+   * Writes bytes into a large object, zero-filling any gap past its end
+   * @param {number} oid - Large object OID
+   * @param {number} offset - Byte offset to start at
+   * @param {Buffer} bytes - Bytes to write
+   * @returns {number} Number of bytes written
+   * @throws {PostgresError} 42704 if the large object does not exist, 54000 if it would
+   *   grow past maxObjectSize
+   */
+  write(oid, offset, bytes) {
+    const object = this.getObject(oid);
+    const end = offset + bytes.length;
+    this.checkSize(oid, end);
+
+    const data = Buffer.alloc(Math.max(object.data.length, end));
+    object.data.copy(data);
+    bytes.copy(data, offset);
+    object.data = data;
+    return bytes.length;
+  }
+
+  /**
+   * Truncates or zero-extends a large object to a length
+   * @param {number} oid - Large object OID
+   * @param {number} length - New length in bytes
+   * @throws {PostgresError} 42704 if the large object does not exist, 54000 if it would
+   *   grow past maxObjectSize
+   */
+  truncate(oid, length) {
+    const object = this.getObject(oid);
+    this.checkSize(oid, length);
+
+    const data = Buffer.alloc(length);
+    object.data.copy(data, 0, 0, Math.min(length, object.data.length));
+    object.data = data;
+  }
+
+  /**
+   * Checks that a large object may grow to a size
+   * @param {number} oid - Large object OID
+   * @param {number} size - Size in bytes
+   * @throws {PostgresError} 54000 if the size exceeds maxObjectSize
+   * @private
+   */
+  checkSize(oid, size) {
+    if (size > this.config.maxObjectSize) {
+      throw createError(
+        ERROR_CODES.PROGRAM_LIMIT_EXCEEDED,
+        `large object ${oid} cannot grow beyond ${this.config.maxObjectSize} bytes`
+      );
+    }
+  }
+
+  /**
+   * Removes a large object
+   * @param {number} oid - Large object OID
+   * @throws {PostgresError} 42704 if the large object does not exist
+   */
+  unlink(oid) {
+    this.getObject(oid);
+    this.objects.delete(oid);
+    this.logger.debug(`Removed large object ${oid}`);
+  }
+
+  /**
+   * Captures a large object so a rolled-back lo_create() or lo_unlink() can be undone
+   * OIDs handed out stay used after a rollback, as in PostgreSQL.
+   * @param {number} oid - Large object OID
+   * @returns {Object} Snapshot ({oid, object}); object is null if it does not exist
+   */
+  snapshotObject(oid) {
+    const object = this.objects.get(oid) || null;
+    return { oid, object: object ? { ...object } : null };
+  }
+
+  /**
+   * Puts a large object back the way snapshotObject() found it, re-creating or removing it
+   * @param {Object} snapshot - Snapshot from snapshotObject()
+   */
+  restoreObject(snapshot) {
+    if (!snapshot.object) {
+      this.objects.delete(snapshot.oid);
+      return;
+    }
+    this.objects.set(snapshot.oid, { ...snapshot.object });
+  }
+
+  /**
+   * Captures the bytes of a large object a write or truncation is about to change
+   * @param {number} oid - Large object OID
+   * @param {number} start - First byte changed
+   * @param {number} end - Byte after the last one changed
+   * @param {number} newLength - Length of the object after the change
+   * @returns {Object} Snapshot ({oid, start, bytes, length, newLength})
+   * @throws {PostgresError} 42704 if the large object does not exist
+   */
+  snapshotRange(oid, start, end, newLength) {
+    const { data } = this.getObject(oid);
+    return {
+      oid,
+      start,
+      bytes: Buffer.from(data.subarray(Math.min(start, data.length), end)),
+      length: data.length,
+      newLength,
+    };
+  }
+
+  /**
+   * Puts back the bytes snapshotRange() captured, leaving the rest of the object alone
+   * The object gets its old length back only if nothing changed the length since, so
+   * a later write by another connection past the end is kept.
+   * @param {Object} snapshot - Snapshot from snapshotRange()
+   */
+  restoreRange(snapshot) {
+    const object = this.objects.get(snapshot.oid);
+    if (!object) {
+      return;
+    }
+    const length =
+      object.data.length === snapshot.newLength
+        ? snapshot.length
+        : Math.max(object.data.length, snapshot.start + snapshot.bytes.length);
+    const data = Buffer.alloc(length);
+    object.data.copy(data, 0, 0, Math.min(length, object.data.length));
+    snapshot.bytes.copy(data, snapshot.start);
+    object.data = data;
+  }
+
+  /**
+   * Removes every large object
+   */
+  clear() {
+    this.objects.clear();
+    this.nextOID = FIRST_USER_OID;
+  }
+
+  /**
+   * Gets large object store statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const objects = this.listObjects();
+    return {
+      objectCount: objects.length,
+      totalBytes: objects.reduce((total, object) => total + object.data.length, 0),
+    };
+  }
+}
+
+module.exports = {
+  LargeObjectStore,
+  INV_READ,
+  INV_WRITE,
+};
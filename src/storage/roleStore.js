@@ -0,0 +1,362 @@
+/**
+ * In-Memory Role Store
+ * Roles the server authenticates connections against, with their passwords and
+ * attributes, backing the pg_roles and pg_authid catalogs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+const {
+  computeMd5Secret,
+  computeMd5Response,
+  generateScramCredentials,
+  parseScramSecret,
+} = require('../protocol/utils');
+const { FIRST_USER_OID } = require('./tableStore');
+
+/**
+ * OID of the bootstrap superuser, the role initdb creates
+ */
+const BOOTSTRAP_SUPERUSER_OID = 10;
+
+/**
+ * Role attributes a definition may set, with their defaults
+ */
+const ROLE_ATTRIBUTES = {
+  superuser: false,
+  login: true,
+  createdb: false,
+  createrole: false,
+};
+
+/**
+ * Configuration options for the role store
+ * @typedef {Object} RoleStoreConfig
+ * @property {boolean} enableLogging - Enable role store logging (default: true)
+ * @property {string} logLevel - Log level for the role store (default: 'info')
+ */
+
+/**
+ * Role definition, as given in the server configuration or a roles file
+ * @typedef {Object} RoleDefinition
+ * @property {string} name - Role name
+ * @property {string|null} password - Cleartext password, MD5 secret ("md5..." as
+ *   computeMd5Secret makes it) or SCRAM secret ("SCRAM-SHA-256$..."); null for none
+ * @property {boolean} superuser - SUPERUSER attribute (default: false)
+ * @property {boolean} login - LOGIN attribute (default: true)
+ * @property {boolean} createdb - CREATEDB attribute (default: false)
+ * @property {boolean} createrole - CREATEROLE attribute (default: false)
+ * @property {number} connectionLimit - CONNECTION LIMIT; -1 for none (default: -1)
+ * @property {Object<string, string|number|boolean>} settings - Setting defaults for the
+ *   role's sessions, as ALTER ROLE ... SET gives them (default: none)
+ */
+
+/**
+ * Role held in the store
+ * @typedef {Object} Role
+ * @property {number} oid - Role OID
+ * @property {string} name - Role name
+ * @property {string|null} password - Password or secret (see RoleDefinition)
+ * @property {boolean} superuser - SUPERUSER attribute
+ * @property {boolean} login - LOGIN attribute
+ * @property {boolean} createdb - CREATEDB attribute
+ * @property {boolean} createrole - CREATEROLE attribute
+ * @property {number} connectionLimit - CONNECTION LIMIT; -1 for none
+ * @property {Object<string, string>} settings - Setting defaults for the role's sessions
+ */
+
+/**
+ * In-memory store of roles
+ *
+ * Like the table store, a single store is shared by every connection of a server,
+ * which also lets it count each role's connections against its limit.
+ */
+class RoleStore {
+  /**
+   * Creates a new role store
+   * @param {RoleStoreConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.roles = new Map(); // name -> Role
+    this.connections = new Map(); // name -> number of open connections
+    this.nextOID = FIRST_USER_OID;
+
+    this.logger = createLogger({
+      name: 'RoleStore',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Loads roles from a JSON or YAML file
+   * The file holds either an array of roles or an object with a "roles" array.
+   * @param {string} filePath - Path to a .json, .yaml or .yml file
+   * @returns {number} Number of roles loaded
+   * @throws {Error} If the file cannot be read, parsed or validated
+   */
+  loadFile(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read roles file "${filePath}": ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let data;
+    try {
+      if (extension === '.yaml' || extension === '.yml') {
+        data = yaml.load(content);
+      } else {
+        data = JSON.parse(content);
+      }
+    } catch (error) {
+      throw new Error(`Cannot parse roles file "${filePath}": ${error.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.roles;
+    if (!Array.isArray(entries)) {
+      throw new Error(`Roles file "${filePath}" must contain an array of roles`);
+    }
+
+    const count = this.addRoles(entries);
+    this.logger.info(`Loaded ${count} roles from ${filePath}`);
+    return count;
+  }
+
+  /**
+   * Validates and adds roles
+   * The first role of an empty store gets the bootstrap superuser's OID.
+   * @param {Array<RoleDefinition>} definitions - Role definitions
+   * @returns {number} Number of roles added
+   * @throws {Error} If any definition is invalid (nothing is added in that case)
+   */
+  addRoles(definitions) {
+    const names = new Set(this.roles.keys());
+    const roles = definitions.map((definition, index) => {
+      const role = normalizeRole(definition, index);
+      if (names.has(role.name)) {
+        throw new Error(`Role "${role.name}" is defined more than once`);
+      }
+      names.add(role.name);
+      return role;
+    });
+
+    for (const role of roles) {
+      role.oid = this.roles.size === 0 ? BOOTSTRAP_SUPERUSER_OID : this.nextOID++;
+      this.roles.set(role.name, role);
+      this.logger.debug(`Added role ${role.name} (OID ${role.oid})`);
+    }
+    return roles.length;
+  }
+
+  /**
+   * Gets a role
+   * @param {string} name - Role name
+   * @returns {Role|null} Role, or null if there is none with the name
+   */
+  getRole(name) {
+    return this.roles.get(name) || null;
+  }
+
+  /**
+   * Lists all roles
+   * @returns {Array<Role>} Roles in OID order
+   */
+  listRoles() {
+    return Array.from(this.roles.values()).sort((a, b) => a.oid - b.oid);
+  }
+
+  /**
+   * Counts a new connection of a role against its connection limit
+   * Superusers are not limited, as in PostgreSQL.
+   * @param {Role} role - Role the connection logs in as
+   * @throws {PostgresError} 53300 if the role already has as many connections as it may
+   */
+  acquireConnection(role) {
+    const count = this.connections.get(role.name) || 0;
+    if (!role.superuser && role.connectionLimit >= 0 && count >= role.connectionLimit) {
+      throw createError(
+        ERROR_CODES.TOO_MANY_CONNECTIONS,
+        `too many connections for role "${role.name}"`
+      );
+    }
+    this.connections.set(role.name, count + 1);
+  }
+
+  /**
+   * Stops counting a connection of a role
+   * @param {string} name - Role name
+   */
+  releaseConnection(name) {
+    const count = this.connections.get(name) || 0;
+    if (count <= 1) {
+      this.connections.delete(name);
+    } else {
+      this.connections.set(name, count - 1);
+    }
+  }
+
+  /**
+   * Gets role store statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let connectionCount = 0;
+    for (const count of this.connections.values()) {
+      connectionCount += count;
+    }
+    return { roleCount: this.roles.size, connectionCount };
+  }
+}
+
+/**
+ * Validates a role definition and fills in the defaults
+ * @param {RoleDefinition} definition - Role definition
+ * @param {number} index - Position of the definition, for error messages
+ * @returns {Role} Role without an OID
+ * @throws {Error} If the definition is invalid
+ */
+function normalizeRole(definition, index) {
+  if (!definition || typeof definition.name !== 'string' || definition.name === '') {
+    throw new Error(`Role ${index + 1} must have a non-empty "name"`);
+  }
+  const { name } = definition;
+  const role = { name, password: null, connectionLimit: -1, settings: {} };
+
+  if (definition.password !== undefined && definition.password !== null) {
+    if (typeof definition.password !== 'string') {
+      throw new Error(`Role "${name}": "password" must be a string`);
+    }
+    role.password = definition.password;
+  }
+
+  for (const [attribute, defaultValue] of Object.entries(ROLE_ATTRIBUTES)) {
+    const value = definition[attribute];
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new Error(`Role "${name}": "${attribute}" must be a boolean`);
+    }
+    role[attribute] = value === undefined ? defaultValue : value;
+  }
+
+  if (definition.connectionLimit !== undefined) {
+    if (!Number.isInteger(definition.connectionLimit) || definition.connectionLimit < -1) {
+      throw new Error(`Role "${name}": "connectionLimit" must be an integer of at least -1`);
+    }
+    role.connectionLimit = definition.connectionLimit;
+  }
+
+  if (definition.settings !== undefined) {
+    if (typeof definition.settings !== 'object' || Array.isArray(definition.settings)) {
+      throw new Error(`Role "${name}": "settings" must be an object`);
+    }
+    for (const [setting, value] of Object.entries(definition.settings)) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(`Role "${name}": setting "${setting}" must be a string, number or boolean`);
+      }
+      role.settings[setting] = String(value);
+    }
+  }
+
+  return role;
+}
+
+/**
+ * Gets the password secret of a role as pg_authid shows it
+ * Cleartext passwords show as the MD5 secret PostgreSQL would have stored for them.
+ * @param {Role} role - Role
+ * @returns {string|null} MD5 or SCRAM secret, or null if the role has no password
+ */
+function getPasswordSecret(role) {
+  if (role.password === null || isMd5Secret(role.password) || parseScramSecret(role.password)) {
+    return role.password;
+  }
+  return computeMd5Secret(role.name, role.password);
+}
+
+/**
+ * Checks whether a stored password is an MD5 secret
+ * @param {string} password - Stored password
+ * @returns {boolean} True for "md5" followed by 32 hex digits
+ */
+function isMd5Secret(password) {
+  return /^md5[0-9a-f]{32}$/.test(password);
+}
+
+/**
+ * Checks a cleartext password against a role's password or secret
+ * @param {Role} role - Role
+ * @param {string} password - Password the client sent
+ * @returns {boolean} True if the password is the role's
+ */
+function verifyPassword(role, password) {
+  if (role.password === null) {
+    return false;
+  }
+  const scram = parseScramSecret(role.password);
+  if (scram) {
+    const salt = Buffer.from(scram.salt, 'base64');
+    return generateScramCredentials(password, scram.iterations, salt).storedKey === scram.storedKey;
+  }
+  if (isMd5Secret(role.password)) {
+    return computeMd5Secret(role.name, password) === role.password;
+  }
+  return password === role.password;
+}
+
+/**
+ * Computes the response a role's client must send to an MD5 password request
+ * @param {Role} role - Role
+ * @param {Buffer} salt - Salt sent with AuthenticationMD5Password
+ * @returns {string|null} Expected response, or null if the role has no password an
+ *   MD5 exchange can check
+ */
+function getMd5Response(role, salt) {
+  if (role.password === null || parseScramSecret(role.password)) {
+    return null;
+  }
+  return computeMd5Response(getPasswordSecret(role), salt);
+}
+
+/**
+ * Gets the SCRAM credentials to authenticate a role with
+ * @param {Role} role - Role
+ * @param {number} iterations - Iteration count for roles with a cleartext password
+ * @returns {Object|null} Credentials (see generateScramCredentials), or null if the role
+ *   has no password a SCRAM exchange can check
+ */
+function getScramCredentials(role, iterations) {
+  if (role.password === null || isMd5Secret(role.password)) {
+    return null;
+  }
+  return parseScramSecret(role.password) || generateScramCredentials(role.password, iterations);
+}
+
+/**
+ * Checks whether a role has a SCRAM secret, which PostgreSQL uses for md5 connections too
+ * @param {Role} role - Role
+ * @returns {boolean} True if the role's password is a SCRAM secret
+ */
+function hasScramSecret(role) {
+  return parseScramSecret(role.password) !== null;
+}
+
+module.exports = {
+  RoleStore,
+  BOOTSTRAP_SUPERUSER_OID,
+  getPasswordSecret,
+  verifyPassword,
+  getMd5Response,
+  getScramCredentials,
+  hasScramSecret,
+};
@@ -0,0 +1,527 @@
+/**
+ * In-Memory Table Store
+ * Catalog and row storage backing CREATE TABLE / INSERT / UPDATE / DELETE / SELECT
+ */
+
+const { ERROR_CODES } = require('../protocol/constants');
+const { createError, ErrorFactory } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+const { resolveType, coerceValue, formatValue, getDisplayName } = require('../sql/types');
+
+/**
+ * First OID handed out to user tables (matches PostgreSQL's FirstNormalObjectId)
+ */
+const FIRST_USER_OID = 16384;
+
+/**
+ * Configuration options for the table store
+ * @typedef {Object} TableStoreConfig
+ * @property {number} maxTables - Maximum number of tables (default: 1000)
+ * @property {number} maxRowsPerTable - Maximum rows per table (default: 100000)
+ * @property {boolean} enableLogging - Enable table store logging (default: true)
+ * @property {string} logLevel - Log level for the table store (default: 'info')
+ */
+
+/**
+ * Column definition held in the catalog
+ * @typedef {Object} StoredColumn
+ * @property {string} name - Column name
+ * @property {ResolvedType} type - Resolved column type
+ * @property {number} attnum - 1-based attribute number
+ * @property {boolean} notNull - NOT NULL constraint
+ * @property {Object|null} defaultValue - Default expression tree
+ * @property {boolean} serial - Auto-incrementing serial column
+ */
+
+/**
+ * Table held in the catalog
+ * @typedef {Object} StoredTable
+ * @property {number} oid - Table OID
+ * @property {string} schema - Schema name
+ * @property {string} name - Table name
+ * @property {Array<StoredColumn>} columns - Column definitions in attribute order
+ * @property {Array<Object>} uniqueKeys - PRIMARY KEY / UNIQUE constraints ({name, columns, primary})
+ * @property {Array<Object>} rows - Row objects keyed by column name
+ * @property {Object} sequences - Next serial value keyed by column name
+ * @property {Date} createdAt - When the table was created
+ */
+
+/**
+ * In-memory catalog of tables and their rows
+ *
+ * A single store is shared by every connection of a server, so a table created
+ * over one connection is visible to the others. Values are kept in their typed JS
+ * form (see sql/types.js) and formatted to text only when results are produced.
+ */
+class TableStore {
+  /**
+   * Creates a new table store
+   * @param {TableStoreConfig} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxTables: 1000,
+      maxRowsPerTable: 100000,
+      enableLogging: true,
+      logLevel: 'info',
+      ...config,
+    };
+
+    this.tables = new Map(); // "schema.name" -> StoredTable
+    this.nextOID = FIRST_USER_OID;
+
+    this.logger = createLogger({
+      name: 'TableStore',
+      level: this.config.enableLogging ? this.config.logLevel : 'silent',
+    });
+  }
+
+  /**
+   * Builds the catalog key for a table
+   * @param {string} name - Table name
+   * @param {string} schema - Schema name
+   * @returns {string} Catalog key
+   * @private
+   */
+  key(name, schema) {
+    return `${schema || 'public'}.${name}`;
+  }
+
+  /**
+   * Checks whether a table exists
+   * @param {string} name - Table name
+   * @param {string} schema - Schema name (default: public)
+   * @returns {boolean} True if the table exists
+   */
+  hasTable(name, schema = 'public') {
+    return this.tables.has(this.key(name, schema));
+  }
+
+  /**
+   * Gets a table from the catalog
+   * @param {string} name - Table name
+   * @param {string} schema - Schema name (default: public)
+   * @returns {StoredTable|null} Table or null
+   */
+  getTable(name, schema = 'public') {
+    return this.tables.get(this.key(name, schema)) || null;
+  }
+
+  /**
+   * Lists all tables
+   * @returns {Array<StoredTable>} Tables in creation order
+   */
+  listTables() {
+    return Array.from(this.tables.values());
+  }
+
+  /**
+   * Creates a table from a parsed CREATE TABLE definition
+   * @param {Object} definition - Definition ({table, columns, constraints, ifNotExists})
+   * @returns {StoredTable|null} Created table, or null if it existed and IF NOT EXISTS was given
+   * @throws {PostgresError} 42P07 duplicate table, 42701 duplicate column, 42704 unknown type
+   */
+  createTable(definition) {
+    const { name, schema } = definition.table;
+    if (this.hasTable(name, schema || 'public')) {
+      if (definition.ifNotExists) {
+        return null;
+      }
+      throw createError(ERROR_CODES.DUPLICATE_TABLE, `relation "${name}" already exists`);
+    }
+    if (this.tables.size >= this.config.maxTables) {
+      throw createError(
+        ERROR_CODES.PROGRAM_LIMIT_EXCEEDED,
+        `cannot create more than ${this.config.maxTables} tables`
+      );
+    }
+
+    const columns = definition.columns.map((column, index) => {
+      const type = resolveType(column.typeName);
+      if (!type) {
+        throw createError(
+          ERROR_CODES.UNDEFINED_OBJECT,
+          `type "${column.typeName.name}" does not exist`,
+          { position: column.typeName.position ? String(column.typeName.position) : undefined }
+        );
+      }
+      return {
+        name: column.name,
+        type,
+        attnum: index + 1,
+        notNull: column.notNull || type.serial,
+        defaultValue: column.defaultValue,
+        serial: type.serial,
+      };
+    });
+
+    const seen = new Set();
+    for (const column of columns) {
+      if (seen.has(column.name)) {
+        throw createError(
+          ERROR_CODES.DUPLICATE_COLUMN,
+          `column "${column.name}" specified more than once`
+        );
+      }
+      seen.add(column.name);
+    }
+
+    const table = {
+      oid: this.nextOID++,
+      schema: schema || 'public',
+      name,
+      columns,
+      uniqueKeys: [],
+      rows: [],
+      sequences: {},
+      createdAt: new Date(),
+    };
+
+    for (const column of definition.columns) {
+      if (column.primaryKey) {
+        this.addUniqueKey(table, [column.name], true);
+      } else if (column.unique) {
+        this.addUniqueKey(table, [column.name], false);
+      }
+    }
+    for (const constraint of definition.constraints || []) {
+      if (constraint.type === 'primaryKey' || constraint.type === 'unique') {
+        this.addUniqueKey(
+          table,
+          constraint.columns,
+          constraint.type === 'primaryKey',
+          constraint.name
+        );
+      }
+    }
+    for (const column of columns) {
+      if (column.serial) {
+        table.sequences[column.name] = 1;
+      }
+    }
+
+    this.tables.set(this.key(table.name, table.schema), table);
+    this.logger.debug(`Created table ${table.schema}.${table.name} (oid ${table.oid})`);
+    return table;
+  }
+
+  /**
+   * Registers a PRIMARY KEY or UNIQUE constraint on a table
+   * @param {StoredTable} table - Table being defined
+   * @param {Array<string>} columnNames - Constrained columns
+   * @param {boolean} primary - True for PRIMARY KEY
+   * @param {string} name - Explicit constraint name (optional)
+   * @private
+   */
+  addUniqueKey(table, columnNames, primary, name = null) {
+    for (const columnName of columnNames) {
+      const column = table.columns.find(col => col.name === columnName);
+      if (!column) {
+        throw ErrorFactory.undefinedColumn(columnName, table.name, {
+          message: `column "${columnName}" named in key does not exist`,
+        });
+      }
+      if (primary) {
+        column.notNull = true;
+      }
+    }
+    if (primary && table.uniqueKeys.some(key => key.primary)) {
+      throw createError(
+        ERROR_CODES.INVALID_TABLE_DEFINITION,
+        `multiple primary keys for table "${table.name}" are not allowed`
+      );
+    }
+    table.uniqueKeys.push({
+      name: name || (primary ? `${table.name}_pkey` : `${table.name}_${columnNames.join('_')}_key`),
+      columns: columnNames,
+      primary,
+    });
+  }
+
+  /**
+   * Drops a table
+   * @param {string} name - Table name
+   * @param {Object} options - Options ({schema, ifExists})
+   * @returns {boolean} True if a table was dropped
+   * @throws {PostgresError} 42P01 if the table does not exist and IF EXISTS was not given
+   */
+  dropTable(name, options = {}) {
+    const key = this.key(name, options.schema);
+    if (!this.tables.has(key)) {
+      if (options.ifExists) {
+        return false;
+      }
+      throw ErrorFactory.undefinedTable(name);
+    }
+    this.tables.delete(key);
+    this.logger.debug(`Dropped table ${key}`);
+    return true;
+  }
+
+  /**
+   * Gets a column definition by name
+   * @param {StoredTable} table - Table
+   * @param {string} columnName - Column name
+   * @returns {StoredColumn} Column definition
+   * @throws {PostgresError} 42703 if the column does not exist
+   */
+  getColumn(table, columnName) {
+    const column = table.columns.find(col => col.name === columnName);
+    if (!column) {
+      throw createError(
+        ERROR_CODES.UNDEFINED_COLUMN,
+        `column "${columnName}" of relation "${table.name}" does not exist`,
+        { table: table.name, column: columnName }
+      );
+    }
+    return column;
+  }
+
+  /**
+   * Inserts rows atomically; either every row is stored or none is
+   * @param {StoredTable} table - Target table
+   * @param {Array<Object>} rowValues - Explicit values keyed by column name
+   * @param {Function} evaluateDefault - Evaluates a column default expression tree
+   * @returns {Array<Object>} The stored rows
+   * @throws {PostgresError} On type, NOT NULL or uniqueness violations
+   */
+  insertRows(table, rowValues, evaluateDefault) {
+    if (table.rows.length + rowValues.length > this.config.maxRowsPerTable) {
+      throw createError(
+        ERROR_CODES.PROGRAM_LIMIT_EXCEEDED,
+        `table "${table.name}" cannot hold more than ${this.config.maxRowsPerTable} rows`
+      );
+    }
+
+    const newRows = rowValues.map(values => {
+      const row = {};
+      for (const column of table.columns) {
+        if (Object.prototype.hasOwnProperty.call(values, column.name)) {
+          row[column.name] = coerceValue(values[column.name], column.type);
+        } else {
+          row[column.name] = this.defaultFor(table, column, evaluateDefault);
+        }
+      }
+      this.checkNotNull(table, row);
+      return row;
+    });
+
+    this.checkUnique(table, [...table.rows, ...newRows]);
+    table.rows.push(...newRows);
+    return newRows;
+  }
+
+  /**
+   * Computes the default value of a column for a new row
+   * @param {StoredTable} table - Table
+   * @param {StoredColumn} column - Column
+   * @param {Function} evaluateDefault - Evaluates a default expression tree
+   * @returns {*} Default value
+   */
+  defaultFor(table, column, evaluateDefault) {
+    if (column.serial) {
+      return table.sequences[column.name]++;
+    }
+    if (column.defaultValue && evaluateDefault) {
+      return coerceValue(evaluateDefault(column.defaultValue), column.type);
+    }
+    return null;
+  }
+
+  /**
+   * Applies updates atomically; either every row is changed or none is
+   * @param {StoredTable} table - Target table
+   * @param {Array<Object>} updates - Updates ({row, changes}) where row is a stored row
+   * @returns {Array<Object>} The updated rows
+   * @throws {PostgresError} On type, NOT NULL or uniqueness violations
+   */
+  updateRows(table, updates) {
+    const replacements = new Map();
+    for (const { row, changes } of updates) {
+      const updated = { ...row };
+      for (const [columnName, value] of Object.entries(changes)) {
+        updated[columnName] = coerceValue(value, this.getColumn(table, columnName).type);
+      }
+      this.checkNotNull(table, updated);
+      replacements.set(row, updated);
+    }
+
+    const finalRows = table.rows.map(row => replacements.get(row) || row);
+    this.checkUnique(table, finalRows);
+    table.rows = finalRows;
+    return Array.from(replacements.values());
+  }
+
+  /**
+   * Deletes rows
+   * @param {StoredTable} table - Target table
+   * @param {Array<Object>} rows - Stored rows to delete
+   * @returns {Array<Object>} The deleted rows
+   */
+  deleteRows(table, rows) {
+    const doomed = new Set(rows);
+    table.rows = table.rows.filter(row => !doomed.has(row));
+    return rows;
+  }
+
+  /**
+   * Enforces NOT NULL constraints on a row
+   * @param {StoredTable} table - Table
+   * @param {Object} row - Row values
+   * @private
+   */
+  checkNotNull(table, row) {
+    for (const column of table.columns) {
+      if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+        throw createError(
+          ERROR_CODES.NOT_NULL_VIOLATION,
+          `null value in column "${column.name}" of relation "${table.name}" violates not-null constraint`,
+          { table: table.name, column: column.name, schema: table.schema }
+        );
+      }
+    }
+  }
+
+  /**
+   * Enforces PRIMARY KEY / UNIQUE constraints over a complete set of rows
+   * @param {StoredTable} table - Table
+   * @param {Array<Object>} rows - All rows the table would contain
+   * @private
+   */
+  checkUnique(table, rows) {
+    for (const key of table.uniqueKeys) {
+      const seen = new Set();
+      for (const row of rows) {
+        const values = key.columns.map(name => row[name]);
+        // NULLs never conflict with each other
+        if (values.some(value => value === null || value === undefined)) {
+          continue;
+        }
+        const types = key.columns.map(name => this.getColumn(table, name).type);
+        const keyText = values.map((value, i) => formatValue(value, types[i])).join(', ');
+        if (seen.has(keyText)) {
+          throw createError(
+            ERROR_CODES.UNIQUE_VIOLATION,
+            `duplicate key value violates unique constraint "${key.name}"`,
+            {
+              detail: `Key (${key.columns.join(', ')})=(${keyText}) already exists.`,
+              table: table.name,
+              schema: table.schema,
+              constraint: key.name,
+            }
+          );
+        }
+        seen.add(keyText);
+      }
+    }
+  }
+
+  /**
+   * Builds RowDescription column descriptors for table columns
+   * @param {StoredTable} table - Table
+   * @param {Array<StoredColumn>} columns - Columns to describe (default: all)
+   * @returns {Array<Object>} Column descriptors for sendRowDescription
+   */
+  describeColumns(table, columns = table.columns) {
+    return columns.map(column => ({
+      name: column.name,
+      tableOID: table.oid,
+      tableAttributeNumber: column.attnum,
+      dataTypeOID: column.type.oid,
+      dataTypeSize: column.type.size,
+      typeModifier: column.type.modifier,
+    }));
+  }
+
+  /**
+   * Gets the SQL display type of a column, e.g. "character varying(20)"
+   * @param {StoredColumn} column - Column
+   * @returns {string} Type name
+   */
+  getColumnTypeName(column) {
+    const name = getDisplayName(column.type);
+    if (column.type.modifier > 4 && !column.type.isArray) {
+      const modifier = column.type.modifier - 4;
+      if (column.type.name === 'numeric') {
+        return `${name}(${modifier >> 16},${modifier & 0xffff})`;
+      }
+      return `${name}(${modifier})`;
+    }
+    return name;
+  }
+
+  /**
+   * Captures a table's catalog entry and rows so a rolled-back CREATE TABLE or DROP TABLE
+   * can be undone
+   * Serial counters are not captured: as with PostgreSQL sequences, values handed out
+   * stay used after a rollback.
+   * @param {string} name - Table name
+   * @param {string} schema - Schema name (default: public)
+   * @returns {Object} Snapshot ({key, table, rows}); table is null if it does not exist
+   */
+  snapshotTable(name, schema = 'public') {
+    const key = this.key(name, schema);
+    const table = this.tables.get(key) || null;
+    return { key, table, rows: table ? table.rows.slice() : null };
+  }
+
+  /**
+   * Puts a table back the way snapshotTable() found it, re-creating or dropping it as needed
+   * Stored rows are never changed in place, so the captured row list is restored as is.
+   * @param {Object} snapshot - Snapshot from snapshotTable()
+   */
+  restoreTable(snapshot) {
+    if (!snapshot.table) {
+      this.tables.delete(snapshot.key);
+      return;
+    }
+    snapshot.table.rows = snapshot.rows.slice();
+    this.tables.set(snapshot.key, snapshot.table);
+  }
+
+  /**
+   * Undoes row changes a rolled-back statement made, leaving every other row alone
+   * Inserted rows are removed, updated rows get their old version back and deleted
+   * rows are put back; rows other connections changed in the meantime are kept.
+   * @param {string} key - Catalog key of the table (see key())
+   * @param {Object} changes - Row changes ({inserted, updated, deleted}); updated
+   *   holds {before, after} pairs of stored rows
+   */
+  revertRows(key, changes) {
+    const table = this.tables.get(key);
+    if (!table) {
+      return;
+    }
+    const removed = new Set(changes.inserted);
+    const versions = new Map(changes.updated.map(({ before, after }) => [after, before]));
+    table.rows = table.rows
+      .filter(row => !removed.has(row))
+      .map(row => versions.get(row) || row)
+      .concat(changes.deleted);
+  }
+
+  /**
+   * Removes every table
+   */
+  clear() {
+    this.tables.clear();
+    this.nextOID = FIRST_USER_OID;
+  }
+
+  /**
+   * Gets table store statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const tables = this.listTables();
+    return {
+      tableCount: tables.length,
+      totalRows: tables.reduce((total, table) => total + table.rows.length, 0),
+    };
+  }
+}
+
+module.exports = {
+  TableStore,
+  FIRST_USER_OID,
+};
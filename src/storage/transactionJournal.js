@@ -0,0 +1,210 @@
+/**
+ * Transaction Journal
+ * Undo log of table, large object and session setting changes made by one connection,
+ * with the savepoint stack used by SAVEPOINT, RELEASE SAVEPOINT and ROLLBACK TO SAVEPOINT
+ */
+
+/**
+ * Records how tables, large objects and settings looked before a transaction changed them
+ *
+ * Rows and large object bytes are recorded change by change, so rolling back
+ * undoes only what this transaction did: the table and large object stores are
+ * shared by all connections, and changes other connections committed in the
+ * meantime stay. Creating or dropping a table or large object, and the first change
+ * to a setting after the transaction (or the latest savepoint) started, store a
+ * snapshot instead. Rolling back applies the entries newest first, so everything
+ * ends up as it was at that point. Transactions are not isolated: other connections
+ * see changes before they are committed.
+ */
+class TransactionJournal {
+  /**
+   * Creates an empty journal
+   */
+  constructor() {
+    this.entries = []; // Undo functions in the order changes were made
+    this.savepoints = []; // {name, position} from oldest to newest
+    this.touched = new Set(); // Snapshots already taken since the latest savepoint
+  }
+
+  /**
+   * Captures a table before it is created or dropped, unless it was captured since the
+   * latest savepoint
+   * @param {TableStore} store - Table store holding the table
+   * @param {string} name - Table name
+   * @param {string} schema - Schema name
+   */
+  recordTable(store, name, schema) {
+    this.record(`table:${store.key(name, schema)}`, () => {
+      const snapshot = store.snapshotTable(name, schema || 'public');
+      return () => store.restoreTable(snapshot);
+    });
+  }
+
+  /**
+   * Records the rows a statement inserted, updated or deleted
+   * @param {TableStore} store - Table store holding the table
+   * @param {StoredTable} table - Changed table
+   * @param {Object} changes - Row changes ({inserted, updated, deleted}); updated holds
+   *   {before, after} pairs of stored rows
+   */
+  recordRows(store, table, changes) {
+    const key = store.key(table.name, table.schema);
+    const { inserted = [], updated = [], deleted = [] } = changes;
+    this.entries.push(() => store.revertRows(key, { inserted, updated, deleted }));
+  }
+
+  /**
+   * Captures a large object before it is created or unlinked, unless it was captured
+   * since the latest savepoint
+   * @param {LargeObjectStore} store - Large object store holding the object
+   * @param {number} oid - Large object OID
+   */
+  recordLargeObject(store, oid) {
+    this.record(`largeobject:${oid}`, () => {
+      const snapshot = store.snapshotObject(oid);
+      return () => store.restoreObject(snapshot);
+    });
+  }
+
+  /**
+   * Captures the bytes of a large object a write or truncation is about to change
+   * @param {LargeObjectStore} store - Large object store holding the object
+   * @param {number} oid - Large object OID
+   * @param {number} start - First byte changed
+   * @param {number} end - Byte after the last one changed
+   * @param {number} newLength - Length of the object after the change
+   */
+  recordLargeObjectBytes(store, oid, start, end, newLength) {
+    const snapshot = store.snapshotRange(oid, start, end, newLength);
+    this.entries.push(() => store.restoreRange(snapshot));
+  }
+
+  /**
+   * Captures a setting before it is changed, unless it was captured since the latest savepoint
+   * @param {SessionSettings} settings - Settings of the connection
+   * @param {string} name - Setting name
+   */
+  recordSetting(settings, name) {
+    this.record(`setting:${settings.lookup(name, true).name.toLowerCase()}`, () => {
+      const snapshot = settings.snapshot(name);
+      return () => settings.restore(snapshot);
+    });
+  }
+
+  /**
+   * Adds a snapshot entry the first time something is changed since the latest savepoint
+   * @param {string} key - Identifies what is changed
+   * @param {Function} capture - Captures the current state and returns the function restoring it
+   * @private
+   */
+  record(key, capture) {
+    if (this.touched.has(key)) {
+      return;
+    }
+    this.touched.add(key);
+    this.entries.push(capture());
+  }
+
+  /**
+   * Defines a savepoint at the current point of the transaction
+   * A name may be reused; the newest savepoint with a name hides the older ones.
+   * @param {string} name - Savepoint name
+   */
+  addSavepoint(name) {
+    this.savepoints.push({ name, position: this.entries.length });
+    this.touched.clear();
+  }
+
+  /**
+   * Finds the newest savepoint with a name
+   * @param {string} name - Savepoint name
+   * @returns {number} Index in the savepoint stack, or -1 if there is none
+   */
+  findSavepoint(name) {
+    for (let i = this.savepoints.length - 1; i >= 0; i--) {
+      if (this.savepoints[i].name === name) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Releases a savepoint and every savepoint defined after it, keeping their changes
+   * @param {string} name - Savepoint name
+   * @returns {boolean} False if no savepoint has that name
+   */
+  releaseSavepoint(name) {
+    const index = this.findSavepoint(name);
+    if (index === -1) {
+      return false;
+    }
+    this.savepoints.length = index;
+    return true;
+  }
+
+  /**
+   * Undoes every change made since a savepoint; the savepoint itself stays defined
+   * @param {string} name - Savepoint name
+   * @returns {boolean} False if no savepoint has that name
+   */
+  rollbackToSavepoint(name) {
+    const index = this.findSavepoint(name);
+    if (index === -1) {
+      return false;
+    }
+    this.undo(this.savepoints[index].position);
+    this.savepoints.length = index + 1;
+    this.touched.clear();
+    return true;
+  }
+
+  /**
+   * Undoes every recorded change and empties the journal
+   */
+  rollback() {
+    this.undo(0);
+    this.clear();
+  }
+
+  /**
+   * Keeps every recorded change and empties the journal
+   */
+  commit() {
+    this.clear();
+  }
+
+  /**
+   * Applies undo entries, newest first, down to a position
+   * @param {number} position - Number of entries to keep
+   * @private
+   */
+  undo(position) {
+    while (this.entries.length > position) {
+      const restore = this.entries.pop();
+      restore();
+    }
+  }
+
+  /**
+   * Forgets all recorded changes and savepoints
+   * @private
+   */
+  clear() {
+    this.entries = [];
+    this.savepoints = [];
+    this.touched.clear();
+  }
+
+  /**
+   * Gets the names of the defined savepoints
+   * @returns {Array<string>} Savepoint names from oldest to newest
+   */
+  getSavepointNames() {
+    return this.savepoints.map(savepoint => savepoint.name);
+  }
+}
+
+module.exports = {
+  TransactionJournal,
+};
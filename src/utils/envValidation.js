@@ -20,6 +20,17 @@ const VALIDATION_RULES = {
     pattern: /^[a-zA-Z0-9.-]+$/,
     description: 'Host must be a valid hostname or IP address',
   },
+  PG_MOCK_UNIX_SOCKET_DIRECTORIES: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 1000,
+    description: 'Unix socket directories must be a comma-separated list of directory paths',
+  },
+  PG_MOCK_UNIX_SOCKET_PERMISSIONS: {
+    type: 'string',
+    pattern: /^0?[0-7]{3}$/,
+    description: 'Unix socket permissions must be an octal mode such as 0777 or 0770',
+  },
   PG_MOCK_MAX_CONNECTIONS: {
     type: 'number',
     min: 1,
@@ -158,8 +169,9 @@ const VALIDATION_RULES = {
   // Authentication method and SCRAM iterations
   PG_MOCK_AUTH_METHOD: {
     type: 'enum',
-    values: ['trust', 'scram-sha-256'],
-    description: 'Authentication method must be one of: trust, scram-sha-256',
+    values: ['trust', 'password', 'md5', 'scram-sha-256', 'cert', 'peer'],
+    description:
+      'Authentication method must be one of: trust, password, md5, scram-sha-256, cert, peer',
   },
   PG_MOCK_SCRAM_ITERATIONS: {
     type: 'number',
@@ -181,6 +193,98 @@ const VALIDATION_RULES = {
     maxLength: 255,
     description: 'Mock password must be between 1 and 255 characters',
   },
+  PG_MOCK_ROLES_FILE: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 500,
+    description: 'Roles file path must be a valid file path',
+  },
+  PG_MOCK_HBA_FILE: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 500,
+    description: 'HBA file path must be a valid file path',
+  },
+  PG_MOCK_IDENT_FILE: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 500,
+    description: 'Ident file path must be a valid file path',
+  },
+  PG_MOCK_CERT_MAP: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 63,
+    description: 'Certificate user name map must be between 1 and 63 characters',
+  },
+  PG_MOCK_FIXTURES_FILE: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 500,
+    description: 'Fixtures file path must be a valid file path',
+  },
+  PG_MOCK_CASSETTE_MODE: {
+    type: 'enum',
+    values: ['off', 'record', 'replay'],
+    description: 'Cassette mode must be one of: off, record, replay',
+  },
+  PG_MOCK_CASSETTE_FILE: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 500,
+    description: 'Cassette file path must be a valid file path',
+  },
+  PG_MOCK_UPSTREAM_HOST: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 253,
+    pattern: /^[a-zA-Z0-9.-]+$/,
+    description: 'Upstream host must be a valid hostname or IP address',
+  },
+  PG_MOCK_UPSTREAM_PORT: {
+    type: 'number',
+    min: 1,
+    max: 65535,
+    description: 'Upstream port must be between 1 and 65535',
+  },
+  PG_MOCK_REPLAY_MISS_POLICY: {
+    type: 'enum',
+    values: ['strict', 'lenient'],
+    description: 'Replay miss policy must be one of: strict, lenient',
+  },
+  PG_MOCK_LATENCY: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 200,
+    pattern: /^(\d+(\.\d+)?|fixed:|uniform:|normal:|percentiles:)/,
+    description:
+      'Latency must be <ms>, fixed:<ms>, uniform:<min>:<max>, normal:<mean>:<stddev> or percentiles:p50=<ms>,...',
+  },
+  PG_MOCK_STATEMENT_TIMEOUT: {
+    type: 'number',
+    min: 0,
+    max: 2147483647,
+    description: 'Statement timeout must be between 0 (disabled) and 2147483647ms',
+  },
+  PG_MOCK_LOCK_TIMEOUT: {
+    type: 'number',
+    min: 0,
+    max: 2147483647,
+    description: 'Lock timeout must be between 0 (disabled) and 2147483647ms',
+  },
+  PG_MOCK_IDLE_IN_TRANSACTION_SESSION_TIMEOUT: {
+    type: 'number',
+    min: 0,
+    max: 2147483647,
+    description:
+      'Idle-in-transaction session timeout must be between 0 (disabled) and 2147483647ms',
+  },
+  PG_MOCK_IDLE_SESSION_TIMEOUT: {
+    type: 'number',
+    min: 0,
+    max: 2147483647,
+    description: 'Idle session timeout must be between 0 (disabled) and 2147483647ms',
+  },
 };
 
 /**
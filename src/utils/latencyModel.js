@@ -0,0 +1,220 @@
+/**
+ * Latency Model
+ * Simulated response latency drawn from a configurable distribution
+ */
+
+/**
+ * Supported latency distributions
+ */
+const DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'percentiles'];
+
+/**
+ * Latency specification, as given in server config or a fixture
+ *
+ * Either a number of milliseconds (fixed latency), a string in the compact
+ * form used by the CLI and environment, or an object:
+ *
+ * - `{ distribution: 'fixed', ms: 50 }` or just `50` / `"fixed:50"`
+ * - `{ distribution: 'uniform', min: 10, max: 100 }` or `"uniform:10:100"`
+ * - `{ distribution: 'normal', mean: 50, stddev: 10 }` or `"normal:50:10"`
+ * - `{ distribution: 'percentiles', p50: 20, p90: 80, p99: 250 }` or
+ *   `"percentiles:p50=20,p90=80,p99=250"`
+ *
+ * @typedef {number|string|Object} LatencySpec
+ */
+
+/**
+ * Reads a non-negative number of milliseconds from a spec field
+ * @param {*} value - Field value
+ * @param {string} field - Field name, for the error message
+ * @returns {number} Milliseconds
+ * @throws {Error} If the value is not a non-negative number
+ */
+function readMs(value, field) {
+  const ms = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+    throw new Error(`Invalid latency: "${field}" must be a non-negative number of milliseconds`);
+  }
+  return ms;
+}
+
+/**
+ * Parses the compact string form of a latency spec
+ * @param {string} text - Spec string, e.g. "uniform:10:100"
+ * @returns {Object} Spec object
+ * @throws {Error} If the string is malformed
+ */
+function parseLatencyString(text) {
+  const [distribution, ...args] = text.trim().split(':');
+
+  if (args.length === 0 && /^[\d.]+$/.test(distribution)) {
+    return { distribution: 'fixed', ms: distribution };
+  }
+
+  switch (distribution) {
+    case 'fixed':
+      return { distribution, ms: args[0] };
+    case 'uniform':
+      return { distribution, min: args[0], max: args[1] };
+    case 'normal':
+      return { distribution, mean: args[0], stddev: args[1] };
+    case 'percentiles': {
+      const spec = { distribution };
+      for (const pair of (args[0] || '').split(',')) {
+        const [key, value] = pair.split('=');
+        spec[key.trim()] = value;
+      }
+      return spec;
+    }
+    default:
+      throw new Error(
+        `Invalid latency "${text}" (expected <ms>, fixed:<ms>, uniform:<min>:<max>, ` +
+          'normal:<mean>:<stddev> or percentiles:p50=<ms>,...)'
+      );
+  }
+}
+
+/**
+ * A latency distribution that can be sampled per query
+ */
+class LatencyModel {
+  /**
+   * Creates a latency model
+   * @param {LatencySpec} spec - Latency specification
+   * @param {Function} random - Source of uniform random numbers in [0, 1) (default: Math.random)
+   * @throws {Error} If the specification is invalid
+   */
+  constructor(spec, random = Math.random) {
+    this.random = random;
+
+    let normalized = spec;
+    if (typeof spec === 'number') {
+      normalized = { distribution: 'fixed', ms: spec };
+    } else if (typeof spec === 'string') {
+      normalized = parseLatencyString(spec);
+    }
+
+    if (!normalized || typeof normalized !== 'object' || Array.isArray(normalized)) {
+      throw new Error('Invalid latency: expected a number, string or object');
+    }
+
+    const distribution = normalized.distribution || 'fixed';
+    if (!DISTRIBUTIONS.includes(distribution)) {
+      throw new Error(
+        `Invalid latency distribution "${distribution}" (expected ${DISTRIBUTIONS.join(', ')})`
+      );
+    }
+    this.distribution = distribution;
+
+    switch (distribution) {
+      case 'fixed':
+        this.ms = readMs(normalized.ms, 'ms');
+        break;
+      case 'uniform':
+        this.min = readMs(normalized.min, 'min');
+        this.max = readMs(normalized.max, 'max');
+        if (this.max < this.min) {
+          throw new Error('Invalid latency: "max" must not be less than "min"');
+        }
+        break;
+      case 'normal':
+        this.mean = readMs(normalized.mean, 'mean');
+        this.stddev = readMs(normalized.stddev ?? 0, 'stddev');
+        break;
+      case 'percentiles':
+        this.points = this.parsePercentiles(normalized);
+        break;
+    }
+  }
+
+  /**
+   * Collects the pNN fields of a percentile spec into interpolation points
+   * @param {Object} spec - Spec object with fields such as p50, p99 or p99.9
+   * @returns {Array<Array<number>>} Sorted [percentile, ms] pairs from p0 to p100
+   * @throws {Error} If no percentiles are given or the latencies decrease
+   * @private
+   */
+  parsePercentiles(spec) {
+    const points = Object.keys(spec)
+      .filter(key => /^p\d+(\.\d+)?$/.test(key))
+      .map(key => {
+        const percentile = Number(key.slice(1));
+        if (percentile > 100) {
+          throw new Error(`Invalid latency percentile "${key}"`);
+        }
+        return [percentile, readMs(spec[key], key)];
+      })
+      .sort((a, b) => a[0] - b[0]);
+
+    if (points.length === 0) {
+      throw new Error('Invalid latency: percentiles need at least one pNN field');
+    }
+    for (let i = 1; i < points.length; i++) {
+      if (points[i][1] < points[i - 1][1]) {
+        throw new Error('Invalid latency: percentile latencies must not decrease');
+      }
+    }
+
+    // Below the lowest percentile latency ramps up from zero; above the highest it stays flat
+    if (points[0][0] > 0) {
+      points.unshift([0, 0]);
+    }
+    if (points[points.length - 1][0] < 100) {
+      points.push([100, points[points.length - 1][1]]);
+    }
+    return points;
+  }
+
+  /**
+   * Draws a latency
+   * @returns {number} Latency in milliseconds (never negative)
+   */
+  sample() {
+    switch (this.distribution) {
+      case 'fixed':
+        return this.ms;
+      case 'uniform':
+        return this.min + this.random() * (this.max - this.min);
+      case 'normal': {
+        // Box-Muller transform; 1 - random() keeps the logarithm finite
+        const u = 1 - this.random();
+        const v = this.random();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(0, this.mean + z * this.stddev);
+      }
+      case 'percentiles': {
+        const percentile = this.random() * 100;
+        const upper = this.points.findIndex(([p]) => p >= percentile);
+        if (upper <= 0) {
+          return this.points[0][1];
+        }
+        const [p0, ms0] = this.points[upper - 1];
+        const [p1, ms1] = this.points[upper];
+        return p1 === p0 ? ms1 : ms0 + ((percentile - p0) / (p1 - p0)) * (ms1 - ms0);
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Describes the distribution for logs
+   * @returns {string} Description, e.g. "uniform 10-100ms"
+   */
+  describe() {
+    switch (this.distribution) {
+      case 'fixed':
+        return `fixed ${this.ms}ms`;
+      case 'uniform':
+        return `uniform ${this.min}-${this.max}ms`;
+      case 'normal':
+        return `normal mean ${this.mean}ms, stddev ${this.stddev}ms`;
+      default:
+        return `percentiles ${this.points.map(([p, ms]) => `p${p}=${ms}ms`).join(', ')}`;
+    }
+  }
+}
+
+module.exports = {
+  LatencyModel,
+  DISTRIBUTIONS,
+};
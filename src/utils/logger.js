@@ -434,6 +434,11 @@ function createQueryLogger(config = {}) {
         timestamp: new Date().toISOString(),
       };
 
+      // Name of the fixture that answered the query, if any
+      if (result.fixture) {
+        logData.fixture = result.fixture;
+      }
+
       if (result.error) {
         baseLogger.error(`Query Failed [${querySession.sessionId}]`, {
           ...logData,
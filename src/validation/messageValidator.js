@@ -11,6 +11,7 @@ const { MESSAGE_TYPES, AUTH_METHODS } = require('../protocol/constants');
 class MessageValidator {
   constructor() {
     this.validationRules = this.initializeValidationRules();
+    this.frontendRules = this.initializeFrontendRules();
   }
 
   /**
@@ -187,6 +188,12 @@ class MessageValidator {
         requiredFields: ['type', 'length'],
         validation: this.validateBindCompleteMessage.bind(this),
       },
+      [MESSAGE_TYPES.CLOSE_COMPLETE]: {
+        minLength: 5,
+        maxLength: 5,
+        requiredFields: ['type', 'length'],
+        validation: this.validateCloseCompleteMessage.bind(this),
+      },
       [MESSAGE_TYPES.PARAMETER_DESCRIPTION]: {
         minLength: 7, // type + length + parameter count
         maxLength: 1024,
@@ -230,6 +237,29 @@ class MessageValidator {
     };
   }
 
+  /**
+   * Initialize validation rules for frontend messages whose type byte is also used
+   * by a backend message, so they cannot share the validationRules keys
+   * (Close and CommandComplete are both 'C', Flush and CopyOutResponse both 'H')
+   * @returns {Object} Validation rules
+   */
+  initializeFrontendRules() {
+    return {
+      [MESSAGE_TYPES.CLOSE]: {
+        minLength: 7, // type + length + close type + name terminator
+        maxLength: 1024,
+        requiredFields: ['type', 'length', 'closeType', 'name'],
+        validation: this.validateCloseMessage.bind(this),
+      },
+      [MESSAGE_TYPES.FLUSH]: {
+        minLength: 5,
+        maxLength: 5,
+        requiredFields: ['type', 'length'],
+        validation: this.validateFlushMessage.bind(this),
+      },
+    };
+  }
+
   /**
    * Validate all message formats
    * @param {Object} options - Validation options
@@ -414,6 +444,8 @@ class MessageValidator {
         return this.createParseCompleteMessage();
       case MESSAGE_TYPES.BIND_COMPLETE:
         return this.createBindCompleteMessage();
+      case MESSAGE_TYPES.CLOSE_COMPLETE:
+        return this.createCloseCompleteMessage();
       case MESSAGE_TYPES.NO_DATA:
         return this.createNoDataMessage();
       case MESSAGE_TYPES.PORTAL_SUSPENDED:
@@ -560,6 +592,30 @@ class MessageValidator {
     return buffer;
   }
 
+  createCloseCompleteMessage() {
+    const buffer = Buffer.alloc(5);
+    buffer[0] = MESSAGE_TYPES.CLOSE_COMPLETE.charCodeAt(0);
+    buffer.writeInt32BE(4, 1);
+    return buffer;
+  }
+
+  createCloseMessage(closeType, name = '') {
+    const nameBuffer = Buffer.from(name + '\0', 'utf8');
+    const buffer = Buffer.alloc(6 + nameBuffer.length);
+    buffer[0] = MESSAGE_TYPES.CLOSE.charCodeAt(0);
+    buffer.writeInt32BE(buffer.length - 1, 1);
+    buffer[5] = closeType.charCodeAt(0);
+    nameBuffer.copy(buffer, 6);
+    return buffer;
+  }
+
+  createFlushMessage() {
+    const buffer = Buffer.alloc(5);
+    buffer[0] = MESSAGE_TYPES.FLUSH.charCodeAt(0);
+    buffer.writeInt32BE(4, 1);
+    return buffer;
+  }
+
   createNoDataMessage() {
     const buffer = Buffer.alloc(5);
     buffer[0] = MESSAGE_TYPES.NO_DATA.charCodeAt(0);
@@ -721,6 +777,40 @@ class MessageValidator {
     return result;
   }
 
+  validateCloseMessage(buffer) {
+    const result = { valid: true, errors: [], warnings: [] };
+
+    if (buffer.length < 7) {
+      result.valid = false;
+      result.errors.push('Close message too short');
+      return result;
+    }
+
+    const closeType = String.fromCharCode(buffer[5]);
+    if (closeType !== 'S' && closeType !== 'P') {
+      result.valid = false;
+      result.errors.push(`Invalid close type: ${closeType}`);
+    }
+
+    if (buffer[buffer.length - 1] !== 0) {
+      result.valid = false;
+      result.errors.push('Missing name null terminator');
+    }
+
+    return result;
+  }
+
+  validateFlushMessage(buffer) {
+    const result = { valid: true, errors: [], warnings: [] };
+
+    if (buffer.length !== 5) {
+      result.valid = false;
+      result.errors.push('Flush message must be exactly 5 bytes');
+    }
+
+    return result;
+  }
+
   validateSyncMessage(buffer) {
     const result = { valid: true, errors: [], warnings: [] };
 
@@ -968,6 +1058,17 @@ class MessageValidator {
     return result;
   }
 
+  validateCloseCompleteMessage(buffer) {
+    const result = { valid: true, errors: [], warnings: [] };
+
+    if (buffer.length !== 5) {
+      result.valid = false;
+      result.errors.push('Close complete message must be exactly 5 bytes');
+    }
+
+    return result;
+  }
+
   validateParameterDescriptionMessage(buffer) {
     const result = { valid: true, errors: [], warnings: [] };
 